@@ -1,52 +1,188 @@
 /**
  * Lead Pricing Configuration
- * 
+ *
  * Defines the cost for providers to accept leads.
- * Can be configured per category or globally.
+ * Prices come from admin-managed LeadPriceRule rows, which can be keyed by
+ * category, subcategory, zip code or state, a weekly time window, and
+ * effective dates. DEFAULT_LEAD_COST applies when no rule matches.
  */
 
+const { LeadPriceRule, ServiceRequest } = require('../models');
+const ZipCode = require('../models/ZipCode');
+
 // Global default lead cost (in cents)
-const DEFAULT_LEAD_COST = 2000; // $20.00
-
-// Category-specific pricing (in cents)
-// Key: categoryId, Value: cost in cents
-const CATEGORY_PRICING = {
-    // Example: category 1 costs $10.00
-    // 1: 1000,
-    // Example: category 2 costs $7.50
-    // 2: 750,
-};
+const DEFAULT_LEAD_COST = parseInt(process.env.DEFAULT_LEAD_COST_CENTS) || 2000; // $20.00
+
+// Active rules are cached briefly - every lead in a list is priced separately
+const RULE_CACHE_TTL_MS = 60 * 1000;
+let ruleCache = { rules: null, loadedAt: 0 };
+
+async function loadActiveRules() {
+    if (ruleCache.rules && Date.now() - ruleCache.loadedAt < RULE_CACHE_TTL_MS) {
+        return ruleCache.rules;
+    }
+
+    try {
+        const rules = await LeadPriceRule.findAll({ where: { isActive: true } });
+        ruleCache = { rules: rules.map(rule => rule.toJSON()), loadedAt: Date.now() };
+    } catch (error) {
+        // Table missing (migration not run yet) - fall back to the default price
+        console.error('[Lead Pricing] Could not load price rules:', error.message);
+        ruleCache = { rules: [], loadedAt: Date.now() };
+    }
+    return ruleCache.rules;
+}
 
 /**
- * Get the lead cost for a given category
- * @param {number|null} categoryId - The category ID (optional)
- * @returns {number} Cost in cents
+ * Drop cached rules so admin changes apply immediately
  */
-function getLeadCost(categoryId = null) {
-    if (categoryId && CATEGORY_PRICING[categoryId]) {
-        return CATEGORY_PRICING[categoryId];
+function clearLeadPriceCache() {
+    ruleCache = { rules: null, loadedAt: 0 };
+}
+
+const normalizeZip = (zip) => (zip ? String(zip).trim().slice(0, 5) : null);
+const normalizeState = (state) => (state ? String(state).trim().toUpperCase() : null);
+
+function minutesOfDay(hhmm) {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function inTimeWindow(rule, at) {
+    const days = Array.isArray(rule.daysOfWeek) ? rule.daysOfWeek : null;
+    if (days && days.length > 0 && !days.map(Number).includes(at.getDay())) {
+        return false;
     }
-    return DEFAULT_LEAD_COST;
+
+    if (rule.startTime && rule.endTime) {
+        const now = at.getHours() * 60 + at.getMinutes();
+        const start = minutesOfDay(rule.startTime);
+        const end = minutesOfDay(rule.endTime);
+        // A window such as 22:00-06:00 wraps past midnight
+        return start <= end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    return true;
+}
+
+function ruleMatches(rule, context, at) {
+    if (rule.effectiveFrom && new Date(rule.effectiveFrom) > at) return false;
+    if (rule.effectiveTo && new Date(rule.effectiveTo) <= at) return false;
+    if (rule.categoryId && rule.categoryId !== context.categoryId) return false;
+    if (rule.subCategoryId && rule.subCategoryId !== context.subCategoryId) return false;
+    if (rule.zipCode && normalizeZip(rule.zipCode) !== context.zipCode) return false;
+    if (rule.state && normalizeState(rule.state) !== context.state) return false;
+    return inTimeWindow(rule, at);
+}
+
+// Narrower keys outrank broader ones when priorities are equal
+function specificity(rule) {
+    let score = 0;
+    if (rule.zipCode) score += 16;
+    if (rule.state) score += 8;
+    if (rule.subCategoryId) score += 4;
+    if (rule.categoryId) score += 2;
+    if ((rule.daysOfWeek && rule.daysOfWeek.length > 0) || rule.startTime) score += 1;
+    return score;
+}
+
+function normalizeContext(context) {
+    // Older callers pass a bare categoryId
+    const raw = typeof context === 'object' && context !== null ? context : { categoryId: context };
+    return {
+        categoryId: raw.categoryId ? parseInt(raw.categoryId) : null,
+        subCategoryId: raw.subCategoryId ? parseInt(raw.subCategoryId) : null,
+        zipCode: normalizeZip(raw.zipCode),
+        state: normalizeState(raw.state),
+        at: raw.at ? new Date(raw.at) : new Date()
+    };
+}
+
+/**
+ * Find the price rule that applies to a lead
+ * @param {number|Object|null} context - categoryId, or { categoryId, subCategoryId, zipCode, state, at }
+ * @returns {Promise<Object>} { cost (cents), rule: { id, name } | null }
+ */
+async function resolveLeadPrice(context = null) {
+    const normalized = normalizeContext(context);
+
+    // Look up the state from the zip code when the caller only knows the zip
+    if (!normalized.state && normalized.zipCode) {
+        try {
+            const zip = await ZipCode.findOne({ where: { code: normalized.zipCode }, attributes: ['state'] });
+            normalized.state = normalizeState(zip?.state);
+        } catch (error) {
+            // State-keyed rules are simply skipped
+        }
+    }
+
+    const rules = await loadActiveRules();
+    const matches = rules
+        .filter(rule => ruleMatches(rule, normalized, normalized.at))
+        .sort((a, b) => (b.priority - a.priority) ||
+            (specificity(b) - specificity(a)) ||
+            (new Date(b.effectiveFrom || 0) - new Date(a.effectiveFrom || 0)) ||
+            (b.id - a.id));
+
+    if (matches.length === 0) {
+        return { cost: DEFAULT_LEAD_COST, rule: null };
+    }
+
+    return { cost: matches[0].priceCents, rule: { id: matches[0].id, name: matches[0].name } };
+}
+
+/**
+ * Build the pricing context for a lead (subcategory comes from its service request)
+ * @param {Object} lead - Lead instance
+ * @returns {Promise<Object>} Context for resolveLeadPrice / getLeadCost
+ */
+async function leadPricingContext(lead) {
+    let subCategoryId = null;
+    try {
+        const metadata = typeof lead.metadata === 'string' ? JSON.parse(lead.metadata) : lead.metadata;
+        if (metadata && metadata.serviceRequestId) {
+            const serviceRequest = await ServiceRequest.findByPk(metadata.serviceRequestId, {
+                attributes: ['id', 'subCategoryId']
+            });
+            subCategoryId = serviceRequest?.subCategoryId || null;
+        }
+    } catch (error) {
+        console.error('[Lead Pricing] Error reading lead metadata:', error.message);
+    }
+
+    return {
+        categoryId: lead.categoryId || null,
+        subCategoryId,
+        zipCode: lead.locationPostalCode,
+        state: lead.locationState
+    };
+}
+
+/**
+ * Get the lead cost for a given category or pricing context
+ * @param {number|Object|null} context - categoryId, or { categoryId, subCategoryId, zipCode, state, at }
+ * @returns {Promise<number>} Cost in cents
+ */
+async function getLeadCost(context = null) {
+    return (await resolveLeadPrice(context)).cost;
 }
 
 /**
  * Get the lead cost in dollars
- * @param {number|null} categoryId - The category ID (optional)
- * @returns {number} Cost in dollars
+ * @param {number|Object|null} context - See getLeadCost
+ * @returns {Promise<number>} Cost in dollars
  */
-function getLeadCostInDollars(categoryId = null) {
-    return getLeadCost(categoryId) / 100;
+async function getLeadCostInDollars(context = null) {
+    return (await getLeadCost(context)) / 100;
 }
 
 /**
- * Get the lead cost with subscription discount applied
- * @param {number|null} categoryId - The category ID (optional)
+ * Apply a subscription discount to a base cost
+ * @param {number} baseCost - Cost in cents
  * @param {Object} subscriptionBenefits - Subscription benefits object from getSubscriptionBenefits
  * @returns {number} Cost in cents after discount
  */
-function getLeadCostWithDiscount(categoryId = null, subscriptionBenefits = null) {
-    const baseCost = getLeadCost(categoryId);
-
+function applyLeadDiscount(baseCost, subscriptionBenefits = null) {
     // If no subscription benefits or no active subscription, return base cost
     if (!subscriptionBenefits || !subscriptionBenefits.hasActiveSubscription) {
         return baseCost;
@@ -66,11 +202,23 @@ function getLeadCostWithDiscount(categoryId = null, subscriptionBenefits = null)
     return Math.max(1, Math.round(discountedCost));
 }
 
+/**
+ * Get the lead cost with subscription discount applied
+ * @param {number|Object|null} context - See getLeadCost
+ * @param {Object} subscriptionBenefits - Subscription benefits object from getSubscriptionBenefits
+ * @returns {Promise<number>} Cost in cents after discount
+ */
+async function getLeadCostWithDiscount(context = null, subscriptionBenefits = null) {
+    return applyLeadDiscount(await getLeadCost(context), subscriptionBenefits);
+}
+
 module.exports = {
     DEFAULT_LEAD_COST,
-    CATEGORY_PRICING,
+    resolveLeadPrice,
+    leadPricingContext,
+    clearLeadPriceCache,
     getLeadCost,
     getLeadCostInDollars,
+    applyLeadDiscount,
     getLeadCostWithDiscount
 };
-
@@ -1,26 +1,171 @@
 /**
  * Platform fee configuration
- * Platform keeps 10% fee, provider receives 90%
+ *
+ * The platform keeps a fee on every proposal and milestone payment. Fees come
+ * from admin-managed PlatformFeeRule rows - a percentage and/or fixed amount
+ * with optional min/max caps - which can be keyed by category, the provider's
+ * SubscriptionPlan tier or the provider themselves, with effective dates.
+ * The default fee (10%, or PLATFORM_FEE_PERCENTAGE) applies when no rule matches.
+ *
+ * The rule used is snapshotted onto the proposal/milestone (platformFeeRule) so
+ * later refunds and reports use the same split even after the schedule changes.
  */
 
+const { PlatformFeeRule, ProviderProfile, ServiceRequest } = require('../models');
+const getSubscriptionBenefits = require('../utils/getSubscriptionBenefits');
+
 const PLATFORM_FEE_PERCENTAGE = parseFloat(process.env.PLATFORM_FEE_PERCENTAGE) || 0.10; // 10%
 const PLATFORM_FEE_MINIMUM = parseFloat(process.env.PLATFORM_FEE_MINIMUM) || 0; // Minimum fee in dollars (optional)
 
+// Applies when no fee rule matches
+const DEFAULT_FEE_RULE = {
+    id: null,
+    name: 'Default platform fee',
+    feePercent: Math.round(PLATFORM_FEE_PERCENTAGE * 10000) / 100,
+    fixedFeeCents: 0,
+    minFeeCents: PLATFORM_FEE_MINIMUM > 0 ? Math.round(PLATFORM_FEE_MINIMUM * 100) : null,
+    maxFeeCents: null
+};
+
+// Active rules are cached briefly, like lead price rules
+const RULE_CACHE_TTL_MS = 60 * 1000;
+let ruleCache = { rules: null, loadedAt: 0 };
+
+async function loadActiveRules() {
+    if (ruleCache.rules && Date.now() - ruleCache.loadedAt < RULE_CACHE_TTL_MS) {
+        return ruleCache.rules;
+    }
+
+    try {
+        const rules = await PlatformFeeRule.findAll({ where: { isActive: true } });
+        ruleCache = { rules: rules.map(rule => rule.toJSON()), loadedAt: Date.now() };
+    } catch (error) {
+        // Table missing (migration not run yet) - fall back to the default fee
+        console.error('[Platform Fee] Could not load fee rules:', error.message);
+        ruleCache = { rules: [], loadedAt: Date.now() };
+    }
+    return ruleCache.rules;
+}
+
+/**
+ * Drop cached rules so admin changes apply immediately
+ */
+function clearPlatformFeeCache() {
+    ruleCache = { rules: null, loadedAt: 0 };
+}
+
+function ruleMatches(rule, context, at) {
+    if (rule.effectiveFrom && new Date(rule.effectiveFrom) > at) return false;
+    if (rule.effectiveTo && new Date(rule.effectiveTo) <= at) return false;
+    if (rule.categoryId && rule.categoryId !== context.categoryId) return false;
+    if (rule.planTier && rule.planTier !== context.planTier) return false;
+    if (rule.userId && rule.userId !== context.userId) return false;
+    return true;
+}
+
+// Narrower keys outrank broader ones when priorities are equal
+function specificity(rule) {
+    let score = 0;
+    if (rule.userId) score += 4;
+    if (rule.categoryId) score += 2;
+    if (rule.planTier) score += 1;
+    return score;
+}
+
+/**
+ * Snapshot of a fee rule: what the split depends on, plus where it came from
+ * @param {Object} rule - PlatformFeeRule (plain object) or DEFAULT_FEE_RULE
+ * @param {Date} at - When it was applied
+ * @returns {Object}
+ */
+function snapshotFeeRule(rule, at) {
+    return {
+        id: rule.id,
+        name: rule.name,
+        feePercent: parseFloat(rule.feePercent) || 0,
+        fixedFeeCents: rule.fixedFeeCents || 0,
+        minFeeCents: rule.minFeeCents !== undefined ? rule.minFeeCents : null,
+        maxFeeCents: rule.maxFeeCents !== undefined ? rule.maxFeeCents : null,
+        categoryId: rule.categoryId || null,
+        planTier: rule.planTier || null,
+        userId: rule.userId || null,
+        appliedAt: at
+    };
+}
+
+/**
+ * Find the fee rule that applies to a payment
+ * @param {Object} context - { categoryId, userId (provider's user), planTier, at }
+ *   planTier is looked up from the provider's subscription when only userId is given
+ * @returns {Promise<Object>} Rule snapshot (id is null for the default fee)
+ */
+async function resolvePlatformFee(context = {}) {
+    const at = context.at ? new Date(context.at) : new Date();
+    const normalized = {
+        categoryId: context.categoryId ? parseInt(context.categoryId) : null,
+        userId: context.userId ? parseInt(context.userId) : null,
+        planTier: context.planTier ? String(context.planTier).toUpperCase() : null
+    };
+
+    if (!normalized.planTier && normalized.userId) {
+        const benefits = await getSubscriptionBenefits(normalized.userId);
+        normalized.planTier = benefits && benefits.hasActiveSubscription ? benefits.tier : null;
+    }
+
+    const rules = await loadActiveRules();
+    const matches = rules
+        .filter(rule => ruleMatches(rule, normalized, at))
+        .sort((a, b) => (b.priority - a.priority) ||
+            (specificity(b) - specificity(a)) ||
+            (new Date(b.effectiveFrom || 0) - new Date(a.effectiveFrom || 0)) ||
+            (b.id - a.id));
+
+    return snapshotFeeRule(matches.length > 0 ? matches[0] : DEFAULT_FEE_RULE, at);
+}
+
+/**
+ * Resolve the fee rule for a proposal (category from its service request, provider from its profile)
+ * @param {Object} proposal - Proposal instance
+ * @param {Date} at - When the payment was made (defaults to now)
+ * @returns {Promise<Object>} Rule snapshot
+ */
+async function resolveProposalFee(proposal, at = null) {
+    const [providerProfile, serviceRequest] = await Promise.all([
+        ProviderProfile.findByPk(proposal.providerId, { attributes: ['id', 'userId'] }),
+        ServiceRequest.findByPk(proposal.serviceRequestId, { attributes: ['id', 'categoryId'] })
+    ]);
+
+    return resolvePlatformFee({
+        categoryId: serviceRequest ? serviceRequest.categoryId : null,
+        userId: providerProfile ? providerProfile.userId : null,
+        at: at || new Date()
+    });
+}
+
 /**
  * Calculate provider payout and platform fee
- * @param {number} totalAmount - Total proposal price in dollars
+ * @param {number} totalAmount - Total payment in dollars
+ * @param {Object|null} rule - Fee rule or snapshot (feePercent, fixedFeeCents, minFeeCents, maxFeeCents);
+ *   the default fee when omitted
  * @returns {Object} { providerAmount, platformFee, providerAmountCents, platformFeeCents, totalCents }
  */
-function calculatePayouts(totalAmount) {
+function calculatePayouts(totalAmount, rule = null) {
     if (!totalAmount || totalAmount <= 0) {
         throw new Error('Total amount must be greater than 0');
     }
 
+    // JSON snapshots can come back from the database as a string
+    const feeRule = (typeof rule === 'string' ? JSON.parse(rule) : rule) || DEFAULT_FEE_RULE;
     const totalCents = Math.round(totalAmount * 100);
-    const platformFeeCents = Math.max(
-        Math.round(totalCents * PLATFORM_FEE_PERCENTAGE),
-        Math.round(PLATFORM_FEE_MINIMUM * 100)
-    );
+    let platformFeeCents = Math.round(totalCents * (parseFloat(feeRule.feePercent) || 0) / 100) + (parseInt(feeRule.fixedFeeCents) || 0);
+    if (feeRule.minFeeCents !== null && feeRule.minFeeCents !== undefined) {
+        platformFeeCents = Math.max(platformFeeCents, parseInt(feeRule.minFeeCents));
+    }
+    if (feeRule.maxFeeCents !== null && feeRule.maxFeeCents !== undefined) {
+        platformFeeCents = Math.min(platformFeeCents, parseInt(feeRule.maxFeeCents));
+    }
+    // The fee can never exceed the payment itself
+    platformFeeCents = Math.min(Math.max(platformFeeCents, 0), totalCents);
     const providerAmountCents = totalCents - platformFeeCents;
 
     return {
@@ -41,10 +186,34 @@ function formatCurrency(amount) {
     return `$${parseFloat(amount || 0).toFixed(2)}`;
 }
 
+/**
+ * Short description of a fee rule, e.g. "5% + $0.30 (min $1.00)"
+ * @param {Object|null} rule - Fee rule or snapshot; the default fee when omitted
+ * @returns {string}
+ */
+function describeFeeRule(rule = null) {
+    const feeRule = (typeof rule === 'string' ? JSON.parse(rule) : rule) || DEFAULT_FEE_RULE;
+    const parts = [];
+    const percent = parseFloat(feeRule.feePercent) || 0;
+    if (percent > 0) parts.push(`${percent}%`);
+    if (feeRule.fixedFeeCents > 0) parts.push(formatCurrency(feeRule.fixedFeeCents / 100));
+
+    const caps = [];
+    if (feeRule.minFeeCents !== null && feeRule.minFeeCents !== undefined) caps.push(`min ${formatCurrency(feeRule.minFeeCents / 100)}`);
+    if (feeRule.maxFeeCents !== null && feeRule.maxFeeCents !== undefined) caps.push(`max ${formatCurrency(feeRule.maxFeeCents / 100)}`);
+
+    return `${parts.length > 0 ? parts.join(' + ') : 'No fee'}${caps.length > 0 ? ` (${caps.join(', ')})` : ''}`;
+}
+
 module.exports = {
     PLATFORM_FEE_PERCENTAGE,
     PLATFORM_FEE_MINIMUM,
+    DEFAULT_FEE_RULE,
+    resolvePlatformFee,
+    resolveProposalFee,
+    snapshotFeeRule,
+    clearPlatformFeeCache,
     calculatePayouts,
+    describeFeeRule,
     formatCurrency
 };
-
@@ -0,0 +1,85 @@
+const rateLimit = require('express-rate-limit');
+const { findActiveApiKey, recordApiKeyUsage } = require('../utils/apiKeys');
+
+// Public API requests authenticate with an API key instead of the session JWT.
+// The key is sent as "Authorization: Bearer spk_..." or "X-API-Key: spk_...".
+exports.authenticateApiKey = async (req, res, next) => {
+  let key;
+
+  if (req.headers['x-api-key']) {
+    key = String(req.headers['x-api-key']).trim();
+  } else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    key = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!key) {
+    return res.status(401).json({ success: false, error: 'API key required' });
+  }
+
+  try {
+    const apiKey = await findActiveApiKey(key);
+    if (!apiKey) {
+      return res.status(401).json({ success: false, error: 'Invalid or revoked API key' });
+    }
+
+    req.apiKey = apiKey;
+
+    // Usage counters must never fail the request
+    recordApiKeyUsage(apiKey).catch(err => {
+      console.error(`Failed to record usage for API key ${apiKey.id}:`, err.message);
+    });
+
+    next();
+  } catch (err) {
+    console.error('API key authentication error:', err);
+    return res.status(500).json({ success: false, error: 'Server error' });
+  }
+};
+
+// Per-IP limit on failed authentications, mounted in front of authenticateApiKey so
+// guessed or revoked keys can't turn into unlimited key lookups. Requests that
+// authenticate are not counted.
+exports.apiKeyAuthFailureLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.API_KEY_AUTH_FAILURE_LIMIT) || 20,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => Boolean(req.apiKey),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: 'Too many failed API key attempts from this IP, please try again later.',
+      retryAfter: Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000)
+    });
+  }
+});
+
+// Per-key limit, using the requests-per-minute stored on the key
+exports.apiKeyRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: `Rate limit of ${req.apiKey.rateLimitPerMinute} requests per minute exceeded for this API key`,
+      retryAfter: Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000)
+    });
+  }
+});
+
+// Require the key to have been granted a scope
+exports.requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!(req.apiKey.scopes || []).includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `This API key is missing the '${scope}' scope`
+      });
+    }
+    next();
+  };
+};
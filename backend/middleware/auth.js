@@ -1,5 +1,72 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session } = require('../models');
+
+// Check that the session an access token belongs to hasn't been revoked
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) {
+    return false;
+  }
+  const session = await Session.findByPk(sessionId, {
+    attributes: ['id', 'userId', 'revokedAt', 'expiresAt']
+  });
+  return !!session && session.userId === userId && session.isActive();
+};
+
+/**
+ * Verify an access token and load its user
+ * @returns {Promise<object>} { user, decoded } or { status, error, code } when rejected
+ */
+const verifyAccessToken = async (token) => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret || secret === 'your-secret-key') {
+    return { status: 500, error: 'Server configuration error' };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, secret);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return { status: 401, error: 'Access token expired', code: 'TOKEN_EXPIRED' };
+    }
+    return { status: 401, error: 'Not authorized to access this route' };
+  }
+
+  // Get user from token
+  const user = await User.findByPk(decoded.id, {
+    attributes: { exclude: ['password'] }
+  });
+
+  if (!user) {
+    return { status: 401, error: 'User not found' };
+  }
+
+  if (!user.isActive) {
+    return { status: 401, error: 'User account is deactivated' };
+  }
+
+  // Reject tokens issued before a password change/reset
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return {
+      status: 401,
+      error: 'Password was changed recently. Please log in again.',
+      code: 'PASSWORD_CHANGED'
+    };
+  }
+
+  // Reject tokens whose session was logged out or revoked
+  if (!(await isSessionActive(decoded.sid, user.id))) {
+    return {
+      status: 401,
+      error: 'Session has expired or was revoked. Please log in again.',
+      code: 'SESSION_REVOKED'
+    };
+  }
+
+  return { user, decoded };
+};
+
+exports.verifyAccessToken = verifyAccessToken;
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -18,25 +85,13 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const secret = process.env.JWT_SECRET;
-    if (!secret || secret === 'your-secret-key') {
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
-    const decoded = jwt.verify(token, secret);
-
-    // Get user from token
-    req.user = await User.findByPk(decoded.id, {
-      attributes: { exclude: ['password'] }
-    });
-
-    if (!req.user) {
-      return res.status(401).json({ error: 'User not found' });
+    const result = await verifyAccessToken(token);
+    if (result.error) {
+      return res.status(result.status).json(result.code ? { error: result.error, code: result.code } : { error: result.error });
     }
 
-    if (!req.user.isActive) {
-      return res.status(401).json({ error: 'User account is deactivated' });
-    }
+    req.user = result.user;
+    req.sessionId = result.decoded.sid;
 
     next();
   } catch (err) {
@@ -74,6 +129,11 @@ exports.optionalAuth = async (req, res, next) => {
         req.user = await User.findByPk(decoded.id, {
           attributes: { exclude: ['password'] }
         });
+        if (req.user && (req.user.changedPasswordAfter(decoded.iat) || !(await isSessionActive(decoded.sid, req.user.id)))) {
+          req.user = null;
+        } else if (req.user) {
+          req.sessionId = decoded.sid;
+        }
       }
     } catch (err) {
       // Token invalid, but continue anyway
@@ -83,4 +143,3 @@ exports.optionalAuth = async (req, res, next) => {
 
   next();
 };
-
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A developer key for the public API (/api/public/v1). Only the SHA-256 of the key
+// is stored; the key itself is shown to its owner once, when it is created or rotated.
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // First characters of the key, so owners can tell their keys apart
+  keyPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  },
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // Subset of SCOPES in utils/apiKeys.js
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  rateLimitPerMinute: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60
+  },
+  // Lifetime total; per-day counts are in api_key_usage
+  requestCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Key this one replaced when it was rotated
+  rotatedFromId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'revokedAt']
+    }
+  ]
+});
+
+ApiKey.prototype.isActive = function() {
+  return !this.revokedAt;
+};
+
+module.exports = ApiKey;
@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Requests made with an API key on one day (UTC)
+const ApiKeyUsage = sequelize.define('ApiKeyUsage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  apiKeyId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'api_keys',
+      key: 'id'
+    }
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  requestCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'api_key_usage',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['apiKeyId', 'date']
+    }
+  ]
+});
+
+module.exports = ApiKeyUsage;
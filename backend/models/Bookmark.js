@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A business saved to one of a user's bookmark lists. The same business can be
+// in several lists, but only once per list.
+const Bookmark = sequelize.define('Bookmark', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Copied from the list so "has this user saved it" and "how many users saved it"
+  // don't need a join
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  listId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'bookmark_lists',
+      key: 'id'
+    }
+  },
+  businessId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'businesses',
+      key: 'id'
+    }
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'bookmarks',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['listId', 'businessId']
+    },
+    {
+      fields: ['userId', 'businessId']
+    },
+    {
+      fields: ['businessId']
+    }
+  ]
+});
+
+module.exports = Bookmark;
@@ -183,6 +183,21 @@ const Business = sequelize.define('Business', {
   isPublic: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  // IANA timezone the availability calendar is kept in
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: process.env.DEFAULT_TIMEZONE || 'America/New_York'
+  },
+  appointmentDurationMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60,
+    validate: {
+      min: { args: [15], msg: 'Appointments must be at least 15 minutes' },
+      max: { args: [720], msg: 'Appointments cannot exceed 12 hours' }
+    }
   }
 }, {
   tableName: 'businesses',
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One weekly bookable window for a business, in the business's own timezone
+const BusinessAvailability = sequelize.define('BusinessAvailability', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    businessId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'businesses',
+            key: 'id'
+        }
+    },
+    // 0 = Sunday ... 6 = Saturday
+    dayOfWeek: {
+        type: DataTypes.TINYINT,
+        allowNull: false,
+        validate: {
+            min: 0,
+            max: 6
+        }
+    },
+    // 'HH:MM', 24-hour clock
+    startTime: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        validate: {
+            is: { args: /^([01]\d|2[0-3]):[0-5]\d$/, msg: 'Start time must be HH:MM' }
+        }
+    },
+    endTime: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        validate: {
+            is: { args: /^([01]\d|2[0-3]):[0-5]\d$/, msg: 'End time must be HH:MM' }
+        }
+    }
+}, {
+    tableName: 'business_availability',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['businessId', 'dayOfWeek']
+        }
+    ]
+});
+
+module.exports = BusinessAvailability;
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Dates a business takes no appointments (holidays, vacation), inclusive
+const BusinessBlackout = sequelize.define('BusinessBlackout', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    businessId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'businesses',
+            key: 'id'
+        }
+    },
+    startDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    endDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    }
+}, {
+    tableName: 'business_blackouts',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['businessId', 'endDate']
+        }
+    ]
+});
+
+module.exports = BusinessBlackout;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// An extra branch of a business. The main address stays on the business itself;
+// search and lead routing measure distance to whichever location is closest.
+const BusinessLocation = sequelize.define('BusinessLocation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  businessId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'businesses',
+      key: 'id'
+    }
+  },
+  // Shown to customers, e.g. "Northside branch"
+  label: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  address: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  state: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  zipCode: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  // Filled from the zip code gazetteer when not given
+  latitude: {
+    type: DataTypes.DECIMAL(10, 8),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(11, 8),
+    allowNull: true
+  }
+}, {
+  tableName: 'business_locations',
+  timestamps: true,
+  indexes: [
+    { fields: ['businessId'] },
+    { fields: ['zipCode'] },
+    { fields: ['latitude', 'longitude'] }
+  ]
+});
+
+module.exports = BusinessLocation;
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Where a business takes work. A business with service areas is matched to searches
+// and service requests by these instead of its address (see utils/serviceAreas.js).
+// - zip_codes: the listed zip codes
+// - radius: within radiusMiles of latitude/longitude
+// - polygon: inside the drawn polygon ([[lat, lng], ...])
+// min/max lat/lng hold the bounding box of radius and polygon areas for prefiltering.
+const BusinessServiceArea = sequelize.define('BusinessServiceArea', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  businessId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'businesses',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('zip_codes', 'radius', 'polygon'),
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  zipCodes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(10, 8),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(11, 8),
+    allowNull: true
+  },
+  radiusMiles: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true
+  },
+  polygon: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  minLatitude: {
+    type: DataTypes.DECIMAL(10, 8),
+    allowNull: true
+  },
+  maxLatitude: {
+    type: DataTypes.DECIMAL(10, 8),
+    allowNull: true
+  },
+  minLongitude: {
+    type: DataTypes.DECIMAL(11, 8),
+    allowNull: true
+  },
+  maxLongitude: {
+    type: DataTypes.DECIMAL(11, 8),
+    allowNull: true
+  }
+}, {
+  tableName: 'business_service_areas',
+  timestamps: true,
+  indexes: [
+    { fields: ['businessId'] },
+    { fields: ['type', 'minLatitude', 'maxLatitude'] }
+  ]
+});
+
+module.exports = BusinessServiceArea;
@@ -34,10 +34,26 @@ const Contact = sequelize.define('Contact', {
     type: DataTypes.INTEGER,
     allowNull: true
   },
+  // 'spam' is the quarantine: kept for review, never emailed (utils/antiAbuse.js)
   status: {
-    type: DataTypes.ENUM('new', 'read', 'replied', 'resolved'),
+    type: DataTypes.ENUM('new', 'read', 'replied', 'resolved', 'spam'),
     defaultValue: 'new'
   },
+  spamScore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Why the spam checks scored the submission, e.g. ["Disposable email address"]
+  spamReasons: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
   repliedAt: {
     type: DataTypes.DATE,
     allowNull: true
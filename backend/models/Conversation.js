@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One thread per service request and provider. The proposal is linked once the
+// provider has sent one so quotes can be clarified before acceptance.
+const Conversation = sequelize.define('Conversation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  serviceRequestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'service_requests',
+      key: 'id'
+    }
+  },
+  proposalId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'proposals',
+      key: 'id'
+    }
+  },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // User ID of the provider (same as leads.providerId, not provider_profiles.id)
+  providerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  lastMessageAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastMessagePreview: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'conversations',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['serviceRequestId', 'providerId']
+    },
+    {
+      fields: ['customerId']
+    },
+    {
+      fields: ['providerId']
+    }
+  ]
+});
+
+Conversation.prototype.isParticipant = function (userId) {
+  return this.customerId === userId || this.providerId === userId;
+};
+
+Conversation.prototype.otherParticipantId = function (userId) {
+  return this.customerId === userId ? this.providerId : this.customerId;
+};
+
+module.exports = Conversation;
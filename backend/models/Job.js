@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Background job run by the in-process worker (see utils/jobQueue.js)
+const Job = sequelize.define('Job', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    type: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    // queued -> running -> completed, or back to queued for a retry;
+    // failed is the dead-letter state once attempts run out
+    status: {
+        type: DataTypes.ENUM('queued', 'running', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'queued'
+    },
+    runAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    maxAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+    },
+    // Enqueueing the same key twice returns the existing job
+    idempotencyKey: {
+        type: DataTypes.STRING(191),
+        allowNull: true,
+        unique: true
+    },
+    lockedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lockedBy: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    result: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'jobs',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['status', 'runAt']
+        },
+        {
+            fields: ['type']
+        }
+    ]
+});
+
+module.exports = Job;
@@ -79,6 +79,20 @@ const Lead = sequelize.define('Lead', {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: true
     },
+    // Lead fee payment - set once the fee is charged
+    paymentStatus: {
+        type: DataTypes.ENUM('succeeded', 'failed', 'partially_refunded', 'refunded'),
+        allowNull: true
+    },
+    refundedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    disputeStatus: {
+        type: DataTypes.ENUM('needs_response', 'under_review', 'won', 'lost', 'closed'),
+        allowNull: true
+    },
     statusHistory: {
         type: DataTypes.TEXT,
         allowNull: true
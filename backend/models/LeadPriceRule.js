@@ -0,0 +1,127 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Admin-managed lead price. Every key left empty acts as a wildcard.
+const LeadPriceRule = sequelize.define('LeadPriceRule', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+        validate: {
+            notEmpty: { msg: 'Rule name is required' }
+        }
+    },
+    categoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'categories',
+            key: 'id'
+        }
+    },
+    subCategoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'subcategories',
+            key: 'id'
+        }
+    },
+    zipCode: {
+        type: DataTypes.STRING(10),
+        allowNull: true
+    },
+    state: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    // Time window - days are 0 (Sunday) to 6, times are HH:MM in server time.
+    // A window whose end is before its start runs past midnight.
+    daysOfWeek: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    startTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        validate: {
+            is: { args: TIME_PATTERN, msg: 'Start time must be HH:MM' }
+        }
+    },
+    endTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        validate: {
+            is: { args: TIME_PATTERN, msg: 'End time must be HH:MM' }
+        }
+    },
+    priceCents: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: { args: [50], msg: 'Price must be at least $0.50' }
+        }
+    },
+    effectiveFrom: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    effectiveTo: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Higher priority wins; ties go to the most specific rule
+    priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    tableName: 'lead_price_rules',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['isActive']
+        },
+        {
+            fields: ['categoryId']
+        }
+    ],
+    validate: {
+        timeWindowComplete() {
+            if ((this.startTime && !this.endTime) || (!this.startTime && this.endTime)) {
+                throw new Error('Start and end time must be set together');
+            }
+        },
+        effectiveRange() {
+            if (this.effectiveFrom && this.effectiveTo && new Date(this.effectiveTo) <= new Date(this.effectiveFrom)) {
+                throw new Error('Effective end date must be after the start date');
+            }
+        }
+    }
+});
+
+module.exports = LeadPriceRule;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const appendOnly = () => {
+    throw new Error('Ledger entries are append-only - post a correcting transaction instead');
+};
+
+// One debit or credit line of a LedgerTransaction
+const LedgerEntry = sequelize.define('LedgerEntry', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    transactionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // One of ACCOUNTS in utils/ledger.js
+    account: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    // Provider the line belongs to (provider_payable lines)
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    direction: {
+        type: DataTypes.ENUM('debit', 'credit'),
+        allowNull: false
+    },
+    amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+    },
+    // Copied from the transaction so balances as of a date need no join
+    occurredAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'ledger_entries',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['transactionId'] },
+        { fields: ['account', 'occurredAt'] },
+        { fields: ['account', 'userId'] }
+    ],
+    hooks: {
+        beforeUpdate: appendOnly,
+        beforeDestroy: appendOnly,
+        beforeBulkUpdate: appendOnly,
+        beforeBulkDestroy: appendOnly
+    }
+});
+
+module.exports = LedgerEntry;
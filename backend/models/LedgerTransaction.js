@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const appendOnly = () => {
+    throw new Error('Ledger transactions are append-only - post a correcting transaction instead');
+};
+
+// One money event in the ledger (a payment, payout, refund, ...) - its entries always balance (see utils/ledger.js)
+const LedgerTransaction = sequelize.define('LedgerTransaction', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // proposal_payment, milestone_payment, lead_charge, subscription_payment, payout,
+    // refund, refund_reversal, transfer_reversal, dispute_loss
+    type: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    // One posting per event, e.g. payment:proposal:12 or refund:7
+    idempotencyKey: {
+        type: DataTypes.STRING(191),
+        allowNull: false,
+        unique: true
+    },
+    // The payment the event belongs to: proposal, milestone, lead or subscription_invoice
+    referenceType: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    referenceId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // Provider (or subscriber) the money relates to
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Payment intent, refund, transfer, transfer reversal or dispute ID at the processor
+    stripeObjectId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    // Total of the debits (= total of the credits)
+    amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+    },
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'usd'
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    // When the money moved (createdAt is when it was posted)
+    occurredAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    metadata: {
+        type: DataTypes.JSON,
+        allowNull: true
+    }
+}, {
+    tableName: 'ledger_transactions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['referenceType', 'referenceId'] },
+        { fields: ['userId', 'occurredAt'] },
+        { fields: ['occurredAt'] },
+        { fields: ['stripeObjectId'] }
+    ],
+    hooks: {
+        beforeUpdate: appendOnly,
+        beforeDestroy: appendOnly,
+        beforeBulkUpdate: appendOnly,
+        beforeBulkDestroy: appendOnly
+    }
+});
+
+module.exports = LedgerTransaction;
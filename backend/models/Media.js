@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// An uploaded file. Rows that reference it (Business.logo/images/videos, Review.images)
+// store its url; the bytes live in the storage backend (utils/mediaStorage.js).
+const Media = sequelize.define('Media', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  ownerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // What the upload is for: business_logo, business_image, business_video, review_image
+  purpose: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  kind: {
+    type: DataTypes.ENUM('image', 'video'),
+    allowNull: false
+  },
+  storage: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'local'
+  },
+  // Storage key of the main file (the largest responsive size for images)
+  storageKey: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  url: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    unique: true
+  },
+  // MIME type sniffed from the file contents, not the one the client sent
+  mimeType: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  originalName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // { thumb: { key, url, width, height }, small: {...}, medium: {...}, large: {...} }
+  variants: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  },
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  }
+}, {
+  tableName: 'media',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['ownerId']
+    },
+    {
+      fields: ['checksum']
+    }
+  ]
+});
+
+module.exports = Media;
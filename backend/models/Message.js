@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Message = sequelize.define('Message', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  conversationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'conversations',
+      key: 'id'
+    }
+  },
+  senderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // [{ name, type, size, data }] - data is a base64 data URL, same as service request attachments
+  attachments: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
+  // Set when the recipient opens the thread
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'messages',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['conversationId', 'createdAt']
+    },
+    {
+      fields: ['conversationId', 'senderId', 'readAt']
+    }
+  ]
+});
+
+module.exports = Message;
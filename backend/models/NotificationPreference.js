@@ -73,6 +73,10 @@ const NotificationPreference = sequelize.define('NotificationPreference', {
         type: DataTypes.BOOLEAN,
         defaultValue: true
     },
+    newMessage: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    },
     unsubscribeToken: {
         type: DataTypes.STRING(100),
         allowNull: true,
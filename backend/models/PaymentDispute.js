@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A chargeback opened by the card holder at their bank (Stripe dispute)
+const PaymentDispute = sequelize.define('PaymentDispute', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    stripeDisputeId: {
+        type: DataTypes.STRING(191),
+        allowNull: false,
+        unique: true
+    },
+    stripeChargeId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    stripePaymentIntentId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    proposalId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    milestoneId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    leadId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    // Stripe's dispute status (needs_response, under_review, won, lost, ...)
+    status: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    evidenceDueBy: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    closedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    transferReversalAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    transferReversalStatus: {
+        type: DataTypes.ENUM('none', 'pending', 'reversed', 'recorded', 'failed'),
+        allowNull: false,
+        defaultValue: 'none'
+    },
+    stripeTransferReversalId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    metadata: {
+        type: DataTypes.JSON,
+        allowNull: true
+    }
+}, {
+    tableName: 'payment_disputes',
+    timestamps: true,
+    indexes: [
+        { fields: ['proposalId'] },
+        { fields: ['leadId'] },
+        { fields: ['status'] }
+    ]
+});
+
+module.exports = PaymentDispute;
@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Money returned on a proposal payment, milestone payment or lead fee (see utils/refunds.js)
+const PaymentRefund = sequelize.define('PaymentRefund', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // What was paid - milestone refunds also carry their proposalId
+    proposalId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    milestoneId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    leadId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    stripePaymentIntentId: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    stripeChargeId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    stripeRefundId: {
+        type: DataTypes.STRING(191),
+        allowNull: true,
+        unique: true
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.ENUM('requested_by_customer', 'duplicate', 'fraudulent', 'other'),
+        allowNull: false,
+        defaultValue: 'requested_by_customer'
+    },
+    note: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'canceled'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    // admin: issued from the admin panel; stripe: made in the Stripe dashboard
+    source: {
+        type: DataTypes.ENUM('admin', 'stripe'),
+        allowNull: false,
+        defaultValue: 'admin'
+    },
+    initiatedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Provider's share taken back from a payout that was already sent
+    transferReversalAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // recorded: no Stripe transfer to reverse, the provider owes it; failed: needs follow-up
+    transferReversalStatus: {
+        type: DataTypes.ENUM('none', 'pending', 'reversed', 'recorded', 'failed'),
+        allowNull: false,
+        defaultValue: 'none'
+    },
+    stripeTransferReversalId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    // Set once the refund has been applied to the payment and payout - never twice
+    appliedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    metadata: {
+        type: DataTypes.JSON,
+        allowNull: true
+    }
+}, {
+    tableName: 'payment_refunds',
+    timestamps: true,
+    indexes: [
+        { fields: ['proposalId'] },
+        { fields: ['leadId'] },
+        { fields: ['stripePaymentIntentId'] }
+    ]
+});
+
+module.exports = PaymentRefund;
@@ -0,0 +1,132 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const TIERS = ['BASIC', 'PRO', 'PREMIUM'];
+
+// Admin-managed platform fee on proposal and milestone payments. Every key left empty acts as a wildcard.
+const PlatformFeeRule = sequelize.define('PlatformFeeRule', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+        validate: {
+            notEmpty: { msg: 'Rule name is required' }
+        }
+    },
+    categoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'categories',
+            key: 'id'
+        }
+    },
+    // SubscriptionPlan tier the provider is on
+    planTier: {
+        type: DataTypes.ENUM(...TIERS),
+        allowNull: true
+    },
+    // Per-provider override (the provider's user account)
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    // Fee = feePercent of the payment + fixedFeeCents, then held between minFeeCents and maxFeeCents
+    feePercent: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: { args: [0], msg: 'Fee percent must be non-negative' },
+            max: { args: [100], msg: 'Fee percent cannot exceed 100' }
+        }
+    },
+    fixedFeeCents: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: { args: [0], msg: 'Fixed fee must be non-negative' }
+        }
+    },
+    minFeeCents: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: { args: [0], msg: 'Minimum fee must be non-negative' }
+        }
+    },
+    maxFeeCents: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: { args: [0], msg: 'Maximum fee must be non-negative' }
+        }
+    },
+    effectiveFrom: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    effectiveTo: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Higher priority wins; ties go to the most specific rule
+    priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    tableName: 'platform_fee_rules',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['isActive']
+        },
+        {
+            fields: ['userId']
+        }
+    ],
+    validate: {
+        feeCapsOrdered() {
+            if (this.minFeeCents !== null && this.minFeeCents !== undefined
+                && this.maxFeeCents !== null && this.maxFeeCents !== undefined
+                && this.maxFeeCents < this.minFeeCents) {
+                throw new Error('Maximum fee must not be below the minimum fee');
+            }
+        },
+        effectiveRange() {
+            if (this.effectiveFrom && this.effectiveTo && new Date(this.effectiveTo) <= new Date(this.effectiveFrom)) {
+                throw new Error('Effective end date must be after the start date');
+            }
+        }
+    }
+});
+
+module.exports = PlatformFeeRule;
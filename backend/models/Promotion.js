@@ -0,0 +1,114 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A deal a business offers. It is shown publicly only once an admin has approved it
+// and while it is running (see utils/promotions.js for what counts as active).
+const Promotion = sequelize.define('Promotion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  businessId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'businesses',
+      key: 'id'
+    }
+  },
+  title: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  discountType: {
+    type: DataTypes.ENUM('percent', 'fixed', 'free_addon'),
+    allowNull: false
+  },
+  // Percentage or dollar amount; null for free add-ons
+  discountValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  // What the customer gets for free_addon deals ("Free gutter cleaning")
+  addOnDescription: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Redemption code revealed to customers who claim the deal; never in public listings
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Null means unlimited
+  maxRedemptions: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  redemptionCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Category ids whose listings and searches show the deal; empty shows it everywhere
+  categoryIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Owner's on/off switch
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  moderationStatus: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  moderationNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  moderatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  moderatedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'promotions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['businessId']
+    },
+    {
+      fields: ['moderationStatus']
+    },
+    {
+      fields: ['startsAt', 'endsAt']
+    }
+  ]
+});
+
+module.exports = Promotion;
@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A customer claiming a promotion's code. One per customer per promotion; these
+// count against Promotion.maxRedemptions.
+const PromotionRedemption = sequelize.define('PromotionRedemption', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  promotionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'promotions',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'promotion_redemptions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['promotionId', 'userId']
+    }
+  ]
+});
+
+module.exports = PromotionRedemption;
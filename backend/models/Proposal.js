@@ -32,7 +32,7 @@ const Proposal = sequelize.define('Proposal', {
         allowNull: true
     },
     paymentStatus: {
-        type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+        type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'partially_refunded', 'refunded'),
         defaultValue: 'pending',
         allowNull: true
     },
@@ -48,8 +48,14 @@ const Proposal = sequelize.define('Proposal', {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: true
     },
+    // Fee rule the split was calculated with (see config/platformFee.js)
+    platformFeeRule: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    // cancelled: refunded before it was paid out; reversed: taken back from the provider in full
     payoutStatus: {
-        type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+        type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed', 'cancelled', 'reversed'),
         defaultValue: 'pending',
         allowNull: true
     },
@@ -61,6 +67,22 @@ const Proposal = sequelize.define('Proposal', {
         type: DataTypes.STRING(255),
         allowNull: true
     },
+    refundedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Provider's share taken back after payout by refunds and lost disputes
+    payoutReversedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Latest chargeback on the payment; the payout is held while it is open
+    disputeStatus: {
+        type: DataTypes.ENUM('needs_response', 'under_review', 'won', 'lost', 'closed'),
+        allowNull: true
+    },
     rejectionReason: {
         type: DataTypes.ENUM('TOO_FAR', 'TOO_EXPENSIVE', 'NOT_RELEVANT', 'OTHER'),
         allowNull: true
@@ -0,0 +1,114 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One payment step of a proposal (deposit, progress payment, final payment).
+// Each milestone is paid, approved and paid out on its own.
+const ProposalMilestone = sequelize.define('ProposalMilestone', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    proposalId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'proposals',
+            key: 'id'
+        }
+    },
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    title: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    // When the customer is expected to pay / approve this milestone
+    dueCondition: {
+        type: DataTypes.ENUM('on_acceptance', 'on_start', 'on_completion', 'custom'),
+        allowNull: false,
+        defaultValue: 'on_completion'
+    },
+    stripePaymentIntentId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    paymentStatus: {
+        type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'partially_refunded', 'refunded'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    paidAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Customer sign-off that releases the payout
+    approvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    providerPayoutAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+    platformFeeAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+    // Fee rule the split was calculated with (see config/platformFee.js)
+    platformFeeRule: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    // cancelled: refunded before it was paid out; reversed: taken back from the provider in full
+    payoutStatus: {
+        type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed', 'cancelled', 'reversed'),
+        allowNull: true
+    },
+    payoutProcessedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    stripeTransferId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    refundedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    payoutReversedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    disputeStatus: {
+        type: DataTypes.ENUM('needs_response', 'under_review', 'won', 'lost', 'closed'),
+        allowNull: true
+    }
+}, {
+    tableName: 'proposal_milestones',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['proposalId', 'position']
+        },
+        {
+            fields: ['stripePaymentIntentId']
+        }
+    ]
+});
+
+module.exports = ProposalMilestone;
@@ -31,6 +31,12 @@ const ProviderProfile = sequelize.define('ProviderProfile', {
     ratingCount: {
         type: DataTypes.INTEGER,
         defaultValue: 0
+    },
+    // Secret for the public iCalendar feed URL; reset to revoke old subscriptions
+    calendarFeedToken: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        unique: true
     }
 }, {
     tableName: 'provider_profiles',
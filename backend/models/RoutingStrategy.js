@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Admin-defined lead routing strategy (see utils/routingEngine.js)
+const RoutingStrategy = sequelize.define('RoutingStrategy', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notEmpty: { msg: 'Strategy name is required' }
+        }
+    },
+    // score: best score is primary, next 3 are alternatives
+    // round_robin: primary rotates to whoever waited longest for a lead
+    // exclusive: only the primary gets the lead, the next 3 are fallbacks
+    // shared: the top sharedCount providers all get the lead at once
+    type: {
+        type: DataTypes.ENUM('score', 'round_robin', 'exclusive', 'shared'),
+        allowNull: false,
+        defaultValue: 'score'
+    },
+    // Limit to one category; null applies to every category without its own strategy
+    categoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'categories',
+            key: 'id'
+        }
+    },
+    // Factor name -> weight; missing factors use the engine defaults
+    weights: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    sharedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 4,
+        validate: {
+            min: { args: [1], msg: 'Shared count must be at least 1' },
+            max: { args: [10], msg: 'Shared count cannot exceed 10' }
+        }
+    },
+    // Also consider businesses outside the request zip within this radius
+    maxDistanceMiles: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Open work orders at which the capacity factor reaches zero
+    capacityLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 10
+    },
+    // Featured / Pro subscribers are ranked ahead of everyone else
+    priorityProvidersFirst: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'routing_strategies',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['categoryId', 'isActive']
+        }
+    ]
+});
+
+module.exports = RoutingStrategy;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per business, built by utils/searchIndex.js. The text columns hold normalized
+// words plus their stems so "plumber" and "plumbing" match; each has its own FULLTEXT
+// index because MATCH() can only weight columns that are indexed separately.
+const SearchDocument = sequelize.define('SearchDocument', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  businessId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'businesses',
+      key: 'id'
+    }
+  },
+  // Business name
+  nameText: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Category, subcategory, tags and services
+  keywordText: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Description
+  contentText: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Titles and comments of the latest approved reviews
+  reviewText: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Distinct words counted in search_terms, so re-indexing can adjust the counts
+  terms: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  indexedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'search_documents',
+  timestamps: true,
+  indexes: [
+    { type: 'FULLTEXT', fields: ['nameText'] },
+    { type: 'FULLTEXT', fields: ['keywordText'] },
+    { type: 'FULLTEXT', fields: ['contentText'] },
+    { type: 'FULLTEXT', fields: ['reviewText'] }
+  ]
+});
+
+module.exports = SearchDocument;
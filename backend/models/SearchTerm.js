@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Vocabulary of the search index: every word that appears in a business name, category,
+// tag, service or description, with the number of businesses using it. Used for typo
+// correction and prefix autocomplete.
+const SearchTerm = sequelize.define('SearchTerm', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  term: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  documentCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'search_terms',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['documentCount']
+    }
+  ]
+});
+
+module.exports = SearchTerm;
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per signed-in device. The refresh token rotates on every use;
+// the access JWT carries the session id so revoking the row ends the session.
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // SHA-256 of the token it replaced - presenting it again means the token was stolen
+  previousTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+}, {
+  tableName: 'sessions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'revokedAt']
+    },
+    {
+      fields: ['previousTokenHash']
+    }
+  ]
+});
+
+Session.prototype.isActive = function() {
+  return !this.revokedAt && new Date(this.expiresAt) > new Date();
+};
+
+module.exports = Session;
@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One charge for a user subscription: the first payment, a renewal or a prorated plan change
+const SubscriptionInvoice = sequelize.define('SubscriptionInvoice', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    userSubscriptionId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    subscriptionPlanId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.ENUM('subscribe', 'renewal', 'plan_change'),
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('open', 'paid', 'failed', 'void'),
+        allowNull: false,
+        defaultValue: 'open'
+    },
+    // Plan price for the period (prorated for plan changes)
+    subtotal: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    creditApplied: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Amount charged: subtotal - creditApplied
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'usd'
+    },
+    periodStart: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    periodEnd: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    // Payment id at the billing provider for the latest attempt
+    paymentId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    attemptCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    paidAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Stops the same renewal from being billed twice
+    idempotencyKey: {
+        type: DataTypes.STRING(191),
+        allowNull: false,
+        unique: true
+    },
+    // Proration breakdown for plan changes
+    metadata: {
+        type: DataTypes.JSON,
+        allowNull: true
+    }
+}, {
+    tableName: 'subscription_invoices',
+    timestamps: true,
+    indexes: [
+        { fields: ['userId', 'createdAt'] },
+        { fields: ['userSubscriptionId', 'status'] },
+        { fields: ['paymentId'] }
+    ]
+});
+
+module.exports = SubscriptionInvoice;
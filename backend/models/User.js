@@ -111,6 +111,43 @@ const User = sequelize.define('User', {
   emailVerificationExpires: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  // Stored as a SHA-256 hash - the raw token only ever exists in the reset email
+  passwordResetToken: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  passwordResetExpires: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // JWTs issued before this moment are rejected by the auth middleware
+  passwordChangedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  twoFactorMethod: {
+    type: DataTypes.ENUM('totp', 'sms'),
+    allowNull: true
+  },
+  // AES-256-GCM encrypted TOTP secret (see utils/twoFactor.js)
+  twoFactorSecret: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Last accepted TOTP time step - prevents replaying a code within its window
+  twoFactorLastUsedStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
 }, {
   tableName: 'users',
@@ -131,11 +168,29 @@ const User = sequelize.define('User', {
   }
 });
 
+// Columns that must never leave the server, on top of the password hash
+User.SENSITIVE_FIELDS = [
+  'password',
+  'passwordResetToken',
+  'emailVerificationToken',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep'
+];
+
 // Instance methods
 User.prototype.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check whether a JWT (iat in seconds) was issued before the last password change
+User.prototype.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt || !tokenIssuedAt) {
+    return false;
+  }
+  return tokenIssuedAt < Math.floor(new Date(this.passwordChangedAt).getTime() / 1000);
+};
+
 User.prototype.updateLastLogin = async function() {
   this.lastLogin = new Date();
   return await this.save();
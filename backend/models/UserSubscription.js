@@ -17,7 +17,8 @@ const UserSubscription = sequelize.define('UserSubscription', {
         allowNull: false
     },
     status: {
-        type: DataTypes.ENUM('ACTIVE', 'CANCELLED', 'EXPIRED', 'TRIAL'),
+        // PAST_DUE: a renewal charge failed and is being retried during the grace period
+        type: DataTypes.ENUM('ACTIVE', 'PAST_DUE', 'CANCELLED', 'EXPIRED', 'TRIAL'),
         defaultValue: 'ACTIVE'
     },
     stripeSubscriptionId: {
@@ -44,10 +45,47 @@ const UserSubscription = sequelize.define('UserSubscription', {
     trialEndsAt: {
         type: DataTypes.DATE,
         allowNull: true
+    },
+    // Customer and saved payment method at the billing provider (utils/billingProviders.js)
+    billingCustomerId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    paymentMethodId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    cancelAtPeriodEnd: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // Proration credit from downgrades, taken off the next invoice
+    creditBalance: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    failedPaymentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    nextPaymentAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    graceEndsAt: {
+        type: DataTypes.DATE,
+        allowNull: true
     }
 }, {
     tableName: 'user_subscriptions',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+        { fields: ['status', 'currentPeriodEnd'] },
+        { fields: ['status', 'nextPaymentAttemptAt'] }
+    ]
 });
 
 module.exports = UserSubscription;
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One event sent (or being sent) to one endpoint. Retries update the same row;
+// the response of the latest attempt is kept for the delivery log.
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  endpointId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'webhook_endpoints',
+      key: 'id'
+    }
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Exact body that is signed and sent
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  isTest: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  responseBody: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  errorMessage: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['endpointId', 'createdAt']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A URL a provider wants lead, proposal, work order and review events POSTed to.
+// The secret signs every delivery (see utils/outboundWebhooks.js); it has to be
+// readable to sign with, so it is stored as-is and shown to the owner on request.
+const WebhookEndpoint = sequelize.define('WebhookEndpoint', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  url: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Subset of WEBHOOK_EVENTS in utils/outboundWebhooks.js
+  events: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  secret: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'webhook_endpoints',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'isActive']
+    }
+  ]
+});
+
+module.exports = WebhookEndpoint;
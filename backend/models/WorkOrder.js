@@ -30,6 +30,30 @@ const WorkOrder = sequelize.define('WorkOrder', {
     rejectionReasonOther: {
         type: DataTypes.TEXT,
         allowNull: true
+    },
+    // Business whose calendar the appointment was booked on
+    businessId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    scheduledStart: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    scheduledEnd: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // null until the customer books a slot
+    appointmentStatus: {
+        type: DataTypes.ENUM('scheduled', 'rescheduled', 'cancelled'),
+        allowNull: true
+    },
+    // Bumped on every reschedule so calendar clients pick up the change
+    appointmentSequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
     }
 }, {
     tableName: 'work_orders',
@@ -22,10 +22,38 @@ const ZipCode = sequelize.define('ZipCode', {
     state: {
         type: DataTypes.STRING(50),
         allowNull: false
+    },
+    county: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    // Centroid, from the bundled gazetteer (data/us-zip-codes.csv)
+    latitude: {
+        type: DataTypes.DECIMAL(10, 8),
+        allowNull: true
+    },
+    longitude: {
+        type: DataTypes.DECIMAL(11, 8),
+        allowNull: true
+    },
+    timezone: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'IANA timezone, e.g. America/Chicago'
+    },
+    neighbors: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: [],
+        comment: 'Nearest zip codes, closest first (computed by the import script)'
     }
 }, {
     tableName: 'zip_codes',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+        { fields: ['latitude', 'longitude'] },
+        { fields: ['city', 'state'] }
+    ]
 });
 
 module.exports = ZipCode;
@@ -17,7 +17,37 @@ const NotificationAudit = require('./NotificationAudit');
 const NotificationPreference = require('./NotificationPreference');
 const SubscriptionPlan = require('./SubscriptionPlan');
 const UserSubscription = require('./UserSubscription');
+const SubscriptionInvoice = require('./SubscriptionInvoice');
 const PhoneVerification = require('./PhoneVerification');
+const Session = require('./Session');
+const Conversation = require('./Conversation');
+const Message = require('./Message');
+const Notification = require('./Notification');
+const LeadPriceRule = require('./LeadPriceRule');
+const PlatformFeeRule = require('./PlatformFeeRule');
+const RoutingStrategy = require('./RoutingStrategy');
+const Job = require('./Job');
+const BusinessAvailability = require('./BusinessAvailability');
+const BusinessBlackout = require('./BusinessBlackout');
+const ProposalMilestone = require('./ProposalMilestone');
+const PaymentRefund = require('./PaymentRefund');
+const PaymentDispute = require('./PaymentDispute');
+const Media = require('./Media');
+const BookmarkList = require('./BookmarkList');
+const Bookmark = require('./Bookmark');
+const Promotion = require('./Promotion');
+const PromotionRedemption = require('./PromotionRedemption');
+const ApiKey = require('./ApiKey');
+const ApiKeyUsage = require('./ApiKeyUsage');
+const WebhookEndpoint = require('./WebhookEndpoint');
+const WebhookDelivery = require('./WebhookDelivery');
+const SearchDocument = require('./SearchDocument');
+const SearchTerm = require('./SearchTerm');
+const ZipCode = require('./ZipCode');
+const BusinessLocation = require('./BusinessLocation');
+const BusinessServiceArea = require('./BusinessServiceArea');
+const LedgerTransaction = require('./LedgerTransaction');
+const LedgerEntry = require('./LedgerEntry');
 
 // Define associations
 User.hasMany(Business, { foreignKey: 'ownerId', as: 'businesses' });
@@ -73,12 +103,34 @@ ServiceRequest.hasMany(Proposal, { foreignKey: 'serviceRequestId', as: 'proposal
 Proposal.belongsTo(ServiceRequest, { foreignKey: 'serviceRequestId', as: 'serviceRequest' });
 ProviderProfile.hasMany(Proposal, { foreignKey: 'providerId', as: 'proposals' });
 Proposal.belongsTo(ProviderProfile, { foreignKey: 'providerId', as: 'provider' });
+Proposal.hasMany(ProposalMilestone, { foreignKey: 'proposalId', as: 'milestones', onDelete: 'CASCADE' });
+ProposalMilestone.belongsTo(Proposal, { foreignKey: 'proposalId', as: 'proposal' });
+
+// Refund and dispute associations
+Proposal.hasMany(PaymentRefund, { foreignKey: 'proposalId', as: 'refunds' });
+Proposal.hasMany(PaymentDispute, { foreignKey: 'proposalId', as: 'disputes' });
+Lead.hasMany(PaymentRefund, { foreignKey: 'leadId', as: 'refunds' });
+Lead.hasMany(PaymentDispute, { foreignKey: 'leadId', as: 'disputes' });
+PaymentRefund.belongsTo(Proposal, { foreignKey: 'proposalId', as: 'proposal' });
+PaymentRefund.belongsTo(ProposalMilestone, { foreignKey: 'milestoneId', as: 'milestone' });
+PaymentRefund.belongsTo(Lead, { foreignKey: 'leadId', as: 'lead' });
+PaymentRefund.belongsTo(User, { foreignKey: 'initiatedBy', as: 'initiator' });
+PaymentDispute.belongsTo(Proposal, { foreignKey: 'proposalId', as: 'proposal' });
+PaymentDispute.belongsTo(ProposalMilestone, { foreignKey: 'milestoneId', as: 'milestone' });
+PaymentDispute.belongsTo(Lead, { foreignKey: 'leadId', as: 'lead' });
 
 // Work Order associations
 ServiceRequest.hasMany(WorkOrder, { foreignKey: 'serviceRequestId', as: 'workOrders' });
 WorkOrder.belongsTo(ServiceRequest, { foreignKey: 'serviceRequestId', as: 'serviceRequest' });
 ProviderProfile.hasMany(WorkOrder, { foreignKey: 'providerId', as: 'workOrders' });
 WorkOrder.belongsTo(ProviderProfile, { foreignKey: 'providerId', as: 'provider' });
+WorkOrder.belongsTo(Business, { foreignKey: 'businessId', as: 'business' });
+
+// Availability calendar associations
+Business.hasMany(BusinessAvailability, { foreignKey: 'businessId', as: 'availability', onDelete: 'CASCADE' });
+BusinessAvailability.belongsTo(Business, { foreignKey: 'businessId', as: 'business' });
+Business.hasMany(BusinessBlackout, { foreignKey: 'businessId', as: 'blackouts', onDelete: 'CASCADE' });
+BusinessBlackout.belongsTo(Business, { foreignKey: 'businessId', as: 'business' });
 
 // Notification associations
 User.hasMany(NotificationAudit, { foreignKey: 'userId', as: 'notificationAudits' });
@@ -91,11 +143,91 @@ User.hasOne(UserSubscription, { foreignKey: 'userId', as: 'subscription' });
 UserSubscription.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 UserSubscription.belongsTo(SubscriptionPlan, { foreignKey: 'subscriptionPlanId', as: 'plan' });
 SubscriptionPlan.hasMany(UserSubscription, { foreignKey: 'subscriptionPlanId', as: 'subscriptions' });
+UserSubscription.hasMany(SubscriptionInvoice, { foreignKey: 'userSubscriptionId', as: 'invoices' });
+SubscriptionInvoice.belongsTo(UserSubscription, { foreignKey: 'userSubscriptionId', as: 'subscription' });
+SubscriptionInvoice.belongsTo(SubscriptionPlan, { foreignKey: 'subscriptionPlanId', as: 'plan' });
+SubscriptionInvoice.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
 // Phone Verification associations
 User.hasMany(PhoneVerification, { foreignKey: 'userId', as: 'phoneVerifications' });
 PhoneVerification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+// Session associations
+User.hasMany(Session, { foreignKey: 'userId', as: 'sessions', onDelete: 'CASCADE' });
+Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Messaging associations
+ServiceRequest.hasMany(Conversation, { foreignKey: 'serviceRequestId', as: 'conversations' });
+Conversation.belongsTo(ServiceRequest, { foreignKey: 'serviceRequestId', as: 'serviceRequest' });
+Conversation.belongsTo(Proposal, { foreignKey: 'proposalId', as: 'proposal' });
+Conversation.belongsTo(User, { foreignKey: 'customerId', as: 'customer' });
+Conversation.belongsTo(User, { foreignKey: 'providerId', as: 'provider' });
+Conversation.hasMany(Message, { foreignKey: 'conversationId', as: 'messages', onDelete: 'CASCADE' });
+Message.belongsTo(Conversation, { foreignKey: 'conversationId', as: 'conversation' });
+Message.belongsTo(User, { foreignKey: 'senderId', as: 'sender' });
+
+// In-app notification associations
+User.hasMany(Notification, { foreignKey: 'userId', as: 'notifications', onDelete: 'CASCADE' });
+Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Lead pricing associations
+LeadPriceRule.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
+LeadPriceRule.belongsTo(SubCategory, { foreignKey: 'subCategoryId', as: 'subCategory' });
+
+// Platform fee schedule associations
+PlatformFeeRule.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
+PlatformFeeRule.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Lead routing associations
+RoutingStrategy.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
+
+// Media associations
+User.hasMany(Media, { foreignKey: 'ownerId', as: 'media' });
+Media.belongsTo(User, { foreignKey: 'ownerId', as: 'owner' });
+
+// Bookmark associations
+User.hasMany(BookmarkList, { foreignKey: 'userId', as: 'bookmarkLists', onDelete: 'CASCADE' });
+BookmarkList.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+BookmarkList.hasMany(Bookmark, { foreignKey: 'listId', as: 'bookmarks', onDelete: 'CASCADE' });
+Bookmark.belongsTo(BookmarkList, { foreignKey: 'listId', as: 'list' });
+Bookmark.belongsTo(Business, { foreignKey: 'businessId', as: 'business' });
+Business.hasMany(Bookmark, { foreignKey: 'businessId', as: 'bookmarks', onDelete: 'CASCADE' });
+
+// Promotion associations
+Business.hasMany(Promotion, { foreignKey: 'businessId', as: 'promotions', onDelete: 'CASCADE' });
+Promotion.belongsTo(Business, { foreignKey: 'businessId', as: 'business' });
+Promotion.belongsTo(User, { foreignKey: 'moderatedBy', as: 'moderator' });
+Promotion.hasMany(PromotionRedemption, { foreignKey: 'promotionId', as: 'redemptions', onDelete: 'CASCADE' });
+PromotionRedemption.belongsTo(Promotion, { foreignKey: 'promotionId', as: 'promotion' });
+PromotionRedemption.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// API key associations
+User.hasMany(ApiKey, { foreignKey: 'userId', as: 'apiKeys', onDelete: 'CASCADE' });
+ApiKey.belongsTo(User, { foreignKey: 'userId', as: 'owner' });
+ApiKey.hasMany(ApiKeyUsage, { foreignKey: 'apiKeyId', as: 'usage', onDelete: 'CASCADE' });
+ApiKeyUsage.belongsTo(ApiKey, { foreignKey: 'apiKeyId', as: 'apiKey' });
+
+// Outbound webhook associations
+User.hasMany(WebhookEndpoint, { foreignKey: 'userId', as: 'webhookEndpoints', onDelete: 'CASCADE' });
+WebhookEndpoint.belongsTo(User, { foreignKey: 'userId', as: 'owner' });
+WebhookEndpoint.hasMany(WebhookDelivery, { foreignKey: 'endpointId', as: 'deliveries', onDelete: 'CASCADE' });
+WebhookDelivery.belongsTo(WebhookEndpoint, { foreignKey: 'endpointId', as: 'endpoint' });
+
+// Search index associations
+Business.hasOne(SearchDocument, { foreignKey: 'businessId', as: 'searchDocument', onDelete: 'CASCADE' });
+SearchDocument.belongsTo(Business, { foreignKey: 'businessId', as: 'business' });
+
+// Branch and service area associations
+Business.hasMany(BusinessLocation, { foreignKey: 'businessId', as: 'locations', onDelete: 'CASCADE' });
+BusinessLocation.belongsTo(Business, { foreignKey: 'businessId', as: 'business' });
+Business.hasMany(BusinessServiceArea, { foreignKey: 'businessId', as: 'serviceAreas', onDelete: 'CASCADE' });
+BusinessServiceArea.belongsTo(Business, { foreignKey: 'businessId', as: 'business' });
+
+// Ledger associations
+LedgerTransaction.hasMany(LedgerEntry, { foreignKey: 'transactionId', as: 'entries' });
+LedgerEntry.belongsTo(LedgerTransaction, { foreignKey: 'transactionId', as: 'ledgerTransaction' });
+LedgerTransaction.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
 // Contact associations
 Business.hasMany(Contact, { foreignKey: 'businessId', as: 'contacts' });
 Contact.belongsTo(Business, { foreignKey: 'businessId', as: 'business' });
@@ -120,5 +252,35 @@ module.exports = {
   NotificationPreference,
   SubscriptionPlan,
   UserSubscription,
-  PhoneVerification
+  SubscriptionInvoice,
+  PhoneVerification,
+  Session,
+  Conversation,
+  Message,
+  Notification,
+  LeadPriceRule,
+  PlatformFeeRule,
+  RoutingStrategy,
+  Job,
+  BusinessAvailability,
+  BusinessBlackout,
+  ProposalMilestone,
+  PaymentRefund,
+  PaymentDispute,
+  Media,
+  BookmarkList,
+  Bookmark,
+  Promotion,
+  PromotionRedemption,
+  ApiKey,
+  ApiKeyUsage,
+  WebhookEndpoint,
+  WebhookDelivery,
+  SearchDocument,
+  SearchTerm,
+  ZipCode,
+  BusinessLocation,
+  BusinessServiceArea,
+  LedgerTransaction,
+  LedgerEntry
 };
@@ -1,11 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { Op } = require('sequelize');
+const { Op, fn, col } = require('sequelize');
 const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
-const { User, Business, Review, Category, Contact, Activity, Blog, SubCategory, ReviewRequest, ServiceRequest, Lead, Proposal, WorkOrder, ProviderProfile, SubscriptionPlan, UserSubscription } = require('../models');
+const { User, Business, Review, Category, Contact, Activity, Blog, SubCategory, ReviewRequest, ServiceRequest, Lead, Proposal, WorkOrder, ProviderProfile, SubscriptionPlan, UserSubscription, LeadPriceRule, PlatformFeeRule, RoutingStrategy, Job, Promotion, ProposalMilestone, PaymentRefund, PaymentDispute, LedgerTransaction, LedgerEntry } = require('../models');
 const { protect, authorize } = require('../middleware/auth');
 const logActivity = require('../utils/logActivity');
+const createNotification = require('../utils/createNotification');
+const { dispatchWebhookEvent, leadWebhookData, reviewWebhookData } = require('../utils/outboundWebhooks');
+const { revokeUserSessions } = require('../utils/sessions');
+const getSubscriptionBenefits = require('../utils/getSubscriptionBenefits');
+const { DEFAULT_LEAD_COST, resolveLeadPrice, applyLeadDiscount, clearLeadPriceCache } = require('../config/leadPricing');
+const { DEFAULT_FEE_RULE, resolvePlatformFee, clearPlatformFeeCache, calculatePayouts, describeFeeRule } = require('../config/platformFee');
+const { DEFAULT_STRATEGY, routeRequest, explainRouting, listFactors, listStrategyTypes } = require('../utils/routingEngine');
+const { enqueueJob, retryJob } = require('../utils/jobQueue');
+const { validateBusinessMedia } = require('../utils/media');
+const { renderTemplate } = require('../utils/emailTemplates');
+const { formatDiscount } = require('../utils/promotions');
+const { createRefund } = require('../utils/refunds');
+const { getAccountBalances, getProviderBalance, getProviderBalances, getMonthlyStatement, reconcileLedger, syncLedger } = require('../utils/ledger');
+const { getAnnualTotals, annualTotalsToCsv } = require('../utils/earnings');
 
 // @route   GET /api/admin/users/:id
 // @desc    Get user by ID (public profile)
@@ -43,7 +57,7 @@ router.get('/stats', async (req, res) => {
       pendingBusinesses: await Business.count({ where: { isActive: false } }),
       reviews: await Review.count(),
       categories: await Category.count(),
-      contacts: await Contact.count(),
+      contacts: await Contact.count({ where: { status: { [Op.ne]: 'spam' } } }),
       unreadContacts: await Contact.count({ where: { status: 'new' } }),
       recentUsers: await User.findAll({
         order: [['createdAt', 'DESC']],
@@ -306,8 +320,17 @@ router.put('/reviews/:id/approve', async (req, res) => {
       return res.status(404).json({ error: 'Review not found' });
     }
 
+    const wasApproved = review.isApproved;
     await review.update({ isApproved: true });
 
+    // Providers hear about a review once it is published, not while it awaits moderation
+    if (!wasApproved) {
+      const business = await Business.findByPk(review.businessId, { attributes: ['id', 'ownerId'] });
+      if (business && business.ownerId) {
+        dispatchWebhookEvent(business.ownerId, 'review.posted', reviewWebhookData(review));
+      }
+    }
+
     res.json({
       success: true,
       message: 'Review approved successfully',
@@ -349,7 +372,7 @@ router.get('/users', async (req, res) => {
     const offset = (page - 1) * limit;
 
     const { count, rows: users } = await User.findAndCountAll({
-      attributes: { exclude: ['password'] },
+      attributes: { exclude: User.SENSITIVE_FIELDS },
       order: [['createdAt', 'DESC']],
       limit,
       offset
@@ -381,6 +404,11 @@ router.put('/users/:id', async (req, res) => {
 
     await user.update(req.body);
 
+    // A deactivated account must lose access immediately, not when its tokens expire
+    if (req.body.isActive === false) {
+      await revokeUserSessions(user.id, { reason: 'account_deactivated' });
+    }
+
     await logActivity({
       type: 'user_updated',
       description: `User "${user.name}" was updated by admin`,
@@ -399,6 +427,36 @@ router.put('/users/:id', async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/users/:id/revoke-sessions
+// @desc    Sign a user out of every device
+// @access  Private (Admin only)
+router.post('/users/:id/revoke-sessions', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const count = await revokeUserSessions(user.id, { reason: 'admin_revoked' });
+
+    await logActivity({
+      type: 'sessions_revoked',
+      description: `All sessions of user "${user.name}" were revoked by admin`,
+      userId: req.user.id,
+      metadata: { targetUserId: user.id, userName: user.name, sessionsRevoked: count }
+    });
+
+    res.json({
+      success: true,
+      message: `Revoked ${count} active session${count === 1 ? '' : 's'}`,
+      sessionsRevoked: count
+    });
+  } catch (error) {
+    console.error('Admin revoke sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete user (admin)
 // @access  Private (Admin only)
@@ -609,29 +667,19 @@ router.put('/businesses/:id', [
       }
     }
 
-    // Validate image if provided (base64 image)
-    if (req.body.image && typeof req.body.image === 'string' && req.body.image.startsWith('data:image')) {
-      // Check image size (max 2MB for base64)
-      const base64Size = req.body.image.length;
-      const maxSize = 2 * 1024 * 1024; // 2MB in bytes
-
-      if (base64Size > maxSize) {
-        return res.status(400).json({
-          success: false,
-          error: 'Image is too large',
-          errors: { image: ['Image size must be less than 2MB. Please use a smaller image.'] }
-        });
-      }
-
-      // Check image type
-      const imageType = req.body.image.match(/data:image\/(\w+);base64/);
-      if (!imageType || !['jpeg', 'jpg', 'png', 'gif', 'webp'].includes(imageType[1].toLowerCase())) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid image type',
-          errors: { image: ['Image must be in JPEG, PNG, GIF, or WebP format.'] }
-        });
-      }
+    // Logo, images and videos are media urls (uploaded through /api/media)
+    const mediaError = await validateBusinessMedia(req.body, {
+      userId: req.user.id,
+      isAdmin: true,
+      business
+    });
+    if (mediaError) {
+      const field = mediaError.split(':')[0].toLowerCase();
+      return res.status(400).json({
+        success: false,
+        error: mediaError,
+        errors: { [field]: [mediaError] }
+      });
     }
 
     await business.update(req.body);
@@ -912,15 +960,19 @@ router.delete('/blogs/:id', async (req, res) => {
 });
 
 // @route   GET /api/admin/contacts
-// @desc    Get all contacts (admin)
+// @desc    Get all contacts (admin); quarantined spam only with ?status=spam
 // @access  Private (Admin only)
 router.get('/contacts', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
+    const where = req.query.status
+      ? { status: req.query.status }
+      : { status: { [Op.ne]: 'spam' } };
 
     const { count, rows: contacts } = await Contact.findAndCountAll({
+      where,
       include: [
         {
           model: Business,
@@ -940,6 +992,7 @@ router.get('/contacts', async (req, res) => {
       total: count,
       page,
       pages: Math.ceil(count / limit),
+      quarantined: await Contact.count({ where: { status: 'spam' } }),
       contacts
     });
   } catch (error) {
@@ -971,6 +1024,40 @@ router.put('/contacts/:id', async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/contacts/:id/not-spam
+// @desc    Release a quarantined contact back into the inbox
+// @access  Private (Admin only)
+router.put('/contacts/:id/not-spam', async (req, res) => {
+  try {
+    const contact = await Contact.findByPk(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    if (contact.status !== 'spam') {
+      return res.status(400).json({ error: 'This message is not in quarantine' });
+    }
+
+    await contact.update({ status: 'new' });
+
+    await logActivity({
+      type: 'contact_marked_not_spam',
+      description: `Contact from "${contact.name}" released from spam quarantine`,
+      userId: req.user.id,
+      metadata: { contactId: contact.id, spamScore: contact.spamScore, spamReasons: contact.spamReasons }
+    });
+
+    res.json({
+      success: true,
+      message: 'Contact moved to inbox',
+      contact
+    });
+  } catch (error) {
+    console.error('Admin mark contact not spam error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/admin/contacts/:id
 // @desc    Delete contact (admin)
 // @access  Private (Admin only)
@@ -1022,73 +1109,29 @@ router.post('/contacts/:id/send-to-provider', async (req, res) => {
       return res.status(400).json({ error: 'This message is not associated with a business' });
     }
 
+    if (contact.status === 'spam') {
+      return res.status(400).json({ error: 'Mark this message as not spam before sending it to the provider' });
+    }
+
     if (!contact.business.owner || !contact.business.owner.email) {
       return res.status(400).json({ error: 'Business owner email not found' });
     }
 
     const sendEmail = require('../utils/sendEmail');
+    const notification = renderTemplate('customer_inquiry', {
+      BusinessName: contact.business.name,
+      BusinessAddress: `${contact.business.address || ''}, ${contact.business.city || ''}, ${contact.business.state || ''}`,
+      Name: contact.name,
+      Email: contact.email,
+      Phone: contact.phone,
+      Subject: contact.subject,
+      Message: contact.message
+    });
     await sendEmail({
       to: contact.business.owner.email,
-      subject: `New Customer Inquiry for ${contact.business.name}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
-            <h2 style="margin: 0; font-size: 24px;">New Customer Inquiry</h2>
-            <p style="margin: 10px 0 0 0; font-size: 14px;">CityLocal 101</p>
-          </div>
-          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-            <div style="background-color: #f0f7ff; padding: 15px; border-radius: 4px; margin-bottom: 20px; border-left: 4px solid #667eea;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Your Business:</strong>
-              <span style="color: #666; font-size: 16px;">${contact.business.name}</span>
-              <p style="color: #666; margin: 5px 0 0 0; font-size: 14px;">${contact.business.address || ''}, ${contact.business.city || ''}, ${contact.business.state || ''}</p>
-            </div>
-            <p style="color: #333; margin-bottom: 20px;">You have received a new inquiry from a potential customer:</p>
-            <div style="margin-bottom: 20px;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Name:</strong>
-              <span style="color: #666;">${contact.name}</span>
-            </div>
-            <div style="margin-bottom: 20px;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Email:</strong>
-              <span style="color: #666;">${contact.email}</span>
-            </div>
-            ${contact.phone ? `
-            <div style="margin-bottom: 20px;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Phone:</strong>
-              <span style="color: #666;">${contact.phone}</span>
-            </div>
-            ` : ''}
-            <div style="margin-bottom: 20px;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Subject:</strong>
-              <span style="color: #666;">${contact.subject}</span>
-            </div>
-            <div style="margin-bottom: 20px;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Message:</strong>
-              <div style="color: #666; background-color: #f5f5f5; padding: 15px; border-radius: 4px; margin-top: 10px; line-height: 1.6;">
-                ${contact.message.replace(/\n/g, '<br>')}
-              </div>
-            </div>
-            <p style="color: #7f8c8d; font-size: 14px; margin-top: 30px;">
-              Please respond to this inquiry as soon as possible to provide excellent customer service.
-            </p>
-          </div>
-        </div>
-      `,
-      message: `
-New customer inquiry for ${contact.business.name}:
-
-From:
-Name: ${contact.name}
-Email: ${contact.email}
-${contact.phone ? `Phone: ${contact.phone}` : ''}
-
-Subject: ${contact.subject}
-
-Message:
-${contact.message}
-
----
-Sent from CityLocal 101
-      `
+      subject: notification.subject,
+      html: notification.html,
+      message: notification.text
     }).catch(() => {});
 
     // Update contact status to 'replied' since we sent it to provider
@@ -1111,6 +1154,114 @@ Sent from CityLocal 101
   }
 });
 
+// @route   GET /api/admin/promotions
+// @desc    Promotions for moderation (?status=pending|approved|rejected)
+// @access  Private (Admin only)
+router.get('/promotions', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const where = {};
+    if (req.query.status) {
+      where.moderationStatus = req.query.status;
+    }
+
+    const { count, rows: promotions } = await Promotion.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Business,
+          as: 'business',
+          attributes: ['id', 'name', 'city', 'state', 'ownerId']
+        },
+        {
+          model: User,
+          as: 'moderator',
+          attributes: ['id', 'name'],
+          required: false
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    const pendingCount = await Promotion.count({ where: { moderationStatus: 'pending' } });
+
+    res.json({
+      success: true,
+      count: promotions.length,
+      total: count,
+      page,
+      pages: Math.ceil(count / limit),
+      pendingCount,
+      promotions: promotions.map(promotion => ({
+        ...promotion.toJSON(),
+        discountLabel: formatDiscount(promotion)
+      }))
+    });
+  } catch (error) {
+    console.error('Admin get promotions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/promotions/:id/moderate
+// @desc    Approve or reject a promotion
+// @access  Private (Admin only)
+router.put('/promotions/:id/moderate', async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be approved or rejected' });
+    }
+    if (status === 'rejected' && !String(note || '').trim()) {
+      return res.status(400).json({ error: 'Please give the owner a reason for the rejection' });
+    }
+
+    const promotion = await Promotion.findByPk(req.params.id, {
+      include: [{ model: Business, as: 'business', attributes: ['id', 'name', 'ownerId'] }]
+    });
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    await promotion.update({
+      moderationStatus: status,
+      moderationNote: status === 'rejected' ? String(note).trim() : (String(note || '').trim() || null),
+      moderatedAt: new Date(),
+      moderatedBy: req.user.id
+    });
+
+    await logActivity({
+      type: `promotion_${status}`,
+      description: `Promotion "${promotion.title}" for ${promotion.business?.name || 'a business'} ${status}`,
+      userId: req.user.id,
+      metadata: { promotionId: promotion.id, businessId: promotion.businessId }
+    });
+
+    await createNotification({
+      userId: promotion.business?.ownerId,
+      type: `promotion_${status}`,
+      title: status === 'approved' ? 'Promotion approved' : 'Promotion not approved',
+      message: status === 'approved'
+        ? `"${promotion.title}" is now visible to customers.`
+        : `"${promotion.title}" was not approved: ${promotion.moderationNote}`,
+      link: '/user-dashboard/deals-promotions',
+      metadata: { promotionId: promotion.id, businessId: promotion.businessId }
+    });
+
+    res.json({
+      success: true,
+      promotion
+    });
+  } catch (error) {
+    console.error('Admin moderate promotion error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/admin/activities
 // @desc    Get all activities (admin)
 // @access  Private (Admin only)
@@ -1425,7 +1576,8 @@ router.post('/service-requests/:id/assign', async (req, res) => {
     );
 
     // Re-assign providers using the matching function
-    const { primary, alternatives } = await assignProvidersForRequest(requestId);
+    const { primary, fallbacks = [], strategy } = await assignProvidersForRequest(requestId);
+    const alternatives = fallbacks.slice(0, 3);
 
     // Get customer info
     const customer = await User.findByPk(serviceRequest.customerId, {
@@ -1486,6 +1638,16 @@ router.post('/service-requests/:id/assign', async (req, res) => {
         })
       });
 
+      createNotification({
+        userId: primary.owner.id,
+        type: 'lead_routed',
+        title: `New lead: ${serviceRequest.projectTitle}`,
+        message: `A ${categoryName} request in ${serviceRequest.zipCode} was assigned to you.`,
+        link: '/user-dashboard/leads',
+        metadata: { leadId: primaryLead.id, serviceRequestId: serviceRequest.id }
+      });
+      dispatchWebhookEvent(primary.owner.id, 'lead.routed', leadWebhookData(primaryLead));
+
       // Update service request with primary provider
       await ServiceRequest.update(
         { primaryProviderId: primary.providerProfile.id },
@@ -1493,8 +1655,8 @@ router.post('/service-requests/:id/assign', async (req, res) => {
       );
     }
 
-    // Create AlternativeProviderSelection entries for alternatives
-    if (alternatives && alternatives.length > 0) {
+    // Create AlternativeProviderSelection entries for the strategy's fallback providers
+    if (alternatives.length > 0) {
       const alternativePromises = alternatives.map((alt, index) => {
         if (!alt || !alt.business || !alt.owner) return null;
 
@@ -1508,6 +1670,20 @@ router.post('/service-requests/:id/assign', async (req, res) => {
       await Promise.all(alternativePromises.filter(p => p !== null));
     }
 
+    // Fallback providers get the lead if the new primary hasn't accepted in time
+    if (primaryLead && alternatives.length > 0) {
+      enqueueJob('lead.priority_expired', {
+        serviceRequestId: requestId,
+        leadId: primaryLead.id,
+        fallbackBusinessIds: alternatives.map(alt => alt.business.id)
+      }, {
+        delayMs: (parseInt(process.env.LEAD_PRIORITY_WINDOW_HOURS) || 24) * 60 * 60 * 1000,
+        idempotencyKey: `lead-priority:${primaryLead.id}`
+      }).catch(err => {
+        console.error(`Admin reassign: failed to schedule fallback assignment for lead ${primaryLead.id}:`, err.message);
+      });
+    }
+
     // Update service request status to LEAD_ASSIGNED if primary was assigned
     if (primaryLead) {
       await ServiceRequest.update(
@@ -1521,13 +1697,14 @@ router.post('/service-requests/:id/assign', async (req, res) => {
       type: 'service_request_reassigned',
       description: `Service request "${serviceRequest.projectTitle}" providers reassigned by admin`,
       userId: req.user.id,
-      metadata: { serviceRequestId: requestId }
+      metadata: { serviceRequestId: requestId, routingStrategyId: strategy ? strategy.id : null }
     });
 
     res.json({
       success: true,
       message: 'Providers reassigned successfully',
       data: {
+        strategy: strategy ? { id: strategy.id, name: strategy.name, type: strategy.type } : null,
         primary: primary ? {
           providerId: primary.providerProfile.id,
           businessId: primary.business.id
@@ -1660,6 +1837,73 @@ router.get('/leads', async (req, res) => {
   }
 });
 
+// Refunds and disputes on the payments for one proposal, lead or milestone
+const paymentHistory = async (where) => {
+  const [refunds, disputes] = await Promise.all([
+    PaymentRefund.findAll({
+      where,
+      include: [{ model: User, as: 'initiator', attributes: ['id', 'name', 'email'], required: false }],
+      order: [['createdAt', 'DESC']]
+    }),
+    PaymentDispute.findAll({ where, order: [['createdAt', 'DESC']] })
+  ]);
+  return { refunds, disputes };
+};
+
+// @route   GET /api/admin/leads/:id/payments
+// @desc    Lead fee payment, refunds and disputes (admin)
+// @access  Private (Admin only)
+router.get('/leads/:id/payments', async (req, res) => {
+  try {
+    const lead = await Lead.findByPk(req.params.id, {
+      attributes: ['id', 'status', 'leadCost', 'stripePaymentIntentId', 'paymentStatus', 'refundedAmount', 'disputeStatus']
+    });
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    res.json({
+      success: true,
+      lead,
+      ...(await paymentHistory({ leadId: lead.id }))
+    });
+  } catch (error) {
+    console.error('Admin get lead payments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/leads/:id/refunds
+// @desc    Refund a provider's lead fee in full or in part (admin)
+// @access  Private (Admin only)
+// @body    amount (omit for the full remaining amount), reason, note
+router.post('/leads/:id/refunds', async (req, res) => {
+  try {
+    const { amount, reason, note } = req.body;
+
+    const result = await createRefund({
+      kind: 'lead',
+      id: req.params.id,
+      amount,
+      reason: reason || 'requested_by_customer',
+      note,
+      adminId: req.user.id
+    });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Refunded $${parseFloat(result.refund.amount).toFixed(2)}`,
+      refund: result.refund
+    });
+  } catch (error) {
+    console.error('Admin refund lead error:', error);
+    res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
 // @route   GET /api/admin/proposals
 // @desc    Get all proposals (admin)
 // @access  Private (Admin only)
@@ -1673,6 +1917,12 @@ router.get('/proposals', async (req, res) => {
     if (req.query.status) {
       where.status = req.query.status;
     }
+    // open: chargeback still being fought; any: ever disputed
+    if (req.query.dispute === 'open') {
+      where.disputeStatus = { [Op.in]: ['needs_response', 'under_review'] };
+    } else if (req.query.dispute === 'any') {
+      where.disputeStatus = { [Op.ne]: null };
+    }
 
     const { count, rows: proposals } = await Proposal.findAndCountAll({
       where,
@@ -1709,6 +1959,93 @@ router.get('/proposals', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/proposals/:id/payments
+// @desc    Payment, milestone payments, refunds and disputes for a proposal (admin)
+// @access  Private (Admin only)
+router.get('/proposals/:id/payments', async (req, res) => {
+  try {
+    const proposal = await Proposal.findByPk(req.params.id, {
+      attributes: [
+        'id', 'price', 'stripePaymentIntentId', 'paymentStatus', 'paidAt', 'refundedAmount', 'disputeStatus',
+        'providerPayoutAmount', 'platformFeeAmount', 'payoutStatus', 'payoutReversedAmount', 'stripeTransferId'
+      ],
+      include: [{
+        model: ProposalMilestone,
+        as: 'milestones',
+        attributes: [
+          'id', 'position', 'title', 'amount', 'stripePaymentIntentId', 'paymentStatus', 'paidAt', 'refundedAmount',
+          'disputeStatus', 'providerPayoutAmount', 'platformFeeAmount', 'payoutStatus', 'payoutReversedAmount', 'stripeTransferId'
+        ],
+        required: false
+      }],
+      order: [[{ model: ProposalMilestone, as: 'milestones' }, 'position', 'ASC']]
+    });
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    res.json({
+      success: true,
+      proposal,
+      ...(await paymentHistory({ proposalId: proposal.id }))
+    });
+  } catch (error) {
+    console.error('Admin get proposal payments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/proposals/:id/refunds
+// @desc    Refund a proposal payment (or one milestone payment) in full or in part (admin)
+// @access  Private (Admin only)
+// @body    amount (omit for the full remaining amount), reason, note, milestoneId, reverseTransfer
+router.post('/proposals/:id/refunds', async (req, res) => {
+  try {
+    const { amount, reason, note, milestoneId, reverseTransfer } = req.body;
+
+    const proposal = await Proposal.findByPk(req.params.id, { attributes: ['id'] });
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    let kind = 'proposal';
+    let id = proposal.id;
+    if (milestoneId) {
+      const milestone = await ProposalMilestone.findOne({
+        where: { id: milestoneId, proposalId: proposal.id },
+        attributes: ['id']
+      });
+      if (!milestone) {
+        return res.status(404).json({ error: 'Milestone not found' });
+      }
+      kind = 'milestone';
+      id = milestone.id;
+    }
+
+    const result = await createRefund({
+      kind,
+      id,
+      amount,
+      reason: reason || 'requested_by_customer',
+      note,
+      reverseTransfer: reverseTransfer !== false,
+      adminId: req.user.id
+    });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Refunded $${parseFloat(result.refund.amount).toFixed(2)}`,
+      refund: result.refund
+    });
+  } catch (error) {
+    console.error('Admin refund proposal error:', error);
+    res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
 // @route   GET /api/admin/work-orders
 // @desc    Get all work orders (admin)
 // @access  Private (Admin only)
@@ -1924,34 +2261,934 @@ router.delete('/subscription-plans/:id', async (req, res) => {
   }
 });
 
-// @route   GET /api/admin/providers
-// @desc    Get all providers with statistics (admin)
+// Whitelist and normalize lead price rule fields from the request body
+const parseLeadPriceRule = (input) => {
+  const emptyToNull = (value) => (value === undefined || value === null || value === '' ? null : value);
+  const data = {};
+
+  if (input.name !== undefined) data.name = String(input.name).trim();
+  if (input.categoryId !== undefined) data.categoryId = emptyToNull(input.categoryId) && parseInt(input.categoryId);
+  if (input.subCategoryId !== undefined) data.subCategoryId = emptyToNull(input.subCategoryId) && parseInt(input.subCategoryId);
+  if (input.zipCode !== undefined) data.zipCode = emptyToNull(input.zipCode) && String(input.zipCode).trim().slice(0, 5);
+  if (input.state !== undefined) data.state = emptyToNull(input.state) && String(input.state).trim().toUpperCase();
+  if (input.daysOfWeek !== undefined) {
+    const days = Array.isArray(input.daysOfWeek)
+      ? [...new Set(input.daysOfWeek.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort()
+      : [];
+    data.daysOfWeek = days.length > 0 ? days : null;
+  }
+  if (input.startTime !== undefined) data.startTime = emptyToNull(input.startTime);
+  if (input.endTime !== undefined) data.endTime = emptyToNull(input.endTime);
+  if (input.priceCents !== undefined) data.priceCents = parseInt(input.priceCents);
+  if (input.effectiveFrom !== undefined) data.effectiveFrom = emptyToNull(input.effectiveFrom);
+  if (input.effectiveTo !== undefined) data.effectiveTo = emptyToNull(input.effectiveTo);
+  if (input.priority !== undefined) data.priority = parseInt(input.priority) || 0;
+  if (input.isActive !== undefined) data.isActive = !!input.isActive;
+  if (input.notes !== undefined) data.notes = emptyToNull(input.notes);
+
+  return data;
+};
+
+const leadPriceRuleIncludes = [
+  { model: Category, as: 'category', attributes: ['id', 'name'] },
+  { model: SubCategory, as: 'subCategory', attributes: ['id', 'name'] }
+];
+
+// @route   GET /api/admin/lead-price-rules
+// @desc    Get all lead price rules (admin)
 // @access  Private (Admin only)
-router.get('/providers', async (req, res) => {
+router.get('/lead-price-rules', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
-    const filterStatus = req.query.filterStatus || 'all'; // all, active, inactive
+    const where = {};
+    if (req.query.categoryId) {
+      where.categoryId = req.query.categoryId;
+    }
+    if (req.query.active === 'true') {
+      where.isActive = true;
+    } else if (req.query.active === 'false') {
+      where.isActive = false;
+    }
 
-    // Build where clause based on filter
-    const whereClause = {
-      role: 'business_owner'
-    };
+    const rules = await LeadPriceRule.findAll({
+      where,
+      include: leadPriceRuleIncludes,
+      order: [['isActive', 'DESC'], ['priority', 'DESC'], ['updatedAt', 'DESC']]
+    });
 
-    // Apply status filter if not 'all'
-    if (filterStatus === 'active') {
-      whereClause.isActive = true;
-    } else if (filterStatus === 'inactive') {
-      whereClause.isActive = false;
+    res.json({
+      success: true,
+      count: rules.length,
+      defaultLeadCost: DEFAULT_LEAD_COST,
+      rules
+    });
+  } catch (error) {
+    console.error('Admin get lead price rules error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/lead-price-rules/preview
+// @desc    Preview the lead price (and a provider's discounted price) for a category/location/time
+// @access  Private (Admin only)
+router.post('/lead-price-rules/preview', async (req, res) => {
+  try {
+    const { categoryId, subCategoryId, zipCode, state, at, provider } = req.body;
+
+    const { cost, rule } = await resolveLeadPrice({ categoryId, subCategoryId, zipCode, state, at });
+
+    let providerUser = null;
+    let benefits = null;
+    if (provider) {
+      const lookup = String(provider).trim();
+      providerUser = await User.findOne({
+        where: /^\d+$/.test(lookup) ? { id: lookup } : { email: lookup },
+        attributes: ['id', 'name', 'email', 'role']
+      });
+      if (!providerUser) {
+        return res.status(404).json({ error: 'Provider not found' });
+      }
+      benefits = await getSubscriptionBenefits(providerUser.id);
     }
 
-    // Get all users with business_owner role (simple info only - no provider profile)
-    const { count, rows: users } = await User.findAndCountAll({
-      where: whereClause,
-      attributes: ['id', 'name', 'email', 'phone', 'avatar', 'isActive', 'createdAt'],
-      distinct: true, // Ensure accurate count when using includes
-      include: [
+    const discountPercent = benefits && benefits.hasActiveSubscription ? (benefits.leadDiscountPercent || 0) : 0;
+
+    res.json({
+      success: true,
+      preview: {
+        baseCost: cost,
+        rule,
+        provider: providerUser,
+        planName: benefits && benefits.hasActiveSubscription ? (benefits.planName || benefits.tier) : null,
+        discountPercent,
+        finalCost: applyLeadDiscount(cost, benefits)
+      }
+    });
+  } catch (error) {
+    console.error('Admin preview lead price error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/lead-price-rules
+// @desc    Create lead price rule (admin)
+// @access  Private (Admin only)
+router.post('/lead-price-rules', async (req, res) => {
+  try {
+    const rule = await LeadPriceRule.create({
+      ...parseLeadPriceRule(req.body),
+      createdBy: req.user.id
+    });
+    clearLeadPriceCache();
+
+    await logActivity({
+      type: 'lead_price_rule_created',
+      description: `Lead price rule "${rule.name}" was created by admin`,
+      userId: req.user.id,
+      metadata: { ruleId: rule.id, priceCents: rule.priceCents }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Lead price rule created successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Admin create lead price rule error:', error);
+    res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/lead-price-rules/:id
+// @desc    Update lead price rule (admin)
+// @access  Private (Admin only)
+router.put('/lead-price-rules/:id', async (req, res) => {
+  try {
+    const rule = await LeadPriceRule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Lead price rule not found' });
+    }
+
+    const previousPrice = rule.priceCents;
+    await rule.update(parseLeadPriceRule(req.body));
+    clearLeadPriceCache();
+
+    await logActivity({
+      type: 'lead_price_rule_updated',
+      description: `Lead price rule "${rule.name}" was updated by admin`,
+      userId: req.user.id,
+      metadata: { ruleId: rule.id, previousPrice, priceCents: rule.priceCents }
+    });
+
+    res.json({
+      success: true,
+      message: 'Lead price rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Admin update lead price rule error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/admin/lead-price-rules/:id
+// @desc    Delete lead price rule (admin)
+// @access  Private (Admin only)
+router.delete('/lead-price-rules/:id', async (req, res) => {
+  try {
+    const rule = await LeadPriceRule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Lead price rule not found' });
+    }
+
+    await rule.destroy();
+    clearLeadPriceCache();
+
+    await logActivity({
+      type: 'lead_price_rule_deleted',
+      description: `Lead price rule "${rule.name}" was deleted by admin`,
+      userId: req.user.id,
+      metadata: { ruleId: rule.id, priceCents: rule.priceCents }
+    });
+
+    res.json({
+      success: true,
+      message: 'Lead price rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Admin delete lead price rule error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Whitelist and normalize platform fee rule fields from the request body
+const parsePlatformFeeRule = (input) => {
+  const emptyToNull = (value) => (value === undefined || value === null || value === '' ? null : value);
+  const data = {};
+
+  if (input.name !== undefined) data.name = String(input.name).trim();
+  if (input.categoryId !== undefined) data.categoryId = emptyToNull(input.categoryId) && parseInt(input.categoryId);
+  if (input.planTier !== undefined) data.planTier = emptyToNull(input.planTier) && String(input.planTier).toUpperCase();
+  if (input.feePercent !== undefined) data.feePercent = parseFloat(input.feePercent) || 0;
+  if (input.fixedFeeCents !== undefined) data.fixedFeeCents = parseInt(input.fixedFeeCents) || 0;
+  if (input.minFeeCents !== undefined) data.minFeeCents = emptyToNull(input.minFeeCents) === null ? null : parseInt(input.minFeeCents);
+  if (input.maxFeeCents !== undefined) data.maxFeeCents = emptyToNull(input.maxFeeCents) === null ? null : parseInt(input.maxFeeCents);
+  if (input.effectiveFrom !== undefined) data.effectiveFrom = emptyToNull(input.effectiveFrom);
+  if (input.effectiveTo !== undefined) data.effectiveTo = emptyToNull(input.effectiveTo);
+  if (input.priority !== undefined) data.priority = parseInt(input.priority) || 0;
+  if (input.isActive !== undefined) data.isActive = !!input.isActive;
+  if (input.notes !== undefined) data.notes = emptyToNull(input.notes);
+
+  return data;
+};
+
+// Find a provider by email or user ID for a per-provider fee rule or preview
+const findFeeRuleProvider = async (provider) => {
+  const lookup = String(provider).trim();
+  return User.findOne({
+    where: /^\d+$/.test(lookup) ? { id: lookup } : { email: lookup },
+    attributes: ['id', 'name', 'email', 'role']
+  });
+};
+
+const platformFeeRuleIncludes = [
+  { model: Category, as: 'category', attributes: ['id', 'name'] },
+  { model: User, as: 'user', attributes: ['id', 'name', 'email'] }
+];
+
+// @route   GET /api/admin/platform-fee-rules
+// @desc    Get all platform fee rules and the default fee (admin)
+// @access  Private (Admin only)
+router.get('/platform-fee-rules', async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.categoryId) {
+      where.categoryId = req.query.categoryId;
+    }
+    if (req.query.active === 'true') {
+      where.isActive = true;
+    } else if (req.query.active === 'false') {
+      where.isActive = false;
+    }
+
+    const rules = await PlatformFeeRule.findAll({
+      where,
+      include: platformFeeRuleIncludes,
+      order: [['isActive', 'DESC'], ['priority', 'DESC'], ['updatedAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      count: rules.length,
+      defaultFeeRule: DEFAULT_FEE_RULE,
+      rules
+    });
+  } catch (error) {
+    console.error('Admin get platform fee rules error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/platform-fee-rules/preview
+// @desc    Preview the platform fee on an amount for a category/plan tier/provider/date
+// @access  Private (Admin only)
+router.post('/platform-fee-rules/preview', async (req, res) => {
+  try {
+    const { amount, categoryId, planTier, provider, at } = req.body;
+    const total = parseFloat(amount);
+    if (!total || total <= 0) {
+      return res.status(400).json({ error: 'Amount must be greater than 0' });
+    }
+
+    let providerUser = null;
+    if (provider) {
+      providerUser = await findFeeRuleProvider(provider);
+      if (!providerUser) {
+        return res.status(404).json({ error: 'Provider not found' });
+      }
+    }
+
+    const rule = await resolvePlatformFee({ categoryId, planTier, userId: providerUser ? providerUser.id : null, at });
+    const { providerAmount, platformFee } = calculatePayouts(total, rule);
+
+    res.json({
+      success: true,
+      preview: {
+        amount: total,
+        rule,
+        description: describeFeeRule(rule),
+        provider: providerUser,
+        platformFee,
+        providerAmount
+      }
+    });
+  } catch (error) {
+    console.error('Admin preview platform fee error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/platform-fee-rules
+// @desc    Create platform fee rule (admin); provider is an email or user ID
+// @access  Private (Admin only)
+router.post('/platform-fee-rules', async (req, res) => {
+  try {
+    const data = parsePlatformFeeRule(req.body);
+    if (req.body.provider) {
+      const providerUser = await findFeeRuleProvider(req.body.provider);
+      if (!providerUser) {
+        return res.status(404).json({ error: 'Provider not found' });
+      }
+      data.userId = providerUser.id;
+    }
+
+    const rule = await PlatformFeeRule.create({
+      ...data,
+      createdBy: req.user.id
+    });
+    clearPlatformFeeCache();
+
+    await logActivity({
+      type: 'platform_fee_rule_created',
+      description: `Platform fee rule "${rule.name}" (${describeFeeRule(rule)}) was created by admin`,
+      userId: req.user.id,
+      metadata: { ruleId: rule.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Platform fee rule created successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Admin create platform fee rule error:', error);
+    res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/platform-fee-rules/:id
+// @desc    Update platform fee rule (admin); an empty provider clears the override
+// @access  Private (Admin only)
+router.put('/platform-fee-rules/:id', async (req, res) => {
+  try {
+    const rule = await PlatformFeeRule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Platform fee rule not found' });
+    }
+
+    const data = parsePlatformFeeRule(req.body);
+    if (req.body.provider !== undefined) {
+      data.userId = null;
+      if (req.body.provider) {
+        const providerUser = await findFeeRuleProvider(req.body.provider);
+        if (!providerUser) {
+          return res.status(404).json({ error: 'Provider not found' });
+        }
+        data.userId = providerUser.id;
+      }
+    }
+
+    const previousFee = describeFeeRule(rule);
+    await rule.update(data);
+    clearPlatformFeeCache();
+
+    // Proposals already paid keep the rule snapshotted on them
+    await logActivity({
+      type: 'platform_fee_rule_updated',
+      description: `Platform fee rule "${rule.name}" was updated by admin`,
+      userId: req.user.id,
+      metadata: { ruleId: rule.id, previousFee, fee: describeFeeRule(rule) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Platform fee rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Admin update platform fee rule error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/admin/platform-fee-rules/:id
+// @desc    Delete platform fee rule (admin)
+// @access  Private (Admin only)
+router.delete('/platform-fee-rules/:id', async (req, res) => {
+  try {
+    const rule = await PlatformFeeRule.findByPk(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Platform fee rule not found' });
+    }
+
+    await rule.destroy();
+    clearPlatformFeeCache();
+
+    await logActivity({
+      type: 'platform_fee_rule_deleted',
+      description: `Platform fee rule "${rule.name}" was deleted by admin`,
+      userId: req.user.id,
+      metadata: { ruleId: rule.id, fee: describeFeeRule(rule) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Platform fee rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Admin delete platform fee rule error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Whitelist and normalize routing strategy fields from the request body
+const parseRoutingStrategy = (input) => {
+  const data = {};
+
+  if (input.name !== undefined) data.name = String(input.name).trim();
+  if (input.type !== undefined) data.type = input.type;
+  if (input.categoryId !== undefined) data.categoryId = input.categoryId === '' || input.categoryId === null ? null : parseInt(input.categoryId);
+  if (input.weights !== undefined) {
+    const factorNames = listFactors().map(factor => factor.name);
+    const weights = {};
+    Object.entries(input.weights || {}).forEach(([name, weight]) => {
+      if (factorNames.includes(name) && weight !== '' && weight !== null && !isNaN(parseFloat(weight))) {
+        weights[name] = parseFloat(weight);
+      }
+    });
+    data.weights = weights;
+  }
+  if (input.sharedCount !== undefined) data.sharedCount = parseInt(input.sharedCount) || 1;
+  if (input.maxDistanceMiles !== undefined) data.maxDistanceMiles = parseInt(input.maxDistanceMiles) || null;
+  if (input.capacityLimit !== undefined) data.capacityLimit = Math.max(parseInt(input.capacityLimit) || 1, 1);
+  if (input.priorityProvidersFirst !== undefined) data.priorityProvidersFirst = !!input.priorityProvidersFirst;
+  if (input.isActive !== undefined) data.isActive = !!input.isActive;
+
+  return data;
+};
+
+// Only one active strategy per category (or one global) - activating one retires the others
+const deactivateOtherStrategies = async (strategy) => {
+  if (!strategy.isActive) return;
+  await RoutingStrategy.update(
+    { isActive: false },
+    { where: { categoryId: strategy.categoryId, isActive: true, id: { [Op.ne]: strategy.id } } }
+  );
+};
+
+// @route   GET /api/admin/routing-strategies
+// @desc    Get routing strategies plus the available factors and strategy types (admin)
+// @access  Private (Admin only)
+router.get('/routing-strategies', async (req, res) => {
+  try {
+    const strategies = await RoutingStrategy.findAll({
+      include: [{ model: Category, as: 'category', attributes: ['id', 'name'] }],
+      order: [['isActive', 'DESC'], ['categoryId', 'ASC'], ['updatedAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      count: strategies.length,
+      strategies,
+      factors: listFactors(),
+      types: listStrategyTypes(),
+      defaultStrategy: DEFAULT_STRATEGY
+    });
+  } catch (error) {
+    console.error('Admin get routing strategies error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/routing-strategies
+// @desc    Create routing strategy (admin)
+// @access  Private (Admin only)
+router.post('/routing-strategies', async (req, res) => {
+  try {
+    const strategy = await RoutingStrategy.create(parseRoutingStrategy(req.body));
+    await deactivateOtherStrategies(strategy);
+
+    await logActivity({
+      type: 'routing_strategy_created',
+      description: `Routing strategy "${strategy.name}" was created by admin`,
+      userId: req.user.id,
+      metadata: { strategyId: strategy.id, type: strategy.type, categoryId: strategy.categoryId }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Routing strategy created successfully',
+      strategy
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Admin create routing strategy error:', error);
+    res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/routing-strategies/:id
+// @desc    Update routing strategy (admin)
+// @access  Private (Admin only)
+router.put('/routing-strategies/:id', async (req, res) => {
+  try {
+    const strategy = await RoutingStrategy.findByPk(req.params.id);
+    if (!strategy) {
+      return res.status(404).json({ error: 'Routing strategy not found' });
+    }
+
+    await strategy.update(parseRoutingStrategy(req.body));
+    await deactivateOtherStrategies(strategy);
+
+    await logActivity({
+      type: 'routing_strategy_updated',
+      description: `Routing strategy "${strategy.name}" was updated by admin`,
+      userId: req.user.id,
+      metadata: { strategyId: strategy.id, type: strategy.type, isActive: strategy.isActive }
+    });
+
+    res.json({
+      success: true,
+      message: 'Routing strategy updated successfully',
+      strategy
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Admin update routing strategy error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/admin/routing-strategies/:id
+// @desc    Delete routing strategy (admin)
+// @access  Private (Admin only)
+router.delete('/routing-strategies/:id', async (req, res) => {
+  try {
+    const strategy = await RoutingStrategy.findByPk(req.params.id);
+    if (!strategy) {
+      return res.status(404).json({ error: 'Routing strategy not found' });
+    }
+
+    await strategy.destroy();
+
+    await logActivity({
+      type: 'routing_strategy_deleted',
+      description: `Routing strategy "${strategy.name}" was deleted by admin`,
+      userId: req.user.id,
+      metadata: { strategyId: strategy.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Routing strategy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Admin delete routing strategy error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/service-requests/:id/routing-dry-run
+// @desc    Rank providers for a request without routing it, explaining each score
+// @access  Private (Admin only)
+router.post('/service-requests/:id/routing-dry-run', async (req, res) => {
+  try {
+    const requestId = parseInt(req.params.id);
+    if (isNaN(requestId)) {
+      return res.status(400).json({ error: 'Invalid service request ID' });
+    }
+
+    const strategyId = req.body.strategyId ? parseInt(req.body.strategyId) : null;
+    const result = await routeRequest(requestId, { dryRun: true, strategyId });
+
+    res.json({
+      success: true,
+      dryRun: explainRouting(result)
+    });
+  } catch (error) {
+    if (error.message === 'Service request not found' || error.message === 'Routing strategy not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Admin routing dry run error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/ledger/accounts
+// @desc    Balance of every ledger account (asOf=date, defaults to now) (admin)
+// @access  Private (Admin only)
+router.get('/ledger/accounts', async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf)) {
+      return res.status(400).json({ error: 'asOf must be a date' });
+    }
+
+    res.json({
+      success: true,
+      ...(await getAccountBalances({ asOf }))
+    });
+  } catch (error) {
+    console.error('Admin get ledger accounts error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/ledger/transactions
+// @desc    Ledger journal with entries, filtered by type, userId, referenceType/referenceId and from/to (admin)
+// @access  Private (Admin only)
+router.get('/ledger/transactions', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.type) {
+      where.type = req.query.type;
+    }
+    if (req.query.userId) {
+      where.userId = parseInt(req.query.userId);
+    }
+    if (req.query.referenceType && req.query.referenceId) {
+      where.referenceType = req.query.referenceType;
+      where.referenceId = parseInt(req.query.referenceId);
+    }
+    if (req.query.from || req.query.to) {
+      where.occurredAt = {};
+      if (req.query.from) {
+        where.occurredAt[Op.gte] = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        where.occurredAt[Op.lt] = new Date(req.query.to);
+      }
+    }
+
+    const { count, rows: transactions } = await LedgerTransaction.findAndCountAll({
+      where,
+      include: [
+        { model: LedgerEntry, as: 'entries', attributes: ['id', 'account', 'userId', 'direction', 'amount'] },
+        { model: User, as: 'user', attributes: ['id', 'name', 'email'], required: false }
+      ],
+      order: [['occurredAt', 'DESC'], ['id', 'DESC']],
+      distinct: true,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: transactions.length,
+      total: count,
+      page,
+      pages: Math.ceil(count / limit),
+      transactions
+    });
+  } catch (error) {
+    console.error('Admin get ledger transactions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/ledger/providers
+// @desc    Provider balances - owed to them (positive) or owed by them (negative) (admin)
+// @access  Private (Admin only)
+router.get('/ledger/providers', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    res.json({
+      success: true,
+      ...(await getProviderBalances({ page, limit }))
+    });
+  } catch (error) {
+    console.error('Admin get provider balances error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/ledger/providers/:userId
+// @desc    One provider's balance and monthly statement (month=YYYY-MM, UTC; defaults to this month) (admin)
+// @access  Private (Admin only)
+router.get('/ledger/providers/:userId', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const user = await User.findByPk(userId, { attributes: ['id', 'name', 'email'] });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const statement = await getMonthlyStatement(userId, req.query.month || new Date().toISOString().slice(0, 7));
+    if (statement.error) {
+      return res.status(statement.status || 400).json({ error: statement.error });
+    }
+
+    res.json({
+      success: true,
+      user,
+      balance: await getProviderBalance(userId),
+      statement
+    });
+  } catch (error) {
+    console.error('Admin get provider statement error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/ledger/reconciliation
+// @desc    Compare the ledger with the payment processor for a period (from/to, default last 30 days) (admin)
+// @access  Private (Admin only)
+router.get('/ledger/reconciliation', async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const report = await reconcileLedger({ from, to });
+    if (report.error) {
+      return res.status(report.status || 400).json({ error: report.error });
+    }
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Admin ledger reconciliation error:', error);
+    res.status(500).json({ error: error.message || 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/ledger/sync
+// @desc    Post every money movement the ledger is missing now instead of waiting for the hourly job (admin)
+// @access  Private (Admin only)
+router.post('/ledger/sync', async (req, res) => {
+  try {
+    const since = req.body.since ? new Date(req.body.since) : null;
+    if (since && isNaN(since)) {
+      return res.status(400).json({ error: 'since must be a date' });
+    }
+
+    const result = await syncLedger({ since });
+
+    logActivity({
+      type: 'ledger_synced',
+      description: `Ledger sync posted ${result.posted} of ${result.missing.length} missing transaction(s)`,
+      userId: req.user.id,
+      metadata: { since, checked: result.checked, posted: result.posted }
+    });
+
+    res.json({
+      success: true,
+      checked: result.checked,
+      posted: result.posted,
+      missing: result.missing.length
+    });
+  } catch (error) {
+    console.error('Admin ledger sync error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/earnings/annual
+// @desc    Every provider's earnings totals for a tax year (year, defaults to last year; format=json|csv) (admin)
+// @access  Private (Admin only)
+router.get('/earnings/annual', async (req, res) => {
+  try {
+    const year = req.query.year ? parseInt(req.query.year) : new Date().getUTCFullYear() - 1;
+    const annual = await getAnnualTotals(year);
+    if (annual.error) {
+      return res.status(annual.status || 400).json({ error: annual.error });
+    }
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="provider-earnings-${year}.csv"`);
+      return res.send(annualTotalsToCsv(annual));
+    }
+
+    res.json({
+      success: true,
+      ...annual
+    });
+  } catch (error) {
+    console.error('Admin annual earnings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    Get background jobs with counts per status (admin)
+// @access  Private (Admin only)
+router.get('/jobs', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.status && req.query.status !== 'all') {
+      where.status = req.query.status;
+    }
+    if (req.query.type) {
+      where.type = req.query.type;
+    }
+
+    const [{ count, rows: jobs }, statusCounts, types] = await Promise.all([
+      Job.findAndCountAll({
+        where,
+        order: [['runAt', req.query.status === 'queued' ? 'ASC' : 'DESC'], ['id', 'DESC']],
+        limit,
+        offset
+      }),
+      Job.findAll({
+        attributes: ['status', [fn('COUNT', col('id')), 'count']],
+        group: ['status'],
+        raw: true
+      }),
+      Job.findAll({
+        attributes: [[fn('DISTINCT', col('type')), 'type']],
+        raw: true
+      })
+    ]);
+
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    statusCounts.forEach(row => {
+      counts[row.status] = parseInt(row.count);
+    });
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      total: count,
+      page,
+      pages: Math.ceil(count / limit),
+      counts,
+      types: types.map(row => row.type).sort(),
+      jobs
+    });
+  } catch (error) {
+    console.error('Admin get jobs error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/jobs/:id/retry
+// @desc    Re-run a failed job now with a fresh set of attempts (admin)
+// @access  Private (Admin only)
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await Job.findByPk(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!['failed', 'queued'].includes(job.status)) {
+      return res.status(400).json({ error: `Cannot retry a ${job.status} job` });
+    }
+
+    await retryJob(job);
+
+    await logActivity({
+      type: 'job_retried',
+      description: `Background job #${job.id} (${job.type}) was retried by admin`,
+      userId: req.user.id,
+      metadata: { jobId: job.id, type: job.type }
+    });
+
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      job
+    });
+  } catch (error) {
+    console.error('Admin retry job error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/providers
+// @desc    Get all providers with statistics (admin)
+// @access  Private (Admin only)
+router.get('/providers', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const filterStatus = req.query.filterStatus || 'all'; // all, active, inactive
+
+    // Build where clause based on filter
+    const whereClause = {
+      role: 'business_owner'
+    };
+
+    // Apply status filter if not 'all'
+    if (filterStatus === 'active') {
+      whereClause.isActive = true;
+    } else if (filterStatus === 'inactive') {
+      whereClause.isActive = false;
+    }
+
+    // Get all users with business_owner role (simple info only - no provider profile)
+    const { count, rows: users } = await User.findAndCountAll({
+      where: whereClause,
+      attributes: ['id', 'name', 'email', 'phone', 'avatar', 'isActive', 'createdAt'],
+      distinct: true, // Ensure accurate count when using includes
+      include: [
         {
           model: Business,
           as: 'businesses',
@@ -1977,8 +3214,7 @@ router.get('/providers', async (req, res) => {
     });
 
     // Get simple provider info with verification status from businesses
-    const now = new Date(); // Use server time (UTC)
-    
+    // (subscription renewal and expiry are handled by the subscriptions.sweep job)
     const providersWithStats = await Promise.all(users.map(async (user) => {
       // Get verification status from businesses (if any business is verified, provider is verified)
       const isVerified = user.businesses && user.businesses.length > 0
@@ -1986,20 +3222,7 @@ router.get('/providers', async (req, res) => {
         : false;
 
       // Get subscription (include all statuses, not just ACTIVE)
-      let subscription = user.subscription || null;
-
-      // Check if subscription has expired based on currentPeriodEnd (using UTC time)
-      if (subscription && subscription.status === 'ACTIVE' && subscription.currentPeriodEnd) {
-        const periodEnd = new Date(subscription.currentPeriodEnd);
-        
-        // Compare dates in UTC to avoid timezone issues
-        if (periodEnd < now) {
-          // Subscription has expired - update status
-          await subscription.update({ status: 'EXPIRED' });
-          subscription.status = 'EXPIRED';
-          console.log(`[admin/providers] Updated subscription ${subscription.id} for user ${user.id} to EXPIRED (period ended: ${periodEnd.toISOString()})`);
-        }
-      }
+      const subscription = user.subscription || null;
 
       return {
         id: user.id,
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { ApiKey, ApiKeyUsage } = require('../models');
+const { protect } = require('../middleware/auth');
+const logActivity = require('../utils/logActivity');
+const {
+  SCOPES,
+  DEFAULT_RATE_LIMIT,
+  MAX_RATE_LIMIT,
+  validateApiKeyInput,
+  issueApiKey,
+  rotateApiKey,
+  formatApiKey
+} = require('../utils/apiKeys');
+
+const USAGE_DAYS = 30;
+
+router.use(protect);
+
+async function findOwnKey(id, userId) {
+  return ApiKey.findOne({ where: { id, userId } });
+}
+
+// @route   GET /api/api-keys
+// @desc    Current user's API keys with the last 30 days of usage
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findAll({
+      where: { userId: req.user.id },
+      order: [['revokedAt', 'ASC'], ['createdAt', 'DESC']]
+    });
+
+    const since = new Date(Date.now() - USAGE_DAYS * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    const usage = apiKeys.length > 0
+      ? await ApiKeyUsage.findAll({
+        where: {
+          apiKeyId: { [Op.in]: apiKeys.map(apiKey => apiKey.id) },
+          date: { [Op.gte]: since }
+        },
+        order: [['date', 'ASC']]
+      })
+      : [];
+
+    res.json({
+      success: true,
+      scopes: SCOPES,
+      defaultRateLimit: DEFAULT_RATE_LIMIT,
+      maxRateLimit: MAX_RATE_LIMIT,
+      apiKeys: apiKeys.map(apiKey => ({
+        ...formatApiKey(apiKey),
+        usage: usage
+          .filter(day => day.apiKeyId === apiKey.id)
+          .map(day => ({ date: day.date, requestCount: day.requestCount }))
+      }))
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load API keys' });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key; the plain key is only returned in this response
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { values, error } = validateApiKeyInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const result = await issueApiKey(req.user.id, values);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    await logActivity({
+      type: 'api_key_created',
+      description: `API key "${result.apiKey.name}" created`,
+      userId: req.user.id,
+      metadata: { apiKeyId: result.apiKey.id, scopes: result.apiKey.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      key: result.key,
+      apiKey: formatApiKey(result.apiKey)
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create API key' });
+  }
+});
+
+// @route   PUT /api/api-keys/:id
+// @desc    Rename a key or change its scopes or rate limit
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const apiKey = await findOwnKey(req.params.id, req.user.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    if (!apiKey.isActive()) {
+      return res.status(400).json({ success: false, error: 'Revoked keys cannot be changed' });
+    }
+
+    const { values, error } = validateApiKeyInput(req.body, apiKey);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    await apiKey.update(values);
+
+    res.json({
+      success: true,
+      apiKey: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update API key' });
+  }
+});
+
+// @route   POST /api/api-keys/:id/rotate
+// @desc    Replace a key with a new one with the same settings; the old key stops working
+// @access  Private
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const apiKey = await findOwnKey(req.params.id, req.user.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    if (!apiKey.isActive()) {
+      return res.status(400).json({ success: false, error: 'This key has already been revoked' });
+    }
+
+    const result = await rotateApiKey(apiKey);
+
+    await logActivity({
+      type: 'api_key_rotated',
+      description: `API key "${apiKey.name}" rotated`,
+      userId: req.user.id,
+      metadata: { apiKeyId: result.apiKey.id, rotatedFromId: apiKey.id }
+    });
+
+    res.json({
+      success: true,
+      key: result.key,
+      apiKey: formatApiKey(result.apiKey)
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to rotate API key' });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke a key (it stays listed with its usage history)
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await findOwnKey(req.params.id, req.user.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    if (!apiKey.isActive()) {
+      return res.status(400).json({ success: false, error: 'This key has already been revoked' });
+    }
+
+    await apiKey.update({ revokedAt: new Date(), revokedReason: 'revoked' });
+
+    await logActivity({
+      type: 'api_key_revoked',
+      description: `API key "${apiKey.name}" revoked`,
+      userId: req.user.id,
+      metadata: { apiKeyId: apiKey.id }
+    });
+
+    res.json({
+      success: true,
+      apiKey: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -5,9 +5,27 @@ const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const { User, Business, Category } = require('../models');
 const generateToken = require('../utils/generateToken');
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
+const {
+  REFRESH_COOKIE_NAME,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  getActiveSessions,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require('../utils/sessions');
+const { buildLoginChallenge } = require('../utils/twoFactor');
 const logActivity = require('../utils/logActivity');
 const sendEmail = require('../utils/sendEmail');
+const { sendNotification } = require('../utils/sendNotification');
+
+// Password reset links are valid for one hour
+const PASSWORD_RESET_EXPIRY_MINUTES = 60;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -304,7 +322,7 @@ router.post('/provider-signup', [
     // Only generate token and auto-login if email is verified or verification is bypassed
     let token = null;
     if (autoVerify) {
-      token = generateToken(user.id);
+      token = await startSession(res, user, req);
       await user.update({ lastLogin: new Date() });
     }
 
@@ -429,11 +447,17 @@ router.post('/login', [
       });
     }
 
+    // Second factor - the session is only started once /api/auth/2fa/verify succeeds
+    const challenge = await buildLoginChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
     // Update last login
     await user.updateLastLogin();
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a new session (access token + refresh cookie)
+    const token = await startSession(res, user, req);
 
     res.json({
       success: true,
@@ -500,11 +524,17 @@ router.post('/admin/login', [
       return res.status(401).json({ error: 'Invalid admin credentials' });
     }
 
+    // Admins must complete 2FA (or enrol in it) before a session is issued
+    const challenge = await buildLoginChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
     // Update last login
     await user.updateLastLogin();
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a new session (access token + refresh cookie)
+    const token = await startSession(res, user, req);
 
     res.json({
       success: true,
@@ -556,7 +586,9 @@ router.get('/me', protect, async (req, res) => {
         country: user.country,
         zipCode: user.zipCode,
         lastLogin: user.lastLogin,
-        createdAt: user.createdAt
+        createdAt: user.createdAt,
+        twoFactorEnabled: user.twoFactorEnabled,
+        twoFactorMethod: user.twoFactorMethod
       }
     });
   } catch (error) {
@@ -683,9 +715,12 @@ router.put('/changepassword', protect, async (req, res) => {
     }
 
     user.password = req.body.newPassword;
+    user.passwordChangedAt = new Date();
     await user.save();
 
-    const token = generateToken(user.id);
+    // Sign out every other device; this session stays valid with a freshly issued token
+    await revokeUserSessions(user.id, { reason: 'password_changed', exceptSessionId: req.sessionId });
+    const token = generateToken(user.id, req.sessionId);
 
     res.json({
       success: true,
@@ -698,14 +733,53 @@ router.put('/changepassword', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange the refresh token cookie for a new access token (rotates the refresh token)
+// @access  Public (requires refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.cookies[REFRESH_COOKIE_NAME] || req.body.refreshToken;
+    const result = await rotateSession(refreshToken, req);
+
+    if (!result.success) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: result.error, code: result.code });
+    }
+
+    if (result.refreshToken) {
+      setRefreshCookie(res, result.refreshToken);
+    }
+
+    res.json({
+      success: true,
+      token: result.token
+    });
+  } catch (error) {
+    console.log('Refresh token error:', error);
+    res.status(500).json({ error: 'Server error during token refresh' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user
-// @access  Private
-router.post('/logout', protect, (req, res) => {
+// @desc    Logout user (revokes the current session)
+// @access  Public - works with an expired access token as long as the refresh cookie is present
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, 'logout');
+    } else {
+      await revokeSessionByRefreshToken(req.cookies[REFRESH_COOKIE_NAME], 'logout');
+    }
+  } catch (error) {
+    // Logging out should always succeed from the client's point of view
+    console.log('Logout error:', error);
+  }
+
   res.cookie('token', 'none', {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true
   });
+  clearRefreshCookie(res);
 
   res.json({
     success: true,
@@ -713,6 +787,263 @@ router.post('/logout', protect, (req, res) => {
   });
 });
 
+// @route   POST /api/auth/logout-all
+// @desc    Log out of all devices (revokes every session including the current one)
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user.id, { reason: 'logout_all' });
+    clearRefreshCookie(res);
+
+    await logActivity({
+      type: 'sessions_revoked',
+      description: `User "${req.user.name}" logged out of all devices`,
+      userId: req.user.id,
+      metadata: { userName: req.user.name, sessionsRevoked: count }
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      sessionsRevoked: count
+    });
+  } catch (error) {
+    console.log('Logout all error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's signed-in devices
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.log('Get sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out a single device
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const sessions = await getActiveSessions(req.user.id);
+    if (!sessions.some(session => session.id === sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    console.log('Revoke session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * Store a new reset token hash for a user and email them the link
+ * @param {Object} user - User instance
+ * @param {string} ip - Requesting IP (activity log)
+ */
+async function issuePasswordReset(user, ip) {
+  // Only the hash is stored; requesting a new link replaces any previous one
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  await user.update({
+    passwordResetToken: hashResetToken(resetToken),
+    passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_EXPIRY_MINUTES * 60 * 1000)
+  });
+
+  // Determine frontend URL based on environment
+  const isDevelopment = process.env.NODE_ENV === 'development';
+  const frontendUrl = isDevelopment
+    ? (process.env.FRONTEND_URL || 'http://localhost:3000')
+    : (process.env.PROD_FRONTEND_URL || process.env.FRONTEND_URL || 'http://localhost:3000');
+  const resetLink = `${frontendUrl}/reset-password?token=${encodeURIComponent(resetToken)}`;
+
+  // Transactional email - always sent regardless of notification preferences
+  const emailResult = await sendNotification({
+    userId: user.id,
+    to: user.email,
+    type: 'password_reset',
+    data: {
+      UserName: user.name,
+      ResetLink: resetLink,
+      ExpiresInMinutes: PASSWORD_RESET_EXPIRY_MINUTES
+    },
+    skipPreferences: true
+  });
+  if (!emailResult || !emailResult.success) {
+    console.warn('⚠️  Password reset email could not be sent. Email may not be configured.');
+  }
+
+  await logActivity({
+    type: 'password_reset_requested',
+    description: `User "${user.name}" requested a password reset`,
+    userId: user.id,
+    metadata: { userName: user.name, userEmail: user.email, ip }
+  });
+}
+
+// @route   POST /api/auth/forgot-password
+// @desc    Request a password reset link by email
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: errors.array()[0].msg || 'Please provide a valid email',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    // Same response whether or not the account exists - don't reveal registered emails
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    };
+
+    const user = await User.findOne({ where: { email } });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    // Issued after responding so known and unknown emails answer in the same time
+    issuePasswordReset(user, req.ip)
+      .catch(err => console.error('Failed to issue password reset:', err.message));
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.log('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+});
+
+// @route   GET /api/auth/reset-password/:token
+// @desc    Check whether a password reset token is still valid
+// @access  Public
+router.get('/reset-password/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      where: {
+        passwordResetToken: hashResetToken(req.params.token),
+        passwordResetExpires: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'This password reset link is invalid or has expired. Please request a new one.',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    res.json({ success: true, email: user.email });
+  } catch (error) {
+    console.log('Validate reset token error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token and sign out all existing sessions
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: errors.array()[0].msg || 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      where: {
+        passwordResetToken: hashResetToken(token),
+        passwordResetExpires: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'This password reset link is invalid or has expired. Please request a new one.',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    // Clearing the token makes it single-use; passwordChangedAt revokes every issued JWT.
+    // Following the emailed link also proves ownership of the address.
+    user.password = password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    user.passwordChangedAt = new Date();
+    user.isEmailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    await revokeUserSessions(user.id, { reason: 'password_reset' });
+
+    const isDevelopment = process.env.NODE_ENV === 'development';
+    const frontendUrl = isDevelopment
+      ? (process.env.FRONTEND_URL || 'http://localhost:3000')
+      : (process.env.PROD_FRONTEND_URL || process.env.FRONTEND_URL || 'http://localhost:3000');
+
+    sendNotification({
+      userId: user.id,
+      to: user.email,
+      type: 'password_changed',
+      data: {
+        UserName: user.name,
+        LoginLink: `${frontendUrl}${user.role === 'admin' ? '/admin/login' : '/login'}`
+      },
+      skipPreferences: true
+    }).catch(err => console.error('Failed to send password changed email:', err.message));
+
+    await logActivity({
+      type: 'password_reset',
+      description: `User "${user.name}" reset their password`,
+      userId: user.id,
+      metadata: { userName: user.name, userEmail: user.email, ip: req.ip }
+    });
+
+    res.json({
+      success: true,
+      message: 'Your password has been reset. Please log in with your new password.',
+      role: user.role
+    });
+  } catch (error) {
+    console.log('Reset password error:', error);
+    res.status(500).json({ error: 'Server error during password reset' });
+  }
+});
+
 // @route   GET /api/auth/verify-email/:token
 // @route   GET /api/auth/verify-email?token=xxx
 // @desc    Verify user email
@@ -0,0 +1,416 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Bookmark, BookmarkList, Business, Category } = require('../models');
+const { protect } = require('../middleware/auth');
+
+const DEFAULT_LIST_NAME = 'Saved';
+const MAX_LISTS = 50;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_IMPORT = 100;
+
+const BUSINESS_ATTRIBUTES = ['id', 'name', 'slug', 'logo', 'address', 'city', 'state', 'ratingAverage', 'ratingCount'];
+
+router.use(protect);
+
+// The list bookmarks go to when the client doesn't pick one
+async function getDefaultList(userId) {
+  const existing = await BookmarkList.findOne({ where: { userId, isDefault: true } });
+  if (existing) {
+    return existing;
+  }
+  return BookmarkList.create({ userId, name: DEFAULT_LIST_NAME, isDefault: true, position: 0 });
+}
+
+async function findOwnList(listId, userId) {
+  return BookmarkList.findOne({ where: { id: listId, userId } });
+}
+
+async function nextPosition(Model, where) {
+  const max = await Model.max('position', { where });
+  return (Number.isFinite(max) ? max : -1) + 1;
+}
+
+const cleanNote = (note) => {
+  if (note === undefined || note === null) {
+    return null;
+  }
+  const trimmed = String(note).trim();
+  return trimmed ? trimmed.slice(0, MAX_NOTE_LENGTH) : null;
+};
+
+// @route   GET /api/bookmarks
+// @desc    Get the current user's bookmark lists with their saved businesses
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const lists = await BookmarkList.findAll({
+      where: { userId: req.user.id },
+      include: [
+        {
+          model: Bookmark,
+          as: 'bookmarks',
+          required: false,
+          include: [
+            {
+              model: Business,
+              as: 'business',
+              attributes: BUSINESS_ATTRIBUTES,
+              include: [{ model: Category, as: 'category', attributes: ['id', 'name'] }]
+            }
+          ]
+        }
+      ],
+      order: [
+        ['position', 'ASC'],
+        ['id', 'ASC'],
+        [{ model: Bookmark, as: 'bookmarks' }, 'position', 'ASC'],
+        [{ model: Bookmark, as: 'bookmarks' }, 'id', 'ASC']
+      ]
+    });
+
+    res.json({
+      success: true,
+      lists
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load bookmarks' });
+  }
+});
+
+// @route   GET /api/bookmarks/business-ids
+// @desc    Ids of every business the current user has saved (for bookmark toggles)
+// @access  Private
+router.get('/business-ids', async (req, res) => {
+  try {
+    const rows = await Bookmark.findAll({
+      where: { userId: req.user.id },
+      attributes: [[sequelize.fn('DISTINCT', sequelize.col('businessId')), 'businessId']],
+      raw: true
+    });
+
+    res.json({
+      success: true,
+      businessIds: rows.map(row => row.businessId)
+    });
+  } catch (error) {
+    console.error('Get bookmarked business ids error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load bookmarks' });
+  }
+});
+
+// @route   POST /api/bookmarks
+// @desc    Save a business to a list (the default list if none is given)
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { businessId, listId, note } = req.body;
+
+    const business = await Business.findByPk(businessId, { attributes: ['id'] });
+    if (!business) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
+    }
+
+    const list = listId ? await findOwnList(listId, req.user.id) : await getDefaultList(req.user.id);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    const existing = await Bookmark.findOne({ where: { listId: list.id, businessId: business.id } });
+    if (existing) {
+      if (note !== undefined) {
+        await existing.update({ note: cleanNote(note) });
+      }
+      return res.json({ success: true, bookmark: existing });
+    }
+
+    const bookmark = await Bookmark.create({
+      userId: req.user.id,
+      listId: list.id,
+      businessId: business.id,
+      note: cleanNote(note),
+      position: await nextPosition(Bookmark, { listId: list.id })
+    });
+
+    res.status(201).json({
+      success: true,
+      bookmark
+    });
+  } catch (error) {
+    console.error('Create bookmark error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save bookmark' });
+  }
+});
+
+// @route   POST /api/bookmarks/import
+// @desc    Import bookmarks kept in the browser before they were stored on the server
+// @access  Private
+router.post('/import', async (req, res) => {
+  try {
+    const businessIds = Array.isArray(req.body.businessIds)
+      ? [...new Set(req.body.businessIds.map(id => parseInt(id)).filter(Boolean))].slice(0, MAX_IMPORT)
+      : [];
+
+    if (businessIds.length === 0) {
+      return res.json({ success: true, imported: 0 });
+    }
+
+    const list = await getDefaultList(req.user.id);
+    const [businesses, existing] = await Promise.all([
+      Business.findAll({ where: { id: { [Op.in]: businessIds } }, attributes: ['id'] }),
+      Bookmark.findAll({ where: { listId: list.id, businessId: { [Op.in]: businessIds } }, attributes: ['businessId'] })
+    ]);
+    const alreadySaved = new Set(existing.map(bookmark => bookmark.businessId));
+    const toImport = businesses.filter(business => !alreadySaved.has(business.id));
+
+    let position = await nextPosition(Bookmark, { listId: list.id });
+    await Bookmark.bulkCreate(toImport.map(business => ({
+      userId: req.user.id,
+      listId: list.id,
+      businessId: business.id,
+      position: position++
+    })));
+
+    res.json({
+      success: true,
+      imported: toImport.length
+    });
+  } catch (error) {
+    console.error('Import bookmarks error:', error);
+    res.status(500).json({ success: false, error: 'Failed to import bookmarks' });
+  }
+});
+
+// @route   DELETE /api/bookmarks/business/:businessId
+// @desc    Remove a business from all of the current user's lists
+// @access  Private
+router.delete('/business/:businessId', async (req, res) => {
+  try {
+    const removed = await Bookmark.destroy({
+      where: { userId: req.user.id, businessId: req.params.businessId }
+    });
+
+    res.json({
+      success: true,
+      removed
+    });
+  } catch (error) {
+    console.error('Remove business bookmarks error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove bookmark' });
+  }
+});
+
+// @route   POST /api/bookmarks/lists
+// @desc    Create a bookmark list
+// @access  Private
+router.post('/lists', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 100) {
+      return res.status(400).json({ success: false, error: 'List name is required (max 100 characters)' });
+    }
+
+    const count = await BookmarkList.count({ where: { userId: req.user.id } });
+    if (count >= MAX_LISTS) {
+      return res.status(400).json({ success: false, error: `You can have up to ${MAX_LISTS} lists` });
+    }
+
+    // Make sure the default list exists so it keeps its place at the top
+    await getDefaultList(req.user.id);
+
+    const list = await BookmarkList.create({
+      userId: req.user.id,
+      name,
+      position: await nextPosition(BookmarkList, { userId: req.user.id })
+    });
+
+    res.status(201).json({
+      success: true,
+      list
+    });
+  } catch (error) {
+    console.error('Create bookmark list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create list' });
+  }
+});
+
+// @route   PUT /api/bookmarks/lists/reorder
+// @desc    Reorder the current user's lists
+// @access  Private
+router.put('/lists/reorder', async (req, res) => {
+  try {
+    const { listIds } = req.body;
+    if (!Array.isArray(listIds)) {
+      return res.status(400).json({ success: false, error: 'listIds must be an array' });
+    }
+
+    const lists = await BookmarkList.findAll({ where: { userId: req.user.id }, attributes: ['id'] });
+    const ownIds = new Set(lists.map(list => list.id));
+    const ids = listIds.map(id => parseInt(id));
+    if (ids.length !== ownIds.size || ids.some(id => !ownIds.has(id))) {
+      return res.status(400).json({ success: false, error: 'listIds must contain each of your lists exactly once' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (let i = 0; i < ids.length; i++) {
+        await BookmarkList.update({ position: i }, { where: { id: ids[i] }, transaction });
+      }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Reorder bookmark lists error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reorder lists' });
+  }
+});
+
+// @route   PUT /api/bookmarks/lists/:id
+// @desc    Rename a bookmark list
+// @access  Private
+router.put('/lists/:id', async (req, res) => {
+  try {
+    const list = await findOwnList(req.params.id, req.user.id);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 100) {
+      return res.status(400).json({ success: false, error: 'List name is required (max 100 characters)' });
+    }
+
+    await list.update({ name });
+
+    res.json({
+      success: true,
+      list
+    });
+  } catch (error) {
+    console.error('Rename bookmark list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to rename list' });
+  }
+});
+
+// @route   PUT /api/bookmarks/lists/:id/reorder
+// @desc    Reorder the bookmarks in a list
+// @access  Private
+router.put('/lists/:id/reorder', async (req, res) => {
+  try {
+    const list = await findOwnList(req.params.id, req.user.id);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    const { bookmarkIds } = req.body;
+    if (!Array.isArray(bookmarkIds)) {
+      return res.status(400).json({ success: false, error: 'bookmarkIds must be an array' });
+    }
+
+    const bookmarks = await Bookmark.findAll({ where: { listId: list.id }, attributes: ['id'] });
+    const listBookmarkIds = new Set(bookmarks.map(bookmark => bookmark.id));
+    const ids = bookmarkIds.map(id => parseInt(id));
+    if (ids.length !== listBookmarkIds.size || ids.some(id => !listBookmarkIds.has(id))) {
+      return res.status(400).json({ success: false, error: 'bookmarkIds must contain each bookmark in the list exactly once' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (let i = 0; i < ids.length; i++) {
+        await Bookmark.update({ position: i }, { where: { id: ids[i] }, transaction });
+      }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Reorder bookmarks error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reorder bookmarks' });
+  }
+});
+
+// @route   DELETE /api/bookmarks/lists/:id
+// @desc    Delete a bookmark list and everything saved in it
+// @access  Private
+router.delete('/lists/:id', async (req, res) => {
+  try {
+    const list = await findOwnList(req.params.id, req.user.id);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    if (list.isDefault) {
+      return res.status(400).json({ success: false, error: 'The default list cannot be deleted' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Bookmark.destroy({ where: { listId: list.id }, transaction });
+      await list.destroy({ transaction });
+    });
+
+    res.json({ success: true, message: 'List deleted' });
+  } catch (error) {
+    console.error('Delete bookmark list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete list' });
+  }
+});
+
+// @route   PUT /api/bookmarks/:id
+// @desc    Update a bookmark's note or move it to another list
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const bookmark = await Bookmark.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!bookmark) {
+      return res.status(404).json({ success: false, error: 'Bookmark not found' });
+    }
+
+    const updates = {};
+    if (req.body.note !== undefined) {
+      updates.note = cleanNote(req.body.note);
+    }
+
+    if (req.body.listId !== undefined && parseInt(req.body.listId) !== bookmark.listId) {
+      const list = await findOwnList(req.body.listId, req.user.id);
+      if (!list) {
+        return res.status(404).json({ success: false, error: 'List not found' });
+      }
+      const duplicate = await Bookmark.findOne({ where: { listId: list.id, businessId: bookmark.businessId } });
+      if (duplicate) {
+        return res.status(400).json({ success: false, error: 'This business is already in that list' });
+      }
+      updates.listId = list.id;
+      updates.position = await nextPosition(Bookmark, { listId: list.id });
+    }
+
+    await bookmark.update(updates);
+
+    res.json({
+      success: true,
+      bookmark
+    });
+  } catch (error) {
+    console.error('Update bookmark error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update bookmark' });
+  }
+});
+
+// @route   DELETE /api/bookmarks/:id
+// @desc    Remove a business from one list
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const bookmark = await Bookmark.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!bookmark) {
+      return res.status(404).json({ success: false, error: 'Bookmark not found' });
+    }
+
+    await bookmark.destroy();
+
+    res.json({ success: true, message: 'Bookmark removed' });
+  } catch (error) {
+    console.error('Delete bookmark error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove bookmark' });
+  }
+});
+
+module.exports = router;
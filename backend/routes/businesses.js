@@ -2,41 +2,72 @@ const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
-const { Business, Category, User, Contact } = require('../models');
+const { Business, Category, User, Contact, Bookmark, Promotion } = require('../models');
 const { protect, optionalAuth } = require('../middleware/auth');
 const logActivity = require('../utils/logActivity');
-const { getCoordinatesFromZipCode, calculateDistance, getBoundingBox } = require('../utils/geolocation');
+const { validateBusinessMedia } = require('../utils/media');
+const { renderTemplate } = require('../utils/emailTemplates');
+const { screenSubmission, formRateLimit } = require('../utils/antiAbuse');
+const { activePromotionWhere, validatePromotionInput, toPublicPromotion, redeemPromotion } = require('../utils/promotions');
+const {
+  normalizeZipCode,
+  lookupZipCode,
+  getCoordinatesFromZipCode,
+  parseGeoQuery
+} = require('../utils/geolocation');
+const {
+  locationConditions,
+  nearestDistanceSql,
+  validateLocationsInput,
+  validateServiceAreasInput,
+  replaceBusinessAreas,
+  getBusinessAreas
+} = require('../utils/serviceAreas');
 
 // @route   GET /api/businesses/geocode/:zipCode
-// @desc    Geocode a zip code to get latitude and longitude
+// @desc    Resolve a zip code from the offline gazetteer: coordinates, city, state,
+//          county, timezone and neighbouring zip codes
 // @access  Public
 router.get('/geocode/:zipCode', async (req, res) => {
   try {
     const { zipCode } = req.params;
-    
-    if (!zipCode) {
+
+    if (!normalizeZipCode(zipCode)) {
       return res.status(400).json({
         success: false,
-        error: 'Zip code is required'
+        error: 'Invalid zip code format'
       });
     }
-    
-    const coordinates = await getCoordinatesFromZipCode(zipCode);
-    
-    if (coordinates && !isNaN(coordinates.lat) && !isNaN(coordinates.lng)) {
-      return res.json({
-        success: true,
-        coordinates: {
-          latitude: coordinates.lat,
-          longitude: coordinates.lng
-        }
-      });
-    } else {
+
+    const entry = await lookupZipCode(zipCode);
+    const coordinates = entry && entry.lat !== null
+      ? { lat: entry.lat, lng: entry.lng }
+      : await getCoordinatesFromZipCode(zipCode);
+
+    if (!coordinates) {
       return res.status(404).json({
         success: false,
         error: 'Could not geocode zip code'
       });
     }
+
+    return res.json({
+      success: true,
+      coordinates: {
+        latitude: coordinates.lat,
+        longitude: coordinates.lng
+      },
+      location: entry
+        ? {
+          zipCode: entry.code,
+          city: entry.city,
+          state: entry.state,
+          county: entry.county,
+          timezone: entry.timezone,
+          neighboringZipCodes: entry.neighbors
+        }
+        : null
+    });
   } catch (error) {
     console.error('Error geocoding zip code:', error);
     return res.status(500).json({
@@ -75,7 +106,9 @@ const buildOrderFromQuery = (sort) => {
 };
 
 // @route   GET /api/businesses
-// @desc    Get all businesses
+// @desc    Get all businesses. zipCode or lat+lng with radius (miles) and/or
+//          bounds=south,west,north,east filter by location; results then carry a
+//          distance in miles and are sorted nearest first unless another sort is given.
 // @access  Public
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -89,8 +122,8 @@ router.get('/', optionalAuth, async (req, res) => {
     // Build base where clause
     const baseWhere = {};
     
-    // Track if we have a zip code filter to apply later
-    let zipCodeFilter = null;
+    // Track if we have a location filter to apply later
+    let geoFilter = null;
 
     // Search by name or description - works independently
     if (req.query.search && req.query.search.trim()) {
@@ -227,87 +260,16 @@ router.get('/', optionalAuth, async (req, res) => {
       }
     }
 
-    // Filter by zip code with radius search (20 miles default)
-    let zipCoordinates = null;
-    let radiusMiles = 20; // Default radius
-    
-    if (req.query.zipCode) {
-      const zipCode = Array.isArray(req.query.zipCode) ? req.query.zipCode[0] : req.query.zipCode;
-      radiusMiles = parseFloat(req.query.radius) || 20; // Allow custom radius via query param
-      
-      console.log(`🔍 Searching businesses for zip code: ${zipCode} (radius: ${radiusMiles} miles)`);
-      
-      // Always include exact zip code match as fallback
-      // This ensures businesses show up even if geocoding fails or they don't have coordinates
-      const zipCodeExactMatch = { zipCode: zipCode };
-      
-      // Get coordinates for the zip code
-      try {
-        console.log(`📍 Geocoding zip code: ${zipCode}...`);
-        zipCoordinates = await getCoordinatesFromZipCode(zipCode);
-        
-        if (zipCoordinates && !isNaN(zipCoordinates.lat) && !isNaN(zipCoordinates.lng)) {
-          console.log(`✅ Zip code geocoded successfully: lat=${zipCoordinates.lat}, lng=${zipCoordinates.lng}`);
-          
-          // Get bounding box for faster database query
-          const boundingBox = getBoundingBox(zipCoordinates.lat, zipCoordinates.lng, radiusMiles);
-          console.log(`📦 Bounding box: lat[${boundingBox.minLat.toFixed(4)}, ${boundingBox.maxLat.toFixed(4)}], lng[${boundingBox.minLng.toFixed(4)}, ${boundingBox.maxLng.toFixed(4)}]`);
-          
-          // Create OR condition: businesses with coordinates in radius OR exact zip code match
-          // IMPORTANT: We use OR so businesses without coordinates can still match by exact zip
-          const zipCodeCondition = {
-            [Op.or]: [
-              // Businesses with coordinates within bounding box
-              {
-                [Op.and]: [
-                  { latitude: { [Op.between]: [boundingBox.minLat, boundingBox.maxLat] } },
-                  { latitude: { [Op.ne]: null } },
-                  { longitude: { [Op.between]: [boundingBox.minLng, boundingBox.maxLng] } },
-                  { longitude: { [Op.ne]: null } }
-                ]
-              },
-              // Always include exact zip code match as fallback (for businesses without coordinates)
-              zipCodeExactMatch
-            ]
-          };
-          
-          console.log(`🔍 Zip code condition created with OR logic (coordinates in box OR exact zip match)`);
-          console.log(`📋 zipCodeCondition:`, JSON.stringify(zipCodeCondition, null, 2));
-          
-          // Store zip code filter to apply later (after all other filters are set)
-          zipCodeFilter = zipCodeCondition;
-          console.log(`✅ zipCodeFilter stored:`, zipCodeFilter ? 'YES' : 'NO');
-          console.log(`📋 zipCodeFilter value:`, JSON.stringify(zipCodeFilter, null, 2));
-          
-          // Store for post-processing
-          req.zipCoordinates = zipCoordinates;
-          req.radiusMiles = radiusMiles;
-        } else {
-          // If geocoding fails or returns invalid data, use exact zip code match only
-          console.warn(`⚠️  Could not geocode zip code ${zipCode} or invalid coordinates, using exact match only`);
-          if (baseWhere[Op.or]) {
-            // Combine with existing Op.or using Op.and
-            const existingOr = baseWhere[Op.or];
-            delete baseWhere[Op.or];
-            baseWhere[Op.and] = baseWhere[Op.and] || [];
-            baseWhere[Op.and].push({ [Op.or]: existingOr }, zipCodeExactMatch);
-          } else {
-            baseWhere.zipCode = zipCode;
-          }
-        }
-      } catch (error) {
-        console.error('❌ Error in zip code geocoding:', error.message);
-        console.error('   Stack:', error.stack);
-        // Fallback to exact match on error
-        if (baseWhere[Op.or]) {
-          const existingOr = baseWhere[Op.or];
-          delete baseWhere[Op.or];
-          baseWhere[Op.and] = baseWhere[Op.and] || [];
-          baseWhere[Op.and].push({ [Op.or]: existingOr }, zipCodeExactMatch);
-        } else {
-          baseWhere.zipCode = zipCode;
-        }
-      }
+    // Location: businesses serving a zip code or lat/lng (service area, or an address or
+    // branch within ?radius miles, 20 by default for zip codes) and/or inside a map
+    // viewport (?bounds)
+    const geo = await parseGeoQuery(req.query);
+    if (geo.error) {
+      return res.status(400).json({ success: false, error: geo.error });
+    }
+    const geoConditionList = await locationConditions(geo);
+    if (geoConditionList.length > 0) {
+      geoFilter = { [Op.and]: geoConditionList };
     }
 
     // Filter by subCategory - support multiple subcategories (accept both singular and plural)
@@ -346,47 +308,31 @@ router.get('/', optionalAuth, async (req, res) => {
       }
     }
 
-    // Apply zip code filter if it was set earlier
-    console.log(`🔍 Checking zipCodeFilter:`, zipCodeFilter ? 'EXISTS' : 'NULL/UNDEFINED');
-    if (zipCodeFilter) {
-      console.log(`📋 Applying zip code filter to baseWhere`);
-      console.log(`📋 baseWhere before zip filter:`, JSON.stringify(baseWhere, null, 2));
-      console.log(`📋 zipCodeFilter to apply:`, JSON.stringify(zipCodeFilter, null, 2));
-      
+    // Apply location filter if it was set earlier
+    if (geoFilter) {
       // Check if baseWhere has any conditions
       const hasConditions = Object.keys(baseWhere).length > 0 || baseWhere[Op.or] || baseWhere[Op.and];
-      console.log(`📋 hasConditions:`, hasConditions);
-      
+
       if (hasConditions) {
-        // Combine existing conditions with zip code filter using Op.and
+        // Combine existing conditions with location filter using Op.and
         if (baseWhere[Op.and]) {
           // Already have Op.and, just add to it
-          console.log(`📋 Adding zipCodeFilter to existing Op.and array`);
-          baseWhere[Op.and].push(zipCodeFilter);
+          baseWhere[Op.and].push(geoFilter);
         } else if (baseWhere[Op.or]) {
           // Have Op.or, need to wrap both in Op.and
-          console.log(`📋 Wrapping existing Op.or with zipCodeFilter in Op.and`);
           const existingOr = baseWhere[Op.or];
           delete baseWhere[Op.or];
-          baseWhere[Op.and] = [{ [Op.or]: existingOr }, zipCodeFilter];
+          baseWhere[Op.and] = [{ [Op.or]: existingOr }, geoFilter];
         } else {
-          // Have simple conditions, wrap them with zip filter in Op.and
-          console.log(`📋 Wrapping simple conditions with zipCodeFilter in Op.and`);
+          // Have simple conditions, wrap them with location filter in Op.and
           const existingConditions = { ...baseWhere };
           Object.keys(baseWhere).forEach(key => delete baseWhere[key]);
-          baseWhere[Op.and] = [existingConditions, zipCodeFilter];
+          baseWhere[Op.and] = [existingConditions, geoFilter];
         }
       } else {
-        // No existing conditions, just use zip code filter directly
-        console.log(`📋 No existing conditions, using zipCodeFilter directly`);
-        // Copy the entire zipCodeFilter structure
-        Object.assign(baseWhere, zipCodeFilter);
+        // No existing conditions, just use location filter directly
+        Object.assign(baseWhere, geoFilter);
       }
-      
-      console.log(`📋 baseWhere after zip filter:`, JSON.stringify(baseWhere, null, 2));
-      console.log(`📋 baseWhere keys after zip filter:`, Object.keys(baseWhere));
-    } else {
-      console.warn(`⚠️  zipCodeFilter is null/undefined! Cannot apply zip code filter.`);
     }
 
     // Build final where clause
@@ -434,173 +380,27 @@ router.get('/', optionalAuth, async (req, res) => {
       whereClause = mergeWithStatusFilters(baseWhere);
     }
 
-    // Safety check: if zip code was provided but baseWhere is empty, add exact zip match
-    if (req.query.zipCode && Object.keys(baseWhere).length === 0) {
-      console.warn(`⚠️  baseWhere is empty but zipCode was provided! Adding exact zip match as fallback.`);
-      const zipCode = Array.isArray(req.query.zipCode) ? req.query.zipCode[0] : req.query.zipCode;
-      baseWhere.zipCode = zipCode;
-    }
-
-    // Log the where clause for debugging
-    if (req.query.zipCode) {
-      console.log(`📋 baseWhere before merge:`, JSON.stringify(baseWhere, null, 2));
-      console.log(`📋 Final WHERE clause:`, JSON.stringify(whereClause, null, 2));
-      console.log(`📋 whereClause keys:`, Object.keys(whereClause));
-      console.log(`📋 whereClause type:`, typeof whereClause);
-    }
+    // Nearest first when searching around a point, unless another sort was asked for.
+    // Businesses without coordinates (exact zip matches) go last.
+    const sortByDistance = geo.center && (!req.query.sort || req.query.sort === 'distance');
+    const order = sortByDistance
+      ? [[sequelize.literal('distance IS NULL'), 'ASC'], [sequelize.literal('distance'), 'ASC'], ['id', 'ASC']]
+      : buildOrderFromQuery(req.query.sort);
 
-    let { count, rows: businesses } = await Business.findAndCountAll({
+    const { count, rows: businesses } = await Business.findAndCountAll({
       where: whereClause,
+      attributes: geo.center
+        ? { include: [[sequelize.literal(`ROUND(${nearestDistanceSql(geo.center)}, 2)`), 'distance']] }
+        : undefined,
       include: [
         { model: Category, as: 'category', attributes: ['id', 'name', 'slug', 'icon'] },
         { model: User, as: 'owner', attributes: ['id', 'name', 'email', 'avatar'] }
       ],
-      order: buildOrderFromQuery(req.query.sort),
-      limit: req.query.zipCode && req.zipCoordinates ? 200 : limit, // Get more results for radius filtering
-      offset: req.query.zipCode && req.zipCoordinates ? 0 : offset // Don't paginate before radius filter
+      order,
+      limit,
+      offset
     });
 
-    console.log(`📊 Database query returned ${businesses.length} businesses (total count: ${count})`);
-    
-    // Log sample businesses for debugging
-    if (businesses.length > 0 && req.query.zipCode) {
-      const sample = businesses[0].toJSON();
-      console.log(`   Sample business:`, {
-        id: sample.id,
-        name: sample.name,
-        zipCode: sample.zipCode,
-        latitude: sample.latitude,
-        longitude: sample.longitude,
-        categoryId: sample.categoryId
-      });
-    }
-
-    // If radius search was used, filter by exact distance and add distance to results
-    if (req.zipCoordinates && businesses.length > 0) {
-      const zipLat = req.zipCoordinates.lat;
-      const zipLng = req.zipCoordinates.lng;
-      const radiusMiles = req.radiusMiles;
-      const zipCode = Array.isArray(req.query.zipCode) ? req.query.zipCode[0] : req.query.zipCode;
-
-      console.log(`📊 Processing ${businesses.length} businesses for radius search (${radiusMiles} miles)`);
-      console.log(`   Center: lat=${zipLat}, lng=${zipLng}`);
-
-      // Calculate distance for each business and filter
-      let businessesWithCoordinates = 0;
-      let businessesWithoutCoordinates = 0;
-      let businessesInRadius = 0;
-      let businessesExactZip = 0;
-
-      const businessesWithDistance = businesses
-        .map(business => {
-          const businessData = business.toJSON();
-          
-          // If business has coordinates, calculate distance
-          if (business.latitude != null && business.longitude != null) {
-            const businessLat = parseFloat(business.latitude);
-            const businessLng = parseFloat(business.longitude);
-            
-            // Validate coordinates
-            if (isNaN(businessLat) || isNaN(businessLng)) {
-              // Invalid coordinates but exact zip match - include it
-              if (business.zipCode === zipCode) {
-                businessesExactZip++;
-                return {
-                  ...businessData,
-                  distance: null // No distance available
-                };
-              }
-              return null;
-            }
-
-            businessesWithCoordinates++;
-            const distance = calculateDistance(
-              zipLat,
-              zipLng,
-              businessLat,
-              businessLng
-            );
-
-            // Include businesses within radius OR exact zip match
-            if (distance <= radiusMiles || business.zipCode === zipCode) {
-              if (distance <= radiusMiles) {
-                businessesInRadius++;
-              } else {
-                businessesExactZip++;
-              }
-              return {
-                ...businessData,
-                distance: distance <= radiusMiles ? parseFloat(distance.toFixed(2)) : null
-              };
-            }
-            
-            // Outside radius and not exact zip match - exclude
-            return null;
-          } else {
-            // Business has no coordinates - include if exact zip code match
-            businessesWithoutCoordinates++;
-            if (business.zipCode === zipCode) {
-              businessesExactZip++;
-              return {
-                ...businessData,
-                distance: null // No distance available
-              };
-            }
-            return null;
-          }
-        })
-        .filter(business => business !== null) // Remove null entries
-        .sort((a, b) => {
-          // Sort: businesses with distance first (by distance), then businesses without distance
-          if (a.distance !== null && b.distance !== null) {
-            return a.distance - b.distance; // Sort by distance (closest first)
-          } else if (a.distance !== null) {
-            return -1; // Businesses with distance come first
-          } else if (b.distance !== null) {
-            return 1;
-          }
-          return 0; // Both have no distance, maintain order
-        });
-
-      console.log(`✅ Found ${businessesWithDistance.length} businesses:`);
-      console.log(`   - ${businessesWithCoordinates} with coordinates`);
-      console.log(`   - ${businessesWithoutCoordinates} without coordinates`);
-      console.log(`   - ${businessesInRadius} within ${radiusMiles} miles`);
-      console.log(`   - ${businessesExactZip} with exact zip match`);
-
-      // If no businesses found with radius search, log detailed info
-      if (businessesWithDistance.length === 0) {
-        console.warn(`⚠️  No businesses found with radius search after filtering`);
-        console.warn(`   Original businesses from DB: ${businesses.length}`);
-        console.warn(`   Businesses with coordinates: ${businessesWithCoordinates}`);
-        console.warn(`   Businesses without coordinates: ${businessesWithoutCoordinates}`);
-      } else {
-        // Apply pagination after radius filtering
-        const startIndex = (page - 1) * limit;
-        const endIndex = startIndex + limit;
-        const paginatedBusinesses = businessesWithDistance.slice(startIndex, endIndex);
-
-        // Update businesses array and count
-        businesses = paginatedBusinesses;
-        count = businessesWithDistance.length;
-      }
-    } else if (req.query.zipCode) {
-      // No radius search but zip code provided - log results
-      console.log(`📊 Found ${businesses.length} businesses with exact zip code match`);
-    }
-
-    // Final logging
-    if (req.query.zipCode) {
-      console.log(`✅ Final response: ${businesses.length} businesses returned`);
-      if (businesses.length === 0) {
-        console.warn(`⚠️  No businesses found! Check:`);
-        console.warn(`   1. Do businesses exist with zipCode="${req.query.zipCode}"?`);
-        console.warn(`   2. Do businesses have coordinates within 20 miles?`);
-        console.warn(`   3. Are businesses active and public?`);
-        console.warn(`   4. Do businesses match the category filter?`);
-      }
-    }
-
     res.json({
       success: true,
       count: businesses.length,
@@ -769,12 +569,26 @@ router.get('/my-businesses', protect, async (req, res) => {
       limit: 100 // Add limit to prevent huge queries
     });
 
+    // "Saved by N users": only the count is exposed, never who saved it
+    const savedCounts = businesses.length > 0
+      ? await Bookmark.findAll({
+        where: { businessId: { [Op.in]: businesses.map(business => business.id) } },
+        attributes: ['businessId', [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('userId'))), 'savedCount']],
+        group: ['businessId'],
+        raw: true
+      })
+      : [];
+    const savedCountByBusiness = new Map(savedCounts.map(row => [row.businessId, parseInt(row.savedCount) || 0]));
+
     const queryTime = Date.now() - startTime;
     console.log(`[my-businesses] Found ${businesses.length} businesses for user ${req.user.id} (took ${queryTime}ms)`);
 
     res.json({
       success: true,
-      businesses
+      businesses: businesses.map(business => ({
+        ...business.toJSON(),
+        savedCount: savedCountByBusiness.get(business.id) || 0
+      }))
     });
   } catch (error) {
     const queryTime = Date.now() - startTime;
@@ -847,6 +661,18 @@ router.post('/', optionalAuth, async (req, res) => {
 
     const slug = generateSlug(req.body.name);
 
+    // Photos are uploaded through /api/media first; only their urls are sent here
+    const mediaError = await validateBusinessMedia(req.body, {
+      userId: req.user ? req.user.id : null,
+      isAdmin: req.user ? req.user.role === 'admin' : false
+    });
+    if (mediaError) {
+      return res.status(400).json({
+        success: false,
+        error: mediaError
+      });
+    }
+
     // Create business (ownerId is optional for anonymous users)
     const business = await Business.create({
       name: req.body.name,
@@ -867,6 +693,9 @@ router.post('/', optionalAuth, async (req, res) => {
       isActive: false, // New businesses need approval
       isVerified: false,
       tags: req.body.tags || null,
+      logo: req.body.logo || null,
+      images: req.body.images || [],
+      videos: req.body.videos || [],
       latitude: req.body.latitude || null,
       longitude: req.body.longitude || null
     });
@@ -1161,6 +990,15 @@ router.put('/:id', protect, async (req, res) => {
       ).map(service => service.trim());
     }
 
+    const mediaError = await validateBusinessMedia(updateData, {
+      userId: req.user.id,
+      isAdmin: req.user.role === 'admin',
+      business
+    });
+    if (mediaError) {
+      return res.status(400).json({ error: mediaError });
+    }
+
     // If business was rejected and owner is updating, clear rejection fields and set to pending
     if (business.rejectionReason && business.ownerId === req.user.id && req.user.role !== 'admin') {
       updateData.rejectionReason = null;
@@ -1229,58 +1067,263 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-// @route   GET /api/businesses/geocode/:zipCode
-// @desc    Geocode a zip code to get latitude and longitude
+// @route   GET /api/businesses/:id/locations
+// @desc    A business's extra locations (branches) and service areas
 // @access  Public
-router.get('/geocode/:zipCode', async (req, res) => {
+router.get('/:id/locations', async (req, res) => {
   try {
-    const { zipCode } = req.params;
-    
-    if (!zipCode) {
-      return res.status(400).json({
-        success: false,
-        error: 'Zip code is required'
-      });
+    const business = await Business.findByPk(req.params.id, { attributes: ['id'] });
+    if (!business) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
     }
-    
-    // Clean zip code
-    const cleanZipCode = zipCode.replace(/[\s\-]/g, '');
-    if (cleanZipCode.length < 5) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid zip code format'
-      });
+
+    const { locations, serviceAreas } = await getBusinessAreas(business.id);
+
+    res.json({
+      success: true,
+      locations,
+      serviceAreas
+    });
+  } catch (error) {
+    console.error('Get business locations error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load locations' });
+  }
+});
+
+// @route   PUT /api/businesses/:id/locations
+// @desc    Replace the extra locations and/or service areas ({ locations, serviceAreas });
+//          a list that is left out is kept as it is
+// @access  Private (Owner or Admin)
+router.put('/:id/locations', protect, async (req, res) => {
+  try {
+    const business = await Business.findByPk(req.params.id, { attributes: ['id', 'name', 'ownerId'] });
+    if (!business) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
     }
-    
-    const coordinates = await getCoordinatesFromZipCode(cleanZipCode);
-    
-    if (coordinates && !isNaN(coordinates.lat) && !isNaN(coordinates.lng)) {
-      return res.json({
-        success: true,
-        coordinates: {
-          latitude: coordinates.lat,
-          longitude: coordinates.lng
-        }
-      });
-    } else {
-      return res.status(404).json({
-        success: false,
-        error: 'Could not geocode zip code'
+
+    if (business.ownerId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Not authorized to update this business' });
+    }
+
+    const changes = {};
+    if (req.body.locations !== undefined) {
+      const result = await validateLocationsInput(req.body.locations);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+      changes.locations = result.values;
+    }
+    if (req.body.serviceAreas !== undefined) {
+      const result = validateServiceAreasInput(req.body.serviceAreas);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+      changes.serviceAreas = result.values;
+    }
+
+    const { locations, serviceAreas } = await replaceBusinessAreas(business.id, changes);
+
+    await logActivity({
+      type: 'business_locations_updated',
+      description: `Locations and service areas updated for ${business.name}`,
+      userId: req.user.id,
+      metadata: { businessId: business.id, locations: locations.length, serviceAreas: serviceAreas.length }
+    });
+
+    res.json({
+      success: true,
+      locations,
+      serviceAreas
+    });
+  } catch (error) {
+    console.error('Update business locations error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update locations' });
+  }
+});
+
+// @route   GET /api/businesses/:id/promotions
+// @desc    Active deals for a business; the owner (or an admin) gets every promotion with ?all=true
+// @access  Public (optional auth)
+router.get('/:id/promotions', optionalAuth, async (req, res) => {
+  try {
+    const business = await Business.findByPk(req.params.id, { attributes: ['id', 'ownerId'] });
+    if (!business) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
+    }
+
+    const canManage = req.user && (business.ownerId === req.user.id || req.user.role === 'admin');
+    if (req.query.all === 'true' && canManage) {
+      const promotions = await Promotion.findAll({
+        where: { businessId: business.id },
+        order: [['createdAt', 'DESC']]
       });
+      return res.json({ success: true, promotions });
     }
+
+    const promotions = await Promotion.findAll({
+      where: { ...activePromotionWhere(), businessId: business.id },
+      order: [['endsAt', 'ASC'], ['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      promotions: promotions.map(toPublicPromotion)
+    });
   } catch (error) {
-    console.error('Error geocoding zip code:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Error geocoding zip code'
+    console.error('Get business promotions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load promotions' });
+  }
+});
+
+// @route   POST /api/businesses/:id/promotions
+// @desc    Create a promotion (goes to admin review before it is shown)
+// @access  Private (Owner or Admin)
+router.post('/:id/promotions', protect, async (req, res) => {
+  try {
+    const business = await Business.findByPk(req.params.id, { attributes: ['id', 'name', 'ownerId'] });
+    if (!business) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
+    }
+
+    if (business.ownerId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Not authorized to manage promotions for this business' });
+    }
+
+    const result = await validatePromotionInput(req.body);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    const promotion = await Promotion.create({
+      ...result.values,
+      businessId: business.id
+    });
+
+    await logActivity({
+      type: 'promotion_created',
+      description: `Promotion "${promotion.title}" created for ${business.name}`,
+      userId: req.user.id,
+      metadata: { businessId: business.id, promotionId: promotion.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      promotion
+    });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create promotion' });
+  }
+});
+
+// @route   PUT /api/businesses/:id/promotions/:promotionId
+// @desc    Update a promotion; changing what it offers sends it back for review
+// @access  Private (Owner or Admin)
+router.put('/:id/promotions/:promotionId', protect, async (req, res) => {
+  try {
+    const business = await Business.findByPk(req.params.id, { attributes: ['id', 'ownerId'] });
+    if (!business) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
+    }
+
+    if (business.ownerId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Not authorized to manage promotions for this business' });
+    }
+
+    const promotion = await Promotion.findOne({ where: { id: req.params.promotionId, businessId: business.id } });
+    if (!promotion) {
+      return res.status(404).json({ success: false, error: 'Promotion not found' });
+    }
+
+    const result = await validatePromotionInput(req.body, promotion);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    await promotion.update(result.values);
+
+    res.json({
+      success: true,
+      promotion
     });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update promotion' });
+  }
+});
+
+// @route   DELETE /api/businesses/:id/promotions/:promotionId
+// @desc    Delete a promotion
+// @access  Private (Owner or Admin)
+router.delete('/:id/promotions/:promotionId', protect, async (req, res) => {
+  try {
+    const business = await Business.findByPk(req.params.id, { attributes: ['id', 'ownerId'] });
+    if (!business) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
+    }
+
+    if (business.ownerId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Not authorized to manage promotions for this business' });
+    }
+
+    const promotion = await Promotion.findOne({ where: { id: req.params.promotionId, businessId: business.id } });
+    if (!promotion) {
+      return res.status(404).json({ success: false, error: 'Promotion not found' });
+    }
+
+    await promotion.destroy();
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted'
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete promotion' });
   }
 });
 
+// @route   POST /api/businesses/:id/promotions/:promotionId/redeem
+// @desc    Claim an active deal and get its redemption code
+// @access  Private
+router.post('/:id/promotions/:promotionId/redeem', protect, async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      where: { ...activePromotionWhere(), id: req.params.promotionId, businessId: req.params.id }
+    });
+    if (!promotion) {
+      return res.status(404).json({ success: false, error: 'This deal is no longer available' });
+    }
+
+    if (!promotion.code) {
+      return res.status(400).json({ success: false, error: 'This deal has no code. Just mention it when you contact the business.' });
+    }
+
+    const result = await redeemPromotion(promotion, req.user.id);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      code: result.code,
+      alreadyRedeemed: result.alreadyRedeemed
+    });
+  } catch (error) {
+    console.error('Redeem promotion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to redeem deal' });
+  }
+});
+
+const businessContactLimiter = formRateLimit({
+  windowMinutes: 15,
+  max: parseInt(process.env.CONTACT_FORM_RATE_LIMIT) || 5
+});
+
 // @route   POST /api/businesses/:id/contact
 // @desc    Send contact message to admin (regarding a business)
 // @access  Public
-router.post('/:id/contact', async (req, res) => {
+router.post('/:id/contact', businessContactLimiter, async (req, res) => {
   try {
     const business = await Business.findByPk(req.params.id);
 
@@ -1294,10 +1337,12 @@ router.post('/:id/contact', async (req, res) => {
       return res.status(400).json({ error: 'Name, email, and message are required' });
     }
 
+    const screening = await screenSubmission(req, { name, email, phone, message });
+
     // Create subject with business information
     const subject = `Message about ${business.name} - ${business.city}, ${business.state}`;
 
-    // Save to Contact model for admin management
+    // Save to Contact model for admin management; likely spam is quarantined
     const contact = await Contact.create({
       name,
       email,
@@ -1305,77 +1350,38 @@ router.post('/:id/contact', async (req, res) => {
       subject,
       message,
       businessId: business.id,
-      status: 'new'
+      status: screening.isSpam ? 'spam' : 'new',
+      spamScore: screening.score,
+      spamReasons: screening.reasons,
+      ipAddress: req.ip || null
     });
 
     // Send email to admin
-    const sendEmail = require('../utils/sendEmail');
-    await sendEmail({
-      to: process.env.ADMIN_EMAIL || 'admin@citylocal101.com',
-      subject: `New Message About Business: ${business.name}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
-          <div style="background-color: #4A90E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-            <h2 style="margin: 0; font-size: 24px;">New Business Inquiry</h2>
-            <p style="margin: 10px 0 0 0; font-size: 14px;">CityLocal 101</p>
-          </div>
-          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-            <div style="background-color: #f0f7ff; padding: 15px; border-radius: 4px; margin-bottom: 20px; border-left: 4px solid #4A90E2;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Business:</strong>
-              <span style="color: #666; font-size: 16px;">${business.name}</span>
-              <p style="color: #666; margin: 5px 0 0 0; font-size: 14px;">${business.address}, ${business.city}, ${business.state}</p>
-            </div>
-            <p style="color: #333; margin-bottom: 20px;">You have received a new inquiry about this business:</p>
-            <div style="margin-bottom: 20px;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Name:</strong>
-              <span style="color: #666;">${name}</span>
-            </div>
-            <div style="margin-bottom: 20px;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Email:</strong>
-              <span style="color: #666;">${email}</span>
-            </div>
-            ${phone ? `
-            <div style="margin-bottom: 20px;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Phone:</strong>
-              <span style="color: #666;">${phone}</span>
-            </div>
-            ` : ''}
-            <div style="margin-bottom: 20px;">
-              <strong style="color: #333; display: block; margin-bottom: 5px;">Message:</strong>
-              <div style="color: #666; background-color: #f5f5f5; padding: 15px; border-radius: 4px; margin-top: 10px; line-height: 1.6;">
-                ${message.replace(/\n/g, '<br>')}
-              </div>
-            </div>
-            <p style="color: #7f8c8d; font-size: 14px; margin-top: 30px;">
-              This message has been saved to the admin panel for your review.
-            </p>
-          </div>
-        </div>
-      `,
-      message: `
-New business inquiry from CityLocal 101:
-
-Business: ${business.name}
-Address: ${business.address}, ${business.city}, ${business.state}
-
-From:
-Name: ${name}
-Email: ${email}
-${phone ? `Phone: ${phone}` : ''}
-
-Message:
-${message}
-
----
-Sent from CityLocal 101 Support System
-      `
-    }).catch(() => {});
+    if (!screening.isSpam) {
+      const sendEmail = require('../utils/sendEmail');
+      const notification = renderTemplate('business_inquiry', {
+        BusinessName: business.name,
+        BusinessAddress: `${business.address}, ${business.city}, ${business.state}`,
+        Name: name,
+        Email: email,
+        Phone: phone,
+        Message: message
+      });
+      await sendEmail({
+        to: process.env.ADMIN_EMAIL || 'admin@citylocal101.com',
+        subject: notification.subject,
+        html: notification.html,
+        message: notification.text
+      }).catch(() => {});
+    }
 
     // Log activity
     await logActivity({
-      type: 'business_contact',
-      description: `Contact inquiry about ${business.name} from ${name}`,
-      metadata: { businessId: business.id, businessName: business.name, contactId: contact.id, senderEmail: email }
+      type: screening.isSpam ? 'contact_quarantined' : 'business_contact',
+      description: screening.isSpam
+        ? `Contact inquiry about ${business.name} from ${name} quarantined as spam`
+        : `Contact inquiry about ${business.name} from ${name}`,
+      metadata: { businessId: business.id, businessName: business.name, contactId: contact.id, senderEmail: email, spamScore: screening.score }
     });
 
     res.json({
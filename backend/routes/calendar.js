@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { ProviderProfile, WorkOrder, ServiceRequest, Business, User } = require('../models');
+const { buildCalendar } = require('../utils/icalendar');
+
+// Past appointments older than this drop out of the feed
+const FEED_HISTORY_DAYS = 90;
+
+// @route   GET /api/calendar/:token.ics
+// @desc    Provider appointment feed for calendar apps (Google Calendar, Outlook, Apple Calendar)
+// @access  Public - the unguessable token is the credential; providers can reset it
+router.get('/:token.ics', async (req, res) => {
+    try {
+        const token = req.params.token;
+        const providerProfile = token && token.length >= 32
+            ? await ProviderProfile.findOne({
+                where: { calendarFeedToken: token },
+                attributes: ['id', 'userId'],
+                include: [{ model: User, as: 'user', attributes: ['id', 'name'] }]
+            })
+            : null;
+
+        if (!providerProfile) {
+            return res.status(404).json({
+                success: false,
+                error: 'Calendar not found'
+            });
+        }
+
+        const workOrders = await WorkOrder.findAll({
+            where: {
+                providerId: providerProfile.id,
+                appointmentStatus: { [Op.ne]: null },
+                scheduledStart: { [Op.gte]: new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000) }
+            },
+            include: [
+                {
+                    model: ServiceRequest,
+                    as: 'serviceRequest',
+                    attributes: ['id', 'projectTitle', 'projectDescription', 'zipCode'],
+                    include: [{ model: User, as: 'customer', attributes: ['id', 'name', 'phone'] }]
+                },
+                {
+                    model: Business,
+                    as: 'business',
+                    attributes: ['id', 'name'],
+                    required: false
+                }
+            ],
+            order: [['scheduledStart', 'ASC']]
+        });
+
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+        const host = new URL(frontendUrl).hostname;
+
+        const events = workOrders.map(workOrder => {
+            const serviceRequest = workOrder.serviceRequest;
+            const customer = serviceRequest?.customer;
+
+            return {
+                uid: `work-order-${workOrder.id}@${host}`,
+                start: workOrder.scheduledStart,
+                end: workOrder.scheduledEnd,
+                summary: `${serviceRequest?.projectTitle || 'Appointment'}${customer ? ` - ${customer.name}` : ''}`,
+                description: [
+                    serviceRequest?.projectDescription,
+                    customer?.phone ? `Customer phone: ${customer.phone}` : null,
+                    workOrder.business ? `Business: ${workOrder.business.name}` : null
+                ].filter(Boolean).join('\n'),
+                location: serviceRequest?.zipCode || null,
+                url: `${frontendUrl}/user-dashboard/work-orders`,
+                // Cancelled events stay in the feed so subscribed calendars remove them
+                status: workOrder.appointmentStatus === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+                sequence: workOrder.appointmentSequence,
+                updatedAt: workOrder.updatedAt
+            };
+        });
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="appointments.ics"');
+        res.set('Cache-Control', 'private, max-age=300');
+        res.send(buildCalendar({
+            name: `${providerProfile.user?.name || 'Provider'} - Appointments`,
+            events
+        }));
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { protect } = require('../middleware/auth');
+const { Media } = require('../models');
+const { MAX_IMAGE_BYTES, MAX_VIDEO_BYTES, PURPOSES, storeUpload, removeMedia } = require('../utils/media');
+
+const MAX_FILES_PER_UPLOAD = 10;
+// Whole request body, so one upload can hold at most this much in memory or temp space
+const MAX_UPLOAD_BYTES = 60 * 1024 * 1024;
+
+const toMB = (bytes) => bytes / (1024 * 1024);
+
+const rejectUpload = (message) => {
+  const error = new Error(message);
+  error.code = 'UPLOAD_REJECTED';
+  return error;
+};
+
+// multer storage engine. The purpose field (sent before the files) picks the size limit, which is
+// enforced while the file streams in. Images are buffered in memory because utils/media.js re-encodes
+// them; videos are spooled to a temp file and never held in memory.
+const uploadStorage = {
+  _handleFile(req, file, cb) {
+    const kind = PURPOSES[req.body.purpose];
+    if (!kind) {
+      return cb(rejectUpload(`Send a purpose of ${Object.keys(PURPOSES).join(', ')} before the files`));
+    }
+
+    const maxBytes = kind === 'image' ? MAX_IMAGE_BYTES : MAX_VIDEO_BYTES;
+    const tempPath = kind === 'video'
+      ? path.join(os.tmpdir(), `media-upload-${crypto.randomBytes(12).toString('hex')}`)
+      : null;
+    const out = tempPath ? fs.createWriteStream(tempPath) : null;
+    const chunks = [];
+    let size = 0;
+    let done = false;
+
+    const fail = (err) => {
+      if (done) return;
+      done = true;
+      file.stream.resume();
+      if (out) {
+        out.destroy();
+        fs.unlink(tempPath, () => {});
+      }
+      cb(err);
+    };
+
+    file.stream.on('data', (chunk) => {
+      if (done) return;
+      size += chunk.length;
+      req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+      if (size > maxBytes) {
+        return fail(rejectUpload(`${file.originalname}: File is too large (max ${toMB(maxBytes)}MB)`));
+      }
+      if (req.uploadedBytes > MAX_UPLOAD_BYTES) {
+        return fail(rejectUpload(`Upload is too large (max ${toMB(MAX_UPLOAD_BYTES)}MB per request)`));
+      }
+
+      if (!out) {
+        chunks.push(chunk);
+      } else if (!out.write(chunk)) {
+        file.stream.pause();
+        out.once('drain', () => file.stream.resume());
+      }
+    });
+    file.stream.on('error', fail);
+    if (out) out.on('error', fail);
+
+    file.stream.on('end', () => {
+      if (done) return;
+      if (!out) {
+        done = true;
+        return cb(null, { buffer: Buffer.concat(chunks), size });
+      }
+      out.end(() => {
+        if (done) return;
+        done = true;
+        cb(null, { path: tempPath, size });
+      });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    if (!file.path) return cb(null);
+    fs.unlink(file.path, () => cb(null));
+  }
+};
+
+const upload = multer({
+  storage: uploadStorage,
+  limits: {
+    fileSize: MAX_VIDEO_BYTES,
+    files: MAX_FILES_PER_UPLOAD
+  }
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+const removeTempFiles = (files = []) => Promise.all(
+  files.filter(file => file.path).map(file => fs.promises.unlink(file.path).catch(() => {}))
+);
+
+const formatMedia = (media) => ({
+  id: media.id,
+  url: media.url,
+  kind: media.kind,
+  purpose: media.purpose,
+  mimeType: media.mimeType,
+  size: media.size,
+  width: media.width,
+  height: media.height,
+  thumbnailUrl: media.variants?.thumb?.url || null,
+  sizes: Object.fromEntries(
+    Object.entries(media.variants || {}).map(([name, variant]) => [name, {
+      url: variant.url,
+      width: variant.width,
+      height: variant.height
+    }])
+  )
+});
+
+// @route   POST /api/media
+// @desc    Upload images or videos (multipart/form-data: files[], purpose)
+// @access  Private
+router.post('/', protect, (req, res, next) => {
+  // Refuse oversized bodies before reading any of them
+  if (parseInt(req.headers['content-length'], 10) > MAX_UPLOAD_BYTES) {
+    return res.status(413).json({
+      success: false,
+      error: `Upload is too large (max ${toMB(MAX_UPLOAD_BYTES)}MB per request)`
+    });
+  }
+
+  upload(req, res, (err) => {
+    if (err && err.code === 'UPLOAD_REJECTED') {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `File is too large (max ${toMB(MAX_VIDEO_BYTES)}MB)`,
+        LIMIT_FILE_COUNT: `You can upload up to ${MAX_FILES_PER_UPLOAD} files at once`,
+        LIMIT_UNEXPECTED_FILE: 'Files must be sent in the "files" field'
+      };
+      return res.status(400).json({ success: false, error: messages[err.code] || err.message });
+    }
+    next(err);
+  });
+}, async (req, res) => {
+  try {
+    const { purpose } = req.body;
+    if (!PURPOSES[purpose]) {
+      return res.status(400).json({
+        success: false,
+        error: `Purpose must be one of: ${Object.keys(PURPOSES).join(', ')}`
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, error: 'No files uploaded' });
+    }
+
+    const stored = [];
+    for (const file of req.files) {
+      const result = await storeUpload({
+        buffer: file.buffer,
+        path: file.path,
+        size: file.size,
+        originalName: file.originalname,
+        ownerId: req.user.id,
+        purpose
+      });
+
+      if (result.error) {
+        // All or nothing, so the client never has half an upload to clean up
+        await Promise.all(stored.map(media => removeMedia(media).catch(() => {})));
+        return res.status(400).json({
+          success: false,
+          error: `${file.originalname}: ${result.error}`
+        });
+      }
+      stored.push(result.media);
+    }
+
+    res.status(201).json({
+      success: true,
+      media: stored.map(formatMedia)
+    });
+  } catch (error) {
+    console.error('Media upload error:', error);
+    res.status(500).json({ success: false, error: 'Failed to upload files' });
+  } finally {
+    await removeTempFiles(req.files);
+  }
+});
+
+// @route   DELETE /api/media/:id
+// @desc    Delete an uploaded file and all of its sizes
+// @access  Private (Owner or Admin)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const media = await Media.findByPk(req.params.id);
+
+    if (!media || (media.ownerId !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+
+    await removeMedia(media);
+
+    res.json({ success: true, message: 'Media deleted' });
+  } catch (error) {
+    console.error('Media delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete media' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,540 @@
+const express = require('express');
+const router = express.Router();
+const { Op, fn, col } = require('sequelize');
+const { protect } = require('../middleware/auth');
+const { Conversation, Message, ServiceRequest, Proposal, ProviderProfile, Lead, User } = require('../models');
+const { sendNotification } = require('../utils/sendNotification');
+const logActivity = require('../utils/logActivity');
+const { publish } = require('../utils/realtime');
+
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_ATTACHMENTS = 3; // Keeps a full message under the 10mb JSON body limit
+const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024; // 2MB per file (decoded)
+const ALLOWED_ATTACHMENT_TYPES = /^(image\/(png|jpe?g|gif|webp)|application\/pdf)$/;
+const CLOSED_REQUEST_STATUSES = ['CLOSED', 'CANCELLED_BY_CUSTOMER'];
+
+const displayName = (user) => {
+  if (!user) return null;
+  if (user.firstName && user.lastName) return `${user.firstName} ${user.lastName}`;
+  return user.name || user.firstName || null;
+};
+
+// Providers only see the customer's first name, matching how unaccepted leads are masked
+const firstName = (user) => {
+  if (!user) return null;
+  return user.firstName || (user.name || '').split(' ')[0] || null;
+};
+
+const userAttributes = ['id', 'name', 'firstName', 'lastName', 'email', 'avatar'];
+
+/**
+ * Whether a provider (User ID) is working on a service request - they were sent a lead
+ * for it, sent a proposal, or are its primary provider
+ * @returns {Promise<object|null>} { providerProfileId, proposalId } or null if not involved
+ */
+async function getProviderInvolvement(serviceRequest, providerUserId) {
+  const providerProfile = await ProviderProfile.findOne({
+    where: { userId: providerUserId },
+    attributes: ['id']
+  });
+
+  let proposal = null;
+  if (providerProfile) {
+    proposal = await Proposal.findOne({
+      where: { serviceRequestId: serviceRequest.id, providerId: providerProfile.id },
+      attributes: ['id'],
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (proposal || serviceRequest.primaryProviderId === providerProfile.id) {
+      return { providerProfileId: providerProfile.id, proposalId: proposal ? proposal.id : null };
+    }
+  }
+
+  // Leads reference the service request through their metadata JSON
+  const leads = await Lead.findAll({
+    where: {
+      providerId: providerUserId,
+      status: { [Op.ne]: 'cancelled' },
+      metadata: { [Op.like]: `%"serviceRequestId":${serviceRequest.id}%` }
+    },
+    attributes: ['id', 'metadata']
+  });
+
+  const hasLead = leads.some(lead => {
+    try {
+      const metadata = typeof lead.metadata === 'string' ? JSON.parse(lead.metadata) : lead.metadata;
+      return metadata && metadata.serviceRequestId === serviceRequest.id;
+    } catch (e) {
+      return false;
+    }
+  });
+
+  if (!hasLead) {
+    return null;
+  }
+
+  return { providerProfileId: providerProfile ? providerProfile.id : null, proposalId: null };
+}
+
+/**
+ * Load a conversation the current user takes part in
+ * @returns {Promise<object|null>} Conversation instance or null
+ */
+async function findConversationForUser(conversationId, userId) {
+  const id = parseInt(conversationId);
+  if (isNaN(id)) {
+    return null;
+  }
+
+  const conversation = await Conversation.findByPk(id, {
+    include: [
+      { model: ServiceRequest, as: 'serviceRequest', attributes: ['id', 'projectTitle', 'status', 'customerId'] },
+      { model: Proposal, as: 'proposal', attributes: ['id', 'price', 'status'], required: false },
+      { model: User, as: 'customer', attributes: userAttributes },
+      { model: User, as: 'provider', attributes: userAttributes }
+    ]
+  });
+
+  if (!conversation || !conversation.isParticipant(userId)) {
+    return null;
+  }
+
+  return conversation;
+}
+
+/**
+ * Unread message counts per conversation for a user
+ * @returns {Promise<object>} Map of conversationId -> count
+ */
+async function getUnreadCounts(userId, conversationIds) {
+  if (conversationIds.length === 0) {
+    return {};
+  }
+
+  const rows = await Message.findAll({
+    where: {
+      conversationId: { [Op.in]: conversationIds },
+      senderId: { [Op.ne]: userId },
+      readAt: null
+    },
+    attributes: ['conversationId', [fn('COUNT', col('id')), 'count']],
+    group: ['conversationId'],
+    raw: true
+  });
+
+  return rows.reduce((counts, row) => {
+    counts[row.conversationId] = parseInt(row.count) || 0;
+    return counts;
+  }, {});
+}
+
+function formatConversation(conversation, userId, unreadCount = 0) {
+  const isCustomer = conversation.customerId === userId;
+  const otherUser = isCustomer ? conversation.provider : conversation.customer;
+
+  return {
+    id: conversation.id,
+    serviceRequestId: conversation.serviceRequestId,
+    proposalId: conversation.proposalId,
+    role: isCustomer ? 'customer' : 'provider',
+    serviceRequest: conversation.serviceRequest ? {
+      id: conversation.serviceRequest.id,
+      projectTitle: conversation.serviceRequest.projectTitle,
+      status: conversation.serviceRequest.status
+    } : null,
+    proposal: conversation.proposal ? {
+      id: conversation.proposal.id,
+      price: parseFloat(conversation.proposal.price),
+      status: conversation.proposal.status
+    } : null,
+    otherParticipant: otherUser ? {
+      id: otherUser.id,
+      name: (isCustomer ? displayName(otherUser) : firstName(otherUser)) || (isCustomer ? 'Provider' : 'Customer'),
+      avatar: otherUser.avatar || null
+    } : null,
+    lastMessageAt: conversation.lastMessageAt,
+    lastMessagePreview: conversation.lastMessagePreview,
+    unreadCount,
+    isClosed: conversation.serviceRequest
+      ? CLOSED_REQUEST_STATUSES.includes(conversation.serviceRequest.status)
+      : false
+  };
+}
+
+function formatMessage(message, userId) {
+  return {
+    id: message.id,
+    conversationId: message.conversationId,
+    senderId: message.senderId,
+    isMine: message.senderId === userId,
+    body: message.body,
+    attachments: Array.isArray(message.attachments) ? message.attachments : [],
+    readAt: message.readAt,
+    createdAt: message.createdAt
+  };
+}
+
+/**
+ * Validate attachments sent as base64 data URLs
+ * @returns {object} { attachments } or { error }
+ */
+function normalizeAttachments(input) {
+  if (!input) {
+    return { attachments: [] };
+  }
+  if (!Array.isArray(input)) {
+    return { error: 'Attachments must be an array' };
+  }
+  if (input.length > MAX_ATTACHMENTS) {
+    return { error: `You can attach up to ${MAX_ATTACHMENTS} files per message` };
+  }
+
+  const attachments = [];
+  for (const attachment of input) {
+    const match = typeof attachment?.data === 'string'
+      ? attachment.data.match(/^data:([\w/+.-]+);base64,([A-Za-z0-9+/=]+)$/)
+      : null;
+    if (!match) {
+      return { error: 'Invalid attachment data' };
+    }
+
+    const type = match[1].toLowerCase();
+    if (!ALLOWED_ATTACHMENT_TYPES.test(type)) {
+      return { error: 'Only images (PNG, JPG, GIF, WEBP) and PDF files can be attached' };
+    }
+
+    const size = Buffer.byteLength(match[2], 'base64');
+    if (size > MAX_ATTACHMENT_BYTES) {
+      return { error: `${attachment.name || 'Attachment'} is larger than 2MB` };
+    }
+
+    attachments.push({
+      name: String(attachment.name || 'attachment').slice(0, 255),
+      type,
+      size,
+      data: attachment.data
+    });
+  }
+
+  return { attachments };
+}
+
+// @route   GET /api/messages/conversations
+// @desc    List the current user's conversations (optionally for one service request)
+// @access  Private
+router.get('/conversations', protect, async (req, res) => {
+  try {
+    const where = {
+      [Op.or]: [{ customerId: req.user.id }, { providerId: req.user.id }]
+    };
+
+    if (req.query.serviceRequestId) {
+      const serviceRequestId = parseInt(req.query.serviceRequestId);
+      if (isNaN(serviceRequestId)) {
+        return res.status(400).json({ success: false, error: 'Invalid service request ID' });
+      }
+      where.serviceRequestId = serviceRequestId;
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await Conversation.findAndCountAll({
+      where,
+      include: [
+        { model: ServiceRequest, as: 'serviceRequest', attributes: ['id', 'projectTitle', 'status'] },
+        { model: Proposal, as: 'proposal', attributes: ['id', 'price', 'status'], required: false },
+        { model: User, as: 'customer', attributes: userAttributes },
+        { model: User, as: 'provider', attributes: userAttributes }
+      ],
+      order: [['lastMessageAt', 'DESC'], ['createdAt', 'DESC']],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    const unreadCounts = await getUnreadCounts(req.user.id, rows.map(conversation => conversation.id));
+
+    res.json({
+      success: true,
+      data: rows.map(conversation => formatConversation(conversation, req.user.id, unreadCounts[conversation.id] || 0)),
+      pagination: {
+        page,
+        pageSize: limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   GET /api/messages/unread-count
+// @desc    Total unread messages for the current user, per service request
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const conversations = await Conversation.findAll({
+      where: { [Op.or]: [{ customerId: req.user.id }, { providerId: req.user.id }] },
+      attributes: ['id', 'serviceRequestId']
+    });
+
+    const unreadCounts = await getUnreadCounts(req.user.id, conversations.map(conversation => conversation.id));
+
+    const byServiceRequest = {};
+    let total = 0;
+    conversations.forEach(conversation => {
+      const unread = unreadCounts[conversation.id] || 0;
+      if (unread > 0) {
+        byServiceRequest[conversation.serviceRequestId] = (byServiceRequest[conversation.serviceRequestId] || 0) + unread;
+        total += unread;
+      }
+    });
+
+    res.json({ success: true, total, byServiceRequest });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   POST /api/messages/conversations
+// @desc    Open (or create) the conversation between a customer and a provider for a service request
+// @access  Private (Customer who owns the request, or a provider working on it)
+router.post('/conversations', protect, async (req, res) => {
+  try {
+    const serviceRequestId = parseInt(req.body.serviceRequestId);
+    if (isNaN(serviceRequestId)) {
+      return res.status(400).json({ success: false, error: 'Invalid service request ID' });
+    }
+
+    const serviceRequest = await ServiceRequest.findByPk(serviceRequestId, {
+      attributes: ['id', 'customerId', 'projectTitle', 'status', 'primaryProviderId']
+    });
+
+    if (!serviceRequest) {
+      return res.status(404).json({ success: false, error: 'Service request not found' });
+    }
+
+    // Customers pick the provider; providers always talk to the request's customer
+    let providerUserId;
+    if (serviceRequest.customerId === req.user.id) {
+      providerUserId = parseInt(req.body.providerId);
+      if (isNaN(providerUserId)) {
+        return res.status(400).json({ success: false, error: 'Provider is required' });
+      }
+    } else {
+      providerUserId = req.user.id;
+    }
+
+    const involvement = await getProviderInvolvement(serviceRequest, providerUserId);
+    if (!involvement) {
+      return res.status(403).json({
+        success: false,
+        error: 'Messaging is only available between the customer and providers working on this request'
+      });
+    }
+
+    const [conversation, created] = await Conversation.findOrCreate({
+      where: { serviceRequestId, providerId: providerUserId },
+      defaults: {
+        customerId: serviceRequest.customerId,
+        proposalId: involvement.proposalId
+      }
+    });
+
+    if (created) {
+      await logActivity({
+        type: 'conversation_started',
+        description: `Conversation started for service request "${serviceRequest.projectTitle}"`,
+        userId: req.user.id,
+        metadata: {
+          conversationId: conversation.id,
+          serviceRequestId,
+          providerId: providerUserId
+        }
+      });
+    }
+
+    // Link the proposal once the provider has sent one
+    if (!created && involvement.proposalId && conversation.proposalId !== involvement.proposalId) {
+      await conversation.update({ proposalId: involvement.proposalId });
+    }
+
+    const fullConversation = await findConversationForUser(conversation.id, req.user.id);
+    const unreadCounts = await getUnreadCounts(req.user.id, [conversation.id]);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: formatConversation(fullConversation, req.user.id, unreadCounts[conversation.id] || 0)
+    });
+  } catch (error) {
+    console.error('Open conversation error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   GET /api/messages/conversations/:id
+// @desc    Get a conversation with its messages and mark incoming messages as read
+// @access  Private (Participants only)
+router.get('/conversations/:id', protect, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const where = { conversationId: conversation.id };
+
+    // Cursor pagination for loading older messages
+    const before = parseInt(req.query.before);
+    if (!isNaN(before)) {
+      where.id = { [Op.lt]: before };
+    }
+
+    const messages = await Message.findAll({
+      where,
+      order: [['id', 'DESC']],
+      limit: limit + 1
+    });
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit).reverse();
+
+    await Message.update(
+      { readAt: new Date() },
+      { where: { conversationId: conversation.id, senderId: { [Op.ne]: req.user.id }, readAt: null } }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        conversation: formatConversation(conversation, req.user.id, 0),
+        messages: page.map(message => formatMessage(message, req.user.id)),
+        hasMore
+      }
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   POST /api/messages/conversations/:id/messages
+// @desc    Send a message (text and/or attachments)
+// @access  Private (Participants only)
+router.post('/conversations/:id/messages', protect, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    if (conversation.serviceRequest && CLOSED_REQUEST_STATUSES.includes(conversation.serviceRequest.status)) {
+      return res.status(400).json({ success: false, error: 'This service request is closed to new messages' });
+    }
+
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+    if (body.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({ success: false, error: `Messages cannot be longer than ${MAX_MESSAGE_LENGTH} characters` });
+    }
+
+    const { attachments, error: attachmentError } = normalizeAttachments(req.body.attachments);
+    if (attachmentError) {
+      return res.status(400).json({ success: false, error: attachmentError });
+    }
+
+    if (!body && attachments.length === 0) {
+      return res.status(400).json({ success: false, error: 'Message cannot be empty' });
+    }
+
+    const recipientId = conversation.otherParticipantId(req.user.id);
+
+    // Only email for the first unread message so a quick back-and-forth doesn't flood the inbox
+    const pendingUnread = await Message.count({
+      where: { conversationId: conversation.id, senderId: req.user.id, readAt: null }
+    });
+
+    const message = await Message.create({
+      conversationId: conversation.id,
+      senderId: req.user.id,
+      body: body || null,
+      attachments
+    });
+
+    const preview = body
+      ? body.slice(0, 250)
+      : `Sent ${attachments.length} attachment${attachments.length > 1 ? 's' : ''}`;
+
+    await conversation.update({
+      lastMessageAt: message.createdAt,
+      lastMessagePreview: preview
+    });
+
+    // Live nudge so the recipient's thread and unread badges refresh without waiting for a poll
+    publish(recipientId, 'message', {
+      conversationId: conversation.id,
+      serviceRequestId: conversation.serviceRequestId
+    });
+
+    if (pendingUnread === 0) {
+      const recipient = conversation.customerId === recipientId ? conversation.customer : conversation.provider;
+      const sender = conversation.customerId === req.user.id ? conversation.customer : conversation.provider;
+      const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+      const conversationPath = conversation.customerId === recipientId ? 'requests' : 'leads';
+
+      if (recipient && recipient.email) {
+        sendNotification({
+          userId: recipient.id,
+          to: recipient.email,
+          type: 'new_message',
+          data: {
+            RecipientName: displayName(recipient),
+            SenderName: (sender && sender.id === conversation.customerId ? firstName(sender) : displayName(sender)) || 'Someone',
+            ProjectTitle: conversation.serviceRequest?.projectTitle,
+            MessagePreview: body ? body.slice(0, 500) : null,
+            AttachmentCount: attachments.length || null,
+            ConversationLink: `${baseUrl}/user-dashboard/${conversationPath}?conversation=${conversation.id}`
+          }
+        }).catch(err => console.error('Failed to send new message notification:', err));
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: formatMessage(message, req.user.id)
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   PATCH /api/messages/conversations/:id/read
+// @desc    Mark all incoming messages in a conversation as read
+// @access  Private (Participants only)
+router.patch('/conversations/:id/read', protect, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    const [updated] = await Message.update(
+      { readAt: new Date() },
+      { where: { conversationId: conversation.id, senderId: { [Op.ne]: req.user.id }, readAt: null } }
+    );
+
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
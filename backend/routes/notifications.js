@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { protect, verifyAccessToken } = require('../middleware/auth');
+const { Notification } = require('../models');
+const { addClient } = require('../utils/realtime');
+
+// @route   GET /api/notifications/stream
+// @desc    Live notification channel (Server-Sent Events)
+// @access  Private - EventSource can't send headers, so the access token may be passed as ?token=
+router.get('/stream', async (req, res) => {
+  let token = req.query.token;
+  if (!token && req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token) {
+    return res.status(401).json({ error: 'Not authorized to access this route' });
+  }
+
+  try {
+    const result = await verifyAccessToken(token);
+    if (result.error) {
+      return res.status(result.status).json(result.code ? { error: result.error, code: result.code } : { error: result.error });
+    }
+
+    // Streams are bounded by the access token's lifetime, so the client reconnects
+    // (and is re-authenticated) at least every 15 minutes. Revoking the session also
+    // closes its streams right away.
+    addClient(result.user.id, res, {
+      sessionId: result.decoded.sid,
+      expiresAt: result.decoded.exp
+    });
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+});
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications (newest first)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const where = { userId: req.user.id };
+    if (req.query.unread === 'true') {
+      where.readAt = null;
+    }
+
+    const [{ count, rows }, unreadCount] = await Promise.all([
+      Notification.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset
+      }),
+      Notification.count({ where: { userId: req.user.id, readAt: null } })
+    ]);
+
+    res.json({
+      success: true,
+      data: rows,
+      unreadCount,
+      pagination: {
+        page,
+        pageSize: limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const unreadCount = await Notification.count({ where: { userId: req.user.id, readAt: null } });
+    res.json({ success: true, unreadCount });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.patch('/read-all', protect, async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userId: req.user.id, readAt: null } }
+    );
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.patch('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+// @route   DELETE /api/notifications/read
+// @desc    Clear notifications that have already been read
+// @access  Private
+router.delete('/read', protect, async (req, res) => {
+  try {
+    const deleted = await Notification.destroy({
+      where: { userId: req.user.id, readAt: { [Op.ne]: null } }
+    });
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Clear notifications error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Server error' });
+  }
+});
+
+module.exports = router;
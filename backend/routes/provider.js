@@ -1,15 +1,23 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const { Op } = require('sequelize');
 const { protect } = require('../middleware/auth');
-const { Lead, ServiceRequest, Category, SubCategory, User, ProviderProfile, Business, Proposal, WorkOrder, Contact } = require('../models');
+const { Lead, ServiceRequest, Category, SubCategory, User, ProviderProfile, Business, Proposal, ProposalMilestone, WorkOrder, Contact, BusinessAvailability, BusinessBlackout } = require('../models');
 const logActivity = require('../utils/logActivity');
+const createNotification = require('../utils/createNotification');
+const { dispatchWebhookEvent, leadWebhookData } = require('../utils/outboundWebhooks');
 const sendEmail = require('../utils/sendEmail');
 const stripe = require('../config/stripe');
-const { getLeadCost, getLeadCostWithDiscount } = require('../config/leadPricing');
+const { getLeadCost, applyLeadDiscount, leadPricingContext } = require('../config/leadPricing');
 const getSubscriptionBenefits = require('../utils/getSubscriptionBenefits');
 const getMonthlyAcceptedLeadsCount = require('../utils/getMonthlyAcceptedLeadsCount');
 const AlternativeProviderSelection = require('../models/AlternativeProviderSelection');
+const { validateWindows, isValidTimezone, getAvailableSlots, DATE_PATTERN } = require('../utils/availability');
+const { changeAppointment, formatAppointmentResponse } = require('../utils/appointments');
+const { normalizeMilestones, createProposalMilestones } = require('../utils/milestones');
+const { postPayment, getProviderBalance, getMonthlyStatement } = require('../utils/ledger');
+const { getEarningsYears, getEarningsSummary, getEarningsStatement, statementToCsv, statementToPdf, summaryToCsv, yearEndToPdf } = require('../utils/earnings');
 
 /**
  * Assign lead to next alternative provider when a provider rejects
@@ -145,6 +153,16 @@ async function assignLeadToNextAlternative(serviceRequestId, rejectedLeadId, rej
                     routedAt: new Date()
                 });
 
+                createNotification({
+                    userId: providerUserId,
+                    type: 'lead_routed',
+                    title: `New lead: ${serviceRequest.projectTitle || 'Service Request'}`,
+                    message: 'A new lead has been assigned to you as an alternative provider.',
+                    link: '/user-dashboard/leads',
+                    metadata: { leadId: newLead.id, serviceRequestId }
+                });
+                dispatchWebhookEvent(providerUserId, 'lead.routed', leadWebhookData(newLead));
+
                 // Send email to alternative provider
                 if (providerProfile.user && providerProfile.user.email) {
                     await sendEmail({
@@ -573,40 +591,19 @@ router.get('/leads', protect, async (req, res) => {
             // Get user's subscription benefits to calculate discounted cost
             const subscriptionBenefits = await getSubscriptionBenefits(req.user.id);
 
-            if (lead.categoryId) {
-                const categoryId = lead.categoryId;
-                const leadCostCents = getLeadCost(categoryId);
+            if (lead.categoryId || !lead.leadCost) {
+                // Price from the lead price rules (category, subcategory, location, time window)
+                const leadCostCents = await getLeadCost(await leadPricingContext(lead));
                 baseLeadCost = leadCostCents / 100;
 
                 // Apply subscription discount
-                const discountedCostCents = getLeadCostWithDiscount(categoryId, subscriptionBenefits);
-                actualLeadCost = discountedCostCents / 100;
-            } else if (lead.leadCost) {
+                actualLeadCost = applyLeadDiscount(leadCostCents, subscriptionBenefits) / 100;
+            } else {
                 // If leadCost is stored in database (in cents), convert to dollars
                 baseLeadCost = typeof lead.leadCost === 'number' ? (lead.leadCost > 100 ? lead.leadCost / 100 : lead.leadCost) : parseFloat(lead.leadCost) / 100;
 
                 // Apply subscription discount to stored lead cost
-                const baseCostCents = Math.round(baseLeadCost * 100);
-                const discountedCostCents = getLeadCostWithDiscount(null, subscriptionBenefits);
-                // If stored cost differs from default, calculate discount from stored cost
-                if (baseCostCents !== getLeadCost(null)) {
-                    // Use stored cost as base for discount calculation
-                    const discountPercent = subscriptionBenefits.hasActiveSubscription ? (subscriptionBenefits.leadDiscountPercent || 0) : 0;
-                    if (discountPercent > 0) {
-                        const discountAmount = (baseCostCents * discountPercent) / 100;
-                        const discountedCost = Math.max(1, Math.round(baseCostCents - discountAmount));
-                        actualLeadCost = discountedCost / 100;
-                    } else {
-                        actualLeadCost = baseLeadCost;
-                    }
-                } else {
-                    actualLeadCost = discountedCostCents / 100;
-                }
-            } else {
-                // Fallback: use default cost with discount
-                const discountedCostCents = getLeadCostWithDiscount(null, subscriptionBenefits);
-                actualLeadCost = discountedCostCents / 100;
-                baseLeadCost = getLeadCost(null) / 100;
+                actualLeadCost = applyLeadDiscount(Math.round(baseLeadCost * 100), subscriptionBenefits) / 100;
             }
 
             return {
@@ -619,6 +616,7 @@ router.get('/leads', protect, async (req, res) => {
                 proposalPrice: proposalPrice, // Proposal price (if lead is accepted)
                 proposalPaymentStatus: proposalPaymentStatus, // Proposal payment status (if lead is accepted)
                 isPrimary: false, // Not in current table structure
+                serviceRequestId: serviceRequestId, // null for leads not created from a service request
                 createdAt: lead.createdAt,
                 updatedAt: lead.updatedAt,
                 serviceRequest: {
@@ -739,7 +737,7 @@ router.patch('/leads/:id/accept', protect, async (req, res) => {
         }
 
         // Get proposal data and payment method from request body
-        const { description, price, paymentMethodId } = req.body;
+        const { description, price, paymentMethodId, milestones } = req.body;
 
         // Payment method is required for automatic charging
         if (!paymentMethodId) {
@@ -789,6 +787,15 @@ router.patch('/leads/:id/accept', protect, async (req, res) => {
             });
         }
 
+        // Optional payment schedule - milestones must add up to the price
+        const milestoneCheck = normalizeMilestones(milestones, parseFloat(price));
+        if (milestoneCheck.error) {
+            return res.status(400).json({
+                success: false,
+                error: milestoneCheck.error
+            });
+        }
+
         // Extract serviceRequestId from metadata
         let serviceRequestId = null;
         if (lead.metadata) {
@@ -834,12 +841,12 @@ router.patch('/leads/:id/accept', protect, async (req, res) => {
 
         // Calculate lead cost with subscription discount (in cents)
         // Handle null/undefined categoryId gracefully
-        const categoryId = lead.categoryId || null;
-        console.log(`[Accept Lead] Calculating lead cost for categoryId: ${categoryId}`);
-        const leadCostCents = getLeadCostWithDiscount(categoryId, subscriptionBenefits);
-        const leadCostDollars = leadCostCents / 100;
-        const baseCostCents = getLeadCost(categoryId);
+        const pricingContext = await leadPricingContext(lead);
+        console.log(`[Accept Lead] Calculating lead cost for categoryId: ${pricingContext.categoryId}, zip: ${pricingContext.zipCode || 'n/a'}`);
+        const baseCostCents = await getLeadCost(pricingContext);
         const baseCostDollars = baseCostCents / 100;
+        const leadCostCents = applyLeadDiscount(baseCostCents, subscriptionBenefits);
+        const leadCostDollars = leadCostCents / 100;
 
         if (subscriptionBenefits.hasActiveSubscription) {
             if (subscriptionBenefits.leadDiscountPercent > 0) {
@@ -897,12 +904,15 @@ router.patch('/leads/:id/accept', protect, async (req, res) => {
                 // Update lead with customer contact details and accepted status
                 await lead.update({
                     status: 'accepted',
+                    paymentStatus: 'succeeded',
                     stripePaymentIntentId: paymentIntent.id,
                     leadCost: leadCostCents,
                     customerName: customerName,
                     customerEmail: customer?.email || null,
                     customerPhone: customer?.phone || null
                 });
+                dispatchWebhookEvent(lead.providerId, 'lead.accepted', leadWebhookData(lead));
+                await postPayment('lead', lead);
 
                 // Create proposal if serviceRequestId exists
                 if (serviceRequestId) {
@@ -913,6 +923,7 @@ router.patch('/leads/:id/accept', protect, async (req, res) => {
                         price: parseFloat(price),
                         status: 'SENT'
                     });
+                    await createProposalMilestones(proposal.id, milestoneCheck.milestones);
                     console.log(`[Accept Lead] ✅ Proposal created: ID=${proposal.id}`);
                 }
 
@@ -950,7 +961,8 @@ router.patch('/leads/:id/accept', protect, async (req, res) => {
             }
             metadata.pendingProposal = {
                 description: description.trim(),
-                price: parseFloat(price)
+                price: parseFloat(price),
+                milestones: milestoneCheck.milestones
             };
 
             await lead.update({
@@ -1633,6 +1645,12 @@ router.get('/work-orders', protect, async (req, res) => {
                             attributes: ['id', 'name', 'email', 'phone', 'avatar']
                         }
                     ]
+                },
+                {
+                    model: Business,
+                    as: 'business',
+                    attributes: ['id', 'name', 'timezone'],
+                    required: false
                 }
             ],
             order: [['createdAt', 'DESC']],
@@ -1708,7 +1726,8 @@ router.get('/work-orders', protect, async (req, res) => {
                     phone: customer.phone,
                     avatar: customer.avatar
                 } : null,
-                proposal: proposalData
+                proposal: proposalData,
+                appointment: formatAppointmentResponse(workOrder, workOrder.business)
             };
         });
 
@@ -1794,6 +1813,12 @@ router.get('/work-orders/:id', protect, async (req, res) => {
                             attributes: ['id', 'name', 'email', 'phone', 'avatar']
                         }
                     ]
+                },
+                {
+                    model: Business,
+                    as: 'business',
+                    attributes: ['id', 'name', 'timezone'],
+                    required: false
                 }
             ]
         });
@@ -1867,7 +1892,8 @@ router.get('/work-orders/:id', protect, async (req, res) => {
                 phone: workOrder.serviceRequest.customer.phone,
                 avatar: workOrder.serviceRequest.customer.avatar
             } : null,
-            proposal: proposalData
+            proposal: proposalData,
+            appointment: formatAppointmentResponse(workOrder, workOrder.business)
         };
 
         res.json({
@@ -1984,6 +2010,20 @@ router.patch('/work-orders/:id/complete', protect, async (req, res) => {
         // Send response immediately
         res.json(responseData);
 
+        dispatchWebhookEvent(req.user.id, 'workorder.completed', {
+            workOrder: {
+                id: workOrder.id,
+                serviceRequestId: workOrder.serviceRequestId,
+                businessId: workOrder.businessId,
+                status: workOrder.status,
+                completedAt: workOrder.completedAt
+            },
+            serviceRequest: {
+                id: workOrder.serviceRequest.id,
+                projectTitle: workOrder.serviceRequest.projectTitle
+            }
+        });
+
         // Send email notification to customer (non-blocking)
         if (workOrder.serviceRequest.customer) {
             const customer = workOrder.serviceRequest.customer;
@@ -2077,7 +2117,7 @@ router.get('/payouts', protect, async (req, res) => {
 
         // Define payout attributes (may not exist if migration hasn't run)
         const payoutAttributes = [
-            'providerPayoutAmount', 'platformFeeAmount', 'payoutStatus', 'payoutProcessedAt', 'stripeTransferId'
+            'providerPayoutAmount', 'platformFeeAmount', 'platformFeeRule', 'payoutStatus', 'payoutProcessedAt', 'stripeTransferId'
         ];
 
         // Try to include payout attributes, fallback to base if they don't exist
@@ -2087,12 +2127,11 @@ router.get('/payouts', protect, async (req, res) => {
         // Get pagination parameters
         const page = parseInt(req.query.page) || 1;
         const pageSize = parseInt(req.query.pageSize) || 10;
-        const offset = (page - 1) * pageSize;
 
-        // Get proposals with payment succeeded (paginated)
-        let count, proposals;
+        // Get proposals paid in full (milestone proposals are listed per milestone below)
+        let proposals;
         try {
-            const result = await Proposal.findAndCountAll({
+            proposals = await Proposal.findAll({
                 where: {
                     providerId: providerProfile.id,
                     paymentStatus: 'succeeded'
@@ -2108,12 +2147,8 @@ router.get('/payouts', protect, async (req, res) => {
                     // Order by payoutProcessedAt if available (DESC), otherwise by paidAt (DESC)
                     ['payoutProcessedAt', 'DESC'],
                     ['paidAt', 'DESC']
-                ],
-                limit: pageSize,
-                offset: offset
+                ]
             });
-            count = result.count;
-            proposals = result.rows;
         } catch (error) {
             // If error is due to missing payout columns, retry with base attributes only
             if (error.message && error.message.includes('Unknown column') &&
@@ -2122,7 +2157,7 @@ router.get('/payouts', protect, async (req, res) => {
                 console.log('⚠️  Payout columns not found, using base attributes only (migration may be pending)');
                 hasPayoutFields = false;
                 attributes = baseAttributes;
-                const result = await Proposal.findAndCountAll({
+                proposals = await Proposal.findAll({
                     where: {
                         providerId: providerProfile.id,
                         paymentStatus: 'succeeded'
@@ -2134,21 +2169,17 @@ router.get('/payouts', protect, async (req, res) => {
                         attributes: ['id', 'projectTitle', 'status', 'createdAt'],
                         required: false
                     }],
-                    order: [['paidAt', 'DESC']],
-                    limit: pageSize,
-                    offset: offset
+                    order: [['paidAt', 'DESC']]
                 });
-                count = result.count;
-                proposals = result.rows;
             } else {
                 throw error;
             }
         }
 
-        const { calculatePayouts } = require('../config/platformFee');
+        const { calculatePayouts, describeFeeRule } = require('../config/platformFee');
 
         // Map proposals to payout objects with proper calculations
-        const payouts = proposals.map(proposal => {
+        const proposalPayouts = proposals.map(proposal => {
             const totalAmount = parseFloat(proposal.price) || 0;
 
             // Try to get payout amounts from proposal if fields exist and are set
@@ -2165,7 +2196,7 @@ router.get('/payouts', protect, async (req, res) => {
             let calculatedPlatformFee = platformFee;
 
             if (providerAmount === null || platformFee === null) {
-                const calculated = calculatePayouts(totalAmount);
+                const calculated = calculatePayouts(totalAmount, hasPayoutFields ? proposal.platformFeeRule : null);
                 calculatedProviderAmount = calculated.providerAmount;
                 calculatedPlatformFee = calculated.platformFee;
             }
@@ -2190,13 +2221,16 @@ router.get('/payouts', protect, async (req, res) => {
             }
 
             return {
-                id: proposal.id,
+                id: `proposal-${proposal.id}`,
                 proposalId: proposal.id,
+                milestoneId: null,
+                milestoneTitle: null,
                 serviceRequestId: proposal.serviceRequestId,
                 projectTitle: proposal.serviceRequest?.projectTitle || 'Project',
                 totalAmount: totalAmount,
                 providerAmount: calculatedProviderAmount,
                 platformFee: calculatedPlatformFee,
+                feeRule: describeFeeRule(hasPayoutFields ? proposal.platformFeeRule : null),
                 payoutStatus: payoutStatus,
                 paidAt: proposal.paidAt,
                 payoutProcessedAt: (hasPayoutFields && proposal.payoutProcessedAt) ? proposal.payoutProcessedAt : null,
@@ -2205,39 +2239,55 @@ router.get('/payouts', protect, async (req, res) => {
             };
         });
 
-        // Calculate stats from ALL payouts (not just current page) for accurate totals
-        let allProposalsForStats;
-        let statsHasPayoutFields = hasPayoutFields; // Track separately for stats query
-        try {
-            const statsAttributes = statsHasPayoutFields
-                ? [...baseAttributes, 'providerPayoutAmount', 'platformFeeAmount', 'payoutStatus']
-                : baseAttributes;
-            allProposalsForStats = await Proposal.findAll({
-                where: {
-                    providerId: providerProfile.id,
-                    paymentStatus: 'succeeded'
-                },
-                attributes: statsAttributes,
-                raw: true
-            });
-        } catch (statsError) {
-            // Fallback if payout fields don't exist
-            if (statsError.message && statsError.message.includes('Unknown column')) {
-                console.log('⚠️  Payout columns not found for stats query, using base attributes only');
-                allProposalsForStats = await Proposal.findAll({
-                    where: {
-                        providerId: providerProfile.id,
-                        paymentStatus: 'succeeded'
-                    },
-                    attributes: baseAttributes,
-                    raw: true
-                });
-                statsHasPayoutFields = false;
-            } else {
-                throw statsError;
-            }
-        }
+        // Paid milestones - each one is paid out separately once the customer approves it
+        const milestones = await ProposalMilestone.findAll({
+            where: { paymentStatus: 'succeeded' },
+            include: [{
+                model: Proposal,
+                as: 'proposal',
+                where: { providerId: providerProfile.id },
+                attributes: ['id', 'serviceRequestId'],
+                include: [{
+                    model: ServiceRequest,
+                    as: 'serviceRequest',
+                    attributes: ['id', 'projectTitle', 'status', 'createdAt'],
+                    required: false
+                }]
+            }]
+        });
+
+        const milestonePayouts = milestones.map(milestone => {
+            const totalAmount = parseFloat(milestone.amount) || 0;
+            const calculated = calculatePayouts(totalAmount, milestone.platformFeeRule);
+
+            return {
+                id: `milestone-${milestone.id}`,
+                proposalId: milestone.proposalId,
+                milestoneId: milestone.id,
+                milestoneTitle: milestone.title,
+                milestoneApprovedAt: milestone.approvedAt,
+                serviceRequestId: milestone.proposal.serviceRequestId,
+                projectTitle: milestone.proposal.serviceRequest?.projectTitle || 'Project',
+                totalAmount: totalAmount,
+                providerAmount: milestone.providerPayoutAmount != null ? parseFloat(milestone.providerPayoutAmount) : calculated.providerAmount,
+                platformFee: milestone.platformFeeAmount != null ? parseFloat(milestone.platformFeeAmount) : calculated.platformFee,
+                feeRule: describeFeeRule(milestone.platformFeeRule),
+                // Paid but not yet approved by the customer
+                payoutStatus: milestone.approvedAt ? (milestone.payoutStatus || 'pending') : 'awaiting_approval',
+                paidAt: milestone.paidAt,
+                payoutProcessedAt: milestone.payoutProcessedAt,
+                serviceRequestStatus: milestone.proposal.serviceRequest?.status,
+                createdAt: milestone.createdAt
+            };
+        });
+
+        // Newest activity first: processed payouts by payout date, the rest by payment date
+        const sortKey = (payout) => new Date(payout.payoutProcessedAt || payout.paidAt || payout.createdAt).getTime();
+        const allPayouts = [...proposalPayouts, ...milestonePayouts].sort((a, b) => sortKey(b) - sortKey(a));
+        const count = allPayouts.length;
+        const payouts = allPayouts.slice((page - 1) * pageSize, page * pageSize);
 
+        // Calculate stats from ALL payouts (not just current page) for accurate totals
         const stats = {
             totalEarnings: 0,
             totalPayouts: 0,
@@ -2251,59 +2301,29 @@ router.get('/payouts', protect, async (req, res) => {
             pending: 0,
             processing: 0,
             failed: 0,
-            null_or_missing: 0
+            awaiting_approval: 0
         };
 
-        allProposalsForStats.forEach(proposal => {
-            const totalAmount = parseFloat(proposal.price) || 0;
-            let providerAmount = null;
-            let payoutStatus = 'pending';
-
-            // Get payout amount and status if fields exist
-            if (statsHasPayoutFields) {
-                // Try to get payout status (may be null if not set)
-                if (proposal.payoutStatus != null) {
-                    payoutStatus = proposal.payoutStatus;
-                    statusCounts[payoutStatus] = (statusCounts[payoutStatus] || 0) + 1;
-                } else {
-                    statusCounts.null_or_missing += 1;
-                }
-
-                // Try to get stored payout amount
-                if (proposal.providerPayoutAmount != null) {
-                    providerAmount = parseFloat(proposal.providerPayoutAmount);
-                } else {
-                    // Calculate if not stored
-                    const calculated = calculatePayouts(totalAmount);
-                    providerAmount = calculated.providerAmount;
-                }
-            } else {
-                // Calculate payout amount if fields don't exist
-                const calculated = calculatePayouts(totalAmount);
-                providerAmount = calculated.providerAmount;
-                // Status stays as 'pending' (default) when fields don't exist
-                statusCounts.null_or_missing += 1;
-            }
-
-            // Update stats
-            stats.totalEarnings += totalAmount;
+        allPayouts.forEach(payout => {
+            statusCounts[payout.payoutStatus] = (statusCounts[payout.payoutStatus] || 0) + 1;
+            stats.totalEarnings += payout.totalAmount;
 
             // Only count completed payouts in totalPayouts
-            if (payoutStatus === 'completed' && providerAmount) {
-                stats.totalPayouts += providerAmount;
+            if (payout.payoutStatus === 'completed' && payout.providerAmount) {
+                stats.totalPayouts += payout.providerAmount;
                 stats.completedPayouts += 1;
             }
-            // Count pending and processing in pendingPayouts
-            if ((payoutStatus === 'pending' || payoutStatus === 'processing') && providerAmount) {
-                stats.pendingPayouts += providerAmount;
+            // Count pending, processing and unapproved milestones in pendingPayouts
+            if (['pending', 'processing', 'awaiting_approval'].includes(payout.payoutStatus) && payout.providerAmount) {
+                stats.pendingPayouts += payout.providerAmount;
             }
             // Note: 'failed' status is not counted in either category
         });
 
         // Log diagnostic information for debugging
         console.log(`[Payouts Stats] Provider ${providerProfile.id}:`, {
-            totalProposals: allProposalsForStats.length,
-            hasPayoutFields: statsHasPayoutFields,
+            totalPayouts: allPayouts.length,
+            hasPayoutFields: hasPayoutFields,
             statusBreakdown: statusCounts,
             stats: {
                 totalEarnings: stats.totalEarnings.toFixed(2),
@@ -2343,6 +2363,161 @@ router.get('/payouts', protect, async (req, res) => {
     }
 });
 
+// @route   GET /api/provider/ledger/balance
+// @desc    What the platform owes the provider (negative: what they owe), with lifetime totals
+// @access  Private (Provider only)
+router.get('/ledger/balance', protect, async (req, res) => {
+    try {
+        const balance = await getProviderBalance(req.user.id);
+
+        res.json({
+            success: true,
+            ...balance
+        });
+    } catch (error) {
+        console.error('Get ledger balance error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/provider/ledger/statement
+// @desc    Monthly statement of payments, fees, payouts and refunds (month=YYYY-MM, UTC; defaults to this month)
+// @access  Private (Provider only)
+router.get('/ledger/statement', protect, async (req, res) => {
+    try {
+        const month = req.query.month || new Date().toISOString().slice(0, 7);
+        const statement = await getMonthlyStatement(req.user.id, month);
+
+        if (statement.error) {
+            return res.status(statement.status || 400).json({
+                success: false,
+                error: statement.error
+            });
+        }
+
+        res.json({
+            success: true,
+            statement
+        });
+    } catch (error) {
+        console.error('Get ledger statement error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/provider/earnings
+// @desc    Earnings summary for a year by month or quarter: gross job value, fees, lead and subscription spend, payouts
+//          (year, defaults to this year; granularity=month|quarter)
+// @access  Private (Provider only)
+router.get('/earnings', protect, async (req, res) => {
+    try {
+        const year = req.query.year ? parseInt(req.query.year) : new Date().getUTCFullYear();
+        const [summary, years] = await Promise.all([
+            getEarningsSummary(req.user.id, year, req.query.granularity || 'month'),
+            getEarningsYears(req.user.id)
+        ]);
+
+        if (summary.error) {
+            return res.status(summary.status || 400).json({
+                success: false,
+                error: summary.error
+            });
+        }
+
+        res.json({
+            success: true,
+            ...summary,
+            years
+        });
+    } catch (error) {
+        console.error('Get earnings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/provider/earnings/statement
+// @desc    Earnings statement for a month (2026-05), quarter (2026-Q2) or year (2026) (format=json|csv|pdf)
+// @access  Private (Provider only)
+router.get('/earnings/statement', protect, async (req, res) => {
+    try {
+        const statement = await getEarningsStatement(req.user.id, req.query.period || new Date().toISOString().slice(0, 7));
+
+        if (statement.error) {
+            return res.status(statement.status || 400).json({
+                success: false,
+                error: statement.error
+            });
+        }
+
+        const filename = `earnings-statement-${statement.period.key}`;
+        if (req.query.format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.send(statementToCsv(statement));
+        }
+        if (req.query.format === 'pdf') {
+            res.set('Content-Type', 'application/pdf');
+            res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+            return res.send(statementToPdf(statement, req.user));
+        }
+
+        res.json({
+            success: true,
+            statement
+        });
+    } catch (error) {
+        console.error('Get earnings statement error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/provider/earnings/year-end
+// @desc    Year-end earnings summary for a tax year (year, defaults to last year; format=pdf|csv)
+// @access  Private (Provider only)
+router.get('/earnings/year-end', protect, async (req, res) => {
+    try {
+        const year = req.query.year ? parseInt(req.query.year) : new Date().getUTCFullYear() - 1;
+        const summary = await getEarningsSummary(req.user.id, year, 'month');
+
+        if (summary.error) {
+            return res.status(summary.status || 400).json({
+                success: false,
+                error: summary.error
+            });
+        }
+
+        const filename = `year-end-earnings-${year}`;
+        if (req.query.format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.send(summaryToCsv(summary));
+        }
+
+        const quarterly = await getEarningsSummary(req.user.id, year, 'quarter');
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        res.send(yearEndToPdf(summary, quarterly, req.user));
+    } catch (error) {
+        console.error('Get year-end earnings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
 // @route   GET /api/provider/messages
 // @desc    Get all messages sent to provider (business owner)
 // @access  Private (Provider/Business Owner)
@@ -2403,6 +2578,428 @@ router.get('/messages', protect, async (req, res) => {
     }
 });
 
-module.exports = router;
+/**
+ * Find a business owned by the logged-in provider
+ * @param {Object} req - Express request (uses req.params.businessId and req.user)
+ * @returns {Promise<Object|null>}
+ */
+async function findOwnedBusiness(req) {
+    const businessId = parseInt(req.params.businessId);
+    if (isNaN(businessId)) {
+        return null;
+    }
+
+    return Business.findOne({
+        where: { id: businessId, ownerId: req.user.id },
+        attributes: ['id', 'name', 'ownerId', 'timezone', 'appointmentDurationMinutes']
+    });
+}
+
+// @route   GET /api/provider/businesses/:businessId/availability
+// @desc    Get weekly availability, blackout dates and calendar settings for a business
+// @access  Private (Provider/Business Owner)
+router.get('/businesses/:businessId/availability', protect, async (req, res) => {
+    try {
+        const business = await findOwnedBusiness(req);
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business not found'
+            });
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+        const [windows, blackouts] = await Promise.all([
+            BusinessAvailability.findAll({
+                where: { businessId: business.id },
+                attributes: ['id', 'dayOfWeek', 'startTime', 'endTime'],
+                order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
+            }),
+            BusinessBlackout.findAll({
+                where: { businessId: business.id, endDate: { [Op.gte]: today } },
+                attributes: ['id', 'startDate', 'endDate', 'reason'],
+                order: [['startDate', 'ASC']]
+            })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                businessId: business.id,
+                timezone: business.timezone,
+                appointmentDurationMinutes: business.appointmentDurationMinutes,
+                windows,
+                blackouts
+            }
+        });
+    } catch (error) {
+        console.error('Get availability error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/provider/businesses/:businessId/availability
+// @desc    Replace the weekly availability windows and calendar settings for a business
+// @access  Private (Provider/Business Owner)
+router.put('/businesses/:businessId/availability', protect, async (req, res) => {
+    try {
+        const business = await findOwnedBusiness(req);
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business not found'
+            });
+        }
+
+        const { timezone, appointmentDurationMinutes, windows } = req.body;
+
+        if (timezone !== undefined && !isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown timezone'
+            });
+        }
+
+        const duration = appointmentDurationMinutes !== undefined ? parseInt(appointmentDurationMinutes) : business.appointmentDurationMinutes;
+        if (isNaN(duration) || duration < 15 || duration > 720) {
+            return res.status(400).json({
+                success: false,
+                error: 'Appointment length must be between 15 minutes and 12 hours'
+            });
+        }
+
+        const windowError = validateWindows(windows || []);
+        if (windowError) {
+            return res.status(400).json({
+                success: false,
+                error: windowError
+            });
+        }
 
+        const { sequelize } = require('../config/database');
+        await sequelize.transaction(async (transaction) => {
+            await business.update({
+                timezone: timezone || business.timezone,
+                appointmentDurationMinutes: duration
+            }, { transaction });
+
+            await BusinessAvailability.destroy({ where: { businessId: business.id }, transaction });
+            await BusinessAvailability.bulkCreate((windows || []).map(window => ({
+                businessId: business.id,
+                dayOfWeek: parseInt(window.dayOfWeek),
+                startTime: window.startTime,
+                endTime: window.endTime
+            })), { transaction });
+        });
+
+        logActivity({
+            type: 'availability_updated',
+            description: `Availability updated for "${business.name}"`,
+            userId: req.user.id,
+            metadata: { businessId: business.id, windows: (windows || []).length }
+        });
+
+        const saved = await BusinessAvailability.findAll({
+            where: { businessId: business.id },
+            attributes: ['id', 'dayOfWeek', 'startTime', 'endTime'],
+            order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
+        });
+
+        res.json({
+            success: true,
+            message: 'Availability saved',
+            data: {
+                businessId: business.id,
+                timezone: business.timezone,
+                appointmentDurationMinutes: business.appointmentDurationMinutes,
+                windows: saved
+            }
+        });
+    } catch (error) {
+        console.error('Update availability error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
 
+// @route   POST /api/provider/businesses/:businessId/blackouts
+// @desc    Add blackout dates (no appointments) for a business
+// @access  Private (Provider/Business Owner)
+router.post('/businesses/:businessId/blackouts', protect, async (req, res) => {
+    try {
+        const business = await findOwnedBusiness(req);
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business not found'
+            });
+        }
+
+        const { startDate, reason } = req.body;
+        const endDate = req.body.endDate || startDate;
+
+        if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+        if (endDate < startDate) {
+            return res.status(400).json({
+                success: false,
+                error: 'End date must be on or after start date'
+            });
+        }
+
+        const blackout = await BusinessBlackout.create({
+            businessId: business.id,
+            startDate,
+            endDate,
+            reason: reason ? String(reason).slice(0, 255) : null
+        });
+
+        res.status(201).json({
+            success: true,
+            data: blackout
+        });
+    } catch (error) {
+        console.error('Create blackout error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/provider/businesses/:businessId/blackouts/:blackoutId
+// @desc    Remove blackout dates
+// @access  Private (Provider/Business Owner)
+router.delete('/businesses/:businessId/blackouts/:blackoutId', protect, async (req, res) => {
+    try {
+        const business = await findOwnedBusiness(req);
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business not found'
+            });
+        }
+
+        const deleted = await BusinessBlackout.destroy({
+            where: { id: parseInt(req.params.blackoutId) || 0, businessId: business.id }
+        });
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Blackout not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Blackout removed'
+        });
+    } catch (error) {
+        console.error('Delete blackout error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/provider/work-orders/:id/slots
+// @desc    Open slots on the work order's business calendar (for rescheduling)
+// @access  Private (Provider only)
+router.get('/work-orders/:id/slots', protect, async (req, res) => {
+    try {
+        const providerProfile = await ProviderProfile.findOne({
+            where: { userId: req.user.id },
+            attributes: ['id']
+        });
+
+        const workOrder = providerProfile ? await WorkOrder.findOne({
+            where: { id: parseInt(req.params.id) || 0, providerId: providerProfile.id },
+            attributes: ['id', 'businessId', 'serviceRequestId']
+        }) : null;
+
+        if (!workOrder) {
+            return res.status(404).json({
+                success: false,
+                error: 'Work order not found'
+            });
+        }
+
+        const business = workOrder.businessId
+            ? await Business.findByPk(workOrder.businessId)
+            : await Business.findOne({ where: { ownerId: req.user.id }, order: [['createdAt', 'ASC']] });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: 'No business calendar found'
+            });
+        }
+
+        const { timezone, durationMinutes, slots } = await getAvailableSlots(business, {
+            from: req.query.from,
+            days: req.query.days,
+            excludeWorkOrderId: workOrder.id
+        });
+
+        res.json({
+            success: true,
+            data: {
+                businessId: business.id,
+                businessName: business.name,
+                timezone,
+                durationMinutes,
+                slots
+            }
+        });
+    } catch (error) {
+        console.error('Get work order slots error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
+// @route   PATCH /api/provider/work-orders/:id/appointment
+// @desc    Reschedule (or book) the appointment for a work order
+// @access  Private (Provider only)
+router.patch('/work-orders/:id/appointment', protect, async (req, res) => {
+    try {
+        const { start, reason, action } = req.body;
+
+        const providerProfile = await ProviderProfile.findOne({
+            where: { userId: req.user.id },
+            attributes: ['id']
+        });
+
+        const workOrder = providerProfile ? await WorkOrder.findOne({
+            where: { id: parseInt(req.params.id) || 0, providerId: providerProfile.id },
+            attributes: ['id']
+        }) : null;
+
+        if (!workOrder) {
+            return res.status(404).json({
+                success: false,
+                error: 'Work order not found'
+            });
+        }
+
+        const result = await changeAppointment(workOrder.id, {
+            action: action === 'cancel' ? 'cancel' : 'reschedule',
+            start,
+            reason: reason ? String(reason).slice(0, 500) : null,
+            actorUserId: req.user.id
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        logActivity({
+            type: `appointment_${result.workOrder.appointmentStatus}`,
+            description: `Provider ${result.workOrder.appointmentStatus} appointment for work order #${workOrder.id}`,
+            userId: req.user.id,
+            metadata: { workOrderId: workOrder.id, scheduledStart: result.workOrder.scheduledStart }
+        });
+
+        res.json({
+            success: true,
+            message: action === 'cancel' ? 'Appointment cancelled' : 'Appointment updated',
+            data: formatAppointmentResponse(result.workOrder)
+        });
+    } catch (error) {
+        console.error('Update appointment error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
+function calendarFeedUrl(req, token) {
+    const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}/api/calendar/${token}.ics`;
+}
+
+// @route   GET /api/provider/calendar-feed
+// @desc    Get (creating on first use) the provider's private iCalendar feed URL
+// @access  Private (Provider only)
+router.get('/calendar-feed', protect, async (req, res) => {
+    try {
+        const providerProfile = await ProviderProfile.findOne({
+            where: { userId: req.user.id },
+            attributes: ['id', 'calendarFeedToken']
+        });
+
+        if (!providerProfile) {
+            return res.status(404).json({
+                success: false,
+                error: 'Provider profile not found'
+            });
+        }
+
+        if (!providerProfile.calendarFeedToken) {
+            await providerProfile.update({ calendarFeedToken: crypto.randomBytes(24).toString('hex') });
+        }
+
+        res.json({
+            success: true,
+            data: { url: calendarFeedUrl(req, providerProfile.calendarFeedToken) }
+        });
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/provider/calendar-feed/reset
+// @desc    Issue a new feed URL; the old one stops working
+// @access  Private (Provider only)
+router.post('/calendar-feed/reset', protect, async (req, res) => {
+    try {
+        const providerProfile = await ProviderProfile.findOne({
+            where: { userId: req.user.id },
+            attributes: ['id', 'calendarFeedToken']
+        });
+
+        if (!providerProfile) {
+            return res.status(404).json({
+                success: false,
+                error: 'Provider profile not found'
+            });
+        }
+
+        await providerProfile.update({ calendarFeedToken: crypto.randomBytes(24).toString('hex') });
+
+        res.json({
+            success: true,
+            message: 'Calendar feed URL reset',
+            data: { url: calendarFeedUrl(req, providerProfile.calendarFeedToken) }
+        });
+    } catch (error) {
+        console.error('Reset calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
+module.exports = router;
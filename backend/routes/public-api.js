@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Business, Category, Review, User } = require('../models');
+const { apiKeyAuthFailureLimit, authenticateApiKey, apiKeyRateLimit, requireScope } = require('../middleware/apiKeyAuth');
+const { createServiceRequest } = require('./service-requests');
+
+// Version 1 of the partner API, mounted at /api/public/v1. Every route needs an API
+// key (see utils/apiKeys.js); responses only contain fields listed here so internal
+// columns never leak into the public contract.
+
+const MAX_PAGE_SIZE = 100;
+
+const BUSINESS_ATTRIBUTES = [
+  'id', 'name', 'slug', 'description', 'categoryId', 'subCategoryId', 'address', 'city', 'state',
+  'zipCode', 'country', 'latitude', 'longitude', 'phone', 'email', 'website', 'hours', 'logo',
+  'tags', 'ratingAverage', 'ratingCount', 'isVerified', 'createdAt', 'updatedAt'
+];
+
+const CATEGORY_ATTRIBUTES = ['id', 'name', 'slug', 'icon'];
+
+const REVIEW_ATTRIBUTES = ['id', 'businessId', 'rating', 'title', 'comment', 'responseComment', 'respondedAt', 'createdAt'];
+
+const publicBusinessWhere = { isActive: true, isPublic: true };
+
+const paging = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_PAGE_SIZE);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+router.use(apiKeyAuthFailureLimit, authenticateApiKey, apiKeyRateLimit);
+
+// @route   GET /api/public/v1/businesses
+// @desc    List businesses (?q, category, city, state, page, limit)
+// @access  API key (businesses:read)
+router.get('/businesses', requireScope('businesses:read'), async (req, res) => {
+  try {
+    const { page, limit, offset } = paging(req.query);
+    const where = { ...publicBusinessWhere };
+
+    if (req.query.q && req.query.q.trim()) {
+      const term = req.query.q.trim();
+      where[Op.or] = [
+        { name: { [Op.like]: `%${term}%` } },
+        { description: { [Op.like]: `%${term}%` } }
+      ];
+    }
+    if (req.query.category) {
+      where.categoryId = parseInt(req.query.category);
+    }
+    if (req.query.city) {
+      where.city = req.query.city.trim();
+    }
+    if (req.query.state) {
+      where.state = req.query.state.trim();
+    }
+
+    const { count, rows: businesses } = await Business.findAndCountAll({
+      where,
+      attributes: BUSINESS_ATTRIBUTES,
+      include: [{ model: Category, as: 'category', attributes: CATEGORY_ATTRIBUTES }],
+      order: [['id', 'ASC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: businesses.length,
+      total: count,
+      page,
+      pages: Math.ceil(count / limit),
+      businesses
+    });
+  } catch (error) {
+    console.error('Public API list businesses error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   GET /api/public/v1/businesses/:id
+// @desc    Get a business
+// @access  API key (businesses:read)
+router.get('/businesses/:id', requireScope('businesses:read'), async (req, res) => {
+  try {
+    const business = await Business.findOne({
+      where: { ...publicBusinessWhere, id: req.params.id },
+      attributes: BUSINESS_ATTRIBUTES,
+      include: [{ model: Category, as: 'category', attributes: CATEGORY_ATTRIBUTES }]
+    });
+
+    if (!business) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
+    }
+
+    res.json({
+      success: true,
+      business
+    });
+  } catch (error) {
+    console.error('Public API get business error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   GET /api/public/v1/businesses/:id/reviews
+// @desc    Approved reviews for a business (?page, limit)
+// @access  API key (reviews:read)
+router.get('/businesses/:id/reviews', requireScope('reviews:read'), async (req, res) => {
+  try {
+    const business = await Business.findOne({
+      where: { ...publicBusinessWhere, id: req.params.id },
+      attributes: ['id']
+    });
+    if (!business) {
+      return res.status(404).json({ success: false, error: 'Business not found' });
+    }
+
+    const { page, limit, offset } = paging(req.query);
+    const { count, rows: reviews } = await Review.findAndCountAll({
+      where: { businessId: business.id, isApproved: true },
+      attributes: REVIEW_ATTRIBUTES,
+      include: [{ model: User, as: 'user', attributes: ['name'] }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total: count,
+      page,
+      pages: Math.ceil(count / limit),
+      reviews: reviews.map(review => {
+        const { user, ...data } = review.toJSON();
+        return { ...data, authorName: user?.name || null };
+      })
+    });
+  } catch (error) {
+    console.error('Public API get reviews error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   GET /api/public/v1/categories
+// @desc    List categories
+// @access  API key (businesses:read)
+router.get('/categories', requireScope('businesses:read'), async (req, res) => {
+  try {
+    const categories = await Category.findAll({
+      where: { isActive: true },
+      attributes: CATEGORY_ATTRIBUTES,
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      count: categories.length,
+      categories
+    });
+  } catch (error) {
+    console.error('Public API get categories error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   POST /api/public/v1/service-requests
+// @desc    Submit a service request on behalf of the key's owner
+//          (same body as POST /api/service-requests, up to 1mb)
+// @access  API key (service_requests:write)
+router.post('/service-requests', requireScope('service_requests:write'), (req, res) => {
+  req.user = req.apiKey.owner;
+  return createServiceRequest(req, res);
+});
+
+module.exports = router;
@@ -3,6 +3,25 @@ const router = express.Router();
 const { Review, Business, User } = require('../models');
 const { protect } = require('../middleware/auth');
 const logActivity = require('../utils/logActivity');
+const { validateMediaReferences } = require('../utils/media');
+
+const MAX_REVIEW_IMAGES = 5;
+
+// Review images are media urls uploaded through /api/media (purpose review_image)
+const validateReviewImages = async (images, userId, review = null) => {
+  if (images === undefined || images === null) {
+    return null;
+  }
+  if (Array.isArray(images) && images.length > MAX_REVIEW_IMAGES) {
+    return `You can add up to ${MAX_REVIEW_IMAGES} photos to a review`;
+  }
+  const result = await validateMediaReferences(images, {
+    userId,
+    kind: 'image',
+    existing: review && Array.isArray(review.images) ? review.images : []
+  });
+  return result.error || null;
+};
 
 // @route   GET /api/reviews
 // @desc    Get all reviews or reviews for a business
@@ -141,6 +160,14 @@ router.post('/', protect, async (req, res) => {
       });
     }
 
+    const imagesError = await validateReviewImages(req.body.images, req.user.id);
+    if (imagesError) {
+      return res.status(400).json({
+        success: false,
+        error: imagesError
+      });
+    }
+
     // Check if business exists
     const business = await Business.findByPk(req.body.businessId);
     if (!business) {
@@ -172,6 +199,7 @@ router.post('/', protect, async (req, res) => {
       rating: req.body.rating,
       title: req.body.title,
       comment: req.body.comment,
+      images: req.body.images || [],
       isApproved: false // Reviews need admin approval
     });
 
@@ -219,10 +247,16 @@ router.put('/:id', protect, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to update this review' });
     }
 
+    const imagesError = await validateReviewImages(req.body.images, req.user.id, review);
+    if (imagesError) {
+      return res.status(400).json({ error: imagesError });
+    }
+
     await review.update({
       rating: req.body.rating,
       title: req.body.title,
-      comment: req.body.comment
+      comment: req.body.comment,
+      ...(req.body.images !== undefined && { images: req.body.images || [] })
     });
 
     res.json({
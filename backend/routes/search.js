@@ -1,10 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
-const { Business, Category } = require('../models');
+const { sequelize, Business, Category, SearchDocument } = require('../models');
+const { getActivePromotions } = require('../utils/promotions');
+const {
+  parseSearchQuery,
+  searchMatchSql,
+  searchRankSql,
+  autocomplete
+} = require('../utils/searchIndex');
+const { parseGeoQuery } = require('../utils/geolocation');
+const { locationConditions, nearestDistanceSql } = require('../utils/serviceAreas');
 
 // @route   GET /api/search
-// @desc    Search businesses
+// @desc    Search businesses (?q, category, city, state, minRating, sort, page, limit).
+//          Location: lat+lng or zipCode set the center and add a distance (miles) to
+//          each result, radius limits results to businesses that serve it (service
+//          area, or an address/branch within that many miles) and
+//          bounds=south,west,north,east limits them to a map viewport.
+//          With q, results are ranked by relevance unless another sort is given;
+//          without q, results with a center are sorted nearest first.
 // @access  Public
 router.get('/', async (req, res) => {
   try {
@@ -14,16 +29,22 @@ router.get('/', async (req, res) => {
     const offset = (page - 1) * limit;
 
     const where = { isActive: true };
+    const conditions = [];
 
-    // Build search conditions
-    const searchConditions = [];
-    
-    // Search by name or description
-    if (q) {
-      searchConditions.push(
-        { name: { [Op.like]: `%${q}%` } },
-        { description: { [Op.like]: `%${q}%` } }
-      );
+    const geo = await parseGeoQuery(req.query);
+    if (geo.error) {
+      return res.status(400).json({ success: false, error: geo.error });
+    }
+    const coordinates = geo.center;
+    conditions.push(...await locationConditions(geo));
+
+    // Full-text match against the search index (typos corrected, synonyms expanded)
+    const search = q && q.trim() ? await parseSearchQuery(q) : null;
+    if (q && q.trim() && !search) {
+      return res.json({ success: true, count: 0, total: 0, page, pages: 0, correctedQuery: null, businesses: [] });
+    }
+    if (search) {
+      conditions.push(sequelize.literal(searchMatchSql(search.against)));
     }
 
     // Filter by category
@@ -81,22 +102,11 @@ router.get('/', async (req, res) => {
     }
 
     // Combine search and location conditions
-    if (searchConditions.length > 0 && locationCondition) {
-      // Both search and location - combine with AND
-      where[Op.and] = [
-        { [Op.or]: searchConditions },
-        locationCondition
-      ];
-    } else if (searchConditions.length > 0) {
-      // Only search
-      where[Op.or] = searchConditions;
-    } else if (locationCondition) {
-      // Only location - merge into where
-      if (locationCondition[Op.or]) {
-        where[Op.or] = locationCondition[Op.or];
-      } else {
-        Object.assign(where, locationCondition);
-      }
+    if (locationCondition) {
+      conditions.push(locationCondition);
+    }
+    if (conditions.length > 0) {
+      where[Op.and] = conditions;
     }
 
     // Filter by rating
@@ -104,9 +114,22 @@ router.get('/', async (req, res) => {
       where.ratingAverage = { [Op.gte]: parseFloat(minRating) };
     }
 
+    const extraAttributes = [];
+    if (search) {
+      extraAttributes.push([sequelize.literal(searchRankSql(search.against, coordinates)), 'relevanceScore']);
+    }
+    if (coordinates) {
+      extraAttributes.push([sequelize.literal(`ROUND(${nearestDistanceSql(coordinates)}, 2)`), 'distance']);
+    }
+
     // Sorting
     let order = [['createdAt', 'DESC']];
-    if (sort === 'rating') {
+    if (search && (!sort || sort === 'relevance')) {
+      order = [[sequelize.literal('relevanceScore'), 'DESC'], ['id', 'ASC']];
+    } else if (coordinates && (!sort || sort === 'distance')) {
+      // Businesses without coordinates (exact zip matches) go last
+      order = [[sequelize.literal('distance IS NULL'), 'ASC'], [sequelize.literal('distance'), 'ASC'], ['id', 'ASC']];
+    } else if (sort === 'rating') {
       order = [['ratingAverage', 'DESC'], ['ratingCount', 'DESC']];
     } else if (sort === 'name') {
       order = [['name', 'ASC']];
@@ -116,21 +139,32 @@ router.get('/', async (req, res) => {
 
     const { count, rows: businesses } = await Business.findAndCountAll({
       where,
+      attributes: { include: extraAttributes },
       include: [
-        { model: Category, as: 'category', attributes: ['id', 'name', 'slug', 'icon'] }
+        { model: Category, as: 'category', attributes: ['id', 'name', 'slug', 'icon'] },
+        ...(search ? [{ model: SearchDocument, as: 'searchDocument', attributes: [], required: true }] : [])
       ],
       order,
       limit,
       offset
     });
 
+    // Active deals, limited to those visible in the searched category
+    const promotions = await getActivePromotions(businesses.map(business => business.id), { categoryId: category });
+
     res.json({
       success: true,
       count: businesses.length,
       total: count,
       page,
       pages: Math.ceil(count / limit),
-      businesses
+      correctedQuery: search ? search.correctedQuery : null,
+      center: coordinates,
+      radius: geo.radiusMiles,
+      businesses: businesses.map(business => ({
+        ...business.toJSON(),
+        promotions: promotions.get(business.id) || []
+      }))
     });
   } catch (error) {
     console.log('Search error:', error);
@@ -139,30 +173,23 @@ router.get('/', async (req, res) => {
 });
 
 // @route   GET /api/search/suggestions
-// @desc    Get search suggestions
+// @desc    Autocomplete for the search box: query completions from the search index,
+//          matching categories and businesses whose name starts with what was typed
 // @access  Public
 router.get('/suggestions', async (req, res) => {
   try {
     const { q } = req.query;
 
-    if (!q || q.length < 2) {
+    if (!q || q.trim().length < 2) {
       return res.json({ success: true, suggestions: [] });
     }
 
-    // Search in business names
-    const businesses = await Business.findAll({
-      where: {
-        name: { [Op.like]: `%${q}%` },
-        isActive: true
-      },
-      attributes: ['id', 'name', 'slug', 'city', 'state'],
-      limit: 8
-    });
+    const { completions, businesses } = await autocomplete(q);
 
     // Search in categories
     const categories = await Category.findAll({
       where: {
-        name: { [Op.like]: `%${q}%` },
+        name: { [Op.like]: `%${q.trim()}%` },
         isActive: true
       },
       attributes: ['id', 'name', 'slug', 'icon'],
@@ -170,6 +197,11 @@ router.get('/suggestions', async (req, res) => {
     });
 
     const suggestions = [
+      ...completions.map(text => ({
+        type: 'query',
+        name: text,
+        icon: 'search'
+      })),
       ...categories.map(cat => ({
         type: 'category',
         name: cat.name,
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { Category, Business, Review } = require('../models');
+const { Category, Business, Review, ZipCode } = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { lookupZipCode, getNeighboringZipCodes } = require('../utils/geolocation');
 
 /**
  * Generate slug from text
@@ -47,64 +48,113 @@ router.get('/:serviceSlug/:locationType/:locationSlug', async (req, res) => {
     let location = null;
     let locationQuery = {};
 
-    if (locationType === 'city') {
-      // City slug format: "miami-fl" or "miami"
-      const cityParts = locationSlug.split('-');
-      const cityName = cityParts[0].charAt(0).toUpperCase() + cityParts[0].slice(1);
-      const stateCode = cityParts.length > 1 ? cityParts[cityParts.length - 1].toUpperCase() : null;
+    let nearbyZipCodes = [];
 
-      locationQuery.city = { [Op.like]: `${cityName}%` };
-      if (stateCode && stateCode.length === 2) {
-        locationQuery.state = stateCode;
-      }
+    if (locationType === 'city') {
+      // City slug format: "miami-fl", "new-york-ny" or "miami"
+      const cityParts = locationSlug.split('-').filter(part => part);
+      const stateCode = cityParts.length > 1 && cityParts[cityParts.length - 1].length === 2
+        ? cityParts.pop().toUpperCase()
+        : null;
+      const cityName = cityParts.join(' ');
 
-      // Get actual location from database
-      const locationData = await Business.findOne({
-        where: {
-          ...locationQuery,
-          isActive: true,
-          isPublic: true
-        },
-        attributes: ['city', 'state', 'zipCode'],
-        raw: true
-      });
+      // Resolve the real city name (and county/timezone) from the zip code gazetteer
+      const gazetteerEntry = cityName
+        ? await ZipCode.findOne({
+          where: {
+            city: cityName,
+            ...(stateCode ? { state: stateCode } : {})
+          },
+          order: [['code', 'ASC']]
+        })
+        : null;
 
-      if (locationData) {
+      if (gazetteerEntry) {
+        locationQuery.city = gazetteerEntry.city;
+        locationQuery.state = gazetteerEntry.state;
         location = {
-          city: locationData.city,
-          state: locationData.state,
-          zipCode: locationData.zipCode
+          city: gazetteerEntry.city,
+          state: gazetteerEntry.state,
+          zipCode: gazetteerEntry.code,
+          county: gazetteerEntry.county,
+          timezone: gazetteerEntry.timezone
         };
       } else {
-        // Fallback: use parsed values
-        location = {
-          city: cityName,
-          state: stateCode || '',
-          zipCode: null
-        };
+        const firstWord = cityParts.length > 0
+          ? cityParts[0].charAt(0).toUpperCase() + cityParts[0].slice(1)
+          : '';
+        locationQuery.city = { [Op.like]: `${firstWord}%` };
+        if (stateCode) {
+          locationQuery.state = stateCode;
+        }
+
+        // Get actual location from database
+        const locationData = await Business.findOne({
+          where: {
+            ...locationQuery,
+            isActive: true,
+            isPublic: true
+          },
+          attributes: ['city', 'state', 'zipCode'],
+          raw: true
+        });
+
+        if (locationData) {
+          location = {
+            city: locationData.city,
+            state: locationData.state,
+            zipCode: locationData.zipCode
+          };
+        } else {
+          // Fallback: use parsed values
+          location = {
+            city: firstWord,
+            state: stateCode || '',
+            zipCode: null
+          };
+        }
       }
     } else if (locationType === 'zipcode') {
-      // ZIP code
-      locationQuery.zipCode = locationSlug;
-
-      const locationData = await Business.findOne({
-        where: {
-          zipCode: locationSlug,
-          isActive: true,
-          isPublic: true
-        },
-        attributes: ['city', 'state', 'zipCode'],
-        raw: true
-      });
+      const gazetteerEntry = await lookupZipCode(locationSlug);
 
-      if (locationData) {
-        location = locationData;
-      } else {
+      if (gazetteerEntry) {
+        // Businesses in the zip code and the ones next to it
+        const neighbors = await getNeighboringZipCodes(gazetteerEntry.code);
+        nearbyZipCodes = neighbors.map(neighbor => ({
+          zipCode: neighbor.code,
+          city: neighbor.city,
+          state: neighbor.state
+        }));
+        locationQuery.zipCode = { [Op.in]: [gazetteerEntry.code, ...gazetteerEntry.neighbors] };
         location = {
-          city: '',
-          state: '',
-          zipCode: locationSlug
+          city: gazetteerEntry.city,
+          state: gazetteerEntry.state,
+          zipCode: gazetteerEntry.code,
+          county: gazetteerEntry.county,
+          timezone: gazetteerEntry.timezone
         };
+      } else {
+        locationQuery.zipCode = locationSlug;
+
+        const locationData = await Business.findOne({
+          where: {
+            zipCode: locationSlug,
+            isActive: true,
+            isPublic: true
+          },
+          attributes: ['city', 'state', 'zipCode'],
+          raw: true
+        });
+
+        if (locationData) {
+          location = locationData;
+        } else {
+          location = {
+            city: '',
+            state: '',
+            zipCode: locationSlug
+          };
+        }
       }
     } else {
       return res.status(400).json({
@@ -179,7 +229,9 @@ router.get('/:serviceSlug/:locationType/:locationSlug', async (req, res) => {
     // Generate SEO metadata
     const locationName = locationType === 'city'
       ? `${location.city}, ${location.state}`
-      : location.zipCode;
+      : location.city
+        ? `${location.city}, ${location.state} ${location.zipCode}`
+        : location.zipCode;
 
     const meta = {
       title: `Best ${category.name} in ${locationName} | Find Local Professionals`,
@@ -203,6 +255,7 @@ router.get('/:serviceSlug/:locationType/:locationSlug', async (req, res) => {
       })),
       averageRating,
       popularLocations: popularLocationsFormatted,
+      nearbyZipCodes,
       relatedServices: relatedServices.map(s => ({
         id: s.id,
         name: s.name,
@@ -7,6 +7,7 @@ const {
     User,
     Lead,
     Proposal,
+    ProposalMilestone,
     WorkOrder,
     Review,
     Business,
@@ -16,10 +17,26 @@ const {
 const AlternativeProviderSelection = require('../models/AlternativeProviderSelection');
 const { protect, authorize } = require('../middleware/auth');
 const logActivity = require('../utils/logActivity');
+const createNotification = require('../utils/createNotification');
+const { dispatchWebhookEvent, leadWebhookData, reviewWebhookData } = require('../utils/outboundWebhooks');
 const stripe = require('../config/stripe');
 const sendEmail = require('../utils/sendEmail');
-const processProviderPayout = require('../utils/processProviderPayout');
-const getSubscriptionBenefits = require('../utils/getSubscriptionBenefits');
+const { enqueueJob } = require('../utils/jobQueue');
+const { routeRequest } = require('../utils/routingEngine');
+const { getAvailableSlots, resolveProviderBusiness } = require('../utils/availability');
+const { reserveSlot, changeAppointment, formatAppointment, formatAppointmentResponse } = require('../utils/appointments');
+const {
+    normalizeMilestones,
+    createProposalMilestones,
+    pendingProposalMilestones,
+    formatMilestone,
+    approveMilestone,
+    recordMilestonePayment,
+    loadAcceptedProposalMilestones
+} = require('../utils/milestones');
+
+// Hours the primary provider has to accept before fallback providers get the lead
+const LEAD_PRIORITY_WINDOW_HOURS = parseInt(process.env.LEAD_PRIORITY_WINDOW_HOURS) || 24;
 
 // Test route to verify router is working
 router.get('/test', (req, res) => {
@@ -28,242 +45,26 @@ router.get('/test', (req, res) => {
 
 /**
  * Assign providers to a service request
- * Selects 1 primary provider and up to 3 alternatives based on ranking
+ * Ranking and selection are delegated to the routing engine (see utils/routingEngine.js),
+ * which applies the admin-configured strategy for the request's category
  * @param {number} serviceRequestId - The service request ID
- * @returns {Promise<{primary: Object, alternatives: Array}>}
+ * @returns {Promise<{primary: Object, alternatives: Array, fallbacks: Array, strategy: Object}>}
  */
 async function assignProvidersForRequest(serviceRequestId) {
     try {
-        // Get service request with details
-        const serviceRequest = await ServiceRequest.findByPk(serviceRequestId, {
-            include: [
-                { model: Category, as: 'category', attributes: ['id', 'name'] },
-                { model: SubCategory, as: 'subCategory', attributes: ['id', 'name'], required: false }
-            ]
-        });
+        const { primary, alternatives, fallbacks, strategy } = await routeRequest(serviceRequestId);
 
-        if (!serviceRequest) {
-            throw new Error('Service request not found');
-        }
-
-        // Find matching businesses by category and zip code
-        console.log(`[assignProvidersForRequest] Searching for businesses: categoryId=${serviceRequest.categoryId}, zipCode=${serviceRequest.zipCode}`);
-
-        const matchingBusinesses = await Business.findAll({
-            where: {
-                categoryId: serviceRequest.categoryId,
-                zipCode: serviceRequest.zipCode,
-                isActive: true,
-                ownerId: { [Op.ne]: null }
-            },
-            include: [
-                {
-                    model: User,
-                    as: 'owner',
-                    attributes: ['id', 'name', 'email', 'firstName', 'lastName', 'phone'],
-                    required: true
-                }
-            ]
-        });
-
-        console.log(`[assignProvidersForRequest] Found ${matchingBusinesses.length} matching businesses by category and zip code`);
-
-        // Also include selected businesses if any
-        let selectedBusinesses = [];
-        if (serviceRequest.selectedBusinessIds && Array.isArray(serviceRequest.selectedBusinessIds) && serviceRequest.selectedBusinessIds.length > 0) {
-            console.log(`[assignProvidersForRequest] Also searching for ${serviceRequest.selectedBusinessIds.length} selected businesses`);
-            selectedBusinesses = await Business.findAll({
-                where: {
-                    id: { [Op.in]: serviceRequest.selectedBusinessIds },
-                    ownerId: { [Op.ne]: null }
-                },
-                include: [
-                    {
-                        model: User,
-                        as: 'owner',
-                        attributes: ['id', 'name', 'email', 'firstName', 'lastName', 'phone'],
-                        required: true
-                    }
-                ]
-            });
-            console.log(`[assignProvidersForRequest] Found ${selectedBusinesses.length} selected businesses`);
+        if (!primary) {
+            console.log(`[assignProvidersForRequest] ⚠️ No valid providers found for service request ${serviceRequestId} (strategy: ${strategy.name})`);
+            return { primary: null, alternatives: [], fallbacks: [], strategy };
         }
 
-        // Combine and deduplicate businesses
-        const allBusinesses = [...matchingBusinesses, ...selectedBusinesses];
-        const uniqueBusinesses = Array.from(
-            new Map(allBusinesses.map(b => [b.id, b])).values()
-        );
-
-        console.log(`[assignProvidersForRequest] Total unique businesses after deduplication: ${uniqueBusinesses.length}`);
-
-        // Get provider profiles for each business owner and rank them
-        console.log(`[assignProvidersForRequest] Processing ${uniqueBusinesses.length} unique businesses for service request ${serviceRequestId}`);
-
-        const providersWithScores = await Promise.all(
-            uniqueBusinesses.map(async (business) => {
-                if (!business.owner) {
-                    console.log(`[assignProvidersForRequest] Business ${business.id} has no owner`);
-                    return null;
-                }
-
-                console.log(`[assignProvidersForRequest] Checking business ${business.id} (owner: ${business.owner.id}, email: ${business.owner.email})`);
-
-                // Safety check: Exclude businesses owned by the customer who created the request
-                // This prevents providers from being assigned to their own service requests
-                if (business.owner.id === serviceRequest.customerId) {
-                    console.log(`[assignProvidersForRequest] ⚠️ Skipping business ${business.id} - owned by customer who created the request (userId: ${serviceRequest.customerId})`);
-                    return null;
-                }
-
-                // Find or create provider profile for business owner
-                // Business owners should automatically have ProviderProfiles to receive leads
-                let providerProfile = await ProviderProfile.findOne({
-                    where: { userId: business.owner.id },
-                    attributes: ['id', 'userId']
-                });
-
-                if (!providerProfile) {
-                    console.log(`[assignProvidersForRequest] ⚠️ Business ${business.id} owner (userId: ${business.owner.id}) has no ProviderProfile - creating one automatically`);
-                    try {
-                        // Auto-create ProviderProfile for business owner
-                        // Only set userId - let database handle defaults for other fields
-                        providerProfile = await ProviderProfile.create({
-                            userId: business.owner.id
-                        }, {
-                            fields: ['userId'] // Only set userId field to avoid issues with non-existent columns
-                        });
-                        console.log(`[assignProvidersForRequest] ✅ Created ProviderProfile (id: ${providerProfile.id}) for business owner userId=${business.owner.id}`);
-                    } catch (createError) {
-                        console.error(`[assignProvidersForRequest] ❌ Failed to create ProviderProfile for userId=${business.owner.id}:`, createError.message);
-                        console.error(`[assignProvidersForRequest] Error details:`, {
-                            name: createError.name,
-                            code: createError.code,
-                            sqlState: createError.sqlState,
-                            sqlMessage: createError.sqlMessage
-                        });
-                        // If creation fails (e.g., duplicate key due to race condition), try to find it again
-                        providerProfile = await ProviderProfile.findOne({
-                            where: { userId: business.owner.id },
-                            attributes: ['id', 'userId']
-                        });
-                        if (!providerProfile) {
-                            console.log(`[assignProvidersForRequest] ⚠️ Still no ProviderProfile found after creation attempt - skipping business ${business.id}`);
-                            return null;
-                        } else {
-                            console.log(`[assignProvidersForRequest] ✅ Found ProviderProfile (id: ${providerProfile.id}) after creation error (likely race condition)`);
-                        }
-                    }
-                } else {
-                    console.log(`[assignProvidersForRequest] ✅ Business ${business.id} owner has ProviderProfile (id: ${providerProfile.id})`);
-                }
-
-                // Calculate score for ranking
-                let score = 0;
-
-                // Use Business rating instead of ProviderProfile rating (since ProviderProfile doesn't have rating columns in DB)
-                // Business rating bonus (max 50 points)
-                const businessRating = parseFloat(business.ratingAverage) || 0;
-                score += businessRating * 10; // Max 50 points (5.0 * 10)
-
-                // Business review count bonus (max 20 points)
-                const businessReviewCount = parseInt(business.ratingCount) || 0;
-                score += Math.min(businessReviewCount / 10, 20); // 1 point per 10 reviews, max 20
-
-                // Category match bonus (if business category matches request category, +10 points)
-                if (business.categoryId === serviceRequest.categoryId) {
-                    score += 10;
-                }
-
-                // Subcategory match bonus (if business subcategory matches request subcategory, +10 points)
-                if (serviceRequest.subCategoryId && business.subCategoryId === serviceRequest.subCategoryId) {
-                    score += 10;
-                }
-
-                // Zip code match bonus (if business zip code matches request zip code, +5 points)
-                if (business.zipCode === serviceRequest.zipCode) {
-                    score += 5;
-                }
-
-                // Selected business bonus (if customer specifically selected this business, +20 points)
-                if (serviceRequest.selectedBusinessIds && Array.isArray(serviceRequest.selectedBusinessIds)) {
-                    if (serviceRequest.selectedBusinessIds.includes(business.id)) {
-                        score += 20;
-                    }
-                }
-
-                // Subscription priority boost (add boost points if user has active subscription)
-                let isPriorityProvider = false; // Featured or Pro tier providers get leads first
-                try {
-                    const subscriptionBenefits = await getSubscriptionBenefits(business.owner.id);
-                    if (subscriptionBenefits.hasActiveSubscription) {
-                        // Check if provider is Featured or has PRO tier (priority providers)
-                        isPriorityProvider = subscriptionBenefits.isFeatured === true || subscriptionBenefits.tier === 'PRO';
-
-                        if (subscriptionBenefits.priorityBoostPoints > 0) {
-                        score += subscriptionBenefits.priorityBoostPoints;
-                        console.log(`[assignProvidersForRequest] Added ${subscriptionBenefits.priorityBoostPoints} priority boost points for business ${business.id} (user ${business.owner.id}, tier: ${subscriptionBenefits.tier})`);
-                        }
-
-                        if (isPriorityProvider) {
-                            console.log(`[assignProvidersForRequest] ⭐ Priority provider detected: Business ${business.id} (user ${business.owner.id}, tier: ${subscriptionBenefits.tier}, isFeatured: ${subscriptionBenefits.isFeatured})`);
-                        }
-                    }
-                } catch (subError) {
-                    console.error(`[assignProvidersForRequest] Error getting subscription benefits for user ${business.owner.id}:`, subError);
-                    // Continue without boost if there's an error
-                }
-
-                return {
-                    business,
-                    providerProfile,
-                    owner: business.owner,
-                    score,
-                    isPriorityProvider // Flag to prioritize Featured/Pro providers
-                };
-            })
-        );
-
-        // Filter out nulls and sort by priority first, then by score (descending)
-        // Priority: Featured providers and Pro tier subscribers get leads FIRST
-        // Then the rest are sorted by score
-        const validProviders = providersWithScores
-            .filter(p => p !== null)
-            .sort((a, b) => {
-                // First priority: Featured providers or Pro tier subscribers
-                // If one is priority and the other isn't, priority wins
-                if (a.isPriorityProvider && !b.isPriorityProvider) {
-                    return -1; // a comes first
-                }
-                if (!a.isPriorityProvider && b.isPriorityProvider) {
-                    return 1; // b comes first
-                }
-                // If both are priority or both are not, sort by score (descending)
-                return b.score - a.score;
-            });
-
-        console.log(`[assignProvidersForRequest] Found ${validProviders.length} valid providers after filtering`);
-
-        if (validProviders.length === 0) {
-            console.log(`[assignProvidersForRequest] ⚠️ No valid providers found. Reasons could be:`);
-            console.log(`   - No businesses found matching categoryId=${serviceRequest.categoryId} and zipCode=${serviceRequest.zipCode}`);
-            console.log(`   - Businesses found but owners don't have ProviderProfiles`);
-            console.log(`   - All businesses were filtered out`);
-            return { primary: null, alternatives: [] };
-        }
-
-        // Select primary (highest priority/score)
-        const primary = validProviders[0];
-        console.log(`[assignProvidersForRequest] ✅ Selected primary provider: Business ID=${primary.business.id}, Owner ID=${primary.owner.id}, Score=${primary.score}, Priority=${primary.isPriorityProvider ? 'YES (Featured/Pro)' : 'NO'}`);
-
-        // Select up to 3 alternatives (next highest priority/scores)
-        const alternatives = validProviders.slice(1, 4);
-        console.log(`[assignProvidersForRequest] Selected ${alternatives.length} alternative providers`);
+        console.log(`[assignProvidersForRequest] ✅ Strategy "${strategy.name}" (${strategy.type}) selected primary provider: Business ID=${primary.business.id}, Owner ID=${primary.owner.id}, Score=${primary.score.toFixed(2)}, Priority=${primary.isPriorityProvider ? 'YES (Featured/Pro)' : 'NO'}`);
         alternatives.forEach((alt, index) => {
-            console.log(`[assignProvidersForRequest]   Alternative ${index + 1}: Business ID=${alt.business.id}, Score=${alt.score}, Priority=${alt.isPriorityProvider ? 'YES (Featured/Pro)' : 'NO'}`);
+            console.log(`[assignProvidersForRequest]   Alternative ${index + 1}: Business ID=${alt.business.id}, Score=${alt.score.toFixed(2)}, Priority=${alt.isPriorityProvider ? 'YES (Featured/Pro)' : 'NO'}`);
         });
 
-        return { primary, alternatives };
+        return { primary, alternatives, fallbacks, strategy };
     } catch (error) {
         console.error('Error in assignProvidersForRequest:', error);
         throw error;
@@ -854,6 +655,7 @@ router.get('/my/service-requests/:id', protect, async (req, res) => {
                                 platformFeeAmount: null, // Will be calculated after payment
                                 payoutStatus: null, // No payout yet
                                 payoutProcessedAt: null,
+                                milestones: Array.isArray(pendingProposal.milestones) ? pendingProposal.milestones : [],
                                 provider: lead.provider ? {
                                     id: lead.provider.id,
                                     name: lead.provider.name || 'Provider',
@@ -944,6 +746,17 @@ router.get('/my/service-requests/:id', protect, async (req, res) => {
 
         console.log(`[Get Request Details] Found ${proposals.length} proposals for serviceRequestId=${requestId}`);
 
+        const milestonesByProposal = {};
+        if (proposals.length > 0) {
+            const proposalMilestones = await ProposalMilestone.findAll({
+                where: { proposalId: { [Op.in]: proposals.map(p => p.id) } },
+                order: [['position', 'ASC']]
+            });
+            proposalMilestones.forEach(milestone => {
+                (milestonesByProposal[milestone.proposalId] = milestonesByProposal[milestone.proposalId] || []).push(formatMilestone(milestone));
+            });
+        }
+
         // Create a set of provider user IDs that already have Proposal records
         // This helps us avoid duplicates from lead metadata
         const providersWithProposals = new Set();
@@ -994,6 +807,7 @@ router.get('/my/service-requests/:id', protect, async (req, res) => {
                 platformFeeAmount: proposal.platformFeeAmount ? parseFloat(proposal.platformFeeAmount) : null,
                 payoutStatus: proposal.payoutStatus || null,
                 payoutProcessedAt: proposal.payoutProcessedAt || null,
+                milestones: milestonesByProposal[proposal.id] || [],
                 provider: proposal.provider?.user ? {
                     id: proposal.provider.user.id,
                     name: proposal.provider.user.name || 'Provider',
@@ -1067,6 +881,17 @@ router.get('/my/service-requests/:id', protect, async (req, res) => {
             selectedBusinessIds = [];
         }
 
+        const workOrders = await WorkOrder.findAll({
+            where: { serviceRequestId: serviceRequest.id },
+            include: [{
+                model: Business,
+                as: 'business',
+                attributes: ['id', 'name', 'timezone'],
+                required: false
+            }],
+            order: [['createdAt', 'DESC']]
+        });
+
         // Format response
         const response = {
             id: serviceRequest.id,
@@ -1093,7 +918,13 @@ router.get('/my/service-requests/:id', protect, async (req, res) => {
             proposals: serviceRequestProposals,
             leads: serviceRequestLeads,
             rejectedLeads: serviceRequestLeads.filter(lead => lead.status === 'rejected'),
-            workOrders: [],
+            workOrders: workOrders.map(workOrder => ({
+                id: workOrder.id,
+                status: workOrder.status,
+                completedAt: workOrder.completedAt,
+                createdAt: workOrder.createdAt,
+                appointment: formatAppointmentResponse(workOrder, workOrder.business)
+            })),
             createdAt: serviceRequest.createdAt,
             updatedAt: serviceRequest.updatedAt
         };
@@ -1207,14 +1038,13 @@ router.patch('/my/service-requests/:id/cancel', protect, async (req, res) => {
                 // Process payout if it's pending or null (not yet processed) - even if cancelled, provider should get paid for approved work
                 if (!payoutStatus || payoutStatus === 'pending') {
                     console.log(`[Cancel Request] Processing pending payout for proposal ${acceptedProposal.id} after cancelling service request`);
-                    // Process payout asynchronously (don't block response)
-                    processProviderPayout(acceptedProposal, serviceRequest)
+                    // Queue the payout (retried by the job worker if it fails)
+                    enqueueJob('payout.process', { proposalId: acceptedProposal.id }, { idempotencyKey: `payout:${acceptedProposal.id}` })
                         .then(() => {
-                            console.log(`✅ Payout processed for proposal ${acceptedProposal.id} after service request cancelled`);
+                            console.log(`✅ Payout queued for proposal ${acceptedProposal.id} after service request cancelled`);
                         })
                         .catch(err => {
-                            // Error is already logged in processProviderPayout
-                            console.error(`[Cancel Request] Payout processing encountered an error for proposal ${acceptedProposal.id}. Check processProviderPayout logs for details.`);
+                            console.error(`[Cancel Request] Failed to queue payout for proposal ${acceptedProposal.id}:`, err.message);
                         });
                 } else if (payoutStatus === 'completed') {
                     console.log(`[Cancel Request] ✅ Proposal ${acceptedProposal.id} payout already completed (status: ${payoutStatus})`);
@@ -1410,7 +1240,8 @@ router.post('/my/service-requests/:id/proposals/:proposalId/create-payment-inten
                             // NOTE: Do NOT include lead.stripePaymentIntentId here
                             // That's for the LEAD FEE payment ($5), not the PROPOSAL payment ($33,333)
                             // Proposal payment intent will be created separately when customer pays
-                            leadId: lead.id
+                            leadId: lead.id,
+                            milestones: Array.isArray(metadata.pendingProposal.milestones) ? metadata.pendingProposal.milestones : []
                         };
                     } else {
                         return res.status(404).json({
@@ -1468,6 +1299,17 @@ router.post('/my/service-requests/:id/proposals/:proposalId/create-payment-inten
             }
         }
 
+        // Milestone proposals are paid one milestone at a time after acceptance
+        const hasMilestones = isPendingProposal
+            ? pendingProposalData.milestones.length > 0
+            : (await ProposalMilestone.count({ where: { proposalId: proposal.id } })) > 0;
+        if (hasMilestones) {
+            return res.status(400).json({
+                success: false,
+                error: 'This proposal is paid in milestones. Accept it first, then pay each milestone as it comes due.'
+            });
+        }
+
         // Check if Stripe is configured
         if (!process.env.STRIPE_SECRET_KEY) {
             return res.status(500).json({
@@ -1723,6 +1565,197 @@ router.post('/my/service-requests/:id/proposals/:proposalId/create-payment-inten
     }
 });
 
+// Milestone of the customer's accepted proposal, or null
+async function findCustomerMilestone(req) {
+    const serviceRequest = await ServiceRequest.findOne({
+        where: { id: parseInt(req.params.id) || 0, customerId: req.user.id },
+        attributes: ['id', 'projectTitle']
+    });
+
+    if (!serviceRequest) {
+        return null;
+    }
+
+    const milestone = await ProposalMilestone.findOne({
+        where: { id: parseInt(req.params.milestoneId) || 0 },
+        include: [{
+            model: Proposal,
+            as: 'proposal',
+            where: { serviceRequestId: serviceRequest.id, status: 'ACCEPTED' },
+            attributes: ['id', 'serviceRequestId', 'providerId'],
+            include: [{
+                model: ProviderProfile,
+                as: 'provider',
+                attributes: ['id', 'userId']
+            }]
+        }]
+    });
+
+    return milestone ? { serviceRequest, milestone } : null;
+}
+
+// @route   POST /api/service-requests/my/service-requests/:id/milestones/:milestoneId/create-payment-intent
+// @desc    Create (or reuse) the Stripe payment intent for one milestone of the accepted proposal
+// @access  Private (Customer)
+router.post('/my/service-requests/:id/milestones/:milestoneId/create-payment-intent', protect, async (req, res) => {
+    try {
+        const found = await findCustomerMilestone(req);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: 'Milestone not found'
+            });
+        }
+
+        const { serviceRequest, milestone } = found;
+
+        if (milestone.paymentStatus === 'succeeded') {
+            return res.status(400).json({
+                success: false,
+                error: 'This milestone has already been paid'
+            });
+        }
+
+        if (!process.env.STRIPE_SECRET_KEY) {
+            return res.status(500).json({
+                success: false,
+                error: 'Payment system not configured. Please contact support.'
+            });
+        }
+
+        const amount = parseFloat(milestone.amount);
+        const amountInCents = Math.round(amount * 100);
+
+        // Reuse an open intent for the same amount so retries don't create duplicate charges
+        if (milestone.stripePaymentIntentId) {
+            try {
+                const existing = await stripe.paymentIntents.retrieve(milestone.stripePaymentIntentId);
+                if (existing.amount === amountInCents) {
+                    if (existing.status === 'succeeded') {
+                        await recordMilestonePayment(milestone, existing);
+                        return res.json({
+                            success: true,
+                            clientSecret: existing.client_secret,
+                            amount,
+                            paymentStatus: 'succeeded',
+                            paymentIntentId: existing.id
+                        });
+                    }
+                    if (['requires_payment_method', 'requires_confirmation', 'requires_action', 'processing'].includes(existing.status)) {
+                        return res.json({
+                            success: true,
+                            clientSecret: existing.client_secret,
+                            amount,
+                            paymentStatus: existing.status,
+                            paymentIntentId: existing.id
+                        });
+                    }
+                }
+            } catch (stripeError) {
+                console.log(`[Milestone Payment] Existing payment intent check failed, creating new one:`, stripeError.message);
+            }
+        }
+
+        const paymentIntent = await stripe.paymentIntents.create({
+            amount: amountInCents,
+            currency: 'usd',
+            metadata: {
+                type: 'proposal_milestone',
+                serviceRequestId: serviceRequest.id.toString(),
+                proposalId: milestone.proposalId.toString(),
+                milestoneId: milestone.id.toString(),
+                customerId: req.user.id.toString(),
+                providerId: milestone.proposal.provider ? milestone.proposal.provider.userId.toString() : '',
+                projectTitle: serviceRequest.projectTitle
+            },
+            description: `Milestone payment: ${milestone.title} - ${serviceRequest.projectTitle}`,
+            automatic_payment_methods: {
+                enabled: true
+            }
+        });
+
+        await milestone.update({
+            stripePaymentIntentId: paymentIntent.id,
+            paymentStatus: 'pending'
+        });
+
+        res.json({
+            success: true,
+            clientSecret: paymentIntent.client_secret,
+            amount,
+            paymentStatus: paymentIntent.status,
+            paymentIntentId: paymentIntent.id
+        });
+    } catch (error) {
+        console.error('Create milestone payment intent error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to create payment intent'
+        });
+    }
+});
+
+// @route   POST /api/service-requests/my/service-requests/:id/milestones/:milestoneId/confirm-payment
+// @desc    Record a milestone payment the customer just completed (the webhook does the same, this avoids waiting for it)
+// @access  Private (Customer)
+router.post('/my/service-requests/:id/milestones/:milestoneId/confirm-payment', protect, async (req, res) => {
+    try {
+        const found = await findCustomerMilestone(req);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: 'Milestone not found'
+            });
+        }
+
+        const { serviceRequest, milestone } = found;
+        const { paymentIntentId } = req.body;
+
+        if (!paymentIntentId || paymentIntentId !== milestone.stripePaymentIntentId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment does not belong to this milestone'
+            });
+        }
+
+        const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+        if (paymentIntent.status !== 'succeeded') {
+            return res.status(400).json({
+                success: false,
+                error: `Payment has not completed (status: ${paymentIntent.status})`
+            });
+        }
+
+        const recorded = await recordMilestonePayment(milestone, paymentIntent);
+        if (recorded) {
+            logActivity({
+                type: 'milestone_paid',
+                description: `Milestone "${milestone.title}" paid for service request "${serviceRequest.projectTitle}"`,
+                userId: req.user.id,
+                metadata: {
+                    serviceRequestId: serviceRequest.id,
+                    proposalId: milestone.proposalId,
+                    milestoneId: milestone.id,
+                    amount: parseFloat(milestone.amount)
+                }
+            }).catch(err => console.error('Failed to log activity:', err));
+        }
+
+        await milestone.reload();
+        res.json({
+            success: true,
+            message: 'Milestone payment received',
+            data: formatMilestone(milestone)
+        });
+    } catch (error) {
+        console.error('Confirm milestone payment error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to confirm payment'
+        });
+    }
+});
+
 // @route   PATCH /api/service-requests/my/service-requests/:id/approve
 // @desc    Approve completed work
 // @access  Private (Customer and Provider)
@@ -1737,6 +1770,7 @@ router.patch('/my/service-requests/:id/approve', protect, async (req, res) => {
         }
 
         const requestId = parseInt(req.params.id);
+        const { milestoneId } = req.body || {};
 
         if (isNaN(requestId)) {
             return res.status(400).json({
@@ -1784,6 +1818,51 @@ router.patch('/my/service-requests/:id/approve', protect, async (req, res) => {
             });
         }
 
+        // Milestone proposals are approved - and paid out - one milestone at a time
+        const {
+            proposal: milestoneProposal,
+            milestones,
+            workOrder: milestoneWorkOrder
+        } = await loadAcceptedProposalMilestones(serviceRequest.id);
+
+        if (milestoneId !== undefined && milestoneId !== null) {
+            const milestone = milestones.find(m => m.id === parseInt(milestoneId));
+            if (!milestone) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Milestone not found'
+                });
+            }
+
+            const result = await approveMilestone(milestone, {
+                proposal: milestoneProposal,
+                serviceRequest,
+                workOrder: milestoneWorkOrder,
+                actorUserId: req.user.id
+            });
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+
+            const workCompleted = serviceRequest.status === 'COMPLETED' &&
+                milestoneWorkOrder && milestoneWorkOrder.status === 'COMPLETED';
+            if (milestones.some(m => !m.approvedAt) || !workCompleted) {
+                return res.json({
+                    success: true,
+                    message: `Milestone "${milestone.title}" approved. The provider's payout for it is on its way.`,
+                    data: {
+                        serviceRequestId: serviceRequest.id,
+                        status: serviceRequest.status,
+                        milestone: formatMilestone(milestone)
+                    }
+                });
+            }
+            // Last milestone of completed work - continue and approve the whole job
+        }
+
         // Verify service request status is 'COMPLETED'
         if (serviceRequest.status !== 'COMPLETED') {
             return res.status(400).json({
@@ -1804,11 +1883,45 @@ router.patch('/my/service-requests/:id/approve', protect, async (req, res) => {
             });
         }
 
+        // Approving the whole job approves every outstanding milestone, so they all need to be paid
+        const unpaidMilestones = milestones.filter(m => m.paymentStatus !== 'succeeded');
+        if (unpaidMilestones.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `${unpaidMilestones.length} milestone${unpaidMilestones.length === 1 ? '' : 's'} still need${unpaidMilestones.length === 1 ? 's' : ''} to be paid before the work can be approved`
+            });
+        }
+        for (const milestone of milestones.filter(m => !m.approvedAt)) {
+            const result = await approveMilestone(milestone, {
+                proposal: milestoneProposal,
+                serviceRequest,
+                workOrder: milestoneWorkOrder,
+                actorUserId: req.user.id
+            });
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    error: `${milestone.title}: ${result.error}`
+                });
+            }
+        }
+
         // Update service request status to 'APPROVED'
         await serviceRequest.update({
             status: 'APPROVED'
         });
 
+        if (serviceRequest.primaryProvider) {
+            createNotification({
+                userId: serviceRequest.primaryProvider.userId,
+                type: 'work_order_approved',
+                title: `Work approved: ${serviceRequest.projectTitle}`,
+                message: 'The customer approved your completed work.',
+                link: '/user-dashboard/work-orders',
+                metadata: { serviceRequestId: serviceRequest.id, workOrderId: workOrder.id }
+            });
+        }
+
         // Prepare response data
         const responseData = {
             success: true,
@@ -1881,7 +1994,8 @@ router.patch('/my/service-requests/:id/approve', protect, async (req, res) => {
         // Process provider payout (non-blocking)
         // Find the accepted proposal for this service request
         // Include payout fields if they exist
-        const acceptedProposal = await Proposal.findOne({
+        // Milestone payouts were queued as each milestone was approved
+        const acceptedProposal = milestones.length > 0 ? null : await Proposal.findOne({
             where: {
                 serviceRequestId: serviceRequest.id,
                 status: 'ACCEPTED',
@@ -1901,15 +2015,13 @@ router.patch('/my/service-requests/:id/approve', protect, async (req, res) => {
 
             if (shouldProcessPayout) {
                 console.log(`[Approve Work] ⚠️ Processing payout for proposal ${acceptedProposal.id} (current status: ${payoutStatus || 'null'})`);
-                // Process payout asynchronously (don't block response)
-                processProviderPayout(acceptedProposal, serviceRequest)
+                // Queue the payout (retried by the job worker if it fails)
+                enqueueJob('payout.process', { proposalId: acceptedProposal.id }, { idempotencyKey: `payout:${acceptedProposal.id}` })
                     .then(() => {
-                        console.log(`[Approve Work] ✅ Payout processed successfully for proposal ${acceptedProposal.id}`);
+                        console.log(`[Approve Work] ✅ Payout queued for proposal ${acceptedProposal.id}`);
                     })
                     .catch(err => {
-                        // Error is already logged in processProviderPayout, just log here for context
-                        console.error(`[Approve Work] ❌ Payout processing encountered an error for proposal ${acceptedProposal.id}:`, err.message);
-                        console.error(`[Approve Work] Error stack:`, err.stack);
+                        console.error(`[Approve Work] ❌ Failed to queue payout for proposal ${acceptedProposal.id}:`, err.message);
                     });
             } else if (isAlreadyCompleted) {
                 console.log(`[Approve Work] ✅ Proposal ${acceptedProposal.id} payout already completed (status: ${payoutStatus})`);
@@ -1918,7 +2030,7 @@ router.patch('/my/service-requests/:id/approve', protect, async (req, res) => {
             } else {
                 console.log(`[Approve Work] ⚠️ Proposal ${acceptedProposal.id} payout status: ${payoutStatus} (not processing - may need manual review)`);
             }
-        } else {
+        } else if (milestones.length === 0) {
             console.log(`[Approve Work] ⚠️ No accepted proposal found for service request ${serviceRequest.id}`);
         }
 
@@ -2652,23 +2764,15 @@ router.post('/my/service-requests/:id/review', protect, async (req, res) => {
 
                     // Process payout if it's pending or null (not yet processed)
                     if (!payoutStatus || payoutStatus === 'pending') {
-                        console.log(`[Review Submission] ⚠️ Processing pending payout for proposal ${acceptedProposal.id} after closing service request`);
-                        // Reload service request to get latest state (now CLOSED)
-                        const updatedServiceRequest = await ServiceRequest.findByPk(requestId);
-                        if (updatedServiceRequest) {
-                            // Process payout asynchronously (don't block response)
-                            processProviderPayout(acceptedProposal, updatedServiceRequest)
-                                .then(() => {
-                                    console.log(`[Review Submission] ✅ Payout processed successfully for proposal ${acceptedProposal.id} after service request closed`);
-                                })
-                                .catch(err => {
-                                    // Error is already logged in processProviderPayout
-                                    console.error(`[Review Submission] ❌ Payout processing encountered an error for proposal ${acceptedProposal.id}:`, err.message);
-                                    console.error(`[Review Submission] Error stack:`, err.stack);
-                                });
-                        } else {
-                            console.error(`[Review Submission] ❌ Could not reload service request ${requestId} for payout processing`);
-                        }
+                        console.log(`[Review Submission] ⚠️ Queueing pending payout for proposal ${acceptedProposal.id} after closing service request`);
+                        // Queue the payout (retried by the job worker if it fails)
+                        enqueueJob('payout.process', { proposalId: acceptedProposal.id }, { idempotencyKey: `payout:${acceptedProposal.id}` })
+                            .then(() => {
+                                console.log(`[Review Submission] ✅ Payout queued for proposal ${acceptedProposal.id} after service request closed`);
+                            })
+                            .catch(err => {
+                                console.error(`[Review Submission] ❌ Failed to queue payout for proposal ${acceptedProposal.id}:`, err.message);
+                            });
                     } else if (payoutStatus === 'completed') {
                         console.log(`[Review Submission] ✅ Proposal ${acceptedProposal.id} payout already completed (status: ${payoutStatus})`);
                     } else if (payoutStatus === 'processing') {
@@ -2713,6 +2817,14 @@ router.post('/my/service-requests/:id/review', protect, async (req, res) => {
             // Send response immediately
             res.json(responseData);
 
+            if (serviceRequest.primaryProvider && serviceRequest.primaryProvider.user) {
+                dispatchWebhookEvent(
+                    serviceRequest.primaryProvider.user.id,
+                    'review.posted',
+                    reviewWebhookData(review, { serviceRequestId: requestId })
+                );
+            }
+
             // Send email notification to provider (non-blocking)
             if (serviceRequest.primaryProvider && serviceRequest.primaryProvider.user) {
                 const provider = serviceRequest.primaryProvider.user;
@@ -2918,6 +3030,91 @@ router.get('/my/service-requests/:id/proposals/:proposalId/payment-status', prot
     }
 });
 
+// @route   GET /api/service-requests/my/service-requests/:id/proposals/:proposalId/slots
+// @desc    Open appointment slots on the proposing provider's calendar (pick one when accepting)
+// @access  Private (Customer)
+router.get('/my/service-requests/:id/proposals/:proposalId/slots', protect, async (req, res) => {
+    try {
+        const requestId = parseInt(req.params.id);
+        const proposalIdParam = req.params.proposalId;
+
+        const serviceRequest = await ServiceRequest.findOne({
+            where: { id: requestId || 0, customerId: req.user.id },
+            attributes: ['id']
+        });
+
+        if (!serviceRequest) {
+            return res.status(404).json({
+                success: false,
+                error: 'Service request not found'
+            });
+        }
+
+        // Proposals that are still on the lead use the id "pending-{leadId}"
+        let providerUserId = null;
+        if (proposalIdParam.startsWith('pending-')) {
+            const lead = await Lead.findByPk(parseInt(proposalIdParam.replace('pending-', '')) || 0, {
+                attributes: ['id', 'providerId', 'metadata']
+            });
+            let metadata = null;
+            try {
+                metadata = lead && lead.metadata
+                    ? (typeof lead.metadata === 'string' ? JSON.parse(lead.metadata) : lead.metadata)
+                    : null;
+            } catch (e) {
+                metadata = null;
+            }
+            if (metadata && metadata.serviceRequestId === requestId) {
+                providerUserId = lead.providerId;
+            }
+        } else {
+            const proposal = await Proposal.findOne({
+                where: { id: parseInt(proposalIdParam) || 0, serviceRequestId: requestId },
+                attributes: ['id', 'providerId'],
+                include: [{ model: ProviderProfile, as: 'provider', attributes: ['id', 'userId'] }]
+            });
+            providerUserId = proposal?.provider?.userId || null;
+        }
+
+        if (!providerUserId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Proposal not found'
+            });
+        }
+
+        const business = await resolveProviderBusiness(requestId, providerUserId);
+        if (!business) {
+            return res.json({
+                success: true,
+                data: { businessId: null, businessName: null, timezone: null, durationMinutes: null, slots: [] }
+            });
+        }
+
+        const { timezone, durationMinutes, slots } = await getAvailableSlots(business, {
+            from: req.query.from,
+            days: req.query.days
+        });
+
+        res.json({
+            success: true,
+            data: {
+                businessId: business.id,
+                businessName: business.name,
+                timezone,
+                durationMinutes,
+                slots
+            }
+        });
+    } catch (error) {
+        console.error('Get proposal slots error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
 // @route   POST /api/service-requests/my/service-requests/:id/proposals/:proposalId/accept
 // @desc    Accept proposal after payment verification
 // @access  Private (Customer and Provider)
@@ -2933,7 +3130,7 @@ router.post('/my/service-requests/:id/proposals/:proposalId/accept', protect, as
 
         const requestId = parseInt(req.params.id);
         const proposalIdParam = req.params.proposalId;
-        const { paymentIntentId } = req.body;
+        const { paymentIntentId, appointmentStart } = req.body;
 
         if (isNaN(requestId)) {
             return res.status(400).json({
@@ -3206,6 +3403,8 @@ router.post('/my/service-requests/:id/proposals/:proposalId/accept', protect, as
 
                     console.log(`[Accept Proposal] Created proposal ${proposal.id} from pending lead ${leadId} with paymentStatus=${paymentIntentId && paymentIntent ? (paymentIntent.status === 'succeeded' ? 'succeeded' : 'pending') : 'no payment'}`);
 
+                    await createProposalMilestones(proposal.id, pendingProposalMilestones(lead), { transaction });
+
                     console.log(`✅ Created proposal ${proposal.id} from pending lead ${leadId}`);
                 }
 
@@ -3276,6 +3475,21 @@ router.post('/my/service-requests/:id/proposals/:proposalId/accept', protect, as
                 });
             }
 
+            // Appointment slot is optional; when chosen it must still be open on the provider's calendar
+            let booking = null;
+            if (appointmentStart) {
+                booking = await reserveSlot(requestId, providerProfile.userId, appointmentStart, { transaction });
+                if (!booking.slot) {
+                    await transaction.rollback();
+                    return res.status(409).json({
+                        success: false,
+                        error: booking.business
+                            ? 'That appointment time is no longer available. Please pick another slot.'
+                            : 'This provider has no booking calendar yet. Accept without choosing a time.'
+                    });
+                }
+            }
+
             // Update proposal - payment is optional
             const updateData = {
                 status: 'ACCEPTED'
@@ -3342,12 +3556,39 @@ router.post('/my/service-requests/:id/proposals/:proposalId/accept', protect, as
             const workOrder = await WorkOrder.create({
                 serviceRequestId: requestId,
                 providerId: providerProfile.id,
-                status: 'IN_PROGRESS'
+                status: 'IN_PROGRESS',
+                ...(booking ? {
+                    businessId: booking.business.id,
+                    scheduledStart: booking.slot.start,
+                    scheduledEnd: booking.slot.end,
+                    appointmentStatus: 'scheduled'
+                } : {})
             }, { transaction });
 
             // Commit transaction IMMEDIATELY
             await transaction.commit();
 
+            createNotification({
+                userId: providerProfile.userId,
+                type: 'proposal_accepted',
+                title: `Proposal accepted: ${serviceRequest.projectTitle}`,
+                message: booking
+                    ? `The customer accepted your proposal and booked ${formatAppointment(booking.slot.start, booking.business.timezone)}.`
+                    : 'The customer accepted your proposal. A work order has been created.',
+                link: '/user-dashboard/work-orders',
+                metadata: { serviceRequestId: requestId, proposalId, workOrderId: workOrder.id }
+            });
+            dispatchWebhookEvent(providerProfile.userId, 'proposal.accepted', {
+                proposal: { id: proposalId, serviceRequestId: requestId },
+                serviceRequest: {
+                    id: serviceRequest.id,
+                    projectTitle: serviceRequest.projectTitle,
+                    zipCode: serviceRequest.zipCode
+                },
+                workOrderId: workOrder.id,
+                appointment: booking ? { start: booking.slot.start, end: booking.slot.end } : null
+            });
+
             // Get category info for email (after transaction)
             const category = await Category.findByPk(serviceRequest.categoryId, {
                 attributes: ['id', 'name']
@@ -3360,7 +3601,8 @@ router.post('/my/service-requests/:id/proposals/:proposalId/accept', protect, as
                 data: {
                     proposalId: proposalId,
                     workOrderId: workOrder.id,
-                    serviceRequestStatus: 'IN_PROGRESS'
+                    serviceRequestStatus: 'IN_PROGRESS',
+                    appointment: formatAppointmentResponse(workOrder, booking ? booking.business : null)
                 }
             };
 
@@ -3559,6 +3801,127 @@ router.post('/my/service-requests/:id/proposals/:proposalId/accept', protect, as
     }
 });
 
+/**
+ * Find the customer's open work order for a service request
+ * @param {Object} req - Express request (uses req.params.id and req.user)
+ * @returns {Promise<Object|null>} WorkOrder instance
+ */
+async function findCustomerWorkOrder(req) {
+    const serviceRequest = await ServiceRequest.findOne({
+        where: { id: parseInt(req.params.id) || 0, customerId: req.user.id },
+        attributes: ['id']
+    });
+
+    if (!serviceRequest) {
+        return null;
+    }
+
+    return WorkOrder.findOne({
+        where: { serviceRequestId: serviceRequest.id, status: 'IN_PROGRESS' },
+        order: [['createdAt', 'DESC']]
+    });
+}
+
+// @route   GET /api/service-requests/my/service-requests/:id/appointment/slots
+// @desc    Open slots for rescheduling the appointment on a service request
+// @access  Private (Customer)
+router.get('/my/service-requests/:id/appointment/slots', protect, async (req, res) => {
+    try {
+        const workOrder = await findCustomerWorkOrder(req);
+        if (!workOrder) {
+            return res.status(404).json({
+                success: false,
+                error: 'No active work order for this request'
+            });
+        }
+
+        const providerProfile = await ProviderProfile.findByPk(workOrder.providerId, { attributes: ['id', 'userId'] });
+        const business = workOrder.businessId
+            ? await Business.findByPk(workOrder.businessId)
+            : await resolveProviderBusiness(workOrder.serviceRequestId, providerProfile?.userId);
+
+        if (!business) {
+            return res.json({
+                success: true,
+                data: { businessId: null, businessName: null, timezone: null, durationMinutes: null, slots: [] }
+            });
+        }
+
+        const { timezone, durationMinutes, slots } = await getAvailableSlots(business, {
+            from: req.query.from,
+            days: req.query.days,
+            excludeWorkOrderId: workOrder.id
+        });
+
+        res.json({
+            success: true,
+            data: {
+                businessId: business.id,
+                businessName: business.name,
+                timezone,
+                durationMinutes,
+                slots
+            }
+        });
+    } catch (error) {
+        console.error('Get appointment slots error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
+// @route   PATCH /api/service-requests/my/service-requests/:id/appointment
+// @desc    Reschedule (or book) or cancel the appointment on a service request
+// @access  Private (Customer)
+router.patch('/my/service-requests/:id/appointment', protect, async (req, res) => {
+    try {
+        const { start, reason, action } = req.body;
+
+        const workOrder = await findCustomerWorkOrder(req);
+        if (!workOrder) {
+            return res.status(404).json({
+                success: false,
+                error: 'No active work order for this request'
+            });
+        }
+
+        const result = await changeAppointment(workOrder.id, {
+            action: action === 'cancel' ? 'cancel' : 'reschedule',
+            start,
+            reason: reason ? String(reason).slice(0, 500) : null,
+            actorUserId: req.user.id
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        logActivity({
+            type: `appointment_${result.workOrder.appointmentStatus}`,
+            description: `Customer ${result.workOrder.appointmentStatus} appointment for service request #${workOrder.serviceRequestId}`,
+            userId: req.user.id,
+            metadata: { workOrderId: workOrder.id, scheduledStart: result.workOrder.scheduledStart }
+        });
+
+        res.json({
+            success: true,
+            message: action === 'cancel' ? 'Appointment cancelled' : 'Appointment updated',
+            data: formatAppointmentResponse(result.workOrder)
+        });
+    } catch (error) {
+        console.error('Update appointment error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Server error'
+        });
+    }
+});
+
 // @route   PATCH /api/service-requests/my/service-requests/:id/proposals/:proposalId/reject
 // @desc    Reject a proposal (no payment required)
 // @access  Private (Customer and Provider)
@@ -3943,6 +4306,17 @@ router.patch('/my/service-requests/:id/proposals/:proposalId/reject', protect, a
             }
         }
 
+        if (providerUser) {
+            createNotification({
+                userId: providerUser.id,
+                type: 'proposal_rejected',
+                title: `Proposal declined: ${serviceRequest.projectTitle}`,
+                message: 'The customer declined your proposal.',
+                link: '/user-dashboard/leads',
+                metadata: { serviceRequestId: serviceRequest.id, proposalId: proposalId || `pending-${leadId}` }
+            });
+        }
+
         // Get customer info for email
         const customer = await User.findByPk(req.user.id);
 
@@ -4181,7 +4555,7 @@ router.post('/:id/proposals', protect, async (req, res) => {
         }
 
         // Validate proposal data
-        const { details, price } = req.body;
+        const { details, price, milestones } = req.body;
 
         if (!details || !details.trim()) {
             return res.status(400).json({
@@ -4197,6 +4571,14 @@ router.post('/:id/proposals', protect, async (req, res) => {
             });
         }
 
+        const milestoneCheck = normalizeMilestones(milestones, parseFloat(price));
+        if (milestoneCheck.error) {
+            return res.status(400).json({
+                success: false,
+                error: milestoneCheck.error
+            });
+        }
+
         // Check if proposal already exists for this provider and service request
         const existingProposal = await Proposal.findOne({
             where: {
@@ -4221,6 +4603,7 @@ router.post('/:id/proposals', protect, async (req, res) => {
             price: parseFloat(price),
             status: 'SENT'
         });
+        const createdMilestones = await createProposalMilestones(proposal.id, milestoneCheck.milestones);
 
         // Get provider info for email
         const provider = await User.findByPk(req.user.id, {
@@ -4298,7 +4681,8 @@ router.post('/:id/proposals', protect, async (req, res) => {
                 proposalId: proposal.id,
                 serviceRequestId: requestId,
                 price: proposal.price,
-                status: proposal.status
+                status: proposal.status,
+                milestones: createdMilestones.map(formatMilestone)
             }
         });
     } catch (error) {
@@ -4426,6 +4810,13 @@ router.get('/:id/proposals', protect, async (req, res) => {
             throw error;
         });
 
+        const proposalMilestones = proposals.length > 0
+            ? await ProposalMilestone.findAll({
+                where: { proposalId: { [Op.in]: proposals.map(p => p.id) } },
+                order: [['position', 'ASC']]
+            })
+            : [];
+
         // Only show provider contact info if proposal is ACCEPTED
         const formattedProposals = proposals.map(proposal => {
             const isAccepted = (proposal.status || 'SENT') === 'ACCEPTED';
@@ -4440,6 +4831,7 @@ router.get('/:id/proposals', protect, async (req, res) => {
             platformFeeAmount: proposal.platformFeeAmount ? parseFloat(proposal.platformFeeAmount) : null,
             payoutStatus: proposal.payoutStatus || null,
             payoutProcessedAt: proposal.payoutProcessedAt || null,
+            milestones: proposalMilestones.filter(m => m.proposalId === proposal.id).map(formatMilestone),
             provider: proposal.provider?.user ? {
                 id: proposal.provider.user.id,
                 name: proposal.provider.user.firstName && proposal.provider.user.lastName
@@ -4468,10 +4860,9 @@ router.get('/:id/proposals', protect, async (req, res) => {
     }
 });
 
-// @route   POST /api/service-requests
-// @desc    Create a new service request
-// @access  Private (Customer only)
-router.post('/', protect, async (req, res) => {
+// Create a service request for req.user. Also used by the public API (routes/public-api.js),
+// which sets req.user to the API key's owner.
+const createServiceRequest = async (req, res) => {
     try {
         // Validate required fields
         if (!req.body.categoryId || !req.body.projectTitle || !req.body.projectDescription || !req.body.zipCode) {
@@ -4577,12 +4968,15 @@ router.post('/', protect, async (req, res) => {
         // Assign providers using matching logic
         let primary = null;
         let alternatives = [];
+        let fallbacks = [];
         let primaryLead = null;
 
         try {
             const result = await assignProvidersForRequest(serviceRequest.id);
             primary = result.primary;
             alternatives = result.alternatives || [];
+            fallbacks = result.fallbacks || alternatives;
+            const isExclusive = result.strategy && result.strategy.type === 'exclusive';
 
             // Get customer info for lead creation
             const customer = await User.findByPk(req.user.id, {
@@ -4629,7 +5023,8 @@ router.post('/', protect, async (req, res) => {
             
             // Also check if there are selected businesses that weren't in primary/alternatives
             // This handles cases where businesses were selected but didn't match ranking criteria
-            if (serviceRequest.selectedBusinessIds && Array.isArray(serviceRequest.selectedBusinessIds) && serviceRequest.selectedBusinessIds.length > 0) {
+            // Exclusive routing sends the lead to the primary provider only
+            if (!isExclusive && serviceRequest.selectedBusinessIds && Array.isArray(serviceRequest.selectedBusinessIds) && serviceRequest.selectedBusinessIds.length > 0) {
                 const selectedBusinessIds = serviceRequest.selectedBusinessIds;
                 const existingBusinessIds = businessesToCreateLeadsFor.map(b => b.business.id);
                 const missingBusinessIds = selectedBusinessIds.filter(id => !existingBusinessIds.includes(id));
@@ -4732,6 +5127,16 @@ router.post('/', protect, async (req, res) => {
 
                     console.log(`✅ Lead created successfully: ID=${lead.id}, businessId=${providerData.business.id}, providerId=${providerData.owner.id}, isPrimary=${providerData.isPrimary}`);
                     createdLeads.push(lead);
+
+                    createNotification({
+                        userId: providerData.owner.id,
+                        type: 'lead_routed',
+                        title: `New lead: ${serviceRequest.projectTitle}`,
+                        message: `A ${categoryName} request in ${serviceRequest.zipCode} was sent to you.`,
+                        link: '/user-dashboard/leads',
+                        metadata: { leadId: lead.id, serviceRequestId: serviceRequest.id }
+                    });
+                    dispatchWebhookEvent(providerData.owner.id, 'lead.routed', leadWebhookData(lead));
                     
                     // Track primary lead
                     if (providerData.isPrimary) {
@@ -4768,9 +5173,9 @@ router.post('/', protect, async (req, res) => {
                 console.log(`✅ Successfully created ${createdLeads.length} lead(s) for service request ${serviceRequest.id}`);
             }
 
-            // Create AlternativeProviderSelection entries for alternatives
-            if (alternatives && alternatives.length > 0) {
-                const alternativePromises = alternatives.map((alt, index) => {
+            // Create AlternativeProviderSelection entries for the strategy's fallback providers
+            if (fallbacks && fallbacks.length > 0) {
+                const alternativePromises = fallbacks.slice(0, 3).map((alt, index) => {
                     if (!alt || !alt.business || !alt.owner) return null;
 
                     return AlternativeProviderSelection.create({
@@ -4783,6 +5188,23 @@ router.post('/', protect, async (req, res) => {
                 await Promise.all(alternativePromises.filter(p => p !== null));
             }
 
+            // Fallbacks that didn't get a lead yet receive it if the primary hasn't accepted in time
+            const pendingFallbackIds = fallbacks
+                .map(fallback => fallback.business.id)
+                .filter(id => !createdLeads.some(lead => lead.businessId === id));
+            if (primaryLead && pendingFallbackIds.length > 0) {
+                enqueueJob('lead.priority_expired', {
+                    serviceRequestId: serviceRequest.id,
+                    leadId: primaryLead.id,
+                    fallbackBusinessIds: pendingFallbackIds
+                }, {
+                    delayMs: LEAD_PRIORITY_WINDOW_HOURS * 60 * 60 * 1000,
+                    idempotencyKey: `lead-priority:${primaryLead.id}`
+                }).catch(err => {
+                    console.error(`[Lead Creation] Failed to schedule fallback assignment for lead ${primaryLead.id}:`, err.message);
+                });
+            }
+
             // Update service request status to LEAD_ASSIGNED if primary was assigned
             if (primaryLead) {
                 await ServiceRequest.update(
@@ -5033,7 +5455,12 @@ router.post('/', protect, async (req, res) => {
             error: error.message || 'Failed to create service request'
         });
     }
-});
+};
+
+// @route   POST /api/service-requests
+// @desc    Create a new service request
+// @access  Private (Customer only)
+router.post('/', protect, createServiceRequest);
 
 // @route   PUT /api/service-requests/:id
 // @desc    Update service request
@@ -5086,8 +5513,9 @@ router.put('/:id', protect, async (req, res) => {
     }
 });
 
-// Export assignProvidersForRequest function for use in admin routes
+// Export assignProvidersForRequest for admin routes and createServiceRequest for the public API
 module.exports = router;
 module.exports.assignProvidersForRequest = assignProvidersForRequest;
+module.exports.createServiceRequest = createServiceRequest;
 
 
@@ -1,10 +1,66 @@
 const express = require('express');
 const router = express.Router();
-const { SubscriptionPlan, UserSubscription, User, Business } = require('../models');
+const { SubscriptionPlan, UserSubscription, SubscriptionInvoice, User, Business } = require('../models');
 const { protect, authorize } = require('../middleware/auth');
-const stripe = require('../config/stripe');
 const getSubscriptionBenefits = require('../utils/getSubscriptionBenefits');
 const getMonthlyServiceRequestCount = require('../utils/getMonthlyServiceRequestCount');
+const {
+  quotePlanChange,
+  applyPaidInvoice,
+  startCheckout,
+  startInvoicePayment,
+  completeCheckout,
+  changePlan,
+  cancelSubscription,
+  resumeSubscription,
+  retryInvoicePayment
+} = require('../utils/subscriptionBilling');
+
+const PLAN_ATTRIBUTES = [
+  'id',
+  'name',
+  'tier',
+  'price',
+  'billingCycle',
+  'description',
+  'features',
+  'leadDiscountPercent',
+  'priorityBoostPoints',
+  'isFeatured',
+  'hasAdvancedAnalytics'
+];
+
+// Active plan by ID (explicit attributes avoid missing-column errors before migrations run)
+function findActivePlan(subscriptionPlanId) {
+  return SubscriptionPlan.findOne({
+    where: { id: subscriptionPlanId, isActive: true },
+    attributes: PLAN_ATTRIBUTES
+  });
+}
+
+// Subscription with its plan for responses; falls back when maxLeadsPerMonth hasn't been migrated
+async function loadSubscriptionWithPlan(userId) {
+  try {
+    return await UserSubscription.findOne({
+      where: { userId },
+      include: [{ model: SubscriptionPlan, as: 'plan', attributes: [...PLAN_ATTRIBUTES, 'maxLeadsPerMonth'] }]
+    });
+  } catch (dbError) {
+    if (!dbError.message || !dbError.message.includes('Unknown column')) {
+      throw dbError;
+    }
+    const subscription = await UserSubscription.findOne({
+      where: { userId },
+      include: [{ model: SubscriptionPlan, as: 'plan', attributes: PLAN_ATTRIBUTES }]
+    });
+    if (subscription && subscription.plan) {
+      const planData = subscription.plan.toJSON();
+      planData.maxLeadsPerMonth = planData.tier === 'PRO' ? null : planData.tier === 'PREMIUM' ? 30 : 10;
+      subscription.plan = planData;
+    }
+    return subscription;
+  }
+}
 
 // @route   GET /api/subscriptions/plans
 // @desc    Get all active subscription plans (for business owners only)
@@ -140,23 +196,19 @@ router.get('/my-subscription', protect, async (req, res) => {
       }
     }
 
-    // Check if subscription has expired based on currentPeriodEnd (using UTC time)
-    if (subscription && subscription.status === 'ACTIVE' && subscription.currentPeriodEnd) {
-      const now = new Date();
-      const periodEnd = new Date(subscription.currentPeriodEnd);
-      
-      // Compare dates in UTC to avoid timezone issues
-      if (periodEnd < now) {
-        // Subscription has expired - update status
-        await subscription.update({ status: 'EXPIRED' });
-        subscription.status = 'EXPIRED';
-        console.log(`[my-subscription] Updated subscription ${subscription.id} to EXPIRED (period ended: ${periodEnd.toISOString()})`);
-      }
+    // Renewals and expiry are handled by the subscriptions.sweep job; surface an unpaid renewal
+    let openInvoice = null;
+    if (subscription && subscription.status === 'PAST_DUE') {
+      openInvoice = await SubscriptionInvoice.findOne({
+        where: { userSubscriptionId: subscription.id, status: 'open', reason: 'renewal' },
+        order: [['createdAt', 'DESC']]
+      });
     }
 
     res.json({
       success: true,
-      subscription: subscription || null
+      subscription: subscription || null,
+      openInvoice
     });
   } catch (error) {
     console.error('Get my subscription error:', error);
@@ -226,8 +278,8 @@ router.get('/debug-benefits', protect, async (req, res) => {
     const benefits = await getSubscriptionBenefits(req.user.id);
 
     // Calculate example lead costs
-    const baseLeadCost = getLeadCost(null);
-    const discountedLeadCost = getLeadCostWithDiscount(null, benefits);
+    const baseLeadCost = await getLeadCost(null);
+    const discountedLeadCost = await getLeadCostWithDiscount(null, benefits);
 
     const debugInfo = {
       userId: req.user.id,
@@ -271,98 +323,75 @@ router.get('/debug-benefits', protect, async (req, res) => {
 });
 
 // @route   POST /api/subscriptions/create-payment-intent
-// @desc    Create payment intent for subscription
+// @desc    Start a card payment for a plan (new subscription, reactivation or a prorated
+//          plan change without a saved card), or for an unpaid renewal invoice (invoiceId)
 // @access  Private (Business owner only)
 router.post('/create-payment-intent', protect, async (req, res) => {
   try {
-    const { subscriptionPlanId } = req.body;
+    const { subscriptionPlanId, invoiceId } = req.body;
 
-    if (!subscriptionPlanId) {
+    if (!subscriptionPlanId && !invoiceId) {
       return res.status(400).json({
         success: false,
         error: 'Subscription plan ID is required'
       });
     }
 
-    // Verify plan exists (handle possible missing columns like maxLeadsPerMonth by using explicit attributes)
-    const plan = await SubscriptionPlan.findOne({
-      where: {
-        id: subscriptionPlanId,
-        isActive: true
-      },
-      attributes: [
-        'id',
-        'name',
-        'tier',
-        'price',
-        'billingCycle',
-        'description',
-        'features',
-        'leadDiscountPercent',
-        'priorityBoostPoints',
-        'isFeatured',
-        'hasAdvancedAnalytics'
-      ]
-    });
-
-    if (!plan) {
+    // Get user information
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
       return res.status(404).json({
         success: false,
-        error: 'Subscription plan not found'
+        error: 'User not found'
       });
     }
 
-    // Skip payment for free plans
-    const planPrice = parseFloat(plan.price || 0);
-    if (planPrice === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Free plans do not require payment'
-      });
+    let result;
+    if (invoiceId) {
+      result = await startInvoicePayment(user, parseInt(invoiceId));
+    } else {
+      const plan = await findActivePlan(subscriptionPlanId);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          error: 'Subscription plan not found'
+        });
+      }
+
+      // Skip payment for free plans
+      if (parseFloat(plan.price || 0) === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Free plans do not require payment'
+        });
+      }
+
+      result = await startCheckout(user, plan);
     }
 
-    // Check if Stripe is configured
-    if (!process.env.STRIPE_SECRET_KEY) {
-      return res.status(500).json({
+    if (result.error) {
+      return res.status(result.status || 400).json({
         success: false,
-        error: 'Payment processing is not configured'
+        error: result.error
       });
     }
 
-    // Get user information
-    const user = await User.findByPk(req.user.id);
-    if (!user) {
-      return res.status(404).json({
+    // A downgrade covered by credit - switch with /change-plan instead
+    if (!result.payment) {
+      return res.status(400).json({
         success: false,
-        error: 'User not found'
+        error: 'No payment is due for this plan change',
+        quote: result.quote
       });
     }
 
-    // Calculate amount in cents
-    const amountInCents = Math.round(planPrice * 100);
-
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
-      currency: 'usd',
-      metadata: {
-        type: 'subscription',
-        userId: req.user.id.toString(),
-        subscriptionPlanId: subscriptionPlanId.toString(),
-        planName: plan.name,
-        planTier: plan.tier || '',
-        billingCycle: plan.billingCycle || 'MONTHLY'
-      },
-      description: `Subscription payment for ${plan.name}`,
-      automatic_payment_methods: {
-        enabled: true
-      }
-    });
-
     res.json({
       success: true,
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
+      clientSecret: result.payment.clientSecret,
+      paymentIntentId: result.payment.id,
+      invoiceId: result.invoice.id,
+      amountDue: parseFloat(result.invoice.amount),
+      quote: result.quote || null
     });
   } catch (error) {
     console.error('Create payment intent error:', error);
@@ -374,40 +403,83 @@ router.post('/create-payment-intent', protect, async (req, res) => {
 });
 
 // @route   POST /api/subscriptions/subscribe
-// @desc    Subscribe user to a plan after payment
+// @desc    Activate the plan (or settle the invoice) a checkout payment was for; free plans need no payment
 // @access  Private (Business owner only)
 router.post('/subscribe', protect, async (req, res) => {
   try {
     const { subscriptionPlanId, paymentIntentId } = req.body;
 
-    if (!subscriptionPlanId) {
+    if (!subscriptionPlanId && !paymentIntentId) {
       return res.status(400).json({
         success: false,
         error: 'Subscription plan ID is required'
       });
     }
 
-    // Verify plan exists (use explicit attributes to avoid missing-column errors)
-    const plan = await SubscriptionPlan.findOne({
-      where: {
-        id: subscriptionPlanId,
-        isActive: true
-      },
-      attributes: [
-        'id',
-        'name',
-        'tier',
-        'price',
-        'billingCycle',
-        'description',
-        'features',
-        'leadDiscountPercent',
-        'priorityBoostPoints',
-        'isFeatured',
-        'hasAdvancedAnalytics'
-      ]
+    let result;
+    if (paymentIntentId) {
+      try {
+        result = await completeCheckout(req.user, paymentIntentId, { subscriptionPlanId });
+      } catch (providerError) {
+        console.error('Subscription payment verification error:', providerError);
+        return res.status(400).json({
+          success: false,
+          error: 'Payment verification failed'
+        });
+      }
+    } else {
+      const plan = await findActivePlan(subscriptionPlanId);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          error: 'Subscription plan not found'
+        });
+      }
+      if (parseFloat(plan.price || 0) > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Payment intent ID is required for paid plans'
+        });
+      }
+
+      const user = await User.findByPk(req.user.id);
+      result = await startCheckout(user, plan);
+      if (!result.error) {
+        result = await applyPaidInvoice(result.invoice.id);
+      }
+    }
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const subscription = await loadSubscriptionWithPlan(req.user.id);
+    const created = result.invoice.reason === 'subscribe';
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Subscription created successfully' : 'Subscription updated successfully',
+      subscription
     });
+  } catch (error) {
+    console.error('Subscribe error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
 
+// @route   GET /api/subscriptions/change-plan/preview
+// @desc    Prorated price of switching to another plan
+// @access  Private (Business owner only)
+// @query   subscriptionPlanId - Plan to switch to
+router.get('/change-plan/preview', protect, async (req, res) => {
+  try {
+    const plan = await findActivePlan(req.query.subscriptionPlanId);
     if (!plan) {
       return res.status(404).json({
         success: false,
@@ -415,230 +487,154 @@ router.post('/subscribe', protect, async (req, res) => {
       });
     }
 
-    const planPrice = parseFloat(plan.price || 0);
+    const subscription = await UserSubscription.findOne({
+      where: { userId: req.user.id },
+      include: [{ model: SubscriptionPlan, as: 'plan', attributes: PLAN_ATTRIBUTES }]
+    });
+    const quote = quotePlanChange(subscription, plan);
+    const canChangeNow = !!subscription && subscription.status === 'ACTIVE';
 
-    // For paid plans, verify payment
-    if (planPrice > 0) {
-      if (!paymentIntentId) {
-        return res.status(400).json({
-          success: false,
-          error: 'Payment intent ID is required for paid plans'
-        });
-      }
+    res.json({
+      success: true,
+      quote,
+      hasSavedPaymentMethod: !!(subscription && subscription.paymentMethodId),
+      // Otherwise the change goes through the card checkout
+      canChangeNow: canChangeNow && (quote.amountDue === 0 || !!subscription.paymentMethodId)
+    });
+  } catch (error) {
+    console.error('Preview plan change error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
 
-      // Verify payment intent with Stripe
-      try {
-        const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-
-        // Verify payment succeeded
-        if (paymentIntent.status !== 'succeeded') {
-          return res.status(400).json({
-            success: false,
-            error: `Payment not completed. Status: ${paymentIntent.status}`
-          });
-        }
+// @route   POST /api/subscriptions/change-plan
+// @desc    Upgrade (charges the saved card for the prorated difference) or downgrade
+//          (unused time becomes credit on the next invoice)
+// @access  Private (Business owner only)
+router.post('/change-plan', protect, async (req, res) => {
+  try {
+    const { subscriptionPlanId } = req.body;
 
-        // Verify metadata matches
-        if (paymentIntent.metadata.userId !== req.user.id.toString() ||
-          paymentIntent.metadata.subscriptionPlanId !== subscriptionPlanId.toString()) {
-          return res.status(400).json({
-            success: false,
-            error: 'Payment intent does not match subscription request'
-          });
-        }
+    if (!subscriptionPlanId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Subscription plan ID is required'
+      });
+    }
 
-        // Verify amount matches
-        const expectedAmount = Math.round(planPrice * 100);
-        if (paymentIntent.amount !== expectedAmount) {
-          return res.status(400).json({
-            success: false,
-            error: 'Payment amount does not match plan price'
-          });
-        }
-      } catch (stripeError) {
-        console.error('Stripe payment verification error:', stripeError);
-        return res.status(400).json({
-          success: false,
-          error: 'Payment verification failed'
-        });
-      }
+    const plan = await findActivePlan(subscriptionPlanId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscription plan not found'
+      });
     }
 
-    // Check if user already has a subscription
-    const existingSubscription = await UserSubscription.findOne({
-      where: { userId: req.user.id }
+    const result = await changePlan(req.user.id, plan);
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        error: result.error,
+        requiresPayment: !!result.requiresPayment,
+        quote: result.quote || null
+      });
+    }
+
+    const subscription = await loadSubscriptionWithPlan(req.user.id);
+
+    res.json({
+      success: true,
+      message: result.status === 'processing'
+        ? 'Your payment is processing. The new plan applies once it clears.'
+        : `You're now on ${plan.name}`,
+      processing: result.status === 'processing',
+      quote: result.quote,
+      subscription
     });
+  } catch (error) {
+    console.error('Change plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+});
 
-    if (existingSubscription) {
-      // Update existing subscription
-      await existingSubscription.update({
-        subscriptionPlanId,
-        status: 'ACTIVE',
-        currentPeriodStart: new Date(),
-        currentPeriodEnd: plan.billingCycle === 'MONTHLY'
-          ? new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-          : new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
-        cancelledAt: null
-      });
+// @route   GET /api/subscriptions/invoices
+// @desc    Billing history for the current user
+// @access  Private
+router.get('/invoices', protect, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { count, rows } = await SubscriptionInvoice.findAndCountAll({
+      where: { userId: req.user.id },
+      include: [{ model: SubscriptionPlan, as: 'plan', attributes: ['id', 'name', 'tier', 'billingCycle'] }],
+      attributes: { exclude: ['idempotencyKey'] },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
 
-      let updatedSubscription;
-      try {
-        updatedSubscription = await UserSubscription.findByPk(existingSubscription.id, {
-          include: [
-            {
-              model: SubscriptionPlan,
-              as: 'plan',
-              attributes: [
-                'id',
-                'name',
-                'tier',
-                'price',
-                'billingCycle',
-                'description',
-                'features',
-                'leadDiscountPercent',
-                'priorityBoostPoints',
-                'isFeatured',
-                'hasAdvancedAnalytics',
-                'maxLeadsPerMonth'
-              ]
-            }
-          ]
-        });
-      } catch (dbError) {
-        // Handle case where maxLeadsPerMonth column does not exist yet
-        if (dbError.message && dbError.message.includes('Unknown column')) {
-          console.log('Migration not run yet, using explicit attributes for subscription plan in subscribe (update)...');
-          updatedSubscription = await UserSubscription.findByPk(existingSubscription.id, {
-            include: [
-              {
-                model: SubscriptionPlan,
-                as: 'plan',
-                attributes: [
-                  'id',
-                  'name',
-                  'tier',
-                  'price',
-                  'billingCycle',
-                  'description',
-                  'features',
-                  'leadDiscountPercent',
-                  'priorityBoostPoints',
-                  'isFeatured',
-                  'hasAdvancedAnalytics'
-                ]
-              }
-            ]
-          });
-          if (updatedSubscription && updatedSubscription.plan) {
-            const planData = updatedSubscription.plan.toJSON();
-            if (planData.tier === 'BASIC') {
-              planData.maxLeadsPerMonth = 10;
-            } else if (planData.tier === 'PREMIUM') {
-              planData.maxLeadsPerMonth = 30;
-            } else if (planData.tier === 'PRO') {
-              planData.maxLeadsPerMonth = null;
-            } else {
-              planData.maxLeadsPerMonth = 10;
-            }
-            updatedSubscription.plan = planData;
-          }
-        } else {
-          throw dbError;
-        }
+    res.json({
+      success: true,
+      invoices: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
       }
+    });
+  } catch (error) {
+    console.error('Get subscription invoices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
 
-      return res.json({
-        success: true,
-        message: 'Subscription updated successfully',
-        subscription: updatedSubscription
-      });
-    } else {
-      // Create new subscription
-      const subscription = await UserSubscription.create({
-        userId: req.user.id,
-        subscriptionPlanId,
-        status: 'ACTIVE',
-        currentPeriodStart: new Date(),
-        currentPeriodEnd: plan.billingCycle === 'MONTHLY'
-          ? new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-          : new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)
+// @route   POST /api/subscriptions/invoices/:id/retry
+// @desc    Retry an unpaid renewal on the saved card now
+// @access  Private
+router.post('/invoices/:id/retry', protect, async (req, res) => {
+  try {
+    const invoice = await SubscriptionInvoice.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
       });
+    }
 
-      let newSubscription;
-      try {
-        newSubscription = await UserSubscription.findByPk(subscription.id, {
-          include: [
-            {
-              model: SubscriptionPlan,
-              as: 'plan',
-              attributes: [
-                'id',
-                'name',
-                'tier',
-                'price',
-                'billingCycle',
-                'description',
-                'features',
-                'leadDiscountPercent',
-                'priorityBoostPoints',
-                'isFeatured',
-                'hasAdvancedAnalytics',
-                'maxLeadsPerMonth'
-              ]
-            }
-          ]
-        });
-      } catch (dbError) {
-        if (dbError.message && dbError.message.includes('Unknown column')) {
-          console.log('Migration not run yet, using explicit attributes for subscription plan in subscribe (create)...');
-          newSubscription = await UserSubscription.findByPk(subscription.id, {
-            include: [
-              {
-                model: SubscriptionPlan,
-                as: 'plan',
-                attributes: [
-                  'id',
-                  'name',
-                  'tier',
-                  'price',
-                  'billingCycle',
-                  'description',
-                  'features',
-                  'leadDiscountPercent',
-                  'priorityBoostPoints',
-                  'isFeatured',
-                  'hasAdvancedAnalytics'
-                ]
-              }
-            ]
-          });
-          if (newSubscription && newSubscription.plan) {
-            const planData = newSubscription.plan.toJSON();
-            if (planData.tier === 'BASIC') {
-              planData.maxLeadsPerMonth = 10;
-            } else if (planData.tier === 'PREMIUM') {
-              planData.maxLeadsPerMonth = 30;
-            } else if (planData.tier === 'PRO') {
-              planData.maxLeadsPerMonth = null;
-            } else {
-              planData.maxLeadsPerMonth = 10;
-            }
-            newSubscription.plan = planData;
-          }
-        } else {
-          throw dbError;
-        }
-      }
-
-      return res.status(201).json({
-        success: true,
-        message: 'Subscription created successfully',
-        subscription: newSubscription
+    const result = await retryInvoicePayment(invoice.id);
+    if (result.skipped) {
+      return res.status(400).json({
+        success: false,
+        error: result.skipped
+      });
+    }
+    if (result.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        error: result.error || 'Payment failed'
       });
     }
+
+    res.json({
+      success: true,
+      message: result.status === 'processing' ? 'Your payment is processing' : 'Payment received - your subscription is active',
+      subscription: await loadSubscriptionWithPlan(req.user.id)
+    });
   } catch (error) {
-    console.error('Subscribe error:', error);
+    console.error('Retry subscription invoice error:', error);
     res.status(500).json({
       success: false,
       error: error.message || 'Server error'
@@ -674,32 +670,55 @@ router.get('/monthly-usage', protect, async (req, res) => {
 });
 
 // @route   POST /api/subscriptions/cancel
-// @desc    Cancel user subscription
+// @desc    Cancel user subscription at the end of the paid period (past-due and free plans end now)
 // @access  Private (Business owner only)
 router.post('/cancel', protect, async (req, res) => {
   try {
-    const subscription = await UserSubscription.findOne({
-      where: { userId: req.user.id, status: 'ACTIVE' }
-    });
+    const result = await cancelSubscription(req.user.id);
 
-    if (!subscription) {
-      return res.status(404).json({
+    if (result.error) {
+      return res.status(result.status || 400).json({
         success: false,
-        error: 'No active subscription found'
+        error: result.error
       });
     }
 
-    await subscription.update({
-      status: 'CANCELLED',
-      cancelledAt: new Date()
+    res.json({
+      success: true,
+      message: result.immediate
+        ? 'Subscription cancelled successfully'
+        : `Subscription will end on ${new Date(result.subscription.currentPeriodEnd).toLocaleDateString()}`,
+      cancelAtPeriodEnd: !result.immediate
+    });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
     });
+  }
+});
+
+// @route   POST /api/subscriptions/resume
+// @desc    Keep a subscription that was set to cancel at period end
+// @access  Private (Business owner only)
+router.post('/resume', protect, async (req, res) => {
+  try {
+    const result = await resumeSubscription(req.user.id);
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        error: result.error
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Subscription cancelled successfully'
+      message: 'Your subscription will renew as usual'
     });
   } catch (error) {
-    console.error('Cancel subscription error:', error);
+    console.error('Resume subscription error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error'
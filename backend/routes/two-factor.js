@@ -0,0 +1,415 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const { User } = require('../models');
+const { protect } = require('../middleware/auth');
+const logActivity = require('../utils/logActivity');
+const { startSession } = require('../utils/sessions');
+const {
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  remainingRecoveryCodes,
+  sendSmsCode,
+  verifySmsCode,
+  verifySecondFactor,
+  isTwoFactorRequired,
+  resolveChallengeToken
+} = require('../utils/twoFactor');
+
+// Codes are only 6 digits - keep guessing well below the odds of a hit
+const codeAttemptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many verification attempts. Please wait and try again.',
+      retryAfter: Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000)
+    });
+  }
+});
+
+const loginResponseUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  username: user.username,
+  avatar: user.avatar,
+  lastLogin: user.lastLogin
+});
+
+// Enrollment is reachable either with a normal session or, for users the policy
+// forces into 2FA, with the '2fa_setup' challenge token returned by login
+const protectOrSetupToken = async (req, res, next) => {
+  if (req.body && req.body.twoFactorToken) {
+    const user = await resolveChallengeToken(req.body.twoFactorToken, '2fa_setup');
+    if (!user) {
+      return res.status(401).json({
+        error: 'Your setup session has expired. Please log in again.',
+        code: 'INVALID_2FA_TOKEN'
+      });
+    }
+    req.user = user;
+    req.isLoginEnrollment = true;
+    return next();
+  }
+  return protect(req, res, next);
+};
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get the current user's 2FA settings
+// @access  Private
+router.get('/status', protect, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    res.json({
+      success: true,
+      enabled: user.twoFactorEnabled,
+      method: user.twoFactorMethod,
+      required: isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactorEnabled ? remainingRecoveryCodes(user) : 0,
+      phone: user.phone
+    });
+  } catch (error) {
+    console.log('2FA status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment - generate a TOTP secret or send an SMS code
+// @access  Private (or 2FA setup token)
+router.post('/setup', protectOrSetupToken, [
+  body('method').isIn(['totp', 'sms']).withMessage('Method must be totp or sms')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (req.body.method === 'sms') {
+      const phone = (req.body.phone || user.phone || '').trim();
+      if (!phone) {
+        return res.status(400).json({ error: 'A phone number is required for SMS verification' });
+      }
+
+      const result = await sendSmsCode(user, phone);
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      return res.json({
+        success: true,
+        method: 'sms',
+        message: `A verification code was sent to ***${phone.slice(-4)}`
+      });
+    }
+
+    // The secret is stored now but only takes effect once a code from it is confirmed
+    const secret = generateTotpSecret();
+    await user.update({ twoFactorSecret: encryptSecret(secret), twoFactorLastUsedStep: null });
+
+    res.json({
+      success: true,
+      method: 'totp',
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email)
+    });
+  } catch (error) {
+    console.log('2FA setup error:', error);
+    res.status(500).json({ error: 'Server error during two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private (or 2FA setup token - also completes the login)
+router.post('/enable', codeAttemptLimiter, protectOrSetupToken, [
+  body('method').isIn(['totp', 'sms']).withMessage('Method must be totp or sms'),
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const { method, code } = req.body;
+    const user = await User.findByPk(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const updates = {};
+    if (method === 'sms') {
+      const record = await verifySmsCode(user, code);
+      if (!record) {
+        return res.status(400).json({ error: 'Invalid or expired verification code', code: 'INVALID_2FA_CODE' });
+      }
+      // The code proves ownership of the number it was sent to
+      updates.phone = record.phone;
+      updates.twoFactorSecret = null;
+    } else {
+      if (!user.twoFactorSecret) {
+        return res.status(400).json({ error: 'Start setup before confirming a code' });
+      }
+      const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+      if (step === null) {
+        return res.status(400).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+      }
+      updates.twoFactorLastUsedStep = step;
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({
+      ...updates,
+      twoFactorEnabled: true,
+      twoFactorMethod: method,
+      twoFactorRecoveryCodes: hashes
+    });
+
+    await logActivity({
+      type: 'two_factor_enabled',
+      description: `User "${user.name}" enabled two-factor authentication (${method.toUpperCase()})`,
+      userId: user.id,
+      metadata: { userName: user.name, method }
+    });
+
+    const response = {
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    };
+
+    // Enrollment forced at login: finish signing the user in
+    if (req.isLoginEnrollment) {
+      await user.updateLastLogin();
+      response.token = await startSession(res, user, req);
+      response.user = loginResponseUser(user);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.log('2FA enable error:', error);
+    res.status(500).json({ error: 'Server error while enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Second login step - exchange the challenge token and a code for a session
+// @access  Public (requires 2FA challenge token)
+router.post('/verify', codeAttemptLimiter, [
+  body('twoFactorToken').notEmpty().withMessage('Verification session is missing. Please log in again.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const { twoFactorToken, code, recoveryCode } = req.body;
+    const user = await resolveChallengeToken(twoFactorToken, '2fa_login');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        error: 'Your verification session has expired. Please log in again.',
+        code: 'INVALID_2FA_TOKEN'
+      });
+    }
+
+    let verified = false;
+    let usedRecoveryCode = false;
+    if (recoveryCode) {
+      verified = await consumeRecoveryCode(user, recoveryCode);
+      usedRecoveryCode = verified;
+    } else if (code) {
+      verified = await verifySecondFactor(user, code);
+    } else {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+
+    if (!verified) {
+      await logActivity({
+        type: 'two_factor_failed',
+        description: `Failed two-factor attempt for user "${user.name}"`,
+        userId: user.id,
+        metadata: { userName: user.name, ip: req.ip, recoveryCode: !!recoveryCode }
+      });
+      return res.status(401).json({
+        error: recoveryCode ? 'Invalid recovery code' : 'Invalid or expired verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    if (usedRecoveryCode) {
+      await logActivity({
+        type: 'two_factor_recovery_used',
+        description: `User "${user.name}" signed in with a recovery code`,
+        userId: user.id,
+        metadata: { userName: user.name, remaining: remainingRecoveryCodes(user) }
+      });
+    }
+
+    await user.updateLastLogin();
+    const token = await startSession(res, user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      recoveryCodesRemaining: usedRecoveryCode ? remainingRecoveryCodes(user) : undefined,
+      user: loginResponseUser(user)
+    });
+  } catch (error) {
+    console.log('2FA verify error:', error);
+    res.status(500).json({ error: 'Server error during verification' });
+  }
+});
+
+// @route   POST /api/auth/2fa/resend
+// @desc    Resend the SMS code during login
+// @access  Public (requires 2FA challenge token)
+router.post('/resend', codeAttemptLimiter, async (req, res) => {
+  try {
+    const user = await resolveChallengeToken(req.body.twoFactorToken, '2fa_login');
+    if (!user || user.twoFactorMethod !== 'sms') {
+      return res.status(401).json({
+        error: 'Your verification session has expired. Please log in again.',
+        code: 'INVALID_2FA_TOKEN'
+      });
+    }
+
+    const result = await sendSmsCode(user);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: 'A new code has been sent' });
+  } catch (error) {
+    console.log('2FA resend error:', error);
+    res.status(500).json({ error: 'Failed to resend code' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires a current code)
+// @access  Private
+router.post('/recovery-codes', codeAttemptLimiter, protect, [
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid or expired verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({ twoFactorRecoveryCodes: hashes });
+
+    res.json({ success: true, recoveryCodes: codes });
+  } catch (error) {
+    console.log('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/send-code
+// @desc    Send an SMS code to an SMS-enrolled user (for disable / recovery code actions)
+// @access  Private
+router.post('/send-code', codeAttemptLimiter, protect, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user.twoFactorEnabled || user.twoFactorMethod !== 'sms') {
+      return res.status(400).json({ error: 'SMS verification is not enabled' });
+    }
+
+    const result = await sendSmsCode(user);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: 'A verification code has been sent' });
+  } catch (error) {
+    console.log('2FA send code error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a current code)
+// @access  Private
+router.post('/disable', codeAttemptLimiter, protect, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg, errors: errors.array() });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your account and cannot be disabled' });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid or expired verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorMethod: null,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: null,
+      twoFactorLastUsedStep: null
+    });
+
+    await logActivity({
+      type: 'two_factor_disabled',
+      description: `User "${user.name}" disabled two-factor authentication`,
+      userId: user.id,
+      metadata: { userName: user.name }
+    });
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.log('2FA disable error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const { WebhookEndpoint, WebhookDelivery } = require('../models');
+const { protect } = require('../middleware/auth');
+const logActivity = require('../utils/logActivity');
+const {
+  WEBHOOK_EVENTS,
+  generateSigningSecret,
+  validateEndpointInput,
+  createEndpoint,
+  redeliver,
+  sendTestEvent
+} = require('../utils/outboundWebhooks');
+
+router.use(protect);
+
+async function findOwnEndpoint(id, userId) {
+  return WebhookEndpoint.findOne({ where: { id, userId } });
+}
+
+// @route   GET /api/webhook-endpoints
+// @desc    Current user's webhook endpoints and the events they can subscribe to
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      events: WEBHOOK_EVENTS,
+      endpoints
+    });
+  } catch (error) {
+    console.error('Get webhook endpoints error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load webhook endpoints' });
+  }
+});
+
+// @route   POST /api/webhook-endpoints
+// @desc    Register an endpoint; a signing secret is generated for it
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { values, error } = await validateEndpointInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const result = await createEndpoint(req.user.id, values);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    await logActivity({
+      type: 'webhook_endpoint_created',
+      description: `Webhook endpoint ${result.endpoint.url} added`,
+      userId: req.user.id,
+      metadata: { endpointId: result.endpoint.id, events: result.endpoint.events }
+    });
+
+    res.status(201).json({
+      success: true,
+      endpoint: result.endpoint
+    });
+  } catch (error) {
+    console.error('Create webhook endpoint error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create webhook endpoint' });
+  }
+});
+
+// @route   PUT /api/webhook-endpoints/:id
+// @desc    Change an endpoint's URL, description, events or enable/disable it
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req.params.id, req.user.id);
+    if (!endpoint) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    const { values, error } = await validateEndpointInput(req.body, endpoint);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    await endpoint.update(values);
+
+    res.json({
+      success: true,
+      endpoint
+    });
+  } catch (error) {
+    console.error('Update webhook endpoint error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update webhook endpoint' });
+  }
+});
+
+// @route   DELETE /api/webhook-endpoints/:id
+// @desc    Remove an endpoint and its delivery log
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req.params.id, req.user.id);
+    if (!endpoint) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    await WebhookDelivery.destroy({ where: { endpointId: endpoint.id } });
+    await endpoint.destroy();
+
+    await logActivity({
+      type: 'webhook_endpoint_deleted',
+      description: `Webhook endpoint ${endpoint.url} removed`,
+      userId: req.user.id,
+      metadata: { endpointId: endpoint.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted'
+    });
+  } catch (error) {
+    console.error('Delete webhook endpoint error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete webhook endpoint' });
+  }
+});
+
+// @route   POST /api/webhook-endpoints/:id/rotate-secret
+// @desc    Replace the signing secret; deliveries are signed with the new one immediately
+// @access  Private
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req.params.id, req.user.id);
+    if (!endpoint) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    await endpoint.update({ secret: generateSigningSecret() });
+
+    await logActivity({
+      type: 'webhook_secret_rotated',
+      description: `Signing secret rotated for webhook endpoint ${endpoint.url}`,
+      userId: req.user.id,
+      metadata: { endpointId: endpoint.id }
+    });
+
+    res.json({
+      success: true,
+      endpoint
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ success: false, error: 'Failed to rotate signing secret' });
+  }
+});
+
+// @route   POST /api/webhook-endpoints/:id/test
+// @desc    Send a signed test event right away and report the receiver's response
+// @access  Private
+router.post('/:id/test', async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req.params.id, req.user.id);
+    if (!endpoint) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    const result = await sendTestEvent(endpoint);
+
+    res.json({
+      success: true,
+      delivered: result.ok,
+      responseStatus: result.status || null,
+      error: result.error || null,
+      delivery: result.delivery
+    });
+  } catch (error) {
+    console.error('Send test webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send test event' });
+  }
+});
+
+// @route   GET /api/webhook-endpoints/:id/deliveries
+// @desc    Delivery log for an endpoint (?status, page, limit)
+// @access  Private
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req.params.id, req.user.id);
+    if (!endpoint) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const where = { endpointId: endpoint.id };
+    if (['pending', 'succeeded', 'failed'].includes(req.query.status)) {
+      where.status = req.query.status;
+    }
+
+    const { count, rows: deliveries } = await WebhookDelivery.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      total: count,
+      page,
+      pages: Math.ceil(count / limit),
+      deliveries
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load deliveries' });
+  }
+});
+
+// @route   POST /api/webhook-endpoints/deliveries/:deliveryId/redeliver
+// @desc    Queue a delivery again (same payload, new signature)
+// @access  Private
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findByPk(req.params.deliveryId, {
+      include: [{ model: WebhookEndpoint, as: 'endpoint', where: { userId: req.user.id } }]
+    });
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    if (delivery.isTest) {
+      return res.status(400).json({ success: false, error: 'Send a new test event instead' });
+    }
+    if (delivery.status === 'pending') {
+      return res.status(400).json({ success: false, error: 'This delivery is already queued' });
+    }
+    if (!delivery.endpoint.isActive) {
+      return res.status(400).json({ success: false, error: 'Enable the endpoint before redelivering' });
+    }
+
+    await redeliver(delivery);
+
+    res.json({
+      success: true,
+      message: 'Delivery queued',
+      delivery
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to queue delivery' });
+  }
+});
+
+module.exports = router;
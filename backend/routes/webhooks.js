@@ -1,9 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const stripe = require('../config/stripe');
-const { Proposal, ServiceRequest, WorkOrder, Lead, User, ProviderProfile, Category, Business, UserSubscription, SubscriptionPlan } = require('../models');
+const { Proposal, ProposalMilestone, ServiceRequest, WorkOrder, Lead, User, ProviderProfile, Category, Business, UserSubscription, SubscriptionPlan } = require('../models');
 const sendEmail = require('../utils/sendEmail');
 const logActivity = require('../utils/logActivity');
+const createNotification = require('../utils/createNotification');
+const { dispatchWebhookEvent, leadWebhookData } = require('../utils/outboundWebhooks');
+const { recordMilestonePayment, createProposalMilestones, pendingProposalMilestones } = require('../utils/milestones');
+const { applyPaidInvoice, recordFailedPayment } = require('../utils/subscriptionBilling');
+const { fromStripeIntent } = require('../utils/billingProviders');
+const { recordChargeRefunds, recordRefundUpdate, recordDispute } = require('../utils/refunds');
+const { postPayment } = require('../utils/ledger');
 const { Op } = require('sequelize');
 
 // Stripe webhook endpoint
@@ -47,6 +54,24 @@ router.post('/stripe', express.raw({ type: 'application/json' }), async (req, re
                 await handlePaymentIntentCanceled(event.data.object);
                 break;
 
+            case 'payment_method.detached':
+                await handlePaymentMethodDetached(event.data.object);
+                break;
+
+            case 'charge.refunded':
+                await handleChargeRefunded(event.data.object);
+                break;
+
+            case 'charge.refund.updated':
+                await handleRefundUpdated(event.data.object);
+                break;
+
+            case 'charge.dispute.created':
+            case 'charge.dispute.updated':
+            case 'charge.dispute.closed':
+                await handleDispute(event.type, event.data.object);
+                break;
+
             default:
                 console.log(`Unhandled event type: ${event.type}`);
         }
@@ -70,10 +95,14 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
         });
 
         // Check if this is a subscription payment, lead payment, or proposal payment
-        if (metadata.type === 'subscription') {
+        if (metadata.type === 'subscription_invoice') {
+            await handleSubscriptionInvoicePaid(paymentIntent);
+        } else if (metadata.type === 'subscription') {
             await handleSubscriptionPaymentSucceeded(paymentIntent);
         } else if (metadata.type === 'lead_acceptance') {
             await handleLeadPaymentSucceeded(paymentIntent);
+        } else if (metadata.type === 'proposal_milestone') {
+            await handleMilestonePaymentSucceeded(paymentIntent);
         } else if (metadata.proposalId) {
             // Check if this is a pending proposal (string like "pending-6")
             if (metadata.proposalId.toString().startsWith('pending-')) {
@@ -202,11 +231,14 @@ async function handleLeadPaymentSucceeded(paymentIntent) {
     // Update lead status to accepted and reveal customer contact details
     await lead.update({
         status: 'accepted',
+        paymentStatus: 'succeeded',
         customerName: customerName,
         customerEmail: customer?.email || null,
         customerPhone: customer?.phone || null
     });
     console.log(`[Webhook] ✅ Lead updated to accepted status with customer contact details revealed`);
+    await postPayment('lead', lead);
+    dispatchWebhookEvent(lead.providerId, 'lead.accepted', leadWebhookData(lead));
 
     // Create Proposal if serviceRequestId exists
     let proposal = null;
@@ -220,6 +252,11 @@ async function handleLeadPaymentSucceeded(paymentIntent) {
             status: 'SENT'
         });
         console.log(`[Webhook] ✅ Proposal created: ID=${proposal.id}, status=${proposal.status}, price=$${proposalPrice}`);
+
+        const milestones = await createProposalMilestones(proposal.id, pendingProposalMilestones(lead));
+        if (milestones.length > 0) {
+            console.log(`[Webhook] ✅ Created ${milestones.length} milestones for proposal ${proposal.id}`);
+        }
     } else {
         console.log(`[Webhook] ⚠️ Skipping proposal creation:`, {
             serviceRequestId,
@@ -270,7 +307,46 @@ async function handleLeadPaymentSucceeded(paymentIntent) {
     console.log(`✅ Lead payment succeeded for lead ${leadId}`);
 }
 
-// Handle subscription payment success
+// Subscription invoice paid: checkout, renewal or plan change (utils/subscriptionBilling.js)
+async function handleSubscriptionInvoicePaid(paymentIntent) {
+    const invoiceId = parseInt(paymentIntent.metadata.invoiceId);
+    if (!invoiceId) {
+        console.error('[Webhook] Missing invoiceId in subscription payment metadata:', paymentIntent.metadata);
+        return;
+    }
+
+    const { alreadyPaid } = await applyPaidInvoice(invoiceId, fromStripeIntent(paymentIntent));
+    console.log(`✅ Subscription invoice ${invoiceId} ${alreadyPaid ? 'was already paid' : 'paid'}`);
+}
+
+// Subscription invoice payment failed - renewals go into dunning
+async function handleSubscriptionInvoicePaymentFailed(paymentIntent) {
+    const invoiceId = parseInt(paymentIntent.metadata.invoiceId);
+    if (!invoiceId) {
+        console.error('[Webhook] Missing invoiceId in subscription payment metadata:', paymentIntent.metadata);
+        return;
+    }
+
+    const payment = fromStripeIntent(paymentIntent);
+    await recordFailedPayment(invoiceId, {
+        ...payment,
+        error: payment.error || (paymentIntent.status === 'canceled' ? 'Payment was canceled' : 'Payment failed')
+    });
+    console.log(`⚠️  Subscription invoice ${invoiceId} payment failed`);
+}
+
+// A saved card was removed at Stripe - renewals can't use it any more
+async function handlePaymentMethodDetached(paymentMethod) {
+    const [updated] = await UserSubscription.update(
+        { paymentMethodId: null },
+        { where: { paymentMethodId: paymentMethod.id } }
+    );
+    if (updated > 0) {
+        console.log(`[Webhook] Cleared detached payment method ${paymentMethod.id} from ${updated} subscription(s)`);
+    }
+}
+
+// Handle subscription payment success (payment intents created before subscription invoices)
 async function handleSubscriptionPaymentSucceeded(paymentIntent) {
     try {
         const { metadata } = paymentIntent;
@@ -415,10 +491,11 @@ async function handleProposalPaymentSucceeded(paymentIntent) {
         return;
     }
 
-    // Calculate payout amounts (90% to provider, 10% platform fee)
-    const { calculatePayouts } = require('../config/platformFee');
+    // Calculate payout amounts with the platform fee rule in effect now (snapshotted on the proposal)
+    const { calculatePayouts, resolveProposalFee } = require('../config/platformFee');
     const proposalPrice = parseFloat(proposal.price);
-    const { providerAmount, platformFee } = calculatePayouts(proposalPrice);
+    const feeRule = proposal.platformFeeRule || await resolveProposalFee(proposal);
+    const { providerAmount, platformFee } = calculatePayouts(proposalPrice, feeRule);
 
     // Update proposal payment status and payout information
     if (proposal.paymentStatus !== 'succeeded') {
@@ -427,22 +504,40 @@ async function handleProposalPaymentSucceeded(paymentIntent) {
             paidAt: new Date(),
             providerPayoutAmount: providerAmount,
             platformFeeAmount: platformFee,
+            platformFeeRule: feeRule,
             payoutStatus: 'pending' // Will be processed after work approval
         });
 
         console.log(`✅ Payment succeeded for proposal ${proposalId}`);
-        console.log(`💰 Payout calculated: Provider=${providerAmount.toFixed(2)}, Platform Fee=${platformFee.toFixed(2)}`);
+        console.log(`💰 Payout calculated: Provider=${providerAmount.toFixed(2)}, Platform Fee=${platformFee.toFixed(2)} (${feeRule.name})`);
+        await postPayment('proposal', proposal);
     } else {
         // If already succeeded, just update payout amounts if not set
-        if (!proposal.providerPayoutAmount || !proposal.platformFeeAmount) {
+        if (proposal.providerPayoutAmount === null || proposal.platformFeeAmount === null) {
             await proposal.update({
                 providerPayoutAmount: providerAmount,
-                platformFeeAmount: platformFee
+                platformFeeAmount: platformFee,
+                platformFeeRule: feeRule
             });
         }
     }
 }
 
+// Handle milestone payment success
+async function handleMilestonePaymentSucceeded(paymentIntent) {
+    const milestoneId = parseInt(paymentIntent.metadata.milestoneId);
+    const milestone = milestoneId ? await ProposalMilestone.findByPk(milestoneId) : null;
+
+    if (!milestone) {
+        console.error(`Milestone ${paymentIntent.metadata.milestoneId} not found`);
+        return;
+    }
+
+    if (await recordMilestonePayment(milestone, paymentIntent)) {
+        console.log(`✅ Payment succeeded for milestone ${milestone.id} of proposal ${milestone.proposalId}`);
+    }
+}
+
 // Send emails when lead is accepted after payment
 async function sendLeadAcceptedEmails(serviceRequest, providerProfile, lead, proposal) {
     try {
@@ -578,9 +673,13 @@ async function handlePaymentIntentFailed(paymentIntent) {
     try {
         const { metadata } = paymentIntent;
 
-        // Check if this is a lead payment or proposal payment
-        if (metadata.type === 'lead_acceptance') {
+        // Check if this is a subscription invoice, lead payment or proposal payment
+        if (metadata.type === 'subscription_invoice') {
+            await handleSubscriptionInvoicePaymentFailed(paymentIntent);
+        } else if (metadata.type === 'lead_acceptance') {
             await handleLeadPaymentFailed(paymentIntent);
+        } else if (metadata.type === 'proposal_milestone') {
+            await handleMilestonePaymentFailed(paymentIntent);
         } else if (metadata.proposalId) {
             await handleProposalPaymentFailed(paymentIntent);
         } else {
@@ -614,6 +713,9 @@ async function handleLeadPaymentFailed(paymentIntent) {
     // Update lead status to indicate payment failed
     // Note: We don't change status to 'cancelled' yet, allow retry
     // The status will remain 'submitted' or 'routed' so provider can retry
+    if (lead.status !== 'accepted') {
+        await lead.update({ paymentStatus: 'failed' });
+    }
 
     // Get provider info
     const provider = await User.findByPk(providerId, {
@@ -755,6 +857,61 @@ async function handleProposalPaymentFailed(paymentIntent) {
     console.log(`❌ Payment failed for proposal ${proposalId}`);
 }
 
+// Handle milestone payment failure or cancellation
+async function handleMilestonePaymentFailed(paymentIntent) {
+    const milestoneId = parseInt(paymentIntent.metadata.milestoneId);
+    const milestone = milestoneId ? await ProposalMilestone.findByPk(milestoneId) : null;
+
+    // Ignore stale intents - the customer may already have paid with a newer one
+    if (!milestone || milestone.paymentStatus === 'succeeded' || milestone.stripePaymentIntentId !== paymentIntent.id) {
+        return;
+    }
+
+    await milestone.update({ paymentStatus: 'failed' });
+
+    const customerId = parseInt(paymentIntent.metadata.customerId);
+    if (customerId && paymentIntent.status !== 'canceled') {
+        createNotification({
+            userId: customerId,
+            type: 'payment_failed',
+            title: `Payment failed: ${milestone.title}`,
+            message: 'Your milestone payment could not be processed. Please check your payment method and try again.',
+            link: '/user-dashboard/requests',
+            metadata: { serviceRequestId: parseInt(paymentIntent.metadata.serviceRequestId), milestoneId: milestone.id }
+        });
+    }
+
+    console.log(`❌ Payment ${paymentIntent.status === 'canceled' ? 'canceled' : 'failed'} for milestone ${milestone.id}`);
+}
+
+// Refund on a proposal, milestone or lead fee payment - including refunds made in the Stripe dashboard
+async function handleChargeRefunded(charge) {
+    const result = await recordChargeRefunds(charge);
+    if (result.skipped) {
+        console.log(`[Webhook] charge.refunded for ${charge.id} skipped: ${result.skipped}`);
+        return;
+    }
+    console.log(`✅ Recorded refunds for charge ${charge.id} (${result.applied} newly applied)`);
+}
+
+// A refund failed or was canceled after it was created
+async function handleRefundUpdated(refund) {
+    const result = await recordRefundUpdate(refund);
+    if (!result.skipped) {
+        console.log(`[Webhook] Refund ${refund.id} is now ${refund.status}`);
+    }
+}
+
+// Chargeback opened, updated (evidence submitted) or closed (won / lost)
+async function handleDispute(eventType, dispute) {
+    const result = await recordDispute(dispute);
+    if (result.skipped) {
+        console.log(`[Webhook] ${eventType} for ${dispute.id} skipped: ${result.skipped}`);
+        return;
+    }
+    console.log(`⚠️  Dispute ${dispute.id} is ${dispute.status}`);
+}
+
 // Assign lead to next alternative provider
 async function assignLeadToNextAlternative(serviceRequestId, failedLeadId) {
     try {
@@ -857,6 +1014,16 @@ async function assignLeadToNextAlternative(serviceRequestId, failedLeadId) {
                     routedAt: new Date()
                 });
 
+                createNotification({
+                    userId: providerUserId,
+                    type: 'lead_routed',
+                    title: `New lead: ${serviceRequest.projectTitle}`,
+                    message: 'A new lead has been assigned to you as an alternative provider.',
+                    link: '/user-dashboard/leads',
+                    metadata: { leadId: newLead.id, serviceRequestId }
+                });
+                dispatchWebhookEvent(providerUserId, 'lead.routed', leadWebhookData(newLead));
+
                 // Send email to alternative provider
                 if (providerProfile.user && providerProfile.user.email) {
                     await sendEmail({
@@ -910,6 +1077,17 @@ async function assignLeadToNextAlternative(serviceRequestId, failedLeadId) {
 async function handlePaymentIntentCanceled(paymentIntent) {
     try {
         const { metadata } = paymentIntent;
+
+        if (metadata.type === 'subscription_invoice') {
+            await handleSubscriptionInvoicePaymentFailed(paymentIntent);
+            return;
+        }
+
+        if (metadata.type === 'proposal_milestone') {
+            await handleMilestonePaymentFailed(paymentIntent);
+            return;
+        }
+
         const proposalId = parseInt(metadata.proposalId);
 
         if (!proposalId) {
@@ -0,0 +1,52 @@
+/**
+ * Migration script to index business coordinates
+ * Radius and map-bounds searches filter on latitude/longitude ranges
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addBusinessLocationIndex() {
+  try {
+    console.log('🚀 Starting business location index migration...\n');
+
+    // Test connection first
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    const queryInterface = sequelize.getQueryInterface();
+    const indexes = await queryInterface.showIndex('businesses');
+
+    if (!indexes.some(index => index.name === 'businesses_latitude_longitude')) {
+      console.log('Adding latitude/longitude index to businesses table...');
+      await queryInterface.addIndex('businesses', ['latitude', 'longitude'], {
+        name: 'businesses_latitude_longitude'
+      });
+      console.log('✅ Added latitude/longitude index\n');
+    } else {
+      console.log('⚠️  latitude/longitude index already exists\n');
+    }
+
+    console.log('✅ Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Error during migration:', error.message);
+    throw error;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run migration
+if (require.main === module) {
+  addBusinessLocationIndex()
+    .then(() => {
+      console.log('\n✅ Migration script completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addBusinessLocationIndex;
@@ -0,0 +1,94 @@
+/**
+ * Migration script to add spam quarantine fields to the contacts table
+ * Adds the 'spam' status plus spamScore, spamReasons and ipAddress columns
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addContactSpamFields() {
+  try {
+    console.log('🚀 Starting contact spam fields migration...\n');
+
+    // Test connection first
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    const queryInterface = sequelize.getQueryInterface();
+    const tableDescription = await queryInterface.describeTable('contacts');
+
+    // Add 'spam' to the status enum
+    if (!tableDescription.status.type.includes("'spam'")) {
+      console.log('Adding spam status to contacts table...');
+      await sequelize.query(`
+        ALTER TABLE contacts
+        MODIFY COLUMN status ENUM('new', 'read', 'replied', 'resolved', 'spam') DEFAULT 'new'
+      `);
+      console.log('✅ Added spam status\n');
+    } else {
+      console.log('⚠️  spam status already exists\n');
+    }
+
+    if (!tableDescription.spamScore) {
+      console.log('Adding spamScore column to contacts table...');
+      await sequelize.query(`
+        ALTER TABLE contacts
+        ADD COLUMN spamScore INT NOT NULL DEFAULT 0 AFTER status
+      `);
+      console.log('✅ Added spamScore column\n');
+    } else {
+      console.log('⚠️  spamScore column already exists\n');
+    }
+
+    if (!tableDescription.spamReasons) {
+      console.log('Adding spamReasons column to contacts table...');
+      await sequelize.query(`
+        ALTER TABLE contacts
+        ADD COLUMN spamReasons JSON NULL AFTER spamScore
+      `);
+      console.log('✅ Added spamReasons column\n');
+    } else {
+      console.log('⚠️  spamReasons column already exists\n');
+    }
+
+    if (!tableDescription.ipAddress) {
+      console.log('Adding ipAddress column to contacts table...');
+      await sequelize.query(`
+        ALTER TABLE contacts
+        ADD COLUMN ipAddress VARCHAR(45) NULL AFTER spamReasons
+      `);
+      console.log('✅ Added ipAddress column\n');
+    } else {
+      console.log('⚠️  ipAddress column already exists\n');
+    }
+
+    // The quarantine queue filters on status
+    const indexes = await queryInterface.showIndex('contacts');
+    if (!indexes.some(index => index.name === 'contacts_status')) {
+      await queryInterface.addIndex('contacts', ['status'], { name: 'contacts_status' });
+      console.log('✅ Added status index\n');
+    }
+
+    console.log('✅ Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Error during migration:', error.message);
+    throw error;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run migration
+if (require.main === module) {
+  addContactSpamFields()
+    .then(() => {
+      console.log('\n✅ Migration script completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addContactSpamFields;
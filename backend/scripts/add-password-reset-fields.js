@@ -0,0 +1,60 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addPasswordResetFields() {
+    const queryInterface = sequelize.getQueryInterface();
+
+    try {
+        console.log('🌱 Adding password reset fields to users table...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        // Check if users table exists
+        try {
+            await queryInterface.describeTable('users');
+        } catch (error) {
+            console.error('❌ Error: Users table does not exist.');
+            await sequelize.close();
+            process.exit(1);
+        }
+
+        const tableDescription = await queryInterface.describeTable('users');
+        const fieldsToAdd = [
+            { name: 'passwordResetToken', definition: { type: sequelize.Sequelize.STRING(255), allowNull: true } },
+            { name: 'passwordResetExpires', definition: { type: sequelize.Sequelize.DATE, allowNull: true } },
+            { name: 'passwordChangedAt', definition: { type: sequelize.Sequelize.DATE, allowNull: true } }
+        ].filter(field => !tableDescription[field.name]);
+
+        if (fieldsToAdd.length === 0) {
+            console.log('✅ All password reset fields already exist in users table\n');
+            await sequelize.close();
+            return;
+        }
+
+        // Add fields
+        for (const field of fieldsToAdd) {
+            try {
+                await queryInterface.addColumn('users', field.name, field.definition);
+                console.log(`✅ Added column: ${field.name}`);
+            } catch (error) {
+                if (error.message.includes('Duplicate column')) {
+                    console.log(`⚠️  Column ${field.name} already exists, skipping...`);
+                } else {
+                    throw error;
+                }
+            }
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+addPasswordResetFields();
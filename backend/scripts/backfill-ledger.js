@@ -0,0 +1,47 @@
+/**
+ * Post every payment, payout, refund, chargeback and subscription invoice recorded so far
+ * to the ledger. Safe to re-run: events that are already posted are skipped.
+ * The 'ledger.sync' job keeps it up to date afterwards.
+ *
+ * Usage: node scripts/backfill-ledger.js [--dry-run]
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { sequelize } = require('../config/database');
+const { syncLedger, getAccountBalances } = require('../utils/ledger');
+
+async function backfill() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        console.log(`🚀 Backfilling ledger${dryRun ? ' (dry run)' : ''}...\n`);
+
+        await sequelize.authenticate();
+        console.log('✅ Database connection established\n');
+
+        const started = Date.now();
+        const { checked, posted, missing } = await syncLedger({ dryRun });
+
+        console.log(`✅ Checked ${checked} money events in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+        if (dryRun) {
+            console.log(`   ${missing.length} would be posted`);
+        } else {
+            console.log(`   Posted ${posted} of ${missing.length} missing (see the log above for any that failed)`);
+        }
+
+        const { accounts, totalDebits, totalCredits } = await getAccountBalances();
+        console.log('\n📒 Account balances:');
+        accounts.forEach((account) => {
+            console.log(`   ${account.name.padEnd(20)} $${account.balance.toFixed(2)}`);
+        });
+        console.log(`   Debits $${totalDebits.toFixed(2)} / Credits $${totalCredits.toFixed(2)}\n`);
+
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Failed to backfill ledger:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+backfill();
@@ -0,0 +1,146 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createApiKeyTables() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating API key tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('api_keys');
+            console.log('⚠️  api_keys table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('api_keys', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                userId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                name: {
+                    type: DataTypes.STRING(100),
+                    allowNull: false
+                },
+                keyPrefix: {
+                    type: DataTypes.STRING(16),
+                    allowNull: false
+                },
+                keyHash: {
+                    type: DataTypes.STRING(64),
+                    allowNull: false,
+                    unique: true
+                },
+                scopes: {
+                    type: DataTypes.JSON,
+                    allowNull: false
+                },
+                rateLimitPerMinute: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 60
+                },
+                requestCount: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                lastUsedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                rotatedFromId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true
+                },
+                revokedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                revokedReason: {
+                    type: DataTypes.STRING(50),
+                    allowNull: true
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('api_keys', ['userId', 'revokedAt']);
+            console.log('✅ Created api_keys table');
+        }
+
+        try {
+            await queryInterface.describeTable('api_key_usage');
+            console.log('⚠️  api_key_usage table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('api_key_usage', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                apiKeyId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'api_keys',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                date: {
+                    type: DataTypes.DATEONLY,
+                    allowNull: false
+                },
+                requestCount: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            // Also the target of the ON DUPLICATE KEY UPDATE in utils/apiKeys.js
+            await queryInterface.addIndex('api_key_usage', ['apiKeyId', 'date'], { unique: true });
+            console.log('✅ Created api_key_usage table');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createApiKeyTables();
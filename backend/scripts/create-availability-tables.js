@@ -0,0 +1,158 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createAvailabilityTables() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating availability calendar tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        const timestamps = {
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+            }
+        };
+
+        const businessReference = {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'businesses',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        };
+
+        // 1. Weekly availability windows
+        try {
+            await queryInterface.describeTable('business_availability');
+            console.log('⚠️  business_availability table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('business_availability', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                businessId: businessReference,
+                dayOfWeek: {
+                    type: DataTypes.TINYINT,
+                    allowNull: false
+                },
+                startTime: {
+                    type: DataTypes.STRING(5),
+                    allowNull: false
+                },
+                endTime: {
+                    type: DataTypes.STRING(5),
+                    allowNull: false
+                },
+                ...timestamps
+            });
+            await queryInterface.addIndex('business_availability', ['businessId', 'dayOfWeek']);
+            console.log('✅ Created business_availability table');
+        }
+
+        // 2. Blackout dates
+        try {
+            await queryInterface.describeTable('business_blackouts');
+            console.log('⚠️  business_blackouts table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('business_blackouts', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                businessId: businessReference,
+                startDate: {
+                    type: DataTypes.DATEONLY,
+                    allowNull: false
+                },
+                endDate: {
+                    type: DataTypes.DATEONLY,
+                    allowNull: false
+                },
+                reason: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                ...timestamps
+            });
+            await queryInterface.addIndex('business_blackouts', ['businessId', 'endDate']);
+            console.log('✅ Created business_blackouts table');
+        }
+
+        // 3. Calendar settings on businesses
+        const businessesDesc = await queryInterface.describeTable('businesses');
+        if (!businessesDesc.timezone) {
+            await queryInterface.addColumn('businesses', 'timezone', {
+                type: DataTypes.STRING(64),
+                allowNull: false,
+                defaultValue: process.env.DEFAULT_TIMEZONE || 'America/New_York'
+            });
+            console.log('✅ Added timezone column to businesses');
+        }
+        if (!businessesDesc.appointmentDurationMinutes) {
+            await queryInterface.addColumn('businesses', 'appointmentDurationMinutes', {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 60
+            });
+            console.log('✅ Added appointmentDurationMinutes column to businesses');
+        }
+
+        // 4. Appointment on work orders
+        const workOrdersDesc = await queryInterface.describeTable('work_orders');
+        const workOrderColumns = {
+            businessId: { type: DataTypes.INTEGER, allowNull: true },
+            scheduledStart: { type: DataTypes.DATE, allowNull: true },
+            scheduledEnd: { type: DataTypes.DATE, allowNull: true },
+            appointmentStatus: { type: DataTypes.ENUM('scheduled', 'rescheduled', 'cancelled'), allowNull: true },
+            appointmentSequence: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }
+        };
+        for (const [column, definition] of Object.entries(workOrderColumns)) {
+            if (!workOrdersDesc[column]) {
+                await queryInterface.addColumn('work_orders', column, definition);
+                console.log(`✅ Added ${column} column to work_orders`);
+            }
+        }
+        if (!workOrdersDesc.scheduledStart) {
+            await queryInterface.addIndex('work_orders', ['businessId', 'scheduledStart']);
+            console.log('✅ Added work_orders(businessId, scheduledStart) index');
+        }
+
+        // 5. iCalendar feed token on provider profiles
+        const profilesDesc = await queryInterface.describeTable('provider_profiles');
+        if (!profilesDesc.calendarFeedToken) {
+            await queryInterface.addColumn('provider_profiles', 'calendarFeedToken', {
+                type: DataTypes.STRING(64),
+                allowNull: true,
+                unique: true
+            });
+            console.log('✅ Added calendarFeedToken column to provider_profiles');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createAvailabilityTables();
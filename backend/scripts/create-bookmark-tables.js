@@ -0,0 +1,136 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createBookmarkTables() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating bookmark tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('bookmark_lists');
+            console.log('⚠️  bookmark_lists table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('bookmark_lists', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                userId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                name: {
+                    type: DataTypes.STRING(100),
+                    allowNull: false
+                },
+                isDefault: {
+                    type: DataTypes.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: false
+                },
+                position: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('bookmark_lists', ['userId', 'position']);
+            console.log('✅ Created bookmark_lists table');
+        }
+
+        try {
+            await queryInterface.describeTable('bookmarks');
+            console.log('⚠️  bookmarks table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('bookmarks', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                userId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                listId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'bookmark_lists',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                businessId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'businesses',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                note: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                position: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('bookmarks', ['listId', 'businessId'], { unique: true });
+            await queryInterface.addIndex('bookmarks', ['userId', 'businessId']);
+            await queryInterface.addIndex('bookmarks', ['businessId']);
+            console.log('✅ Created bookmarks table');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createBookmarkTables();
@@ -0,0 +1,167 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createBusinessLocationTables() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    const timestamps = {
+        createdAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+        }
+    };
+
+    try {
+        console.log('🌱 Creating business location and service area tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('business_locations');
+            console.log('⚠️  business_locations table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('business_locations', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                businessId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'businesses',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                label: {
+                    type: DataTypes.STRING(100),
+                    allowNull: true
+                },
+                address: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                city: {
+                    type: DataTypes.STRING(100),
+                    allowNull: false
+                },
+                state: {
+                    type: DataTypes.STRING(50),
+                    allowNull: false
+                },
+                zipCode: {
+                    type: DataTypes.STRING(20),
+                    allowNull: false
+                },
+                phone: {
+                    type: DataTypes.STRING(20),
+                    allowNull: true
+                },
+                latitude: {
+                    type: DataTypes.DECIMAL(10, 8),
+                    allowNull: true
+                },
+                longitude: {
+                    type: DataTypes.DECIMAL(11, 8),
+                    allowNull: true
+                },
+                ...timestamps
+            });
+            await queryInterface.addIndex('business_locations', ['businessId']);
+            await queryInterface.addIndex('business_locations', ['zipCode']);
+            await queryInterface.addIndex('business_locations', ['latitude', 'longitude']);
+            console.log('✅ Created business_locations table');
+        }
+
+        try {
+            await queryInterface.describeTable('business_service_areas');
+            console.log('⚠️  business_service_areas table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('business_service_areas', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                businessId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'businesses',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                type: {
+                    type: DataTypes.ENUM('zip_codes', 'radius', 'polygon'),
+                    allowNull: false
+                },
+                name: {
+                    type: DataTypes.STRING(100),
+                    allowNull: true
+                },
+                zipCodes: {
+                    type: DataTypes.JSON,
+                    allowNull: true
+                },
+                latitude: {
+                    type: DataTypes.DECIMAL(10, 8),
+                    allowNull: true
+                },
+                longitude: {
+                    type: DataTypes.DECIMAL(11, 8),
+                    allowNull: true
+                },
+                radiusMiles: {
+                    type: DataTypes.DECIMAL(6, 2),
+                    allowNull: true
+                },
+                polygon: {
+                    type: DataTypes.JSON,
+                    allowNull: true
+                },
+                minLatitude: {
+                    type: DataTypes.DECIMAL(10, 8),
+                    allowNull: true
+                },
+                maxLatitude: {
+                    type: DataTypes.DECIMAL(10, 8),
+                    allowNull: true
+                },
+                minLongitude: {
+                    type: DataTypes.DECIMAL(11, 8),
+                    allowNull: true
+                },
+                maxLongitude: {
+                    type: DataTypes.DECIMAL(11, 8),
+                    allowNull: true
+                },
+                ...timestamps
+            });
+            await queryInterface.addIndex('business_service_areas', ['businessId']);
+            await queryInterface.addIndex('business_service_areas', ['type', 'minLatitude', 'maxLatitude']);
+            console.log('✅ Created business_service_areas table');
+        }
+
+        console.log('\n✅ Migration completed successfully!');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createBusinessLocationTables();
@@ -0,0 +1,103 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createJobsTable() {
+    const queryInterface = sequelize.getQueryInterface();
+
+    try {
+        console.log('🌱 Creating jobs table...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('jobs');
+            console.log('⚠️  jobs table already exists, skipping...\n');
+        } catch (error) {
+            await queryInterface.createTable('jobs', {
+                id: {
+                    type: sequelize.Sequelize.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                type: {
+                    type: sequelize.Sequelize.STRING(100),
+                    allowNull: false
+                },
+                payload: {
+                    type: sequelize.Sequelize.JSON,
+                    allowNull: true
+                },
+                status: {
+                    type: sequelize.Sequelize.ENUM('queued', 'running', 'completed', 'failed'),
+                    allowNull: false,
+                    defaultValue: 'queued'
+                },
+                runAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                attempts: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                maxAttempts: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    defaultValue: 5
+                },
+                idempotencyKey: {
+                    type: sequelize.Sequelize.STRING(191),
+                    allowNull: true,
+                    unique: true
+                },
+                lockedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: true
+                },
+                lockedBy: {
+                    type: sequelize.Sequelize.STRING(100),
+                    allowNull: true
+                },
+                lastError: {
+                    type: sequelize.Sequelize.TEXT,
+                    allowNull: true
+                },
+                result: {
+                    type: sequelize.Sequelize.JSON,
+                    allowNull: true
+                },
+                completedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: true
+                },
+                createdAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('jobs', ['status', 'runAt']);
+            await queryInterface.addIndex('jobs', ['type']);
+            console.log('✅ Created jobs table');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createJobsTable();
@@ -0,0 +1,127 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createLeadPriceRulesTable() {
+    const queryInterface = sequelize.getQueryInterface();
+
+    try {
+        console.log('🌱 Creating lead price rules table...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('lead_price_rules');
+            console.log('⚠️  lead_price_rules table already exists, skipping...\n');
+        } catch (error) {
+            await queryInterface.createTable('lead_price_rules', {
+                id: {
+                    type: sequelize.Sequelize.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                name: {
+                    type: sequelize.Sequelize.STRING(150),
+                    allowNull: false
+                },
+                categoryId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'categories',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                subCategoryId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'subcategories',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                zipCode: {
+                    type: sequelize.Sequelize.STRING(10),
+                    allowNull: true
+                },
+                state: {
+                    type: sequelize.Sequelize.STRING(50),
+                    allowNull: true
+                },
+                daysOfWeek: {
+                    type: sequelize.Sequelize.JSON,
+                    allowNull: true
+                },
+                startTime: {
+                    type: sequelize.Sequelize.STRING(5),
+                    allowNull: true
+                },
+                endTime: {
+                    type: sequelize.Sequelize.STRING(5),
+                    allowNull: true
+                },
+                priceCents: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false
+                },
+                effectiveFrom: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: true
+                },
+                effectiveTo: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: true
+                },
+                priority: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                isActive: {
+                    type: sequelize.Sequelize.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: true
+                },
+                notes: {
+                    type: sequelize.Sequelize.TEXT,
+                    allowNull: true
+                },
+                createdBy: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'SET NULL'
+                },
+                createdAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('lead_price_rules', ['isActive']);
+            await queryInterface.addIndex('lead_price_rules', ['categoryId']);
+            console.log('✅ Created lead_price_rules table');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createLeadPriceRulesTable();
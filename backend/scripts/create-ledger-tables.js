@@ -0,0 +1,162 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+/**
+ * Double-entry ledger: ledger_transactions and ledger_entries (see utils/ledger.js).
+ * Run scripts/backfill-ledger.js afterwards to post the payments made so far.
+ */
+async function createLedgerTables() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating ledger tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        // 1. Transactions
+        try {
+            await queryInterface.describeTable('ledger_transactions');
+            console.log('⚠️  ledger_transactions table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('ledger_transactions', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                type: {
+                    type: DataTypes.STRING(50),
+                    allowNull: false
+                },
+                idempotencyKey: {
+                    type: DataTypes.STRING(191),
+                    allowNull: false,
+                    unique: true
+                },
+                referenceType: {
+                    type: DataTypes.STRING(50),
+                    allowNull: false
+                },
+                referenceId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false
+                },
+                userId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'SET NULL'
+                },
+                stripeObjectId: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                amount: {
+                    type: DataTypes.DECIMAL(12, 2),
+                    allowNull: false
+                },
+                currency: {
+                    type: DataTypes.STRING(3),
+                    allowNull: false,
+                    defaultValue: 'usd'
+                },
+                description: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                occurredAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false
+                },
+                metadata: {
+                    type: DataTypes.JSON,
+                    allowNull: true
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('ledger_transactions', ['referenceType', 'referenceId']);
+            await queryInterface.addIndex('ledger_transactions', ['userId', 'occurredAt']);
+            await queryInterface.addIndex('ledger_transactions', ['occurredAt']);
+            await queryInterface.addIndex('ledger_transactions', ['stripeObjectId']);
+            console.log('✅ Created ledger_transactions table');
+        }
+
+        // 2. Entries
+        try {
+            await queryInterface.describeTable('ledger_entries');
+            console.log('⚠️  ledger_entries table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('ledger_entries', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                transactionId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'ledger_transactions',
+                        key: 'id'
+                    },
+                    onDelete: 'RESTRICT'
+                },
+                account: {
+                    type: DataTypes.STRING(50),
+                    allowNull: false
+                },
+                userId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'SET NULL'
+                },
+                direction: {
+                    type: DataTypes.ENUM('debit', 'credit'),
+                    allowNull: false
+                },
+                amount: {
+                    type: DataTypes.DECIMAL(12, 2),
+                    allowNull: false
+                },
+                occurredAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('ledger_entries', ['transactionId']);
+            await queryInterface.addIndex('ledger_entries', ['account', 'occurredAt']);
+            await queryInterface.addIndex('ledger_entries', ['account', 'userId']);
+            console.log('✅ Created ledger_entries table');
+        }
+
+        console.log('\n✅ Migration completed successfully!');
+        console.log('   Run "npm run ledger-backfill" to post existing payments, payouts and refunds.\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createLedgerTables();
@@ -0,0 +1,110 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createMediaTable() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating media table...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('media');
+            console.log('⚠️  media table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('media', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                ownerId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'SET NULL'
+                },
+                purpose: {
+                    type: DataTypes.STRING(50),
+                    allowNull: false
+                },
+                kind: {
+                    type: DataTypes.ENUM('image', 'video'),
+                    allowNull: false
+                },
+                storage: {
+                    type: DataTypes.STRING(20),
+                    allowNull: false,
+                    defaultValue: 'local'
+                },
+                storageKey: {
+                    type: DataTypes.STRING(500),
+                    allowNull: false
+                },
+                url: {
+                    type: DataTypes.STRING(500),
+                    allowNull: false,
+                    unique: true
+                },
+                mimeType: {
+                    type: DataTypes.STRING(100),
+                    allowNull: false
+                },
+                originalName: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                size: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false
+                },
+                width: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true
+                },
+                height: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true
+                },
+                variants: {
+                    type: DataTypes.JSON,
+                    allowNull: true
+                },
+                checksum: {
+                    type: DataTypes.STRING(64),
+                    allowNull: true
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('media', ['ownerId']);
+            await queryInterface.addIndex('media', ['checksum']);
+            console.log('✅ Created media table');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createMediaTable();
@@ -0,0 +1,163 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createMessagingTables() {
+    const queryInterface = sequelize.getQueryInterface();
+
+    try {
+        console.log('🌱 Creating messaging tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('conversations');
+            console.log('⚠️  conversations table already exists, skipping...\n');
+        } catch (error) {
+            await queryInterface.createTable('conversations', {
+                id: {
+                    type: sequelize.Sequelize.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                serviceRequestId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'service_requests',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                proposalId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'proposals',
+                        key: 'id'
+                    },
+                    onDelete: 'SET NULL'
+                },
+                customerId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                providerId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                lastMessageAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: true
+                },
+                lastMessagePreview: {
+                    type: sequelize.Sequelize.STRING(255),
+                    allowNull: true
+                },
+                createdAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('conversations', ['serviceRequestId', 'providerId'], { unique: true });
+            await queryInterface.addIndex('conversations', ['customerId']);
+            await queryInterface.addIndex('conversations', ['providerId']);
+            console.log('✅ Created conversations table');
+        }
+
+        try {
+            await queryInterface.describeTable('messages');
+            console.log('⚠️  messages table already exists, skipping...\n');
+        } catch (error) {
+            await queryInterface.createTable('messages', {
+                id: {
+                    type: sequelize.Sequelize.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                conversationId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'conversations',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                senderId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                body: {
+                    type: sequelize.Sequelize.TEXT,
+                    allowNull: true
+                },
+                attachments: {
+                    type: sequelize.Sequelize.JSON,
+                    allowNull: true
+                },
+                readAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: true
+                },
+                createdAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('messages', ['conversationId', 'createdAt']);
+            await queryInterface.addIndex('messages', ['conversationId', 'senderId', 'readAt']);
+            console.log('✅ Created messages table');
+        }
+
+        // Per-type email preference for new messages
+        const preferences = await queryInterface.describeTable('notification_preferences');
+        if (!preferences.newMessage) {
+            await queryInterface.addColumn('notification_preferences', 'newMessage', {
+                type: sequelize.Sequelize.BOOLEAN,
+                defaultValue: true
+            });
+            console.log('✅ Added newMessage column to notification_preferences');
+        } else {
+            console.log('⚠️  newMessage column already exists, skipping...');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createMessagingTables();
@@ -0,0 +1,83 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createNotificationsTable() {
+    const queryInterface = sequelize.getQueryInterface();
+
+    try {
+        console.log('🌱 Creating notifications table...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('notifications');
+            console.log('⚠️  notifications table already exists, skipping...\n');
+        } catch (error) {
+            await queryInterface.createTable('notifications', {
+                id: {
+                    type: sequelize.Sequelize.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                userId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                type: {
+                    type: sequelize.Sequelize.STRING(50),
+                    allowNull: false
+                },
+                title: {
+                    type: sequelize.Sequelize.STRING(255),
+                    allowNull: false
+                },
+                message: {
+                    type: sequelize.Sequelize.TEXT,
+                    allowNull: true
+                },
+                link: {
+                    type: sequelize.Sequelize.STRING(255),
+                    allowNull: true
+                },
+                metadata: {
+                    type: sequelize.Sequelize.JSON,
+                    allowNull: true
+                },
+                readAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: true
+                },
+                createdAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('notifications', ['userId', 'readAt']);
+            await queryInterface.addIndex('notifications', ['userId', 'createdAt']);
+            console.log('✅ Created notifications table');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createNotificationsTable();
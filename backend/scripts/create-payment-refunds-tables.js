@@ -0,0 +1,283 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+/**
+ * Refunds and chargebacks: refund/dispute state on proposals, proposal_milestones
+ * and leads, plus the payment_refunds and payment_disputes tables (see utils/refunds.js)
+ */
+async function createPaymentRefundsTables() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    const disputeStatus = {
+        type: DataTypes.ENUM('needs_response', 'under_review', 'won', 'lost', 'closed'),
+        allowNull: true
+    };
+
+    try {
+        console.log('🌱 Creating payment refund tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        // 1. Proposal and milestone payments
+        for (const table of ['proposals', 'proposal_milestones']) {
+            const desc = await queryInterface.describeTable(table);
+
+            if (!String(desc.paymentStatus.type).includes('REFUNDED')) {
+                await queryInterface.changeColumn(table, 'paymentStatus', {
+                    type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'partially_refunded', 'refunded'),
+                    allowNull: table === 'proposals',
+                    defaultValue: 'pending'
+                });
+                console.log(`✅ Added refund states to ${table}.paymentStatus`);
+            }
+            if (!String(desc.payoutStatus.type).includes('REVERSED')) {
+                await queryInterface.changeColumn(table, 'payoutStatus', {
+                    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed', 'cancelled', 'reversed'),
+                    allowNull: true,
+                    defaultValue: table === 'proposals' ? 'pending' : null
+                });
+                console.log(`✅ Added cancelled/reversed to ${table}.payoutStatus`);
+            }
+
+            const columns = {
+                refundedAmount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+                payoutReversedAmount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+                disputeStatus
+            };
+            for (const [column, definition] of Object.entries(columns)) {
+                if (!desc[column]) {
+                    await queryInterface.addColumn(table, column, definition);
+                    console.log(`✅ Added ${column} column to ${table}`);
+                }
+            }
+        }
+
+        // 2. Lead fee payments
+        const leadsDesc = await queryInterface.describeTable('leads');
+        if (!leadsDesc.paymentStatus) {
+            await queryInterface.addColumn('leads', 'paymentStatus', {
+                type: DataTypes.ENUM('succeeded', 'failed', 'partially_refunded', 'refunded'),
+                allowNull: true
+            });
+            // Accepted leads with a payment intent were charged before this column existed
+            await sequelize.query(
+                "UPDATE leads SET paymentStatus = 'succeeded' WHERE status = 'accepted' AND stripePaymentIntentId IS NOT NULL"
+            );
+            console.log('✅ Added paymentStatus column to leads (accepted paid leads marked succeeded)');
+        }
+        if (!leadsDesc.refundedAmount) {
+            await queryInterface.addColumn('leads', 'refundedAmount', {
+                type: DataTypes.DECIMAL(10, 2),
+                allowNull: false,
+                defaultValue: 0
+            });
+            console.log('✅ Added refundedAmount column to leads');
+        }
+        if (!leadsDesc.disputeStatus) {
+            await queryInterface.addColumn('leads', 'disputeStatus', disputeStatus);
+            console.log('✅ Added disputeStatus column to leads');
+        }
+
+        // Shared by both tables
+        const paymentColumns = {
+            proposalId: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'proposals',
+                    key: 'id'
+                },
+                onDelete: 'SET NULL'
+            },
+            milestoneId: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'proposal_milestones',
+                    key: 'id'
+                },
+                onDelete: 'SET NULL'
+            },
+            leadId: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'leads',
+                    key: 'id'
+                },
+                onDelete: 'SET NULL'
+            }
+        };
+        const reversalColumns = {
+            transferReversalAmount: {
+                type: DataTypes.DECIMAL(10, 2),
+                allowNull: false,
+                defaultValue: 0
+            },
+            transferReversalStatus: {
+                type: DataTypes.ENUM('none', 'pending', 'reversed', 'recorded', 'failed'),
+                allowNull: false,
+                defaultValue: 'none'
+            },
+            stripeTransferReversalId: {
+                type: DataTypes.STRING(255),
+                allowNull: true
+            }
+        };
+        const timestamps = {
+            metadata: {
+                type: DataTypes.JSON,
+                allowNull: true
+            },
+            createdAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updatedAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+            }
+        };
+
+        // 3. Refunds
+        try {
+            await queryInterface.describeTable('payment_refunds');
+            console.log('⚠️  payment_refunds table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('payment_refunds', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                ...paymentColumns,
+                stripePaymentIntentId: {
+                    type: DataTypes.STRING(255),
+                    allowNull: false
+                },
+                stripeChargeId: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                stripeRefundId: {
+                    type: DataTypes.STRING(191),
+                    allowNull: true,
+                    unique: true
+                },
+                amount: {
+                    type: DataTypes.DECIMAL(10, 2),
+                    allowNull: false
+                },
+                reason: {
+                    type: DataTypes.ENUM('requested_by_customer', 'duplicate', 'fraudulent', 'other'),
+                    allowNull: false,
+                    defaultValue: 'requested_by_customer'
+                },
+                note: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                status: {
+                    type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'canceled'),
+                    allowNull: false,
+                    defaultValue: 'pending'
+                },
+                source: {
+                    type: DataTypes.ENUM('admin', 'stripe'),
+                    allowNull: false,
+                    defaultValue: 'admin'
+                },
+                initiatedBy: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'SET NULL'
+                },
+                ...reversalColumns,
+                appliedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                ...timestamps
+            });
+            await queryInterface.addIndex('payment_refunds', ['proposalId']);
+            await queryInterface.addIndex('payment_refunds', ['leadId']);
+            await queryInterface.addIndex('payment_refunds', ['stripePaymentIntentId']);
+            console.log('✅ Created payment_refunds table');
+        }
+
+        // 4. Chargebacks
+        try {
+            await queryInterface.describeTable('payment_disputes');
+            console.log('⚠️  payment_disputes table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('payment_disputes', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                stripeDisputeId: {
+                    type: DataTypes.STRING(191),
+                    allowNull: false,
+                    unique: true
+                },
+                stripeChargeId: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                stripePaymentIntentId: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                ...paymentColumns,
+                amount: {
+                    type: DataTypes.DECIMAL(10, 2),
+                    allowNull: false
+                },
+                reason: {
+                    type: DataTypes.STRING(100),
+                    allowNull: true
+                },
+                status: {
+                    type: DataTypes.STRING(50),
+                    allowNull: false
+                },
+                evidenceDueBy: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                closedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                ...reversalColumns,
+                ...timestamps
+            });
+            await queryInterface.addIndex('payment_disputes', ['proposalId']);
+            await queryInterface.addIndex('payment_disputes', ['leadId']);
+            await queryInterface.addIndex('payment_disputes', ['status']);
+            console.log('✅ Created payment_disputes table');
+        }
+
+        console.log('\n✅ Migration completed successfully!');
+        console.log('   Subscribe the Stripe webhook to charge.refunded, charge.refund.updated and');
+        console.log('   charge.dispute.created/updated/closed so dashboard refunds and chargebacks are recorded.\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createPaymentRefundsTables();
@@ -0,0 +1,144 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+/**
+ * Platform fee schedules: the platform_fee_rules table, plus the platformFeeRule
+ * snapshot on proposals and proposal_milestones (see config/platformFee.js)
+ */
+async function createPlatformFeeRulesTable() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating platform fee rules table...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        // 1. Fee rules
+        try {
+            await queryInterface.describeTable('platform_fee_rules');
+            console.log('⚠️  platform_fee_rules table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('platform_fee_rules', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                name: {
+                    type: DataTypes.STRING(150),
+                    allowNull: false
+                },
+                categoryId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'categories',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                planTier: {
+                    type: DataTypes.ENUM('BASIC', 'PRO', 'PREMIUM'),
+                    allowNull: true
+                },
+                userId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                feePercent: {
+                    type: DataTypes.DECIMAL(5, 2),
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                fixedFeeCents: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                minFeeCents: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true
+                },
+                maxFeeCents: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true
+                },
+                effectiveFrom: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                effectiveTo: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                priority: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                isActive: {
+                    type: DataTypes.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: true
+                },
+                notes: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                createdBy: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'SET NULL'
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('platform_fee_rules', ['isActive']);
+            await queryInterface.addIndex('platform_fee_rules', ['userId']);
+            console.log('✅ Created platform_fee_rules table');
+        }
+
+        // 2. Rule snapshots on paid proposals and milestones
+        for (const table of ['proposals', 'proposal_milestones']) {
+            const desc = await queryInterface.describeTable(table);
+            if (!desc.platformFeeRule) {
+                await queryInterface.addColumn(table, 'platformFeeRule', {
+                    type: DataTypes.JSON,
+                    allowNull: true
+                });
+                console.log(`✅ Added platformFeeRule column to ${table}`);
+            }
+        }
+
+        console.log('\n✅ Migration completed successfully!');
+        console.log('   Payments made before this migration keep their stored split (the default fee).\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createPlatformFeeRulesTable();
@@ -0,0 +1,176 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createPromotionTables() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating promotion tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('promotions');
+            console.log('⚠️  promotions table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('promotions', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                businessId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'businesses',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                title: {
+                    type: DataTypes.STRING(150),
+                    allowNull: false
+                },
+                description: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                discountType: {
+                    type: DataTypes.ENUM('percent', 'fixed', 'free_addon'),
+                    allowNull: false
+                },
+                discountValue: {
+                    type: DataTypes.DECIMAL(10, 2),
+                    allowNull: true
+                },
+                addOnDescription: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                code: {
+                    type: DataTypes.STRING(50),
+                    allowNull: true
+                },
+                startsAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false
+                },
+                endsAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                maxRedemptions: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true
+                },
+                redemptionCount: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                categoryIds: {
+                    type: DataTypes.JSON,
+                    allowNull: false
+                },
+                isActive: {
+                    type: DataTypes.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: true
+                },
+                moderationStatus: {
+                    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+                    allowNull: false,
+                    defaultValue: 'pending'
+                },
+                moderationNote: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                moderatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                moderatedBy: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'SET NULL'
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('promotions', ['businessId']);
+            await queryInterface.addIndex('promotions', ['moderationStatus']);
+            await queryInterface.addIndex('promotions', ['startsAt', 'endsAt']);
+            console.log('✅ Created promotions table');
+        }
+
+        try {
+            await queryInterface.describeTable('promotion_redemptions');
+            console.log('⚠️  promotion_redemptions table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('promotion_redemptions', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                promotionId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'promotions',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                userId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('promotion_redemptions', ['promotionId', 'userId'], { unique: true });
+            console.log('✅ Created promotion_redemptions table');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createPromotionTables();
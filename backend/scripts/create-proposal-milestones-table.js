@@ -0,0 +1,119 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createProposalMilestonesTable() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating proposal_milestones table...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('proposal_milestones');
+            console.log('⚠️  proposal_milestones table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('proposal_milestones', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                proposalId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'proposals',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                position: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                title: {
+                    type: DataTypes.STRING(255),
+                    allowNull: false
+                },
+                description: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                amount: {
+                    type: DataTypes.DECIMAL(10, 2),
+                    allowNull: false
+                },
+                dueCondition: {
+                    type: DataTypes.ENUM('on_acceptance', 'on_start', 'on_completion', 'custom'),
+                    allowNull: false,
+                    defaultValue: 'on_completion'
+                },
+                stripePaymentIntentId: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                paymentStatus: {
+                    type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+                    allowNull: false,
+                    defaultValue: 'pending'
+                },
+                paidAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                approvedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                providerPayoutAmount: {
+                    type: DataTypes.DECIMAL(10, 2),
+                    allowNull: true
+                },
+                platformFeeAmount: {
+                    type: DataTypes.DECIMAL(10, 2),
+                    allowNull: true
+                },
+                payoutStatus: {
+                    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+                    allowNull: true
+                },
+                payoutProcessedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                stripeTransferId: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('proposal_milestones', ['proposalId', 'position']);
+            await queryInterface.addIndex('proposal_milestones', ['stripePaymentIntentId']);
+            console.log('✅ Created proposal_milestones table');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createProposalMilestonesTable();
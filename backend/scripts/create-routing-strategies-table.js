@@ -0,0 +1,102 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createRoutingStrategiesTable() {
+    const queryInterface = sequelize.getQueryInterface();
+
+    try {
+        console.log('🌱 Creating routing strategies table...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('routing_strategies');
+            console.log('⚠️  routing_strategies table already exists, skipping...\n');
+        } catch (error) {
+            await queryInterface.createTable('routing_strategies', {
+                id: {
+                    type: sequelize.Sequelize.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                name: {
+                    type: sequelize.Sequelize.STRING(100),
+                    allowNull: false
+                },
+                type: {
+                    type: sequelize.Sequelize.ENUM('score', 'round_robin', 'exclusive', 'shared'),
+                    allowNull: false,
+                    defaultValue: 'score'
+                },
+                categoryId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'categories',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                weights: {
+                    type: sequelize.Sequelize.JSON,
+                    allowNull: true
+                },
+                sharedCount: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    defaultValue: 4
+                },
+                maxDistanceMiles: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: true
+                },
+                capacityLimit: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    defaultValue: 10
+                },
+                priorityProvidersFirst: {
+                    type: sequelize.Sequelize.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: true
+                },
+                isActive: {
+                    type: sequelize.Sequelize.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: true
+                },
+                createdAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('routing_strategies', ['categoryId', 'isActive']);
+            console.log('✅ Created routing_strategies table');
+        }
+
+        // Round-robin and the rate factors group leads by provider and routing time
+        const leadIndexes = await queryInterface.showIndex('leads');
+        if (!leadIndexes.some(index => index.name === 'leads_provider_id_routed_at')) {
+            await queryInterface.addIndex('leads', ['providerId', 'routedAt'], { name: 'leads_provider_id_routed_at' });
+            console.log('✅ Added leads(providerId, routedAt) index');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createRoutingStrategiesTable();
@@ -0,0 +1,123 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createSearchTables() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating search index tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('search_documents');
+            console.log('⚠️  search_documents table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('search_documents', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                businessId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    unique: true,
+                    references: {
+                        model: 'businesses',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                nameText: {
+                    type: DataTypes.TEXT,
+                    allowNull: false
+                },
+                keywordText: {
+                    type: DataTypes.TEXT,
+                    allowNull: false
+                },
+                contentText: {
+                    type: DataTypes.TEXT,
+                    allowNull: false
+                },
+                reviewText: {
+                    type: DataTypes.TEXT,
+                    allowNull: false
+                },
+                terms: {
+                    type: DataTypes.JSON,
+                    allowNull: false
+                },
+                indexedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            // One FULLTEXT index per column so each can be weighted separately
+            for (const column of ['nameText', 'keywordText', 'contentText', 'reviewText']) {
+                await queryInterface.addIndex('search_documents', [column], { type: 'FULLTEXT' });
+            }
+            console.log('✅ Created search_documents table');
+        }
+
+        try {
+            await queryInterface.describeTable('search_terms');
+            console.log('⚠️  search_terms table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('search_terms', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                term: {
+                    type: DataTypes.STRING(64),
+                    allowNull: false,
+                    unique: true
+                },
+                documentCount: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('search_terms', ['documentCount']);
+            console.log('✅ Created search_terms table');
+        }
+
+        console.log('\n✅ Migration completed successfully!');
+        console.log('   Run "npm run search-reindex" to index existing businesses.\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createSearchTables();
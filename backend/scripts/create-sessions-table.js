@@ -0,0 +1,93 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createSessionsTable() {
+    const queryInterface = sequelize.getQueryInterface();
+
+    try {
+        console.log('🌱 Creating sessions table...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('sessions');
+            console.log('⚠️  sessions table already exists, skipping...\n');
+        } catch (error) {
+            await queryInterface.createTable('sessions', {
+                id: {
+                    type: sequelize.Sequelize.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                userId: {
+                    type: sequelize.Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                refreshTokenHash: {
+                    type: sequelize.Sequelize.STRING(64),
+                    allowNull: false,
+                    unique: true
+                },
+                previousTokenHash: {
+                    type: sequelize.Sequelize.STRING(64),
+                    allowNull: true
+                },
+                userAgent: {
+                    type: sequelize.Sequelize.STRING(500),
+                    allowNull: true
+                },
+                ipAddress: {
+                    type: sequelize.Sequelize.STRING(45),
+                    allowNull: true
+                },
+                lastUsedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: true
+                },
+                expiresAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false
+                },
+                revokedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: true
+                },
+                revokedReason: {
+                    type: sequelize.Sequelize.STRING(50),
+                    allowNull: true
+                },
+                createdAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: sequelize.Sequelize.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('sessions', ['userId', 'revokedAt']);
+            await queryInterface.addIndex('sessions', ['previousTokenHash']);
+            console.log('✅ Created sessions table');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        console.log('ℹ️  Existing access tokens carry no session id and will be rejected - users need to log in again.\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createSessionsTable();
@@ -0,0 +1,180 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+/**
+ * Recurring subscription billing: renewal/dunning columns on user_subscriptions
+ * and the subscription_invoices table (see utils/subscriptionBilling.js)
+ */
+async function createSubscriptionBillingTables() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating subscription billing tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        // 1. Billing state on user_subscriptions
+        const subscriptionsDesc = await queryInterface.describeTable('user_subscriptions');
+        if (!String(subscriptionsDesc.status.type).includes('PAST_DUE')) {
+            await queryInterface.changeColumn('user_subscriptions', 'status', {
+                type: DataTypes.ENUM('ACTIVE', 'PAST_DUE', 'CANCELLED', 'EXPIRED', 'TRIAL'),
+                allowNull: true,
+                defaultValue: 'ACTIVE'
+            });
+            console.log('✅ Added PAST_DUE to user_subscriptions.status');
+        }
+
+        const subscriptionColumns = {
+            billingCustomerId: { type: DataTypes.STRING(255), allowNull: true },
+            paymentMethodId: { type: DataTypes.STRING(255), allowNull: true },
+            cancelAtPeriodEnd: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+            creditBalance: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+            failedPaymentCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+            nextPaymentAttemptAt: { type: DataTypes.DATE, allowNull: true },
+            graceEndsAt: { type: DataTypes.DATE, allowNull: true }
+        };
+        for (const [column, definition] of Object.entries(subscriptionColumns)) {
+            if (!subscriptionsDesc[column]) {
+                await queryInterface.addColumn('user_subscriptions', column, definition);
+                console.log(`✅ Added ${column} column to user_subscriptions`);
+            }
+        }
+        if (!subscriptionsDesc.nextPaymentAttemptAt) {
+            await queryInterface.addIndex('user_subscriptions', ['status', 'currentPeriodEnd']);
+            await queryInterface.addIndex('user_subscriptions', ['status', 'nextPaymentAttemptAt']);
+            console.log('✅ Added user_subscriptions renewal indexes');
+        }
+
+        // 2. Invoices
+        try {
+            await queryInterface.describeTable('subscription_invoices');
+            console.log('⚠️  subscription_invoices table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('subscription_invoices', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                userSubscriptionId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'user_subscriptions',
+                        key: 'id'
+                    },
+                    onDelete: 'SET NULL'
+                },
+                userId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                subscriptionPlanId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'subscription_plans',
+                        key: 'id'
+                    }
+                },
+                reason: {
+                    type: DataTypes.ENUM('subscribe', 'renewal', 'plan_change'),
+                    allowNull: false
+                },
+                status: {
+                    type: DataTypes.ENUM('open', 'paid', 'failed', 'void'),
+                    allowNull: false,
+                    defaultValue: 'open'
+                },
+                subtotal: {
+                    type: DataTypes.DECIMAL(10, 2),
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                creditApplied: {
+                    type: DataTypes.DECIMAL(10, 2),
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                amount: {
+                    type: DataTypes.DECIMAL(10, 2),
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                currency: {
+                    type: DataTypes.STRING(3),
+                    allowNull: false,
+                    defaultValue: 'usd'
+                },
+                periodStart: {
+                    type: DataTypes.DATE,
+                    allowNull: false
+                },
+                periodEnd: {
+                    type: DataTypes.DATE,
+                    allowNull: false
+                },
+                paymentId: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                attemptCount: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                lastError: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                paidAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                idempotencyKey: {
+                    type: DataTypes.STRING(191),
+                    allowNull: false,
+                    unique: true
+                },
+                metadata: {
+                    type: DataTypes.JSON,
+                    allowNull: true
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('subscription_invoices', ['userId', 'createdAt']);
+            await queryInterface.addIndex('subscription_invoices', ['userSubscriptionId', 'status']);
+            await queryInterface.addIndex('subscription_invoices', ['paymentId']);
+            console.log('✅ Created subscription_invoices table');
+        }
+
+        console.log('\n✅ Migration completed successfully!');
+        console.log('   Existing subscriptions have no saved card yet; their next renewal goes into dunning');
+        console.log('   until the customer pays once through the new checkout.\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createSubscriptionBillingTables();
@@ -0,0 +1,162 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function createWebhookTables() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    try {
+        console.log('🌱 Creating webhook tables...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        try {
+            await queryInterface.describeTable('webhook_endpoints');
+            console.log('⚠️  webhook_endpoints table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('webhook_endpoints', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                userId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                url: {
+                    type: DataTypes.STRING(500),
+                    allowNull: false
+                },
+                description: {
+                    type: DataTypes.STRING(255),
+                    allowNull: true
+                },
+                events: {
+                    type: DataTypes.JSON,
+                    allowNull: false
+                },
+                secret: {
+                    type: DataTypes.STRING(100),
+                    allowNull: false
+                },
+                isActive: {
+                    type: DataTypes.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: true
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('webhook_endpoints', ['userId', 'isActive']);
+            console.log('✅ Created webhook_endpoints table');
+        }
+
+        try {
+            await queryInterface.describeTable('webhook_deliveries');
+            console.log('⚠️  webhook_deliveries table already exists, skipping...');
+        } catch (error) {
+            await queryInterface.createTable('webhook_deliveries', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                endpointId: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'webhook_endpoints',
+                        key: 'id'
+                    },
+                    onDelete: 'CASCADE'
+                },
+                event: {
+                    type: DataTypes.STRING(50),
+                    allowNull: false
+                },
+                payload: {
+                    type: DataTypes.JSON,
+                    allowNull: false
+                },
+                status: {
+                    type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+                    allowNull: false,
+                    defaultValue: 'pending'
+                },
+                isTest: {
+                    type: DataTypes.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: false
+                },
+                attempts: {
+                    type: DataTypes.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                responseStatus: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true
+                },
+                responseBody: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                errorMessage: {
+                    type: DataTypes.STRING(500),
+                    allowNull: true
+                },
+                durationMs: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true
+                },
+                lastAttemptAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                deliveredAt: {
+                    type: DataTypes.DATE,
+                    allowNull: true
+                },
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            await queryInterface.addIndex('webhook_deliveries', ['endpointId', 'createdAt']);
+            await queryInterface.addIndex('webhook_deliveries', ['status']);
+            console.log('✅ Created webhook_deliveries table');
+        }
+
+        console.log('\n✅ Migration completed successfully!\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createWebhookTables();
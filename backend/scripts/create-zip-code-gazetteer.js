@@ -0,0 +1,116 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+/**
+ * Create (or extend) the zip_codes table for the offline gazetteer:
+ * centroid coordinates, county, timezone and neighbouring zip codes.
+ * Load the data afterwards with "npm run import-zip-codes".
+ */
+async function createZipCodeGazetteer() {
+    const queryInterface = sequelize.getQueryInterface();
+    const { DataTypes } = require('sequelize');
+
+    const gazetteerColumns = {
+        county: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        latitude: {
+            type: DataTypes.DECIMAL(10, 8),
+            allowNull: true
+        },
+        longitude: {
+            type: DataTypes.DECIMAL(11, 8),
+            allowNull: true
+        },
+        timezone: {
+            type: DataTypes.STRING(64),
+            allowNull: true
+        },
+        neighbors: {
+            type: DataTypes.JSON,
+            allowNull: true
+        }
+    };
+
+    try {
+        console.log('🌱 Creating zip code gazetteer...\n');
+
+        // Test connection
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        let tableDescription = null;
+        try {
+            tableDescription = await queryInterface.describeTable('zip_codes');
+        } catch (error) {
+            tableDescription = null;
+        }
+
+        if (!tableDescription) {
+            await queryInterface.createTable('zip_codes', {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true
+                },
+                code: {
+                    type: DataTypes.STRING(10),
+                    allowNull: false,
+                    unique: true
+                },
+                city: {
+                    type: DataTypes.STRING(100),
+                    allowNull: false
+                },
+                state: {
+                    type: DataTypes.STRING(50),
+                    allowNull: false
+                },
+                ...gazetteerColumns,
+                createdAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updatedAt: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                    defaultValue: sequelize.Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+                }
+            });
+            console.log('✅ Created zip_codes table');
+        } else {
+            console.log('⚠️  zip_codes table already exists, adding gazetteer columns...');
+            for (const [column, definition] of Object.entries(gazetteerColumns)) {
+                if (tableDescription[column]) {
+                    console.log(`   ⚠️  ${column} already exists`);
+                } else {
+                    await queryInterface.addColumn('zip_codes', column, definition);
+                    console.log(`   ✅ Added ${column}`);
+                }
+            }
+        }
+
+        const indexes = await queryInterface.showIndex('zip_codes');
+        if (!indexes.some(index => index.name === 'zip_codes_latitude_longitude')) {
+            await queryInterface.addIndex('zip_codes', ['latitude', 'longitude'], { name: 'zip_codes_latitude_longitude' });
+            console.log('✅ Added latitude/longitude index');
+        }
+        if (!indexes.some(index => index.name === 'zip_codes_city_state')) {
+            await queryInterface.addIndex('zip_codes', ['city', 'state'], { name: 'zip_codes_city_state' });
+            console.log('✅ Added city/state index');
+        }
+
+        console.log('\n✅ Migration completed successfully!');
+        console.log('   Run "npm run import-zip-codes" to load the bundled gazetteer.\n');
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+// Run migration
+createZipCodeGazetteer();
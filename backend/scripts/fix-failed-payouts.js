@@ -11,7 +11,7 @@
 require('dotenv').config();
 const { sequelize } = require('../config/database');
 const { Proposal, ServiceRequest } = require('../models');
-const { calculatePayouts } = require('../config/platformFee');
+const { calculatePayouts, resolveProposalFee } = require('../config/platformFee');
 
 async function fixFailedPayouts() {
     try {
@@ -49,7 +49,8 @@ async function fixFailedPayouts() {
                 if (serviceRequest && (serviceRequest.status === 'APPROVED' || serviceRequest.status === 'CLOSED')) {
                     // Calculate payout amounts
                     const totalAmount = parseFloat(proposal.price) || 0;
-                    const calculated = calculatePayouts(totalAmount);
+                    const feeRule = proposal.platformFeeRule || await resolveProposalFee(proposal, proposal.paidAt);
+                    const calculated = calculatePayouts(totalAmount, feeRule);
 
                     console.log(`Fixing payout for proposal ${proposal.id} (Service Request: ${serviceRequest.id}, Status: ${serviceRequest.status})...`);
 
@@ -58,7 +59,8 @@ async function fixFailedPayouts() {
                         payoutStatus: 'completed',
                         payoutProcessedAt: new Date(),
                         providerPayoutAmount: calculated.providerAmount,
-                        platformFeeAmount: calculated.platformFee
+                        platformFeeAmount: calculated.platformFee,
+                        platformFeeRule: feeRule
                     });
 
                     fixedCount++;
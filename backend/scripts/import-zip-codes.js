@@ -0,0 +1,173 @@
+/**
+ * Load the offline zip code gazetteer (data/us-zip-codes.csv) into zip_codes.
+ * Existing rows are updated in place, so the script can be re-run after the
+ * dataset is refreshed. Neighbouring zip codes are computed here from the centroids.
+ *
+ * Usage: node scripts/import-zip-codes.js [path/to/file.csv]
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const fs = require('fs');
+const path = require('path');
+const { sequelize } = require('../config/database');
+const ZipCode = require('../models/ZipCode');
+const { calculateDistance } = require('../utils/geolocation');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'us-zip-codes.csv');
+const NEIGHBOR_RADIUS_MILES = 25;
+const MAX_NEIGHBORS = 8;
+const GRID_CELL_DEGREES = 0.25;
+const BATCH_SIZE = 1000;
+
+// Split one CSV line, honouring double-quoted fields
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function readGazetteer(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  const header = parseCsvLine(lines.shift());
+  const column = name => {
+    const index = header.indexOf(name);
+    if (index === -1) {
+      throw new Error(`Missing column "${name}" in ${file}`);
+    }
+    return index;
+  };
+  const columns = {
+    zip: column('zip'),
+    city: column('city'),
+    state: column('state'),
+    county: column('county'),
+    latitude: column('latitude'),
+    longitude: column('longitude'),
+    timezone: column('timezone')
+  };
+
+  const entries = [];
+  let skipped = 0;
+  for (const line of lines) {
+    const fields = parseCsvLine(line);
+    const code = (fields[columns.zip] || '').trim();
+    const latitude = parseFloat(fields[columns.latitude]);
+    const longitude = parseFloat(fields[columns.longitude]);
+
+    if (!/^\d{5}$/.test(code) || !fields[columns.city] || !fields[columns.state]) {
+      skipped++;
+      continue;
+    }
+
+    entries.push({
+      code,
+      city: fields[columns.city].trim(),
+      state: fields[columns.state].trim().toUpperCase(),
+      county: (fields[columns.county] || '').trim() || null,
+      latitude: Number.isFinite(latitude) ? latitude : null,
+      longitude: Number.isFinite(longitude) ? longitude : null,
+      timezone: (fields[columns.timezone] || '').trim() || null
+    });
+  }
+
+  return { entries, skipped };
+}
+
+// Nearest zip codes within NEIGHBOR_RADIUS_MILES, using a coarse grid so each
+// centroid is only compared with the ones around it
+function computeNeighbors(entries) {
+  const cellKey = (latCell, lngCell) => `${latCell}:${lngCell}`;
+  const grid = new Map();
+  const located = entries.filter(entry => entry.latitude !== null && entry.longitude !== null);
+
+  for (const entry of located) {
+    const key = cellKey(Math.floor(entry.latitude / GRID_CELL_DEGREES), Math.floor(entry.longitude / GRID_CELL_DEGREES));
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(entry);
+  }
+
+  for (const entry of entries) {
+    entry.neighbors = [];
+    if (entry.latitude === null || entry.longitude === null) continue;
+
+    const latCell = Math.floor(entry.latitude / GRID_CELL_DEGREES);
+    const lngCell = Math.floor(entry.longitude / GRID_CELL_DEGREES);
+    const latSpan = Math.ceil(NEIGHBOR_RADIUS_MILES / 69 / GRID_CELL_DEGREES);
+    const milesPerLngDegree = Math.max(69 * Math.cos(entry.latitude * Math.PI / 180), 1);
+    const lngSpan = Math.min(Math.ceil(NEIGHBOR_RADIUS_MILES / milesPerLngDegree / GRID_CELL_DEGREES), 40);
+
+    const nearby = [];
+    for (let dLat = -latSpan; dLat <= latSpan; dLat++) {
+      for (let dLng = -lngSpan; dLng <= lngSpan; dLng++) {
+        for (const other of grid.get(cellKey(latCell + dLat, lngCell + dLng)) || []) {
+          if (other.code === entry.code) continue;
+          const distance = calculateDistance(entry.latitude, entry.longitude, other.latitude, other.longitude);
+          if (distance <= NEIGHBOR_RADIUS_MILES) {
+            nearby.push({ code: other.code, distance });
+          }
+        }
+      }
+    }
+
+    entry.neighbors = nearby
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_NEIGHBORS)
+      .map(neighbor => neighbor.code);
+  }
+}
+
+async function importZipCodes() {
+  const file = path.resolve(process.argv[2] || DEFAULT_FILE);
+
+  try {
+    console.log(`🚀 Importing zip code gazetteer from ${file}...\n`);
+
+    await sequelize.authenticate();
+    console.log('✅ Database connection established\n');
+
+    const { entries, skipped } = readGazetteer(file);
+    console.log(`📋 Read ${entries.length} zip codes${skipped ? ` (${skipped} invalid rows skipped)` : ''}`);
+
+    computeNeighbors(entries);
+    console.log('📍 Computed neighbouring zip codes\n');
+
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+      await ZipCode.bulkCreate(entries.slice(i, i + BATCH_SIZE), {
+        updateOnDuplicate: ['city', 'state', 'county', 'latitude', 'longitude', 'timezone', 'neighbors', 'updatedAt']
+      });
+      process.stdout.write(`   ${Math.min(i + BATCH_SIZE, entries.length)}/${entries.length}\r`);
+    }
+
+    console.log(`\n\n✅ Imported ${entries.length} zip codes`);
+    await sequelize.close();
+  } catch (error) {
+    console.error('❌ Failed to import zip codes:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+importZipCodes();
@@ -0,0 +1,153 @@
+/**
+ * Move base64 data URLs out of businesses.logo/images/videos and reviews.images
+ * into media storage, replacing each one with the stored media url.
+ *
+ * Run `npm run migrate-media` first. Rows are read in small batches so the blobs
+ * never all sit in memory at once. Values that can't be converted (unsupported or
+ * corrupt files) are left in place and listed at the end.
+ *
+ * Usage: node scripts/migrate-base64-media.js [--dry-run]
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Business, Review } = require('../models');
+const { storeDataUrl } = require('../utils/media');
+
+const BATCH_SIZE = 25;
+const dryRun = process.argv.includes('--dry-run');
+
+const isDataUrl = (value) => typeof value === 'string' && value.startsWith('data:');
+
+const toArray = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') {
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    return [];
+};
+
+const stats = { converted: 0, rowsUpdated: 0 };
+const failures = [];
+
+// Returns the media url, or the original value if it couldn't be stored
+async function convert(value, { ownerId, purpose, label }) {
+    if (!isDataUrl(value)) {
+        return value;
+    }
+    if (dryRun) {
+        stats.converted++;
+        return value;
+    }
+
+    const result = await storeDataUrl(value, { ownerId, purpose, originalName: `${label}-migrated` });
+    if (result.error) {
+        failures.push(`${label}: ${result.error}`);
+        return value;
+    }
+    stats.converted++;
+    return result.media.url;
+}
+
+async function convertList(values, options) {
+    const converted = [];
+    for (let i = 0; i < values.length; i++) {
+        converted.push(await convert(values[i], { ...options, label: `${options.label}[${i}]` }));
+    }
+    return converted;
+}
+
+async function eachBatch(Model, attributes, handler) {
+    let lastId = 0;
+    for (;;) {
+        const rows = await Model.findAll({
+            where: { id: { [Op.gt]: lastId } },
+            attributes,
+            order: [['id', 'ASC']],
+            limit: BATCH_SIZE
+        });
+        if (rows.length === 0) {
+            return;
+        }
+        for (const row of rows) {
+            await handler(row);
+        }
+        lastId = rows[rows.length - 1].id;
+    }
+}
+
+async function migrateBusinesses() {
+    await eachBatch(Business, ['id', 'ownerId', 'logo', 'images', 'videos'], async (business) => {
+        const images = toArray(business.images);
+        const videos = toArray(business.videos);
+        if (!isDataUrl(business.logo) && !images.some(isDataUrl) && !videos.some(isDataUrl)) {
+            return;
+        }
+
+        const label = `business ${business.id}`;
+        const updates = {
+            logo: await convert(business.logo, { ownerId: business.ownerId, purpose: 'business_logo', label: `${label} logo` }),
+            images: await convertList(images, { ownerId: business.ownerId, purpose: 'business_image', label: `${label} images` }),
+            videos: await convertList(videos, { ownerId: business.ownerId, purpose: 'business_video', label: `${label} videos` })
+        };
+
+        if (!dryRun) {
+            // Raw update: skip model validation and hooks, only the media columns change
+            await Business.update(updates, { where: { id: business.id }, hooks: false, validate: false });
+        }
+        stats.rowsUpdated++;
+        console.log(`  ${dryRun ? 'Would update' : 'Updated'} ${label}`);
+    });
+}
+
+async function migrateReviews() {
+    await eachBatch(Review, ['id', 'userId', 'images'], async (review) => {
+        const images = toArray(review.images);
+        if (!images.some(isDataUrl)) {
+            return;
+        }
+
+        const label = `review ${review.id}`;
+        const converted = await convertList(images, { ownerId: review.userId, purpose: 'review_image', label: `${label} images` });
+
+        if (!dryRun) {
+            await Review.update({ images: converted }, { where: { id: review.id }, hooks: false, validate: false });
+        }
+        stats.rowsUpdated++;
+        console.log(`  ${dryRun ? 'Would update' : 'Updated'} ${label}`);
+    });
+}
+
+async function migrateBase64Media() {
+    try {
+        console.log(`🚀 Moving base64 media into storage${dryRun ? ' (dry run)' : ''}...\n`);
+
+        await sequelize.authenticate();
+        console.log('✅ Database connected\n');
+
+        console.log('📦 Businesses');
+        await migrateBusinesses();
+        console.log('\n📦 Reviews');
+        await migrateReviews();
+
+        console.log(`\n✅ ${dryRun ? 'Would convert' : 'Converted'} ${stats.converted} file(s) in ${stats.rowsUpdated} row(s)`);
+        if (failures.length > 0) {
+            console.log(`\n⚠️  ${failures.length} value(s) left as base64:`);
+            failures.forEach(failure => console.log(`  - ${failure}`));
+        }
+
+        await sequelize.close();
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        await sequelize.close();
+        process.exit(1);
+    }
+}
+
+migrateBase64Media();
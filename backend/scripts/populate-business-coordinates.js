@@ -149,8 +149,9 @@ async function populateCoordinates() {
         });
       }
       
-      // Add a small delay to avoid rate limiting (especially for Google API)
-      if (i < businesses.length - 1) {
+      // Add a small delay to avoid rate limiting when live geocoding APIs may be used
+      // (lookups from the offline gazetteer don't need it)
+      if (process.env.GEOCODING_LIVE_FALLBACK === 'true' && i < businesses.length - 1) {
         await new Promise(resolve => setTimeout(resolve, 300)); // 300ms delay
       }
     }
@@ -0,0 +1,31 @@
+/**
+ * Rebuild the business search index from scratch (search_documents and search_terms).
+ * The 'search.sync' job keeps it up to date afterwards.
+ *
+ * Usage: node scripts/rebuild-search-index.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { sequelize } = require('../config/database');
+const { rebuildSearchIndex } = require('../utils/searchIndex');
+
+async function rebuild() {
+  try {
+    console.log('🚀 Rebuilding search index...\n');
+
+    await sequelize.authenticate();
+    console.log('✅ Database connection established\n');
+
+    const started = Date.now();
+    const count = await rebuildSearchIndex();
+
+    console.log(`✅ Indexed ${count} businesses in ${((Date.now() - started) / 1000).toFixed(1)}s\n`);
+    await sequelize.close();
+  } catch (error) {
+    console.error('❌ Failed to rebuild search index:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+rebuild();
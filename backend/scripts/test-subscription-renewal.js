@@ -0,0 +1,106 @@
+/**
+ * Subscription renewal check (no database needed)
+ *
+ * A subscription whose period has ended but that the billing sweep has not reached yet
+ * must keep its benefits and stay ACTIVE, so the sweep still renews and charges it.
+ * Past-due subscriptions keep their benefits until the grace period ends.
+ *
+ * Usage: node scripts/test-subscription-renewal.js
+ */
+
+const assert = require('assert');
+const { Op } = require('sequelize');
+const { UserSubscription, SubscriptionInvoice, Job } = require('../models');
+const getSubscriptionBenefits = require('../utils/getSubscriptionBenefits');
+const { sweepSubscriptions } = require('../utils/subscriptionBilling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory subscription standing in for the database row
+const subscription = {
+    id: 1,
+    userId: 7,
+    status: 'ACTIVE',
+    currentPeriodEnd: new Date(Date.now() - DAY_MS),
+    graceEndsAt: null,
+    plan: {
+        id: 3,
+        name: 'Pro Plan',
+        tier: 'PRO',
+        leadDiscountPercent: 20,
+        priorityBoostPoints: 10,
+        isFeatured: true,
+        hasAdvancedAnalytics: true,
+        maxLeadsPerMonth: null
+    },
+    async update(fields) {
+        Object.assign(this, fields);
+        return this;
+    }
+};
+const queuedJobs = [];
+
+function matchesStatus(where) {
+    const status = where.status;
+    return typeof status === 'string' ? status === subscription.status : status[Op.in].includes(subscription.status);
+}
+
+UserSubscription.findOne = async ({ where }) => (matchesStatus(where) ? subscription : null);
+UserSubscription.findAll = async ({ where }) => {
+    if (!matchesStatus(where)) return [];
+    if (where.currentPeriodEnd) {
+        return new Date(subscription.currentPeriodEnd) <= new Date() ? [subscription] : [];
+    }
+    if (where.graceEndsAt) {
+        return subscription.graceEndsAt && new Date(subscription.graceEndsAt) <= new Date() ? [subscription] : [];
+    }
+    return [];
+};
+SubscriptionInvoice.findAll = async () => [];
+Job.findOne = async () => null;
+Job.create = async (job) => {
+    queuedJobs.push(job);
+    return job;
+};
+
+async function testSubscriptionRenewal() {
+    try {
+        console.log('=== TESTING SUBSCRIPTION RENEWAL ===\n');
+
+        console.log('1. Period ended, sweep not yet run...');
+        const benefits = await getSubscriptionBenefits(subscription.userId);
+        assert.strictEqual(benefits.hasActiveSubscription, true, 'benefits kept until the sweep renews');
+        assert.strictEqual(benefits.tier, 'PRO');
+        assert.strictEqual(benefits.leadDiscountPercent, 20);
+        assert.strictEqual(subscription.status, 'ACTIVE', 'benefits lookup must not expire the subscription');
+        console.log('   ✅ Benefits kept and subscription still ACTIVE\n');
+
+        console.log('2. Billing sweep...');
+        const counts = await sweepSubscriptions();
+        assert.strictEqual(counts.renewalsQueued, 1);
+        assert.strictEqual(queuedJobs.length, 1);
+        assert.strictEqual(queuedJobs[0].type, 'subscription.renew');
+        assert.deepStrictEqual(queuedJobs[0].payload, { subscriptionId: subscription.id });
+        console.log('   ✅ Renewal queued\n');
+
+        console.log('3. Past due within the grace period...');
+        await subscription.update({ status: 'PAST_DUE', graceEndsAt: new Date(Date.now() + 3 * DAY_MS) });
+        assert.strictEqual((await getSubscriptionBenefits(subscription.userId)).hasActiveSubscription, true);
+        console.log('   ✅ Benefits kept during grace\n');
+
+        console.log('4. Past due after the grace period...');
+        await subscription.update({ graceEndsAt: new Date(Date.now() - DAY_MS) });
+        assert.strictEqual((await getSubscriptionBenefits(subscription.userId)).hasActiveSubscription, false);
+        assert.strictEqual(subscription.status, 'PAST_DUE', 'expiry is left to the sweep');
+        console.log('   ✅ Benefits removed, expiry left to the sweep\n');
+
+        console.log('✅ Subscription renewal checks passed');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        if (error.stack) console.error(error.stack);
+        process.exit(1);
+    }
+}
+
+testSubscriptionRenewal();
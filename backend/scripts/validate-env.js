@@ -16,11 +16,18 @@ const optionalVars = [
   'DB_HOST',
   'DB_PORT',
   'PORT',
-  'JWT_EXPIRE',
+  'JWT_ACCESS_EXPIRE',
+  'REFRESH_TOKEN_EXPIRE_DAYS',
+  'TWO_FACTOR_REQUIRED_ROLES',
+  'TWO_FACTOR_ISSUER',
   'CORS_ORIGIN',
   'FRONTEND_URL',
   'EMAIL_USER',
-  'EMAIL_PASSWORD'
+  'EMAIL_PASSWORD',
+  'GEOCODING_LIVE_FALLBACK',
+  'GOOGLE_GEOCODING_API_KEY',
+  'BILLING_PROVIDER',
+  'SUBSCRIPTION_GRACE_PERIOD_DAYS'
 ];
 
 let hasErrors = false;
@@ -8,9 +8,12 @@ const path = require('path');
 require('dotenv').config();
 
 const { connectDB } = require('./config/database');
+const { startJobWorker } = require('./utils/jobQueue');
+const { MEDIA_PUBLIC_PATH, LOCAL_DIR: MEDIA_LOCAL_DIR } = require('./utils/mediaStorage');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/two-factor');
 const businessRoutes = require('./routes/businesses');
 const categoryRoutes = require('./routes/categories');
 const reviewRoutes = require('./routes/reviews');
@@ -26,6 +29,14 @@ const subscriptionRoutes = require('./routes/subscriptions');
 const phoneVerificationRoutes = require('./routes/phone-verification');
 const scheduledTasksRoutes = require('./routes/scheduled-tasks');
 const seoRoutes = require('./routes/seo');
+const messageRoutes = require('./routes/messages');
+const notificationRoutes = require('./routes/notifications');
+const calendarRoutes = require('./routes/calendar');
+const mediaRoutes = require('./routes/media');
+const bookmarkRoutes = require('./routes/bookmarks');
+const apiKeyRoutes = require('./routes/api-keys');
+const publicApiRoutes = require('./routes/public-api');
+const webhookEndpointRoutes = require('./routes/webhook-endpoints');
 
 // Initialize Express app
 const app = express();
@@ -50,8 +61,8 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
-  // Skip rate limiting for health checks
-  skip: (req) => req.path === '/api/health',
+  // Skip rate limiting for health checks; the public API has its own limits (middleware/apiKeyAuth.js)
+  skip: (req) => req.path === '/api/health' || req.originalUrl.startsWith('/api/public/'),
   // Custom handler to provide better error messages
   handler: (req, res) => {
     res.status(429).json({
@@ -99,12 +110,14 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
-// Body parser middleware with increased limit for images
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parser middleware. Images and videos are uploaded as multipart to /api/media;
+// only message and service request attachments are still sent inline as base64.
+app.use(['/api/messages', '/api/service-requests'], express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 app.use(cookieParser());
 
 // Logging middleware
@@ -114,6 +127,7 @@ if (process.env.NODE_ENV === 'development') {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/businesses', businessRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/reviews', reviewRoutes);
@@ -129,6 +143,21 @@ app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/phone-verification', phoneVerificationRoutes);
 app.use('/api/scheduled-tasks', scheduledTasksRoutes);
 app.use('/api/seo', seoRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/public/v1', publicApiRoutes);
+app.use('/api/webhook-endpoints', webhookEndpointRoutes);
+
+// Uploaded media (local storage backend). Keys are unique per upload, so files never change.
+app.use(MEDIA_PUBLIC_PATH, express.static(MEDIA_LOCAL_DIR, {
+  maxAge: '365d',
+  immutable: true,
+  index: false
+}));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -183,6 +212,9 @@ connectDB().then(() => {
     }
     console.log('');
   });
+
+  // Background jobs: fallback leads, payouts, review reminders
+  startJobWorker();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,241 @@
+/**
+ * Anti-Abuse
+ *
+ * Screens messages from the public contact forms (business inquiries and support
+ * requests) before they reach the admin inbox. Each spam check looks at the
+ * submission and returns { score, reason } or null; the scores are added up and a
+ * submission at or above SPAM_SCORE_THRESHOLD is quarantined (saved with status
+ * 'spam' and no email sent) rather than rejected, so bots get the same response as
+ * everyone else.
+ *
+ * Forms send two extra fields: `website`, a honeypot input hidden from people, and
+ * `formStartedAt`, the time (ms since epoch) the form was shown.
+ *
+ * Add checks (e.g. a call to an external spam service) with registerSpamCheck().
+ */
+
+const rateLimit = require('express-rate-limit');
+
+const SPAM_SCORE_THRESHOLD = parseInt(process.env.SPAM_SCORE_THRESHOLD) || 5;
+
+// Nobody reads and fills in a form this fast
+const MIN_SUBMIT_MS = 3000;
+
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+    '10minutemail.com',
+    '20minutemail.com',
+    'discard.email',
+    'dispostable.com',
+    'emailondeck.com',
+    'fakeinbox.com',
+    'getairmail.com',
+    'getnada.com',
+    'guerrillamail.com',
+    'guerrillamail.net',
+    'guerrillamail.org',
+    'guerrillamailblock.com',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailnesia.com',
+    'mintemail.com',
+    'mohmal.com',
+    'mytemp.email',
+    'sharklasers.com',
+    'spam4.me',
+    'temp-mail.org',
+    'tempmail.com',
+    'tempmail.net',
+    'tempmailo.com',
+    'tempr.email',
+    'throwawaymail.com',
+    'trashmail.com',
+    'yopmail.com',
+    ...(process.env.DISPOSABLE_EMAIL_DOMAINS || '')
+        .split(',')
+        .map(domain => domain.trim().toLowerCase())
+        .filter(Boolean)
+]);
+
+const SPAM_PHRASES = [
+    'backlinks',
+    'bitcoin',
+    'casino',
+    'crypto investment',
+    'seo services',
+    'first page of google',
+    'guest post',
+    'loan offer',
+    'viagra',
+    'work from home',
+    'whatsapp me'
+];
+
+/**
+ * Whether an email address belongs to a throwaway inbox provider
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+function isDisposableEmail(email) {
+    const domain = String(email || '').split('@').pop().trim().toLowerCase();
+    if (!domain) {
+        return false;
+    }
+    // Also catches subdomains such as abc.mailinator.com
+    const parts = domain.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (DISPOSABLE_EMAIL_DOMAINS.has(parts.slice(i).join('.'))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function honeypotCheck(submission) {
+    return submission.honeypot
+        ? { score: 10, reason: 'Hidden honeypot field was filled in' }
+        : null;
+}
+
+function timeToSubmitCheck(submission) {
+    const startedAt = Number(submission.formStartedAt);
+    if (!startedAt) {
+        return { score: 2, reason: 'Form timestamp missing' };
+    }
+
+    const elapsed = submission.receivedAt - startedAt;
+    if (elapsed < 0) {
+        return { score: 2, reason: 'Form timestamp is in the future' };
+    }
+    if (elapsed < MIN_SUBMIT_MS) {
+        return { score: 6, reason: `Submitted ${(elapsed / 1000).toFixed(1)}s after the form was shown` };
+    }
+    return null;
+}
+
+function disposableEmailCheck(submission) {
+    return isDisposableEmail(submission.email)
+        ? { score: 5, reason: 'Disposable email address' }
+        : null;
+}
+
+function contentCheck(submission) {
+    const text = [submission.name, submission.subject, submission.message].filter(Boolean).join('\n');
+    const lower = text.toLowerCase();
+    let score = 0;
+    const reasons = [];
+
+    const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+    if (links >= 3) {
+        score += 3;
+        reasons.push(`${links} links`);
+    } else if (links > 0 && /https?:\/\/|www\./i.test(submission.name || '')) {
+        score += 3;
+        reasons.push('Link in name');
+    }
+
+    if (/\[url=|<a\s+href=/i.test(text)) {
+        score += 3;
+        reasons.push('Link markup');
+    }
+
+    const phrases = SPAM_PHRASES.filter(phrase => lower.includes(phrase));
+    if (phrases.length > 0) {
+        score += Math.min(phrases.length * 2, 4);
+        reasons.push(`Spam phrases: ${phrases.join(', ')}`);
+    }
+
+    const letters = (submission.message || '').replace(/[^a-z]/gi, '');
+    if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+        score += 2;
+        reasons.push('Mostly capital letters');
+    }
+
+    return score > 0 ? { score, reason: `Content: ${reasons.join('; ')}` } : null;
+}
+
+const spamChecks = [
+    { name: 'honeypot', check: honeypotCheck },
+    { name: 'time_to_submit', check: timeToSubmitCheck },
+    { name: 'disposable_email', check: disposableEmailCheck },
+    { name: 'content', check: contentCheck }
+];
+
+/**
+ * Add a spam check. Checks run in registration order and may be async.
+ * @param {string} name - Unique name; registering the same name again replaces the check
+ * @param {Function} check - (submission) => { score, reason } | null
+ */
+function registerSpamCheck(name, check) {
+    const index = spamChecks.findIndex(entry => entry.name === name);
+    if (index >= 0) {
+        spamChecks[index] = { name, check };
+    } else {
+        spamChecks.push({ name, check });
+    }
+}
+
+/**
+ * Score a public form submission
+ * @param {Object} req - Express request (body fields, honeypot and form timestamp are read from it)
+ * @param {Object} fields - { name, email, subject, message, phone }
+ * @returns {Promise<Object>} { isSpam, score, reasons }
+ */
+async function screenSubmission(req, fields) {
+    const submission = {
+        ...fields,
+        honeypot: typeof req.body.website === 'string' ? req.body.website.trim() : '',
+        formStartedAt: req.body.formStartedAt,
+        receivedAt: Date.now(),
+        ip: req.ip
+    };
+
+    let score = 0;
+    const reasons = [];
+
+    for (const { name, check } of spamChecks) {
+        try {
+            const result = await check(submission);
+            if (result && result.score) {
+                score += result.score;
+                reasons.push(result.reason || name);
+            }
+        } catch (error) {
+            // A broken check must never stop a real message from getting through
+            console.error(`Spam check "${name}" failed:`, error.message);
+        }
+    }
+
+    return {
+        isSpam: score >= SPAM_SCORE_THRESHOLD,
+        score,
+        reasons
+    };
+}
+
+/**
+ * Per-IP rate limiter for a single public form, on top of the global API limiter
+ * @param {Object} options - { windowMinutes, max }
+ * @returns {Function} Express middleware
+ */
+function formRateLimit({ windowMinutes = 15, max = 5 } = {}) {
+    return rateLimit({
+        windowMs: windowMinutes * 60 * 1000,
+        max,
+        standardHeaders: true,
+        legacyHeaders: false,
+        handler: (req, res) => {
+            res.status(429).json({
+                error: 'Too many messages sent from this IP, please try again later.',
+                retryAfter: Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000)
+            });
+        }
+    });
+}
+
+module.exports = {
+    SPAM_SCORE_THRESHOLD,
+    isDisposableEmail,
+    registerSpamCheck,
+    screenSubmission,
+    formRateLimit
+};
@@ -0,0 +1,205 @@
+/**
+ * API Keys
+ *
+ * Developer keys for the public API (/api/public/v1).
+ * - Keys look like spk_<48 hex chars>; only their SHA-256 is stored
+ * - Each key carries scopes limiting what it can do and its own per-minute rate limit
+ * - Rotating a key issues a new one with the same settings and revokes the old one
+ * - Every authenticated request bumps the key's lifetime and per-day usage counters
+ */
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { ApiKey, User } = require('../models');
+
+const KEY_PREFIX = 'spk_';
+const KEY_PATTERN = /^spk_[a-f0-9]{48}$/;
+
+const SCOPES = {
+    'businesses:read': 'Read businesses and categories',
+    'reviews:read': 'Read reviews',
+    'service_requests:write': 'Submit service requests'
+};
+
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT) || 60;
+const MAX_RATE_LIMIT = parseInt(process.env.API_KEY_MAX_RATE_LIMIT) || 600;
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER) || 10;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const newApiKey = () => `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Validate a create/update body from the dashboard
+ * @param {Object} data - Request body ({ name, scopes, rateLimitPerMinute })
+ * @param {Object} existing - Key being updated (omit when creating)
+ * @returns {Object} { values } or { error }
+ */
+function validateApiKeyInput(data, existing = null) {
+    const values = {};
+
+    if (!existing || data.name !== undefined) {
+        const name = String(data.name || '').trim();
+        if (!name || name.length > 100) {
+            return { error: 'Name is required (max 100 characters)' };
+        }
+        values.name = name;
+    }
+
+    if (!existing || data.scopes !== undefined) {
+        if (!Array.isArray(data.scopes) || data.scopes.length === 0) {
+            return { error: 'Choose at least one scope' };
+        }
+        const unknown = data.scopes.filter(scope => !SCOPES[scope]);
+        if (unknown.length > 0) {
+            return { error: `Unknown scope: ${unknown.join(', ')}` };
+        }
+        values.scopes = [...new Set(data.scopes)];
+    }
+
+    if (data.rateLimitPerMinute !== undefined && data.rateLimitPerMinute !== null && data.rateLimitPerMinute !== '') {
+        const limit = parseInt(data.rateLimitPerMinute);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RATE_LIMIT) {
+            return { error: `Rate limit must be between 1 and ${MAX_RATE_LIMIT} requests per minute` };
+        }
+        values.rateLimitPerMinute = limit;
+    } else if (!existing) {
+        values.rateLimitPerMinute = DEFAULT_RATE_LIMIT;
+    }
+
+    return { values };
+}
+
+/**
+ * Create a key for a user
+ * @param {number} userId - Owner
+ * @param {Object} values - Validated { name, scopes, rateLimitPerMinute }
+ * @returns {Promise<Object>} { apiKey, key } (key is the only copy of the plain key) or { error }
+ */
+async function issueApiKey(userId, values) {
+    const activeCount = await ApiKey.count({ where: { userId, revokedAt: null } });
+    if (activeCount >= MAX_KEYS_PER_USER) {
+        return { error: `You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.` };
+    }
+
+    const key = newApiKey();
+    const apiKey = await ApiKey.create({
+        userId,
+        ...values,
+        keyPrefix: key.substring(0, KEY_PREFIX.length + 8),
+        keyHash: hashApiKey(key)
+    });
+    return { apiKey, key };
+}
+
+/**
+ * Replace a key with a new one that has the same name, scopes and rate limit
+ * @param {Object} apiKey - Active key to rotate
+ * @returns {Promise<Object>} { apiKey, key }
+ */
+async function rotateApiKey(apiKey) {
+    const key = newApiKey();
+    const transaction = await sequelize.transaction();
+    try {
+        const replacement = await ApiKey.create({
+            userId: apiKey.userId,
+            name: apiKey.name,
+            scopes: apiKey.scopes,
+            rateLimitPerMinute: apiKey.rateLimitPerMinute,
+            keyPrefix: key.substring(0, KEY_PREFIX.length + 8),
+            keyHash: hashApiKey(key),
+            rotatedFromId: apiKey.id
+        }, { transaction });
+
+        await apiKey.update({ revokedAt: new Date(), revokedReason: 'rotated' }, { transaction });
+        await transaction.commit();
+        return { apiKey: replacement, key };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Look up the active key (and its owner) for a plain key from a request
+ * @param {string} key - Plain key
+ * @returns {Promise<Object|null>} ApiKey with `owner`, or null if unknown, revoked or the owner is deactivated
+ */
+async function findActiveApiKey(key) {
+    // Skip the database for anything that can't be one of our keys
+    if (!key || !KEY_PATTERN.test(key)) {
+        return null;
+    }
+
+    const apiKey = await ApiKey.findOne({
+        where: { keyHash: hashApiKey(key) },
+        include: [{
+            model: User,
+            as: 'owner',
+            attributes: { exclude: ['password'] }
+        }]
+    });
+
+    if (!apiKey || !apiKey.isActive() || !apiKey.owner || !apiKey.owner.isActive) {
+        return null;
+    }
+    return apiKey;
+}
+
+/**
+ * Count a request against a key's lifetime and per-day usage
+ * @param {Object} apiKey - Key used for the request
+ */
+async function recordApiKeyUsage(apiKey) {
+    const now = new Date();
+    await ApiKey.update(
+        { requestCount: sequelize.literal('requestCount + 1'), lastUsedAt: now },
+        { where: { id: apiKey.id } }
+    );
+    await sequelize.query(
+        `INSERT INTO api_key_usage (apiKeyId, date, requestCount, createdAt, updatedAt)
+         VALUES (:apiKeyId, :date, 1, :now, :now)
+         ON DUPLICATE KEY UPDATE requestCount = requestCount + 1, updatedAt = :now`,
+        {
+            replacements: {
+                apiKeyId: apiKey.id,
+                date: now.toISOString().substring(0, 10),
+                now
+            },
+            type: sequelize.QueryTypes.INSERT
+        }
+    );
+}
+
+/**
+ * Dashboard view of a key: never includes the hash
+ * @param {Object} apiKey - ApiKey instance
+ * @returns {Object}
+ */
+function formatApiKey(apiKey) {
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        keyPrefix: apiKey.keyPrefix,
+        scopes: apiKey.scopes || [],
+        rateLimitPerMinute: apiKey.rateLimitPerMinute,
+        requestCount: apiKey.requestCount,
+        lastUsedAt: apiKey.lastUsedAt,
+        rotatedFromId: apiKey.rotatedFromId,
+        revokedAt: apiKey.revokedAt,
+        revokedReason: apiKey.revokedReason,
+        createdAt: apiKey.createdAt
+    };
+}
+
+module.exports = {
+    SCOPES,
+    DEFAULT_RATE_LIMIT,
+    MAX_RATE_LIMIT,
+    validateApiKeyInput,
+    issueApiKey,
+    rotateApiKey,
+    findActiveApiKey,
+    recordApiKeyUsage,
+    formatApiKey
+};
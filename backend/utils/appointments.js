@@ -0,0 +1,275 @@
+/**
+ * Work Order Appointments
+ *
+ * Booking, rescheduling and cancelling the appointment held on a work order.
+ * Slot checks run inside a transaction holding a lock on the business row, so two
+ * customers can't book the same slot at once. Every change after the initial booking
+ * notifies both the customer and the provider (in-app and email).
+ */
+
+const { sequelize } = require('../config/database');
+const { Sequelize } = require('sequelize');
+const { WorkOrder, ServiceRequest, ProviderProfile, Business, User } = require('../models');
+const { findOpenSlot, resolveProviderBusiness, isValidTimezone, BOOKED_STATUSES } = require('./availability');
+const createNotification = require('./createNotification');
+const sendEmail = require('./sendEmail');
+const { renderTemplate } = require('./emailTemplates');
+
+/**
+ * Lock the provider's business calendar and check a requested start time
+ * @param {number} serviceRequestId - Service request ID
+ * @param {number} providerUserId - Provider's user ID
+ * @param {Date|string} start - Requested start
+ * @param {Object} options - { transaction (required), excludeWorkOrderId, businessId }
+ * @returns {Promise<Object>} { business, slot } - slot is null when the time isn't open
+ */
+async function reserveSlot(serviceRequestId, providerUserId, start, { transaction, excludeWorkOrderId = null, businessId = null }) {
+    const resolved = businessId
+        ? { id: businessId }
+        : await resolveProviderBusiness(serviceRequestId, providerUserId, transaction);
+
+    if (!resolved) {
+        return { business: null, slot: null };
+    }
+
+    const business = await Business.findByPk(resolved.id, {
+        attributes: ['id', 'name', 'ownerId', 'timezone', 'appointmentDurationMinutes'],
+        lock: Sequelize.Transaction.LOCK.UPDATE,
+        transaction
+    });
+
+    const slot = business
+        ? await findOpenSlot(business, start, { excludeWorkOrderId, transaction })
+        : null;
+
+    return { business, slot };
+}
+
+/**
+ * Human-readable appointment time in the business timezone
+ * @param {Date|string} start - Appointment start
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function formatAppointment(start, timezone) {
+    const zone = isValidTimezone(timezone) ? timezone : 'UTC';
+    return new Date(start).toLocaleString('en-US', {
+        timeZone: zone,
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    });
+}
+
+const ACTION_LABELS = {
+    scheduled: 'booked',
+    rescheduled: 'rescheduled',
+    cancelled: 'cancelled'
+};
+
+/**
+ * Tell the customer and the provider about an appointment change
+ * @param {Object} workOrder - WorkOrder instance (after the change)
+ * @param {Object} options
+ * @param {string} options.action - scheduled | rescheduled | cancelled
+ * @param {number} options.actorUserId - User who made the change
+ * @param {string} options.reason - Optional note from the actor
+ */
+async function notifyAppointmentChange(workOrder, { action, actorUserId, reason = null }) {
+    try {
+        const [serviceRequest, providerProfile, business] = await Promise.all([
+            ServiceRequest.findByPk(workOrder.serviceRequestId, {
+                attributes: ['id', 'projectTitle', 'customerId'],
+                include: [{ model: User, as: 'customer', attributes: ['id', 'name', 'email'] }]
+            }),
+            ProviderProfile.findByPk(workOrder.providerId, {
+                attributes: ['id', 'userId'],
+                include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email'] }]
+            }),
+            workOrder.businessId
+                ? Business.findByPk(workOrder.businessId, { attributes: ['id', 'name', 'timezone'] })
+                : null
+        ]);
+
+        if (!serviceRequest || !providerProfile) {
+            return;
+        }
+
+        const when = workOrder.scheduledStart ? formatAppointment(workOrder.scheduledStart, business?.timezone) : null;
+        const verb = ACTION_LABELS[action] || action;
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+        const parties = [
+            {
+                user: serviceRequest.customer,
+                link: '/user-dashboard/requests',
+                otherParty: business?.name || providerProfile.user?.name || 'your provider'
+            },
+            {
+                user: providerProfile.user,
+                link: '/user-dashboard/work-orders',
+                otherParty: serviceRequest.customer?.name || 'the customer'
+            }
+        ];
+
+        for (const party of parties) {
+            if (!party.user) continue;
+            const byYou = party.user.id === actorUserId;
+
+            const message = action === 'cancelled'
+                ? `The appointment on ${when} was cancelled${byYou ? '' : ` by ${party.otherParty}`}.`
+                : `Appointment ${verb}${byYou ? '' : ` by ${party.otherParty}`} for ${when}.`;
+
+            createNotification({
+                userId: party.user.id,
+                type: `appointment_${action}`,
+                title: `Appointment ${verb}: ${serviceRequest.projectTitle}`,
+                message: reason ? `${message} Note: ${reason}` : message,
+                link: party.link,
+                metadata: { serviceRequestId: serviceRequest.id, workOrderId: workOrder.id }
+            });
+
+            if (party.user.email) {
+                const rendered = renderTemplate('appointment_update', {
+                    RecipientName: party.user.name,
+                    ProjectTitle: serviceRequest.projectTitle,
+                    Action: verb,
+                    AppointmentTime: when,
+                    ChangedBy: byYou ? 'you' : party.otherParty,
+                    Reason: reason,
+                    DashboardLink: `${frontendUrl}${party.link}`
+                });
+                sendEmail({
+                    to: party.user.email,
+                    subject: rendered.subject,
+                    html: rendered.html,
+                    text: rendered.text
+                }).catch(err => console.error('Failed to send appointment email:', err));
+            }
+        }
+    } catch (error) {
+        // Notifications shouldn't undo a change that has already been saved
+        console.error('Error sending appointment notifications:', error);
+    }
+}
+
+/**
+ * Reschedule (or book late) or cancel a work order's appointment
+ * @param {number} workOrderId - Work order ID (ownership already checked by the caller)
+ * @param {Object} change
+ * @param {string} change.action - reschedule | cancel
+ * @param {string} change.start - New start time (reschedule only)
+ * @param {string} change.reason - Optional note shown to the other party
+ * @param {number} change.actorUserId - User making the change
+ * @returns {Promise<Object>} { workOrder } on success, { error, status } otherwise
+ */
+async function changeAppointment(workOrderId, { action, start = null, reason = null, actorUserId }) {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const workOrder = await WorkOrder.findByPk(workOrderId, {
+            lock: Sequelize.Transaction.LOCK.UPDATE,
+            transaction
+        });
+
+        if (!workOrder) {
+            await transaction.rollback();
+            return { error: 'Work order not found', status: 404 };
+        }
+        if (workOrder.status !== 'IN_PROGRESS') {
+            await transaction.rollback();
+            return { error: 'Appointments can only be changed on in-progress work orders', status: 400 };
+        }
+
+        const hadAppointment = BOOKED_STATUSES.includes(workOrder.appointmentStatus);
+        let notifyAction;
+
+        if (action === 'cancel') {
+            if (!hadAppointment) {
+                await transaction.rollback();
+                return { error: 'There is no scheduled appointment to cancel', status: 400 };
+            }
+
+            await workOrder.update({
+                appointmentStatus: 'cancelled',
+                appointmentSequence: workOrder.appointmentSequence + 1
+            }, { transaction });
+            notifyAction = 'cancelled';
+        } else {
+            if (!start) {
+                await transaction.rollback();
+                return { error: 'Please choose a new appointment time', status: 400 };
+            }
+
+            const providerProfile = await ProviderProfile.findByPk(workOrder.providerId, {
+                attributes: ['id', 'userId'],
+                transaction
+            });
+            const { business, slot } = await reserveSlot(workOrder.serviceRequestId, providerProfile?.userId, start, {
+                transaction,
+                excludeWorkOrderId: workOrder.id,
+                businessId: workOrder.businessId
+            });
+
+            if (!business) {
+                await transaction.rollback();
+                return { error: 'The provider has no business calendar to book against', status: 400 };
+            }
+            if (!slot) {
+                await transaction.rollback();
+                return { error: 'That time is no longer available. Please pick another slot.', status: 409 };
+            }
+
+            await workOrder.update({
+                businessId: business.id,
+                scheduledStart: slot.start,
+                scheduledEnd: slot.end,
+                appointmentStatus: workOrder.scheduledStart ? 'rescheduled' : 'scheduled',
+                appointmentSequence: workOrder.scheduledStart ? workOrder.appointmentSequence + 1 : workOrder.appointmentSequence
+            }, { transaction });
+            notifyAction = workOrder.appointmentStatus;
+        }
+
+        await transaction.commit();
+
+        notifyAppointmentChange(workOrder, { action: notifyAction, actorUserId, reason });
+
+        return { workOrder };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Appointment fields for API responses
+ * @param {Object} workOrder - WorkOrder instance
+ * @param {Object} business - Business with name/timezone (optional)
+ * @returns {Object|null}
+ */
+function formatAppointmentResponse(workOrder, business = null) {
+    if (!workOrder || !workOrder.appointmentStatus) {
+        return null;
+    }
+
+    return {
+        status: workOrder.appointmentStatus,
+        start: workOrder.scheduledStart,
+        end: workOrder.scheduledEnd,
+        businessId: workOrder.businessId,
+        businessName: business ? business.name : null,
+        timezone: business ? business.timezone : null
+    };
+}
+
+module.exports = {
+    reserveSlot,
+    changeAppointment,
+    notifyAppointmentChange,
+    formatAppointment,
+    formatAppointmentResponse
+};
@@ -1,5 +1,7 @@
 const { Lead, ServiceRequest, Business, User, ProviderProfile, Category, SubCategory } = require('../models');
 const { Op } = require('sequelize');
+const createNotification = require('./createNotification');
+const { dispatchWebhookEvent, leadWebhookData } = require('./outboundWebhooks');
 
 /**
  * Assign leads to fallback businesses (other selected businesses, typically 2-4) after 24 hours
@@ -132,6 +134,15 @@ async function assignFallbackLeads(serviceRequestId, fallbackBusinessIds) {
                 });
 
                 createdLeads.push(lead);
+                createNotification({
+                    userId: business.owner.id,
+                    type: 'lead_routed',
+                    title: `New lead: ${serviceRequest.projectTitle}`,
+                    message: `A ${categoryName} request in ${serviceRequest.zipCode} is now open to you.`,
+                    link: '/user-dashboard/leads',
+                    metadata: { leadId: lead.id, serviceRequestId: serviceRequest.id }
+                });
+                dispatchWebhookEvent(business.owner.id, 'lead.routed', leadWebhookData(lead));
                 console.log(`[assignFallbackLeads] ✅ Created fallback lead ${lead.id} for business ${business.id}`);
             } catch (error) {
                 console.error(`[assignFallbackLeads] ❌ Error creating lead for business ${business.id}:`, error);
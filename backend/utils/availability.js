@@ -0,0 +1,315 @@
+/**
+ * Provider Availability
+ *
+ * Turns a business's weekly availability windows and blackout dates into
+ * bookable appointment slots. Windows are stored as wall-clock 'HH:MM' times in the
+ * business timezone; slots are returned as UTC instants so DST shifts are handled
+ * once, here. A slot is taken while an in-progress work order holds a scheduled
+ * (or rescheduled) appointment overlapping it.
+ */
+
+const { Op } = require('sequelize');
+const { Business, BusinessAvailability, BusinessBlackout, WorkOrder, Lead } = require('../models');
+
+const MAX_SLOT_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BOOKED_STATUSES = ['scheduled', 'rescheduled'];
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+function timezoneOffset(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = parseInt(value, 10);
+    });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateString, time, timezone) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Re-check the offset at the result so times just after a DST change land correctly
+    let result = guess - timezoneOffset(new Date(guess), timezone);
+    const corrected = timezoneOffset(new Date(result), timezone);
+    result = guess - corrected;
+    return new Date(result);
+}
+
+/**
+ * Calendar date ('YYYY-MM-DD') of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function localDateString(date, timezone) {
+    // en-CA formats as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+function addDays(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function dayOfWeek(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function fromMinutes(total) {
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Validate weekly windows from a request body
+ * @param {Array} windows - [{ dayOfWeek, startTime, endTime }]
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateWindows(windows) {
+    if (!Array.isArray(windows)) {
+        return 'Availability must be a list of weekly windows';
+    }
+
+    for (const window of windows) {
+        const day = parseInt(window.dayOfWeek);
+        if (isNaN(day) || day < 0 || day > 6) {
+            return 'Day of week must be between 0 (Sunday) and 6 (Saturday)';
+        }
+        if (!TIME_PATTERN.test(window.startTime || '') || !TIME_PATTERN.test(window.endTime || '')) {
+            return 'Times must be in HH:MM format';
+        }
+        if (toMinutes(window.endTime) <= toMinutes(window.startTime)) {
+            return 'End time must be after start time';
+        }
+    }
+
+    // Overlapping windows on the same day would produce duplicate slots
+    for (let day = 0; day <= 6; day++) {
+        const sameDay = windows
+            .filter(window => parseInt(window.dayOfWeek) === day)
+            .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+        for (let i = 1; i < sameDay.length; i++) {
+            if (toMinutes(sameDay[i].startTime) < toMinutes(sameDay[i - 1].endTime)) {
+                return 'Availability windows on the same day cannot overlap';
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the bookable slots for a business
+ * @param {Object|number} businessOrId - Business instance or ID
+ * @param {Object} options
+ * @param {Date|string} options.from - Start of the range (default now)
+ * @param {number} options.days - Number of calendar days to cover (max 60)
+ * @param {number} options.excludeWorkOrderId - Ignore this work order's own appointment (rescheduling)
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<Object>} { business, timezone, durationMinutes, slots: [{ start, end }] }
+ */
+async function getAvailableSlots(businessOrId, { from = null, days = 14, excludeWorkOrderId = null, transaction = null } = {}) {
+    const business = typeof businessOrId === 'object'
+        ? businessOrId
+        : await Business.findByPk(businessOrId, {
+            attributes: ['id', 'name', 'ownerId', 'timezone', 'appointmentDurationMinutes'],
+            transaction
+        });
+
+    if (!business) {
+        return { business: null, timezone: null, durationMinutes: null, slots: [] };
+    }
+
+    const timezone = isValidTimezone(business.timezone) ? business.timezone : (process.env.DEFAULT_TIMEZONE || 'America/New_York');
+    const duration = business.appointmentDurationMinutes || 60;
+    const dayCount = Math.min(Math.max(parseInt(days) || 14, 1), MAX_SLOT_DAYS);
+    const now = new Date();
+    const fromDate = from ? new Date(from) : now;
+    const firstDay = localDateString(isNaN(fromDate.getTime()) ? now : fromDate, timezone);
+    const lastDay = addDays(firstDay, dayCount - 1);
+
+    // Pad the instant range by a day either side - the local days don't line up with UTC
+    const rangeStart = new Date(zonedTimeToUtc(firstDay, '00:00', timezone).getTime() - DAY_MS);
+    const rangeEnd = new Date(zonedTimeToUtc(lastDay, '00:00', timezone).getTime() + 2 * DAY_MS);
+
+    const bookedWhere = {
+        businessId: business.id,
+        status: 'IN_PROGRESS',
+        appointmentStatus: { [Op.in]: BOOKED_STATUSES },
+        scheduledStart: { [Op.lt]: rangeEnd },
+        scheduledEnd: { [Op.gt]: rangeStart }
+    };
+    if (excludeWorkOrderId) {
+        bookedWhere.id = { [Op.ne]: excludeWorkOrderId };
+    }
+
+    const [windows, blackouts, booked] = await Promise.all([
+        BusinessAvailability.findAll({
+            where: { businessId: business.id },
+            order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']],
+            transaction
+        }),
+        BusinessBlackout.findAll({
+            where: {
+                businessId: business.id,
+                startDate: { [Op.lte]: lastDay },
+                endDate: { [Op.gte]: firstDay }
+            },
+            transaction
+        }),
+        WorkOrder.findAll({
+            where: bookedWhere,
+            attributes: ['id', 'scheduledStart', 'scheduledEnd'],
+            transaction
+        })
+    ]);
+
+    const slots = [];
+    for (let offset = 0; offset < dayCount; offset++) {
+        const date = addDays(firstDay, offset);
+        if (blackouts.some(blackout => blackout.startDate <= date && blackout.endDate >= date)) {
+            continue;
+        }
+
+        const day = dayOfWeek(date);
+        for (const window of windows.filter(w => w.dayOfWeek === day)) {
+            const windowEnd = toMinutes(window.endTime);
+            for (let minute = toMinutes(window.startTime); minute + duration <= windowEnd; minute += duration) {
+                const start = zonedTimeToUtc(date, fromMinutes(minute), timezone);
+                const end = new Date(start.getTime() + duration * 60 * 1000);
+
+                if (start <= now) {
+                    continue;
+                }
+                const taken = booked.some(workOrder =>
+                    new Date(workOrder.scheduledStart) < end && new Date(workOrder.scheduledEnd) > start
+                );
+                if (!taken) {
+                    slots.push({ start: start.toISOString(), end: end.toISOString() });
+                }
+            }
+        }
+    }
+
+    return { business, timezone, durationMinutes: duration, slots };
+}
+
+/**
+ * Check that a start time is one of the business's open slots
+ * @param {Object|number} businessOrId - Business instance or ID
+ * @param {Date|string} start - Requested start
+ * @param {Object} options - { excludeWorkOrderId, transaction }
+ * @returns {Promise<Object|null>} The matching { start, end } slot, or null
+ */
+async function findOpenSlot(businessOrId, start, { excludeWorkOrderId = null, transaction = null } = {}) {
+    const requested = new Date(start);
+    if (isNaN(requested.getTime())) {
+        return null;
+    }
+
+    // A day either side of the request covers any timezone
+    const { slots } = await getAvailableSlots(businessOrId, {
+        from: new Date(requested.getTime() - DAY_MS),
+        days: 3,
+        excludeWorkOrderId,
+        transaction
+    });
+
+    return slots.find(slot => slot.start === requested.toISOString()) || null;
+}
+
+/**
+ * Work out which business calendar a provider's proposal books against: the business
+ * the lead was routed to, otherwise the provider's first business
+ * @param {number} serviceRequestId - Service request ID
+ * @param {number} providerUserId - Provider's user ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object|null>} Business instance
+ */
+async function resolveProviderBusiness(serviceRequestId, providerUserId, transaction = null) {
+    const attributes = ['id', 'name', 'ownerId', 'timezone', 'appointmentDurationMinutes'];
+
+    const leads = await Lead.findAll({
+        where: { providerId: providerUserId, businessId: { [Op.ne]: null } },
+        attributes: ['id', 'businessId', 'metadata'],
+        order: [['createdAt', 'DESC']],
+        transaction
+    });
+
+    const lead = leads.find(candidate => {
+        try {
+            const metadata = typeof candidate.metadata === 'string' ? JSON.parse(candidate.metadata) : candidate.metadata;
+            return metadata && metadata.serviceRequestId === serviceRequestId;
+        } catch (e) {
+            return false;
+        }
+    });
+
+    if (lead) {
+        const business = await Business.findByPk(lead.businessId, { attributes, transaction });
+        if (business) {
+            return business;
+        }
+    }
+
+    return Business.findOne({
+        where: { ownerId: providerUserId },
+        attributes,
+        order: [['createdAt', 'ASC']],
+        transaction
+    });
+}
+
+module.exports = {
+    MAX_SLOT_DAYS,
+    TIME_PATTERN,
+    DATE_PATTERN,
+    BOOKED_STATUSES,
+    isValidTimezone,
+    zonedTimeToUtc,
+    localDateString,
+    validateWindows,
+    getAvailableSlots,
+    findOpenSlot,
+    resolveProviderBusiness
+};
@@ -0,0 +1,250 @@
+/**
+ * Billing Providers
+ *
+ * Subscription billing (utils/subscriptionBilling.js) reaches the payment processor
+ * only through a provider:
+ *   {
+ *     ensureCustomer({ customerId, userId, email, name }) -> customerId
+ *     createPayment({ amount, customerId, description, metadata, savePaymentMethod }) -> payment (with clientSecret)
+ *     getPayment(paymentId) -> payment
+ *     chargeSavedPaymentMethod({ amount, customerId, paymentMethodId, description, metadata, idempotencyKey }) -> payment
+ *   }
+ * Amounts are in cents. A payment is { id, status, amount, customerId, paymentMethodId, metadata, error }
+ * where status is succeeded, processing, requires_payment, requires_action or failed.
+ *
+ * 'stripe' (the default) uses payment intents. 'fake' keeps everything in memory for
+ * tests and local development. Select one with BILLING_PROVIDER.
+ */
+
+const crypto = require('crypto');
+
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Register a billing provider
+ * @param {string} name - Value of BILLING_PROVIDER that selects it
+ * @param {Function} factory - () => { ensureCustomer, createPayment, getPayment, chargeSavedPaymentMethod }
+ */
+function registerBillingProvider(name, factory) {
+    factories.set(name, factory);
+    instances.delete(name);
+}
+
+/**
+ * Get a billing provider
+ * @param {string} name - Provider name (defaults to BILLING_PROVIDER, then 'stripe')
+ * @returns {Object} { name, ensureCustomer, createPayment, getPayment, chargeSavedPaymentMethod }
+ */
+function getBillingProvider(name = process.env.BILLING_PROVIDER || 'stripe') {
+    if (!instances.has(name)) {
+        const factory = factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown billing provider "${name}"`);
+        }
+        instances.set(name, { name, ...factory() });
+    }
+    return instances.get(name);
+}
+
+const STRIPE_STATUSES = {
+    succeeded: 'succeeded',
+    processing: 'processing',
+    requires_payment_method: 'requires_payment',
+    requires_confirmation: 'requires_payment',
+    requires_action: 'requires_action',
+    requires_capture: 'processing',
+    canceled: 'failed'
+};
+
+/**
+ * Convert a Stripe payment intent to a provider payment
+ * @param {Object} intent - Stripe PaymentIntent
+ * @returns {Object} payment
+ */
+function fromStripeIntent(intent) {
+    const lastError = intent.last_payment_error;
+    return {
+        id: intent.id,
+        status: STRIPE_STATUSES[intent.status] || 'failed',
+        amount: intent.amount,
+        customerId: typeof intent.customer === 'string' ? intent.customer : (intent.customer && intent.customer.id) || null,
+        paymentMethodId: typeof intent.payment_method === 'string'
+            ? intent.payment_method
+            : (intent.payment_method && intent.payment_method.id) || null,
+        metadata: intent.metadata || {},
+        clientSecret: intent.client_secret,
+        error: lastError ? lastError.message : null
+    };
+}
+
+registerBillingProvider('stripe', () => {
+    const stripe = require('../config/stripe');
+
+    return {
+        async ensureCustomer({ customerId, userId, email, name }) {
+            if (customerId) {
+                return customerId;
+            }
+            const customer = await stripe.customers.create({
+                email: email || undefined,
+                name: name || undefined,
+                metadata: { userId: String(userId) }
+            });
+            return customer.id;
+        },
+
+        async createPayment({ amount, customerId, description, metadata, savePaymentMethod }) {
+            const intent = await stripe.paymentIntents.create({
+                amount,
+                currency: 'usd',
+                customer: customerId || undefined,
+                setup_future_usage: savePaymentMethod ? 'off_session' : undefined,
+                metadata,
+                description,
+                automatic_payment_methods: {
+                    enabled: true
+                }
+            });
+            return fromStripeIntent(intent);
+        },
+
+        async getPayment(paymentId) {
+            return fromStripeIntent(await stripe.paymentIntents.retrieve(paymentId));
+        },
+
+        async chargeSavedPaymentMethod({ amount, customerId, paymentMethodId, description, metadata, idempotencyKey }) {
+            try {
+                const intent = await stripe.paymentIntents.create({
+                    amount,
+                    currency: 'usd',
+                    customer: customerId,
+                    payment_method: paymentMethodId,
+                    off_session: true,
+                    confirm: true,
+                    metadata,
+                    description
+                }, idempotencyKey ? { idempotencyKey } : undefined);
+                return fromStripeIntent(intent);
+            } catch (error) {
+                // Declines come back as errors that still carry the payment intent
+                const intent = error.raw && error.raw.payment_intent;
+                if (error.type === 'StripeCardError' || intent) {
+                    return {
+                        ...(intent ? fromStripeIntent(intent) : { id: null, amount, customerId, paymentMethodId, metadata }),
+                        status: error.code === 'authentication_required' ? 'requires_action' : 'failed',
+                        error: error.message
+                    };
+                }
+                throw error;
+            }
+        }
+    };
+});
+
+registerBillingProvider('fake', () => {
+    const customers = new Map();
+    const payments = new Map();
+    const chargesByKey = new Map();
+    let failuresQueued = 0;
+
+    const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+
+    const save = (payment) => {
+        payments.set(payment.id, payment);
+        return { ...payment };
+    };
+
+    return {
+        async ensureCustomer({ customerId, userId, email, name }) {
+            if (customerId) {
+                return customerId;
+            }
+            const id = newId('cus');
+            customers.set(id, { id, userId, email, name });
+            return id;
+        },
+
+        async createPayment({ amount, customerId, description, metadata }) {
+            const id = newId('pay');
+            return save({
+                id,
+                status: 'requires_payment',
+                amount,
+                customerId: customerId || null,
+                paymentMethodId: null,
+                description,
+                metadata: metadata || {},
+                clientSecret: `${id}_secret`,
+                error: null
+            });
+        },
+
+        async getPayment(paymentId) {
+            const payment = payments.get(paymentId);
+            if (!payment) {
+                throw new Error(`No such payment: ${paymentId}`);
+            }
+            return { ...payment };
+        },
+
+        // Saved payment methods starting with "pm_fail" are always declined
+        async chargeSavedPaymentMethod({ amount, customerId, paymentMethodId, description, metadata, idempotencyKey }) {
+            if (idempotencyKey && chargesByKey.has(idempotencyKey)) {
+                return { ...payments.get(chargesByKey.get(idempotencyKey)) };
+            }
+
+            const declined = failuresQueued > 0 || String(paymentMethodId || '').startsWith('pm_fail');
+            if (failuresQueued > 0) {
+                failuresQueued--;
+            }
+
+            const payment = save({
+                id: newId('pay'),
+                status: declined ? 'failed' : 'succeeded',
+                amount,
+                customerId,
+                paymentMethodId,
+                description,
+                metadata: metadata || {},
+                error: declined ? 'Your card was declined.' : null
+            });
+            if (idempotencyKey) {
+                chargesByKey.set(idempotencyKey, payment.id);
+            }
+            return payment;
+        },
+
+        // Test helpers: complete a checkout payment as the customer's browser would
+        confirmPayment(paymentId, { paymentMethodId = 'pm_fake_visa', decline = false } = {}) {
+            const payment = payments.get(paymentId);
+            if (!payment) {
+                throw new Error(`No such payment: ${paymentId}`);
+            }
+            return save({
+                ...payment,
+                status: decline ? 'failed' : 'succeeded',
+                paymentMethodId: decline ? null : paymentMethodId,
+                error: decline ? 'Your card was declined.' : null
+            });
+        },
+
+        // Decline the next n saved-card charges
+        failNextCharges(count = 1) {
+            failuresQueued = count;
+        },
+
+        reset() {
+            customers.clear();
+            payments.clear();
+            chargesByKey.clear();
+            failuresQueued = 0;
+        }
+    };
+});
+
+module.exports = {
+    registerBillingProvider,
+    getBillingProvider,
+    fromStripeIntent
+};
@@ -0,0 +1,31 @@
+const { Notification } = require('../models');
+const { publish } = require('./realtime');
+
+/**
+ * Create an in-app notification and push it over the live channel
+ * @param {Object} notificationData - Notification data
+ * @param {Number} notificationData.userId - Recipient user ID
+ * @param {String} notificationData.type - Notification type (lead_routed, proposal_accepted, ...)
+ * @param {String} notificationData.title - Short title shown in the bell dropdown
+ * @param {String} notificationData.message - Body text (optional)
+ * @param {String} notificationData.link - Dashboard path to open on click (optional)
+ * @param {Object} notificationData.metadata - Additional metadata (optional)
+ * @returns {Promise<Object|null>} The notification, or null if it could not be saved
+ */
+const createNotification = async (notificationData) => {
+  try {
+    if (!notificationData.userId) {
+      return null;
+    }
+
+    const notification = await Notification.create(notificationData);
+    publish(notification.userId, 'notification', notification.toJSON());
+    return notification;
+  } catch (error) {
+    // Don't throw error - notifications shouldn't break the app
+    console.error('Error creating notification:', error);
+    return null;
+  }
+};
+
+module.exports = createNotification;
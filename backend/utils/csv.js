@@ -0,0 +1,39 @@
+/**
+ * CSV (RFC 4180) builder
+ *
+ * Fields holding a comma, quote or line break are quoted. Text that starts like a
+ * spreadsheet formula (=, +, -, @) is prefixed with a quote so it is never evaluated.
+ */
+
+function escapeField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'number') {
+        return String(value);
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array} columns - [{ key, label }]
+ * @param {Array} rows - Objects keyed by column key
+ * @returns {string} text/csv body (CRLF line endings)
+ */
+function buildCsv(columns, rows) {
+    const lines = [columns.map((column) => escapeField(column.label)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((column) => escapeField(row[column.key])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    buildCsv
+};
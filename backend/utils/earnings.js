@@ -0,0 +1,524 @@
+/**
+ * Provider Earnings
+ *
+ * Earnings summaries, statements and year-end totals for providers, built from the
+ * ledger (utils/ledger.js) so they always agree with balances and payouts. Periods
+ * are UTC calendar months, quarters and years, keyed 2026-05, 2026-Q2 and 2026.
+ *
+ * Totals for a period:
+ * - grossJobValue: proposal and milestone payments received for the provider's jobs
+ * - refunds: refunds and lost chargebacks on those payments
+ * - platformFees: what the platform kept of the job value
+ * - earnings: grossJobValue - refunds - platformFees (the provider's share)
+ * - leadSpend: lead fees paid (Lead.leadCost), less lead fee refunds
+ * - subscriptionSpend: subscription invoices paid
+ * - netIncome: earnings - leadSpend - subscriptionSpend
+ * - netPayouts: money sent to the provider, less payouts taken back
+ */
+
+const { Op, fn, col } = require('sequelize');
+const { LedgerTransaction, LedgerEntry, User, ProviderProfile } = require('../models');
+const { monthRange } = require('./ledger');
+const { buildCsv } = require('./csv');
+const { createPdfDocument } = require('./pdfDocument');
+
+const JOB_REFERENCES = ['proposal', 'milestone'];
+const TOTAL_KEYS = [
+    'grossJobValue', 'refunds', 'platformFees', 'earnings',
+    'leadSpend', 'subscriptionSpend', 'netIncome', 'netPayouts'
+];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Column labels shared by the CSV and PDF exports
+const TOTAL_LABELS = {
+    grossJobValue: 'Gross Job Value',
+    refunds: 'Refunds & Chargebacks',
+    platformFees: 'Platform Fees',
+    earnings: 'Job Earnings',
+    leadSpend: 'Lead Spend',
+    subscriptionSpend: 'Subscription Spend',
+    netIncome: 'Net Income',
+    netPayouts: 'Net Payouts'
+};
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const emptyTotals = () => Object.fromEntries(TOTAL_KEYS.map((key) => [key, 0]));
+
+/**
+ * Add one transaction - or a group of transactions of the same type - to running totals (cents)
+ * @param {Object} totals - From emptyTotals()
+ * @param {Object} movement - { type, referenceType, amountCents, payableCents }
+ *   payableCents is the net credit to the provider's provider_payable account
+ */
+function addMovement(totals, { type, referenceType, amountCents, payableCents = 0 }) {
+    const job = JOB_REFERENCES.includes(referenceType);
+    switch (type) {
+        case 'proposal_payment':
+        case 'milestone_payment':
+            totals.grossJobValue += amountCents;
+            break;
+        case 'lead_charge':
+            totals.leadSpend += amountCents;
+            break;
+        case 'subscription_payment':
+            totals.subscriptionSpend += amountCents;
+            break;
+        case 'payout':
+            totals.netPayouts += amountCents;
+            break;
+        case 'transfer_reversal':
+            totals.netPayouts -= amountCents;
+            break;
+        case 'refund':
+        case 'dispute_loss':
+            if (job) totals.refunds += amountCents;
+            if (referenceType === 'lead') totals.leadSpend -= amountCents;
+            break;
+        case 'refund_reversal':
+            if (job) totals.refunds -= amountCents;
+            if (referenceType === 'lead') totals.leadSpend += amountCents;
+            break;
+        default:
+            break;
+    }
+
+    // Earnings follow what the provider is owed; payouts and reversals only move owed money to or from them
+    totals.earnings += payableCents
+        + (type === 'payout' ? amountCents : 0)
+        - (type === 'transfer_reversal' ? amountCents : 0);
+}
+
+// Derived totals, converted to dollars
+function finishTotals(totals) {
+    const platformFees = totals.grossJobValue - totals.refunds - totals.earnings;
+    return {
+        grossJobValue: fromCents(totals.grossJobValue),
+        refunds: fromCents(totals.refunds),
+        platformFees: fromCents(platformFees),
+        earnings: fromCents(totals.earnings),
+        leadSpend: fromCents(totals.leadSpend),
+        subscriptionSpend: fromCents(totals.subscriptionSpend),
+        netIncome: fromCents(totals.earnings - totals.leadSpend - totals.subscriptionSpend),
+        netPayouts: fromCents(totals.netPayouts)
+    };
+}
+
+function payableCentsOf(ledgerTransaction, userId) {
+    return ledgerTransaction.entries
+        .filter((entry) => entry.account === 'provider_payable' && entry.userId === userId)
+        .reduce((sum, entry) => sum + (entry.direction === 'credit' ? 1 : -1) * toCents(entry.amount), 0);
+}
+
+/**
+ * Parse a period key into its UTC date range
+ * @param {string} key - 2026 (year), 2026-Q2 (quarter) or 2026-05 (month)
+ * @returns {Object|null} { key, granularity, label, start, end }
+ */
+function parsePeriod(key) {
+    const value = String(key || '').trim().toUpperCase();
+
+    let match = /^(\d{4})$/.exec(value);
+    if (match) {
+        const year = parseInt(match[1]);
+        return { key: value, granularity: 'year', label: String(year), start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)) };
+    }
+
+    match = /^(\d{4})-Q([1-4])$/.exec(value);
+    if (match) {
+        const year = parseInt(match[1]);
+        const quarter = parseInt(match[2]);
+        return {
+            key: value,
+            granularity: 'quarter',
+            label: `Q${quarter} ${year}`,
+            start: new Date(Date.UTC(year, (quarter - 1) * 3, 1)),
+            end: new Date(Date.UTC(year, quarter * 3, 1))
+        };
+    }
+
+    const range = monthRange(value);
+    if (range) {
+        return { key: value, granularity: 'month', label: `${MONTH_NAMES[range.start.getUTCMonth()]} ${range.start.getUTCFullYear()}`, ...range };
+    }
+    return null;
+}
+
+/**
+ * Every month or quarter of a year
+ * @param {number} year
+ * @param {string} granularity - month or quarter
+ * @returns {Array} Periods from parsePeriod
+ */
+function periodsOfYear(year, granularity = 'month') {
+    const keys = granularity === 'quarter'
+        ? [1, 2, 3, 4].map((quarter) => `${year}-Q${quarter}`)
+        : MONTH_NAMES.map((name, index) => `${year}-${String(index + 1).padStart(2, '0')}`);
+    return keys.map(parsePeriod);
+}
+
+function periodKeyOf(date, granularity) {
+    const value = new Date(date);
+    const year = value.getUTCFullYear();
+    if (granularity === 'quarter') {
+        return `${year}-Q${Math.floor(value.getUTCMonth() / 3) + 1}`;
+    }
+    return `${year}-${String(value.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function loadTransactions(userId, start, end) {
+    return LedgerTransaction.findAll({
+        where: { userId, occurredAt: { [Op.gte]: start, [Op.lt]: end } },
+        include: [{ model: LedgerEntry, as: 'entries', attributes: ['account', 'userId', 'direction', 'amount'] }],
+        order: [['occurredAt', 'ASC'], ['id', 'ASC']]
+    });
+}
+
+/**
+ * Years a provider has ledger activity in, newest first (always includes the current year)
+ * @param {number} userId
+ * @returns {Promise<Array>}
+ */
+async function getEarningsYears(userId) {
+    const first = await LedgerTransaction.min('occurredAt', { where: { userId } });
+    const currentYear = new Date().getUTCFullYear();
+    const firstYear = first ? Math.min(new Date(first).getUTCFullYear(), currentYear) : currentYear;
+
+    const years = [];
+    for (let year = currentYear; year >= firstYear; year--) {
+        years.push(year);
+    }
+    return years;
+}
+
+/**
+ * A provider's earnings for one year, by month or quarter
+ * @param {number} userId - Provider's user ID
+ * @param {number} year
+ * @param {string} granularity - month or quarter
+ * @returns {Promise<Object>} { userId, year, granularity, periods: [{ key, label, start, end, totals }], totals }
+ *   or { error, status }
+ */
+async function getEarningsSummary(userId, year, granularity = 'month') {
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+        return { error: 'A valid year is required', status: 400 };
+    }
+    if (!['month', 'quarter'].includes(granularity)) {
+        return { error: 'Group by month or quarter', status: 400 };
+    }
+
+    const yearPeriod = parsePeriod(String(year));
+    const transactions = await loadTransactions(userId, yearPeriod.start, yearPeriod.end);
+
+    const buckets = {};
+    const yearTotals = emptyTotals();
+    for (const ledgerTransaction of transactions) {
+        const movement = {
+            type: ledgerTransaction.type,
+            referenceType: ledgerTransaction.referenceType,
+            amountCents: toCents(ledgerTransaction.amount),
+            payableCents: payableCentsOf(ledgerTransaction, userId)
+        };
+        const key = periodKeyOf(ledgerTransaction.occurredAt, granularity);
+        buckets[key] = buckets[key] || emptyTotals();
+        addMovement(buckets[key], movement);
+        addMovement(yearTotals, movement);
+    }
+
+    return {
+        userId,
+        year,
+        granularity,
+        periods: periodsOfYear(year, granularity).map((period) => ({
+            ...period,
+            totals: finishTotals(buckets[period.key] || emptyTotals())
+        })),
+        totals: finishTotals(yearTotals)
+    };
+}
+
+/**
+ * A provider's statement for one period: every transaction and what it added to each total
+ * @param {number} userId - Provider's user ID
+ * @param {string} periodKey - 2026, 2026-Q2 or 2026-05
+ * @returns {Promise<Object>} { userId, period, lines, totals } or { error, status }
+ */
+async function getEarningsStatement(userId, periodKey) {
+    const period = parsePeriod(periodKey);
+    if (!period) {
+        return { error: 'Period must be a year (2026), quarter (2026-Q2) or month (2026-05)', status: 400 };
+    }
+
+    const transactions = await loadTransactions(userId, period.start, period.end);
+    const totals = emptyTotals();
+    const lines = transactions.map((ledgerTransaction) => {
+        const movement = {
+            type: ledgerTransaction.type,
+            referenceType: ledgerTransaction.referenceType,
+            amountCents: toCents(ledgerTransaction.amount),
+            payableCents: payableCentsOf(ledgerTransaction, userId)
+        };
+        const lineTotals = emptyTotals();
+        addMovement(lineTotals, movement);
+        addMovement(totals, movement);
+
+        return {
+            id: ledgerTransaction.id,
+            occurredAt: ledgerTransaction.occurredAt,
+            type: ledgerTransaction.type,
+            description: ledgerTransaction.description,
+            referenceType: ledgerTransaction.referenceType,
+            referenceId: ledgerTransaction.referenceId,
+            ...finishTotals(lineTotals)
+        };
+    });
+
+    return { userId, period, lines, totals: finishTotals(totals) };
+}
+
+/**
+ * Every provider's totals for a year (admin bulk export), largest gross job value first
+ * Aggregated in the database, so it scales with providers rather than transactions
+ * @param {number} year
+ * @returns {Promise<Object>} { year, providers: [{ userId, name, email, providerProfileId, ...totals }], totals }
+ *   or { error, status }
+ */
+async function getAnnualTotals(year) {
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+        return { error: 'A valid year is required', status: 400 };
+    }
+    const period = parsePeriod(String(year));
+    const occurredAt = { [Op.gte]: period.start, [Op.lt]: period.end };
+
+    const [groups, payables] = await Promise.all([
+        LedgerTransaction.findAll({
+            attributes: ['userId', 'type', 'referenceType', [fn('SUM', col('amount')), 'amount']],
+            where: { userId: { [Op.ne]: null }, occurredAt },
+            group: ['userId', 'type', 'referenceType'],
+            raw: true
+        }),
+        LedgerEntry.findAll({
+            attributes: ['userId', 'direction', [fn('SUM', col('LedgerEntry.amount')), 'amount']],
+            where: { account: 'provider_payable', userId: { [Op.ne]: null } },
+            include: [{ model: LedgerTransaction, as: 'ledgerTransaction', attributes: [], where: { occurredAt } }],
+            group: ['LedgerEntry.userId', 'direction'],
+            raw: true
+        })
+    ]);
+
+    const byUser = {};
+    const totalsFor = (userId) => {
+        byUser[userId] = byUser[userId] || emptyTotals();
+        return byUser[userId];
+    };
+    for (const group of groups) {
+        addMovement(totalsFor(group.userId), {
+            type: group.type,
+            referenceType: group.referenceType,
+            amountCents: toCents(group.amount)
+        });
+    }
+    for (const payable of payables) {
+        totalsFor(payable.userId).earnings += (payable.direction === 'credit' ? 1 : -1) * toCents(payable.amount);
+    }
+
+    const userIds = Object.keys(byUser).map(Number);
+    const [users, profiles] = await Promise.all([
+        User.findAll({ where: { id: { [Op.in]: userIds } }, attributes: ['id', 'name', 'email'] }),
+        ProviderProfile.findAll({ where: { userId: { [Op.in]: userIds } }, attributes: ['id', 'userId'] })
+    ]);
+
+    const overall = emptyTotals();
+    const providers = userIds.map((userId) => {
+        const user = users.find((candidate) => candidate.id === userId);
+        const profile = profiles.find((candidate) => candidate.userId === userId);
+        for (const key of TOTAL_KEYS) {
+            overall[key] += byUser[userId][key];
+        }
+        return {
+            userId,
+            name: user ? user.name : null,
+            email: user ? user.email : null,
+            providerProfileId: profile ? profile.id : null,
+            ...finishTotals(byUser[userId])
+        };
+    }).sort((a, b) => (b.grossJobValue - a.grossJobValue) || (b.netIncome - a.netIncome) || (a.userId - b.userId));
+
+    return { year, providers, totals: finishTotals(overall) };
+}
+
+const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+const TOTAL_COLUMNS = TOTAL_KEYS.map((key) => ({ key, label: TOTAL_LABELS[key] }));
+const TYPE_LABELS = {
+    proposal_payment: 'Job payment',
+    milestone_payment: 'Milestone payment',
+    lead_charge: 'Lead fee',
+    subscription_payment: 'Subscription',
+    payout: 'Payout',
+    refund: 'Refund',
+    refund_reversal: 'Refund reversed',
+    transfer_reversal: 'Payout reversed',
+    dispute_loss: 'Chargeback'
+};
+
+/**
+ * Statement as CSV: one row per transaction, then a totals row
+ * @param {Object} statement - From getEarningsStatement
+ * @returns {string}
+ */
+function statementToCsv(statement) {
+    const columns = [
+        { key: 'date', label: 'Date' },
+        { key: 'type', label: 'Type' },
+        { key: 'description', label: 'Description' },
+        { key: 'reference', label: 'Reference' },
+        ...TOTAL_COLUMNS
+    ];
+    const rows = statement.lines.map((line) => ({
+        ...line,
+        date: new Date(line.occurredAt).toISOString().slice(0, 10),
+        type: TYPE_LABELS[line.type] || line.type,
+        reference: line.referenceType ? `${line.referenceType} #${line.referenceId}` : ''
+    }));
+    rows.push({ date: statement.period.label, type: 'Total', ...statement.totals });
+    return buildCsv(columns, rows);
+}
+
+/**
+ * Year-end summary as CSV: one row per month, then the year's totals
+ * @param {Object} summary - From getEarningsSummary (month granularity)
+ * @returns {string}
+ */
+function summaryToCsv(summary) {
+    const rows = summary.periods.map((period) => ({ period: period.label, ...period.totals }));
+    rows.push({ period: `Total ${summary.year}`, ...summary.totals });
+    return buildCsv([{ key: 'period', label: 'Period' }, ...TOTAL_COLUMNS], rows);
+}
+
+/**
+ * All providers' annual totals as CSV
+ * @param {Object} annual - From getAnnualTotals
+ * @returns {string}
+ */
+function annualTotalsToCsv(annual) {
+    return buildCsv([
+        { key: 'userId', label: 'User ID' },
+        { key: 'providerProfileId', label: 'Provider Profile ID' },
+        { key: 'name', label: 'Name' },
+        { key: 'email', label: 'Email' },
+        ...TOTAL_COLUMNS
+    ], [...annual.providers, { name: `Total ${annual.year}`, ...annual.totals }]);
+}
+
+function pdfHeader(doc, title, provider, subtitle) {
+    doc.heading(title);
+    if (provider) {
+        doc.text(`${provider.name || ''}${provider.email ? ` <${provider.email}>` : ''}`, { bold: true });
+    }
+    doc.text(subtitle);
+    doc.text(`Generated ${new Date().toISOString().slice(0, 10)}. All amounts in USD; periods are UTC.`, { size: 8 });
+    doc.space(10);
+}
+
+function pdfTotals(doc, totals) {
+    doc.table([
+        { key: 'label', label: 'Summary', width: 30 },
+        { key: 'amount', label: 'Amount', width: 16, align: 'right' }
+    ], TOTAL_KEYS.map((key) => ({
+        label: TOTAL_LABELS[key],
+        amount: money(totals[key]),
+        bold: key === 'netIncome'
+    })), { size: 10 });
+}
+
+/**
+ * Statement as PDF: totals, then every transaction
+ * @param {Object} statement - From getEarningsStatement
+ * @param {Object} provider - { name, email }
+ * @returns {Buffer}
+ */
+function statementToPdf(statement, provider) {
+    const title = `Earnings Statement - ${statement.period.label}`;
+    const doc = createPdfDocument({ title });
+    pdfHeader(doc, title, provider, `${statement.lines.length} transaction(s) from ${statement.period.start.toISOString().slice(0, 10)} to ${new Date(statement.period.end - 1).toISOString().slice(0, 10)}.`);
+    pdfTotals(doc, statement.totals);
+    doc.space(16);
+
+    doc.heading('Transactions', { size: 12 });
+    if (statement.lines.length === 0) {
+        return doc.text('No transactions in this period.').toBuffer();
+    }
+    const amountWidth = 11;
+    const fixed = 10 + 17 + amountWidth * 4 + 2 * 6;
+    doc.table([
+        { key: 'date', label: 'Date', width: 10 },
+        { key: 'type', label: 'Type', width: 17 },
+        { key: 'description', label: 'Description', width: Math.max(doc.tableWidth(8) - fixed, 10) },
+        { key: 'grossJobValue', label: 'Gross', width: amountWidth, align: 'right' },
+        { key: 'platformFees', label: 'Fees', width: amountWidth, align: 'right' },
+        { key: 'spend', label: 'Lead/Subs', width: amountWidth, align: 'right' },
+        { key: 'netPayouts', label: 'Payouts', width: amountWidth, align: 'right' }
+    ], statement.lines.map((line) => ({
+        date: new Date(line.occurredAt).toISOString().slice(0, 10),
+        type: TYPE_LABELS[line.type] || line.type,
+        description: line.description,
+        grossJobValue: line.grossJobValue ? money(line.grossJobValue - line.refunds) : (line.refunds ? money(-line.refunds) : ''),
+        platformFees: line.platformFees ? money(line.platformFees) : '',
+        spend: line.leadSpend || line.subscriptionSpend ? money(line.leadSpend + line.subscriptionSpend) : '',
+        netPayouts: line.netPayouts ? money(line.netPayouts) : ''
+    })));
+    return doc.toBuffer();
+}
+
+/**
+ * Year-end earnings summary as PDF: the year's totals, then month and quarter breakdowns
+ * @param {Object} summary - From getEarningsSummary (month granularity)
+ * @param {Object} quarterly - From getEarningsSummary (quarter granularity)
+ * @param {Object} provider - { name, email }
+ * @returns {Buffer}
+ */
+function yearEndToPdf(summary, quarterly, provider) {
+    const title = `Year-End Earnings Summary ${summary.year}`;
+    const doc = createPdfDocument({ title });
+    pdfHeader(doc, title, provider, `Tax year ${summary.year} (January 1 to December 31). For your records; this is not a tax form.`);
+    pdfTotals(doc, summary.totals);
+
+    const amountWidth = 12;
+    const breakdown = (periods, label) => {
+        doc.space(16);
+        doc.heading(label, { size: 12 });
+        doc.table([
+            { key: 'label', label: 'Period', width: 10 },
+            ...Object.entries({
+                grossJobValue: 'Gross',
+                platformFees: 'Fees',
+                earnings: 'Earnings',
+                leadSpend: 'Lead Spend',
+                subscriptionSpend: 'Subs. Spend',
+                netIncome: 'Net Income'
+            }).map(([key, label]) => ({ key, label, width: amountWidth, align: 'right' }))
+        ], [
+            ...periods.map((period) => ({ label: period.label, ...Object.fromEntries(TOTAL_KEYS.map((key) => [key, money(period.totals[key])])) })),
+            { label: 'Total', bold: true, ...Object.fromEntries(TOTAL_KEYS.map((key) => [key, money(summary.totals[key])])) }
+        ]);
+    };
+    breakdown(quarterly.periods, 'By Quarter');
+    breakdown(summary.periods, 'By Month');
+    return doc.toBuffer();
+}
+
+module.exports = {
+    TOTAL_KEYS,
+    TOTAL_LABELS,
+    parsePeriod,
+    getEarningsYears,
+    getEarningsSummary,
+    getEarningsStatement,
+    getAnnualTotals,
+    statementToCsv,
+    statementToPdf,
+    summaryToCsv,
+    yearEndToPdf,
+    annualTotalsToCsv
+};
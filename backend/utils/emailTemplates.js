@@ -5,6 +5,13 @@
  * Templates use placeholders that are replaced with actual values.
  */
 
+// Message bodies are user-written, so escape them before embedding in HTML
+const escapeHtml = (value) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
 const templates = {
     // Request created (customer)
     request_created: {
@@ -718,6 +725,630 @@ View work orders: ${data.RequestLink || '#'}
 
 ${data.UnsubscribeLink ? `\nUnsubscribe: ${data.UnsubscribeLink}` : ''}
         `.trim()
+    },
+
+    // New message in a request conversation (customer or provider)
+    new_message: {
+        subject: 'New message from [SenderName] about [ProjectTitle]',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">New Message</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Hi ${data.RecipientName || 'there'},
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        <strong>${escapeHtml(data.SenderName) || 'Someone'}</strong> sent you a message about <strong>${escapeHtml(data.ProjectTitle) || 'your service request'}</strong>.
+                    </p>
+                    ${data.MessagePreview ? `
+                    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #667eea;">
+                        <p style="margin: 0; color: #333; white-space: pre-wrap;">${escapeHtml(data.MessagePreview)}</p>
+                    </div>
+                    ` : ''}
+                    ${data.AttachmentCount ? `<p style="color: #6b7280; font-size: 14px;">${data.AttachmentCount} attachment(s) included.</p>` : ''}
+                    <div style="text-align: center; margin-top: 30px;">
+                        <a href="${data.ConversationLink || '#'}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; 
+                                  padding: 14px 32px; text-decoration: none; border-radius: 8px; 
+                                  font-weight: 600; font-size: 16px;">
+                            Reply
+                        </a>
+                    </div>
+                    ${data.UnsubscribeLink ? `
+                    <p style="color: #718096; font-size: 12px; text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0;">
+                        <a href="${data.UnsubscribeLink}" style="color: #718096;">Unsubscribe from these emails</a>
+                    </p>
+                    ` : ''}
+                </div>
+            </div>
+        `,
+        text: (data) => `
+Hi ${data.RecipientName || 'there'},
+
+${data.SenderName || 'Someone'} sent you a message about ${data.ProjectTitle || 'your service request'}.
+
+${data.MessagePreview ? `"${data.MessagePreview}"\n` : ''}
+${data.AttachmentCount ? `${data.AttachmentCount} attachment(s) included.\n` : ''}
+Reply: ${data.ConversationLink || '#'}
+
+${data.UnsubscribeLink ? `\nUnsubscribe: ${data.UnsubscribeLink}` : ''}
+        `.trim()
+    },
+
+    // Password reset requested (any user)
+    password_reset: {
+        subject: 'Reset your password - Home Services',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">Reset Your Password</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Hi ${data.UserName || 'there'},
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        We received a request to reset the password for your account. Click the button below to choose a new password.
+                    </p>
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${data.ResetLink || '#'}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; 
+                                  padding: 15px 40px; text-decoration: none; border-radius: 8px; 
+                                  font-weight: 600; font-size: 16px;">
+                            Reset Password
+                        </a>
+                    </div>
+                    <p style="color: #7f8c8d; font-size: 14px; margin-top: 30px; text-align: center;">
+                        This link will expire in ${data.ExpiresInMinutes || 60} minutes and can only be used once. If you didn't request a password reset, you can safely ignore this email.
+                    </p>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+Hi ${data.UserName || 'there'},
+
+We received a request to reset the password for your account.
+
+Reset your password: ${data.ResetLink || '#'}
+
+This link will expire in ${data.ExpiresInMinutes || 60} minutes and can only be used once. If you didn't request a password reset, you can safely ignore this email.
+        `.trim()
+    },
+
+    // Password changed confirmation (any user)
+    password_changed: {
+        subject: 'Your password was changed - Home Services',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">Password Changed</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Hi ${data.UserName || 'there'},
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        The password for your account was just changed and you have been signed out on all devices.
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        If you didn't make this change, please reset your password immediately and contact support.
+                    </p>
+                    <div style="text-align: center; margin-top: 30px;">
+                        <a href="${data.LoginLink || '#'}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; 
+                                  padding: 14px 32px; text-decoration: none; border-radius: 8px; 
+                                  font-weight: 600; font-size: 16px;">
+                            Log In
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+Hi ${data.UserName || 'there'},
+
+The password for your account was just changed and you have been signed out on all devices.
+
+If you didn't make this change, please reset your password immediately and contact support.
+
+Log in: ${data.LoginLink || '#'}
+        `.trim()
+    },
+
+    // Review request reminder (customer)
+    review_reminder: {
+        subject: 'Reminder: how was [BusinessName]?',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">We'd Still Love Your Feedback</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Hi ${escapeHtml(data.CustomerName) || 'there'},
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        A little while ago we asked about your experience with <strong>${escapeHtml(data.BusinessName)}</strong>. If you have a minute, your review helps others choose with confidence.
+                    </p>
+                    <div style="text-align: center; margin-top: 30px;">
+                        <a href="${data.ReviewLink || '#'}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; 
+                                  padding: 14px 32px; text-decoration: none; border-radius: 8px; 
+                                  font-weight: 600; font-size: 16px;">
+                            Write a Review
+                        </a>
+                    </div>
+                    ${data.ExpiresOn ? `
+                    <p style="color: #7f8c8d; font-size: 14px; margin-top: 30px; text-align: center;">
+                        This link expires on ${data.ExpiresOn}.
+                    </p>
+                    ` : ''}
+                </div>
+            </div>
+        `,
+        text: (data) => `
+Hi ${data.CustomerName || 'there'},
+
+A little while ago we asked about your experience with ${data.BusinessName}. If you have a minute, your review helps others choose with confidence.
+
+Write a review: ${data.ReviewLink || '#'}
+${data.ExpiresOn ? `\nThis link expires on ${data.ExpiresOn}.` : ''}
+        `.trim()
+    },
+
+    appointment_update: {
+        subject: 'Appointment [Action]: [ProjectTitle]',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">Appointment ${escapeHtml(data.Action)}</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Hi ${escapeHtml(data.RecipientName) || 'there'},
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        The appointment for <strong>${escapeHtml(data.ProjectTitle)}</strong> was ${escapeHtml(data.Action)} by ${escapeHtml(data.ChangedBy)}.
+                    </p>
+                    ${data.AppointmentTime ? `
+                    <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                        <p style="color: #333; margin: 5px 0;"><strong>${data.Action === 'cancelled' ? 'Was scheduled for' : 'When'}:</strong> ${escapeHtml(data.AppointmentTime)}</p>
+                        ${data.Reason ? `<p style="color: #333; margin: 5px 0;"><strong>Note:</strong> ${escapeHtml(data.Reason)}</p>` : ''}
+                    </div>
+                    ` : ''}
+                    <div style="text-align: center; margin-top: 30px;">
+                        <a href="${data.DashboardLink || '#'}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; 
+                                  padding: 14px 32px; text-decoration: none; border-radius: 8px; 
+                                  font-weight: 600; font-size: 16px;">
+                            View in Dashboard
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+Hi ${data.RecipientName || 'there'},
+
+The appointment for ${data.ProjectTitle} was ${data.Action} by ${data.ChangedBy}.
+${data.AppointmentTime ? `\n${data.Action === 'cancelled' ? 'Was scheduled for' : 'When'}: ${data.AppointmentTime}` : ''}${data.Reason ? `\nNote: ${data.Reason}` : ''}
+
+View in your dashboard: ${data.DashboardLink || '#'}
+        `.trim()
+    },
+
+    milestone_payout: {
+        subject: 'Milestone Payout Processed: [ProviderAmount]',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">Milestone Payout Processed</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Hi ${escapeHtml(data.ProviderName) || 'there'},
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        The customer approved <strong>${escapeHtml(data.MilestoneTitle)}</strong> for <strong>${escapeHtml(data.ProjectTitle)}</strong> and your payout has been processed.
+                    </p>
+                    <div style="background: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
+                        <p style="color: #333; margin: 8px 0;"><strong>Milestone Amount:</strong> ${escapeHtml(data.MilestoneAmount)}</p>
+                        <p style="color: #333; margin: 8px 0;"><strong>Platform Fee:</strong> ${escapeHtml(data.PlatformFee)}</p>
+                        <p style="color: #065f46; margin: 15px 0 0 0; font-size: 18px; font-weight: 700;">Your Payout: ${escapeHtml(data.ProviderAmount)}</p>
+                    </div>
+                    <div style="text-align: center; margin-top: 30px;">
+                        <a href="${data.PayoutsLink || '#'}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; 
+                                  padding: 14px 32px; text-decoration: none; border-radius: 8px; 
+                                  font-weight: 600; font-size: 16px;">
+                            View My Payouts
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+Hi ${data.ProviderName || 'there'},
+
+The customer approved "${data.MilestoneTitle}" for ${data.ProjectTitle} and your payout has been processed.
+
+Milestone Amount: ${data.MilestoneAmount}
+Platform Fee: ${data.PlatformFee}
+Your Payout: ${data.ProviderAmount}
+
+View your payouts: ${data.PayoutsLink || '#'}
+        `.trim()
+    },
+
+    // Subscription invoice paid: first payment, renewal or plan change
+    subscription_receipt: {
+        subject: '[Heading]: [PlanName]',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">${escapeHtml(data.Heading)}</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Hi ${escapeHtml(data.UserName) || 'there'},
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Thanks for your payment. Your <strong>${escapeHtml(data.PlanName)}</strong> subscription is active.
+                    </p>
+                    <div style="background-color: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
+                        <p style="margin: 5px 0;"><strong>Plan:</strong> ${escapeHtml(data.PlanName)}</p>
+                        ${data.CreditApplied ? `<p style="margin: 5px 0;"><strong>Credit Applied:</strong> ${escapeHtml(data.CreditApplied)}</p>` : ''}
+                        <p style="margin: 5px 0;"><strong>Amount Paid:</strong> ${escapeHtml(data.AmountPaid)}</p>
+                        <p style="margin: 5px 0;"><strong>Next Renewal:</strong> ${escapeHtml(data.PeriodEnd)}</p>
+                    </div>
+                    <div style="text-align: center; margin-top: 30px;">
+                        <a href="${data.BillingLink || '#'}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; 
+                                  padding: 14px 32px; text-decoration: none; border-radius: 8px; 
+                                  font-weight: 600; font-size: 16px;">
+                            View My Subscription
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+Hi ${data.UserName || 'there'},
+
+Thanks for your payment. Your ${data.PlanName} subscription is active.
+
+Plan: ${data.PlanName}
+${data.CreditApplied ? `Credit Applied: ${data.CreditApplied}\n` : ''}Amount Paid: ${data.AmountPaid}
+Next Renewal: ${data.PeriodEnd}
+
+View your subscription: ${data.BillingLink || '#'}
+        `.trim()
+    },
+
+    // Renewal charge failed (dunning)
+    subscription_payment_failed: {
+        subject: 'Action needed: payment for [PlanName] failed',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: #dc2626; color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">Subscription Payment Failed</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Hi ${escapeHtml(data.UserName) || 'there'},
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        We couldn't charge <strong>${escapeHtml(data.Amount)}</strong> to renew your <strong>${escapeHtml(data.PlanName)}</strong> subscription.
+                        ${data.Reason ? `The payment was declined: ${escapeHtml(data.Reason)}` : ''}
+                    </p>
+                    <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
+                        <p style="margin: 5px 0;">Your plan stays active until <strong>${escapeHtml(data.GraceEndsOn)}</strong>.</p>
+                        ${data.NextAttempt
+                            ? `<p style="margin: 5px 0;">We'll try your card again on <strong>${escapeHtml(data.NextAttempt)}</strong>.</p>`
+                            : `<p style="margin: 5px 0;">This was our last automatic attempt. Please pay before the date above to keep your plan.</p>`}
+                    </div>
+                    <div style="text-align: center; margin-top: 30px;">
+                        <a href="${data.BillingLink || '#'}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; 
+                                  padding: 14px 32px; text-decoration: none; border-radius: 8px; 
+                                  font-weight: 600; font-size: 16px;">
+                            Update Payment
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+Hi ${data.UserName || 'there'},
+
+We couldn't charge ${data.Amount} to renew your ${data.PlanName} subscription.
+${data.Reason ? `The payment was declined: ${data.Reason}\n` : ''}
+Your plan stays active until ${data.GraceEndsOn}.
+${data.NextAttempt
+    ? `We'll try your card again on ${data.NextAttempt}.`
+    : 'This was our last automatic attempt. Please pay before the date above to keep your plan.'}
+
+Update your payment: ${data.BillingLink || '#'}
+        `.trim()
+    },
+
+    // Grace period ended without payment
+    subscription_expired: {
+        subject: 'Your [PlanName] subscription has expired',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: #6b7280; color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">Subscription Expired</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Hi ${escapeHtml(data.UserName) || 'there'},
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        We weren't able to collect ${data.Amount ? `<strong>${escapeHtml(data.Amount)}</strong> ` : ''}for your <strong>${escapeHtml(data.PlanName)}</strong> subscription, so it has expired and its benefits are no longer applied to your businesses.
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        You can subscribe again at any time.
+                    </p>
+                    <div style="text-align: center; margin-top: 30px;">
+                        <a href="${data.BillingLink || '#'}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; 
+                                  padding: 14px 32px; text-decoration: none; border-radius: 8px; 
+                                  font-weight: 600; font-size: 16px;">
+                            Choose a Plan
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+Hi ${data.UserName || 'there'},
+
+We weren't able to collect ${data.Amount ? `${data.Amount} ` : ''}for your ${data.PlanName} subscription, so it has expired and its benefits are no longer applied to your businesses.
+
+You can subscribe again at any time: ${data.BillingLink || '#'}
+        `.trim()
+    },
+
+    // Refund on a proposal payment, milestone payment or lead fee (sent to whoever paid)
+    payment_refunded: {
+        subject: 'Refund issued: [Amount]',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">Refund Issued</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        Hi ${escapeHtml(data.UserName) || 'there'},
+                    </p>
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        We've refunded <strong>${escapeHtml(data.Amount)}</strong> of your payment for <strong>${escapeHtml(data.PaymentLabel)}</strong>.
+                    </p>
+                    <div style="background: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
+                        <p style="color: #333; margin: 8px 0;"><strong>Refunded:</strong> ${escapeHtml(data.Amount)}</p>
+                        <p style="color: #333; margin: 8px 0;"><strong>Total refunded on this payment:</strong> ${escapeHtml(data.TotalRefunded)}</p>
+                    </div>
+                    <p style="color: #718096; font-size: 14px; line-height: 1.6;">
+                        Refunds usually reach your card within 5-10 business days, depending on your bank.
+                    </p>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+Hi ${data.UserName || 'there'},
+
+We've refunded ${data.Amount} of your payment for ${data.PaymentLabel}.
+
+Refunded: ${data.Amount}
+Total refunded on this payment: ${data.TotalRefunded}
+
+Refunds usually reach your card within 5-10 business days, depending on your bank.
+        `.trim()
+    },
+
+    // Chargeback opened at the card holder's bank (sent to the platform admin)
+    payment_dispute_opened: {
+        subject: 'Payment disputed: [Amount] on [PaymentLabel]',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: #dc2626; color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; font-size: 28px;">Payment Disputed</h1>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                        A chargeback of <strong>${escapeHtml(data.Amount)}</strong> was opened on the payment for <strong>${escapeHtml(data.PaymentLabel)}</strong>.
+                    </p>
+                    <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
+                        <p style="margin: 5px 0;"><strong>Reason:</strong> ${escapeHtml(data.Reason)}</p>
+                        <p style="margin: 5px 0;"><strong>Respond by:</strong> ${escapeHtml(data.EvidenceDueBy)}</p>
+                        <p style="margin: 5px 0;">Any provider payout for this payment is on hold until the dispute is closed.</p>
+                    </div>
+                    <div style="text-align: center; margin-top: 30px;">
+                        <a href="${data.AdminLink || '#'}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; 
+                                  padding: 14px 32px; text-decoration: none; border-radius: 8px; 
+                                  font-weight: 600; font-size: 16px;">
+                            Review Payment
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+A chargeback of ${data.Amount} was opened on the payment for ${data.PaymentLabel}.
+
+Reason: ${data.Reason}
+Respond by: ${data.EvidenceDueBy}
+
+Any provider payout for this payment is on hold until the dispute is closed.
+
+Review the payment: ${data.AdminLink || '#'}
+        `.trim()
+    },
+
+    support_request: {
+        subject: 'Support Request: [Subject]',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background-color: #4A90E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h2 style="margin: 0; font-size: 24px;">New Support Request</h2>
+                    <p style="margin: 10px 0 0 0; font-size: 14px;">CityLocal 101</p>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Name:</strong>
+                        <span style="color: #666;">${escapeHtml(data.Name)}</span>
+                    </div>
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Email:</strong>
+                        <span style="color: #666;">${escapeHtml(data.Email)}</span>
+                    </div>
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Subject:</strong>
+                        <span style="color: #666;">${escapeHtml(data.Subject)}</span>
+                    </div>
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Message:</strong>
+                        <div style="color: #666; background-color: #f5f5f5; padding: 15px; border-radius: 4px; margin-top: 10px; line-height: 1.6; white-space: pre-wrap;">${escapeHtml(data.Message)}</div>
+                    </div>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+New support request from CityLocal 101:
+
+Name: ${data.Name}
+Email: ${data.Email}
+Subject: ${data.Subject}
+
+Message:
+${data.Message}
+
+---
+Sent from CityLocal 101 Support System
+        `.trim()
+    },
+
+    business_inquiry: {
+        subject: 'New Message About Business: [BusinessName]',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background-color: #4A90E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h2 style="margin: 0; font-size: 24px;">New Business Inquiry</h2>
+                    <p style="margin: 10px 0 0 0; font-size: 14px;">CityLocal 101</p>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <div style="background-color: #f0f7ff; padding: 15px; border-radius: 4px; margin-bottom: 20px; border-left: 4px solid #4A90E2;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Business:</strong>
+                        <span style="color: #666; font-size: 16px;">${escapeHtml(data.BusinessName)}</span>
+                        <p style="color: #666; margin: 5px 0 0 0; font-size: 14px;">${escapeHtml(data.BusinessAddress)}</p>
+                    </div>
+                    <p style="color: #333; margin-bottom: 20px;">You have received a new inquiry about this business:</p>
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Name:</strong>
+                        <span style="color: #666;">${escapeHtml(data.Name)}</span>
+                    </div>
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Email:</strong>
+                        <span style="color: #666;">${escapeHtml(data.Email)}</span>
+                    </div>
+                    ${data.Phone ? `
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Phone:</strong>
+                        <span style="color: #666;">${escapeHtml(data.Phone)}</span>
+                    </div>
+                    ` : ''}
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Message:</strong>
+                        <div style="color: #666; background-color: #f5f5f5; padding: 15px; border-radius: 4px; margin-top: 10px; line-height: 1.6; white-space: pre-wrap;">${escapeHtml(data.Message)}</div>
+                    </div>
+                    <p style="color: #7f8c8d; font-size: 14px; margin-top: 30px;">
+                        This message has been saved to the admin panel for your review.
+                    </p>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+New business inquiry from CityLocal 101:
+
+Business: ${data.BusinessName}
+Address: ${data.BusinessAddress}
+
+From:
+Name: ${data.Name}
+Email: ${data.Email}
+${data.Phone ? `Phone: ${data.Phone}` : ''}
+
+Message:
+${data.Message}
+
+---
+Sent from CityLocal 101 Support System
+        `.trim()
+    },
+
+    customer_inquiry: {
+        subject: 'New Customer Inquiry for [BusinessName]',
+        html: (data) => `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                    <h2 style="margin: 0; font-size: 24px;">New Customer Inquiry</h2>
+                    <p style="margin: 10px 0 0 0; font-size: 14px;">CityLocal 101</p>
+                </div>
+                <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <div style="background-color: #f0f7ff; padding: 15px; border-radius: 4px; margin-bottom: 20px; border-left: 4px solid #667eea;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Your Business:</strong>
+                        <span style="color: #666; font-size: 16px;">${escapeHtml(data.BusinessName)}</span>
+                        <p style="color: #666; margin: 5px 0 0 0; font-size: 14px;">${escapeHtml(data.BusinessAddress)}</p>
+                    </div>
+                    <p style="color: #333; margin-bottom: 20px;">You have received a new inquiry from a potential customer:</p>
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Name:</strong>
+                        <span style="color: #666;">${escapeHtml(data.Name)}</span>
+                    </div>
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Email:</strong>
+                        <span style="color: #666;">${escapeHtml(data.Email)}</span>
+                    </div>
+                    ${data.Phone ? `
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Phone:</strong>
+                        <span style="color: #666;">${escapeHtml(data.Phone)}</span>
+                    </div>
+                    ` : ''}
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Subject:</strong>
+                        <span style="color: #666;">${escapeHtml(data.Subject)}</span>
+                    </div>
+                    <div style="margin-bottom: 20px;">
+                        <strong style="color: #333; display: block; margin-bottom: 5px;">Message:</strong>
+                        <div style="color: #666; background-color: #f5f5f5; padding: 15px; border-radius: 4px; margin-top: 10px; line-height: 1.6; white-space: pre-wrap;">${escapeHtml(data.Message)}</div>
+                    </div>
+                    <p style="color: #7f8c8d; font-size: 14px; margin-top: 30px;">
+                        Please respond to this inquiry as soon as possible to provide excellent customer service.
+                    </p>
+                </div>
+            </div>
+        `,
+        text: (data) => `
+New customer inquiry for ${data.BusinessName}:
+
+From:
+Name: ${data.Name}
+Email: ${data.Email}
+${data.Phone ? `Phone: ${data.Phone}` : ''}
+
+Subject: ${data.Subject}
+
+Message:
+${data.Message}
+
+---
+Sent from CityLocal 101
+        `.trim()
     }
 };
 
@@ -1,14 +1,15 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (id) => {
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens
+// (see utils/sessions.js). The session id lets the auth middleware reject revoked sessions.
+const generateToken = (id, sessionId) => {
   const secret = process.env.JWT_SECRET;
   if (!secret || secret === 'your-secret-key') {
     throw new Error('JWT_SECRET must be set in environment variables');
   }
-  return jwt.sign({ id }, secret, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+  return jwt.sign({ id, sid: sessionId }, secret, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
   });
 };
 
 module.exports = generateToken;
-
@@ -1,20 +1,134 @@
 const axios = require('axios');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const ZipCode = require('../models/ZipCode');
+
+const DEFAULT_RADIUS_MILES = 20;
+const MAX_RADIUS_MILES = 250;
+
+/**
+ * Normalize a zip code to its 5-digit form ("12345-6789" -> "12345")
+ * @param {string} zipCode - Zip code as entered
+ * @returns {string|null} - 5-digit zip code or null if invalid
+ */
+function normalizeZipCode(zipCode) {
+  if (zipCode === null || zipCode === undefined) return null;
+  const cleanZipCode = String(zipCode).replace(/[\s\-]/g, '');
+  return /^\d{5}(\d{4})?$/.test(cleanZipCode) ? cleanZipCode.slice(0, 5) : null;
+}
+
+/**
+ * Look up a zip code in the offline gazetteer (zip_codes, loaded from
+ * data/us-zip-codes.csv by scripts/import-zip-codes.js)
+ * @param {string} zipCode - Zip code to look up
+ * @returns {Promise<Object|null>} - { code, city, state, county, lat, lng, timezone, neighbors } or null
+ */
+async function lookupZipCode(zipCode) {
+  const code = normalizeZipCode(zipCode);
+  if (!code) return null;
+
+  try {
+    const entry = await ZipCode.findOne({ where: { code } });
+    if (!entry) return null;
+
+    const lat = entry.latitude !== null ? parseFloat(entry.latitude) : null;
+    const lng = entry.longitude !== null ? parseFloat(entry.longitude) : null;
+    return {
+      code: entry.code,
+      city: entry.city,
+      state: entry.state,
+      county: entry.county,
+      lat: Number.isFinite(lat) ? lat : null,
+      lng: Number.isFinite(lng) ? lng : null,
+      timezone: entry.timezone,
+      neighbors: Array.isArray(entry.neighbors) ? entry.neighbors : []
+    };
+  } catch (error) {
+    console.error(`❌ Zip code lookup error: ${error.message}`);
+    return null;
+  }
+}
 
 /**
- * Get latitude and longitude from zip code using a geocoding service
+ * Gazetteer entries for the zip codes next to a zip code, closest first
+ * @param {string} zipCode - Zip code to start from
+ * @returns {Promise<Array>} - ZipCode rows (empty if the zip code is unknown)
+ */
+async function getNeighboringZipCodes(zipCode) {
+  const entry = await lookupZipCode(zipCode);
+  if (!entry || entry.neighbors.length === 0) return [];
+
+  const neighbors = await ZipCode.findAll({ where: { code: { [Op.in]: entry.neighbors } } });
+  return entry.neighbors
+    .map(code => neighbors.find(neighbor => neighbor.code === code))
+    .filter(Boolean);
+}
+
+/**
+ * Closest gazetteer zip code to a point (within ~15 miles)
+ * @param {{lat: number, lng: number}} coordinates - Validated coordinates
+ * @returns {Promise<string|null>} - 5-digit zip code or null if none is close
+ */
+async function nearestZipCode({ lat, lng }) {
+  try {
+    const box = getBoundingBox(lat, lng, 15);
+    const candidates = await ZipCode.findAll({
+      where: {
+        latitude: { [Op.between]: [box.minLat, box.maxLat] },
+        longitude: { [Op.between]: [box.minLng, box.maxLng] }
+      },
+      attributes: ['code', 'latitude', 'longitude']
+    });
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    candidates.forEach(candidate => {
+      const distance = calculateDistance(lat, lng, parseFloat(candidate.latitude), parseFloat(candidate.longitude));
+      if (distance < nearestDistance) {
+        nearest = candidate.code;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  } catch (error) {
+    console.error(`❌ Nearest zip code lookup error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get latitude and longitude for a zip code from the offline gazetteer.
+ * Live geocoding (Google, then Nominatim) is only tried for zip codes the
+ * gazetteer doesn't know, and only when GEOCODING_LIVE_FALLBACK=true.
  * @param {string} zipCode - Zip code to geocode
  * @returns {Promise<{lat: number, lng: number}|null>} - Coordinates or null if not found
  */
 async function getCoordinatesFromZipCode(zipCode) {
-  try {
-    // Clean zip code (remove dashes, spaces)
-    const cleanZipCode = zipCode.replace(/[\s\-]/g, '');
-    
-    if (!cleanZipCode || cleanZipCode.length < 5) {
-      console.warn(`⚠️  Invalid zip code format: ${zipCode}`);
-      return null;
-    }
+  const cleanZipCode = normalizeZipCode(zipCode);
+  if (!cleanZipCode) {
+    console.warn(`⚠️  Invalid zip code format: ${zipCode}`);
+    return null;
+  }
+
+  const entry = await lookupZipCode(cleanZipCode);
+  if (entry && entry.lat !== null && entry.lng !== null) {
+    return { lat: entry.lat, lng: entry.lng };
+  }
+
+  if (process.env.GEOCODING_LIVE_FALLBACK !== 'true') {
+    return null;
+  }
+  return geocodeZipCodeLive(cleanZipCode);
+}
 
+/**
+ * Geocode a zip code with the Google Geocoding API (if GOOGLE_GEOCODING_API_KEY is set)
+ * and then Nominatim (OpenStreetMap)
+ * @param {string} cleanZipCode - Normalized 5-digit zip code
+ * @returns {Promise<{lat: number, lng: number}|null>} - Coordinates or null if not found
+ */
+async function geocodeZipCodeLive(cleanZipCode) {
+  try {
     console.log(`   Attempting to geocode: ${cleanZipCode}`);
 
     // Use Google Geocoding API first if API key is available (more reliable)
@@ -174,10 +288,155 @@ function getBoundingBox(lat, lng, radiusMiles) {
   };
 }
 
+/**
+ * Validate a latitude/longitude pair
+ * @param {*} lat - Latitude (string or number)
+ * @param {*} lng - Longitude (string or number)
+ * @returns {{lat: number, lng: number}|null} - Coordinates or null if invalid
+ */
+function parseLatLng(lat, lng) {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { lat: latitude, lng: longitude };
+}
+
+/**
+ * Parse a map viewport given as "south,west,north,east"
+ * West is greater than east when the viewport crosses the antimeridian
+ * @param {string} value - Bounds string
+ * @returns {{south: number, west: number, north: number, east: number}|null}
+ */
+function parseBounds(value) {
+  if (!value) return null;
+  const parts = String(value).split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    return null;
+  }
+  const [south, west, north, east] = parts;
+  if (south > north || Math.abs(south) > 90 || Math.abs(north) > 90 || Math.abs(west) > 180 || Math.abs(east) > 180) {
+    return null;
+  }
+  return { south, west, north, east };
+}
+
+/**
+ * Read the location part of a search query:
+ * - ?lat=&lng= or ?zipCode= sets the center that results are measured from
+ * - ?radius= (miles) limits results to that distance from the center; a zip code
+ *   search defaults to DEFAULT_RADIUS_MILES
+ * - ?bounds=south,west,north,east limits results to a map viewport
+ * @param {Object} query - req.query
+ * @returns {Promise<{center: Object|null, radiusMiles: number|null, bounds: Object|null, zipCode: string|null, error?: string}>}
+ */
+async function parseGeoQuery(query) {
+  const geo = { center: null, radiusMiles: null, bounds: null, zipCode: null };
+
+  if (query.bounds) {
+    geo.bounds = parseBounds(query.bounds);
+    if (!geo.bounds) {
+      return { ...geo, error: 'bounds must be south,west,north,east in degrees' };
+    }
+  }
+
+  if (query.lat !== undefined || query.lng !== undefined) {
+    geo.center = parseLatLng(query.lat, query.lng);
+    if (!geo.center) {
+      return { ...geo, error: 'Invalid lat/lng' };
+    }
+  } else {
+    const zipCode = Array.isArray(query.zipCode) ? query.zipCode[0] : query.zipCode;
+    geo.zipCode = typeof zipCode === 'string' && zipCode.trim() ? zipCode.trim() : null;
+  }
+  if (geo.zipCode) {
+    geo.center = await getCoordinatesFromZipCode(geo.zipCode);
+  }
+
+  if (query.radius !== undefined && query.radius !== '') {
+    const radius = parseFloat(query.radius);
+    if (!Number.isFinite(radius) || radius <= 0) {
+      return { ...geo, error: 'radius must be a positive number of miles' };
+    }
+    geo.radiusMiles = Math.min(radius, MAX_RADIUS_MILES);
+  } else if (geo.zipCode) {
+    geo.radiusMiles = DEFAULT_RADIUS_MILES;
+  }
+
+  return geo;
+}
+
+/**
+ * SQL for the great-circle distance in miles from a point to a row's
+ * latitude/longitude columns, NULL when the row has no coordinates
+ * @param {{lat: number, lng: number}} center - Validated coordinates
+ * @param {string} alias - Table alias of the row (defaults to the Business model's)
+ * @returns {string} - SQL expression
+ */
+function distanceSql({ lat, lng }, alias = 'Business') {
+  const latitude = `\`${alias}\`.\`latitude\``;
+  const longitude = `\`${alias}\`.\`longitude\``;
+  return `(3959 * ACOS(LEAST(1, COS(RADIANS(${lat})) * COS(RADIANS(${latitude}))
+    * COS(RADIANS(${longitude}) - RADIANS(${lng}))
+    + SIN(RADIANS(${lat})) * SIN(RADIANS(${latitude})))))`;
+}
+
+/**
+ * Where conditions for a parsed geo query, to be combined with Op.and
+ * A radius search filters on the bounding box first (so the lat/lng index is used),
+ * then on the exact distance. Businesses without coordinates are kept when they are
+ * in the exact zip code that was searched.
+ * @param {Object} geo - From parseGeoQuery()
+ * @param {string} alias - Table alias of the row
+ * @returns {Array} - Sequelize conditions
+ */
+function geoConditions(geo, alias = 'Business') {
+  const conditions = [];
+
+  if (geo.center && geo.radiusMiles) {
+    const box = getBoundingBox(geo.center.lat, geo.center.lng, geo.radiusMiles);
+    const withinRadius = {
+      [Op.and]: [
+        { latitude: { [Op.between]: [box.minLat, box.maxLat] } },
+        { longitude: { [Op.between]: [box.minLng, box.maxLng] } },
+        sequelize.literal(`${distanceSql(geo.center, alias)} <= ${geo.radiusMiles}`)
+      ]
+    };
+    conditions.push(geo.zipCode
+      ? { [Op.or]: [withinRadius, { zipCode: geo.zipCode }] }
+      : withinRadius);
+  } else if (geo.zipCode && !geo.center) {
+    // Zip code couldn't be geocoded - fall back to an exact match
+    conditions.push({ zipCode: geo.zipCode });
+  }
+
+  if (geo.bounds) {
+    const { south, west, north, east } = geo.bounds;
+    conditions.push({ latitude: { [Op.between]: [south, north] } });
+    conditions.push(west <= east
+      ? { longitude: { [Op.between]: [west, east] } }
+      : { [Op.or]: [{ longitude: { [Op.gte]: west } }, { longitude: { [Op.lte]: east } }] });
+  }
+
+  return conditions;
+}
+
 module.exports = {
+  DEFAULT_RADIUS_MILES,
+  MAX_RADIUS_MILES,
+  normalizeZipCode,
+  lookupZipCode,
+  getNeighboringZipCodes,
+  nearestZipCode,
   getCoordinatesFromZipCode,
   calculateDistance,
   getBoundingBox,
-  toRadians
+  toRadians,
+  parseLatLng,
+  parseBounds,
+  parseGeoQuery,
+  distanceSql,
+  geoConditions
 };
 
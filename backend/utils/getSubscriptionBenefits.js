@@ -1,5 +1,9 @@
+const { Op } = require('sequelize');
 const { UserSubscription, SubscriptionPlan } = require('../models');
 
+// Past-due subscriptions keep their benefits during the grace period (utils/subscriptionBilling.js)
+const BENEFIT_STATUSES = ['ACTIVE', 'PAST_DUE'];
+
 /**
  * Get subscription benefits for a user
  * @param {number} userId - The user ID
@@ -14,7 +18,7 @@ async function getSubscriptionBenefits(userId) {
             subscription = await UserSubscription.findOne({
             where: {
                 userId: userId,
-                status: 'ACTIVE'
+                status: { [Op.in]: BENEFIT_STATUSES }
             },
             include: [
                 {
@@ -40,7 +44,7 @@ async function getSubscriptionBenefits(userId) {
                 subscription = await UserSubscription.findOne({
                     where: {
                         userId: userId,
-                        status: 'ACTIVE'
+                        status: { [Op.in]: BENEFIT_STATUSES }
                     },
                     include: [
                         {
@@ -78,14 +82,12 @@ async function getSubscriptionBenefits(userId) {
             };
         }
 
-        // Check if subscription is still within current period
+        // Renewal and expiry belong to the billing sweep (utils/subscriptionBilling.js): an ACTIVE
+        // subscription whose period just ended keeps its benefits until the sweep renews it, and a
+        // PAST_DUE one keeps them until its grace period ends
         const now = new Date(); // Use server time (UTC)
-        if (subscription.currentPeriodEnd && new Date(subscription.currentPeriodEnd) < now) {
-            // Subscription expired - update status in database
-            if (subscription.status === 'ACTIVE') {
-                await subscription.update({ status: 'EXPIRED' });
-                console.log(`[getSubscriptionBenefits] Updated subscription ${subscription.id} to EXPIRED for user ${userId}, period ended: ${subscription.currentPeriodEnd}`);
-            }
+        if (subscription.status === 'PAST_DUE' && (!subscription.graceEndsAt || new Date(subscription.graceEndsAt) <= now)) {
+            console.log(`[getSubscriptionBenefits] Grace period over for subscription ${subscription.id} (user ${userId}), awaiting expiry`);
             return {
                 hasActiveSubscription: false,
                 tier: 'BASIC',
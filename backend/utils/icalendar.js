@@ -0,0 +1,101 @@
+/**
+ * iCalendar (RFC 5545) feed builder
+ *
+ * Produces a VCALENDAR document calendar apps can subscribe to. Times are written
+ * in UTC, so no VTIMEZONE blocks are needed.
+ */
+
+const PRODID = '-//Services Provider//Appointments//EN';
+
+// Escape TEXT values: backslash, semicolon, comma and newlines
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function formatDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) {
+        return line;
+    }
+
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char, 'utf8');
+        // Continuation lines lose one octet to the leading space
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            chunks.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar
+ * @param {string} calendar.name - Calendar name shown by the subscribing app
+ * @param {Array} calendar.events - [{ uid, start, end, summary, description, location, url, status, sequence, updatedAt }]
+ *   status is CONFIRMED or CANCELLED
+ * @returns {string} text/calendar body
+ */
+function buildCalendar({ name, events = [] }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    const stamp = formatDate(new Date());
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatDate(event.start)}`,
+            `DTEND:${formatDate(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            `STATUS:${event.status || 'CONFIRMED'}`,
+            `SEQUENCE:${event.sequence || 0}`
+        );
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.location) {
+            lines.push(`LOCATION:${escapeText(event.location)}`);
+        }
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+        if (event.updatedAt) {
+            lines.push(`LAST-MODIFIED:${formatDate(event.updatedAt)}`);
+        }
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar,
+    escapeText
+};
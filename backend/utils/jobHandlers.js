@@ -0,0 +1,225 @@
+/**
+ * Background Job Handlers
+ *
+ * Registers every job type the queue (utils/jobQueue.js) knows how to run:
+ * - lead.priority_expired: hand a lead to the fallback businesses once the primary provider's window ends
+ * - payout.process / payouts.sweep: provider payouts for approved work
+ * - milestone.payout: payout for one approved proposal milestone
+ * - review.send_reminder / reviews.send_reminders: one reminder per unanswered review request
+ * - webhook.deliver: one outbound webhook delivery to a provider's endpoint
+ * - search.sync: re-index businesses changed since they were last indexed
+ * - subscription.renew / subscription.retry_payment / subscriptions.sweep: recurring subscription billing and dunning
+ * - ledger.sync: post money movements the ledger missed (e.g. after a failed posting)
+ * - jobs.cleanup: prune old completed jobs
+ */
+
+const { Op } = require('sequelize');
+const { Lead, ServiceRequest, Proposal, ProposalMilestone, ReviewRequest, Business, Job } = require('../models');
+const { registerJobHandler, registerRecurringJob, enqueueJob } = require('./jobQueue');
+const assignFallbackLeads = require('./assignFallbackLeads');
+const processProviderPayout = require('./processProviderPayout');
+const { processMilestonePayout, queueMilestonePayout } = require('./milestones');
+const sendEmail = require('./sendEmail');
+const { renderTemplate } = require('./emailTemplates');
+const { runDeliveryJob } = require('./outboundWebhooks');
+const { syncSearchIndex } = require('./searchIndex');
+const { renewSubscription, retryInvoicePayment, sweepSubscriptions } = require('./subscriptionBilling');
+const { isPaid, isPayoutHeld } = require('./refunds');
+const { syncLedger } = require('./ledger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const REVIEW_REMINDER_AFTER_DAYS = parseInt(process.env.REVIEW_REMINDER_AFTER_DAYS) || 7;
+const COMPLETED_JOB_RETENTION_DAYS = 30;
+const SEARCH_SYNC_INTERVAL_MS = 5 * 60 * 1000;
+// Re-check what changed over the last few days, so an outage of the worker is still caught up
+const LEDGER_SYNC_LOOKBACK_MS = 3 * DAY_MS;
+
+const permanentError = (message) => {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+};
+
+// Primary provider didn't accept in time - open the lead to the fallback businesses
+registerJobHandler('lead.priority_expired', async ({ serviceRequestId, leadId, fallbackBusinessIds }) => {
+    const lead = await Lead.findByPk(leadId, { attributes: ['id', 'status'] });
+    if (lead && lead.status === 'accepted') {
+        return { skipped: 'Lead was accepted' };
+    }
+
+    const serviceRequest = await ServiceRequest.findByPk(serviceRequestId, { attributes: ['id', 'status'] });
+    if (!serviceRequest) {
+        return { skipped: 'Service request no longer exists' };
+    }
+    if (!['REQUEST_CREATED', 'LEAD_ASSIGNED'].includes(serviceRequest.status)) {
+        return { skipped: `Service request is ${serviceRequest.status}` };
+    }
+
+    const leads = await assignFallbackLeads(serviceRequestId, fallbackBusinessIds || []);
+    return { assigned: leads.length };
+});
+
+registerJobHandler('payout.process', async ({ proposalId }) => {
+    const proposal = await Proposal.findByPk(proposalId);
+    if (!proposal) {
+        throw permanentError(`Proposal ${proposalId} not found`);
+    }
+
+    const serviceRequest = await ServiceRequest.findByPk(proposal.serviceRequestId);
+    await processProviderPayout(proposal, serviceRequest);
+
+    // processProviderPayout logs rather than throws - check what it left behind
+    await proposal.reload();
+    if (proposal.payoutStatus === 'failed') {
+        throw permanentError(`Payout failed for proposal ${proposalId}`);
+    }
+    // Released with a new job when the dispute closes
+    if (isPayoutHeld(proposal)) {
+        return { skipped: 'Payout is on hold while the payment is disputed' };
+    }
+    if (isPaid(proposal.paymentStatus) && proposal.payoutStatus !== 'completed') {
+        throw new Error(`Payout for proposal ${proposalId} is still ${proposal.payoutStatus || 'pending'}`);
+    }
+
+    return { payoutStatus: proposal.payoutStatus };
+});
+
+// Pick up approved work whose payout was never queued (replaces scripts/process-pending-payouts.js)
+registerJobHandler('payouts.sweep', async () => {
+    const proposals = await Proposal.findAll({
+        where: {
+            status: 'ACCEPTED',
+            paymentStatus: { [Op.in]: ['succeeded', 'partially_refunded'] },
+            [Op.or]: [{ payoutStatus: null }, { payoutStatus: 'pending' }]
+        },
+        include: [{
+            model: ServiceRequest,
+            as: 'serviceRequest',
+            where: { status: { [Op.in]: ['APPROVED', 'CLOSED'] } },
+            attributes: ['id'],
+            required: true
+        }],
+        attributes: ['id', 'disputeStatus']
+    });
+
+    for (const proposal of proposals.filter(p => !isPayoutHeld(p))) {
+        await enqueueJob('payout.process', { proposalId: proposal.id }, { idempotencyKey: `payout:${proposal.id}` });
+    }
+
+    // Approved milestones are paid out as soon as they're approved, not when the whole job is
+    const milestones = await ProposalMilestone.findAll({
+        where: {
+            paymentStatus: { [Op.in]: ['succeeded', 'partially_refunded'] },
+            approvedAt: { [Op.ne]: null },
+            payoutStatus: 'pending'
+        },
+        attributes: ['id', 'disputeStatus']
+    });
+
+    for (const milestone of milestones.filter(m => !isPayoutHeld(m))) {
+        await queueMilestonePayout(milestone);
+    }
+
+    return { queued: proposals.length, milestonesQueued: milestones.length };
+});
+
+registerJobHandler('milestone.payout', async ({ milestoneId }) => {
+    const milestone = await ProposalMilestone.findByPk(milestoneId, { attributes: ['id'] });
+    if (!milestone) {
+        throw permanentError(`Milestone ${milestoneId} not found`);
+    }
+    return processMilestonePayout(milestoneId);
+});
+
+registerJobHandler('review.send_reminder', async ({ reviewRequestId }) => {
+    const reviewRequest = await ReviewRequest.findByPk(reviewRequestId, {
+        include: [{ model: Business, as: 'business', attributes: ['id', 'name'] }]
+    });
+    if (!reviewRequest || reviewRequest.status !== 'sent') {
+        return { skipped: 'Review request is no longer open' };
+    }
+    if (reviewRequest.expiresAt && new Date(reviewRequest.expiresAt) <= new Date()) {
+        return { skipped: 'Review request expired' };
+    }
+
+    const reviewLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/write-review?token=${reviewRequest.token}&business=${reviewRequest.businessId}`;
+    const rendered = renderTemplate('review_reminder', {
+        CustomerName: reviewRequest.customerName,
+        BusinessName: reviewRequest.business ? reviewRequest.business.name : 'your provider',
+        ReviewLink: reviewLink,
+        ExpiresOn: reviewRequest.expiresAt ? new Date(reviewRequest.expiresAt).toLocaleDateString() : null
+    });
+
+    await sendEmail({
+        to: reviewRequest.customerEmail,
+        subject: rendered.subject,
+        html: rendered.html,
+        text: rendered.text
+    });
+
+    return { sentTo: reviewRequest.customerEmail };
+});
+
+registerJobHandler('reviews.send_reminders', async () => {
+    const now = new Date();
+
+    const [expired] = await ReviewRequest.update(
+        { status: 'expired' },
+        { where: { status: { [Op.in]: ['pending', 'sent'] }, expiresAt: { [Op.lt]: now } } }
+    );
+
+    const due = await ReviewRequest.findAll({
+        where: {
+            status: 'sent',
+            sentAt: { [Op.lte]: new Date(now.getTime() - REVIEW_REMINDER_AFTER_DAYS * DAY_MS) },
+            expiresAt: { [Op.gt]: now }
+        },
+        attributes: ['id']
+    });
+
+    // The idempotency key means each request is reminded at most once
+    for (const reviewRequest of due) {
+        await enqueueJob('review.send_reminder', { reviewRequestId: reviewRequest.id }, {
+            idempotencyKey: `review-reminder:${reviewRequest.id}`
+        });
+    }
+
+    return { expired, checked: due.length };
+});
+
+registerJobHandler('webhook.deliver', runDeliveryJob);
+
+registerJobHandler('search.sync', () => syncSearchIndex());
+
+registerJobHandler('subscription.renew', ({ subscriptionId }) => renewSubscription(subscriptionId));
+
+// A declined card is a normal result here, not a job failure - dunning schedules the next try
+registerJobHandler('subscription.retry_payment', async ({ invoiceId }) => {
+    const result = await retryInvoicePayment(invoiceId);
+    return result.skipped ? result : { status: result.status, error: result.error || null };
+});
+
+registerJobHandler('subscriptions.sweep', () => sweepSubscriptions());
+
+registerJobHandler('ledger.sync', async () => {
+    const { checked, posted } = await syncLedger({ since: new Date(Date.now() - LEDGER_SYNC_LOOKBACK_MS) });
+    return { checked, posted };
+});
+
+registerJobHandler('jobs.cleanup', async () => {
+    const deleted = await Job.destroy({
+        where: {
+            status: 'completed',
+            completedAt: { [Op.lt]: new Date(Date.now() - COMPLETED_JOB_RETENTION_DAYS * DAY_MS) }
+        }
+    });
+    return { deleted };
+});
+
+registerRecurringJob('payouts.sweep', HOUR_MS);
+registerRecurringJob('reviews.send_reminders', 6 * HOUR_MS);
+registerRecurringJob('search.sync', SEARCH_SYNC_INTERVAL_MS);
+registerRecurringJob('subscriptions.sweep', HOUR_MS);
+registerRecurringJob('ledger.sync', HOUR_MS);
+registerRecurringJob('jobs.cleanup', DAY_MS);
@@ -0,0 +1,260 @@
+/**
+ * Durable Job Queue
+ *
+ * Features:
+ * - Jobs are rows in the jobs table, so they survive restarts
+ * - Delayed jobs (runAt), retries with exponential backoff, dead-letter state (failed)
+ * - Idempotency keys: enqueueing the same key twice returns the existing job
+ * - Recurring jobs are enqueued once per interval slot (the slot is the idempotency key),
+ *   so several server instances never double-schedule
+ * - Claiming is a conditional UPDATE, so a job only runs on one worker
+ *
+ * Handlers are registered in utils/jobHandlers.js. The worker polls every
+ * JOB_POLL_INTERVAL_MS (default 15s); set JOB_WORKER_ENABLED=false to run none.
+ */
+
+const os = require('os');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Job } = require('../models');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 15000;
+const BATCH_SIZE = 10;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// A running job whose lock is older than this is assumed lost (server crashed mid-job)
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+const recurringJobs = [];
+let pollTimer = null;
+let ticking = false;
+
+/**
+ * Register the function that runs a job type
+ * @param {string} type - Job type, e.g. 'payout.process'
+ * @param {Function} handler - async (payload, job) => result (stored on the job)
+ */
+function registerJobHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+/**
+ * Run a job type on a fixed interval
+ * @param {string} type - Job type (must have a handler)
+ * @param {number} intervalMs - Interval in milliseconds
+ * @param {Object} payload - Payload passed to every run
+ */
+function registerRecurringJob(type, intervalMs, payload = {}) {
+    recurringJobs.push({ type, intervalMs, payload });
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} payload - JSON payload for the handler
+ * @param {Object} options - { runAt, delayMs, idempotencyKey, maxAttempts }
+ * @returns {Promise<Object>} The new job, or the existing one for a repeated idempotency key
+ */
+async function enqueueJob(type, payload = {}, { runAt = null, delayMs = 0, idempotencyKey = null, maxAttempts = 5 } = {}) {
+    if (idempotencyKey) {
+        const existing = await Job.findOne({ where: { idempotencyKey } });
+        if (existing) {
+            return existing;
+        }
+    }
+
+    try {
+        return await Job.create({
+            type,
+            payload,
+            runAt: runAt || new Date(Date.now() + delayMs),
+            maxAttempts,
+            idempotencyKey
+        });
+    } catch (error) {
+        // Another process enqueued the same key between our check and insert
+        if (error.name === 'SequelizeUniqueConstraintError' && idempotencyKey) {
+            return Job.findOne({ where: { idempotencyKey } });
+        }
+        throw error;
+    }
+}
+
+function backoffFor(attempts) {
+    return Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+}
+
+async function runJob(job) {
+    const handler = handlers.get(job.type);
+
+    try {
+        if (!handler) {
+            const error = new Error(`No handler registered for job type "${job.type}"`);
+            error.permanent = true;
+            throw error;
+        }
+
+        const result = await handler(job.payload || {}, job);
+        await job.update({
+            status: 'completed',
+            result: result === undefined ? null : result,
+            completedAt: new Date(),
+            lockedAt: null,
+            lockedBy: null,
+            lastError: null
+        });
+    } catch (error) {
+        // error.permanent skips the remaining retries (e.g. bad payload)
+        const exhausted = error.permanent || job.attempts >= job.maxAttempts;
+        console.error(`[Job Queue] Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts} failed:`, error.message);
+
+        await job.update({
+            status: exhausted ? 'failed' : 'queued',
+            runAt: exhausted ? job.runAt : new Date(Date.now() + backoffFor(job.attempts)),
+            lastError: (error.stack || error.message || String(error)).slice(0, 5000),
+            lockedAt: null,
+            lockedBy: null
+        });
+    }
+}
+
+async function claimJob(id) {
+    const [affected] = await Job.update({
+        status: 'running',
+        lockedAt: new Date(),
+        lockedBy: WORKER_ID,
+        attempts: sequelize.literal('attempts + 1')
+    }, {
+        where: { id, status: 'queued' }
+    });
+
+    return affected === 1 ? Job.findByPk(id) : null;
+}
+
+async function scheduleRecurringJobs() {
+    const now = Date.now();
+    for (const recurring of recurringJobs) {
+        const slotStart = new Date(Math.floor(now / recurring.intervalMs) * recurring.intervalMs);
+        await enqueueJob(recurring.type, recurring.payload, {
+            runAt: slotStart,
+            idempotencyKey: `${recurring.type}@${slotStart.toISOString()}`,
+            maxAttempts: 3
+        });
+    }
+}
+
+async function releaseStaleLocks() {
+    const [released] = await Job.update(
+        { status: 'queued', lockedAt: null, lockedBy: null },
+        { where: { status: 'running', lockedAt: { [Op.lt]: new Date(Date.now() - STALE_LOCK_MS) } } }
+    );
+    if (released > 0) {
+        console.warn(`[Job Queue] Requeued ${released} job(s) with stale locks`);
+    }
+}
+
+/**
+ * Claim and run every job that is due (one batch at a time)
+ * @returns {Promise<number>} Number of jobs run
+ */
+async function processDueJobs() {
+    loadHandlers();
+    await scheduleRecurringJobs();
+    await releaseStaleLocks();
+
+    let processed = 0;
+    let due;
+    do {
+        due = await Job.findAll({
+            where: { status: 'queued', runAt: { [Op.lte]: new Date() } },
+            order: [['runAt', 'ASC'], ['id', 'ASC']],
+            limit: BATCH_SIZE,
+            attributes: ['id']
+        });
+
+        for (const { id } of due) {
+            const job = await claimJob(id);
+            if (job) {
+                await runJob(job);
+                processed++;
+            }
+        }
+    } while (due.length === BATCH_SIZE);
+
+    return processed;
+}
+
+async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+        await processDueJobs();
+    } catch (error) {
+        // Table missing (migration not run yet) or database unavailable - try again next tick
+        console.error('[Job Queue] Poll failed:', error.message);
+    } finally {
+        ticking = false;
+    }
+}
+
+/**
+ * Put a failed (or queued) job back in line to run now with a fresh set of attempts
+ * @param {Object} job - Job instance
+ */
+async function retryJob(job) {
+    await job.update({
+        status: 'queued',
+        attempts: 0,
+        runAt: new Date(),
+        lockedAt: null,
+        lockedBy: null
+    });
+    return job;
+}
+
+let handlersLoaded = false;
+function loadHandlers() {
+    if (!handlersLoaded) {
+        handlersLoaded = true;
+        require('./jobHandlers');
+    }
+}
+
+/**
+ * Start polling for due jobs
+ */
+function startJobWorker() {
+    if (process.env.JOB_WORKER_ENABLED === 'false') {
+        console.log('⏸️  Job worker disabled (JOB_WORKER_ENABLED=false)');
+        return;
+    }
+    if (pollTimer) return;
+
+    loadHandlers();
+    pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+    tick();
+    console.log(`⚙️  Job worker started (${WORKER_ID}, every ${POLL_INTERVAL_MS / 1000}s)`);
+}
+
+/**
+ * Stop polling (the job currently running is allowed to finish)
+ */
+function stopJobWorker() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+module.exports = {
+    registerJobHandler,
+    registerRecurringJob,
+    enqueueJob,
+    processDueJobs,
+    retryJob,
+    startJobWorker,
+    stopJobWorker
+};
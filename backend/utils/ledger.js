@@ -0,0 +1,1003 @@
+/**
+ * Ledger
+ *
+ * Append-only, double-entry record of every money movement on the platform. Each
+ * LedgerTransaction is one event and its LedgerEntry lines always balance
+ * (total debits = total credits).
+ *
+ * Accounts:
+ * - processor_balance (asset): money held at the payment processor
+ * - provider_payable (liability, per provider): earned by a provider and not paid out yet.
+ *   A debit balance means the provider owes the platform (e.g. a refund after their payout)
+ * - platform_fee_revenue, lead_fee_revenue, subscription_revenue (revenue)
+ * - refunds (contra revenue): the platform's share of money returned to payers
+ * - dispute_losses (expense): the platform's share of chargebacks lost
+ *
+ * Postings:
+ * - Proposal / milestone payment: Dr processor_balance, Cr provider_payable + platform_fee_revenue
+ * - Lead fee: Dr processor_balance, Cr lead_fee_revenue
+ * - Subscription invoice: Dr processor_balance, Cr subscription_revenue
+ * - Payout: Dr provider_payable, Cr processor_balance (a payout that differs from what the
+ *   payment accrued moves the difference between provider_payable and platform_fee_revenue)
+ * - Refund / lost chargeback: Cr processor_balance, Dr provider_payable for the provider's
+ *   share (see utils/refunds.js) and refunds / dispute_losses for the rest
+ * - Transfer reversal: Dr processor_balance, Cr provider_payable
+ * - Refund that failed at the processor: Dr processor_balance, Cr refunds
+ *
+ * Every event posts once (idempotencyKey), so callers can post as money moves and syncLedger
+ * can catch up on anything missed - or backfill history - at any time. Posting never breaks a
+ * payment flow: failures are logged and left to syncLedger and the reconciliation report.
+ * Rows are never edited; mistakes are fixed with new postings.
+ */
+
+const { Op, fn, col, literal } = require('sequelize');
+const { sequelize } = require('../config/database');
+const stripe = require('../config/stripe');
+const { calculatePayouts } = require('../config/platformFee');
+const {
+    LedgerTransaction, LedgerEntry, Proposal, ProposalMilestone, Lead, ProviderProfile, User,
+    SubscriptionInvoice, PaymentRefund, PaymentDispute
+} = require('../models');
+
+const ACCOUNTS = {
+    processor_balance: { name: 'Processor balance', normal: 'debit' },
+    provider_payable: { name: 'Owed to providers', normal: 'credit' },
+    platform_fee_revenue: { name: 'Platform fees', normal: 'credit' },
+    lead_fee_revenue: { name: 'Lead fees', normal: 'credit' },
+    subscription_revenue: { name: 'Subscriptions', normal: 'credit' },
+    refunds: { name: 'Refunds', normal: 'debit' },
+    dispute_losses: { name: 'Chargeback losses', normal: 'debit' }
+};
+
+// Statuses of a payment that was captured at some point (refunds don't undo that it was paid)
+const WAS_PAID_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+const PAID_OUT_STATUSES = ['completed', 'reversed'];
+const PAYMENT_TYPES = ['proposal_payment', 'milestone_payment', 'lead_charge', 'subscription_payment'];
+const MAX_RECONCILIATION_DAYS = 93;
+const KEY_BATCH_SIZE = 500;
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const debit = (account, amount, userId = null) => ({ account, direction: 'debit', amount, userId });
+const credit = (account, amount, userId = null) => ({ account, direction: 'credit', amount, userId });
+
+// One posting per event
+const keys = {
+    payment: (kind, id) => `payment:${kind}:${id}`,
+    payout: (kind, id) => `payout:${kind}:${id}`,
+    subscription: (invoiceId) => `subscription-invoice:${invoiceId}`,
+    refund: (refundId) => `refund:${refundId}`,
+    refundReversal: (refundId) => `refund-reversed:${refundId}`,
+    transferReversal: (source, id) => `transfer-reversal:${source}:${id}`,
+    disputeLoss: (disputeId) => `dispute-lost:${disputeId}`
+};
+
+/**
+ * Post one balanced transaction (a no-op when its idempotencyKey was posted before)
+ * @param {Object} data - { type, idempotencyKey, referenceType, referenceId, userId, stripeObjectId,
+ *   description, occurredAt, metadata, entries: [{ account, direction, amount, userId }] }
+ * @returns {Promise<Object>} { ledgerTransaction, alreadyPosted } or { skipped }
+ */
+async function postTransaction({ type, idempotencyKey, referenceType, referenceId, userId = null, stripeObjectId = null, description = null, occurredAt = new Date(), metadata = null, entries }) {
+    // Negative amounts post on the other side
+    const lines = entries
+        .map((entry) => {
+            const cents = toCents(entry.amount);
+            return cents < 0
+                ? { ...entry, direction: entry.direction === 'debit' ? 'credit' : 'debit', cents: -cents }
+                : { ...entry, cents };
+        })
+        .filter((entry) => entry.cents > 0);
+
+    for (const line of lines) {
+        if (!ACCOUNTS[line.account]) {
+            throw new Error(`Unknown ledger account ${line.account}`);
+        }
+    }
+    if (lines.length === 0) {
+        return { skipped: 'Nothing to post' };
+    }
+
+    const debits = lines.filter((line) => line.direction === 'debit').reduce((sum, line) => sum + line.cents, 0);
+    const credits = lines.filter((line) => line.direction === 'credit').reduce((sum, line) => sum + line.cents, 0);
+    if (debits !== credits) {
+        throw new Error(`Unbalanced ledger posting ${idempotencyKey}: debits ${fromCents(debits)}, credits ${fromCents(credits)}`);
+    }
+
+    const existing = await LedgerTransaction.findOne({ where: { idempotencyKey } });
+    if (existing) {
+        return { ledgerTransaction: existing, alreadyPosted: true };
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+        const ledgerTransaction = await LedgerTransaction.create({
+            type,
+            idempotencyKey,
+            referenceType,
+            referenceId,
+            userId,
+            stripeObjectId,
+            amount: fromCents(debits),
+            description,
+            occurredAt,
+            metadata
+        }, { transaction });
+
+        await LedgerEntry.bulkCreate(lines.map((line) => ({
+            transactionId: ledgerTransaction.id,
+            account: line.account,
+            userId: line.userId || null,
+            direction: line.direction,
+            amount: fromCents(line.cents),
+            occurredAt
+        })), { transaction });
+
+        await transaction.commit();
+        return { ledgerTransaction };
+    } catch (error) {
+        await transaction.rollback();
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return { ledgerTransaction: await LedgerTransaction.findOne({ where: { idempotencyKey } }), alreadyPosted: true };
+        }
+        throw error;
+    }
+}
+
+// Keep a ledger problem out of the payment flow - syncLedger and the reconciliation report pick up gaps
+async function safely(label, post) {
+    try {
+        return await post();
+    } catch (error) {
+        console.error(`[Ledger] Failed to post ${label}:`, error.message);
+        return null;
+    }
+}
+
+async function providerUserIdForProposal(proposalId) {
+    const proposal = await Proposal.findByPk(proposalId, {
+        attributes: ['id', 'providerId'],
+        include: [{ model: ProviderProfile, as: 'provider', attributes: ['id', 'userId'] }]
+    });
+    return proposal?.provider?.userId || null;
+}
+
+// Which payment a refund / dispute row belongs to
+function paymentOf(row) {
+    if (row.milestoneId) {
+        return { kind: 'milestone', id: row.milestoneId };
+    }
+    if (row.leadId) {
+        return { kind: 'lead', id: row.leadId };
+    }
+    return { kind: 'proposal', id: row.proposalId };
+}
+
+async function loadPayment(kind, id) {
+    const Model = { proposal: Proposal, milestone: ProposalMilestone, lead: Lead }[kind];
+    return Model.findByPk(id);
+}
+
+// Provider the payment's money belongs to (for lead fees: the provider who paid)
+async function paymentUserId(kind, record) {
+    if (kind === 'lead') {
+        return record.providerId;
+    }
+    return providerUserIdForProposal(kind === 'milestone' ? record.proposalId : record.id);
+}
+
+function wasPaid(kind, record) {
+    if (!record.stripePaymentIntentId) {
+        return false;
+    }
+    if (WAS_PAID_STATUSES.includes(record.paymentStatus)) {
+        return true;
+    }
+    // Lead fees charged before Lead.paymentStatus existed
+    return kind === 'lead' && !record.paymentStatus && record.status === 'accepted';
+}
+
+/**
+ * Post a captured payment: proposal, milestone or lead fee
+ * @param {string} kind - proposal, milestone or lead
+ * @param {Object} record - Proposal, ProposalMilestone or Lead
+ * @returns {Promise<Object|null>} postTransaction result, or null if it could not be posted
+ */
+function postPayment(kind, record) {
+    return safely(`${kind} ${record.id} payment`, async () => {
+        if (!wasPaid(kind, record)) {
+            return { skipped: 'Not paid' };
+        }
+
+        const userId = await paymentUserId(kind, record);
+        const common = {
+            idempotencyKey: keys.payment(kind, record.id),
+            referenceType: kind,
+            referenceId: record.id,
+            userId,
+            stripeObjectId: record.stripePaymentIntentId,
+            occurredAt: record.paidAt || record.updatedAt || new Date()
+        };
+
+        if (kind === 'lead') {
+            const amount = fromCents(parseInt(record.leadCost) || 0);
+            return postTransaction({
+                ...common,
+                type: 'lead_charge',
+                description: `Lead fee for lead #${record.id}`,
+                entries: [
+                    debit('processor_balance', amount),
+                    credit('lead_fee_revenue', amount)
+                ]
+            });
+        }
+
+        const gross = parseFloat(kind === 'proposal' ? record.price : record.amount);
+        // The stored split is the one charged - unless a refund has since reduced it
+        let split = calculatePayouts(gross, record.platformFeeRule);
+        if (toCents(record.refundedAmount) === 0 && record.providerPayoutAmount !== null && record.platformFeeAmount !== null
+            && toCents(record.providerPayoutAmount) + toCents(record.platformFeeAmount) === toCents(gross)) {
+            split = { providerAmount: parseFloat(record.providerPayoutAmount), platformFee: parseFloat(record.platformFeeAmount) };
+        }
+
+        return postTransaction({
+            ...common,
+            type: `${kind}_payment`,
+            description: kind === 'proposal'
+                ? `Payment for proposal #${record.id}`
+                : `Payment for milestone "${record.title}" (proposal #${record.proposalId})`,
+            metadata: kind === 'milestone' ? { proposalId: record.proposalId } : null,
+            entries: [
+                debit('processor_balance', gross),
+                credit('provider_payable', split.providerAmount, userId),
+                credit('platform_fee_revenue', split.platformFee)
+            ]
+        });
+    });
+}
+
+// Net amount a payment has left owed to its provider so far (cents)
+async function accruedPayableCents(kind, id) {
+    const rows = await LedgerEntry.findAll({
+        attributes: ['direction', [fn('SUM', col('LedgerEntry.amount')), 'total']],
+        where: { account: 'provider_payable' },
+        include: [{
+            model: LedgerTransaction,
+            as: 'ledgerTransaction',
+            attributes: [],
+            where: { referenceType: kind, referenceId: id }
+        }],
+        group: ['direction'],
+        raw: true
+    });
+    return rows.reduce((sum, row) => sum + (row.direction === 'credit' ? 1 : -1) * toCents(row.total), 0);
+}
+
+/**
+ * Post a completed provider payout for a proposal or milestone
+ * @param {string} kind - proposal or milestone
+ * @param {Object} record - Proposal or ProposalMilestone
+ * @returns {Promise<Object|null>}
+ */
+function postPayout(kind, record) {
+    return safely(`${kind} ${record.id} payout`, async () => {
+        if (!PAID_OUT_STATUSES.includes(record.payoutStatus)) {
+            return { skipped: `Payout is ${record.payoutStatus || 'not sent'}` };
+        }
+        if (await LedgerTransaction.count({ where: { idempotencyKey: keys.payout(kind, record.id) } })) {
+            return { alreadyPosted: true };
+        }
+
+        // The payout can't be posted before the payment it pays out
+        await postPayment(kind, record);
+
+        const userId = await paymentUserId(kind, record);
+        const amount = record.providerPayoutAmount !== null && record.providerPayoutAmount !== undefined
+            ? parseFloat(record.providerPayoutAmount)
+            : calculatePayouts(parseFloat(kind === 'proposal' ? record.price : record.amount), record.platformFeeRule).providerAmount;
+        const adjustment = fromCents(toCents(amount) - await accruedPayableCents(kind, record.id));
+
+        return postTransaction({
+            type: 'payout',
+            idempotencyKey: keys.payout(kind, record.id),
+            referenceType: kind,
+            referenceId: record.id,
+            userId,
+            stripeObjectId: record.stripeTransferId || null,
+            description: kind === 'proposal'
+                ? `Payout for proposal #${record.id}`
+                : `Payout for milestone "${record.title}" (proposal #${record.proposalId})`,
+            occurredAt: record.payoutProcessedAt || new Date(),
+            metadata: adjustment !== 0 ? { feeAdjustment: adjustment } : null,
+            entries: [
+                debit('provider_payable', amount, userId),
+                credit('processor_balance', amount),
+                // Paid out more (or less) than the payment accrued: the platform fee absorbs the difference
+                debit('platform_fee_revenue', adjustment),
+                credit('provider_payable', adjustment, userId)
+            ]
+        });
+    });
+}
+
+/**
+ * Post a paid subscription invoice
+ * @param {Object} invoice - SubscriptionInvoice
+ * @returns {Promise<Object|null>}
+ */
+function postSubscriptionPayment(invoice) {
+    return safely(`subscription invoice ${invoice.id}`, async () => {
+        if (invoice.status !== 'paid') {
+            return { skipped: `Invoice is ${invoice.status}` };
+        }
+        const amount = parseFloat(invoice.amount);
+        return postTransaction({
+            type: 'subscription_payment',
+            idempotencyKey: keys.subscription(invoice.id),
+            referenceType: 'subscription_invoice',
+            referenceId: invoice.id,
+            userId: invoice.userId,
+            stripeObjectId: invoice.paymentId,
+            description: `Subscription ${invoice.reason.replace('_', ' ')} invoice #${invoice.id}`,
+            occurredAt: invoice.paidAt || new Date(),
+            entries: [
+                debit('processor_balance', amount),
+                credit('subscription_revenue', amount)
+            ]
+        });
+    });
+}
+
+/**
+ * Post an applied refund. The provider's share is what utils/refunds.js took off their payout
+ * @param {Object} refund - PaymentRefund
+ * @returns {Promise<Object|null>}
+ */
+function postRefund(refund) {
+    return safely(`refund ${refund.id}`, async () => {
+        if (!refund.appliedAt) {
+            return { skipped: 'Refund has not been applied' };
+        }
+        if (await LedgerTransaction.count({ where: { idempotencyKey: keys.refund(refund.id) } })) {
+            return { alreadyPosted: true };
+        }
+
+        const { kind, id } = paymentOf(refund);
+        const record = await loadPayment(kind, id);
+        if (record) {
+            await postPayment(kind, record);
+        }
+
+        const userId = record ? await paymentUserId(kind, record) : null;
+        const amount = parseFloat(refund.amount);
+        const providerShare = kind === 'lead' ? 0 : shareOf(refund);
+
+        return postTransaction({
+            type: 'refund',
+            idempotencyKey: keys.refund(refund.id),
+            referenceType: kind,
+            referenceId: id,
+            userId,
+            stripeObjectId: refund.stripeRefundId,
+            description: `Refund #${refund.id} on ${kind} #${id} (${refund.reason.replace(/_/g, ' ')})`,
+            occurredAt: refund.createdAt || new Date(),
+            metadata: { refundId: refund.id, source: refund.source },
+            entries: [
+                credit('processor_balance', amount),
+                debit('provider_payable', providerShare, userId),
+                debit('refunds', fromCents(toCents(amount) - toCents(providerShare)))
+            ]
+        });
+    });
+}
+
+// Provider's share of a refund / lost dispute, recorded when it was applied
+function shareOf(row) {
+    if (row.metadata && row.metadata.providerShare !== undefined) {
+        return parseFloat(row.metadata.providerShare);
+    }
+    return parseFloat(row.transferReversalAmount || 0);
+}
+
+/**
+ * Post the money coming back from a refund that failed or was canceled at the processor
+ * (payout adjustments already made stay until an admin reviews them - see recordRefundUpdate)
+ * @param {Object} refund - PaymentRefund
+ * @returns {Promise<Object|null>}
+ */
+function postRefundReversal(refund) {
+    return safely(`refund ${refund.id} reversal`, async () => {
+        if (!['failed', 'canceled'].includes(refund.status) || !refund.appliedAt) {
+            return { skipped: `Refund is ${refund.status}` };
+        }
+
+        // The refund itself has to be in the ledger before it can be undone
+        await postRefund(refund);
+        const refundPosting = await LedgerTransaction.findOne({ where: { idempotencyKey: keys.refund(refund.id) } });
+        if (!refundPosting) {
+            return { skipped: 'Refund is not posted' };
+        }
+
+        const { kind, id } = paymentOf(refund);
+        const amount = parseFloat(refund.amount);
+        return postTransaction({
+            type: 'refund_reversal',
+            idempotencyKey: keys.refundReversal(refund.id),
+            referenceType: kind,
+            referenceId: id,
+            userId: refundPosting.userId,
+            stripeObjectId: refund.stripeRefundId,
+            description: `Refund #${refund.id} ${refund.status} at the processor`,
+            occurredAt: refund.updatedAt || new Date(),
+            metadata: { refundId: refund.id },
+            entries: [
+                debit('processor_balance', amount),
+                credit('refunds', amount)
+            ]
+        });
+    });
+}
+
+/**
+ * Post a provider transfer reversal that went through at the processor
+ * @param {string} source - refund or dispute
+ * @param {Object} row - PaymentRefund or PaymentDispute
+ * @returns {Promise<Object|null>}
+ */
+function postTransferReversal(source, row) {
+    return safely(`${source} ${row.id} transfer reversal`, async () => {
+        if (row.transferReversalStatus !== 'reversed') {
+            return { skipped: `Transfer reversal is ${row.transferReversalStatus}` };
+        }
+
+        const { kind, id } = paymentOf(row);
+        const userId = await providerUserIdForProposal(row.proposalId);
+        const amount = parseFloat(row.transferReversalAmount);
+        return postTransaction({
+            type: 'transfer_reversal',
+            idempotencyKey: keys.transferReversal(source, row.id),
+            referenceType: kind,
+            referenceId: id,
+            userId,
+            stripeObjectId: row.stripeTransferReversalId,
+            description: `Payout reversed for ${source} #${row.id} on ${kind} #${id}`,
+            occurredAt: row.updatedAt || new Date(),
+            metadata: { [`${source}Id`]: row.id },
+            entries: [
+                debit('processor_balance', amount),
+                credit('provider_payable', amount, userId)
+            ]
+        });
+    });
+}
+
+/**
+ * Post a lost chargeback
+ * @param {Object} dispute - PaymentDispute
+ * @returns {Promise<Object|null>}
+ */
+function postDisputeLoss(dispute) {
+    return safely(`dispute ${dispute.id}`, async () => {
+        if (dispute.status !== 'lost' || !dispute.closedAt) {
+            return { skipped: `Dispute is ${dispute.status}` };
+        }
+        if (await LedgerTransaction.count({ where: { idempotencyKey: keys.disputeLoss(dispute.id) } })) {
+            return { alreadyPosted: true };
+        }
+
+        const { kind, id } = paymentOf(dispute);
+        const record = await loadPayment(kind, id);
+        if (record) {
+            await postPayment(kind, record);
+        }
+
+        const userId = record ? await paymentUserId(kind, record) : null;
+        const amount = parseFloat(dispute.amount);
+        const providerShare = kind === 'lead' ? 0 : shareOf(dispute);
+
+        return postTransaction({
+            type: 'dispute_loss',
+            idempotencyKey: keys.disputeLoss(dispute.id),
+            referenceType: kind,
+            referenceId: id,
+            userId,
+            stripeObjectId: dispute.stripeDisputeId,
+            description: `Chargeback lost on ${kind} #${id} (${dispute.reason || 'no reason given'})`,
+            occurredAt: dispute.closedAt,
+            metadata: { disputeId: dispute.id },
+            entries: [
+                credit('processor_balance', amount),
+                debit('provider_payable', providerShare, userId),
+                debit('dispute_losses', fromCents(toCents(amount) - toCents(providerShare)))
+            ]
+        });
+    });
+}
+
+/**
+ * Post every money event the ledger is missing, oldest first (safe to run any time)
+ * @param {Object} options - { since: only records changed since this date, dryRun: list without posting }
+ * @returns {Promise<Object>} { checked, posted, missing: [{ key, type, occurredAt }] }
+ */
+async function syncLedger({ since = null, dryRun = false } = {}) {
+    const changed = since ? { updatedAt: { [Op.gte]: since } } : {};
+    const paidWhere = { ...changed, stripePaymentIntentId: { [Op.ne]: null }, paymentStatus: { [Op.in]: WAS_PAID_STATUSES } };
+    const events = [];
+
+    for (const [kind, Model] of [['proposal', Proposal], ['milestone', ProposalMilestone]]) {
+        const records = await Model.findAll({ where: paidWhere });
+        for (const record of records) {
+            events.push({ key: keys.payment(kind, record.id), type: `${kind}_payment`, at: record.paidAt || record.updatedAt, post: () => postPayment(kind, record) });
+            if (PAID_OUT_STATUSES.includes(record.payoutStatus)) {
+                events.push({ key: keys.payout(kind, record.id), type: 'payout', at: record.payoutProcessedAt || record.updatedAt, post: () => postPayout(kind, record) });
+            }
+        }
+    }
+
+    const leads = await Lead.findAll({
+        where: {
+            ...changed,
+            stripePaymentIntentId: { [Op.ne]: null },
+            [Op.or]: [
+                { paymentStatus: { [Op.in]: WAS_PAID_STATUSES } },
+                { paymentStatus: null, status: 'accepted' }
+            ]
+        }
+    });
+    for (const lead of leads) {
+        events.push({ key: keys.payment('lead', lead.id), type: 'lead_charge', at: lead.updatedAt, post: () => postPayment('lead', lead) });
+    }
+
+    const invoices = await SubscriptionInvoice.findAll({ where: { ...changed, status: 'paid', amount: { [Op.gt]: 0 } } });
+    for (const invoice of invoices) {
+        events.push({ key: keys.subscription(invoice.id), type: 'subscription_payment', at: invoice.paidAt, post: () => postSubscriptionPayment(invoice) });
+    }
+
+    const refunds = await PaymentRefund.findAll({ where: { ...changed, appliedAt: { [Op.ne]: null } } });
+    for (const refund of refunds) {
+        events.push({ key: keys.refund(refund.id), type: 'refund', at: refund.createdAt, post: () => postRefund(refund) });
+        if (['failed', 'canceled'].includes(refund.status)) {
+            events.push({ key: keys.refundReversal(refund.id), type: 'refund_reversal', at: refund.updatedAt, post: () => postRefundReversal(refund) });
+        }
+        if (refund.transferReversalStatus === 'reversed') {
+            events.push({ key: keys.transferReversal('refund', refund.id), type: 'transfer_reversal', at: refund.updatedAt, post: () => postTransferReversal('refund', refund) });
+        }
+    }
+
+    const disputes = await PaymentDispute.findAll({ where: { ...changed, status: 'lost', closedAt: { [Op.ne]: null } } });
+    for (const dispute of disputes) {
+        events.push({ key: keys.disputeLoss(dispute.id), type: 'dispute_loss', at: dispute.closedAt, post: () => postDisputeLoss(dispute) });
+        if (dispute.transferReversalStatus === 'reversed') {
+            events.push({ key: keys.transferReversal('dispute', dispute.id), type: 'transfer_reversal', at: dispute.updatedAt, post: () => postTransferReversal('dispute', dispute) });
+        }
+    }
+
+    const posted = new Set();
+    for (let i = 0; i < events.length; i += KEY_BATCH_SIZE) {
+        const batch = events.slice(i, i + KEY_BATCH_SIZE).map((event) => event.key);
+        const rows = await LedgerTransaction.findAll({ attributes: ['idempotencyKey'], where: { idempotencyKey: { [Op.in]: batch } }, raw: true });
+        rows.forEach((row) => posted.add(row.idempotencyKey));
+    }
+
+    // Oldest first, so refunds land after the payments and payouts they adjust
+    const missing = events
+        .filter((event) => !posted.has(event.key))
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    let postedCount = 0;
+    if (!dryRun) {
+        for (const event of missing) {
+            const result = await event.post();
+            if (result && result.ledgerTransaction && !result.alreadyPosted) {
+                postedCount++;
+            }
+        }
+    }
+
+    return {
+        checked: events.length,
+        posted: postedCount,
+        missing: missing.map((event) => ({ key: event.key, type: event.type, occurredAt: event.at }))
+    };
+}
+
+// Signed sums per account (and provider) - positive in the account's normal direction
+async function sumEntries(where, groupBy = ['account']) {
+    const rows = await LedgerEntry.findAll({
+        attributes: [...groupBy, 'direction', [fn('SUM', col('amount')), 'total']],
+        where,
+        group: [...groupBy, 'direction'],
+        raw: true
+    });
+
+    const totals = new Map();
+    for (const row of rows) {
+        const groupKey = groupBy.map((field) => row[field]).join(':');
+        const current = totals.get(groupKey) || { ...Object.fromEntries(groupBy.map((field) => [field, row[field]])), debits: 0, credits: 0 };
+        current[row.direction === 'debit' ? 'debits' : 'credits'] += toCents(row.total);
+        totals.set(groupKey, current);
+    }
+
+    return [...totals.values()].map((total) => {
+        const normal = ACCOUNTS[total.account] ? ACCOUNTS[total.account].normal : 'debit';
+        return {
+            ...total,
+            debits: fromCents(total.debits),
+            credits: fromCents(total.credits),
+            balance: fromCents(normal === 'debit' ? total.debits - total.credits : total.credits - total.debits)
+        };
+    });
+}
+
+/**
+ * Balance of every account (a trial balance - debits and credits always match)
+ * @param {Object} options - { asOf } defaults to now
+ * @returns {Promise<Object>} { asOf, accounts: [{ account, name, debits, credits, balance }], totalDebits, totalCredits }
+ */
+async function getAccountBalances({ asOf = new Date() } = {}) {
+    const sums = await sumEntries({ occurredAt: { [Op.lte]: asOf } });
+    const accounts = Object.entries(ACCOUNTS).map(([account, { name }]) => {
+        const sum = sums.find((row) => row.account === account);
+        return { account, name, debits: sum ? sum.debits : 0, credits: sum ? sum.credits : 0, balance: sum ? sum.balance : 0 };
+    });
+
+    return {
+        asOf,
+        accounts,
+        totalDebits: fromCents(accounts.reduce((total, account) => total + toCents(account.debits), 0)),
+        totalCredits: fromCents(accounts.reduce((total, account) => total + toCents(account.credits), 0))
+    };
+}
+
+/**
+ * What the platform owes one provider (negative: what the provider owes the platform)
+ * @param {number} userId - Provider's user ID
+ * @param {Object} options - { asOf } defaults to now
+ * @returns {Promise<Object>} { userId, asOf, balance, totals: { [type]: { count, amount } } }
+ */
+async function getProviderBalance(userId, { asOf = new Date() } = {}) {
+    const [payable] = await sumEntries({ account: 'provider_payable', userId, occurredAt: { [Op.lte]: asOf } });
+
+    const rows = await LedgerTransaction.findAll({
+        attributes: ['type', [fn('COUNT', col('id')), 'count'], [fn('SUM', col('amount')), 'amount']],
+        where: { userId, occurredAt: { [Op.lte]: asOf } },
+        group: ['type'],
+        raw: true
+    });
+
+    return {
+        userId,
+        asOf,
+        balance: payable ? payable.balance : 0,
+        totals: Object.fromEntries(rows.map((row) => [row.type, { count: parseInt(row.count), amount: parseFloat(row.amount) }]))
+    };
+}
+
+/**
+ * Provider balances, largest first - what is waiting to be paid out and what providers owe
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { providers: [{ userId, name, email, balance }], total, page, pages }
+ */
+async function getProviderBalances({ page = 1, limit = 20 } = {}) {
+    const balances = (await sumEntries({ account: 'provider_payable', userId: { [Op.ne]: null } }, ['account', 'userId']))
+        .filter((row) => row.balance !== 0)
+        .sort((a, b) => Math.abs(b.balance) - Math.abs(a.balance));
+
+    const pageRows = balances.slice((page - 1) * limit, page * limit);
+    const users = await User.findAll({
+        attributes: ['id', 'name', 'email'],
+        where: { id: { [Op.in]: pageRows.map((row) => row.userId) } }
+    });
+
+    return {
+        providers: pageRows.map((row) => {
+            const user = users.find((candidate) => candidate.id === row.userId);
+            return { userId: row.userId, name: user ? user.name : null, email: user ? user.email : null, balance: row.balance };
+        }),
+        total: balances.length,
+        page,
+        pages: Math.max(Math.ceil(balances.length / limit), 1)
+    };
+}
+
+/**
+ * Parse a YYYY-MM month into its UTC date range
+ * @param {string} month
+ * @returns {Object|null} { start, end }
+ */
+function monthRange(month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+    if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12) {
+        return null;
+    }
+    const year = parseInt(match[1]);
+    const monthIndex = parseInt(match[2]) - 1;
+    return { start: new Date(Date.UTC(year, monthIndex, 1)), end: new Date(Date.UTC(year, monthIndex + 1, 1)) };
+}
+
+/**
+ * One provider's monthly statement (UTC months): every transaction with its effect on what
+ * they are owed, between the opening and closing balance
+ * @param {number} userId - Provider's user ID
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<Object>} { month, openingBalance, closingBalance, lines, totals } or { error, status }
+ */
+async function getMonthlyStatement(userId, month) {
+    const range = monthRange(month);
+    if (!range) {
+        return { error: 'Month must be in YYYY-MM format', status: 400 };
+    }
+
+    const [opening] = await sumEntries({ account: 'provider_payable', userId, occurredAt: { [Op.lt]: range.start } });
+    const openingBalance = opening ? opening.balance : 0;
+
+    const transactions = await LedgerTransaction.findAll({
+        where: { userId, occurredAt: { [Op.gte]: range.start, [Op.lt]: range.end } },
+        include: [{ model: LedgerEntry, as: 'entries', attributes: ['account', 'userId', 'direction', 'amount'] }],
+        order: [['occurredAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    let balanceCents = toCents(openingBalance);
+    const totals = {};
+    const lines = transactions.map((ledgerTransaction) => {
+        const payableCents = ledgerTransaction.entries
+            .filter((entry) => entry.account === 'provider_payable' && entry.userId === userId)
+            .reduce((sum, entry) => sum + (entry.direction === 'credit' ? 1 : -1) * toCents(entry.amount), 0);
+        const feeCents = ledgerTransaction.entries
+            .filter((entry) => entry.account === 'platform_fee_revenue')
+            .reduce((sum, entry) => sum + (entry.direction === 'credit' ? 1 : -1) * toCents(entry.amount), 0);
+        balanceCents += payableCents;
+
+        const total = totals[ledgerTransaction.type] || { count: 0, amount: 0, payableChange: 0 };
+        total.count++;
+        total.amount = fromCents(toCents(total.amount) + toCents(ledgerTransaction.amount));
+        total.payableChange = fromCents(toCents(total.payableChange) + payableCents);
+        totals[ledgerTransaction.type] = total;
+
+        return {
+            id: ledgerTransaction.id,
+            occurredAt: ledgerTransaction.occurredAt,
+            type: ledgerTransaction.type,
+            description: ledgerTransaction.description,
+            referenceType: ledgerTransaction.referenceType,
+            referenceId: ledgerTransaction.referenceId,
+            amount: parseFloat(ledgerTransaction.amount),
+            platformFee: fromCents(feeCents),
+            payableChange: fromCents(payableCents),
+            balance: fromCents(balanceCents)
+        };
+    });
+
+    return {
+        userId,
+        month,
+        periodStart: range.start,
+        periodEnd: range.end,
+        openingBalance,
+        closingBalance: fromCents(balanceCents),
+        lines,
+        totals
+    };
+}
+
+// Every object of a Stripe list created in [from, to)
+function listProcessor(resource, from, to) {
+    return stripe[resource].list({
+        created: { gte: Math.floor(from.getTime() / 1000), lt: Math.floor(to.getTime() / 1000) },
+        limit: 100
+    }).autoPagingToArray({ limit: 10000 });
+}
+
+/**
+ * Compare the ledger with the payment processor for a period and flag every mismatch:
+ * - postings that don't balance, and money events the ledger is missing
+ * - charges, refunds, transfers and lost disputes at the processor without a matching posting
+ * - postings whose processor record is missing or has a different amount
+ * Payouts made without a processor transfer are reported as warnings.
+ * @param {Object} options - { from, to } at most MAX_RECONCILIATION_DAYS apart
+ * @returns {Promise<Object>} { from, to, summary, issues } or { error, status }
+ */
+async function reconcileLedger({ from, to }) {
+    if (!(from instanceof Date) || isNaN(from) || !(to instanceof Date) || isNaN(to) || from >= to) {
+        return { error: 'A valid from and to date are required', status: 400 };
+    }
+    if (to - from > MAX_RECONCILIATION_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `Reconcile at most ${MAX_RECONCILIATION_DAYS} days at a time`, status: 400 };
+    }
+
+    const issues = [];
+    const issue = (severity, type, message, details = {}) => issues.push({ severity, type, message, ...details });
+    const inPeriod = { occurredAt: { [Op.gte]: from, [Op.lt]: to } };
+
+    // 1. Postings that don't balance
+    const unbalanced = await LedgerEntry.findAll({
+        attributes: ['transactionId', [literal("SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END)"), 'net']],
+        where: inPeriod,
+        group: ['transactionId'],
+        having: literal("SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END) <> 0"),
+        raw: true
+    });
+    unbalanced.forEach((row) => issue('error', 'unbalanced_posting', `Ledger transaction #${row.transactionId} is off by ${parseFloat(row.net).toFixed(2)}`, {
+        ledgerTransactionId: row.transactionId
+    }));
+
+    // 2. Money events recorded on payments but not in the ledger
+    const sync = await syncLedger({ since: from, dryRun: true });
+    sync.missing
+        .filter((event) => new Date(event.occurredAt) < to)
+        .forEach((event) => issue('error', 'missing_posting', `${event.type.replace(/_/g, ' ')} ${event.key} is not in the ledger`, { key: event.key }));
+
+    // 3. The processor's records against the postings
+    const postings = await LedgerTransaction.findAll({ where: inPeriod, raw: true });
+    const byProcessorId = new Map();
+    postings.filter((posting) => posting.stripeObjectId).forEach((posting) => {
+        const list = byProcessorId.get(posting.stripeObjectId) || [];
+        list.push(posting);
+        byProcessorId.set(posting.stripeObjectId, list);
+    });
+    // Processor records from just outside the period can still match postings inside it
+    const findPosting = async (stripeObjectId, types) => {
+        const local = (byProcessorId.get(stripeObjectId) || []).find((posting) => types.includes(posting.type));
+        if (local) {
+            return local;
+        }
+        return LedgerTransaction.findOne({ where: { stripeObjectId, type: { [Op.in]: types } }, raw: true });
+    };
+    const compare = (posting, processorCents, label, processorId) => {
+        if (toCents(posting.amount) !== processorCents) {
+            issue('error', 'amount_mismatch', `${label} ${processorId}: ledger ${parseFloat(posting.amount).toFixed(2)}, processor ${fromCents(processorCents).toFixed(2)}`, {
+                ledgerTransactionId: posting.id,
+                stripeObjectId: processorId,
+                ledgerAmount: parseFloat(posting.amount),
+                processorAmount: fromCents(processorCents)
+            });
+        }
+    };
+
+    const [charges, refunds, transfers, disputes] = await Promise.all([
+        listProcessor('charges', from, to),
+        listProcessor('refunds', from, to),
+        listProcessor('transfers', from, to),
+        listProcessor('disputes', from, to)
+    ]);
+    const seen = new Set();
+
+    for (const charge of charges.filter((candidate) => candidate.status === 'succeeded' && candidate.captured)) {
+        const paymentIntentId = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id;
+        const posting = paymentIntentId ? await findPosting(paymentIntentId, PAYMENT_TYPES) : null;
+        if (!posting) {
+            issue('error', 'missing_in_ledger', `Charge ${charge.id} (${fromCents(charge.amount_captured).toFixed(2)}) has no ledger posting`, {
+                stripeObjectId: paymentIntentId || charge.id,
+                processorAmount: fromCents(charge.amount_captured)
+            });
+            continue;
+        }
+        seen.add(posting.id);
+        compare(posting, charge.amount_captured, 'Charge', paymentIntentId);
+    }
+
+    for (const refund of refunds.filter((candidate) => ['succeeded', 'pending'].includes(candidate.status))) {
+        const posting = await findPosting(refund.id, ['refund']);
+        if (!posting) {
+            issue('error', 'missing_in_ledger', `Refund ${refund.id} (${fromCents(refund.amount).toFixed(2)}) has no ledger posting`, {
+                stripeObjectId: refund.id,
+                processorAmount: fromCents(refund.amount)
+            });
+            continue;
+        }
+        seen.add(posting.id);
+        compare(posting, refund.amount, 'Refund', refund.id);
+    }
+
+    for (const transfer of transfers) {
+        const posting = await findPosting(transfer.id, ['payout']);
+        if (!posting) {
+            issue('error', 'missing_in_ledger', `Transfer ${transfer.id} (${fromCents(transfer.amount).toFixed(2)}) has no ledger payout`, {
+                stripeObjectId: transfer.id,
+                processorAmount: fromCents(transfer.amount)
+            });
+            continue;
+        }
+        seen.add(posting.id);
+        compare(posting, transfer.amount, 'Transfer', transfer.id);
+    }
+
+    for (const dispute of disputes.filter((candidate) => candidate.status === 'lost')) {
+        const posting = await findPosting(dispute.id, ['dispute_loss']);
+        if (!posting) {
+            issue('error', 'missing_in_ledger', `Lost dispute ${dispute.id} (${fromCents(dispute.amount).toFixed(2)}) has no ledger posting`, {
+                stripeObjectId: dispute.id,
+                processorAmount: fromCents(dispute.amount)
+            });
+            continue;
+        }
+        seen.add(posting.id);
+        compare(posting, dispute.amount, 'Dispute', dispute.id);
+    }
+
+    // Postings in the period the lists above didn't account for - look each one up
+    for (const posting of postings.filter((candidate) => !seen.has(candidate.id))) {
+        if (posting.type === 'payout' && !posting.stripeObjectId) {
+            issue('warning', 'payout_without_transfer', `Payout #${posting.id} (${parseFloat(posting.amount).toFixed(2)}) was made without a processor transfer`, {
+                ledgerTransactionId: posting.id,
+                ledgerAmount: parseFloat(posting.amount)
+            });
+            continue;
+        }
+        if (!posting.stripeObjectId || ['refund_reversal', 'transfer_reversal'].includes(posting.type)) {
+            continue;
+        }
+
+        try {
+            let processorCents;
+            if (PAYMENT_TYPES.includes(posting.type)) {
+                const intent = await stripe.paymentIntents.retrieve(posting.stripeObjectId);
+                processorCents = intent.status === 'succeeded' ? intent.amount_received : null;
+            } else if (posting.type === 'refund') {
+                const refund = await stripe.refunds.retrieve(posting.stripeObjectId);
+                // A refund that failed at the processor is fine once its reversal is posted too
+                const reversed = await LedgerTransaction.count({
+                    where: { idempotencyKey: posting.idempotencyKey.replace('refund:', 'refund-reversed:') }
+                });
+                processorCents = ['succeeded', 'pending'].includes(refund.status) || reversed ? refund.amount : null;
+            } else if (posting.type === 'payout') {
+                processorCents = (await stripe.transfers.retrieve(posting.stripeObjectId)).amount;
+            } else if (posting.type === 'dispute_loss') {
+                const dispute = await stripe.disputes.retrieve(posting.stripeObjectId);
+                processorCents = dispute.status === 'lost' ? dispute.amount : null;
+            }
+
+            if (processorCents === null || processorCents === undefined) {
+                issue('error', 'missing_at_processor', `${posting.type.replace(/_/g, ' ')} #${posting.id} has no completed processor record ${posting.stripeObjectId}`, {
+                    ledgerTransactionId: posting.id,
+                    stripeObjectId: posting.stripeObjectId,
+                    ledgerAmount: parseFloat(posting.amount)
+                });
+            } else {
+                compare(posting, processorCents, posting.type.replace(/_/g, ' '), posting.stripeObjectId);
+            }
+        } catch (error) {
+            issue('error', 'missing_at_processor', `${posting.type.replace(/_/g, ' ')} #${posting.id}: ${error.message}`, {
+                ledgerTransactionId: posting.id,
+                stripeObjectId: posting.stripeObjectId,
+                ledgerAmount: parseFloat(posting.amount)
+            });
+        }
+    }
+
+    return {
+        from,
+        to,
+        checkedAt: new Date(),
+        summary: {
+            ledgerTransactions: postings.length,
+            processorCharges: charges.length,
+            processorRefunds: refunds.length,
+            processorTransfers: transfers.length,
+            processorDisputes: disputes.length,
+            errors: issues.filter((candidate) => candidate.severity === 'error').length,
+            warnings: issues.filter((candidate) => candidate.severity === 'warning').length
+        },
+        issues
+    };
+}
+
+module.exports = {
+    ACCOUNTS,
+    postTransaction,
+    postPayment,
+    postPayout,
+    postSubscriptionPayment,
+    postRefund,
+    postRefundReversal,
+    postTransferReversal,
+    postDisputeLoss,
+    syncLedger,
+    getAccountBalances,
+    getProviderBalance,
+    getProviderBalances,
+    getMonthlyStatement,
+    monthRange,
+    reconcileLedger
+};
@@ -0,0 +1,332 @@
+/**
+ * Media Uploads
+ *
+ * Checks uploaded files by sniffing their contents (the client's MIME type and file
+ * name are ignored), re-encodes images into responsive WebP sizes with sharp (which
+ * also drops EXIF/GPS data) and records each upload as a Media row. Business logos,
+ * business images/videos and review images store the media url.
+ *
+ * Image sizes are stored side by side as <prefix>/<size>.webp and the media url is the
+ * 'large' one, so the frontend can derive any size from a stored url.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const sharp = require('sharp');
+const { Op } = require('sequelize');
+const { Media } = require('../models');
+const { getStorage } = require('./mediaStorage');
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_VIDEO_BYTES = 50 * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+// Longest edge in pixels; images are never upscaled
+const IMAGE_SIZES = {
+    thumb: 200,
+    small: 480,
+    medium: 960,
+    large: 1600
+};
+
+// Upload purpose -> kind of file it accepts
+const PURPOSES = {
+    business_logo: 'image',
+    business_image: 'image',
+    business_video: 'video',
+    review_image: 'image'
+};
+
+const VIDEO_EXTENSIONS = {
+    'video/mp4': 'mp4',
+    'video/quicktime': 'mov',
+    'video/webm': 'webm'
+};
+
+const KIND_ERRORS = {
+    image: 'Only JPEG, PNG, GIF and WebP images can be uploaded',
+    video: 'Only MP4, MOV and WebM videos can be uploaded'
+};
+
+/**
+ * Detect a file's type from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} Supported MIME type, or null
+ */
+function sniffMimeType(buffer) {
+    if (!buffer || buffer.length < 12) {
+        return null;
+    }
+
+    const head = buffer.toString('latin1', 0, 12);
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (head.startsWith('\x89PNG\r\n\x1a\n')) {
+        return 'image/png';
+    }
+    if (head.startsWith('GIF87a') || head.startsWith('GIF89a')) {
+        return 'image/gif';
+    }
+    if (head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    if (head.slice(4, 8) === 'ftyp') {
+        const brand = head.slice(8, 12);
+        // HEIC/AVIF stills share the ISO container with MP4
+        if (['heic', 'heix', 'mif1', 'msf1', 'avif'].includes(brand)) {
+            return null;
+        }
+        return brand === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+    }
+    if (buffer.readUInt32BE(0) === 0x1a45dfa3) {
+        return 'video/webm';
+    }
+    return null;
+}
+
+function storagePrefix() {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    return `${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}`;
+}
+
+async function writeImageVariants(storage, prefix, buffer, written) {
+    const variants = {};
+    for (const [name, edge] of Object.entries(IMAGE_SIZES)) {
+        const { data, info } = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+            .rotate()
+            .resize({ width: edge, height: edge, fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer({ resolveWithObject: true });
+
+        const key = `${prefix}/${name}.webp`;
+        await storage.put(key, data, 'image/webp');
+        written.push(key);
+        variants[name] = { key, url: storage.url(key), width: info.width, height: info.height, size: info.size };
+    }
+    return variants;
+}
+
+// First bytes of a file on disk, enough for sniffMimeType
+async function readHead(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const head = Buffer.alloc(16);
+        const { bytesRead } = await handle.read(head, 0, head.length, 0);
+        return head.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+function checksumOfFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Validate an uploaded file, write it to storage and record it
+ * @param {Object} file - { buffer, originalName, ownerId, purpose }, or { path, size, ... } for a
+ *   file spooled to disk (large videos are never held in memory)
+ * @returns {Promise<Object>} { media } or { error }
+ */
+async function storeUpload({ buffer, path: filePath = null, size = null, originalName, ownerId, purpose }) {
+    const kind = PURPOSES[purpose];
+    if (!kind) {
+        return { error: `Unknown upload purpose "${purpose}"` };
+    }
+
+    const byteLength = buffer ? buffer.length : (size !== null ? size : (await fs.promises.stat(filePath)).size);
+    const mimeType = sniffMimeType(buffer || await readHead(filePath));
+    if (!mimeType || !mimeType.startsWith(`${kind}/`)) {
+        return { error: KIND_ERRORS[kind] };
+    }
+
+    const maxBytes = kind === 'image' ? MAX_IMAGE_BYTES : MAX_VIDEO_BYTES;
+    if (byteLength > maxBytes) {
+        return { error: `File is too large (max ${maxBytes / (1024 * 1024)}MB)` };
+    }
+
+    // Images are re-encoded from memory; they are small enough to read in
+    if (kind === 'image' && !buffer) {
+        buffer = await fs.promises.readFile(filePath);
+    }
+
+    if (kind === 'image') {
+        try {
+            await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).metadata();
+        } catch (error) {
+            return { error: 'The image could not be read' };
+        }
+    }
+
+    const storage = getStorage();
+    const prefix = storagePrefix();
+    const written = [];
+
+    try {
+        let main;
+        let variants = {};
+
+        if (kind === 'image') {
+            variants = await writeImageVariants(storage, prefix, buffer, written);
+            main = variants.large;
+        } else {
+            const key = `${prefix}/original.${VIDEO_EXTENSIONS[mimeType]}`;
+            await storage.put(key, buffer || fs.createReadStream(filePath), mimeType);
+            written.push(key);
+            main = { key, url: storage.url(key), width: null, height: null };
+        }
+
+        const media = await Media.create({
+            ownerId: ownerId || null,
+            purpose,
+            kind,
+            storage: storage.name,
+            storageKey: main.key,
+            url: main.url,
+            mimeType,
+            originalName: originalName ? String(originalName).slice(0, 255) : null,
+            size: byteLength,
+            width: main.width,
+            height: main.height,
+            variants,
+            checksum: buffer ? crypto.createHash('sha256').update(buffer).digest('hex') : await checksumOfFile(filePath)
+        });
+
+        return { media };
+    } catch (error) {
+        await Promise.all(written.map(key => storage.remove(key).catch(() => {})));
+        throw error;
+    }
+}
+
+/**
+ * Store a legacy base64 data URL as media (used by the migration script)
+ * @param {string} dataUrl - data:<type>;base64,<data>
+ * @param {Object} options - { ownerId, purpose, originalName }
+ * @returns {Promise<Object>} { media } or { error }
+ */
+async function storeDataUrl(dataUrl, { ownerId, purpose, originalName }) {
+    const match = typeof dataUrl === 'string' && dataUrl.match(/^data:[\w/+.-]*;base64,(.+)$/s);
+    if (!match) {
+        return { error: 'Not a base64 data URL' };
+    }
+    return storeUpload({
+        buffer: Buffer.from(match[1], 'base64'),
+        originalName,
+        ownerId,
+        purpose
+    });
+}
+
+/**
+ * Delete a media row and every stored size
+ * @param {Object} media - Media instance
+ */
+async function removeMedia(media) {
+    const storage = getStorage(media.storage);
+    const keys = new Set([media.storageKey, ...Object.values(media.variants || {}).map(v => v.key)]);
+    await Promise.all([...keys].map(key => storage.remove(key)));
+    await media.destroy();
+}
+
+/**
+ * Check the media urls a client wants to save on a record. Inline data URLs are
+ * rejected; uploaded media must be the right kind and belong to the user (admins
+ * may use anyone's) unless the record already has it; other http(s) urls (e.g.
+ * YouTube links) pass through.
+ * @param {string[]} values - Urls to save
+ * @param {Object} options - { userId, isAdmin, kind, existing: urls already on the record }
+ * @returns {Promise<Object>} { values } or { error }
+ */
+async function validateMediaReferences(values, { userId, isAdmin = false, kind = 'image', existing = [] }) {
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || !value.trim())) {
+        return { error: 'Media must be a list of urls' };
+    }
+
+    if (values.some(value => value.startsWith('data:'))) {
+        return { error: 'Upload files through /api/media and save the returned url' };
+    }
+
+    const media = values.length > 0
+        ? await Media.findAll({ where: { url: { [Op.in]: values } } })
+        : [];
+    const byUrl = new Map(media.map(item => [item.url, item]));
+
+    for (const value of values) {
+        const item = byUrl.get(value);
+        if (item) {
+            if (item.kind !== kind) {
+                return { error: `Expected ${kind === 'image' ? 'an image' : 'a video'}` };
+            }
+            if (!isAdmin && item.ownerId !== userId && !existing.includes(value)) {
+                return { error: 'Media not found' };
+            }
+        } else if (!/^https?:\/\//i.test(value)) {
+            return { error: 'Media not found' };
+        }
+    }
+
+    return { values };
+}
+
+/**
+ * Validate the logo/images/videos fields of a business create or update body.
+ * Fields that aren't present are left alone.
+ * @param {Object} data - Request body
+ * @param {Object} options - { userId, isAdmin, business: the business being updated }
+ * @returns {Promise<string|null>} Error message, or null
+ */
+async function validateBusinessMedia(data, { userId, isAdmin = false, business = null }) {
+    const existing = business
+        ? [business.logo, ...(Array.isArray(business.images) ? business.images : []), ...(Array.isArray(business.videos) ? business.videos : [])]
+            .filter(Boolean)
+        : [];
+
+    if (data.logo) {
+        const result = await validateMediaReferences([data.logo], { userId, isAdmin, kind: 'image', existing });
+        if (result.error) {
+            return `Logo: ${result.error}`;
+        }
+    }
+
+    const lists = [
+        { field: 'images', label: 'Images', kind: 'image', max: 10 },
+        { field: 'videos', label: 'Videos', kind: 'video', max: 5 }
+    ];
+    for (const { field, label, kind, max } of lists) {
+        if (data[field] === undefined || data[field] === null) {
+            continue;
+        }
+        if (Array.isArray(data[field]) && data[field].length > max) {
+            return `${label}: up to ${max} allowed`;
+        }
+        const result = await validateMediaReferences(data[field], { userId, isAdmin, kind, existing });
+        if (result.error) {
+            return `${label}: ${result.error}`;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    MAX_IMAGE_BYTES,
+    MAX_VIDEO_BYTES,
+    IMAGE_SIZES,
+    PURPOSES,
+    sniffMimeType,
+    storeUpload,
+    storeDataUrl,
+    removeMedia,
+    validateMediaReferences,
+    validateBusinessMedia
+};
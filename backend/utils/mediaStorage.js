@@ -0,0 +1,84 @@
+/**
+ * Media Storage Backends
+ *
+ * A backend stores bytes under a key and maps keys to public URLs:
+ *   { put(key, body, contentType), remove(key), url(key) }
+ * body is a Buffer, or a readable stream for files spooled to disk (videos).
+ *
+ * 'local' (the default) writes under MEDIA_LOCAL_DIR (default backend/uploads) and
+ * server.js serves that directory at /media. Other backends (S3, GCS, a CDN...)
+ * register with registerStorageBackend and are selected with MEDIA_STORAGE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MEDIA_PUBLIC_PATH = '/media';
+const LOCAL_DIR = path.resolve(process.env.MEDIA_LOCAL_DIR || path.join(__dirname, '../uploads'));
+
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Register a storage backend
+ * @param {string} name - Value of MEDIA_STORAGE that selects it
+ * @param {Function} factory - () => { put, remove, url }
+ */
+function registerStorageBackend(name, factory) {
+    factories.set(name, factory);
+    instances.delete(name);
+}
+
+/**
+ * Get a storage backend
+ * @param {string} name - Backend name (defaults to MEDIA_STORAGE, then 'local')
+ * @returns {Object} { name, put, remove, url }
+ */
+function getStorage(name = process.env.MEDIA_STORAGE || 'local') {
+    if (!instances.has(name)) {
+        const factory = factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown media storage backend "${name}"`);
+        }
+        instances.set(name, { name, ...factory() });
+    }
+    return instances.get(name);
+}
+
+// Keys are generated by utils/media.js, but never let one escape the upload directory
+function localPath(key) {
+    const filePath = path.resolve(LOCAL_DIR, key);
+    if (!filePath.startsWith(LOCAL_DIR + path.sep)) {
+        throw new Error(`Invalid media key "${key}"`);
+    }
+    return filePath;
+}
+
+registerStorageBackend('local', () => ({
+    async put(key, body) {
+        const filePath = localPath(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, body);
+    },
+
+    async remove(key) {
+        try {
+            await fs.promises.unlink(localPath(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    },
+
+    url(key) {
+        return `${process.env.MEDIA_PUBLIC_URL || ''}${MEDIA_PUBLIC_PATH}/${key}`;
+    }
+}));
+
+module.exports = {
+    MEDIA_PUBLIC_PATH,
+    LOCAL_DIR,
+    registerStorageBackend,
+    getStorage
+};
@@ -0,0 +1,433 @@
+/**
+ * Proposal Milestones
+ *
+ * Large jobs can be split into milestones (deposit, progress payments, final payment).
+ * Each milestone is paid with its own Stripe payment intent, approved by the customer
+ * and paid out to the provider on its own. Proposals without milestones keep the
+ * single-payment flow (Proposal.price / Proposal.stripePaymentIntentId).
+ */
+
+const { calculatePayouts, resolveProposalFee, formatCurrency } = require('../config/platformFee');
+const { Proposal, ProposalMilestone, ServiceRequest, ProviderProfile, User, WorkOrder } = require('../models');
+const { enqueueJob } = require('./jobQueue');
+const { isPaid, isPayoutHeld } = require('./refunds');
+const { postPayment, postPayout } = require('./ledger');
+const createNotification = require('./createNotification');
+const sendEmail = require('./sendEmail');
+const logActivity = require('./logActivity');
+const { renderTemplate } = require('./emailTemplates');
+
+const MAX_MILESTONES = 10;
+
+const DUE_CONDITIONS = ['on_acceptance', 'on_start', 'on_completion', 'custom'];
+
+const DUE_CONDITION_LABELS = {
+    on_acceptance: 'Due on acceptance',
+    on_start: 'Due when work starts',
+    on_completion: 'Due on completion',
+    custom: 'Custom'
+};
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+/**
+ * Validate milestones submitted with a proposal
+ * @param {Array} input - [{ title, amount, dueCondition, description }]
+ * @param {number} price - Proposal price the milestones must add up to
+ * @returns {Object} { milestones } or { error }
+ */
+function normalizeMilestones(input, price) {
+    if (input === undefined || input === null) {
+        return { milestones: [] };
+    }
+    if (!Array.isArray(input)) {
+        return { error: 'Milestones must be a list' };
+    }
+    if (input.length === 0) {
+        return { milestones: [] };
+    }
+    if (input.length > MAX_MILESTONES) {
+        return { error: `A proposal can have at most ${MAX_MILESTONES} milestones` };
+    }
+
+    const milestones = [];
+    for (let i = 0; i < input.length; i++) {
+        const item = input[i] || {};
+        const title = typeof item.title === 'string' ? item.title.trim() : '';
+        const amount = parseFloat(item.amount);
+        const dueCondition = item.dueCondition || 'on_completion';
+        const description = typeof item.description === 'string' ? item.description.trim() : '';
+
+        if (!title) {
+            return { error: `Milestone ${i + 1} needs a title` };
+        }
+        if (title.length > 255) {
+            return { error: `Milestone ${i + 1} title is too long` };
+        }
+        if (isNaN(amount) || amount <= 0) {
+            return { error: `Milestone ${i + 1} needs an amount greater than 0` };
+        }
+        if (!DUE_CONDITIONS.includes(dueCondition)) {
+            return { error: `Milestone ${i + 1} has an invalid due condition` };
+        }
+        if (dueCondition === 'custom' && !description) {
+            return { error: `Milestone ${i + 1} needs a description of when it is due` };
+        }
+
+        milestones.push({
+            position: i,
+            title,
+            amount: toCents(amount) / 100,
+            dueCondition,
+            description: description || null
+        });
+    }
+
+    const totalCents = milestones.reduce((sum, m) => sum + toCents(m.amount), 0);
+    if (totalCents !== toCents(price)) {
+        return {
+            error: `Milestone amounts add up to ${formatCurrency(totalCents / 100)} but the proposal price is ${formatCurrency(price)}`
+        };
+    }
+
+    return { milestones };
+}
+
+/**
+ * Create the milestone rows for a proposal
+ * @param {number} proposalId - Proposal ID
+ * @param {Array} milestones - Output of normalizeMilestones
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Array>} Created ProposalMilestone instances
+ */
+async function createProposalMilestones(proposalId, milestones, { transaction = null } = {}) {
+    if (!milestones || milestones.length === 0) {
+        return [];
+    }
+    return ProposalMilestone.bulkCreate(
+        milestones.map((m, index) => ({
+            proposalId,
+            position: index,
+            title: m.title,
+            description: m.description || null,
+            amount: m.amount,
+            dueCondition: m.dueCondition
+        })),
+        { transaction }
+    );
+}
+
+/**
+ * Milestones stored with a pending (not yet materialised) proposal in lead.metadata.pendingProposal
+ * @param {Object} lead - Lead instance
+ * @returns {Array} Normalized milestones, empty when the proposal is a single payment
+ */
+function pendingProposalMilestones(lead) {
+    try {
+        const metadata = typeof lead.metadata === 'string' ? JSON.parse(lead.metadata) : lead.metadata;
+        const milestones = metadata && metadata.pendingProposal && metadata.pendingProposal.milestones;
+        return Array.isArray(milestones) ? milestones : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Milestone as returned by the API
+ * @param {Object} milestone - ProposalMilestone instance
+ * @returns {Object}
+ */
+function formatMilestone(milestone) {
+    return {
+        id: milestone.id,
+        proposalId: milestone.proposalId,
+        position: milestone.position,
+        title: milestone.title,
+        description: milestone.description,
+        amount: parseFloat(milestone.amount),
+        dueCondition: milestone.dueCondition,
+        dueConditionLabel: DUE_CONDITION_LABELS[milestone.dueCondition],
+        paymentStatus: milestone.paymentStatus,
+        paidAt: milestone.paidAt,
+        approvedAt: milestone.approvedAt,
+        payoutStatus: milestone.payoutStatus,
+        payoutProcessedAt: milestone.payoutProcessedAt,
+        providerPayoutAmount: milestone.providerPayoutAmount != null ? parseFloat(milestone.providerPayoutAmount) : null
+    };
+}
+
+/**
+ * Check whether a paid milestone's due condition allows approval yet
+ * @param {Object} milestone - ProposalMilestone instance
+ * @param {Object|null} workOrder - Work order for the accepted proposal
+ * @returns {string|null} Reason it can't be approved, or null
+ */
+function approvalBlocker(milestone, workOrder) {
+    if (milestone.dueCondition === 'on_start' && (!workOrder || workOrder.status !== 'COMPLETED')) {
+        if (!workOrder) {
+            return 'Work has not started yet';
+        }
+        if (workOrder.scheduledStart && workOrder.appointmentStatus !== 'cancelled' &&
+            new Date(workOrder.scheduledStart) > new Date()) {
+            return 'This milestone can be approved once the scheduled work has started';
+        }
+    }
+    if (milestone.dueCondition === 'on_completion' && (!workOrder || workOrder.status !== 'COMPLETED')) {
+        return 'This milestone can be approved once the provider marks the work as completed';
+    }
+    return null;
+}
+
+/**
+ * Record a succeeded Stripe payment on a milestone (webhook and client confirmation both land here)
+ * @param {Object} milestone - ProposalMilestone instance
+ * @param {Object} paymentIntent - Stripe PaymentIntent
+ * @returns {Promise<boolean>} true if the milestone was updated
+ */
+async function recordMilestonePayment(milestone, paymentIntent) {
+    if (paymentIntent.status !== 'succeeded') {
+        return false;
+    }
+    if (paymentIntent.amount !== toCents(milestone.amount)) {
+        console.error(`[Milestones] Payment ${paymentIntent.id} amount ${paymentIntent.amount} does not match milestone ${milestone.id}`);
+        return false;
+    }
+    if (milestone.paymentStatus !== 'pending' && milestone.paymentStatus !== 'failed') {
+        return false;
+    }
+
+    // Each milestone payment is split with the fee rule in effect when it is paid
+    const proposal = await Proposal.findByPk(milestone.proposalId, { attributes: ['id', 'serviceRequestId', 'providerId'] });
+    const feeRule = await resolveProposalFee(proposal);
+    const { providerAmount, platformFee } = calculatePayouts(parseFloat(milestone.amount), feeRule);
+    await milestone.update({
+        stripePaymentIntentId: paymentIntent.id,
+        paymentStatus: 'succeeded',
+        paidAt: new Date(),
+        providerPayoutAmount: providerAmount,
+        platformFeeAmount: platformFee,
+        platformFeeRule: feeRule,
+        payoutStatus: 'pending' // Released once the customer approves the milestone
+    });
+    await postPayment('milestone', milestone);
+    return true;
+}
+
+/**
+ * Queue the payout for an approved, paid milestone
+ * @param {Object} milestone - ProposalMilestone instance
+ * @returns {Promise<Object>} Job
+ */
+function queueMilestonePayout(milestone) {
+    return enqueueJob('milestone.payout', { milestoneId: milestone.id }, {
+        idempotencyKey: `milestone-payout:${milestone.id}`
+    });
+}
+
+/**
+ * Customer approval of one milestone - releases its payout
+ * @param {Object} milestone - ProposalMilestone instance
+ * @param {Object} context - { proposal, serviceRequest, workOrder, actorUserId }
+ * @returns {Promise<Object>} { milestone } or { error, status }
+ */
+async function approveMilestone(milestone, { proposal, serviceRequest, workOrder, actorUserId }) {
+    if (milestone.approvedAt) {
+        return { error: 'This milestone has already been approved', status: 400 };
+    }
+    if (!isPaid(milestone.paymentStatus)) {
+        return { error: 'Pay this milestone before approving it', status: 400 };
+    }
+    const blocker = approvalBlocker(milestone, workOrder);
+    if (blocker) {
+        return { error: blocker, status: 400 };
+    }
+
+    await milestone.update({ approvedAt: new Date() });
+
+    queueMilestonePayout(milestone).catch(err => {
+        console.error(`[Milestones] Failed to queue payout for milestone ${milestone.id}:`, err.message);
+    });
+
+    const providerProfile = await ProviderProfile.findByPk(proposal.providerId, { attributes: ['id', 'userId'] });
+    if (providerProfile) {
+        createNotification({
+            userId: providerProfile.userId,
+            type: 'milestone_approved',
+            title: `Milestone approved: ${milestone.title}`,
+            message: `The customer approved "${milestone.title}" (${formatCurrency(milestone.amount)}) for "${serviceRequest.projectTitle}".`,
+            link: '/user-dashboard/payouts',
+            metadata: { serviceRequestId: serviceRequest.id, proposalId: proposal.id, milestoneId: milestone.id }
+        });
+    }
+
+    logActivity({
+        type: 'milestone_approved',
+        description: `Milestone "${milestone.title}" approved for service request "${serviceRequest.projectTitle}"`,
+        userId: actorUserId,
+        metadata: {
+            serviceRequestId: serviceRequest.id,
+            proposalId: proposal.id,
+            milestoneId: milestone.id,
+            amount: parseFloat(milestone.amount)
+        }
+    }).catch(err => console.error('Failed to log activity:', err));
+
+    return { milestone };
+}
+
+/**
+ * Pay out an approved milestone to the provider (run by the milestone.payout job)
+ * The payout is claimed with a conditional update, so concurrent runs never pay twice.
+ * @param {number} milestoneId - ProposalMilestone ID
+ * @returns {Promise<Object>} { payoutStatus } or { skipped }
+ */
+async function processMilestonePayout(milestoneId) {
+    const milestone = await ProposalMilestone.findByPk(milestoneId, {
+        include: [{
+            model: Proposal,
+            as: 'proposal',
+            attributes: ['id', 'serviceRequestId', 'providerId'],
+            include: [{
+                model: ServiceRequest,
+                as: 'serviceRequest',
+                attributes: ['id', 'projectTitle']
+            }]
+        }]
+    });
+
+    if (!milestone) {
+        throw new Error(`Milestone ${milestoneId} not found`);
+    }
+    if (!isPaid(milestone.paymentStatus) || !milestone.approvedAt) {
+        return { skipped: 'Milestone is not paid and approved' };
+    }
+    if (isPayoutHeld(milestone)) {
+        return { skipped: 'Payout is on hold while the payment is disputed' };
+    }
+
+    const [claimed] = await ProposalMilestone.update(
+        { payoutStatus: 'processing' },
+        { where: { id: milestone.id, payoutStatus: 'pending' } }
+    );
+    if (!claimed) {
+        return { skipped: `Payout is already ${milestone.payoutStatus}` };
+    }
+
+    // Partial refunds reduce the amounts stored at payment time
+    const calculated = calculatePayouts(parseFloat(milestone.amount), milestone.platformFeeRule);
+    const providerAmount = milestone.providerPayoutAmount !== null ? parseFloat(milestone.providerPayoutAmount) : calculated.providerAmount;
+    const platformFee = milestone.platformFeeAmount !== null ? parseFloat(milestone.platformFeeAmount) : calculated.platformFee;
+    const serviceRequest = milestone.proposal.serviceRequest;
+
+    try {
+        // TODO: Stripe transfer once provider connected accounts are set up (same as processProviderPayout)
+        await milestone.update({
+            payoutStatus: 'completed',
+            payoutProcessedAt: new Date(),
+            providerPayoutAmount: providerAmount,
+            platformFeeAmount: platformFee
+        });
+    } catch (error) {
+        // Hand the milestone back so the job retry can claim it again
+        await ProposalMilestone.update({ payoutStatus: 'pending' }, { where: { id: milestone.id } });
+        throw error;
+    }
+    await postPayout('milestone', milestone);
+
+    const providerProfile = await ProviderProfile.findByPk(milestone.proposal.providerId, {
+        attributes: ['id', 'userId'],
+        include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'name', 'email', 'firstName', 'lastName']
+        }]
+    });
+
+    if (providerProfile) {
+        createNotification({
+            userId: providerProfile.userId,
+            type: 'payout_status',
+            title: 'Milestone payout completed',
+            message: `${formatCurrency(providerAmount)} for "${milestone.title}" (${serviceRequest?.projectTitle || 'project'}) has been paid out.`,
+            link: '/user-dashboard/payouts',
+            metadata: { proposalId: milestone.proposalId, milestoneId: milestone.id, payoutStatus: 'completed' }
+        });
+
+        const provider = providerProfile.user;
+        if (provider && provider.email) {
+            const rendered = renderTemplate('milestone_payout', {
+                ProviderName: provider.firstName && provider.lastName
+                    ? `${provider.firstName} ${provider.lastName}`
+                    : provider.name,
+                MilestoneTitle: milestone.title,
+                ProjectTitle: serviceRequest?.projectTitle || 'your project',
+                MilestoneAmount: formatCurrency(milestone.amount),
+                PlatformFee: formatCurrency(platformFee),
+                ProviderAmount: formatCurrency(providerAmount),
+                PayoutsLink: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/user-dashboard/payouts`
+            });
+            sendEmail({
+                to: provider.email,
+                subject: rendered.subject,
+                html: rendered.html,
+                text: rendered.text
+            }).catch(err => console.error('[Milestones] Failed to send payout email (non-critical):', err.message));
+        }
+
+        logActivity({
+            type: 'provider_payout_processed',
+            description: `Milestone payout processed: ${formatCurrency(providerAmount)} for milestone ${milestone.id}`,
+            userId: providerProfile.userId,
+            metadata: {
+                proposalId: milestone.proposalId,
+                milestoneId: milestone.id,
+                serviceRequestId: serviceRequest?.id,
+                providerAmount,
+                platformFee,
+                totalAmount: parseFloat(milestone.amount)
+            }
+        }).catch(err => console.error('Failed to log activity:', err));
+    }
+
+    return { payoutStatus: 'completed' };
+}
+
+/**
+ * Load the accepted proposal of a service request with its milestones and work order
+ * @param {number} serviceRequestId - Service request ID
+ * @returns {Promise<Object>} { proposal, milestones, workOrder } - proposal is null if none accepted
+ */
+async function loadAcceptedProposalMilestones(serviceRequestId) {
+    const proposal = await Proposal.findOne({
+        where: { serviceRequestId, status: 'ACCEPTED' },
+        include: [{ model: ProposalMilestone, as: 'milestones', required: false }],
+        order: [[{ model: ProposalMilestone, as: 'milestones' }, 'position', 'ASC']]
+    });
+
+    if (!proposal) {
+        return { proposal: null, milestones: [], workOrder: null };
+    }
+
+    const workOrder = await WorkOrder.findOne({
+        where: { serviceRequestId, providerId: proposal.providerId },
+        order: [['createdAt', 'DESC']]
+    });
+
+    return { proposal, milestones: proposal.milestones || [], workOrder };
+}
+
+module.exports = {
+    MAX_MILESTONES,
+    DUE_CONDITIONS,
+    DUE_CONDITION_LABELS,
+    normalizeMilestones,
+    createProposalMilestones,
+    pendingProposalMilestones,
+    formatMilestone,
+    approvalBlocker,
+    recordMilestonePayment,
+    queueMilestonePayout,
+    approveMilestone,
+    processMilestonePayout,
+    loadAcceptedProposalMilestones
+};
@@ -0,0 +1,418 @@
+/**
+ * Outbound Webhooks
+ *
+ * Lets providers push their leads, accepted proposals, completed work orders and new
+ * reviews into their own tools. The routes that raise the matching notifications call
+ * dispatchWebhookEvent(); each subscribed endpoint gets a WebhookDelivery row and a
+ * 'webhook.deliver' job, so failed deliveries are retried with the job queue's
+ * exponential backoff and every attempt shows up in the delivery log.
+ *
+ * Each delivery is a JSON POST signed with the endpoint's secret:
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Receivers should recompute the HMAC over the raw body and reject old timestamps.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const { WebhookEndpoint, WebhookDelivery } = require('../models');
+const { enqueueJob } = require('./jobQueue');
+
+const WEBHOOK_EVENTS = {
+    'lead.routed': 'A new lead was sent to you',
+    'lead.accepted': 'You accepted a lead (includes customer contact details)',
+    'proposal.accepted': 'A customer accepted your proposal',
+    'workorder.completed': 'You marked a work order as completed',
+    'review.posted': 'A customer posted a review of your business'
+};
+
+const TEST_EVENT = 'webhook.test';
+
+// 8 attempts with the queue's backoff (30s, 1m, 2m, ...) covers roughly an hour
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_ENDPOINTS_PER_USER = 10;
+const MAX_STORED_RESPONSE = 2000;
+
+// Local development can point webhooks at localhost; production never may
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const generateSigningSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} "t=...,v1=..."
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127
+            || (a === 100 && b >= 64 && b <= 127)
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168);
+    }
+    const lower = address.toLowerCase();
+    if (lower.startsWith('::ffff:')) {
+        return isPrivateAddress(lower.substring(7));
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+/**
+ * Check a URL can receive webhooks: http(s), and not an internal address
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<string|null>} Error message, or null if the URL is fine
+ */
+async function checkEndpointUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'URL is invalid';
+    }
+
+    if (!['https:', 'http:'].includes(parsed.protocol)) {
+        return 'URL must start with https://';
+    }
+    if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+        return 'URL must use https';
+    }
+    if (ALLOW_PRIVATE_URLS) {
+        return null;
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        return 'URL must not point to a private or local address';
+    }
+
+    try {
+        const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return 'URL must not point to a private or local address';
+        }
+    } catch (error) {
+        return `Could not resolve ${hostname}`;
+    }
+    return null;
+}
+
+/**
+ * Validate a create/update body from the dashboard
+ * @param {Object} data - Request body ({ url, description, events, isActive })
+ * @param {Object} existing - Endpoint being updated (omit when creating)
+ * @returns {Promise<Object>} { values } or { error }
+ */
+async function validateEndpointInput(data, existing = null) {
+    const values = {};
+
+    if (!existing || data.url !== undefined) {
+        const url = String(data.url || '').trim();
+        if (!url || url.length > 500) {
+            return { error: 'URL is required (max 500 characters)' };
+        }
+        const urlError = await checkEndpointUrl(url);
+        if (urlError) {
+            return { error: urlError };
+        }
+        values.url = url;
+    }
+
+    if (data.description !== undefined) {
+        values.description = String(data.description || '').trim().substring(0, 255) || null;
+    }
+
+    if (!existing || data.events !== undefined) {
+        if (!Array.isArray(data.events) || data.events.length === 0) {
+            return { error: 'Choose at least one event' };
+        }
+        const unknown = data.events.filter(event => !WEBHOOK_EVENTS[event]);
+        if (unknown.length > 0) {
+            return { error: `Unknown event: ${unknown.join(', ')}` };
+        }
+        values.events = [...new Set(data.events)];
+    }
+
+    if (data.isActive !== undefined) {
+        values.isActive = Boolean(data.isActive);
+    }
+
+    return { values };
+}
+
+/**
+ * Create an endpoint with a fresh signing secret
+ * @param {number} userId - Owner
+ * @param {Object} values - Validated values
+ * @returns {Promise<Object>} { endpoint } or { error }
+ */
+async function createEndpoint(userId, values) {
+    const count = await WebhookEndpoint.count({ where: { userId } });
+    if (count >= MAX_ENDPOINTS_PER_USER) {
+        return { error: `You can register at most ${MAX_ENDPOINTS_PER_USER} webhook endpoints` };
+    }
+    const endpoint = await WebhookEndpoint.create({
+        userId,
+        ...values,
+        secret: generateSigningSecret()
+    });
+    return { endpoint };
+}
+
+const buildPayload = (delivery, data) => ({
+    id: `evt_${delivery.id}`,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data
+});
+
+/**
+ * Send one attempt of a delivery and record the outcome on it
+ * @param {Object} delivery - WebhookDelivery
+ * @param {Object} endpoint - Its WebhookEndpoint
+ * @returns {Promise<Object>} { ok, status, error }
+ */
+async function attemptDelivery(delivery, endpoint) {
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    let outcome;
+
+    const urlError = await checkEndpointUrl(endpoint.url);
+    if (urlError) {
+        outcome = { ok: false, status: null, error: urlError, responseBody: null };
+    } else {
+        try {
+            const response = await axios.post(endpoint.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ServicesProvider-Webhooks/1.0',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Signature': signPayload(endpoint.secret, body)
+                },
+                timeout: TIMEOUT_MS,
+                maxRedirects: 0,
+                responseType: 'text',
+                transformResponse: [(data) => data],
+                validateStatus: () => true
+            });
+            const ok = response.status >= 200 && response.status < 300;
+            outcome = {
+                ok,
+                status: response.status,
+                error: ok ? null : `Endpoint responded with HTTP ${response.status}`,
+                responseBody: typeof response.data === 'string' ? response.data : null
+            };
+        } catch (error) {
+            outcome = {
+                ok: false,
+                status: null,
+                error: error.code === 'ECONNABORTED' ? `Timed out after ${TIMEOUT_MS}ms` : error.message,
+                responseBody: null
+            };
+        }
+    }
+
+    await delivery.update({
+        attempts: delivery.attempts + 1,
+        status: outcome.ok ? 'succeeded' : delivery.status,
+        responseStatus: outcome.status,
+        responseBody: outcome.responseBody ? outcome.responseBody.substring(0, MAX_STORED_RESPONSE) : null,
+        errorMessage: outcome.error ? outcome.error.substring(0, 500) : null,
+        durationMs: Date.now() - started,
+        lastAttemptAt: new Date(),
+        deliveredAt: outcome.ok ? new Date() : null
+    });
+
+    return outcome;
+}
+
+/**
+ * Queue an event for every active endpoint of a user subscribed to it. Never throws -
+ * a webhook problem must not break the action that raised the event.
+ * @param {number} userId - Provider the event belongs to
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function dispatchWebhookEvent(userId, event, data) {
+    try {
+        if (!userId || !WEBHOOK_EVENTS[event]) {
+            return 0;
+        }
+
+        const endpoints = await WebhookEndpoint.findAll({ where: { userId, isActive: true } });
+        const subscribed = endpoints.filter(endpoint => (endpoint.events || []).includes(event));
+
+        for (const endpoint of subscribed) {
+            const delivery = await WebhookDelivery.create({ endpointId: endpoint.id, event, payload: {} });
+            await delivery.update({ payload: buildPayload(delivery, data) });
+            await enqueueJob('webhook.deliver', { deliveryId: delivery.id }, {
+                maxAttempts: MAX_ATTEMPTS,
+                idempotencyKey: `webhook-delivery:${delivery.id}`
+            });
+        }
+        return subscribed.length;
+    } catch (error) {
+        console.error(`[Webhooks] Failed to dispatch ${event} for user ${userId}:`, error.message);
+        return 0;
+    }
+}
+
+/**
+ * Job handler for 'webhook.deliver'. Throws while attempts remain so the queue retries.
+ * @param {Object} payload - { deliveryId }
+ * @param {Object} job - Job row (attempts / maxAttempts)
+ */
+async function runDeliveryJob({ deliveryId }, job) {
+    const delivery = await WebhookDelivery.findByPk(deliveryId, {
+        include: [{ model: WebhookEndpoint, as: 'endpoint' }]
+    });
+    if (!delivery || delivery.status === 'succeeded') {
+        return { skipped: delivery ? 'Already delivered' : 'Delivery no longer exists' };
+    }
+    if (!delivery.endpoint || !delivery.endpoint.isActive) {
+        await delivery.update({ status: 'failed', errorMessage: 'Endpoint was disabled or removed' });
+        return { skipped: 'Endpoint disabled' };
+    }
+
+    const outcome = await attemptDelivery(delivery, delivery.endpoint);
+    if (outcome.ok) {
+        return { status: outcome.status };
+    }
+
+    if (job.attempts >= job.maxAttempts) {
+        await delivery.update({ status: 'failed' });
+    }
+    throw new Error(outcome.error);
+}
+
+/**
+ * Queue a failed delivery again, from the delivery log
+ * @param {Object} delivery - WebhookDelivery
+ */
+async function redeliver(delivery) {
+    await delivery.update({ status: 'pending' });
+    await enqueueJob('webhook.deliver', { deliveryId: delivery.id }, { maxAttempts: MAX_ATTEMPTS });
+}
+
+/**
+ * Send a sample event right away (no retries) so the owner can check their receiver
+ * @param {Object} endpoint - WebhookEndpoint
+ * @returns {Promise<Object>} { delivery, ok, status, error }
+ */
+async function sendTestEvent(endpoint) {
+    const delivery = await WebhookDelivery.create({
+        endpointId: endpoint.id,
+        event: TEST_EVENT,
+        payload: {},
+        isTest: true
+    });
+    await delivery.update({
+        payload: buildPayload(delivery, {
+            message: 'This is a test event. Deliveries for real events look the same, with the event data here.',
+            endpointId: endpoint.id
+        })
+    });
+
+    const outcome = await attemptDelivery(delivery, endpoint);
+    if (!outcome.ok) {
+        await delivery.update({ status: 'failed' });
+    }
+    return { delivery, ...outcome };
+}
+
+const parseMetadata = (metadata) => {
+    if (!metadata) return {};
+    if (typeof metadata !== 'string') return metadata;
+    try {
+        return JSON.parse(metadata);
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * Event data for lead.routed / lead.accepted. Customer contact details are only
+ * included once the lead is accepted, same as in the dashboard.
+ * @param {Object} lead - Lead instance
+ * @returns {Object}
+ */
+function leadWebhookData(lead) {
+    const metadata = parseMetadata(lead.metadata);
+    return {
+        lead: {
+            id: lead.id,
+            status: lead.status,
+            businessId: lead.businessId,
+            serviceType: lead.serviceType,
+            categoryId: lead.categoryId,
+            description: lead.description,
+            budgetRange: lead.budgetRange || null,
+            location: {
+                city: lead.locationCity,
+                state: lead.locationState,
+                postalCode: lead.locationPostalCode
+            },
+            serviceRequestId: metadata.serviceRequestId || null,
+            projectTitle: metadata.projectTitle || null,
+            preferredDate: metadata.preferredDate || null,
+            preferredTime: metadata.preferredTime || null,
+            routedAt: lead.routedAt,
+            customer: lead.status === 'accepted'
+                ? {
+                    name: lead.customerName,
+                    email: lead.customerEmail,
+                    phone: lead.customerPhone,
+                    preferredContact: lead.preferredContact
+                }
+                : null
+        }
+    };
+}
+
+/**
+ * Event data for review.posted
+ * @param {Object} review - Review instance
+ * @param {Object} extra - Additional fields (e.g. serviceRequestId)
+ * @returns {Object}
+ */
+function reviewWebhookData(review, extra = {}) {
+    return {
+        review: {
+            id: review.id,
+            businessId: review.businessId,
+            rating: review.rating,
+            title: review.title,
+            comment: review.comment,
+            isApproved: review.isApproved,
+            createdAt: review.createdAt,
+            ...extra
+        }
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    generateSigningSecret,
+    signPayload,
+    validateEndpointInput,
+    createEndpoint,
+    dispatchWebhookEvent,
+    runDeliveryJob,
+    redeliver,
+    sendTestEvent,
+    leadWebhookData,
+    reviewWebhookData
+};
@@ -0,0 +1,199 @@
+/**
+ * Minimal PDF (1.4) document builder
+ *
+ * Enough for text reports such as earnings statements: headings, paragraphs and
+ * fixed-width tables on US Letter pages, using the standard Helvetica and Courier
+ * fonts (no embedding). Tables use Courier so columns line up without font metrics.
+ * Text is written in WinAnsi; characters outside Latin-1 become '?'.
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+// Courier glyphs are 600/1000 em wide
+const COURIER_CHAR_WIDTH = 0.6;
+
+const FONTS = {
+    regular: { ref: 'F1', base: 'Helvetica' },
+    bold: { ref: 'F2', base: 'Helvetica-Bold' },
+    mono: { ref: 'F3', base: 'Courier' },
+    monoBold: { ref: 'F4', base: 'Courier-Bold' }
+};
+
+function escapeText(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)');
+}
+
+// Cut a cell to its column width and pad it to the column's alignment
+function fitCell(value, width, align) {
+    let text = String(value === null || value === undefined ? '' : value);
+    if (text.length > width) {
+        text = `${text.slice(0, Math.max(width - 1, 0))}.`;
+    }
+    return align === 'right' ? text.padStart(width) : text.padEnd(width);
+}
+
+/**
+ * Create a PDF document
+ * @param {Object} options - { title } (document title, also shown in the page footer)
+ * @returns {Object} { heading, text, table, space, tableWidth, toBuffer }
+ */
+function createPdfDocument({ title = '' } = {}) {
+    const pages = [];
+    let operations = null;
+    let y = 0;
+
+    function newPage() {
+        operations = [];
+        pages.push(operations);
+        y = PAGE_HEIGHT - MARGIN;
+    }
+
+    function ensureSpace(height) {
+        if (!operations || y - height < MARGIN + 20) {
+            newPage();
+        }
+    }
+
+    function writeLine(text, { font = 'regular', size = 10, x = MARGIN, leading = size * 1.4 } = {}) {
+        ensureSpace(leading);
+        y -= leading;
+        operations.push(`BT /${FONTS[font].ref} ${size} Tf ${x} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+    }
+
+    // Greedy word wrap for proportional text, approximating Helvetica at half an em per character
+    function wrap(text, size) {
+        const maxChars = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * 0.5));
+        const lines = [];
+        for (const paragraph of String(text).split('\n')) {
+            let line = '';
+            for (const word of paragraph.split(/\s+/)) {
+                if (line && `${line} ${word}`.length > maxChars) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = line ? `${line} ${word}` : word;
+                }
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    const doc = {
+        heading(text, { size = 16 } = {}) {
+            writeLine(text, { font: 'bold', size, leading: size * 1.6 });
+            return doc;
+        },
+
+        text(text, { size = 10, bold = false } = {}) {
+            for (const line of wrap(text, size)) {
+                writeLine(line, { font: bold ? 'bold' : 'regular', size });
+            }
+            return doc;
+        },
+
+        /**
+         * Fixed-width table; the header row repeats on every page the table spans
+         * @param {Array} columns - [{ key, label, width (characters), align: 'left' | 'right' }]
+         * @param {Array} rows - Objects keyed by column key; a row with bold: true is set in bold
+         * @param {Object} options - { size } font size (default 8)
+         */
+        table(columns, rows, { size = 8 } = {}) {
+            const leading = size * 1.35;
+            const format = (row) => columns.map((column) => fitCell(row[column.key], column.width, column.align)).join('  ');
+            const header = columns.reduce((labels, column) => ({ ...labels, [column.key]: column.label }), {});
+            const rule = '-'.repeat(format(header).length);
+
+            const writeHeader = () => {
+                writeLine(format(header), { font: 'monoBold', size, leading });
+                writeLine(rule, { font: 'mono', size, leading });
+            };
+
+            ensureSpace(leading * 3);
+            writeHeader();
+            for (const row of rows) {
+                if (y - leading < MARGIN + 20) {
+                    newPage();
+                    writeHeader();
+                }
+                writeLine(format(row), { font: row.bold ? 'monoBold' : 'mono', size, leading });
+            }
+            return doc;
+        },
+
+        space(points = 10) {
+            ensureSpace(points);
+            y -= points;
+            return doc;
+        },
+
+        /**
+         * Maximum characters a table row can hold at a font size
+         * @param {number} size
+         * @returns {number}
+         */
+        tableWidth(size = 8) {
+            return Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * COURIER_CHAR_WIDTH));
+        },
+
+        /**
+         * Serialize the document
+         * @returns {Buffer} application/pdf body
+         */
+        toBuffer() {
+            if (pages.length === 0) {
+                newPage();
+            }
+
+            const objects = [];
+            const addObject = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalogId = addObject(null);
+            const pagesId = addObject(null);
+            const fontIds = {};
+            for (const font of Object.values(FONTS)) {
+                fontIds[font.ref] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`);
+            }
+            const fontResources = Object.entries(fontIds).map(([ref, id]) => `/${ref} ${id} 0 R`).join(' ');
+            const infoId = addObject(`<< /Title (${escapeText(title)}) /Producer (Services Provider) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+            const pageIds = pages.map((pageOperations, index) => {
+                const footer = `BT /${FONTS.regular.ref} 8 Tf ${MARGIN} ${MARGIN - 20} Td (${escapeText(`${title}${title ? ' - ' : ''}Page ${index + 1} of ${pages.length}`)}) Tj ET`;
+                const stream = [...pageOperations, footer].join('\n');
+                const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+                return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+            });
+
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+            objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+            let body = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+            const offsets = [];
+            objects.forEach((object, index) => {
+                offsets.push(Buffer.byteLength(body, 'latin1'));
+                body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+            });
+
+            const xrefOffset = Buffer.byteLength(body, 'latin1');
+            body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            body += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            body += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+            return Buffer.from(body, 'latin1');
+        }
+    };
+
+    return doc;
+}
+
+module.exports = {
+    createPdfDocument
+};
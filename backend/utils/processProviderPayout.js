@@ -1,12 +1,16 @@
 /**
  * Process provider payout after work approval
- * Provider receives 90% of proposal price, platform keeps 10%
+ * Provider receives the proposal price less the platform fee from the fee schedule
+ * (config/platformFee.js); the rule applied is snapshotted on the proposal
  */
 
-const { calculatePayouts } = require('../config/platformFee');
+const { calculatePayouts, resolveProposalFee, snapshotFeeRule, describeFeeRule, DEFAULT_FEE_RULE } = require('../config/platformFee');
 const { Proposal, ProviderProfile, User, ServiceRequest } = require('../models');
 const sendEmail = require('./sendEmail');
 const logActivity = require('./logActivity');
+const createNotification = require('./createNotification');
+const { isPaid, isPayoutHeld } = require('./refunds');
+const { postPayout } = require('./ledger');
 
 /**
  * Process provider payout after work approval
@@ -47,12 +51,18 @@ async function processProviderPayout(proposal, serviceRequest) {
             return;
         }
 
-        // Verify payment was successful
-        if (freshProposal.paymentStatus !== 'succeeded') {
+        // Verify payment was successful (a partial refund leaves the rest to pay out)
+        if (!isPaid(freshProposal.paymentStatus)) {
             console.log(`[Process Payout] Proposal ${freshProposal.id} payment not succeeded yet. Status: ${freshProposal.paymentStatus}`);
             return;
         }
 
+        // Chargebacks hold the payout until they are resolved (see utils/refunds.js)
+        if (isPayoutHeld(freshProposal)) {
+            console.log(`[Process Payout] Proposal ${freshProposal.id} payout on hold - payment is disputed (${freshProposal.disputeStatus})`);
+            return;
+        }
+
         // Get provider profile (explicitly specify attributes to avoid selecting non-existent columns)
         // Only select columns that actually exist in the database
         const providerProfile = await ProviderProfile.findByPk(freshProposal.providerId, {
@@ -69,18 +79,25 @@ async function processProviderPayout(proposal, serviceRequest) {
             throw new Error(`Provider profile ${freshProposal.providerId} not found`);
         }
 
-        // Calculate payout amounts (if not already calculated)
-        let providerAmount = freshProposal.providerPayoutAmount ? parseFloat(freshProposal.providerPayoutAmount) : null;
-        let platformFee = freshProposal.platformFeeAmount ? parseFloat(freshProposal.platformFeeAmount) : null;
+        // Calculate payout amounts (if not already calculated at payment time)
+        // A zero fee is a valid split, so only missing amounts are recalculated
+        let providerAmount = freshProposal.providerPayoutAmount != null ? parseFloat(freshProposal.providerPayoutAmount) : null;
+        let platformFee = freshProposal.platformFeeAmount != null ? parseFloat(freshProposal.platformFeeAmount) : null;
+        let feeRule = freshProposal.platformFeeRule || null;
 
-        if (!providerAmount || !platformFee) {
+        if (providerAmount === null || platformFee === null) {
+            // Use the fee rule that was in effect when the customer paid
+            feeRule = feeRule || await resolveProposalFee(freshProposal, freshProposal.paidAt);
             const proposalPrice = parseFloat(freshProposal.price);
-            const calculated = calculatePayouts(proposalPrice);
+            const calculated = calculatePayouts(proposalPrice, feeRule);
             providerAmount = calculated.providerAmount;
             platformFee = calculated.platformFee;
+        } else if (!feeRule) {
+            // Paid before fee schedules existed - the stored split came from the default fee
+            feeRule = snapshotFeeRule(DEFAULT_FEE_RULE, freshProposal.paidAt || new Date());
         }
 
-        console.log(`[Process Payout] Processing payout for proposal ${freshProposal.id}: Provider $${providerAmount.toFixed(2)}, Platform fee $${platformFee.toFixed(2)}`);
+        console.log(`[Process Payout] Processing payout for proposal ${freshProposal.id}: Provider $${providerAmount.toFixed(2)}, Platform fee $${platformFee.toFixed(2)} (${feeRule.name})`);
 
         // Update proposal status to processing first (optional - helps prevent race conditions)
         // If this fails, we'll still try to complete the payout below
@@ -89,11 +106,21 @@ async function processProviderPayout(proposal, serviceRequest) {
             const processingUpdate = {
                 payoutStatus: 'processing',
                 providerPayoutAmount: providerAmount,
-                platformFeeAmount: platformFee
+                platformFeeAmount: platformFee,
+                platformFeeRule: feeRule
             };
 
             await freshProposal.update(processingUpdate);
             console.log(`[Process Payout] Updated proposal ${freshProposal.id} to 'processing' status`);
+
+            createNotification({
+                userId: providerProfile.userId,
+                type: 'payout_status',
+                title: 'Payout processing',
+                message: `Your payout of $${providerAmount.toFixed(2)} for "${serviceRequest.projectTitle}" is being processed.`,
+                link: '/user-dashboard/payouts',
+                metadata: { proposalId: freshProposal.id, serviceRequestId: serviceRequest.id, payoutStatus: 'processing' }
+            });
         } catch (updateError) {
             // If update fails, check if it's a column error
             if (updateError.message && (
@@ -144,14 +171,16 @@ async function processProviderPayout(proposal, serviceRequest) {
             payoutStatus: 'completed',
             payoutProcessedAt: new Date(),
             providerPayoutAmount: providerAmount,
-            platformFeeAmount: platformFee
+            platformFeeAmount: platformFee,
+            platformFeeRule: feeRule
         };
 
         console.log(`[Process Payout] Updating proposal ${latestProposal.id} to completed status...`);
         console.log(`[Process Payout] Update data:`, {
             payoutStatus: 'completed',
             providerPayoutAmount: providerAmount,
-            platformFeeAmount: platformFee
+            platformFeeAmount: platformFee,
+            platformFeeRule: feeRule.id ? `#${feeRule.id} ${feeRule.name}` : feeRule.name
         });
 
         // Perform the update - this is the critical operation
@@ -171,6 +200,7 @@ async function processProviderPayout(proposal, serviceRequest) {
                 latestProposal.payoutProcessedAt = new Date();
                 latestProposal.providerPayoutAmount = providerAmount;
                 latestProposal.platformFeeAmount = platformFee;
+                latestProposal.platformFeeRule = feeRule;
                 await latestProposal.save();
                 console.log(`[Process Payout] Retried update for proposal ${latestProposal.id}`);
             }
@@ -196,12 +226,13 @@ async function processProviderPayout(proposal, serviceRequest) {
             try {
                 const { sequelize } = require('../config/database');
                 await sequelize.query(
-                    `UPDATE proposals SET payoutStatus = 'completed', payoutProcessedAt = :processedAt, providerPayoutAmount = :providerAmount, platformFeeAmount = :platformFee WHERE id = :proposalId`,
+                    `UPDATE proposals SET payoutStatus = 'completed', payoutProcessedAt = :processedAt, providerPayoutAmount = :providerAmount, platformFeeAmount = :platformFee, platformFeeRule = :platformFeeRule WHERE id = :proposalId`,
                     {
                         replacements: {
                             processedAt: new Date(),
                             providerAmount: providerAmount,
                             platformFee: platformFee,
+                            platformFeeRule: JSON.stringify(feeRule),
                             proposalId: latestProposal.id
                         },
                         type: sequelize.QueryTypes.UPDATE
@@ -215,6 +246,8 @@ async function processProviderPayout(proposal, serviceRequest) {
             }
         }
 
+        await postPayout('proposal', await Proposal.findByPk(freshProposal.id));
+
         // Get provider name
         const provider = providerProfile.user;
         const providerName = provider.firstName && provider.lastName
@@ -250,7 +283,7 @@ async function processProviderPayout(proposal, serviceRequest) {
                                         <strong>Total Amount:</strong> $${proposalPrice.toFixed(2)}
                                     </p>
                                     <p style="color: #333; margin: 8px 0;">
-                                        <strong>Platform Fee (10%):</strong> $${platformFee.toFixed(2)}
+                                        <strong>Platform Fee (${describeFeeRule(feeRule)}):</strong> $${platformFee.toFixed(2)}
                                     </p>
                                     <div style="background: #ecfdf5; padding: 15px; border-radius: 6px; margin-top: 15px; border: 2px solid #10b981;">
                                         <p style="color: #065f46; margin: 0; font-size: 18px; font-weight: 700;">
@@ -285,6 +318,15 @@ async function processProviderPayout(proposal, serviceRequest) {
             });
         }
 
+        createNotification({
+            userId: providerProfile.userId,
+            type: 'payout_status',
+            title: 'Payout completed',
+            message: `$${providerAmount.toFixed(2)} for "${serviceRequest.projectTitle}" has been paid out.`,
+            link: '/user-dashboard/payouts',
+            metadata: { proposalId: freshProposal.id, serviceRequestId: serviceRequest.id, payoutStatus: 'completed' }
+        });
+
         // Log activity (non-critical - don't fail if logging fails)
         logActivity({
             type: 'provider_payout_processed',
@@ -295,6 +337,7 @@ async function processProviderPayout(proposal, serviceRequest) {
                 serviceRequestId: serviceRequest.id,
                 providerAmount,
                 platformFee,
+                platformFeeRuleId: feeRule.id,
                 totalAmount: parseFloat(freshProposal.price)
             }
         }).then(() => {
@@ -372,6 +415,18 @@ async function processProviderPayout(proposal, serviceRequest) {
                             payoutStatus: 'failed'
                         });
                         console.error(`[Process Payout] ❌ Set proposal ${proposalId} payout status to 'failed' due to critical error: ${error.message}`);
+
+                        const failedProvider = await ProviderProfile.findByPk(failedProposal.providerId, { attributes: ['id', 'userId'] });
+                        if (failedProvider) {
+                            createNotification({
+                                userId: failedProvider.userId,
+                                type: 'payout_status',
+                                title: 'Payout failed',
+                                message: 'A payout could not be completed and is being reviewed.',
+                                link: '/user-dashboard/payouts',
+                                metadata: { proposalId, payoutStatus: 'failed' }
+                            });
+                        }
                     } catch (updateError) {
                         console.error(`[Process Payout] ❌ Failed to update payout status to 'failed' for proposal ${proposalId}:`, updateError.message);
                         // If we can't even update to failed, there's a serious problem (maybe columns don't exist)
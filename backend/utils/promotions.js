@@ -0,0 +1,287 @@
+/**
+ * Promotions
+ *
+ * Validation, visibility and redemption rules for business deals. A promotion is
+ * active - shown on the business page and in search results - when the owner has it
+ * switched on, an admin has approved it, today is between startsAt and endsAt and
+ * the redemption cap (if any) has not been reached.
+ *
+ * Redemption codes are only revealed to signed-in customers who claim the deal,
+ * which is what counts against the cap.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Promotion, PromotionRedemption, Category } = require('../models');
+
+const DISCOUNT_TYPES = ['percent', 'fixed', 'free_addon'];
+
+// Owner edits to these send an approved promotion back for review
+const MODERATED_FIELDS = ['title', 'description', 'discountType', 'discountValue', 'addOnDescription'];
+
+/**
+ * Where clause for promotions that are live right now
+ * @param {Date} now - Defaults to the current time
+ * @returns {Object} Sequelize where clause
+ */
+function activePromotionWhere(now = new Date()) {
+    return {
+        isActive: true,
+        moderationStatus: 'approved',
+        startsAt: { [Op.lte]: now },
+        [Op.and]: [
+            { [Op.or]: [{ endsAt: null }, { endsAt: { [Op.gt]: now } }] },
+            { [Op.or]: [{ maxRedemptions: null }, { redemptionCount: { [Op.lt]: sequelize.col('maxRedemptions') } }] }
+        ]
+    };
+}
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validate a create/update body from the owner dashboard
+ * @param {Object} data - Request body
+ * @param {Object} existing - Promotion being updated (omit when creating)
+ * @returns {Promise<Object>} { values } or { error }
+ */
+async function validatePromotionInput(data, existing = null) {
+    const values = {};
+    const merged = existing ? { ...existing.toJSON(), ...data } : data;
+
+    if (!existing || data.title !== undefined) {
+        const title = String(data.title || '').trim();
+        if (!title || title.length > 150) {
+            return { error: 'Title is required (max 150 characters)' };
+        }
+        values.title = title;
+    }
+
+    if (data.description !== undefined) {
+        values.description = String(data.description || '').trim() || null;
+    }
+
+    if (!existing || data.discountType !== undefined || data.discountValue !== undefined || data.addOnDescription !== undefined) {
+        if (!DISCOUNT_TYPES.includes(merged.discountType)) {
+            return { error: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+        }
+        values.discountType = merged.discountType;
+
+        if (merged.discountType === 'free_addon') {
+            const addOn = String(merged.addOnDescription || '').trim();
+            if (!addOn || addOn.length > 255) {
+                return { error: 'Describe the free add-on (max 255 characters)' };
+            }
+            values.addOnDescription = addOn;
+            values.discountValue = null;
+        } else {
+            const amount = parseFloat(merged.discountValue);
+            if (!Number.isFinite(amount) || amount <= 0) {
+                return { error: 'Discount value must be greater than 0' };
+            }
+            if (merged.discountType === 'percent' && amount > 100) {
+                return { error: 'A percentage discount cannot be more than 100%' };
+            }
+            values.discountValue = amount.toFixed(2);
+            values.addOnDescription = null;
+        }
+    }
+
+    if (!existing || data.startsAt !== undefined || data.endsAt !== undefined) {
+        const startsAt = merged.startsAt ? parseDate(merged.startsAt) : new Date();
+        if (!startsAt) {
+            return { error: 'Start date is invalid' };
+        }
+        const endsAt = merged.endsAt ? parseDate(merged.endsAt) : null;
+        if (merged.endsAt && !endsAt) {
+            return { error: 'End date is invalid' };
+        }
+        if (endsAt && endsAt <= startsAt) {
+            return { error: 'End date must be after the start date' };
+        }
+        values.startsAt = startsAt;
+        values.endsAt = endsAt;
+    }
+
+    if (data.code !== undefined) {
+        const code = String(data.code || '').trim().toUpperCase();
+        if (code && !/^[A-Z0-9_-]{3,50}$/.test(code)) {
+            return { error: 'Code must be 3-50 letters, numbers, dashes or underscores' };
+        }
+        values.code = code || null;
+    }
+
+    if (data.maxRedemptions !== undefined) {
+        if (data.maxRedemptions === null || data.maxRedemptions === '') {
+            values.maxRedemptions = null;
+        } else {
+            const max = parseInt(data.maxRedemptions);
+            if (!Number.isInteger(max) || max < 1) {
+                return { error: 'Usage cap must be a whole number of at least 1' };
+            }
+            if (existing && max < existing.redemptionCount) {
+                return { error: `Usage cap cannot be below the ${existing.redemptionCount} redemptions already made` };
+            }
+            values.maxRedemptions = max;
+        }
+    }
+
+    if (data.categoryIds !== undefined) {
+        if (!Array.isArray(data.categoryIds)) {
+            return { error: 'categoryIds must be an array' };
+        }
+        const ids = [...new Set(data.categoryIds.map(id => parseInt(id)).filter(Boolean))];
+        if (ids.length > 0) {
+            const found = await Category.count({ where: { id: { [Op.in]: ids } } });
+            if (found !== ids.length) {
+                return { error: 'One or more categories were not found' };
+            }
+        }
+        values.categoryIds = ids;
+    }
+
+    if (data.isActive !== undefined) {
+        values.isActive = Boolean(data.isActive);
+    }
+
+    if (existing && existing.moderationStatus !== 'pending'
+        && MODERATED_FIELDS.some(field => values[field] !== undefined && String(values[field] ?? '') !== String(existing[field] ?? ''))) {
+        values.moderationStatus = 'pending';
+        values.moderationNote = null;
+        values.moderatedAt = null;
+        values.moderatedBy = null;
+    }
+
+    return { values };
+}
+
+/**
+ * Short human label for a promotion's discount ("20% off", "$15 off", "Free: ...")
+ * @param {Object} promotion - Promotion
+ * @returns {string}
+ */
+function formatDiscount(promotion) {
+    if (promotion.discountType === 'percent') {
+        return `${parseFloat(promotion.discountValue)}% off`;
+    }
+    if (promotion.discountType === 'fixed') {
+        return `$${parseFloat(promotion.discountValue).toFixed(2).replace(/\.00$/, '')} off`;
+    }
+    return `Free: ${promotion.addOnDescription}`;
+}
+
+/**
+ * Public view of a promotion: no code, moderation or owner-only fields
+ * @param {Object} promotion - Promotion instance
+ * @returns {Object}
+ */
+function toPublicPromotion(promotion) {
+    const remaining = promotion.maxRedemptions !== null && promotion.maxRedemptions !== undefined
+        ? Math.max(promotion.maxRedemptions - promotion.redemptionCount, 0)
+        : null;
+    return {
+        id: promotion.id,
+        businessId: promotion.businessId,
+        title: promotion.title,
+        description: promotion.description,
+        discountType: promotion.discountType,
+        discountValue: promotion.discountValue,
+        addOnDescription: promotion.addOnDescription,
+        discountLabel: formatDiscount(promotion),
+        startsAt: promotion.startsAt,
+        endsAt: promotion.endsAt,
+        hasCode: Boolean(promotion.code),
+        remaining
+    };
+}
+
+/**
+ * Active promotions for a set of businesses, grouped by business
+ * @param {number[]} businessIds - Business ids
+ * @param {Object} options - { categoryId: only deals visible in this category }
+ * @returns {Promise<Map<number, Object[]>>} businessId -> public promotions
+ */
+async function getActivePromotions(businessIds, { categoryId = null } = {}) {
+    const byBusiness = new Map();
+    if (!businessIds || businessIds.length === 0) {
+        return byBusiness;
+    }
+
+    const promotions = await Promotion.findAll({
+        where: {
+            ...activePromotionWhere(),
+            businessId: { [Op.in]: businessIds }
+        },
+        order: [['endsAt', 'ASC'], ['createdAt', 'DESC']]
+    });
+
+    const category = categoryId ? parseInt(categoryId) : null;
+    for (const promotion of promotions) {
+        const categories = Array.isArray(promotion.categoryIds) ? promotion.categoryIds : [];
+        if (category && categories.length > 0 && !categories.includes(category)) {
+            continue;
+        }
+        if (!byBusiness.has(promotion.businessId)) {
+            byBusiness.set(promotion.businessId, []);
+        }
+        byBusiness.get(promotion.businessId).push(toPublicPromotion(promotion));
+    }
+    return byBusiness;
+}
+
+/**
+ * Claim a promotion for a customer and reveal its code. Claiming again returns the
+ * same code without using up another redemption.
+ * @param {Object} promotion - Active promotion
+ * @param {number} userId - Customer
+ * @returns {Promise<Object>} { code, alreadyRedeemed } or { error }
+ */
+async function redeemPromotion(promotion, userId) {
+    const previous = await PromotionRedemption.findOne({ where: { promotionId: promotion.id, userId } });
+    if (previous) {
+        return { code: promotion.code, alreadyRedeemed: true };
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+        await PromotionRedemption.create({ promotionId: promotion.id, userId }, { transaction });
+
+        // Conditional increment so two customers can't both take the last redemption
+        const [updated] = await Promotion.update(
+            { redemptionCount: sequelize.literal('redemptionCount + 1') },
+            {
+                where: {
+                    id: promotion.id,
+                    [Op.or]: [{ maxRedemptions: null }, { redemptionCount: { [Op.lt]: sequelize.col('maxRedemptions') } }]
+                },
+                transaction
+            }
+        );
+        if (updated === 0) {
+            await transaction.rollback();
+            return { error: 'This deal has been fully redeemed' };
+        }
+
+        await transaction.commit();
+        return { code: promotion.code, alreadyRedeemed: false };
+    } catch (error) {
+        await transaction.rollback();
+        // Same customer claiming twice at once
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return { code: promotion.code, alreadyRedeemed: true };
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    DISCOUNT_TYPES,
+    activePromotionWhere,
+    validatePromotionInput,
+    formatDiscount,
+    toPublicPromotion,
+    getActivePromotions,
+    redeemPromotion
+};
@@ -0,0 +1,125 @@
+/**
+ * Live Notification Channel (Server-Sent Events)
+ *
+ * Features:
+ * - Keeps open SSE connections per user (a user may have several tabs/devices)
+ * - Heartbeats so proxies don't close idle connections
+ * - publish() pushes an event to every connection of a user
+ *
+ * Connections live in this process's memory. When running more than one
+ * server instance, put a pub/sub (e.g. Redis) in front of publish().
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// userId -> Set of { res, sessionId }
+const clients = new Map();
+
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Register an SSE connection and start the stream
+ * @param {number} userId - User ID
+ * @param {object} res - Express response
+ * @param {object} options - { sessionId, expiresAt } - the stream is closed when the access token expires
+ */
+function addClient(userId, res, { sessionId = null, expiresAt = null } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable nginx buffering
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, sessionId };
+    if (!clients.has(userId)) {
+        clients.set(userId, new Set());
+    }
+    clients.get(userId).add(client);
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // Close when the access token expires so the client reconnects with a fresh one
+    let expiryTimer = null;
+    if (expiresAt) {
+        const remainingMs = Math.max(expiresAt * 1000 - Date.now(), 0);
+        expiryTimer = setTimeout(() => {
+            writeEvent(res, 'token_expired', {});
+            res.end();
+        }, remainingMs);
+    }
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        if (expiryTimer) clearTimeout(expiryTimer);
+        removeClient(userId, client);
+    };
+    res.on('close', cleanup);
+
+    writeEvent(res, 'connected', { userId });
+}
+
+function removeClient(userId, client) {
+    const userClients = clients.get(userId);
+    if (!userClients) return;
+    userClients.delete(client);
+    if (userClients.size === 0) {
+        clients.delete(userId);
+    }
+}
+
+/**
+ * Push an event to all of a user's open connections
+ * @param {number} userId - Recipient user ID
+ * @param {string} event - Event name (e.g. 'notification', 'message')
+ * @param {object} data - JSON payload
+ * @returns {number} Number of connections the event was written to
+ */
+function publish(userId, event, data) {
+    const userClients = clients.get(userId);
+    if (!userClients) return 0;
+
+    userClients.forEach(client => {
+        try {
+            writeEvent(client.res, event, data);
+        } catch (error) {
+            console.error(`[Realtime] Failed to write to client for user ${userId}:`, error.message);
+        }
+    });
+    return userClients.size;
+}
+
+/**
+ * Close streams that belong to a session (logout / revocation) or to all of a user's sessions
+ */
+function disconnectUser(userId, sessionId = null) {
+    const userClients = clients.get(userId);
+    if (!userClients) return;
+
+    Array.from(userClients).forEach(client => {
+        if (!sessionId || client.sessionId === sessionId) {
+            client.res.end();
+        }
+    });
+}
+
+function connectionCount() {
+    let total = 0;
+    clients.forEach(userClients => {
+        total += userClients.size;
+    });
+    return total;
+}
+
+module.exports = {
+    addClient,
+    publish,
+    disconnectUser,
+    connectionCount
+};
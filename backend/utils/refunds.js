@@ -0,0 +1,802 @@
+/**
+ * Refunds and Disputes
+ *
+ * Money going back on proposal payments (customer -> provider work, including milestone
+ * payments) and lead fees (provider -> platform):
+ * - Admins refund in full or in part with createRefund. Refunds made in the Stripe dashboard
+ *   arrive as charge.refunded and are recorded the same way (source 'stripe')
+ * - Chargebacks arrive as charge.dispute.* and are tracked with recordDispute
+ * - Each refund / dispute is a PaymentRefund / PaymentDispute row, and the paid record keeps
+ *   refundedAmount, paymentStatus and disputeStatus up to date
+ *
+ * Transfer reversal rules for work payments (lead fees have no payout):
+ * - Payout not sent yet: the pending payout shrinks by the provider's share of the refund,
+ *   and is cancelled when the payment is refunded in full
+ * - Payout already sent: the provider's share is reversed from their Stripe transfer, or
+ *   recorded as owed when the payout was made without one. Admins can skip the reversal
+ *   for refunds the platform absorbs
+ * - Open dispute: the payout is held. A lost dispute reverses the provider's share like a
+ *   refund; a won dispute releases the payout
+ */
+
+const { sequelize } = require('../config/database');
+const stripe = require('../config/stripe');
+const { calculatePayouts, formatCurrency } = require('../config/platformFee');
+const { Proposal, ProposalMilestone, Lead, ServiceRequest, ProviderProfile, User, PaymentRefund, PaymentDispute } = require('../models');
+const { enqueueJob } = require('./jobQueue');
+const createNotification = require('./createNotification');
+const sendEmail = require('./sendEmail');
+const logActivity = require('./logActivity');
+const { renderTemplate } = require('./emailTemplates');
+const { postRefund, postRefundReversal, postTransferReversal, postDisputeLoss } = require('./ledger');
+
+const PAYMENT_MODELS = {
+    proposal: Proposal,
+    milestone: ProposalMilestone,
+    lead: Lead
+};
+
+const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent', 'other'];
+const OPEN_DISPUTE_STATUSES = ['needs_response', 'under_review'];
+const PAID_STATUSES = ['succeeded', 'partially_refunded'];
+// Payout has left (or is leaving) the platform
+const SENT_PAYOUT_STATUSES = ['processing', 'completed', 'reversed'];
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+
+/**
+ * Whether a proposal / milestone payout must wait for an open dispute
+ * @param {Object} record - Proposal or ProposalMilestone
+ * @returns {boolean}
+ */
+function isPayoutHeld(record) {
+    return OPEN_DISPUTE_STATUSES.includes(record.disputeStatus);
+}
+
+/**
+ * Whether a payment still counts as paid (a partial refund leaves the rest paid)
+ * @param {string} paymentStatus
+ * @returns {boolean}
+ */
+function isPaid(paymentStatus) {
+    return PAID_STATUSES.includes(paymentStatus);
+}
+
+// Stripe dispute status -> disputeStatus on the paid record
+function disputeStatusFor(stripeStatus) {
+    switch (stripeStatus) {
+        case 'warning_needs_response':
+        case 'needs_response':
+            return 'needs_response';
+        case 'warning_under_review':
+        case 'under_review':
+            return 'under_review';
+        case 'won':
+            return 'won';
+        case 'lost':
+            return 'lost';
+        default:
+            // warning_closed, charge_refunded
+            return 'closed';
+    }
+}
+
+function refundStatusFor(stripeStatus) {
+    return ['succeeded', 'failed', 'canceled'].includes(stripeStatus) ? stripeStatus : 'pending';
+}
+
+function paymentKeys(kind, record) {
+    return {
+        proposalId: kind === 'proposal' ? record.id : (kind === 'milestone' ? record.proposalId : null),
+        milestoneId: kind === 'milestone' ? record.id : null,
+        leadId: kind === 'lead' ? record.id : null
+    };
+}
+
+// Which paid record a refund / dispute row belongs to
+function paymentOf(row) {
+    if (row.milestoneId) {
+        return { kind: 'milestone', id: row.milestoneId };
+    }
+    if (row.leadId) {
+        return { kind: 'lead', id: row.leadId };
+    }
+    return { kind: 'proposal', id: row.proposalId };
+}
+
+// Price of the work a proposal / milestone payment was for
+function grossAmount(kind, record) {
+    if (kind === 'proposal') {
+        return parseFloat(record.price);
+    }
+    if (kind === 'milestone') {
+        return parseFloat(record.amount);
+    }
+    return null;
+}
+
+/**
+ * Find the proposal, milestone or lead a Stripe payment intent paid for
+ * @param {string} paymentIntentId
+ * @returns {Promise<Object|null>} { kind, record }
+ */
+async function findPaymentByIntent(paymentIntentId) {
+    if (!paymentIntentId) {
+        return null;
+    }
+    for (const kind of ['milestone', 'proposal', 'lead']) {
+        const record = await PAYMENT_MODELS[kind].findOne({ where: { stripePaymentIntentId: paymentIntentId } });
+        if (record) {
+            return { kind, record };
+        }
+    }
+    return null;
+}
+
+/**
+ * Payout changes for money returned to the payer (refund or lost dispute)
+ * @param {string} kind - proposal, milestone or lead
+ * @param {Object} record - Locked paid record
+ * @param {number} amount - Dollars returned
+ * @param {Object} options - { reverseTransfer, fullyReturned }
+ * @returns {Object} { updates, providerShare, transferReversalAmount, transferReversalStatus }
+ *   providerShare is what comes off the provider's payout (pending or sent); the platform bears the rest
+ */
+function planPayoutAdjustment(kind, record, amount, { reverseTransfer, fullyReturned }) {
+    const none = { updates: {}, providerShare: 0, transferReversalAmount: 0, transferReversalStatus: 'none' };
+    if (kind === 'lead' || record.payoutStatus === 'cancelled') {
+        return none;
+    }
+
+    const gross = grossAmount(kind, record);
+    // Provider's share of the returned money, at the original split
+    const original = calculatePayouts(gross, record.platformFeeRule);
+    const providerShare = roundMoney(Math.min(amount, gross) * original.providerAmount / gross);
+    const providerAmount = record.providerPayoutAmount !== null && record.providerPayoutAmount !== undefined
+        ? parseFloat(record.providerPayoutAmount)
+        : original.providerAmount;
+    const platformFee = record.platformFeeAmount !== null && record.platformFeeAmount !== undefined
+        ? parseFloat(record.platformFeeAmount)
+        : original.platformFee;
+
+    if (!SENT_PAYOUT_STATUSES.includes(record.payoutStatus)) {
+        if (fullyReturned) {
+            return {
+                ...none,
+                updates: { payoutStatus: 'cancelled', providerPayoutAmount: 0, platformFeeAmount: 0 },
+                providerShare: providerAmount
+            };
+        }
+        return {
+            ...none,
+            providerShare: roundMoney(Math.min(providerShare, providerAmount)),
+            updates: {
+                providerPayoutAmount: Math.max(roundMoney(providerAmount - providerShare), 0),
+                platformFeeAmount: Math.max(roundMoney(platformFee - (amount - providerShare)), 0)
+            }
+        };
+    }
+
+    if (!reverseTransfer) {
+        return none;
+    }
+
+    const alreadyReversed = parseFloat(record.payoutReversedAmount || 0);
+    const reversal = roundMoney(Math.min(providerShare, providerAmount - alreadyReversed));
+    if (reversal <= 0) {
+        return none;
+    }
+
+    const totalReversed = roundMoney(alreadyReversed + reversal);
+    return {
+        updates: {
+            payoutReversedAmount: totalReversed,
+            ...(totalReversed >= providerAmount ? { payoutStatus: 'reversed' } : {})
+        },
+        providerShare: reversal,
+        transferReversalAmount: reversal,
+        transferReversalStatus: record.stripeTransferId ? 'pending' : 'recorded'
+    };
+}
+
+// Take the provider's share back from their Stripe transfer (after the database is updated)
+async function reverseProviderTransfer(source, row, record, idempotencyKey) {
+    try {
+        const reversal = await stripe.transfers.createReversal(record.stripeTransferId, {
+            amount: toCents(row.transferReversalAmount),
+            metadata: { refundOrDispute: idempotencyKey }
+        }, { idempotencyKey });
+        await row.update({ transferReversalStatus: 'reversed', stripeTransferReversalId: reversal.id });
+        await postTransferReversal(source, row);
+    } catch (error) {
+        console.error(`[Refunds] Transfer reversal ${idempotencyKey} failed:`, error.message);
+        await row.update({ transferReversalStatus: 'failed' });
+    }
+}
+
+// Who paid, who was paid, and a label for messages
+async function paymentParties(kind, record) {
+    if (kind === 'lead') {
+        return {
+            payerUserId: record.providerId,
+            providerUserId: null,
+            label: `lead fee for "${record.serviceType || 'service request'}"`,
+            link: '/user-dashboard/leads'
+        };
+    }
+
+    const proposal = await Proposal.findByPk(kind === 'proposal' ? record.id : record.proposalId, {
+        attributes: ['id', 'serviceRequestId', 'providerId'],
+        include: [
+            { model: ServiceRequest, as: 'serviceRequest', attributes: ['id', 'projectTitle', 'customerId'] },
+            { model: ProviderProfile, as: 'provider', attributes: ['id', 'userId'] }
+        ]
+    });
+    const projectTitle = proposal?.serviceRequest?.projectTitle || 'service request';
+
+    return {
+        payerUserId: proposal?.serviceRequest?.customerId || null,
+        providerUserId: proposal?.provider?.userId || null,
+        label: kind === 'milestone' ? `"${record.title}" (${projectTitle})` : `"${projectTitle}"`,
+        link: '/user-dashboard/requests',
+        serviceRequestId: proposal?.serviceRequestId || null
+    };
+}
+
+async function notifyRefund(refund, kind, record) {
+    const parties = await paymentParties(kind, record);
+    const amount = formatCurrency(refund.amount);
+
+    if (parties.payerUserId) {
+        createNotification({
+            userId: parties.payerUserId,
+            type: 'payment_refunded',
+            title: 'Refund issued',
+            message: `${amount} of your payment for ${parties.label} has been refunded.`,
+            link: parties.link,
+            metadata: { refundId: refund.id, ...paymentKeys(kind, record) }
+        });
+
+        const payer = await User.findByPk(parties.payerUserId, { attributes: ['id', 'name', 'email', 'firstName', 'lastName'] });
+        if (payer && payer.email) {
+            const rendered = renderTemplate('payment_refunded', {
+                UserName: payer.firstName && payer.lastName ? `${payer.firstName} ${payer.lastName}` : payer.name,
+                Amount: amount,
+                PaymentLabel: parties.label,
+                TotalRefunded: formatCurrency(record.refundedAmount)
+            });
+            sendEmail({
+                to: payer.email,
+                subject: rendered.subject,
+                html: rendered.html,
+                text: rendered.text
+            }).catch(err => console.error('[Refunds] Failed to send refund email:', err.message));
+        }
+    }
+
+    if (parties.providerUserId) {
+        const reversed = parseFloat(refund.transferReversalAmount || 0);
+        createNotification({
+            userId: parties.providerUserId,
+            type: 'payout_status',
+            title: 'Customer refunded',
+            message: reversed > 0
+                ? `The customer was refunded ${amount} for ${parties.label}. ${formatCurrency(reversed)} of your payout has been taken back.`
+                : `The customer was refunded ${amount} for ${parties.label}. Your payout has been adjusted.`,
+            link: '/user-dashboard/payouts',
+            metadata: { refundId: refund.id, ...paymentKeys(kind, record) }
+        });
+    }
+}
+
+/**
+ * Apply a refund to its payment and payout - runs once per refund however often it is called
+ * @param {number} refundId - PaymentRefund ID
+ * @param {Object} options - { chargeAmount } dollars captured on the charge, to tell full from partial refunds
+ * @returns {Promise<Object>} { refund } or { alreadyApplied }
+ */
+async function applyRefund(refundId, { chargeAmount = null } = {}) {
+    const [claimed] = await PaymentRefund.update(
+        { appliedAt: new Date() },
+        { where: { id: refundId, appliedAt: null } }
+    );
+    if (!claimed) {
+        return { alreadyApplied: true };
+    }
+
+    const refund = await PaymentRefund.findByPk(refundId);
+    const { kind, id } = paymentOf(refund);
+    const Model = PAYMENT_MODELS[kind];
+    const amount = parseFloat(refund.amount);
+
+    const transaction = await sequelize.transaction();
+    let record;
+    try {
+        record = await Model.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!record) {
+            throw new Error(`${kind} ${id} for refund ${refund.id} not found`);
+        }
+
+        const refundedAmount = roundMoney(parseFloat(record.refundedAmount || 0) + amount);
+        const paid = chargeAmount || grossAmount(kind, record);
+        const fullyReturned = paid !== null && refundedAmount >= paid - 0.005;
+
+        const plan = planPayoutAdjustment(kind, record, amount, {
+            reverseTransfer: !(refund.metadata && refund.metadata.reverseTransfer === false),
+            fullyReturned
+        });
+
+        await record.update({
+            refundedAmount,
+            paymentStatus: fullyReturned ? 'refunded' : 'partially_refunded',
+            ...plan.updates
+        }, { transaction });
+
+        await refund.update({
+            transferReversalAmount: plan.transferReversalAmount,
+            transferReversalStatus: plan.transferReversalStatus,
+            // The ledger splits the refund between the provider and the platform with this
+            metadata: { ...refund.metadata, providerShare: plan.providerShare }
+        }, { transaction });
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        // Hand the refund back so a webhook retry can apply it
+        await PaymentRefund.update({ appliedAt: null }, { where: { id: refund.id } });
+        throw error;
+    }
+
+    await postRefund(refund);
+
+    if (refund.transferReversalStatus === 'pending') {
+        await reverseProviderTransfer('refund', refund, record, `refund-reversal-${refund.id}`);
+    }
+
+    logActivity({
+        type: 'payment_refunded',
+        description: `${formatCurrency(amount)} refunded on ${kind} #${record.id}${refund.source === 'stripe' ? ' (from Stripe)' : ''}`,
+        userId: refund.initiatedBy,
+        metadata: {
+            refundId: refund.id,
+            ...paymentKeys(kind, record),
+            amount,
+            reason: refund.reason,
+            source: refund.source,
+            paymentStatus: record.paymentStatus,
+            payoutStatus: record.payoutStatus || null,
+            transferReversalAmount: parseFloat(refund.transferReversalAmount),
+            transferReversalStatus: refund.transferReversalStatus
+        }
+    });
+
+    await notifyRefund(refund, kind, record);
+
+    return { refund };
+}
+
+/**
+ * Admin refund, full (no amount) or partial
+ * @param {Object} params - { kind, id, amount, reason, note, reverseTransfer, adminId }
+ * @returns {Promise<Object>} { refund } or { error, status }
+ */
+async function createRefund({ kind, id, amount = null, reason = 'requested_by_customer', note = null, reverseTransfer = true, adminId = null }) {
+    const Model = PAYMENT_MODELS[kind];
+    if (!Model) {
+        return { error: 'Unknown payment type', status: 400 };
+    }
+    if (!REFUND_REASONS.includes(reason)) {
+        return { error: `Reason must be one of: ${REFUND_REASONS.join(', ')}`, status: 400 };
+    }
+
+    const record = await Model.findByPk(id);
+    if (!record) {
+        return { error: 'Payment not found', status: 404 };
+    }
+
+    // Lead fees charged before paymentStatus existed only have status 'accepted'
+    const paid = kind === 'lead'
+        ? (isPaid(record.paymentStatus) || (!record.paymentStatus && record.status === 'accepted'))
+        : isPaid(record.paymentStatus);
+    if (!record.stripePaymentIntentId || !paid) {
+        return { error: `Nothing to refund - payment is ${record.paymentStatus || 'not completed'}`, status: 400 };
+    }
+    if (OPEN_DISPUTE_STATUSES.includes(record.disputeStatus)) {
+        return { error: 'This payment is disputed. Respond to the dispute instead of refunding', status: 400 };
+    }
+
+    const inFlight = await PaymentRefund.count({
+        where: { ...paymentKeys(kind, record), status: 'pending', stripeRefundId: null }
+    });
+    if (inFlight > 0) {
+        return { error: 'A refund for this payment is already in progress', status: 409 };
+    }
+
+    const intent = await stripe.paymentIntents.retrieve(record.stripePaymentIntentId, { expand: ['latest_charge'] });
+    const charge = intent.latest_charge;
+    if (intent.status !== 'succeeded' || !charge || typeof charge !== 'object') {
+        return { error: 'The payment has no captured charge to refund', status: 400 };
+    }
+
+    const refundableCents = charge.amount_captured - charge.amount_refunded;
+    const cents = amount !== null && amount !== undefined && amount !== '' ? toCents(amount) : refundableCents;
+    if (refundableCents <= 0) {
+        return { error: 'This payment has already been refunded in full', status: 400 };
+    }
+    if (!(cents > 0) || cents > refundableCents) {
+        return { error: `Refund amount must be between $0.01 and ${formatCurrency(fromCents(refundableCents))}`, status: 400 };
+    }
+
+    const refund = await PaymentRefund.create({
+        ...paymentKeys(kind, record),
+        stripePaymentIntentId: record.stripePaymentIntentId,
+        stripeChargeId: charge.id,
+        amount: fromCents(cents),
+        reason,
+        note: note ? String(note).trim() : null,
+        status: 'pending',
+        source: 'admin',
+        initiatedBy: adminId,
+        metadata: { reverseTransfer: reverseTransfer !== false }
+    });
+
+    let stripeRefund;
+    try {
+        stripeRefund = await stripe.refunds.create({
+            payment_intent: record.stripePaymentIntentId,
+            amount: cents,
+            reason: reason === 'other' ? undefined : reason,
+            metadata: { paymentRefundId: String(refund.id), type: kind, recordId: String(record.id) }
+        }, { idempotencyKey: `payment-refund-${refund.id}` });
+    } catch (error) {
+        await refund.update({ status: 'failed', metadata: { ...refund.metadata, error: error.message } });
+        logActivity({
+            type: 'payment_refund_failed',
+            description: `Refund of ${formatCurrency(refund.amount)} on ${kind} #${record.id} was refused by Stripe`,
+            userId: adminId,
+            metadata: { refundId: refund.id, ...paymentKeys(kind, record), error: error.message }
+        });
+        return { error: error.message || 'The refund could not be created', status: 502 };
+    }
+
+    await refund.update({
+        stripeRefundId: stripeRefund.id,
+        status: refundStatusFor(stripeRefund.status)
+    });
+
+    if (refund.status === 'pending' || refund.status === 'succeeded') {
+        await applyRefund(refund.id, { chargeAmount: fromCents(charge.amount_captured) });
+    }
+
+    return { refund: await refund.reload() };
+}
+
+/**
+ * charge.refunded - record refunds (including ones made in the Stripe dashboard) and apply them
+ * @param {Object} charge - Stripe charge
+ * @returns {Promise<Object>} { applied } or { skipped }
+ */
+async function recordChargeRefunds(charge) {
+    const paymentIntentId = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id;
+    const payment = await findPaymentByIntent(paymentIntentId);
+    if (!payment) {
+        return { skipped: 'Not a proposal, milestone or lead payment' };
+    }
+
+    const { kind, record } = payment;
+    const stripeRefunds = charge.refunds && Array.isArray(charge.refunds.data) && charge.refunds.data.length > 0
+        ? charge.refunds.data
+        : (await stripe.refunds.list({ charge: charge.id, limit: 100 })).data;
+
+    let applied = 0;
+    for (const stripeRefund of stripeRefunds) {
+        let refund = await PaymentRefund.findOne({ where: { stripeRefundId: stripeRefund.id } });
+        // Our own refund whose webhook beat the admin request
+        if (!refund && stripeRefund.metadata && stripeRefund.metadata.paymentRefundId) {
+            refund = await PaymentRefund.findByPk(parseInt(stripeRefund.metadata.paymentRefundId));
+        }
+
+        const status = refundStatusFor(stripeRefund.status);
+        if (refund) {
+            if (refund.stripeRefundId !== stripeRefund.id || refund.status !== status) {
+                await refund.update({ stripeRefundId: stripeRefund.id, status });
+            }
+        } else {
+            try {
+                refund = await PaymentRefund.create({
+                    ...paymentKeys(kind, record),
+                    stripePaymentIntentId: paymentIntentId,
+                    stripeChargeId: charge.id,
+                    stripeRefundId: stripeRefund.id,
+                    amount: fromCents(stripeRefund.amount),
+                    reason: REFUND_REASONS.includes(stripeRefund.reason) ? stripeRefund.reason : 'other',
+                    status,
+                    source: 'stripe'
+                });
+            } catch (error) {
+                if (error.name !== 'SequelizeUniqueConstraintError') {
+                    throw error;
+                }
+                refund = await PaymentRefund.findOne({ where: { stripeRefundId: stripeRefund.id } });
+            }
+        }
+
+        if (refund.status === 'pending' || refund.status === 'succeeded') {
+            const result = await applyRefund(refund.id, { chargeAmount: fromCents(charge.amount_captured) });
+            if (!result.alreadyApplied) {
+                applied++;
+            }
+        }
+    }
+
+    return { applied };
+}
+
+/**
+ * charge.refund.updated - a refund that failed or was canceled gives the money back to the payment
+ * (payout adjustments already made are left for an admin to review)
+ * @param {Object} stripeRefund - Stripe refund
+ * @returns {Promise<Object>} { refund } or { skipped }
+ */
+async function recordRefundUpdate(stripeRefund) {
+    const refund = await PaymentRefund.findOne({ where: { stripeRefundId: stripeRefund.id } });
+    if (!refund) {
+        return { skipped: 'Unknown refund' };
+    }
+
+    const status = refundStatusFor(stripeRefund.status);
+    if (status === refund.status) {
+        return { refund };
+    }
+    if (!['failed', 'canceled'].includes(status) || !refund.appliedAt) {
+        await refund.update({ status });
+        return { refund };
+    }
+
+    const { kind, id } = paymentOf(refund);
+    const transaction = await sequelize.transaction();
+    let record;
+    try {
+        record = await PAYMENT_MODELS[kind].findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        await refund.update({ status }, { transaction });
+        if (record) {
+            const refundedAmount = Math.max(roundMoney(parseFloat(record.refundedAmount || 0) - parseFloat(refund.amount)), 0);
+            await record.update({
+                refundedAmount,
+                paymentStatus: refundedAmount > 0 ? 'partially_refunded' : 'succeeded'
+            }, { transaction });
+        }
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    await postRefundReversal(refund);
+
+    logActivity({
+        type: 'payment_refund_failed',
+        description: `Refund of ${formatCurrency(refund.amount)} on ${kind} #${id} ${status} at Stripe - review the payout adjustment`,
+        userId: refund.initiatedBy,
+        metadata: {
+            refundId: refund.id,
+            ...paymentKeys(kind, record || { id }),
+            transferReversalAmount: parseFloat(refund.transferReversalAmount),
+            transferReversalStatus: refund.transferReversalStatus,
+            failureReason: stripeRefund.failure_reason || null
+        }
+    });
+
+    return { refund };
+}
+
+// Won or closed without a loss - queue the payout the dispute held back
+async function releaseHeldPayout(kind, record, dispute) {
+    if (kind === 'proposal') {
+        const serviceRequest = await ServiceRequest.findByPk(record.serviceRequestId, { attributes: ['id', 'status'] });
+        if (isPaid(record.paymentStatus) && (!record.payoutStatus || record.payoutStatus === 'pending')
+            && serviceRequest && ['APPROVED', 'CLOSED'].includes(serviceRequest.status)) {
+            await enqueueJob('payout.process', { proposalId: record.id }, {
+                idempotencyKey: `payout:${record.id}:dispute-${dispute.id}`
+            });
+        }
+    } else if (kind === 'milestone') {
+        if (isPaid(record.paymentStatus) && record.approvedAt && record.payoutStatus === 'pending') {
+            await enqueueJob('milestone.payout', { milestoneId: record.id }, {
+                idempotencyKey: `milestone-payout:${record.id}:dispute-${dispute.id}`
+            });
+        }
+    }
+}
+
+async function closeDispute(dispute, kind, outcome) {
+    const [claimed] = await PaymentDispute.update(
+        { closedAt: new Date() },
+        { where: { id: dispute.id, closedAt: null } }
+    );
+    if (!claimed) {
+        return;
+    }
+
+    const { id } = paymentOf(dispute);
+    const Model = PAYMENT_MODELS[kind];
+    let record;
+
+    if (outcome === 'lost') {
+        const amount = parseFloat(dispute.amount);
+        const transaction = await sequelize.transaction();
+        try {
+            record = await Model.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+            const gross = grossAmount(kind, record);
+            const plan = planPayoutAdjustment(kind, record, amount, {
+                reverseTransfer: true,
+                fullyReturned: gross !== null && parseFloat(record.refundedAmount || 0) + amount >= gross - 0.005
+            });
+            await record.update(plan.updates, { transaction });
+            await dispute.update({
+                transferReversalAmount: plan.transferReversalAmount,
+                transferReversalStatus: plan.transferReversalStatus,
+                metadata: { ...dispute.metadata, providerShare: plan.providerShare }
+            }, { transaction });
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            await PaymentDispute.update({ closedAt: null }, { where: { id: dispute.id } });
+            throw error;
+        }
+
+        // Reload for the closedAt claimed above
+        await postDisputeLoss(await dispute.reload());
+
+        if (dispute.transferReversalStatus === 'pending') {
+            await reverseProviderTransfer('dispute', dispute, record, `dispute-reversal-${dispute.id}`);
+        }
+    } else {
+        record = await Model.findByPk(id);
+        await releaseHeldPayout(kind, record, dispute);
+    }
+
+    logActivity({
+        type: `payment_dispute_${outcome}`,
+        description: `Dispute on ${kind} #${id} closed: ${outcome}`,
+        metadata: {
+            disputeId: dispute.id,
+            stripeDisputeId: dispute.stripeDisputeId,
+            ...paymentKeys(kind, record),
+            amount: parseFloat(dispute.amount),
+            transferReversalAmount: parseFloat(dispute.transferReversalAmount),
+            transferReversalStatus: dispute.transferReversalStatus
+        }
+    });
+
+    const parties = await paymentParties(kind, record);
+    if (parties.providerUserId) {
+        createNotification({
+            userId: parties.providerUserId,
+            type: 'payout_status',
+            title: outcome === 'lost' ? 'Chargeback lost' : 'Chargeback closed',
+            message: outcome === 'lost'
+                ? `The customer's bank upheld the chargeback on ${parties.label}. ${formatCurrency(dispute.transferReversalAmount)} of your payout has been taken back.`
+                : `The chargeback on ${parties.label} ${outcome === 'won' ? 'was resolved in your favor' : 'was closed'}. Your payout is no longer on hold.`,
+            link: '/user-dashboard/payouts',
+            metadata: { disputeId: dispute.id, ...paymentKeys(kind, record) }
+        });
+    }
+}
+
+/**
+ * charge.dispute.created / updated / closed
+ * @param {Object} stripeDispute - Stripe dispute
+ * @returns {Promise<Object>} { dispute } or { skipped }
+ */
+async function recordDispute(stripeDispute) {
+    const chargeId = typeof stripeDispute.charge === 'string' ? stripeDispute.charge : stripeDispute.charge?.id;
+    let paymentIntentId = typeof stripeDispute.payment_intent === 'string'
+        ? stripeDispute.payment_intent
+        : stripeDispute.payment_intent?.id;
+    if (!paymentIntentId && chargeId) {
+        const charge = await stripe.charges.retrieve(chargeId);
+        paymentIntentId = charge.payment_intent;
+    }
+
+    const payment = await findPaymentByIntent(paymentIntentId);
+    if (!payment) {
+        return { skipped: 'Not a proposal, milestone or lead payment' };
+    }
+
+    const { kind, record } = payment;
+    const status = disputeStatusFor(stripeDispute.status);
+    const dueBy = stripeDispute.evidence_details && stripeDispute.evidence_details.due_by;
+    const values = {
+        ...paymentKeys(kind, record),
+        stripeChargeId: chargeId || null,
+        stripePaymentIntentId: paymentIntentId,
+        amount: fromCents(stripeDispute.amount),
+        reason: stripeDispute.reason || null,
+        status: stripeDispute.status,
+        evidenceDueBy: dueBy ? new Date(dueBy * 1000) : null
+    };
+
+    let dispute = await PaymentDispute.findOne({ where: { stripeDisputeId: stripeDispute.id } });
+    let opened = false;
+    if (dispute) {
+        await dispute.update(values);
+    } else {
+        try {
+            dispute = await PaymentDispute.create({ stripeDisputeId: stripeDispute.id, ...values });
+            opened = true;
+        } catch (error) {
+            if (error.name !== 'SequelizeUniqueConstraintError') {
+                throw error;
+            }
+            dispute = await PaymentDispute.findOne({ where: { stripeDisputeId: stripeDispute.id } });
+            await dispute.update(values);
+        }
+    }
+
+    await record.update({ disputeStatus: status });
+
+    if (opened) {
+        const parties = await paymentParties(kind, record);
+        const amount = formatCurrency(dispute.amount);
+
+        logActivity({
+            type: 'payment_dispute_opened',
+            description: `${amount} chargeback opened on ${kind} #${record.id} (${dispute.reason || 'no reason given'})`,
+            metadata: {
+                disputeId: dispute.id,
+                stripeDisputeId: dispute.stripeDisputeId,
+                ...paymentKeys(kind, record),
+                amount: parseFloat(dispute.amount),
+                reason: dispute.reason
+            }
+        });
+
+        const rendered = renderTemplate('payment_dispute_opened', {
+            Amount: amount,
+            PaymentLabel: parties.label,
+            Reason: dispute.reason || 'not given',
+            EvidenceDueBy: dispute.evidenceDueBy ? new Date(dispute.evidenceDueBy).toLocaleDateString() : 'see Stripe',
+            AdminLink: frontendUrl(kind === 'lead' ? '/admin/leads' : '/admin/proposals')
+        });
+        sendEmail({
+            to: process.env.ADMIN_EMAIL || 'admin@citylocal101.com',
+            subject: rendered.subject,
+            html: rendered.html,
+            text: rendered.text
+        }).catch(err => console.error('[Refunds] Failed to send dispute email:', err.message));
+
+        if (parties.providerUserId) {
+            createNotification({
+                userId: parties.providerUserId,
+                type: 'payout_status',
+                title: 'Payment disputed',
+                message: `The customer disputed the ${amount} payment for ${parties.label}. Its payout is on hold until the dispute is resolved.`,
+                link: '/user-dashboard/payouts',
+                metadata: { disputeId: dispute.id, ...paymentKeys(kind, record) }
+            });
+        }
+    }
+
+    if (['won', 'lost', 'closed'].includes(status)) {
+        await closeDispute(dispute, kind, status);
+    }
+
+    return { dispute };
+}
+
+module.exports = {
+    REFUND_REASONS,
+    isPaid,
+    isPayoutHeld,
+    findPaymentByIntent,
+    createRefund,
+    applyRefund,
+    recordChargeRefunds,
+    recordRefundUpdate,
+    recordDispute
+};
@@ -0,0 +1,615 @@
+/**
+ * Lead Routing Engine
+ *
+ * Ranks the businesses that can take a service request and decides who gets the lead.
+ * - Factors score a candidate from 0 to 1; the strategy's weights turn that into points
+ * - Strategies pick the primary provider, who else receives the lead now, and who is
+ *   kept as a fallback (AlternativeProviderSelection) if the primary drops out
+ * - Both live in registries, so new ones can be added with registerFactor / registerStrategy
+ * - Dry runs rank without side effects and keep a per-factor breakdown for the admin panel
+ *
+ * Candidates are businesses whose service area covers the request's zip code, or - for
+ * businesses without service areas - whose address or a branch is in or near it.
+ *
+ * Strategies are admin-defined RoutingStrategy rows (per category, or global). Without one,
+ * the built-in default reproduces the original scoring: rating, review count, match bonuses
+ * and subscription boost, with Featured/Pro providers first.
+ */
+
+const { Op, fn, col } = require('sequelize');
+const {
+    ServiceRequest,
+    Business,
+    User,
+    ProviderProfile,
+    Lead,
+    Proposal,
+    WorkOrder,
+    Category,
+    SubCategory,
+    RoutingStrategy,
+    BusinessLocation,
+    BusinessServiceArea
+} = require('../models');
+const { sequelize } = require('../config/database');
+const getSubscriptionBenefits = require('./getSubscriptionBenefits');
+const { getCoordinatesFromZipCode, getBoundingBox } = require('./geolocation');
+const { findServingBusinessIds, branchNearSql, describeCoverage } = require('./serviceAreas');
+
+const HISTORY_DAYS = 90;
+const MIN_HISTORY = 3; // Fewer leads/proposals than this scores neutral (0.5)
+const DEFAULT_DISTANCE_MILES = 25;
+const MAX_FALLBACKS = 3; // alternative_provider_selections.position is 1-3
+
+const OWNER_ATTRIBUTES = ['id', 'name', 'email', 'firstName', 'lastName', 'phone'];
+
+const DEFAULT_STRATEGY = {
+    id: null,
+    name: 'Built-in default',
+    type: 'score',
+    categoryId: null,
+    weights: {},
+    sharedCount: 4,
+    maxDistanceMiles: null,
+    capacityLimit: 10,
+    priorityProvidersFirst: true
+};
+
+const rate = (numerator, denominator, noun) => {
+    if (denominator < MIN_HISTORY) {
+        return { value: 0.5, detail: `Not enough history (${denominator} ${noun})` };
+    }
+    return { value: numerator / denominator, detail: `${numerator} of ${denominator} ${noun}` };
+};
+
+// Factor name -> { label, defaultWeight, compute(candidate, context) => { value: 0..1, detail } }
+const factors = {
+    rating: {
+        label: 'Rating',
+        defaultWeight: 50,
+        compute: ({ business }) => {
+            const rating = parseFloat(business.ratingAverage) || 0;
+            return { value: rating / 5, detail: `${rating.toFixed(1)} average` };
+        }
+    },
+    reviews: {
+        label: 'Review count',
+        defaultWeight: 20,
+        compute: ({ business }) => {
+            const count = parseInt(business.ratingCount) || 0;
+            return { value: Math.min(count / 200, 1), detail: `${count} reviews (full marks at 200)` };
+        }
+    },
+    categoryMatch: {
+        label: 'Category match',
+        defaultWeight: 10,
+        compute: ({ business }, { serviceRequest }) => {
+            const match = business.categoryId === serviceRequest.categoryId;
+            return { value: match ? 1 : 0, detail: match ? 'Same category' : 'Different category' };
+        }
+    },
+    subCategoryMatch: {
+        label: 'Subcategory match',
+        defaultWeight: 10,
+        compute: ({ business }, { serviceRequest }) => {
+            const match = !!serviceRequest.subCategoryId && business.subCategoryId === serviceRequest.subCategoryId;
+            return { value: match ? 1 : 0, detail: match ? 'Same subcategory' : 'No subcategory match' };
+        }
+    },
+    zipMatch: {
+        label: 'Zip code match',
+        defaultWeight: 5,
+        compute: ({ business, coverage }) => {
+            const match = coverage.zipMatch;
+            return { value: match ? 1 : 0, detail: match ? 'Same zip code' : `Business zip ${business.zipCode || 'unknown'}` };
+        }
+    },
+    serviceArea: {
+        label: 'Service area',
+        defaultWeight: 0,
+        compute: ({ coverage }) => {
+            if (!coverage.hasServiceAreas) {
+                return { value: 0, detail: 'No service area declared' };
+            }
+            return {
+                value: coverage.inServiceArea ? 1 : 0,
+                detail: coverage.inServiceArea ? 'Inside declared service area' : 'Outside declared service area'
+            };
+        }
+    },
+    selected: {
+        label: 'Chosen by customer',
+        defaultWeight: 20,
+        compute: ({ isSelected }) => ({
+            value: isSelected ? 1 : 0,
+            detail: isSelected ? 'Customer picked this business' : 'Not picked by customer'
+        })
+    },
+    subscriptionBoost: {
+        label: 'Subscription boost',
+        defaultWeight: 100,
+        compute: ({ benefits }) => {
+            const points = benefits && benefits.hasActiveSubscription ? (benefits.priorityBoostPoints || 0) : 0;
+            return {
+                value: Math.min(points / 100, 1),
+                detail: points > 0 ? `${points} boost points (${benefits.tier})` : 'No boost'
+            };
+        }
+    },
+    distance: {
+        label: 'Distance',
+        defaultWeight: 0,
+        compute: ({ distanceMiles }, { maxDistanceMiles }) => {
+            if (distanceMiles === null) {
+                return { value: 0, detail: 'Location unknown' };
+            }
+            return {
+                value: Math.max(0, 1 - distanceMiles / maxDistanceMiles),
+                detail: `${distanceMiles.toFixed(1)} mi (zero at ${maxDistanceMiles} mi)`
+            };
+        }
+    },
+    responseRate: {
+        label: 'Response rate',
+        defaultWeight: 0,
+        compute: ({ stats }) => rate(stats.responded, stats.routed, 'leads answered')
+    },
+    acceptanceRate: {
+        label: 'Acceptance rate',
+        defaultWeight: 0,
+        compute: ({ stats }) => rate(stats.accepted, stats.routed, 'leads accepted')
+    },
+    capacity: {
+        label: 'Capacity',
+        defaultWeight: 0,
+        compute: ({ stats }, { strategy }) => {
+            const limit = strategy.capacityLimit || DEFAULT_STRATEGY.capacityLimit;
+            return {
+                value: Math.max(0, 1 - stats.openWorkOrders / limit),
+                detail: `${stats.openWorkOrders} open work orders (full at ${limit})`
+            };
+        }
+    },
+    winRate: {
+        label: 'Recent win rate',
+        defaultWeight: 0,
+        compute: ({ stats }) => rate(stats.proposalsWon, stats.proposalsSent, 'proposals won')
+    }
+};
+
+const byRank = (a, b) => b.score - a.score || a.business.id - b.business.id;
+
+// Strategy type -> { label, select(ranked, strategy) => { primary, alternatives, fallbacks } }
+// alternatives receive the lead now; fallbacks are stored for reassignment
+const strategies = {
+    score: {
+        label: 'Highest score',
+        select: (ranked) => {
+            const alternatives = ranked.slice(1, 4);
+            return { primary: ranked[0] || null, alternatives, fallbacks: alternatives };
+        }
+    },
+    round_robin: {
+        label: 'Round robin',
+        select: (ranked) => {
+            // Primary goes to whoever has waited longest since their last lead in this category
+            const primary = [...ranked].sort((a, b) => {
+                const aTime = a.stats.lastRoutedAt ? new Date(a.stats.lastRoutedAt).getTime() : 0;
+                const bTime = b.stats.lastRoutedAt ? new Date(b.stats.lastRoutedAt).getTime() : 0;
+                return aTime - bTime || ranked.indexOf(a) - ranked.indexOf(b);
+            })[0] || null;
+            const alternatives = ranked.filter(candidate => candidate !== primary).slice(0, 3);
+            return { primary, alternatives, fallbacks: alternatives };
+        }
+    },
+    exclusive: {
+        label: 'Exclusive',
+        select: (ranked) => ({
+            primary: ranked[0] || null,
+            alternatives: [],
+            fallbacks: ranked.slice(1, 1 + MAX_FALLBACKS)
+        })
+    },
+    shared: {
+        label: 'Shared (top N)',
+        select: (ranked, strategy) => {
+            const alternatives = ranked.slice(1, Math.max(strategy.sharedCount || 1, 1));
+            return { primary: ranked[0] || null, alternatives, fallbacks: alternatives.slice(0, MAX_FALLBACKS) };
+        }
+    }
+};
+
+/**
+ * Add or replace a scoring factor
+ * @param {string} name - Key used in strategy weights
+ * @param {Object} factor - { label, defaultWeight, compute(candidate, context) }
+ */
+function registerFactor(name, factor) {
+    factors[name] = factor;
+}
+
+/**
+ * Add or replace a selection strategy
+ * @param {string} type - Strategy type
+ * @param {Object} strategy - { label, select(ranked, strategy) }
+ */
+function registerStrategy(type, strategy) {
+    strategies[type] = strategy;
+}
+
+function resolveWeights(strategy) {
+    const weights = {};
+    Object.entries(factors).forEach(([name, factor]) => {
+        const configured = strategy.weights ? strategy.weights[name] : undefined;
+        weights[name] = configured !== undefined && configured !== null && !isNaN(parseFloat(configured))
+            ? parseFloat(configured)
+            : factor.defaultWeight;
+    });
+    return weights;
+}
+
+/**
+ * Pick the strategy for a request: an explicit id, else the category's active strategy,
+ * else the active global one, else the built-in default
+ */
+async function getStrategyForRequest(serviceRequest, strategyId = null) {
+    try {
+        if (strategyId) {
+            const strategy = await RoutingStrategy.findByPk(strategyId);
+            if (!strategy) {
+                throw new Error('Routing strategy not found');
+            }
+            return strategy.toJSON();
+        }
+
+        const candidates = await RoutingStrategy.findAll({
+            where: {
+                isActive: true,
+                [Op.or]: [{ categoryId: serviceRequest.categoryId }, { categoryId: null }]
+            },
+            order: [['updatedAt', 'DESC']]
+        });
+        const strategy = candidates.find(s => s.categoryId === serviceRequest.categoryId) ||
+            candidates.find(s => s.categoryId === null);
+        return strategy ? strategy.toJSON() : DEFAULT_STRATEGY;
+    } catch (error) {
+        if (strategyId) {
+            throw error;
+        }
+        // Table missing (migration not run yet) - keep routing with the default
+        console.error('[Routing] Could not load routing strategies:', error.message);
+        return DEFAULT_STRATEGY;
+    }
+}
+
+async function loadCandidateBusinesses(serviceRequest, requestCoords, maxDistanceMiles) {
+    const include = [
+        { model: User, as: 'owner', attributes: OWNER_ATTRIBUTES, required: true },
+        { model: BusinessLocation, as: 'locations', required: false },
+        { model: BusinessServiceArea, as: 'serviceAreas', required: false }
+    ];
+
+    const locationMatch = [{ zipCode: serviceRequest.zipCode }];
+    if (requestCoords && maxDistanceMiles) {
+        const box = getBoundingBox(requestCoords.lat, requestCoords.lng, maxDistanceMiles);
+        locationMatch.push({
+            latitude: { [Op.between]: [box.minLat, box.maxLat] },
+            longitude: { [Op.between]: [box.minLng, box.maxLng] }
+        });
+    }
+
+    // Branches in or near the zip code, and service areas covering it
+    const branchSql = branchNearSql({
+        center: requestCoords && maxDistanceMiles ? requestCoords : null,
+        radiusMiles: maxDistanceMiles,
+        zipCode: serviceRequest.zipCode
+    });
+    if (branchSql) {
+        locationMatch.push(sequelize.literal(branchSql));
+    }
+    const servingIds = await findServingBusinessIds({ zipCode: serviceRequest.zipCode, coordinates: requestCoords });
+    if (servingIds.length > 0) {
+        locationMatch.push({ id: { [Op.in]: servingIds } });
+    }
+
+    const matching = await Business.findAll({
+        where: {
+            categoryId: serviceRequest.categoryId,
+            isActive: true,
+            ownerId: { [Op.ne]: null },
+            [Op.or]: locationMatch
+        },
+        include
+    });
+
+    let selected = [];
+    const selectedIds = Array.isArray(serviceRequest.selectedBusinessIds) ? serviceRequest.selectedBusinessIds : [];
+    if (selectedIds.length > 0) {
+        selected = await Business.findAll({
+            where: {
+                id: { [Op.in]: selectedIds },
+                ownerId: { [Op.ne]: null }
+            },
+            include
+        });
+    }
+
+    return Array.from(new Map([...matching, ...selected].map(b => [b.id, b])).values());
+}
+
+async function loadProviderStats(ownerIds, profileIds, categoryId) {
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const countAttr = [fn('COUNT', col('id')), 'count'];
+
+    const [leadCounts, lastRouted, openWorkOrders, proposalCounts] = await Promise.all([
+        ownerIds.length ? Lead.findAll({
+            attributes: ['providerId', 'status', countAttr],
+            where: { providerId: { [Op.in]: ownerIds }, routedAt: { [Op.gte]: since } },
+            group: ['providerId', 'status'],
+            raw: true
+        }) : [],
+        ownerIds.length ? Lead.findAll({
+            attributes: ['providerId', [fn('MAX', col('routedAt')), 'lastRoutedAt']],
+            where: { providerId: { [Op.in]: ownerIds }, categoryId },
+            group: ['providerId'],
+            raw: true
+        }) : [],
+        profileIds.length ? WorkOrder.findAll({
+            attributes: ['providerId', countAttr],
+            where: { providerId: { [Op.in]: profileIds }, status: 'IN_PROGRESS' },
+            group: ['providerId'],
+            raw: true
+        }) : [],
+        profileIds.length ? Proposal.findAll({
+            attributes: ['providerId', 'status', countAttr],
+            where: { providerId: { [Op.in]: profileIds }, createdAt: { [Op.gte]: since } },
+            group: ['providerId', 'status'],
+            raw: true
+        }) : []
+    ]);
+
+    return (ownerId, profileId) => {
+        const stats = {
+            routed: 0,
+            responded: 0,
+            accepted: 0,
+            lastRoutedAt: null,
+            openWorkOrders: 0,
+            proposalsSent: 0,
+            proposalsWon: 0
+        };
+
+        leadCounts.filter(row => row.providerId === ownerId).forEach(row => {
+            const count = parseInt(row.count);
+            stats.routed += count;
+            if (row.status === 'accepted' || row.status === 'rejected') stats.responded += count;
+            if (row.status === 'accepted') stats.accepted += count;
+        });
+
+        const last = lastRouted.find(row => row.providerId === ownerId);
+        stats.lastRoutedAt = last ? last.lastRoutedAt : null;
+
+        const open = openWorkOrders.find(row => row.providerId === profileId);
+        stats.openWorkOrders = open ? parseInt(open.count) : 0;
+
+        proposalCounts.filter(row => row.providerId === profileId).forEach(row => {
+            const count = parseInt(row.count);
+            stats.proposalsSent += count;
+            if (row.status === 'ACCEPTED') stats.proposalsWon += count;
+        });
+
+        return stats;
+    };
+}
+
+// Business owners get a ProviderProfile automatically so they can receive leads
+async function ensureProviderProfile(userId) {
+    const existing = await ProviderProfile.findOne({ where: { userId }, attributes: ['id', 'userId'] });
+    if (existing) {
+        return existing;
+    }
+
+    try {
+        // Only set userId - let database handle defaults for other fields
+        return await ProviderProfile.create({ userId }, { fields: ['userId'] });
+    } catch (error) {
+        // Duplicate key from a concurrent request - read the row that won
+        console.error(`[Routing] Failed to create ProviderProfile for userId=${userId}:`, error.message);
+        return await ProviderProfile.findOne({ where: { userId }, attributes: ['id', 'userId'] });
+    }
+}
+
+/**
+ * Rank candidates and select providers for a service request
+ * @param {number} serviceRequestId - The service request ID
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Don't create provider profiles; keep excluded candidates in the ranking
+ * @param {number} options.strategyId - Use this strategy instead of the configured one
+ * @returns {Promise<Object>} { primary, alternatives, fallbacks, strategy, weights, ranking }
+ */
+async function routeRequest(serviceRequestId, { dryRun = false, strategyId = null } = {}) {
+    const serviceRequest = await ServiceRequest.findByPk(serviceRequestId, {
+        include: [
+            { model: Category, as: 'category', attributes: ['id', 'name'] },
+            { model: SubCategory, as: 'subCategory', attributes: ['id', 'name'], required: false }
+        ]
+    });
+
+    if (!serviceRequest) {
+        throw new Error('Service request not found');
+    }
+
+    const strategy = await getStrategyForRequest(serviceRequest, strategyId);
+    const selectStrategy = strategies[strategy.type] || strategies.score;
+    const weights = resolveWeights(strategy);
+    const maxDistanceMiles = strategy.maxDistanceMiles || DEFAULT_DISTANCE_MILES;
+
+    // Coordinates come from the zip code gazetteer; radius and polygon service areas need them
+    const requestCoords = await getCoordinatesFromZipCode(serviceRequest.zipCode || '').catch(() => null);
+
+    const businesses = await loadCandidateBusinesses(serviceRequest, requestCoords, strategy.maxDistanceMiles);
+    const selectedIds = Array.isArray(serviceRequest.selectedBusinessIds) ? serviceRequest.selectedBusinessIds : [];
+
+    const profiles = await Promise.all(businesses.map(async (business) => {
+        if (business.owner.id === serviceRequest.customerId) {
+            return null;
+        }
+        return dryRun
+            ? ProviderProfile.findOne({ where: { userId: business.owner.id }, attributes: ['id', 'userId'] })
+            : ensureProviderProfile(business.owner.id);
+    }));
+
+    const statsFor = await loadProviderStats(
+        [...new Set(businesses.map(b => b.owner.id))],
+        profiles.filter(Boolean).map(p => p.id),
+        serviceRequest.categoryId
+    );
+
+    const context = { serviceRequest, strategy, weights, maxDistanceMiles };
+
+    const candidates = await Promise.all(businesses.map(async (business, index) => {
+        const providerProfile = profiles[index];
+        const isSelected = selectedIds.includes(business.id);
+
+        // Distance is to the closest of the address and branches
+        const coverage = describeCoverage(business, { zipCode: serviceRequest.zipCode, coordinates: requestCoords });
+        const { distanceMiles } = coverage;
+
+        const candidate = {
+            business,
+            owner: business.owner,
+            providerProfile,
+            isSelected,
+            coverage,
+            distanceMiles,
+            stats: statsFor(business.owner.id, providerProfile ? providerProfile.id : null),
+            benefits: null,
+            isPriorityProvider: false,
+            excluded: null,
+            score: 0,
+            factors: []
+        };
+
+        // Safety check: never route a request to a business the customer owns
+        if (business.owner.id === serviceRequest.customerId) {
+            candidate.excluded = 'Owned by the customer who created the request';
+        } else if (!providerProfile && !dryRun) {
+            candidate.excluded = 'Owner has no provider profile';
+        } else if (!isSelected && coverage.hasServiceAreas && !coverage.inServiceArea) {
+            candidate.excluded = 'Outside the business\'s service area';
+        } else if (!isSelected && !coverage.hasServiceAreas && strategy.maxDistanceMiles &&
+            distanceMiles !== null && distanceMiles > strategy.maxDistanceMiles) {
+            candidate.excluded = `Outside ${strategy.maxDistanceMiles} mile radius`;
+        }
+
+        if (candidate.excluded) {
+            return candidate;
+        }
+
+        try {
+            candidate.benefits = await getSubscriptionBenefits(business.owner.id);
+            candidate.isPriorityProvider = !!candidate.benefits.hasActiveSubscription &&
+                (candidate.benefits.isFeatured === true || candidate.benefits.tier === 'PRO');
+        } catch (error) {
+            console.error(`[Routing] Error getting subscription benefits for user ${business.owner.id}:`, error.message);
+        }
+
+        Object.entries(factors).forEach(([name, factor]) => {
+            const { value, detail } = factor.compute(candidate, context);
+            const points = value * weights[name];
+            candidate.score += points;
+            candidate.factors.push({ name, label: factor.label, value, weight: weights[name], points, detail });
+        });
+
+        return candidate;
+    }));
+
+    const eligible = candidates.filter(c => !c.excluded);
+    const ranked = strategy.priorityProvidersFirst
+        ? [...eligible.filter(c => c.isPriorityProvider).sort(byRank), ...eligible.filter(c => !c.isPriorityProvider).sort(byRank)]
+        : [...eligible].sort(byRank);
+
+    const { primary, alternatives, fallbacks } = selectStrategy.select(ranked, strategy);
+
+    const ranking = [...ranked, ...candidates.filter(c => c.excluded)].map((candidate, index) => {
+        let role = 'not selected';
+        if (candidate.excluded) role = 'excluded';
+        else if (candidate === primary) role = 'primary';
+        else if (alternatives.includes(candidate)) role = 'alternative';
+        else if (fallbacks.includes(candidate)) role = 'fallback';
+        return { ...candidate, rank: candidate.excluded ? null : index + 1, role };
+    });
+
+    return {
+        serviceRequest,
+        strategy,
+        weights,
+        primary,
+        alternatives,
+        fallbacks,
+        ranking
+    };
+}
+
+/**
+ * Plain JSON view of a routing result for the admin dry-run screen
+ */
+function explainRouting(result) {
+    const { serviceRequest, strategy, weights, ranking } = result;
+    return {
+        serviceRequest: {
+            id: serviceRequest.id,
+            projectTitle: serviceRequest.projectTitle,
+            zipCode: serviceRequest.zipCode,
+            category: serviceRequest.category ? serviceRequest.category.name : null,
+            subCategory: serviceRequest.subCategory ? serviceRequest.subCategory.name : null
+        },
+        strategy: {
+            id: strategy.id,
+            name: strategy.name,
+            type: strategy.type,
+            typeLabel: (strategies[strategy.type] || strategies.score).label,
+            priorityProvidersFirst: strategy.priorityProvidersFirst
+        },
+        weights,
+        candidates: ranking.map(candidate => ({
+            rank: candidate.rank,
+            role: candidate.role,
+            businessId: candidate.business.id,
+            businessName: candidate.business.name,
+            ownerId: candidate.owner.id,
+            providerProfileId: candidate.providerProfile ? candidate.providerProfile.id : null,
+            score: Math.round(candidate.score * 100) / 100,
+            isPriorityProvider: candidate.isPriorityProvider,
+            excluded: candidate.excluded,
+            factors: candidate.factors.map(factor => ({
+                ...factor,
+                value: Math.round(factor.value * 1000) / 1000,
+                points: Math.round(factor.points * 100) / 100
+            }))
+        }))
+    };
+}
+
+function listFactors() {
+    return Object.entries(factors).map(([name, factor]) => ({
+        name,
+        label: factor.label,
+        defaultWeight: factor.defaultWeight
+    }));
+}
+
+function listStrategyTypes() {
+    return Object.entries(strategies).map(([type, strategy]) => ({ type, label: strategy.label }));
+}
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    registerFactor,
+    registerStrategy,
+    listFactors,
+    listStrategyTypes,
+    getStrategyForRequest,
+    routeRequest,
+    explainRouting
+};
@@ -0,0 +1,553 @@
+/**
+ * Search Index
+ *
+ * Business search runs on MySQL FULLTEXT indexes over search_documents (one row per
+ * business) rather than LIKE on the businesses table:
+ * - Text is lower-cased, split into words and stemmed, so "plumber", "plumbers" and
+ *   "plumbing" match each other. Documents store each word and its stem.
+ * - Query words that aren't in the vocabulary (search_terms) are corrected to the closest
+ *   known word within one or two edits, so "plumbr" still finds plumbers.
+ * - SYNONYM_GROUPS expand the query ("hvac" also searches "heating and cooling").
+ * - searchRankSql() weights name > category/tags/services > description > reviews, then
+ *   boosts by rating, review count, verification and distance from the searcher.
+ *
+ * Documents are kept fresh by the 'search.sync' job, which re-indexes businesses whose
+ * row, category or reviews changed after they were last indexed.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Business, Category, SubCategory, Review, SearchDocument, SearchTerm } = require('../models');
+const { distanceSql } = require('./geolocation');
+
+const MIN_WORD_LENGTH = 2;
+const MAX_WORD_LENGTH = 64;
+const MAX_QUERY_WORDS = 10;
+const REVIEW_SNIPPETS = 20;
+const MAX_REVIEW_TEXT = 20000;
+const SYNC_BATCH_SIZE = 200;
+const TYPO_CANDIDATES = 500;
+
+// Relative weight of a match in each column
+const WEIGHTS = { nameText: 3, keywordText: 2, contentText: 1, reviewText: 0.5 };
+
+// A business this many miles away ranks at half the score of one next door
+const DISTANCE_HALF_SCORE_MILES = 15;
+
+// Phrases that mean the same thing. A query containing any phrase also searches the others.
+const SYNONYM_GROUPS = [
+    ['hvac', 'heating and cooling', 'air conditioning', 'ac', 'furnace'],
+    ['electrician', 'electrical', 'wiring'],
+    ['handyman', 'home repair', 'odd jobs'],
+    ['maid', 'house cleaning', 'cleaning service', 'janitorial'],
+    ['landscaping', 'lawn care', 'yard work', 'gardening'],
+    ['movers', 'moving', 'relocation'],
+    ['mechanic', 'auto repair', 'car repair'],
+    ['exterminator', 'pest control'],
+    ['lawyer', 'attorney', 'legal services'],
+    ['dentist', 'dental'],
+    ['vet', 'veterinarian', 'animal hospital'],
+    ['doctor', 'physician', 'medical clinic'],
+    ['barber', 'hair salon', 'haircut'],
+    ['locksmith', 'lockout', 'key cutting'],
+    ['plumber', 'drain cleaning', 'pipe repair']
+];
+
+/**
+ * Split text into lower-case words without accents or punctuation
+ * @param {string} text - Any text
+ * @returns {string[]} Words
+ */
+function tokenize(text) {
+    if (!text) {
+        return [];
+    }
+    return String(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’]s\b/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length >= MIN_WORD_LENGTH && word.length <= MAX_WORD_LENGTH);
+}
+
+/**
+ * Light English stemmer - strips plurals and -ing/-er/-ed so related forms share a stem.
+ * It only has to be consistent between indexing and searching, not linguistically exact.
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+function stem(word) {
+    if (word.length <= 3 || /^\d+$/.test(word)) {
+        return word;
+    }
+
+    let result = word;
+    if (result.endsWith('ies') && result.length > 4) {
+        result = `${result.slice(0, -3)}y`;
+    } else if (result.endsWith('sses')) {
+        result = result.slice(0, -2);
+    } else if (result.endsWith('s') && !result.endsWith('ss') && !result.endsWith('us')) {
+        result = result.slice(0, -1);
+    }
+
+    for (const suffix of ['ing', 'er', 'ed']) {
+        if (result.endsWith(suffix) && result.length - suffix.length >= 4) {
+            result = result.slice(0, -suffix.length);
+            break;
+        }
+    }
+
+    if (result.endsWith('e') && result.length > 4) {
+        result = result.slice(0, -1);
+    }
+    return result;
+}
+
+// Each word followed by its stem when they differ, e.g. "plumbing plumb"
+const indexedText = (words) => words
+    .map(word => {
+        const wordStem = stem(word);
+        return wordStem === word ? word : `${word} ${wordStem}`;
+    })
+    .join(' ');
+
+// tags / services are JSON arrays of strings, but older rows may hold a comma list
+const textList = (value) => {
+    if (Array.isArray(value)) {
+        return value.filter(item => typeof item === 'string');
+    }
+    return typeof value === 'string' ? value.split(',') : [];
+};
+
+/**
+ * Build the indexed columns for a business
+ * @param {Object} business - Business with category and subcategory loaded
+ * @param {Object[]} reviews - Latest approved reviews (title, comment)
+ * @returns {Object} SearchDocument values
+ */
+function buildDocument(business, reviews) {
+    const nameWords = tokenize(business.name);
+    const keywordWords = [
+        ...tokenize(business.category && business.category.name),
+        ...tokenize(business.subcategory && business.subcategory.name),
+        ...textList(business.tags).flatMap(tokenize),
+        ...textList(business.services).flatMap(tokenize)
+    ];
+    const contentWords = tokenize(business.description);
+    const reviewWords = tokenize(
+        reviews.map(review => `${review.title || ''} ${review.comment || ''}`).join(' ')
+    );
+
+    // Reviews are left out of the vocabulary so customers' misspellings are never suggested
+    const terms = [...new Set([...nameWords, ...keywordWords, ...contentWords])]
+        .filter(word => word.length >= 3 && !/^\d+$/.test(word));
+
+    return {
+        nameText: indexedText(nameWords),
+        keywordText: indexedText(keywordWords),
+        contentText: indexedText(contentWords),
+        reviewText: indexedText(reviewWords).substring(0, MAX_REVIEW_TEXT),
+        terms
+    };
+}
+
+/**
+ * Keep search_terms counts in step with a document's words
+ * @param {string[]} previous - Words the document had before
+ * @param {string[]} next - Words it has now
+ * @param {Object} transaction - Sequelize transaction
+ */
+async function adjustTermCounts(previous, next, transaction) {
+    const before = new Set(previous);
+    const after = new Set(next);
+    const added = [...after].filter(term => !before.has(term));
+    const removed = [...before].filter(term => !after.has(term));
+
+    if (added.length > 0) {
+        await sequelize.query(
+            `INSERT INTO search_terms (term, documentCount, createdAt, updatedAt)
+             VALUES ${added.map(() => '(?, 1, NOW(), NOW())').join(', ')}
+             ON DUPLICATE KEY UPDATE documentCount = documentCount + 1, updatedAt = NOW()`,
+            { replacements: added, transaction }
+        );
+    }
+
+    if (removed.length > 0) {
+        await SearchTerm.update(
+            { documentCount: sequelize.literal('GREATEST(documentCount - 1, 0)') },
+            { where: { term: { [Op.in]: removed } }, transaction }
+        );
+    }
+}
+
+/**
+ * Drop a business from the index
+ * @param {number} businessId - Business ID
+ */
+async function removeFromIndex(businessId) {
+    const document = await SearchDocument.findOne({ where: { businessId } });
+    if (!document) {
+        return;
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+        await adjustTermCounts(document.terms || [], [], transaction);
+        await document.destroy({ transaction });
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * (Re)build the search document for one business
+ * @param {number} businessId - Business ID
+ * @returns {Promise<Object|null>} The document, or null if the business no longer exists
+ */
+async function indexBusiness(businessId) {
+    // Taken before reading so edits made while indexing are picked up by the next sync
+    const indexedAt = new Date();
+
+    const business = await Business.findByPk(businessId, {
+        attributes: ['id', 'name', 'description', 'tags', 'services'],
+        include: [
+            { model: Category, as: 'category', attributes: ['name'] },
+            { model: SubCategory, as: 'subcategory', attributes: ['name'] }
+        ]
+    });
+    if (!business) {
+        await removeFromIndex(businessId);
+        return null;
+    }
+
+    const reviews = await Review.findAll({
+        where: { businessId, isApproved: true },
+        attributes: ['title', 'comment'],
+        order: [['createdAt', 'DESC']],
+        limit: REVIEW_SNIPPETS
+    });
+
+    const values = buildDocument(business, reviews);
+    const existing = await SearchDocument.findOne({ where: { businessId } });
+
+    const transaction = await sequelize.transaction();
+    try {
+        let document;
+        if (existing) {
+            await adjustTermCounts(existing.terms || [], values.terms, transaction);
+            document = await existing.update({ ...values, indexedAt }, { transaction });
+        } else {
+            await adjustTermCounts([], values.terms, transaction);
+            document = await SearchDocument.create({ businessId, ...values, indexedAt }, { transaction });
+        }
+        await transaction.commit();
+        return document;
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Re-index businesses that changed since they were last indexed, and drop documents of
+ * deleted businesses. Runs as the 'search.sync' job.
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { indexed, removed }
+ */
+async function syncSearchIndex({ limit = SYNC_BATCH_SIZE } = {}) {
+    const stale = await sequelize.query(
+        `SELECT b.id FROM businesses b
+         LEFT JOIN search_documents d ON d.businessId = b.id
+         LEFT JOIN categories c ON c.id = b.categoryId
+         LEFT JOIN subcategories s ON s.id = b.subCategoryId
+         WHERE d.id IS NULL
+            OR b.updatedAt > d.indexedAt
+            OR c.updatedAt > d.indexedAt
+            OR s.updatedAt > d.indexedAt
+            OR EXISTS (SELECT 1 FROM reviews r WHERE r.businessId = b.id AND r.updatedAt > d.indexedAt)
+         ORDER BY b.id
+         LIMIT :limit`,
+        { replacements: { limit }, type: sequelize.QueryTypes.SELECT }
+    );
+
+    for (const row of stale) {
+        await indexBusiness(row.id);
+    }
+
+    const orphans = await sequelize.query(
+        `SELECT d.businessId FROM search_documents d
+         LEFT JOIN businesses b ON b.id = d.businessId
+         WHERE b.id IS NULL`,
+        { type: sequelize.QueryTypes.SELECT }
+    );
+
+    for (const row of orphans) {
+        await removeFromIndex(row.businessId);
+    }
+
+    return { indexed: stale.length, removed: orphans.length };
+}
+
+/**
+ * Rebuild the whole index and recount the vocabulary from scratch
+ * @returns {Promise<number>} Number of businesses indexed
+ */
+async function rebuildSearchIndex() {
+    await SearchDocument.destroy({ where: {}, truncate: true });
+    await SearchTerm.destroy({ where: {}, truncate: true });
+
+    const businesses = await Business.findAll({ attributes: ['id'], order: [['id', 'ASC']], raw: true });
+    for (const business of businesses) {
+        await indexBusiness(business.id);
+    }
+    return businesses.length;
+}
+
+/**
+ * Damerau-Levenshtein distance, giving up once it exceeds max
+ * @returns {number} Distance, or max + 1 if further than max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            next.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previousRow = row;
+        row = next;
+    }
+    return row[b.length];
+}
+
+const allowedEdits = (word) => (word.length >= 7 ? 2 : word.length >= 4 ? 1 : 0);
+
+/**
+ * Replace words the index has never seen with the closest known word
+ * @param {string[]} words - Query words
+ * @returns {Promise<string[]>} Words, corrected where a close match exists
+ */
+async function correctWords(words) {
+    const known = new Set((await SearchTerm.findAll({
+        where: { term: { [Op.in]: words }, documentCount: { [Op.gt]: 0 } },
+        attributes: ['term'],
+        raw: true
+    })).map(row => row.term));
+
+    const corrected = [];
+    for (const word of words) {
+        const maxEdits = allowedEdits(word);
+        if (known.has(word) || maxEdits === 0 || /^\d+$/.test(word)) {
+            corrected.push(word);
+            continue;
+        }
+
+        // Typos rarely change the first letter, which keeps the candidate list small
+        const candidates = await SearchTerm.findAll({
+            where: {
+                term: { [Op.like]: `${word[0]}%` },
+                documentCount: { [Op.gt]: 0 },
+                [Op.and]: [sequelize.where(
+                    sequelize.fn('CHAR_LENGTH', sequelize.col('term')),
+                    { [Op.between]: [word.length - maxEdits, word.length + maxEdits] }
+                )]
+            },
+            attributes: ['term', 'documentCount'],
+            order: [['documentCount', 'DESC']],
+            limit: TYPO_CANDIDATES,
+            raw: true
+        });
+
+        const wordStem = stem(word);
+        let best = null;
+        for (const candidate of candidates) {
+            // Another form of a known word ("plumbers" when only "plumber" is indexed)
+            if (stem(candidate.term) === wordStem) {
+                best = null;
+                break;
+            }
+            const distance = editDistance(word, candidate.term, maxEdits);
+            if (distance <= maxEdits && (!best || distance < best.distance)) {
+                best = { term: candidate.term, distance };
+            }
+        }
+        corrected.push(best ? best.term : word);
+    }
+    return corrected;
+}
+
+// True if phrase (array of words) appears in words as a consecutive run
+const containsPhrase = (words, phrase) => words.some((_, start) =>
+    phrase.every((part, offset) => words[start + offset] === part)
+);
+
+/**
+ * Words from every synonym group that one of the query's phrases belongs to
+ * @param {string[]} words - Query words
+ * @returns {string[]} Extra words to search for
+ */
+function expandSynonyms(words) {
+    const extra = new Set();
+    for (const group of SYNONYM_GROUPS) {
+        const phrases = group.map(tokenize);
+        if (phrases.some(phrase => phrase.length > 0 && containsPhrase(words, phrase))) {
+            phrases.flat().forEach(word => extra.add(word));
+        }
+    }
+    words.forEach(word => extra.delete(word));
+    return [...extra];
+}
+
+/**
+ * Turn a search box query into a FULLTEXT boolean-mode expression
+ * @param {string} q - Raw query
+ * @returns {Promise<Object|null>} { words, synonyms, correctedQuery, against } or null if the
+ *   query has no searchable words
+ */
+async function parseSearchQuery(q) {
+    const original = tokenize(q).slice(0, MAX_QUERY_WORDS);
+    if (original.length === 0) {
+        return null;
+    }
+
+    const words = await correctWords(original);
+    const synonyms = expandSynonyms(words);
+
+    // Synonyms, and words the user typed before correction (they may still appear in
+    // reviews), count for less than the query itself ("<" lowers a term's weight)
+    const terms = new Map();
+    words.forEach(word => terms.set(stem(word), ''));
+    [...original, ...synonyms].forEach(word => {
+        if (!terms.has(stem(word))) {
+            terms.set(stem(word), '<');
+        }
+    });
+
+    return {
+        words,
+        synonyms,
+        correctedQuery: words.some((word, i) => word !== original[i]) ? words.join(' ') : null,
+        against: [...terms.entries()].map(([term, operator]) => `${operator}${term}`).join(' ')
+    };
+}
+
+const matchSql = (column, against) =>
+    `MATCH(\`searchDocument\`.\`${column}\`) AGAINST(${sequelize.escape(against)} IN BOOLEAN MODE)`;
+
+/**
+ * WHERE condition: the business matches the query in any indexed column.
+ * Expects the SearchDocument include to use the alias 'searchDocument'.
+ * @param {string} against - From parseSearchQuery()
+ * @returns {string} SQL
+ */
+function searchMatchSql(against) {
+    return `(${Object.keys(WEIGHTS).map(column => matchSql(column, against)).join(' OR ')})`;
+}
+
+/**
+ * Ranking score: weighted text relevance x quality boost x distance decay
+ * @param {string} against - From parseSearchQuery()
+ * @param {Object|null} coordinates - Searcher's { lat, lng }, if known
+ * @returns {string} SQL
+ */
+function searchRankSql(against, coordinates = null) {
+    const relevance = Object.entries(WEIGHTS)
+        .map(([column, weight]) => `${weight} * ${matchSql(column, against)}`)
+        .join(' + ');
+
+    // Up to +40% for a 5-star average, +20% for ~100 reviews, +20% for verified businesses
+    const quality = `(1
+        + 0.4 * COALESCE(\`Business\`.\`ratingAverage\`, 0) / 5
+        + 0.2 * LEAST(LOG10(1 + COALESCE(\`Business\`.\`ratingCount\`, 0)) / 2, 1)
+        + IF(\`Business\`.\`isVerified\`, 0.2, 0))`;
+
+    let rank = `(${relevance}) * ${quality}`;
+    if (coordinates) {
+        // Businesses without coordinates rank as if they were fairly far away
+        rank += ` * COALESCE(1 / (1 + ${distanceSql(coordinates)} / ${DISTANCE_HALF_SCORE_MILES}), 0.3)`;
+    }
+    return rank;
+}
+
+/**
+ * Autocomplete for the search box: completes the last (partial) word from the vocabulary
+ * and finds businesses whose name matches everything typed so far
+ * @param {string} q - Partial query
+ * @returns {Promise<Object>} { completions: string[], businesses: Business[] }
+ */
+async function autocomplete(q, { completionLimit = 5, businessLimit = 8 } = {}) {
+    const words = tokenize(q).slice(0, MAX_QUERY_WORDS);
+    if (words.length === 0) {
+        return { completions: [], businesses: [] };
+    }
+
+    const prefix = words[words.length - 1];
+    const leading = words.slice(0, -1);
+
+    const terms = await SearchTerm.findAll({
+        where: {
+            term: { [Op.like]: `${prefix}%` },
+            documentCount: { [Op.gt]: 0 }
+        },
+        attributes: ['term'],
+        order: [['documentCount', 'DESC'], ['term', 'ASC']],
+        limit: completionLimit,
+        raw: true
+    });
+
+    // Every earlier word must match, the last one only as a prefix. Words shorter than
+    // MySQL's minimum token length are never indexed, so they can't be required.
+    const against = [
+        ...leading.filter(word => stem(word).length >= 3).map(word => `+${stem(word)}`),
+        `+${prefix}*`
+    ].join(' ');
+    const businesses = await Business.findAll({
+        where: {
+            isActive: true,
+            [Op.and]: [sequelize.literal(matchSql('nameText', against))]
+        },
+        include: [{ model: SearchDocument, as: 'searchDocument', attributes: [], required: true }],
+        attributes: ['id', 'name', 'slug', 'city', 'state'],
+        order: [
+            [sequelize.literal(matchSql('nameText', against)), 'DESC'],
+            ['ratingCount', 'DESC']
+        ],
+        limit: businessLimit
+    });
+
+    return {
+        completions: terms.map(row => [...leading, row.term].join(' ')),
+        businesses
+    };
+}
+
+module.exports = {
+    SYNONYM_GROUPS,
+    tokenize,
+    stem,
+    indexBusiness,
+    removeFromIndex,
+    syncSearchIndex,
+    rebuildSearchIndex,
+    parseSearchQuery,
+    searchMatchSql,
+    searchRankSql,
+    autocomplete
+};
@@ -15,6 +15,24 @@ const NotificationAudit = require('../models/NotificationAudit');
 const NotificationPreference = require('../models/NotificationPreference');
 const crypto = require('crypto');
 
+// Template fields that carry a live credential (e.g. a password reset link). They are sent
+// in the email but never written to the audit log.
+const SECRET_FIELDS = ['ResetLink', 'VerificationLink', 'VerificationCode', 'Token'];
+const REDACTED = '[redacted]';
+
+/**
+ * Copy of template data that is safe to store, with credential fields replaced
+ */
+function redactForAudit(data) {
+    const redacted = { ...data };
+    for (const field of SECRET_FIELDS) {
+        if (redacted[field]) {
+            redacted[field] = REDACTED;
+        }
+    }
+    return redacted;
+}
+
 /**
  * Get or create notification preferences for a user
  */
@@ -65,7 +83,8 @@ async function shouldSendNotification(userId, notificationType) {
         'proposal_accepted_provider': 'proposalAccepted',
         'work_completed': 'workCompleted',
         'review_request': 'reviewRequest',
-        'review_posted': 'reviewPosted'
+        'review_posted': 'reviewPosted',
+        'new_message': 'newMessage'
     };
 
     const preferenceKey = typeMap[notificationType];
@@ -215,7 +234,7 @@ async function sendNotification(options) {
             type,
             to,
             rendered.subject,
-            templateData
+            redactForAudit(templateData)
         );
 
         // Prepare email options
@@ -282,6 +301,10 @@ async function retryFailedNotification(auditId) {
     }
 
     const metadata = JSON.parse(auditRecord.metadata || '{}');
+    // The one-time link was not stored, so the email can't be rebuilt - the user has to request a new one
+    if (SECRET_FIELDS.some(field => metadata[field] === REDACTED)) {
+        return { success: false, error: 'This notification contained a one-time link and cannot be resent' };
+    }
     const rendered = renderTemplate(auditRecord.type, metadata);
 
     const emailOptions = {
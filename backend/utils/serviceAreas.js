@@ -0,0 +1,469 @@
+/**
+ * Service Areas
+ *
+ * A business can list extra branches (BusinessLocation) and declare where it takes
+ * work (BusinessServiceArea: a list of zip codes, a radius or a drawn polygon).
+ * - A business with service areas serves a place if any of its areas covers it; its
+ *   address and branches no longer decide.
+ * - A business without service areas serves places near its address or any branch.
+ * Distances are measured to the closest of the address and the branches.
+ *
+ * Used by business search (locationConditions / nearestDistanceSql) and lead routing
+ * (findServingBusinessIds / describeCoverage).
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, BusinessLocation, BusinessServiceArea } = require('../models');
+const {
+    MAX_RADIUS_MILES,
+    normalizeZipCode,
+    lookupZipCode,
+    nearestZipCode,
+    calculateDistance,
+    getBoundingBox,
+    parseLatLng,
+    distanceSql,
+    geoConditions
+} = require('./geolocation');
+
+const AREA_TYPES = ['zip_codes', 'radius', 'polygon'];
+const MAX_LOCATIONS = 25;
+const MAX_AREAS = 20;
+const MAX_AREA_ZIP_CODES = 500;
+const MAX_POLYGON_POINTS = 200;
+
+// Stand-in for "no distance" inside LEAST(); never a real distance in miles
+const NO_DISTANCE = 1000000;
+
+const HAS_SERVICE_AREA_SQL = 'EXISTS (SELECT 1 FROM business_service_areas AS bsa WHERE bsa.businessId = `Business`.`id`)';
+
+/**
+ * Ray-casting point-in-polygon test
+ * @param {{lat: number, lng: number}} point
+ * @param {Array} polygon - [[lat, lng], ...], not closed
+ * @returns {boolean}
+ */
+function pointInPolygon({ lat, lng }, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        const crosses = (latI > lat) !== (latJ > lat) &&
+            lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Whether one service area covers a place
+ * @param {Object} area - BusinessServiceArea (instance or plain object)
+ * @param {Object} point - { zipCode, coordinates: { lat, lng } | null }
+ * @returns {boolean}
+ */
+function areaCoversPoint(area, { zipCode, coordinates }) {
+    if (area.type === 'zip_codes') {
+        const code = normalizeZipCode(zipCode);
+        return !!code && Array.isArray(area.zipCodes) && area.zipCodes.includes(code);
+    }
+    if (!coordinates) {
+        return false;
+    }
+    if (area.type === 'radius') {
+        const distance = calculateDistance(
+            coordinates.lat,
+            coordinates.lng,
+            parseFloat(area.latitude),
+            parseFloat(area.longitude)
+        );
+        return distance <= parseFloat(area.radiusMiles);
+    }
+    if (area.type === 'polygon') {
+        return Array.isArray(area.polygon) && area.polygon.length >= 3 && pointInPolygon(coordinates, area.polygon);
+    }
+    return false;
+}
+
+/**
+ * Fill in whichever of zip code / coordinates is missing from the gazetteer, so zip
+ * code areas match coordinate searches and radius/polygon areas match zip searches
+ * @param {Object} point - { zipCode, coordinates }
+ * @returns {Promise<Object>} { zipCode, coordinates }
+ */
+async function resolvePoint({ zipCode = null, coordinates = null }) {
+    let code = normalizeZipCode(zipCode);
+    let coords = coordinates;
+
+    if (!coords && code) {
+        const entry = await lookupZipCode(code);
+        coords = entry && entry.lat !== null ? { lat: entry.lat, lng: entry.lng } : null;
+    }
+    if (!code && coords) {
+        code = await nearestZipCode(coords);
+    }
+    return { zipCode: code, coordinates: coords };
+}
+
+/**
+ * Ids of businesses with a service area covering a place
+ * @param {Object} point - { zipCode, coordinates }
+ * @returns {Promise<number[]>}
+ */
+async function findServingBusinessIds(point) {
+    const { zipCode, coordinates } = await resolvePoint(point);
+    const alternatives = [];
+
+    if (zipCode) {
+        alternatives.push({
+            [Op.and]: [
+                { type: 'zip_codes' },
+                sequelize.literal(`JSON_CONTAINS(\`BusinessServiceArea\`.\`zipCodes\`, ${sequelize.escape(JSON.stringify(zipCode))})`)
+            ]
+        });
+    }
+    if (coordinates) {
+        alternatives.push({
+            type: { [Op.in]: ['radius', 'polygon'] },
+            minLatitude: { [Op.lte]: coordinates.lat },
+            maxLatitude: { [Op.gte]: coordinates.lat },
+            minLongitude: { [Op.lte]: coordinates.lng },
+            maxLongitude: { [Op.gte]: coordinates.lng }
+        });
+    }
+    if (alternatives.length === 0) {
+        return [];
+    }
+
+    try {
+        const areas = await BusinessServiceArea.findAll({ where: { [Op.or]: alternatives } });
+        const ids = areas
+            .filter(area => areaCoversPoint(area, { zipCode, coordinates }))
+            .map(area => area.businessId);
+        return [...new Set(ids)];
+    } catch (error) {
+        // Table missing (migration not run yet) - match on addresses only
+        console.error('[ServiceAreas] Could not load service areas:', error.message);
+        return [];
+    }
+}
+
+/**
+ * SQL: the business has a branch within the radius of the center, or in the zip code
+ * @param {Object} geo - { center, radiusMiles, zipCode }
+ * @returns {string|null} SQL, or null if there is nothing to match on
+ */
+function branchNearSql({ center, radiusMiles, zipCode }) {
+    const matches = [];
+    if (center && radiusMiles) {
+        const box = getBoundingBox(center.lat, center.lng, radiusMiles);
+        matches.push(`(bl.latitude BETWEEN ${box.minLat} AND ${box.maxLat}
+            AND bl.longitude BETWEEN ${box.minLng} AND ${box.maxLng}
+            AND ${distanceSql(center, 'bl')} <= ${radiusMiles})`);
+    }
+    if (zipCode) {
+        matches.push(`bl.zipCode = ${sequelize.escape(zipCode)}`);
+    }
+    if (matches.length === 0) {
+        return null;
+    }
+    return `EXISTS (SELECT 1 FROM business_locations AS bl WHERE bl.businessId = \`Business\`.\`id\` AND (${matches.join(' OR ')}))`;
+}
+
+/**
+ * SQL for the distance in miles from a point to the closest of the business's
+ * address and branches; NULL when none of them has coordinates
+ * @param {{lat: number, lng: number}} center - Validated coordinates
+ * @returns {string} SQL
+ */
+function nearestDistanceSql(center) {
+    const branchDistance = `(SELECT MIN(${distanceSql(center, 'bl')}) FROM business_locations AS bl WHERE bl.businessId = \`Business\`.\`id\`)`;
+    return `NULLIF(LEAST(COALESCE(${distanceSql(center)}, ${NO_DISTANCE}), COALESCE(${branchDistance}, ${NO_DISTANCE})), ${NO_DISTANCE})`;
+}
+
+/**
+ * Business where conditions for a parsed geo query (see parseGeoQuery), to be combined
+ * with Op.and. Like geoConditions(), but a radius or zip code search matches service
+ * areas and branches as well as the address. Map bounds still use the address.
+ * @param {Object} geo - From parseGeoQuery()
+ * @returns {Promise<Array>} Sequelize conditions
+ */
+async function locationConditions(geo) {
+    const boundsConditions = geo.bounds
+        ? geoConditions({ center: null, radiusMiles: null, zipCode: null, bounds: geo.bounds })
+        : [];
+    const searchesNear = (geo.center && geo.radiusMiles) || geo.zipCode;
+    if (!searchesNear) {
+        return boundsConditions;
+    }
+
+    const nearAddress = geoConditions({ ...geo, bounds: null });
+    const branchSql = branchNearSql({
+        center: geo.center && geo.radiusMiles ? geo.center : null,
+        radiusMiles: geo.radiusMiles,
+        zipCode: geo.zipCode
+    });
+    if (branchSql) {
+        nearAddress.push(sequelize.literal(branchSql));
+    }
+
+    const alternatives = [{
+        [Op.and]: [
+            sequelize.literal(`NOT ${HAS_SERVICE_AREA_SQL}`),
+            { [Op.or]: nearAddress }
+        ]
+    }];
+    const servingIds = await findServingBusinessIds({ zipCode: geo.zipCode, coordinates: geo.center });
+    if (servingIds.length > 0) {
+        alternatives.push({ id: { [Op.in]: servingIds } });
+    }
+
+    return [{ [Op.or]: alternatives }, ...boundsConditions];
+}
+
+/**
+ * How a business relates to a place, for lead routing. Expects the business to be
+ * loaded with its 'locations' and 'serviceAreas'.
+ * @param {Object} business - Business instance
+ * @param {Object} point - { zipCode, coordinates }
+ * @returns {Object} { hasServiceAreas, inServiceArea, zipMatch, distanceMiles }
+ */
+function describeCoverage(business, { zipCode, coordinates }) {
+    const areas = business.serviceAreas || [];
+    const places = [business, ...(business.locations || [])];
+
+    let distanceMiles = null;
+    if (places.some(place => place.zipCode && place.zipCode === zipCode)) {
+        distanceMiles = 0;
+    } else if (coordinates) {
+        places.forEach(place => {
+            if (!place.latitude || !place.longitude) return;
+            const distance = calculateDistance(
+                coordinates.lat,
+                coordinates.lng,
+                parseFloat(place.latitude),
+                parseFloat(place.longitude)
+            );
+            if (distanceMiles === null || distance < distanceMiles) {
+                distanceMiles = distance;
+            }
+        });
+    }
+
+    return {
+        hasServiceAreas: areas.length > 0,
+        inServiceArea: areas.some(area => areaCoversPoint(area, { zipCode, coordinates })),
+        zipMatch: places.some(place => place.zipCode && place.zipCode === zipCode),
+        distanceMiles
+    };
+}
+
+/**
+ * Validate the branch list from the owner dashboard. Coordinates (and a missing city
+ * or state) are filled from the zip code gazetteer.
+ * @param {Array} locations - Request body list
+ * @returns {Promise<Object>} { values } or { error }
+ */
+async function validateLocationsInput(locations) {
+    if (!Array.isArray(locations)) {
+        return { error: 'locations must be a list' };
+    }
+    if (locations.length > MAX_LOCATIONS) {
+        return { error: `A business can list at most ${MAX_LOCATIONS} extra locations` };
+    }
+
+    const values = [];
+    for (const [index, location] of locations.entries()) {
+        const position = `Location ${index + 1}`;
+        const zipCode = normalizeZipCode(location.zipCode);
+        if (!zipCode) {
+            return { error: `${position}: a valid 5-digit zip code is required` };
+        }
+
+        const entry = await lookupZipCode(zipCode);
+        const city = String(location.city || (entry ? entry.city : '')).trim();
+        const state = String(location.state || (entry ? entry.state : '')).trim().toUpperCase();
+        if (!city || !state) {
+            return { error: `${position}: city and state are required` };
+        }
+
+        let coordinates = null;
+        if (location.latitude !== undefined && location.latitude !== null && location.latitude !== '') {
+            coordinates = parseLatLng(location.latitude, location.longitude);
+            if (!coordinates) {
+                return { error: `${position}: invalid latitude/longitude` };
+            }
+        } else if (entry && entry.lat !== null) {
+            coordinates = { lat: entry.lat, lng: entry.lng };
+        }
+
+        values.push({
+            label: String(location.label || '').trim().substring(0, 100) || null,
+            address: String(location.address || '').trim().substring(0, 255) || null,
+            city: city.substring(0, 100),
+            state: state.substring(0, 50),
+            zipCode,
+            phone: String(location.phone || '').trim().substring(0, 20) || null,
+            latitude: coordinates ? coordinates.lat : null,
+            longitude: coordinates ? coordinates.lng : null
+        });
+    }
+
+    return { values };
+}
+
+const parsePolygonPoint = (point) => {
+    if (Array.isArray(point)) {
+        return parseLatLng(point[0], point[1]);
+    }
+    return point ? parseLatLng(point.lat, point.lng) : null;
+};
+
+/**
+ * Validate the service area list from the owner dashboard
+ * @param {Array} areas - Request body list
+ * @returns {Object} { values } or { error }
+ */
+function validateServiceAreasInput(areas) {
+    if (!Array.isArray(areas)) {
+        return { error: 'serviceAreas must be a list' };
+    }
+    if (areas.length > MAX_AREAS) {
+        return { error: `A business can have at most ${MAX_AREAS} service areas` };
+    }
+
+    const values = [];
+    for (const [index, area] of areas.entries()) {
+        const position = `Service area ${index + 1}`;
+        if (!AREA_TYPES.includes(area.type)) {
+            return { error: `${position}: type must be one of ${AREA_TYPES.join(', ')}` };
+        }
+
+        const value = {
+            type: area.type,
+            name: String(area.name || '').trim().substring(0, 100) || null,
+            zipCodes: null,
+            latitude: null,
+            longitude: null,
+            radiusMiles: null,
+            polygon: null,
+            minLatitude: null,
+            maxLatitude: null,
+            minLongitude: null,
+            maxLongitude: null
+        };
+
+        if (area.type === 'zip_codes') {
+            const raw = Array.isArray(area.zipCodes) ? area.zipCodes : String(area.zipCodes || '').split(/[\s,;]+/);
+            const entered = raw.map(zip => String(zip).trim()).filter(Boolean);
+            const invalid = entered.filter(zip => !normalizeZipCode(zip));
+            if (invalid.length > 0) {
+                return { error: `${position}: invalid zip codes: ${invalid.slice(0, 5).join(', ')}` };
+            }
+            const zipCodes = [...new Set(entered.map(normalizeZipCode))];
+            if (zipCodes.length === 0 || zipCodes.length > MAX_AREA_ZIP_CODES) {
+                return { error: `${position}: list between 1 and ${MAX_AREA_ZIP_CODES} zip codes` };
+            }
+            value.zipCodes = zipCodes;
+        } else if (area.type === 'radius') {
+            const center = parseLatLng(area.latitude, area.longitude);
+            const radiusMiles = parseFloat(area.radiusMiles);
+            if (!center) {
+                return { error: `${position}: a center point is required` };
+            }
+            if (!Number.isFinite(radiusMiles) || radiusMiles <= 0 || radiusMiles > MAX_RADIUS_MILES) {
+                return { error: `${position}: radius must be between 0 and ${MAX_RADIUS_MILES} miles` };
+            }
+            const box = getBoundingBox(center.lat, center.lng, radiusMiles);
+            Object.assign(value, {
+                latitude: center.lat,
+                longitude: center.lng,
+                radiusMiles,
+                minLatitude: box.minLat,
+                maxLatitude: box.maxLat,
+                minLongitude: box.minLng,
+                maxLongitude: box.maxLng
+            });
+        } else {
+            const points = Array.isArray(area.polygon) ? area.polygon.map(parsePolygonPoint) : [];
+            if (points.some(point => !point)) {
+                return { error: `${position}: invalid polygon point` };
+            }
+            // Drop the closing point if the polygon was sent closed
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (points.length > 1 && first.lat === last.lat && first.lng === last.lng) {
+                points.pop();
+            }
+            if (points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+                return { error: `${position}: a polygon needs between 3 and ${MAX_POLYGON_POINTS} points` };
+            }
+            const lats = points.map(point => point.lat);
+            const lngs = points.map(point => point.lng);
+            Object.assign(value, {
+                polygon: points.map(point => [point.lat, point.lng]),
+                minLatitude: Math.min(...lats),
+                maxLatitude: Math.max(...lats),
+                minLongitude: Math.min(...lngs),
+                maxLongitude: Math.max(...lngs)
+            });
+        }
+
+        values.push(value);
+    }
+
+    return { values };
+}
+
+/**
+ * Replace a business's branches and/or service areas in one transaction
+ * @param {number} businessId
+ * @param {Object} changes - { locations, serviceAreas } (validated values; omit to keep)
+ * @returns {Promise<Object>} { locations, serviceAreas }
+ */
+async function replaceBusinessAreas(businessId, { locations, serviceAreas }) {
+    const transaction = await sequelize.transaction();
+    try {
+        if (locations) {
+            await BusinessLocation.destroy({ where: { businessId }, transaction });
+            await BusinessLocation.bulkCreate(locations.map(location => ({ ...location, businessId })), { transaction });
+        }
+        if (serviceAreas) {
+            await BusinessServiceArea.destroy({ where: { businessId }, transaction });
+            await BusinessServiceArea.bulkCreate(serviceAreas.map(area => ({ ...area, businessId })), { transaction });
+        }
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    return getBusinessAreas(businessId);
+}
+
+/**
+ * A business's branches and service areas
+ * @param {number} businessId
+ * @returns {Promise<Object>} { locations, serviceAreas }
+ */
+async function getBusinessAreas(businessId) {
+    const [locations, serviceAreas] = await Promise.all([
+        BusinessLocation.findAll({ where: { businessId }, order: [['id', 'ASC']] }),
+        BusinessServiceArea.findAll({ where: { businessId }, order: [['id', 'ASC']] })
+    ]);
+    return { locations, serviceAreas };
+}
+
+module.exports = {
+    AREA_TYPES,
+    pointInPolygon,
+    areaCoversPoint,
+    findServingBusinessIds,
+    branchNearSql,
+    nearestDistanceSql,
+    locationConditions,
+    describeCoverage,
+    validateLocationsInput,
+    validateServiceAreasInput,
+    replaceBusinessAreas,
+    getBusinessAreas
+};
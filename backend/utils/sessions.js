@@ -0,0 +1,226 @@
+/**
+ * Session Management
+ *
+ * Every login creates a Session row holding the hash of a refresh token.
+ * - Access tokens (JWT) are short-lived and carry the session id
+ * - Refresh tokens rotate on every use; reusing an old one revokes the session
+ * - Revoking a session (logout, log out all devices, admin action) takes effect
+ *   on the next request because the auth middleware checks the session row
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Session, User } = require('../models');
+const generateToken = require('./generateToken');
+const { disconnectUser } = require('./realtime');
+
+const REFRESH_COOKIE_NAME = 'refreshToken';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiryDate = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const requestMeta = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').substring(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * Start a new session for a user
+ * @param {object} user - User instance
+ * @param {object} req - Express request (for user agent / IP)
+ * @returns {Promise<object>} { token, refreshToken, session }
+ */
+async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiryDate(),
+    lastUsedAt: new Date(),
+    ...requestMeta(req)
+  });
+
+  return {
+    token: generateToken(user.id, session.id),
+    refreshToken,
+    session
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * @param {string} refreshToken - Raw refresh token from cookie or body
+ * @param {object} req - Express request
+ * @returns {Promise<object>} { success, token, refreshToken, session } or { success: false, error, code }.
+ *   refreshToken is null when a concurrent refresh already rotated it.
+ */
+async function rotateSession(refreshToken, req) {
+  if (!refreshToken) {
+    return { success: false, error: 'Refresh token is required', code: 'NO_REFRESH_TOKEN' };
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ where: { refreshTokenHash: tokenHash } });
+
+  if (!session) {
+    const reused = await Session.findOne({ where: { previousTokenHash: tokenHash } });
+
+    // Two tabs refreshing at once both send the same cookie - the loser of the race
+    // gets an access token but no new refresh token (the browser already holds it)
+    if (reused && reused.isActive() && Date.now() - new Date(reused.lastUsedAt).getTime() < ROTATION_GRACE_MS) {
+      return {
+        success: true,
+        token: generateToken(reused.userId, reused.id),
+        refreshToken: null,
+        session: reused
+      };
+    }
+
+    // An already-rotated token being replayed: whoever holds the newer token may be an attacker
+    if (reused && !reused.revokedAt) {
+      await reused.update({ revokedAt: new Date(), revokedReason: 'token_reuse' });
+      console.warn(`⚠️  Refresh token reuse detected for session ${reused.id} (user ${reused.userId}) - session revoked`);
+    }
+    return { success: false, error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  if (!session.isActive()) {
+    return { success: false, error: 'Session has expired or was revoked', code: 'SESSION_REVOKED' };
+  }
+
+  const user = await User.findByPk(session.userId, {
+    attributes: { exclude: ['password'] }
+  });
+  if (!user || !user.isActive) {
+    await session.update({ revokedAt: new Date(), revokedReason: 'user_inactive' });
+    return { success: false, error: 'User account is deactivated', code: 'ACCOUNT_DEACTIVATED' };
+  }
+
+  const nextRefreshToken = newRefreshToken();
+  await session.update({
+    previousTokenHash: tokenHash,
+    refreshTokenHash: hashToken(nextRefreshToken),
+    expiresAt: refreshExpiryDate(),
+    lastUsedAt: new Date(),
+    ...requestMeta(req)
+  });
+
+  return {
+    success: true,
+    token: generateToken(user.id, session.id),
+    refreshToken: nextRefreshToken,
+    session
+  };
+}
+
+/**
+ * Revoke a single session
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+  const result = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+
+  // Close any live notification streams opened with this session's tokens
+  const session = await Session.findByPk(sessionId, { attributes: ['id', 'userId'] });
+  if (session) {
+    disconnectUser(session.userId, session.id);
+  }
+
+  return result;
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout with an expired access token)
+ */
+async function revokeSessionByRefreshToken(refreshToken, reason = 'logout') {
+  if (!refreshToken) {
+    return [0];
+  }
+  return await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null } }
+  );
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {number} userId - User ID
+ * @param {object} options
+ * @param {string} options.reason - Stored on the session rows
+ * @param {number} options.exceptSessionId - Keep this session (e.g. the caller's own)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId, { reason = 'logout_all', exceptSessionId = null } = {}) {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where }
+  );
+
+  if (!exceptSessionId) {
+    disconnectUser(userId);
+  }
+  return count;
+}
+
+/**
+ * Get active sessions for a user (for the "signed-in devices" list)
+ */
+async function getActiveSessions(userId) {
+  return await Session.findAll({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    attributes: ['id', 'userAgent', 'ipAddress', 'lastUsedAt', 'createdAt', 'expiresAt'],
+    order: [['lastUsedAt', 'DESC']]
+  });
+}
+
+function setRefreshCookie(res, refreshToken) {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production' && process.env.USE_HTTPS === 'true',
+    sameSite: 'lax',
+    path: '/api/auth',
+    expires: refreshExpiryDate()
+  });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE_NAME, { path: '/api/auth' });
+}
+
+/**
+ * Create a session and attach the refresh cookie - used by every login path
+ * @returns {Promise<string>} Access token to return in the response body
+ */
+async function startSession(res, user, req) {
+  const { token, refreshToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken);
+  return token;
+}
+
+module.exports = {
+  REFRESH_COOKIE_NAME,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  getActiveSessions,
+  setRefreshCookie,
+  clearRefreshCookie,
+  startSession
+};
@@ -0,0 +1,870 @@
+/**
+ * Subscription Billing
+ *
+ * Recurring billing for provider subscription plans (BASIC / PRO / PREMIUM):
+ * - Every charge is a SubscriptionInvoice: the first payment, each renewal and each plan change
+ * - The card used at checkout is saved, and renewals charge it off-session when the period
+ *   ends (subscriptions.sweep job in utils/jobHandlers.js)
+ * - A failed renewal makes the subscription PAST_DUE. It keeps its benefits for the grace
+ *   period while the charge is retried, and every failure sends a dunning email. Still unpaid
+ *   when the grace period ends -> EXPIRED
+ * - Plan changes are prorated over what is left of the current period: upgrades are charged
+ *   straight away, downgrades leave a credit that comes off the next invoice
+ * - Cancelling keeps the plan until the end of the period that was paid for
+ *
+ * The payment processor is reached through utils/billingProviders.js.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { formatCurrency } = require('../config/platformFee');
+const { UserSubscription, SubscriptionPlan, SubscriptionInvoice, User } = require('../models');
+const { getBillingProvider } = require('./billingProviders');
+const { enqueueJob } = require('./jobQueue');
+const createNotification = require('./createNotification');
+const sendEmail = require('./sendEmail');
+const logActivity = require('./logActivity');
+const { renderTemplate } = require('./emailTemplates');
+const { postSubscriptionPayment } = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_PERIOD_DAYS) || 7;
+// Days to wait after the 1st, 2nd, 3rd... failed renewal charge before trying again
+const RETRY_AFTER_DAYS = [1, 2, 3];
+
+const PLAN_ATTRIBUTES = ['id', 'name', 'tier', 'price', 'billingCycle'];
+const SUBSCRIPTIONS_PATH = '/user-dashboard/subscriptions';
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const subscriptionsLink = () => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${SUBSCRIPTIONS_PATH}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+});
+
+function findSubscription(userId, options = {}) {
+    return UserSubscription.findOne({
+        where: { userId },
+        include: [{ model: SubscriptionPlan, as: 'plan', attributes: PLAN_ATTRIBUTES }],
+        ...options
+    });
+}
+
+/**
+ * End of a billing period. Months are calendar months, clamped to the last day
+ * (Jan 31 -> Feb 28)
+ * @param {Date} date - Period start
+ * @param {string} billingCycle - MONTHLY or YEARLY
+ * @returns {Date}
+ */
+function addBillingPeriod(date, billingCycle) {
+    const start = new Date(date);
+    const end = new Date(start);
+    end.setUTCDate(1);
+    end.setUTCMonth(end.getUTCMonth() + (billingCycle === 'YEARLY' ? 12 : 1));
+    const lastDay = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0)).getUTCDate();
+    end.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+    return end;
+}
+
+/**
+ * Price a switch to another plan. While a paid period is running, the unused part of
+ * the current plan is credited; on the same billing cycle the new plan is charged only
+ * for the rest of the period, otherwise a new period starts now.
+ * @param {Object|null} subscription - UserSubscription with plan
+ * @param {Object} plan - SubscriptionPlan to switch to
+ * @param {Date} now
+ * @returns {Object} { subtotal, unusedCredit, creditApplied, amountDue, creditBalance, periodStart, periodEnd, prorated }
+ */
+function quotePlanChange(subscription, plan, now = new Date()) {
+    const currentPlan = subscription ? subscription.plan : null;
+    const balance = subscription ? toCents(subscription.creditBalance) : 0;
+    const newPrice = toCents(plan.price);
+
+    let charge = newPrice;
+    let unused = 0;
+    let periodStart = now;
+    let periodEnd = addBillingPeriod(now, plan.billingCycle);
+
+    const running = !!(subscription && currentPlan &&
+        subscription.status === 'ACTIVE' &&
+        subscription.currentPeriodStart && subscription.currentPeriodEnd &&
+        new Date(subscription.currentPeriodEnd) > now);
+
+    if (running) {
+        const start = new Date(subscription.currentPeriodStart).getTime();
+        const end = new Date(subscription.currentPeriodEnd).getTime();
+        const remaining = end > start ? Math.min(Math.max((end - now.getTime()) / (end - start), 0), 1) : 0;
+
+        unused = Math.round(toCents(currentPlan.price) * remaining);
+        if (currentPlan.billingCycle === plan.billingCycle) {
+            charge = Math.round(newPrice * remaining);
+            periodStart = new Date(subscription.currentPeriodStart);
+            periodEnd = new Date(subscription.currentPeriodEnd);
+        }
+    }
+
+    const available = unused + balance;
+    const creditApplied = Math.min(charge, available);
+
+    return {
+        subtotal: fromCents(charge),
+        unusedCredit: fromCents(unused),
+        creditApplied: fromCents(creditApplied),
+        amountDue: fromCents(charge - creditApplied),
+        creditBalance: fromCents(available - creditApplied),
+        periodStart,
+        periodEnd,
+        prorated: running
+    };
+}
+
+function invoiceMetadata(invoice, extra = {}) {
+    return {
+        type: 'subscription_invoice',
+        invoiceId: String(invoice.id),
+        userId: String(invoice.userId),
+        subscriptionPlanId: String(invoice.subscriptionPlanId),
+        reason: invoice.reason,
+        ...extra
+    };
+}
+
+function newInvoiceKey(reason, userId) {
+    return `${reason}:${userId}:${Date.now()}:${crypto.randomBytes(4).toString('hex')}`;
+}
+
+async function createInvoice({ subscription, userId, plan, reason, quote, idempotencyKey }) {
+    const [invoice] = await SubscriptionInvoice.findOrCreate({
+        where: { idempotencyKey },
+        defaults: {
+            userSubscriptionId: subscription ? subscription.id : null,
+            userId,
+            subscriptionPlanId: plan.id,
+            reason,
+            status: 'open',
+            subtotal: quote.subtotal,
+            creditApplied: quote.creditApplied,
+            amount: quote.amountDue,
+            periodStart: quote.periodStart,
+            periodEnd: quote.periodEnd,
+            idempotencyKey,
+            metadata: {
+                planName: plan.name,
+                unusedCredit: quote.unusedCredit || 0,
+                fromPlanId: subscription ? subscription.subscriptionPlanId : null
+            }
+        }
+    });
+    return invoice;
+}
+
+// Checkout invoices the customer never paid are replaced by the next one
+function voidOpenCheckouts(userId) {
+    return SubscriptionInvoice.update(
+        { status: 'void' },
+        { where: { userId, status: 'open', reason: { [Op.ne]: 'renewal' } } }
+    );
+}
+
+async function notifyUser(userId, { template, data, notification }) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'name', 'firstName', 'lastName', 'email'] });
+    if (!user) return;
+
+    if (user.email && template) {
+        const rendered = renderTemplate(template, {
+            UserName: user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : user.name,
+            BillingLink: subscriptionsLink(),
+            ...data
+        });
+        sendEmail({
+            to: user.email,
+            subject: rendered.subject,
+            html: rendered.html,
+            text: rendered.text
+        }).catch(err => console.error(`[Subscription Billing] Failed to send ${template} email (non-critical):`, err.message));
+    }
+
+    if (notification) {
+        await createNotification({ userId, link: SUBSCRIPTIONS_PATH, ...notification });
+    }
+}
+
+/**
+ * Mark an invoice paid and apply it to the subscription (idempotent - the checkout
+ * route and the payment webhook can both report the same payment)
+ * @param {number} invoiceId - SubscriptionInvoice ID
+ * @param {Object|null} payment - Provider payment, used to save the card for renewals
+ * @returns {Promise<Object>} { invoice, subscription, alreadyPaid }
+ */
+async function applyPaidInvoice(invoiceId, payment = null) {
+    let invoice;
+    let subscription;
+    let wasPastDue = false;
+
+    const transaction = await sequelize.transaction();
+    try {
+        invoice = await SubscriptionInvoice.findByPk(invoiceId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!invoice) {
+            throw new Error(`Subscription invoice ${invoiceId} not found`);
+        }
+        if (invoice.status === 'paid') {
+            await transaction.commit();
+            return { invoice, subscription: await findSubscription(invoice.userId), alreadyPaid: true };
+        }
+
+        subscription = await UserSubscription.findOne({
+            where: { userId: invoice.userId },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        wasPastDue = !!subscription && subscription.status === 'PAST_DUE';
+
+        const unusedCredit = toCents(invoice.metadata && invoice.metadata.unusedCredit);
+        const creditBalance = Math.max((subscription ? toCents(subscription.creditBalance) : 0) + unusedCredit - toCents(invoice.creditApplied), 0);
+
+        const values = {
+            subscriptionPlanId: invoice.subscriptionPlanId,
+            status: 'ACTIVE',
+            currentPeriodStart: invoice.periodStart,
+            currentPeriodEnd: invoice.periodEnd,
+            creditBalance: fromCents(creditBalance),
+            failedPaymentCount: 0,
+            nextPaymentAttemptAt: null,
+            graceEndsAt: null
+        };
+        if (invoice.reason !== 'renewal') {
+            values.cancelAtPeriodEnd = false;
+            values.cancelledAt = null;
+        }
+        if (payment && payment.paymentMethodId) {
+            values.paymentMethodId = payment.paymentMethodId;
+        }
+        if (payment && payment.customerId) {
+            values.billingCustomerId = payment.customerId;
+        }
+
+        if (subscription) {
+            await subscription.update(values, { transaction });
+        } else {
+            subscription = await UserSubscription.create({ userId: invoice.userId, ...values }, { transaction });
+        }
+
+        await invoice.update({
+            status: 'paid',
+            paidAt: new Date(),
+            paymentId: payment ? payment.id : invoice.paymentId,
+            userSubscriptionId: subscription.id,
+            lastError: null
+        }, { transaction });
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    await postSubscriptionPayment(invoice);
+
+    const plan = await SubscriptionPlan.findByPk(invoice.subscriptionPlanId, { attributes: PLAN_ATTRIBUTES });
+    const planName = plan ? plan.name : 'your plan';
+    const headings = {
+        subscribe: 'Subscription Activated',
+        renewal: wasPastDue ? 'Payment Received' : 'Subscription Renewed',
+        plan_change: 'Plan Changed'
+    };
+
+    await notifyUser(invoice.userId, {
+        template: 'subscription_receipt',
+        data: {
+            Heading: headings[invoice.reason],
+            PlanName: planName,
+            AmountPaid: formatCurrency(invoice.amount),
+            CreditApplied: toCents(invoice.creditApplied) > 0 ? formatCurrency(invoice.creditApplied) : null,
+            PeriodEnd: formatDate(invoice.periodEnd),
+            BillingCycle: plan && plan.billingCycle === 'YEARLY' ? 'year' : 'month'
+        },
+        notification: {
+            type: invoice.reason === 'renewal' ? 'subscription_renewed' : 'subscription_activated',
+            title: `${headings[invoice.reason]}: ${planName}`,
+            message: `Paid ${formatCurrency(invoice.amount)}. Your plan renews on ${formatDate(invoice.periodEnd)}.`,
+            metadata: { invoiceId: invoice.id }
+        }
+    });
+
+    await logActivity({
+        type: invoice.reason === 'plan_change' ? 'subscription_plan_changed' : invoice.reason === 'renewal' ? 'subscription_renewed' : 'subscription_activated',
+        description: `${headings[invoice.reason]} - ${planName} (${formatCurrency(invoice.amount)})`,
+        userId: invoice.userId,
+        metadata: {
+            subscriptionId: subscription.id,
+            subscriptionPlanId: invoice.subscriptionPlanId,
+            invoiceId: invoice.id,
+            paymentId: invoice.paymentId
+        }
+    });
+
+    return { invoice, subscription, alreadyPaid: false };
+}
+
+/**
+ * Record a failed payment for an invoice. Renewals charged off-session go into dunning:
+ * PAST_DUE, a retry is scheduled inside the grace period and the customer is emailed.
+ * Checkout payments just keep the error - the customer retries in the browser.
+ * @param {number} invoiceId - SubscriptionInvoice ID
+ * @param {Object} payment - Provider payment ({ id, error, metadata })
+ * @returns {Promise<Object|null>} { invoice, subscription }
+ */
+async function recordFailedPayment(invoiceId, payment) {
+    const invoice = await SubscriptionInvoice.findByPk(invoiceId);
+    if (!invoice || invoice.status !== 'open') {
+        return null;
+    }
+    // A late report about an earlier attempt
+    if (payment.id && invoice.paymentId && payment.id !== invoice.paymentId) {
+        return null;
+    }
+
+    const error = payment.error || 'Payment failed';
+    const offSession = payment.metadata && payment.metadata.offSession === 'true';
+
+    if (invoice.reason !== 'renewal' || !offSession) {
+        await invoice.update({ lastError: error });
+        return { invoice };
+    }
+
+    const subscription = await UserSubscription.findByPk(invoice.userSubscriptionId, {
+        include: [{ model: SubscriptionPlan, as: 'plan', attributes: PLAN_ATTRIBUTES }]
+    });
+    if (!subscription || !['ACTIVE', 'PAST_DUE'].includes(subscription.status)) {
+        await invoice.update({ status: 'void', lastError: error });
+        return { invoice, subscription };
+    }
+    // The charge result and the payment webhook both report the same attempt
+    if (subscription.failedPaymentCount >= invoice.attemptCount) {
+        return { invoice, subscription };
+    }
+
+    const now = new Date();
+    const failedPaymentCount = subscription.failedPaymentCount + 1;
+    const graceEndsAt = subscription.graceEndsAt
+        ? new Date(subscription.graceEndsAt)
+        : new Date(now.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+    const retryAfterDays = RETRY_AFTER_DAYS[failedPaymentCount - 1];
+    let nextPaymentAttemptAt = retryAfterDays ? new Date(now.getTime() + retryAfterDays * DAY_MS) : null;
+    if (nextPaymentAttemptAt && nextPaymentAttemptAt >= graceEndsAt) {
+        nextPaymentAttemptAt = null;
+    }
+
+    await invoice.update({ lastError: error });
+    await subscription.update({
+        status: 'PAST_DUE',
+        failedPaymentCount,
+        graceEndsAt,
+        nextPaymentAttemptAt
+    });
+
+    const planName = subscription.plan ? subscription.plan.name : 'your plan';
+    await notifyUser(subscription.userId, {
+        template: 'subscription_payment_failed',
+        data: {
+            PlanName: planName,
+            Amount: formatCurrency(invoice.amount),
+            Reason: error,
+            AttemptNumber: String(failedPaymentCount),
+            NextAttempt: nextPaymentAttemptAt ? formatDate(nextPaymentAttemptAt) : null,
+            GraceEndsOn: formatDate(graceEndsAt)
+        },
+        notification: {
+            type: 'subscription_payment_failed',
+            title: 'Subscription payment failed',
+            message: `We couldn't charge ${formatCurrency(invoice.amount)} for ${planName}. Update your payment before ${formatDate(graceEndsAt)} to keep your plan.`,
+            metadata: { invoiceId: invoice.id, attempt: failedPaymentCount }
+        }
+    });
+
+    await logActivity({
+        type: 'subscription_payment_failed',
+        description: `Subscription renewal payment failed (attempt ${failedPaymentCount}) - ${planName}`,
+        userId: subscription.userId,
+        metadata: {
+            subscriptionId: subscription.id,
+            invoiceId: invoice.id,
+            paymentId: payment.id || null,
+            error,
+            nextPaymentAttemptAt,
+            graceEndsAt
+        }
+    });
+
+    return { invoice, subscription };
+}
+
+/**
+ * Charge an open invoice to the subscription's saved payment method
+ * @param {Object} invoice - SubscriptionInvoice
+ * @param {Object} subscription - UserSubscription
+ * @returns {Promise<Object>} { status: 'paid' | 'processing' | 'failed', invoice, subscription, error }
+ */
+async function chargeInvoice(invoice, subscription) {
+    if (toCents(invoice.amount) === 0) {
+        const result = await applyPaidInvoice(invoice.id);
+        return { status: 'paid', ...result };
+    }
+
+    const attempt = invoice.attemptCount + 1;
+
+    if (!subscription.paymentMethodId || !subscription.billingCustomerId) {
+        const error = 'No saved payment method';
+        await invoice.update({ attemptCount: attempt });
+        await recordFailedPayment(invoice.id, { id: null, error, metadata: { offSession: 'true' } });
+        return { status: 'failed', invoice, subscription, error };
+    }
+
+    const payment = await getBillingProvider().chargeSavedPaymentMethod({
+        amount: toCents(invoice.amount),
+        customerId: subscription.billingCustomerId,
+        paymentMethodId: subscription.paymentMethodId,
+        description: `${(invoice.metadata && invoice.metadata.planName) || 'Subscription'} (${invoice.reason.replace('_', ' ')})`,
+        metadata: invoiceMetadata(invoice, { offSession: 'true' }),
+        idempotencyKey: `subscription-invoice-${invoice.id}-attempt-${attempt}`
+    });
+    await invoice.update({ attemptCount: attempt, paymentId: payment.id || invoice.paymentId });
+
+    if (payment.status === 'succeeded') {
+        const result = await applyPaidInvoice(invoice.id, payment);
+        return { status: 'paid', ...result };
+    }
+    if (payment.status === 'processing') {
+        // Settled by the payment webhook
+        return { status: 'processing', invoice, subscription };
+    }
+
+    await recordFailedPayment(invoice.id, payment);
+    return { status: 'failed', invoice, subscription, error: payment.error || 'Payment failed' };
+}
+
+/**
+ * Open an invoice the customer pays in the browser: a new subscription, a reactivation,
+ * or a plan change when no card is saved yet
+ * @param {Object} user - User
+ * @param {Object} plan - SubscriptionPlan
+ * @returns {Promise<Object>} { invoice, quote, payment } (no payment when nothing is due) or { error, status }
+ */
+async function startCheckout(user, plan) {
+    const subscription = await findSubscription(user.id);
+
+    if (subscription && subscription.status === 'PAST_DUE') {
+        return { error: 'Please pay your outstanding invoice before changing plans', status: 409 };
+    }
+    if (subscription && subscription.status === 'ACTIVE' && subscription.subscriptionPlanId === plan.id) {
+        return { error: 'You are already subscribed to this plan', status: 400 };
+    }
+
+    const quote = quotePlanChange(subscription, plan);
+    const reason = quote.prorated ? 'plan_change' : 'subscribe';
+
+    await voidOpenCheckouts(user.id);
+    const invoice = await createInvoice({
+        subscription,
+        userId: user.id,
+        plan,
+        reason,
+        quote,
+        idempotencyKey: newInvoiceKey(reason, user.id)
+    });
+
+    if (toCents(invoice.amount) === 0) {
+        return { invoice, quote };
+    }
+
+    const provider = getBillingProvider();
+    const customerId = await provider.ensureCustomer({
+        customerId: subscription ? subscription.billingCustomerId : null,
+        userId: user.id,
+        email: user.email,
+        name: user.name
+    });
+    const payment = await provider.createPayment({
+        amount: toCents(invoice.amount),
+        customerId,
+        description: `Subscription payment for ${plan.name}`,
+        metadata: invoiceMetadata(invoice, {
+            planName: plan.name,
+            planTier: plan.tier || '',
+            billingCycle: plan.billingCycle || 'MONTHLY'
+        }),
+        savePaymentMethod: true
+    });
+    await invoice.update({ paymentId: payment.id });
+
+    return { invoice, quote, payment };
+}
+
+/**
+ * Start a browser payment (e.g. with a new card) for an open renewal invoice
+ * @param {Object} user - User
+ * @param {number} invoiceId - SubscriptionInvoice ID
+ * @returns {Promise<Object>} { invoice, payment } or { error, status }
+ */
+async function startInvoicePayment(user, invoiceId) {
+    const invoice = await SubscriptionInvoice.findOne({ where: { id: invoiceId, userId: user.id } });
+    if (!invoice) {
+        return { error: 'Invoice not found', status: 404 };
+    }
+    if (invoice.status !== 'open' || invoice.reason !== 'renewal') {
+        return { error: 'This invoice is not awaiting payment', status: 400 };
+    }
+
+    const subscription = await findSubscription(user.id);
+    const provider = getBillingProvider();
+    const customerId = await provider.ensureCustomer({
+        customerId: subscription ? subscription.billingCustomerId : null,
+        userId: user.id,
+        email: user.email,
+        name: user.name
+    });
+    const payment = await provider.createPayment({
+        amount: toCents(invoice.amount),
+        customerId,
+        description: `Subscription renewal for ${(invoice.metadata && invoice.metadata.planName) || 'your plan'}`,
+        metadata: invoiceMetadata(invoice),
+        savePaymentMethod: true
+    });
+    await invoice.update({ paymentId: payment.id });
+
+    return { invoice, payment };
+}
+
+/**
+ * Apply a browser payment once the client reports it succeeded
+ * @param {Object} user - User
+ * @param {string} paymentId - Provider payment ID
+ * @param {Object} options - { subscriptionPlanId } the payment must be for
+ * @returns {Promise<Object>} { invoice, subscription } or { error, status }
+ */
+async function completeCheckout(user, paymentId, { subscriptionPlanId = null } = {}) {
+    const payment = await getBillingProvider().getPayment(paymentId);
+
+    if (!payment.metadata || payment.metadata.type !== 'subscription_invoice' ||
+        payment.metadata.userId !== String(user.id)) {
+        return { error: 'Payment does not match subscription request', status: 400 };
+    }
+    if (payment.status !== 'succeeded') {
+        return { error: `Payment not completed. Status: ${payment.status}`, status: 400 };
+    }
+
+    const invoice = await SubscriptionInvoice.findByPk(parseInt(payment.metadata.invoiceId));
+    if (!invoice || invoice.userId !== user.id ||
+        (subscriptionPlanId && invoice.subscriptionPlanId !== parseInt(subscriptionPlanId))) {
+        return { error: 'Payment does not match subscription request', status: 400 };
+    }
+    if (toCents(invoice.amount) !== payment.amount) {
+        return { error: 'Payment amount does not match plan price', status: 400 };
+    }
+
+    return applyPaidInvoice(invoice.id, payment);
+}
+
+/**
+ * Switch plans, charging the saved card for an upgrade
+ * @param {number} userId - User ID
+ * @param {Object} plan - SubscriptionPlan to switch to
+ * @returns {Promise<Object>} chargeInvoice result, or { error, status, requiresPayment }
+ */
+async function changePlan(userId, plan) {
+    const subscription = await findSubscription(userId);
+
+    if (!subscription || subscription.status !== 'ACTIVE') {
+        return { error: 'You need an active subscription to change plans', status: 400 };
+    }
+    if (subscription.subscriptionPlanId === plan.id) {
+        return { error: 'You are already subscribed to this plan', status: 400 };
+    }
+
+    const quote = quotePlanChange(subscription, plan);
+    if (quote.amountDue > 0 && !subscription.paymentMethodId) {
+        return { error: 'No saved payment method', status: 402, requiresPayment: true, quote };
+    }
+
+    await voidOpenCheckouts(userId);
+    const invoice = await createInvoice({
+        subscription,
+        userId,
+        plan,
+        reason: quote.prorated ? 'plan_change' : 'subscribe',
+        quote,
+        idempotencyKey: newInvoiceKey('plan_change', userId)
+    });
+
+    const result = await chargeInvoice(invoice, subscription);
+    if (result.status === 'failed') {
+        await invoice.update({ status: 'failed' });
+        return { error: result.error, status: 402, requiresPayment: true, quote };
+    }
+    return { ...result, quote };
+}
+
+/**
+ * Cancel at the end of the paid period. Free and past-due subscriptions end now.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { subscription, immediate } or { error, status }
+ */
+async function cancelSubscription(userId) {
+    const subscription = await findSubscription(userId);
+    if (!subscription || !['ACTIVE', 'PAST_DUE'].includes(subscription.status)) {
+        return { error: 'No active subscription found', status: 404 };
+    }
+
+    const now = new Date();
+    const immediate = subscription.status === 'PAST_DUE' ||
+        !subscription.currentPeriodEnd ||
+        new Date(subscription.currentPeriodEnd) <= now ||
+        !subscription.plan || toCents(subscription.plan.price) === 0;
+
+    if (immediate) {
+        await SubscriptionInvoice.update(
+            { status: 'void' },
+            { where: { userSubscriptionId: subscription.id, status: 'open' } }
+        );
+        await subscription.update({
+            status: 'CANCELLED',
+            cancelledAt: now,
+            cancelAtPeriodEnd: false,
+            nextPaymentAttemptAt: null
+        });
+    } else {
+        await subscription.update({ cancelAtPeriodEnd: true, cancelledAt: now });
+    }
+
+    await logActivity({
+        type: 'subscription_cancelled',
+        description: immediate
+            ? 'Subscription cancelled'
+            : `Subscription set to cancel on ${formatDate(subscription.currentPeriodEnd)}`,
+        userId,
+        metadata: { subscriptionId: subscription.id, immediate }
+    });
+
+    return { subscription, immediate };
+}
+
+/**
+ * Undo a cancel-at-period-end before the period ends
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { subscription } or { error, status }
+ */
+async function resumeSubscription(userId) {
+    const subscription = await findSubscription(userId);
+    if (!subscription || subscription.status !== 'ACTIVE' || !subscription.cancelAtPeriodEnd) {
+        return { error: 'No cancelled subscription to resume', status: 400 };
+    }
+
+    await subscription.update({ cancelAtPeriodEnd: false, cancelledAt: null });
+    await logActivity({
+        type: 'subscription_resumed',
+        description: 'Subscription cancellation withdrawn',
+        userId,
+        metadata: { subscriptionId: subscription.id }
+    });
+
+    return { subscription };
+}
+
+/**
+ * Bill the next period of a subscription whose period has ended
+ * (job: subscription.renew)
+ * @param {number} subscriptionId - UserSubscription ID
+ * @returns {Promise<Object>} Job result
+ */
+async function renewSubscription(subscriptionId) {
+    const subscription = await UserSubscription.findByPk(subscriptionId, {
+        include: [{ model: SubscriptionPlan, as: 'plan', attributes: PLAN_ATTRIBUTES }]
+    });
+    if (!subscription || subscription.status !== 'ACTIVE') {
+        return { skipped: 'Subscription is not active' };
+    }
+
+    const now = new Date();
+    const endedAt = subscription.currentPeriodEnd ? new Date(subscription.currentPeriodEnd) : null;
+    if (!endedAt || endedAt > now) {
+        return { skipped: 'Subscription is not due for renewal' };
+    }
+
+    if (subscription.cancelAtPeriodEnd) {
+        await subscription.update({ status: 'CANCELLED', cancelAtPeriodEnd: false });
+        await notifyUser(subscription.userId, {
+            notification: {
+                type: 'subscription_cancelled',
+                title: 'Your subscription has ended',
+                message: `${subscription.plan ? subscription.plan.name : 'Your plan'} was cancelled and ended on ${formatDate(endedAt)}.`
+            }
+        });
+        return { cancelled: true };
+    }
+
+    const plan = subscription.plan;
+    if (!plan) {
+        await endSubscription(subscription, null);
+        return { expired: true, reason: 'Plan no longer exists' };
+    }
+
+    // Bill from where the last period ended, unless it lapsed long ago (no charging for the gap)
+    const periodStart = now.getTime() - endedAt.getTime() > GRACE_PERIOD_DAYS * DAY_MS ? now : endedAt;
+    const subtotal = toCents(plan.price);
+    const creditApplied = Math.min(subtotal, toCents(subscription.creditBalance));
+
+    const invoice = await createInvoice({
+        subscription,
+        userId: subscription.userId,
+        plan,
+        reason: 'renewal',
+        quote: {
+            subtotal: fromCents(subtotal),
+            creditApplied: fromCents(creditApplied),
+            amountDue: fromCents(subtotal - creditApplied),
+            periodStart,
+            periodEnd: addBillingPeriod(periodStart, plan.billingCycle)
+        },
+        idempotencyKey: `renewal:${subscription.id}:${endedAt.toISOString()}`
+    });
+    if (invoice.status !== 'open') {
+        return { skipped: `Invoice ${invoice.id} is ${invoice.status}` };
+    }
+
+    const result = await chargeInvoice(invoice, subscription);
+    return { invoiceId: invoice.id, status: result.status };
+}
+
+/**
+ * Retry a past-due renewal invoice (job: subscription.retry_payment, or "retry now")
+ * @param {number} invoiceId - SubscriptionInvoice ID
+ * @returns {Promise<Object>} { status, invoice, subscription, error } or { skipped }
+ */
+async function retryInvoicePayment(invoiceId) {
+    const invoice = await SubscriptionInvoice.findByPk(invoiceId);
+    if (!invoice || invoice.status !== 'open' || invoice.reason !== 'renewal') {
+        return { skipped: 'Invoice is not awaiting payment' };
+    }
+
+    const subscription = await UserSubscription.findByPk(invoice.userSubscriptionId);
+    if (!subscription || subscription.status !== 'PAST_DUE') {
+        return { skipped: 'Subscription is not past due' };
+    }
+
+    return chargeInvoice(invoice, subscription);
+}
+
+// Grace period over (or nothing left to bill) - the subscription lapses
+async function endSubscription(subscription, invoice) {
+    await SubscriptionInvoice.update(
+        { status: 'failed' },
+        { where: { userSubscriptionId: subscription.id, status: 'open', reason: 'renewal' } }
+    );
+    await subscription.update({
+        status: 'EXPIRED',
+        nextPaymentAttemptAt: null,
+        cancelAtPeriodEnd: false
+    });
+
+    const plan = subscription.plan || await SubscriptionPlan.findByPk(subscription.subscriptionPlanId, { attributes: PLAN_ATTRIBUTES });
+    const planName = plan ? plan.name : 'your plan';
+
+    await notifyUser(subscription.userId, {
+        template: 'subscription_expired',
+        data: {
+            PlanName: planName,
+            Amount: invoice ? formatCurrency(invoice.amount) : null
+        },
+        notification: {
+            type: 'subscription_expired',
+            title: 'Your subscription has expired',
+            message: `We couldn't collect payment for ${planName}, so your plan has ended. Subscribe again to restore its benefits.`
+        }
+    });
+
+    await logActivity({
+        type: 'subscription_expired',
+        description: `Subscription expired after failed payments - ${planName}`,
+        userId: subscription.userId,
+        metadata: { subscriptionId: subscription.id, invoiceId: invoice ? invoice.id : null }
+    });
+}
+
+/**
+ * Queue renewals and payment retries that are due, and expire subscriptions whose
+ * grace period is over (job: subscriptions.sweep)
+ * @returns {Promise<Object>} Counts
+ */
+async function sweepSubscriptions() {
+    const now = new Date();
+
+    const due = await UserSubscription.findAll({
+        where: { status: 'ACTIVE', currentPeriodEnd: { [Op.lte]: now } },
+        attributes: ['id', 'currentPeriodEnd']
+    });
+    for (const subscription of due) {
+        await enqueueJob('subscription.renew', { subscriptionId: subscription.id }, {
+            idempotencyKey: `subscription-renewal:${subscription.id}:${new Date(subscription.currentPeriodEnd).toISOString()}`
+        });
+    }
+
+    const retries = await SubscriptionInvoice.findAll({
+        where: { status: 'open', reason: 'renewal' },
+        include: [{
+            model: UserSubscription,
+            as: 'subscription',
+            where: {
+                status: 'PAST_DUE',
+                nextPaymentAttemptAt: { [Op.lte]: now },
+                graceEndsAt: { [Op.gt]: now }
+            },
+            attributes: ['id'],
+            required: true
+        }],
+        attributes: ['id', 'attemptCount']
+    });
+    for (const invoice of retries) {
+        await enqueueJob('subscription.retry_payment', { invoiceId: invoice.id }, {
+            idempotencyKey: `subscription-retry:${invoice.id}:${invoice.attemptCount}`
+        });
+    }
+
+    const lapsed = await UserSubscription.findAll({
+        where: { status: 'PAST_DUE', graceEndsAt: { [Op.lte]: now } },
+        include: [{ model: SubscriptionPlan, as: 'plan', attributes: PLAN_ATTRIBUTES }]
+    });
+    for (const subscription of lapsed) {
+        const invoice = await SubscriptionInvoice.findOne({
+            where: { userSubscriptionId: subscription.id, status: 'open', reason: 'renewal' },
+            order: [['createdAt', 'DESC']]
+        });
+        await endSubscription(subscription, invoice);
+    }
+
+    return { renewalsQueued: due.length, retriesQueued: retries.length, expired: lapsed.length };
+}
+
+module.exports = {
+    GRACE_PERIOD_DAYS,
+    RETRY_AFTER_DAYS,
+    addBillingPeriod,
+    quotePlanChange,
+    applyPaidInvoice,
+    recordFailedPayment,
+    chargeInvoice,
+    startCheckout,
+    startInvoicePayment,
+    completeCheckout,
+    changePlan,
+    cancelSubscription,
+    resumeSubscription,
+    renewSubscription,
+    retryInvoicePayment,
+    sweepSubscriptions
+};
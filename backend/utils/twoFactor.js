@@ -0,0 +1,376 @@
+/**
+ * Two-Factor Authentication
+ *
+ * Features:
+ * - TOTP (RFC 6238) compatible with Google Authenticator, Authy, 1Password, etc.
+ * - SMS codes delivered through the existing PhoneVerification flow
+ * - Single-use recovery codes (stored hashed)
+ * - Short-lived challenge tokens that bridge the password step and the code step
+ * - Required-2FA policy per role (TWO_FACTOR_REQUIRED_ROLES, default: admin)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, PhoneVerification } = require('../models');
+const sendSMS = require('./sendSMS');
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept one step either side for clock drift
+const SMS_CODE_EXPIRY_MINUTES = 10;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_EXPIRY = '10m';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Home Services';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate the HOTP value for a counter (RFC 4226)
+ */
+function hotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return (binary % Math.pow(10, TOTP_DIGITS)).toString().padStart(TOTP_DIGITS, '0');
+}
+
+function currentTimeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Check a TOTP code against a base32 secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Step of the last accepted code (replay protection)
+ * @returns {number|null} The matched time step, or null if invalid
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const step = currentTimeStep();
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+        const candidate = step + offset;
+        if (lastUsedStep !== null && candidate <= lastUsedStep) {
+            continue;
+        }
+        const expected = hotp(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// TOTP secrets are encrypted at rest with a key derived from JWT_SECRET
+function encryptionKey() {
+    const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!source) {
+        throw new Error('JWT_SECRET must be set in environment variables');
+    }
+    return crypto.createHash('sha256').update(`2fa:${source}`).digest();
+}
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return [iv, tag, encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {object} { codes: plain codes to show once, hashes: values to store }
+ */
+function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+function parseRecoveryHashes(user) {
+    const stored = user.twoFactorRecoveryCodes;
+    if (!stored) return [];
+    return Array.isArray(stored) ? stored : JSON.parse(stored);
+}
+
+/**
+ * Consume a recovery code (single use)
+ * @returns {Promise<boolean>} True if the code was valid
+ */
+async function consumeRecoveryCode(user, code) {
+    const hashes = parseRecoveryHashes(user);
+    const hash = hashRecoveryCode(code);
+    const index = hashes.indexOf(hash);
+    if (index === -1) {
+        return false;
+    }
+    hashes.splice(index, 1);
+    await user.update({ twoFactorRecoveryCodes: hashes });
+    return true;
+}
+
+function remainingRecoveryCodes(user) {
+    return parseRecoveryHashes(user).length;
+}
+
+/**
+ * Send a one-time code by SMS, stored in phone_verifications
+ * @returns {Promise<object>} { success, error }
+ */
+async function sendSmsCode(user, phone = user.phone) {
+    if (!phone) {
+        return { success: false, error: 'No phone number on file for SMS verification' };
+    }
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+
+    // Invalidate any outstanding codes for this user and phone
+    await PhoneVerification.update(
+        { verified: true },
+        { where: { userId: user.id, phone, verified: false } }
+    );
+
+    await PhoneVerification.create({
+        userId: user.id,
+        phone,
+        code,
+        verified: false,
+        expiresAt: new Date(Date.now() + SMS_CODE_EXPIRY_MINUTES * 60 * 1000)
+    });
+
+    const result = await sendSMS(
+        phone,
+        `Your ${ISSUER} sign-in code is: ${code}. It expires in ${SMS_CODE_EXPIRY_MINUTES} minutes. Never share this code.`
+    );
+
+    if (!result.success) {
+        console.warn(`⚠️  2FA SMS could not be sent to user ${user.id}: ${result.error || 'Unknown error'}`);
+        return { success: false, error: result.userFriendlyMessage || 'Failed to send SMS code' };
+    }
+
+    return { success: true };
+}
+
+/**
+ * Check an SMS code and mark it used
+ * @returns {Promise<object|null>} The matching PhoneVerification record, or null
+ */
+async function verifySmsCode(user, code) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const record = await PhoneVerification.findOne({
+        where: { userId: user.id, code: normalized, verified: false },
+        order: [['createdAt', 'DESC']]
+    });
+
+    if (!record || new Date(record.expiresAt) <= new Date()) {
+        return null;
+    }
+
+    await record.update({ verified: true });
+    return record;
+}
+
+/**
+ * Verify a second-factor code for a user who has 2FA enabled
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(user, code) {
+    if (user.twoFactorMethod === 'sms') {
+        return !!(await verifySmsCode(user, code));
+    }
+
+    if (!user.twoFactorSecret) {
+        return false;
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastUsedStep);
+    if (step === null) {
+        return false;
+    }
+    await user.update({ twoFactorLastUsedStep: step });
+    return true;
+}
+
+/**
+ * Whether the policy forces 2FA on this user's role
+ */
+function isTwoFactorRequired(user) {
+    const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin')
+        .split(',')
+        .map(role => role.trim())
+        .filter(Boolean);
+    return roles.includes(user.role);
+}
+
+/**
+ * Issue a challenge token after a correct password
+ * @param {object} user - User instance
+ * @param {string} purpose - '2fa_login' (enter a code) or '2fa_setup' (enrol before first login)
+ */
+function issueChallengeToken(user, purpose) {
+    return jwt.sign({ id: user.id, purpose }, process.env.JWT_SECRET, {
+        expiresIn: CHALLENGE_TOKEN_EXPIRY
+    });
+}
+
+/**
+ * Resolve a challenge token back to its user
+ * @returns {Promise<object|null>} User instance or null if invalid/expired
+ */
+async function resolveChallengeToken(token, purpose) {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== purpose) {
+            return null;
+        }
+        const user = await User.findByPk(decoded.id);
+        if (!user || !user.isActive) {
+            return null;
+        }
+        return user;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build the login response for a user whose password was correct but who still
+ * owes a second factor. Sends the SMS code when SMS is their method.
+ * @returns {Promise<object|null>} Response body, or null if no second step is needed
+ */
+async function buildLoginChallenge(user) {
+    if (user.twoFactorEnabled) {
+        let smsSent = false;
+        if (user.twoFactorMethod === 'sms') {
+            smsSent = (await sendSmsCode(user)).success;
+        }
+        return {
+            success: true,
+            requiresTwoFactor: true,
+            twoFactorToken: issueChallengeToken(user, '2fa_login'),
+            method: user.twoFactorMethod,
+            smsSent,
+            phoneHint: user.twoFactorMethod === 'sms' && user.phone ? `***${user.phone.slice(-4)}` : null,
+            message: 'Enter your verification code to finish signing in'
+        };
+    }
+
+    if (isTwoFactorRequired(user)) {
+        return {
+            success: true,
+            requiresTwoFactorSetup: true,
+            twoFactorToken: issueChallengeToken(user, '2fa_setup'),
+            message: 'Two-factor authentication is required for your account. Please set it up to continue.'
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    generateTotpSecret,
+    buildOtpauthUrl,
+    verifyTotp,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    consumeRecoveryCode,
+    remainingRecoveryCodes,
+    sendSmsCode,
+    verifySmsCode,
+    verifySecondFactor,
+    isTwoFactorRequired,
+    issueChallengeToken,
+    resolveChallengeToken,
+    buildLoginChallenge
+};
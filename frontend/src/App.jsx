@@ -23,6 +23,8 @@ import ProviderSignup from './pages/ProviderSignup';
 import WriteReview from './pages/WriteReview';
 import Support from './pages/Support';
 import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import AdminBusinesses from './pages/admin/AdminBusinesses';
 import AdminUsers from './pages/admin/AdminUsers';
@@ -37,6 +39,12 @@ import AdminLeads from './pages/admin/AdminLeads';
 import AdminProposals from './pages/admin/AdminProposals';
 import AdminWorkOrders from './pages/admin/AdminWorkOrders';
 import AdminProviders from './pages/admin/AdminProviders';
+import AdminLeadPricing from './pages/admin/AdminLeadPricing';
+import AdminPlatformFees from './pages/admin/AdminPlatformFees';
+import AdminRouting from './pages/admin/AdminRouting';
+import AdminJobs from './pages/admin/AdminJobs';
+import AdminLedger from './pages/admin/AdminLedger';
+import AdminPromotions from './pages/admin/AdminPromotions';
 import AdminLogin from './pages/admin/AdminLogin';
 import MyBusiness from './pages/MyBusiness';
 import BusinessInformation from './pages/BusinessInformation';
@@ -48,11 +56,15 @@ import VerifyBusiness from './pages/VerifyBusiness';
 import DashboardReviews from './pages/DashboardReviews';
 import AccountSettings from './pages/AccountSettings';
 import MyRequests from './pages/MyRequests';
+import Bookmarks from './pages/Bookmarks';
 import ServiceRequest from './pages/ServiceRequest';
 import ProviderLeads from './pages/ProviderLeads';
 import ProviderWorkOrders from './pages/ProviderWorkOrders';
+import ProviderAvailability from './pages/ProviderAvailability';
 import ProviderPayouts from './pages/ProviderPayouts';
+import ProviderEarnings from './pages/ProviderEarnings';
 import ProviderTickets from './pages/ProviderTickets';
+import ProviderWebhooks from './pages/ProviderWebhooks';
 import Subscriptions from './pages/Subscriptions';
 import SEOLandingPage from './pages/SEOLandingPage';
 import GoogleAnalytics from './components/GoogleAnalytics';
@@ -81,11 +93,17 @@ function App() {
                   <Route path="categories" element={<AdminCategories />} />
                   <Route path="service-requests" element={<AdminServiceRequests />} />
                   <Route path="leads" element={<AdminLeads />} />
+                  <Route path="lead-pricing" element={<AdminLeadPricing />} />
+                  <Route path="platform-fees" element={<AdminPlatformFees />} />
+                  <Route path="routing" element={<AdminRouting />} />
+                  <Route path="jobs" element={<AdminJobs />} />
+                  <Route path="ledger" element={<AdminLedger />} />
                   <Route path="proposals" element={<AdminProposals />} />
                   <Route path="work-orders" element={<AdminWorkOrders />} />
                   <Route path="providers" element={<AdminProviders />} />
                   <Route path="blogs" element={<AdminBlogs />} />
                   <Route path="contacts" element={<AdminContacts />} />
+                  <Route path="promotions" element={<AdminPromotions />} />
                   <Route path="activities" element={<AdminActivities />} />
                   <Route path="business-profiles" element={<AdminBusinessProfiles />} />
                   <Route path="login" element={<Navigate to="/admin" replace />} />
@@ -114,10 +132,14 @@ function App() {
                   <Route path="reviews" element={<DashboardReviews />} />
                   <Route path="account-settings" element={<AccountSettings />} />
                   <Route path="requests" element={<MyRequests />} />
+                  <Route path="bookmarks" element={<Bookmarks />} />
                   <Route path="leads" element={<ProviderLeads />} />
                   <Route path="work-orders" element={<ProviderWorkOrders />} />
+                  <Route path="availability" element={<ProviderAvailability />} />
                   <Route path="payouts" element={<ProviderPayouts />} />
+                  <Route path="earnings" element={<ProviderEarnings />} />
                   <Route path="messages" element={<ProviderTickets />} />
+                  <Route path="webhooks" element={<ProviderWebhooks />} />
                   <Route path="subscriptions" element={<Subscriptions />} />
                 </Routes>
               </UserDashboardLayout>
@@ -148,6 +170,8 @@ function App() {
                 <Route path="/write-review" element={<WriteReview />} />
                 <Route path="/support" element={<Support />} />
                 <Route path="/verify-email" element={<VerifyEmail />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
                 <Route path="/service-request" element={<ServiceRequest />} />
                 {/* SEO Landing Pages */}
                 <Route path="/seo/:serviceSlug/city/:locationSlug" element={<SEOLandingPage />} />
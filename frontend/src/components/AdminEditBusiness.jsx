@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import api from '../services/api';
+import { uploadMedia, mediaUrl, MAX_IMAGE_BYTES } from '../services/media';
 import './AdminEditBusiness.css';
 
 const AdminEditBusiness = ({ business, onClose, onUpdate }) => {
@@ -8,6 +9,7 @@ const AdminEditBusiness = ({ business, onClose, onUpdate }) => {
   const [error, setError] = useState('');
   const [fieldErrors, setFieldErrors] = useState({});
   const [success, setSuccess] = useState('');
+  const [uploading, setUploading] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     description: '',
@@ -20,6 +22,8 @@ const AdminEditBusiness = ({ business, onClose, onUpdate }) => {
     email: '',
     website: '',
     socialLinks: { facebook: '', twitter: '', instagram: '', linkedin: '' },
+    logo: '',
+    images: [],
     isActive: false,
     isVerified: false,
     isFeatured: false
@@ -39,6 +43,8 @@ const AdminEditBusiness = ({ business, onClose, onUpdate }) => {
         email: business.email || '',
         website: business.website || '',
         socialLinks: business.socialLinks || { facebook: '', twitter: '', instagram: '', linkedin: '' },
+        logo: business.logo || '',
+        images: Array.isArray(business.images) ? business.images : [],
         isActive: business.isActive || false,
         isVerified: business.isVerified || false,
         isFeatured: business.isFeatured || false
@@ -55,6 +61,38 @@ const AdminEditBusiness = ({ business, onClose, onUpdate }) => {
     }
   };
 
+  const handleMediaUpload = async (e, field) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    if (field === 'images' && formData.images.length + files.length > 10) {
+      setFieldErrors(prev => ({ ...prev, images: 'Maximum 10 images allowed' }));
+      return;
+    }
+    if (files.some(file => file.size > MAX_IMAGE_BYTES)) {
+      setFieldErrors(prev => ({ ...prev, [field]: 'Images must be less than 10MB' }));
+      return;
+    }
+
+    setUploading(true);
+    setFieldErrors(prev => {
+      const newErrors = { ...prev };
+      delete newErrors[field];
+      return newErrors;
+    });
+    try {
+      const media = await uploadMedia(files, field === 'logo' ? 'business_logo' : 'business_image');
+      setFormData(prev => (field === 'logo'
+        ? { ...prev, logo: media[0].url }
+        : { ...prev, images: [...prev.images, ...media.map(item => item.url)] }));
+    } catch (error) {
+      setFieldErrors(prev => ({ ...prev, [field]: error.response?.data?.error || 'Failed to upload image' }));
+    } finally {
+      setUploading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -473,6 +511,60 @@ const AdminEditBusiness = ({ business, onClose, onUpdate }) => {
               </div>
             </div>
 
+            <h3 className="section-title">Logo & Photos</h3>
+            <div className="form-group">
+              <label>Logo</label>
+              <div className="media-edit-row">
+                {formData.logo ? (
+                  <div className="media-edit-item">
+                    <img src={mediaUrl(formData.logo, 'thumb')} alt="Logo" />
+                    <button type="button" onClick={() => setFormData({ ...formData, logo: '' })} title="Remove logo">
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </div>
+                ) : (
+                  <label className={`media-edit-add ${uploading ? 'disabled' : ''}`}>
+                    <input type="file" accept="image/*" onChange={(e) => handleMediaUpload(e, 'logo')} disabled={uploading} />
+                    <i className="fas fa-upload"></i>
+                  </label>
+                )}
+              </div>
+              {fieldErrors.logo && (
+                <span className="field-error">
+                  <i className="fas fa-exclamation-circle"></i> {Array.isArray(fieldErrors.logo) ? fieldErrors.logo[0] : fieldErrors.logo}
+                </span>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label>Photos ({formData.images.length}/10)</label>
+              <div className="media-edit-row">
+                {formData.images.map((image, index) => (
+                  <div key={image} className="media-edit-item">
+                    <img src={mediaUrl(image, 'thumb')} alt={`Photo ${index + 1}`} />
+                    <button
+                      type="button"
+                      onClick={() => setFormData({ ...formData, images: formData.images.filter((_, i) => i !== index) })}
+                      title="Remove photo"
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </div>
+                ))}
+                {formData.images.length < 10 && (
+                  <label className={`media-edit-add ${uploading ? 'disabled' : ''}`}>
+                    <input type="file" accept="image/*" multiple onChange={(e) => handleMediaUpload(e, 'images')} disabled={uploading} />
+                    <i className={`fas ${uploading ? 'fa-spinner fa-spin' : 'fa-plus'}`}></i>
+                  </label>
+                )}
+              </div>
+              {fieldErrors.images && (
+                <span className="field-error">
+                  <i className="fas fa-exclamation-circle"></i> {Array.isArray(fieldErrors.images) ? fieldErrors.images[0] : fieldErrors.images}
+                </span>
+              )}
+            </div>
+
             <h3 className="section-title">Status Settings</h3>
             <div className="checkbox-group">
               <label className="checkbox-label">
@@ -507,7 +599,7 @@ const AdminEditBusiness = ({ business, onClose, onUpdate }) => {
               <button type="button" className="btn-cancel" onClick={onClose}>
                 Cancel
               </button>
-              <button type="submit" className="btn-save" disabled={loading}>
+              <button type="submit" className="btn-save" disabled={loading || uploading}>
                 {loading ? (
                   <>
                     <i className="fas fa-spinner fa-spin"></i> Saving...
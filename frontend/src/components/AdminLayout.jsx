@@ -23,12 +23,18 @@ const AdminLayout = ({ children }) => {
     { path: '/admin/categories', icon: 'fas fa-tags', label: 'Categories' },
     { path: '/admin/service-requests', icon: 'fas fa-clipboard-list', label: 'Service Requests' },
     { path: '/admin/leads', icon: 'fas fa-bullhorn', label: 'Leads' },
+    { path: '/admin/lead-pricing', icon: 'fas fa-dollar-sign', label: 'Lead Pricing' },
+    { path: '/admin/platform-fees', icon: 'fas fa-percent', label: 'Platform Fees' },
+    { path: '/admin/routing', icon: 'fas fa-route', label: 'Lead Routing' },
     { path: '/admin/proposals', icon: 'fas fa-file-alt', label: 'Proposals' },
     { path: '/admin/work-orders', icon: 'fas fa-tasks', label: 'Work Orders' },
+    { path: '/admin/ledger', icon: 'fas fa-book', label: 'Ledger' },
     { path: '/admin/providers', icon: 'fas fa-users-cog', label: 'Providers' },
     { path: '/admin/blogs', icon: 'fas fa-blog', label: 'Blogs' },
+    { path: '/admin/promotions', icon: 'fas fa-percent', label: 'Promotions' },
     { path: '/admin/contacts', icon: 'fas fa-envelope', label: 'Support Tickets' },
     { path: '/admin/activities', icon: 'fas fa-history', label: 'Activities' },
+    { path: '/admin/jobs', icon: 'fas fa-cogs', label: 'Background Jobs' },
   ];
 
   const handleLogout = () => {
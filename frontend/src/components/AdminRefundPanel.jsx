@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+
+const REFUND_REASONS = [
+  { value: 'requested_by_customer', label: 'Requested by customer' },
+  { value: 'duplicate', label: 'Duplicate payment' },
+  { value: 'fraudulent', label: 'Fraudulent' },
+  { value: 'other', label: 'Other' }
+];
+
+const PAID_STATUSES = ['succeeded', 'partially_refunded'];
+const OPEN_DISPUTE_STATUSES = ['needs_response', 'under_review'];
+
+const formatMoney = (value) => `$${parseFloat(value || 0).toFixed(2)}`;
+
+export const getDisputeBadgeClass = (status) => {
+  const statusMap = {
+    'needs_response': 'rejected',
+    'under_review': 'pending',
+    'won': 'active',
+    'lost': 'rejected',
+    'closed': 'inactive'
+  };
+  return statusMap[status] || 'pending';
+};
+
+/**
+ * Refunds and chargebacks for one proposal (and its milestones) or one lead fee.
+ * type: 'proposal' | 'lead'; onRefunded lets the parent reload its list.
+ */
+const AdminRefundPanel = ({ type, id, onRefunded }) => {
+  const basePath = type === 'lead' ? `/admin/leads/${id}` : `/admin/proposals/${id}`;
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refundTarget, setRefundTarget] = useState(null);
+  const [form, setForm] = useState({ amount: '', reason: 'requested_by_customer', note: '', reverseTransfer: true });
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadPayments();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [basePath]);
+
+  const loadPayments = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`${basePath}/payments`);
+      setData(response.data);
+    } catch (error) {
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Each payment that can be refunded on its own: the proposal, each milestone, or the lead fee
+  const getPayments = () => {
+    if (!data) return [];
+    if (type === 'lead') {
+      const lead = data.lead;
+      return [{
+        key: 'lead',
+        label: 'Lead fee',
+        amount: (lead.leadCost || 0) / 100,
+        ...lead
+      }];
+    }
+    const payments = [];
+    if (data.proposal.stripePaymentIntentId) {
+      payments.push({ key: 'proposal', label: 'Full payment', amount: data.proposal.price, ...data.proposal });
+    }
+    (data.proposal.milestones || []).forEach((milestone) => {
+      if (milestone.stripePaymentIntentId) {
+        payments.push({
+          key: `milestone-${milestone.id}`,
+          label: `Milestone ${milestone.position}: ${milestone.title}`,
+          milestoneId: milestone.id,
+          ...milestone
+        });
+      }
+    });
+    return payments;
+  };
+
+  const openRefund = (payment) => {
+    setRefundTarget(payment);
+    setForm({ amount: '', reason: 'requested_by_customer', note: '', reverseTransfer: true });
+  };
+
+  const handleRefund = async (e) => {
+    e.preventDefault();
+    const remaining = parseFloat(refundTarget.amount) - parseFloat(refundTarget.refundedAmount || 0);
+    const amount = form.amount === '' ? remaining : parseFloat(form.amount);
+    if (!window.confirm(`Refund ${formatMoney(amount)} to the payer? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const payload = {
+        reason: form.reason,
+        note: form.note || undefined
+      };
+      if (form.amount !== '') {
+        payload.amount = parseFloat(form.amount);
+      }
+      if (type !== 'lead') {
+        payload.reverseTransfer = form.reverseTransfer;
+        if (refundTarget.milestoneId) {
+          payload.milestoneId = refundTarget.milestoneId;
+        }
+      }
+      const response = await api.post(`${basePath}/refunds`, payload);
+      alert(response.data.message || 'Refund issued');
+      setRefundTarget(null);
+      await loadPayments();
+      if (onRefunded) onRefunded();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to issue refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div>Loading payments...</div>;
+  }
+  if (!data) {
+    return <div>Failed to load payments</div>;
+  }
+
+  const payments = getPayments();
+
+  return (
+    <div>
+      {payments.length === 0 && <div>No payments recorded</div>}
+      {payments.map((payment) => {
+        const refundable = PAID_STATUSES.includes(payment.paymentStatus) &&
+          !OPEN_DISPUTE_STATUSES.includes(payment.disputeStatus);
+        return (
+          <div key={payment.key} style={{ marginBottom: '12px', paddingBottom: '12px', borderBottom: '1px solid #eee' }}>
+            <div style={{ marginBottom: '4px' }}>
+              <strong>{payment.label}:</strong> {formatMoney(payment.amount)}{' '}
+              <span className={`status-badge ${PAID_STATUSES.includes(payment.paymentStatus) ? 'active' : 'pending'}`}>
+                {payment.paymentStatus || 'unpaid'}
+              </span>
+              {payment.disputeStatus && (
+                <>
+                  {' '}
+                  <span className={`status-badge ${getDisputeBadgeClass(payment.disputeStatus)}`}>
+                    dispute: {payment.disputeStatus}
+                  </span>
+                </>
+              )}
+            </div>
+            {parseFloat(payment.refundedAmount) > 0 && (
+              <div><small>Refunded: {formatMoney(payment.refundedAmount)}</small></div>
+            )}
+            {parseFloat(payment.payoutReversedAmount) > 0 && (
+              <div><small>Taken back from provider payout: {formatMoney(payment.payoutReversedAmount)}</small></div>
+            )}
+            {refundable && refundTarget?.key !== payment.key && (
+              <button className="btn-view" style={{ marginTop: '6px' }} onClick={() => openRefund(payment)}>
+                <i className="fas fa-undo"></i> Refund
+              </button>
+            )}
+            {refundTarget?.key === payment.key && (
+              <form onSubmit={handleRefund} style={{ marginTop: '8px' }}>
+                <div className="form-group">
+                  <label>Amount (leave blank for the full remaining {formatMoney(parseFloat(payment.amount) - parseFloat(payment.refundedAmount || 0))})</label>
+                  <input
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={form.amount}
+                    onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Reason</label>
+                  <select value={form.reason} onChange={(e) => setForm({ ...form, reason: e.target.value })}>
+                    {REFUND_REASONS.map((reason) => (
+                      <option key={reason.value} value={reason.value}>{reason.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Internal note</label>
+                  <textarea
+                    rows="2"
+                    value={form.note}
+                    onChange={(e) => setForm({ ...form, note: e.target.value })}
+                  />
+                </div>
+                {type !== 'lead' && (
+                  <div className="form-group">
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={form.reverseTransfer}
+                        onChange={(e) => setForm({ ...form, reverseTransfer: e.target.checked })}
+                      />{' '}
+                      Take the provider's share back if the payout was already sent
+                    </label>
+                  </div>
+                )}
+                <div className="modal-actions">
+                  <button type="button" className="btn-cancel" onClick={() => setRefundTarget(null)} disabled={submitting}>
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn-submit" disabled={submitting}>
+                    {submitting ? 'Refunding...' : 'Issue Refund'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        );
+      })}
+
+      {data.refunds.length > 0 && (
+        <div style={{ marginBottom: '12px' }}>
+          <strong>Refund History</strong>
+          {data.refunds.map((refund) => (
+            <div key={refund.id} style={{ marginTop: '6px' }}>
+              <small>
+                {new Date(refund.createdAt).toLocaleString()} - {formatMoney(refund.amount)}{' '}
+                <span className={`status-badge ${refund.status === 'succeeded' ? 'active' : refund.status === 'pending' ? 'pending' : 'rejected'}`}>
+                  {refund.status}
+                </span>{' '}
+                {refund.reason.replace(/_/g, ' ')}
+                {refund.source === 'stripe' ? ' (Stripe dashboard)' : refund.initiator ? ` by ${refund.initiator.name}` : ''}
+                {parseFloat(refund.transferReversalAmount) > 0 && ` - provider reversal ${formatMoney(refund.transferReversalAmount)} (${refund.transferReversalStatus})`}
+                {refund.note && <><br />{refund.note}</>}
+              </small>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {data.disputes.length > 0 && (
+        <div>
+          <strong>Chargebacks</strong>
+          {data.disputes.map((dispute) => (
+            <div key={dispute.id} style={{ marginTop: '6px' }}>
+              <small>
+                {new Date(dispute.createdAt).toLocaleString()} - {formatMoney(dispute.amount)}{' '}
+                <span className={`status-badge ${getDisputeBadgeClass(dispute.status)}`}>
+                  {dispute.status}
+                </span>{' '}
+                {dispute.reason && dispute.reason.replace(/_/g, ' ')}
+                {dispute.evidenceDueBy && !dispute.closedAt && ` - evidence due ${new Date(dispute.evidenceDueBy).toLocaleDateString()}`}
+                {parseFloat(dispute.transferReversalAmount) > 0 && ` - provider reversal ${formatMoney(dispute.transferReversalAmount)} (${dispute.transferReversalStatus})`}
+              </small>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminRefundPanel;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import api from '../services/api';
+import AppointmentSlotPicker, { formatAppointmentTime } from './AppointmentSlotPicker';
+import './AppointmentSlotPicker.css';
+
+/**
+ * Reschedule / cancel dialog shared by the customer (MyRequests) and provider (work orders) views.
+ * slotsUrl lists open times; appointmentUrl takes PATCH { start, reason } or { action: 'cancel', reason }.
+ */
+const AppointmentModal = ({ title, appointment, slotsUrl, appointmentUrl, onClose, onSaved }) => {
+  const [start, setStart] = useState(null);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const isBooked = appointment && appointment.status !== 'cancelled';
+
+  const submit = async (body) => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await api.patch(appointmentUrl, { ...body, reason: reason.trim() || undefined });
+      onSaved(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update appointment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancelAppointment = () => {
+    if (window.confirm('Cancel this appointment? The other party will be notified.')) {
+      submit({ action: 'cancel' });
+    }
+  };
+
+  return (
+    <div className="appointment-modal-overlay" onClick={onClose}>
+      <div className="appointment-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>{title || (isBooked ? 'Reschedule Appointment' : 'Book Appointment')}</h3>
+        {isBooked && (
+          <p className="appointment-modal-current">
+            Currently {formatAppointmentTime(appointment.start, appointment.timezone)}
+          </p>
+        )}
+
+        <AppointmentSlotPicker slotsUrl={slotsUrl} value={start} onChange={setStart} />
+
+        <textarea
+          rows="2"
+          maxLength={500}
+          placeholder="Note for the other party (optional)"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+
+        {error && <div className="appointment-modal-error">{error}</div>}
+
+        <div className="appointment-modal-actions">
+          {isBooked && (
+            <button type="button" className="appointment-danger" onClick={handleCancelAppointment} disabled={saving}>
+              Cancel Appointment
+            </button>
+          )}
+          <button type="button" onClick={onClose} disabled={saving}>
+            Close
+          </button>
+          <button
+            type="button"
+            className="appointment-primary"
+            onClick={() => submit({ start })}
+            disabled={!start || saving}
+          >
+            {saving ? 'Saving...' : isBooked ? 'Reschedule' : 'Book'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AppointmentModal;
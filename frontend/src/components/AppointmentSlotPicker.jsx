@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import './AppointmentSlotPicker.css';
+
+const DAYS_PER_PAGE = 7;
+const MAX_DAYS_AHEAD = 56;
+
+const toDateKey = (value, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(new Date(value));
+
+/**
+ * Format an appointment start in the business timezone, e.g. "Tue, Oct 20, 9:00 AM EDT"
+ */
+export const formatAppointmentTime = (value, timeZone) => {
+  if (!value) return '';
+  try {
+    return new Date(value).toLocaleString('en-US', {
+      timeZone: timeZone || undefined,
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    });
+  } catch (error) {
+    return new Date(value).toLocaleString();
+  }
+};
+
+/**
+ * Week-at-a-time picker over the open slots returned by a /slots endpoint.
+ * Slots are shown in the business timezone, which is what the provider publishes.
+ */
+const AppointmentSlotPicker = ({ slotsUrl, value, onChange }) => {
+  const [offsetDays, setOffsetDays] = useState(0);
+  const [calendar, setCalendar] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadSlots = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const from = new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString();
+        const response = await api.get(`${slotsUrl}?from=${encodeURIComponent(from)}&days=${DAYS_PER_PAGE}`);
+        if (!cancelled) {
+          setCalendar(response.data.data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.error || 'Failed to load available times');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+    loadSlots();
+    return () => { cancelled = true; };
+  }, [slotsUrl, offsetDays]);
+
+  if (!loading && calendar && !calendar.businessId) {
+    return (
+      <div className="slot-picker-empty">
+        <i className="fas fa-calendar-times"></i> This provider hasn't published a booking calendar yet.
+      </div>
+    );
+  }
+
+  const timeZone = calendar?.timezone;
+  const days = [];
+  (calendar?.slots || []).forEach(slot => {
+    const key = toDateKey(slot.start, timeZone);
+    let day = days.find(d => d.key === key);
+    if (!day) {
+      day = { key, label: new Date(slot.start).toLocaleDateString('en-US', { timeZone, weekday: 'short', month: 'short', day: 'numeric' }), slots: [] };
+      days.push(day);
+    }
+    day.slots.push(slot);
+  });
+
+  return (
+    <div className="slot-picker">
+      <div className="slot-picker-header">
+        <button
+          type="button"
+          className="slot-picker-nav"
+          disabled={offsetDays === 0 || loading}
+          onClick={() => setOffsetDays(Math.max(offsetDays - DAYS_PER_PAGE, 0))}
+        >
+          <i className="fas fa-chevron-left"></i>
+        </button>
+        <span className="slot-picker-title">
+          {calendar?.businessName || 'Available times'}
+          {timeZone && <small>Times shown in {timeZone.replace(/_/g, ' ')}</small>}
+        </span>
+        <button
+          type="button"
+          className="slot-picker-nav"
+          disabled={offsetDays + DAYS_PER_PAGE >= MAX_DAYS_AHEAD || loading}
+          onClick={() => setOffsetDays(offsetDays + DAYS_PER_PAGE)}
+        >
+          <i className="fas fa-chevron-right"></i>
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="slot-picker-empty">Loading available times...</div>
+      ) : error ? (
+        <div className="slot-picker-empty slot-picker-error">{error}</div>
+      ) : days.length === 0 ? (
+        <div className="slot-picker-empty">No open times this week. Try the next week.</div>
+      ) : (
+        <div className="slot-picker-days">
+          {days.map(day => (
+            <div key={day.key} className="slot-picker-day">
+              <div className="slot-picker-day-label">{day.label}</div>
+              <div className="slot-picker-slots">
+                {day.slots.map(slot => (
+                  <button
+                    type="button"
+                    key={slot.start}
+                    className={`slot-picker-slot ${value === slot.start ? 'selected' : ''}`}
+                    onClick={() => onChange(value === slot.start ? null : slot.start)}
+                  >
+                    {new Date(slot.start).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' })}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AppointmentSlotPicker;
@@ -0,0 +1,56 @@
+import React, { useContext, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import api from '../services/api';
+import './BookmarkButton.css';
+
+// Saves a business to the user's default bookmark list, or removes it from every list.
+// The parent owns `saved` (usually from GET /bookmarks/business-ids) and is told when it changes.
+const BookmarkButton = ({ businessId, saved, onChange, compact = false }) => {
+  const { user } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [busy, setBusy] = useState(false);
+
+  const handleClick = async (e) => {
+    // Cards are clickable too; don't open the business
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      if (saved) {
+        await api.delete(`/bookmarks/business/${businessId}`);
+      } else {
+        await api.post('/bookmarks', { businessId });
+      }
+      onChange?.(!saved);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update bookmark');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const label = saved ? 'Saved' : 'Save';
+
+  return (
+    <button
+      type="button"
+      className={`bookmark-btn ${saved ? 'saved' : ''} ${compact ? 'compact' : ''}`}
+      onClick={handleClick}
+      disabled={busy}
+      title={saved ? 'Remove from bookmarks' : 'Save to bookmarks'}
+      aria-pressed={!!saved}
+    >
+      <i className={`${saved ? 'fas' : 'far'} fa-bookmark`}></i>
+      {!compact && <span>{label}</span>}
+    </button>
+  );
+};
+
+export default BookmarkButton;
@@ -2,6 +2,7 @@ import React, { useContext, useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import { uploadMedia, mediaUrl, MAX_IMAGE_BYTES } from '../services/media';
 import './BusinessHeader.css';
 
 const BusinessHeader = () => {
@@ -65,28 +66,25 @@ const BusinessHeader = () => {
       return;
     }
 
-    if (file.size > 2 * 1024 * 1024) {
-      setMessage({ type: 'error', text: 'Image size must be less than 2MB' });
+    if (file.size > MAX_IMAGE_BYTES) {
+      setMessage({ type: 'error', text: 'Image size must be less than 10MB' });
       return;
     }
 
     setUploadingLogo(true);
-    const reader = new FileReader();
-    reader.onloadend = async () => {
-      try {
-        await api.put(`/businesses/${selectedBusiness.id}`, {
-          logo: reader.result
-        });
-        setMessage({ type: 'success', text: 'Logo updated successfully!' });
-        fetchBusinesses();
-        setTimeout(() => setMessage({ type: '', text: '' }), 3000);
-      } catch (error) {
-        setMessage({ type: 'error', text: 'Failed to upload logo' });
-      } finally {
-        setUploadingLogo(false);
-      }
-    };
-    reader.readAsDataURL(file);
+    try {
+      const [media] = await uploadMedia([file], 'business_logo');
+      await api.put(`/businesses/${selectedBusiness.id}`, {
+        logo: media.url
+      });
+      setMessage({ type: 'success', text: 'Logo updated successfully!' });
+      fetchBusinesses();
+      setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to upload logo' });
+    } finally {
+      setUploadingLogo(false);
+    }
   };
 
   const handleView = (businessId) => {
@@ -200,7 +198,7 @@ const BusinessHeader = () => {
                 <div className="business-avatar">
                   <label className="logo-upload-label" title="Click to upload logo">
                     {currentBusiness.logo ? (
-                      <img src={currentBusiness.logo} alt={currentBusiness.name} />
+                      <img src={mediaUrl(currentBusiness.logo, 'thumb')} alt={currentBusiness.name} />
                     ) : (
                       <i className="fas fa-store"></i>
                     )}
@@ -288,7 +286,7 @@ const BusinessHeader = () => {
                 <div className="business-compact-main" onClick={() => handleBusinessSelect(business)}>
                   <div className="business-compact-avatar">
                     {business.logo ? (
-                      <img src={business.logo} alt={business.name} />
+                      <img src={mediaUrl(business.logo, 'thumb')} alt={business.name} />
                     ) : (
                       <i className="fas fa-building"></i>
                     )}
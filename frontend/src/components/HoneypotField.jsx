@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Hidden from people (and screen readers) but filled in by form-spamming bots.
+// The backend quarantines any submission where `website` is not empty.
+const HoneypotField = ({ value, onChange }) => (
+  <div aria-hidden="true" style={{ position: 'absolute', left: '-10000px', width: '1px', height: '1px', overflow: 'hidden' }}>
+    <label htmlFor="hp-website">Website</label>
+    <input
+      id="hp-website"
+      type="text"
+      name="website"
+      tabIndex={-1}
+      autoComplete="off"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  </div>
+);
+
+export default HoneypotField;
@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../services/api';
+import './MessageThread.css';
+
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+const ACCEPTED_TYPES = 'image/png,image/jpeg,image/gif,image/webp,application/pdf';
+const POLL_INTERVAL_MS = 10000;
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result);
+  reader.onerror = reject;
+  reader.readAsDataURL(file);
+});
+
+const formatTime = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
+const mergeMessages = (existing, incoming) => {
+  const byId = new Map(existing.map(message => [message.id, message]));
+  incoming.forEach(message => byId.set(message.id, message));
+  return Array.from(byId.values()).sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Customer <-> provider conversation about a service request.
+ * Pass conversationId to open an existing thread, or serviceRequestId (+ providerId when
+ * the current user is the customer) to open or start one.
+ */
+const MessageThread = ({ conversationId, serviceRequestId, providerId, onClose, onRead }) => {
+  const [conversation, setConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [body, setBody] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const listRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const scrollToBottomRef = useRef(true);
+
+  const fetchThread = async (id) => {
+    const response = await api.get(`/messages/conversations/${id}`);
+    const data = response.data.data;
+    setConversation(data.conversation);
+    setMessages(prev => mergeMessages(prev, data.messages));
+    return data;
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    let interval = null;
+
+    const open = async () => {
+      try {
+        setLoading(true);
+        setError('');
+
+        let id = conversationId;
+        if (!id) {
+          const response = await api.post('/messages/conversations', { serviceRequestId, providerId });
+          id = response.data.data.id;
+        }
+        if (cancelled) return;
+
+        const data = await fetchThread(id);
+        if (cancelled) return;
+        setHasMore(data.hasMore);
+        if (onRead) onRead();
+
+        // Poll for new messages while the thread is open
+        interval = setInterval(async () => {
+          try {
+            // Only follow new messages if the user hasn't scrolled up to read history
+            const list = listRef.current;
+            scrollToBottomRef.current = list
+              ? list.scrollHeight - list.scrollTop - list.clientHeight < 80
+              : true;
+            await fetchThread(id);
+          } catch (err) {
+            console.error('Error refreshing conversation:', err);
+          }
+        }, POLL_INTERVAL_MS);
+      } catch (err) {
+        console.error('Error opening conversation:', err);
+        if (!cancelled) {
+          setError(err.response?.data?.error || 'Failed to load conversation');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    open();
+
+    return () => {
+      cancelled = true;
+      if (interval) clearInterval(interval);
+    };
+  }, [conversationId, serviceRequestId, providerId]);
+
+  useEffect(() => {
+    if (scrollToBottomRef.current && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  const loadOlder = async () => {
+    if (!conversation || messages.length === 0) return;
+    setLoadingOlder(true);
+    scrollToBottomRef.current = false;
+    try {
+      const response = await api.get(`/messages/conversations/${conversation.id}?before=${messages[0].id}`);
+      setMessages(prev => mergeMessages(prev, response.data.data.messages));
+      setHasMore(response.data.data.hasMore);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load older messages');
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    setError('');
+
+    if (attachments.length + files.length > MAX_ATTACHMENTS) {
+      setError(`You can attach up to ${MAX_ATTACHMENTS} files per message.`);
+      return;
+    }
+
+    const tooLarge = files.find(file => file.size > MAX_ATTACHMENT_BYTES);
+    if (tooLarge) {
+      setError(`${tooLarge.name} is larger than 2MB.`);
+      return;
+    }
+
+    try {
+      const loaded = await Promise.all(files.map(async (file) => ({
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        data: await readAsDataUrl(file)
+      })));
+      setAttachments(prev => [...prev, ...loaded]);
+    } catch (err) {
+      setError('Could not read the selected file.');
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!conversation || sending) return;
+    if (!body.trim() && attachments.length === 0) return;
+
+    setSending(true);
+    setError('');
+    try {
+      const response = await api.post(`/messages/conversations/${conversation.id}/messages`, {
+        body: body.trim(),
+        attachments: attachments.map(({ name, data }) => ({ name, data }))
+      });
+      scrollToBottomRef.current = true;
+      setMessages(prev => mergeMessages(prev, [response.data.data]));
+      setBody('');
+      setAttachments([]);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSend(e);
+    }
+  };
+
+  const otherName = conversation?.otherParticipant?.name
+    || (conversation?.role === 'customer' ? 'Provider' : 'Customer');
+
+  return (
+    <div className="message-thread-overlay" onClick={onClose}>
+      <div className="message-thread" onClick={(e) => e.stopPropagation()}>
+        <div className="message-thread-header">
+          <div>
+            <h3>
+              <i className="fas fa-comments"></i>
+              {loading ? 'Messages' : otherName}
+            </h3>
+            {conversation?.serviceRequest && (
+              <p className="message-thread-subtitle">
+                {conversation.serviceRequest.projectTitle}
+                {conversation.proposal && (
+                  <span className="message-thread-proposal">
+                    Quote ${conversation.proposal.price.toFixed(2)} · {conversation.proposal.status}
+                  </span>
+                )}
+              </p>
+            )}
+          </div>
+          <button type="button" className="message-thread-close" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="message-thread-body" ref={listRef}>
+          {loading ? (
+            <div className="message-thread-empty">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : (
+            <>
+              {hasMore && (
+                <button type="button" className="message-thread-older" onClick={loadOlder} disabled={loadingOlder}>
+                  {loadingOlder ? 'Loading...' : 'Load earlier messages'}
+                </button>
+              )}
+              {messages.length === 0 && conversation && (
+                <div className="message-thread-empty">
+                  <i className="fas fa-comment-dots"></i>
+                  <p>No messages yet. Ask a question about the request or quote.</p>
+                </div>
+              )}
+              {messages.map(message => (
+                <div key={message.id} className={`message-bubble ${message.isMine ? 'mine' : 'theirs'}`}>
+                  {message.body && <p>{message.body}</p>}
+                  {message.attachments.length > 0 && (
+                    <div className="message-attachments">
+                      {message.attachments.map((attachment, index) => (
+                        <a
+                          key={index}
+                          href={attachment.data}
+                          download={attachment.name}
+                          className="message-attachment"
+                          title={attachment.name}
+                        >
+                          {attachment.type && attachment.type.startsWith('image/') ? (
+                            <img src={attachment.data} alt={attachment.name} />
+                          ) : (
+                            <span><i className="fas fa-file-pdf"></i> {attachment.name}</span>
+                          )}
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                  <span className="message-meta">
+                    {formatTime(message.createdAt)}
+                    {message.isMine && message.readAt && <i className="fas fa-check-double" title="Read"></i>}
+                  </span>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+
+        {error && (
+          <div className="message-thread-error">
+            <i className="fas fa-exclamation-circle"></i> {error}
+          </div>
+        )}
+
+        {conversation && (conversation.isClosed ? (
+          <div className="message-thread-closed">
+            <i className="fas fa-lock"></i> This request is closed to new messages.
+          </div>
+        ) : (
+          <form className="message-composer" onSubmit={handleSend}>
+            {attachments.length > 0 && (
+              <div className="message-composer-attachments">
+                {attachments.map((attachment, index) => (
+                  <span key={index} className="message-composer-chip">
+                    <i className={`fas ${attachment.type === 'application/pdf' ? 'fa-file-pdf' : 'fa-image'}`}></i>
+                    {attachment.name}
+                    <button
+                      type="button"
+                      onClick={() => setAttachments(prev => prev.filter((_, i) => i !== index))}
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <div className="message-composer-row">
+              <button
+                type="button"
+                className="message-composer-attach"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={attachments.length >= MAX_ATTACHMENTS}
+                title="Attach images or PDF"
+              >
+                <i className="fas fa-paperclip"></i>
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={ACCEPTED_TYPES}
+                multiple
+                onChange={handleFiles}
+                style={{ display: 'none' }}
+              />
+              <textarea
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder={`Message ${otherName}...`}
+                rows={2}
+                maxLength={5000}
+              />
+              <button
+                type="submit"
+                className="message-composer-send"
+                disabled={sending || (!body.trim() && attachments.length === 0)}
+              >
+                {sending ? <i className="fas fa-spinner fa-spin"></i> : <i className="fas fa-paper-plane"></i>}
+              </button>
+            </div>
+          </form>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MessageThread;
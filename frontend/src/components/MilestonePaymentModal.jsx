@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { loadStripe } from '@stripe/stripe-js';
+import {
+    Elements,
+    CardElement,
+    useStripe,
+    useElements
+} from '@stripe/react-stripe-js';
+import api from '../services/api';
+import './PaymentModal.css';
+
+const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY || 'pk_test_placeholder');
+
+const cardElementOptions = {
+    style: {
+        base: {
+            fontSize: '16px',
+            color: '#424770',
+            '::placeholder': {
+                color: '#aab7c4',
+            },
+        },
+        invalid: {
+            color: '#9e2146',
+        },
+    },
+};
+
+const MilestonePaymentForm = ({ milestone, serviceRequest, onSuccess }) => {
+    const stripe = useStripe();
+    const elements = useElements();
+    const [clientSecret, setClientSecret] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [processing, setProcessing] = useState(false);
+    const [error, setError] = useState(null);
+
+    const baseUrl = `/service-requests/my/service-requests/${serviceRequest.id}/milestones/${milestone.id}`;
+
+    const confirmPayment = async (paymentIntentId) => {
+        const response = await api.post(`${baseUrl}/confirm-payment`, { paymentIntentId });
+        onSuccess(response.data.data);
+    };
+
+    useEffect(() => {
+        const initializePayment = async () => {
+            try {
+                const response = await api.post(`${baseUrl}/create-payment-intent`);
+                if (response.data.paymentStatus === 'succeeded') {
+                    // Paid on an earlier attempt - just record it
+                    await confirmPayment(response.data.paymentIntentId);
+                    return;
+                }
+                setClientSecret(response.data.clientSecret);
+            } catch (err) {
+                console.error('Error initializing milestone payment:', err);
+                setError(err.response?.data?.error || 'Failed to initialize payment');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        initializePayment();
+    }, [milestone.id, serviceRequest.id]);
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (!stripe || !elements || !clientSecret) return;
+
+        setProcessing(true);
+        setError(null);
+
+        try {
+            const { error: stripeError, paymentIntent } = await stripe.confirmCardPayment(clientSecret, {
+                payment_method: {
+                    card: elements.getElement(CardElement),
+                    billing_details: {
+                        name: serviceRequest.projectTitle || 'Customer'
+                    }
+                }
+            });
+
+            if (stripeError) {
+                if (stripeError.payment_intent?.status === 'succeeded') {
+                    await confirmPayment(stripeError.payment_intent.id);
+                    return;
+                }
+                setError(stripeError.message || 'Payment failed. Please try again.');
+                return;
+            }
+
+            if (paymentIntent.status === 'succeeded') {
+                await confirmPayment(paymentIntent.id);
+            } else {
+                setError(`Payment is ${paymentIntent.status}. You'll be notified once it completes.`);
+            }
+        } catch (err) {
+            console.error('Milestone payment error:', err);
+            setError(err.response?.data?.error || 'Payment failed. Please try again.');
+        } finally {
+            setProcessing(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="payment-loading">
+                <i className="fas fa-spinner fa-spin"></i>
+                <p>Initializing payment...</p>
+            </div>
+        );
+    }
+
+    return (
+        <form onSubmit={handleSubmit} className="payment-form">
+            <div className="payment-summary">
+                <h4>Payment Summary</h4>
+                <div className="summary-item">
+                    <span>Service:</span>
+                    <span>{serviceRequest.projectTitle}</span>
+                </div>
+                <div className="summary-item">
+                    <span>Milestone:</span>
+                    <span>{milestone.title}</span>
+                </div>
+                <div className="summary-item total">
+                    <span>Amount:</span>
+                    <span>${milestone.amount.toFixed(2)}</span>
+                </div>
+            </div>
+
+            <div className="payment-section">
+                <label>Card Details</label>
+                <div className="card-element-container">
+                    <CardElement options={cardElementOptions} />
+                </div>
+            </div>
+
+            {error && (
+                <div className="payment-error">
+                    <i className="fas fa-exclamation-circle"></i>
+                    {error}
+                </div>
+            )}
+
+            <div className="payment-actions">
+                <button
+                    type="submit"
+                    className="btn-primary"
+                    disabled={!stripe || processing || !clientSecret}
+                >
+                    {processing ? (
+                        <>
+                            <i className="fas fa-spinner fa-spin"></i>
+                            Processing...
+                        </>
+                    ) : (
+                        <>
+                            <i className="fas fa-credit-card"></i>
+                            Pay ${milestone.amount.toFixed(2)}
+                        </>
+                    )}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+const MilestonePaymentModal = ({ milestone, serviceRequest, onClose, onSuccess }) => {
+    if (!milestone) return null;
+
+    return (
+        <div className="modal-overlay payment-modal-overlay" onClick={onClose}>
+            <div className="modal-content payment-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>
+                        <i className="fas fa-credit-card"></i>
+                        Pay Milestone
+                    </h2>
+                    <button className="modal-close" onClick={onClose}>
+                        <i className="fas fa-times"></i>
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <Elements stripe={stripePromise}>
+                        <MilestonePaymentForm
+                            milestone={milestone}
+                            serviceRequest={serviceRequest}
+                            onSuccess={onSuccess}
+                        />
+                    </Elements>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MilestonePaymentModal;
@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api, { API_URL } from '../services/api';
+import './NotificationBell.css';
+
+const RECONNECT_DELAY_MS = 5000;
+
+const TYPE_ICONS = {
+  lead_routed: 'fa-bullhorn',
+  proposal_accepted: 'fa-check-circle',
+  proposal_rejected: 'fa-times-circle',
+  work_order_approved: 'fa-clipboard-check',
+  milestone_approved: 'fa-flag-checkered',
+  payment_failed: 'fa-exclamation-circle',
+  payout_status: 'fa-money-bill-wave'
+};
+
+const formatRelative = (value) => {
+  const seconds = Math.floor((Date.now() - new Date(value).getTime()) / 1000);
+  if (seconds < 60) return 'Just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Dashboard notification bell backed by the /notifications SSE stream.
+ * Stream events are re-dispatched on window as `realtime:<event>` so pages can refresh themselves.
+ */
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  const loadNotifications = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/notifications', { params: { limit: 20 } });
+      setNotifications(response.data.data || []);
+      setUnreadCount(response.data.unreadCount || 0);
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    let source = null;
+    let reconnectTimer = null;
+    let closed = false;
+
+    const dispatch = (event, data) => {
+      window.dispatchEvent(new CustomEvent(`realtime:${event}`, { detail: data }));
+    };
+
+    const connect = async () => {
+      try {
+        // Goes through the api client so an expired access token is refreshed before reconnecting
+        const response = await api.get('/notifications/unread-count');
+        if (closed) return;
+        setUnreadCount(response.data.unreadCount || 0);
+      } catch (error) {
+        console.error('Error loading notification count:', error);
+      }
+
+      const token = localStorage.getItem('token');
+      if (closed || !token) return;
+
+      source = new EventSource(`${API_URL}/notifications/stream?token=${encodeURIComponent(token)}`);
+
+      source.addEventListener('notification', (e) => {
+        const notification = JSON.parse(e.data);
+        setNotifications(prev => [notification, ...prev.filter(item => item.id !== notification.id)]);
+        setUnreadCount(prev => prev + 1);
+        dispatch('notification', notification);
+      });
+
+      source.addEventListener('message', (e) => {
+        dispatch('message', JSON.parse(e.data));
+      });
+
+      const reconnect = () => {
+        if (source) source.close();
+        source = null;
+        if (!closed && !reconnectTimer) {
+          reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+          }, RECONNECT_DELAY_MS);
+        }
+      };
+
+      source.addEventListener('token_expired', reconnect);
+      source.onerror = reconnect;
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      if (source) source.close();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const toggleOpen = () => {
+    if (!open) {
+      loadNotifications();
+    }
+    setOpen(!open);
+  };
+
+  const handleSelect = async (notification) => {
+    if (!notification.readAt) {
+      try {
+        await api.patch(`/notifications/${notification.id}/read`);
+        setNotifications(prev => prev.map(item => (
+          item.id === notification.id ? { ...item, readAt: new Date().toISOString() } : item
+        )));
+        setUnreadCount(prev => Math.max(prev - 1, 0));
+      } catch (error) {
+        console.error('Error marking notification read:', error);
+      }
+    }
+    if (notification.link) {
+      setOpen(false);
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await api.patch('/notifications/read-all');
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(item => ({ ...item, readAt: item.readAt || now })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  const handleClearRead = async () => {
+    try {
+      await api.delete('/notifications/read');
+      setNotifications(prev => prev.filter(item => !item.readAt));
+    } catch (error) {
+      console.error('Error clearing notifications:', error);
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="notification-bell-btn"
+        onClick={toggleOpen}
+        aria-label="Notifications"
+      >
+        <i className="fas fa-bell"></i>
+        {unreadCount > 0 && (
+          <span className="notification-bell-count">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <h4>Notifications</h4>
+            <div className="notification-panel-actions">
+              <button type="button" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+                Mark all read
+              </button>
+              <button type="button" onClick={handleClearRead}>
+                Clear read
+              </button>
+            </div>
+          </div>
+
+          <div className="notification-panel-list">
+            {loading && notifications.length === 0 ? (
+              <div className="notification-panel-empty">
+                <i className="fas fa-spinner fa-spin"></i>
+              </div>
+            ) : notifications.length === 0 ? (
+              <div className="notification-panel-empty">
+                <i className="fas fa-bell-slash"></i>
+                <p>You're all caught up.</p>
+              </div>
+            ) : (
+              notifications.map(notification => (
+                <button
+                  type="button"
+                  key={notification.id}
+                  className={`notification-item ${notification.readAt ? '' : 'unread'}`}
+                  onClick={() => handleSelect(notification)}
+                >
+                  <i className={`fas ${TYPE_ICONS[notification.type] || 'fa-info-circle'} notification-item-icon`}></i>
+                  <div className="notification-item-body">
+                    <strong>{notification.title}</strong>
+                    {notification.message && <p>{notification.message}</p>}
+                    <span>{formatRelative(notification.createdAt)}</span>
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -16,21 +16,24 @@ if (!stripePublishableKey || stripePublishableKey === 'pk_test_placeholder') {
 }
 const stripePromise = loadStripe(stripePublishableKey || 'pk_test_placeholder');
 
-const SubscriptionPaymentForm = ({ plan, onSuccess, onError, onClose }) => {
+// With an invoice, pays an unpaid renewal instead of starting a plan
+const SubscriptionPaymentForm = ({ plan, invoice, onSuccess, onError, onClose }) => {
     const stripe = useStripe();
     const elements = useElements();
     const [processing, setProcessing] = useState(false);
     const [error, setError] = useState(null);
     const [clientSecret, setClientSecret] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [amountDue, setAmountDue] = useState(null);
+    const [quote, setQuote] = useState(null);
 
     React.useEffect(() => {
         // Create payment intent
         const initializePayment = async () => {
             try {
-                const response = await api.post('/subscriptions/create-payment-intent', {
-                    subscriptionPlanId: plan.id
-                });
+                const response = await api.post('/subscriptions/create-payment-intent',
+                    invoice ? { invoiceId: invoice.id } : { subscriptionPlanId: plan.id }
+                );
 
                 if (response.data.success) {
                     const receivedClientSecret = response.data.clientSecret;
@@ -40,6 +43,8 @@ const SubscriptionPaymentForm = ({ plan, onSuccess, onError, onClose }) => {
                         return;
                     }
                     setClientSecret(receivedClientSecret);
+                    setAmountDue(response.data.amountDue);
+                    setQuote(response.data.quote);
                 } else {
                     setError(response.data.error || 'Failed to initialize payment');
                 }
@@ -52,7 +57,7 @@ const SubscriptionPaymentForm = ({ plan, onSuccess, onError, onClose }) => {
         };
 
         initializePayment();
-    }, [plan.id]);
+    }, [plan.id, invoice?.id]);
 
     const handleSubmit = async (event) => {
         event.preventDefault();
@@ -88,10 +93,11 @@ const SubscriptionPaymentForm = ({ plan, onSuccess, onError, onClose }) => {
             if (paymentIntent && paymentIntent.status === 'succeeded') {
                 // Payment succeeded, now activate subscription
                 try {
-                    const subscribeResponse = await api.post('/subscriptions/subscribe', {
-                        subscriptionPlanId: plan.id,
-                        paymentIntentId: paymentIntent.id
-                    });
+                    const subscribeResponse = await api.post('/subscriptions/subscribe',
+                        invoice
+                            ? { paymentIntentId: paymentIntent.id }
+                            : { subscriptionPlanId: plan.id, paymentIntentId: paymentIntent.id }
+                    );
 
                     if (subscribeResponse.data.success) {
                         onSuccess({
@@ -135,6 +141,10 @@ const SubscriptionPaymentForm = ({ plan, onSuccess, onError, onClose }) => {
 
     const planPrice = parseFloat(plan.price || 0);
     const billingPeriod = plan.billingCycle === 'YEARLY' ? 'year' : 'month';
+    // Plan changes are prorated, so today's charge can differ from the plan price
+    const totalToday = amountDue !== null && amountDue !== undefined ? parseFloat(amountDue) : planPrice;
+    const subtotal = quote ? parseFloat(quote.subtotal) : totalToday;
+    const creditApplied = quote ? parseFloat(quote.creditApplied) : 0;
 
     return (
         <div className="subscription-payment-overlay" onClick={onClose}>
@@ -145,7 +155,7 @@ const SubscriptionPaymentForm = ({ plan, onSuccess, onError, onClose }) => {
                             <i className="fas fa-crown"></i>
                         </div>
                         <div className="header-text">
-                            <h2>Complete Your Subscription</h2>
+                            <h2>{invoice ? 'Pay Outstanding Invoice' : 'Complete Your Subscription'}</h2>
                             <p>Secure payment powered by Stripe</p>
                         </div>
                     </div>
@@ -284,7 +294,7 @@ const SubscriptionPaymentForm = ({ plan, onSuccess, onError, onClose }) => {
                                     ) : (
                                         <>
                                             <i className="fas fa-lock"></i>
-                                            <span>Subscribe Now - ${planPrice.toFixed(2)}</span>
+                                            <span>{invoice ? 'Pay Now' : 'Subscribe Now'} - ${totalToday.toFixed(2)}</span>
                                         </>
                                     )}
                                 </button>
@@ -295,15 +305,22 @@ const SubscriptionPaymentForm = ({ plan, onSuccess, onError, onClose }) => {
                     {/* Total Summary */}
                     <div className="total-summary">
                         <div className="summary-row">
-                            <span>Subtotal</span>
-                            <span>${planPrice.toFixed(2)}</span>
+                            <span>{quote?.prorated ? 'Prorated plan price' : 'Subtotal'}</span>
+                            <span>${subtotal.toFixed(2)}</span>
                         </div>
+                        {creditApplied > 0 && (
+                            <div className="summary-row">
+                                <span>Credit for unused time</span>
+                                <span>-${creditApplied.toFixed(2)}</span>
+                            </div>
+                        )}
                         <div className="summary-row total-row">
                             <span>Total Today</span>
-                            <strong>${planPrice.toFixed(2)}</strong>
+                            <strong>${totalToday.toFixed(2)}</strong>
                         </div>
                         <p className="billing-note">
-                            You'll be charged ${planPrice.toFixed(2)} {plan.billingCycle === 'YEARLY' ? 'annually' : 'monthly'}. Cancel anytime.
+                            Your card is saved and charged ${planPrice.toFixed(2)} {plan.billingCycle === 'YEARLY' ? 'annually' : 'monthly'}
+                            {quote?.periodEnd ? ` from ${new Date(quote.periodEnd).toLocaleDateString()}` : ''}. Cancel anytime.
                         </p>
                     </div>
                 </div>
@@ -312,14 +329,14 @@ const SubscriptionPaymentForm = ({ plan, onSuccess, onError, onClose }) => {
     );
 };
 
-const SubscriptionPaymentModal = ({ plan, onSuccess, onError, onClose }) => {
+const SubscriptionPaymentModal = ({ plan, invoice, onSuccess, onError, onClose }) => {
     const [activating, setActivating] = useState(false);
 
     if (!plan) return null;
 
     // For free plans, skip payment and activate directly
     const planPrice = parseFloat(plan.price || 0);
-    if (planPrice === 0) {
+    if (planPrice === 0 && !invoice) {
         React.useEffect(() => {
             if (!activating) {
                 setActivating(true);
@@ -364,6 +381,7 @@ const SubscriptionPaymentModal = ({ plan, onSuccess, onError, onClose }) => {
         <Elements stripe={stripePromise}>
             <SubscriptionPaymentForm
                 plan={plan}
+                invoice={invoice}
                 onSuccess={onSuccess}
                 onError={onError}
                 onClose={onClose}
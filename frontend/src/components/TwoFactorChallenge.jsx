@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import api from '../services/api';
+import './TwoFactor.css';
+
+// Second login step: shown after a correct password when the account has 2FA enabled
+const TwoFactorChallenge = ({ challenge, onSuccess, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [resending, setResending] = useState(false);
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState(
+    challenge.method === 'sms'
+      ? (challenge.smsSent
+        ? `We sent a 6-digit code to your phone ${challenge.phoneHint || ''}`.trim()
+        : 'We could not send an SMS code. Try resending or use a recovery code.')
+      : 'Open your authenticator app and enter the 6-digit code.'
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const value = code.trim();
+    if (!value) {
+      setError(useRecoveryCode ? 'Please enter a recovery code.' : 'Please enter your verification code.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.post('/auth/2fa/verify', {
+        twoFactorToken: challenge.twoFactorToken,
+        ...(useRecoveryCode ? { recoveryCode: value } : { code: value })
+      });
+      onSuccess(response.data);
+    } catch (err) {
+      const errorData = err.response?.data;
+      if (errorData?.code === 'INVALID_2FA_TOKEN') {
+        onCancel(errorData.error);
+        return;
+      }
+      setError(errorData?.error || err.message || 'Verification failed. Please try again.');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setResending(true);
+    setError('');
+    try {
+      const response = await api.post('/auth/2fa/resend', { twoFactorToken: challenge.twoFactorToken });
+      setInfo(response.data.message || 'A new code has been sent.');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to resend code.');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <div className="two-factor-panel">
+      <div className="two-factor-heading">
+        <i className="fas fa-shield-alt"></i>
+        <h3>Two-Factor Verification</h3>
+        <p>{useRecoveryCode ? 'Enter one of the recovery codes you saved when setting up two-factor authentication.' : info}</p>
+      </div>
+
+      {error && (
+        <div className="two-factor-error" role="alert">
+          <i className="fas fa-exclamation-circle"></i>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} noValidate className="two-factor-form">
+        <input
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          className="two-factor-code-input"
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          maxLength={useRecoveryCode ? 11 : 6}
+          value={code}
+          onChange={(e) => setCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, ''))}
+          disabled={loading}
+          autoFocus
+        />
+
+        <button type="submit" className="two-factor-submit" disabled={loading}>
+          {loading ? (
+            <>
+              <i className="fas fa-spinner fa-spin"></i> Verifying...
+            </>
+          ) : (
+            <>
+              <i className="fas fa-check"></i> Verify
+            </>
+          )}
+        </button>
+      </form>
+
+      <div className="two-factor-links">
+        <button
+          type="button"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setCode('');
+            setError('');
+          }}
+        >
+          {useRecoveryCode ? 'Use verification code instead' : 'Use a recovery code'}
+        </button>
+        {challenge.method === 'sms' && !useRecoveryCode && (
+          <button type="button" onClick={handleResend} disabled={resending}>
+            {resending ? 'Sending...' : 'Resend code'}
+          </button>
+        )}
+        <button type="button" onClick={() => onCancel()}>
+          Back to login
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorChallenge;
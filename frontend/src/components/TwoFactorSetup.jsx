@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import api from '../services/api';
+import './TwoFactor.css';
+
+// 2FA enrollment: pick a method, confirm a code, then save the recovery codes.
+// Pass twoFactorToken when enrollment is forced during login (no session yet).
+const TwoFactorSetup = ({ twoFactorToken, defaultPhone = '', onComplete, onCancel }) => {
+  const [step, setStep] = useState('method'); // method, verify, recovery
+  const [method, setMethod] = useState('totp');
+  const [phone, setPhone] = useState(defaultPhone);
+  const [secret, setSecret] = useState('');
+  const [otpauthUrl, setOtpauthUrl] = useState('');
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+
+  const tokenPayload = twoFactorToken ? { twoFactorToken } : {};
+
+  const handleStart = async () => {
+    setError('');
+    if (method === 'sms' && !phone.trim()) {
+      setError('Please enter the phone number to receive codes.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.post('/auth/2fa/setup', {
+        ...tokenPayload,
+        method,
+        ...(method === 'sms' ? { phone: phone.trim() } : {})
+      });
+      if (method === 'totp') {
+        setSecret(response.data.secret);
+        setOtpauthUrl(response.data.otpauthUrl);
+        setInfo('');
+      } else {
+        setInfo(response.data.message);
+      }
+      setStep('verify');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start two-factor setup.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (!/^\d{6}$/.test(code)) {
+      setError('Please enter the 6-digit code.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.post('/auth/2fa/enable', { ...tokenPayload, method, code });
+      setRecoveryCodes(response.data.recoveryCodes || []);
+      setResult(response.data);
+      setStep('recovery');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Verification failed. Please try again.');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownloadCodes = () => {
+    const blob = new Blob([recoveryCodes.join('\n') + '\n'], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="two-factor-panel">
+      <div className="two-factor-heading">
+        <i className="fas fa-shield-alt"></i>
+        <h3>Set Up Two-Factor Authentication</h3>
+        {step === 'method' && <p>Protect your account with a second step at sign-in.</p>}
+      </div>
+
+      {error && (
+        <div className="two-factor-error" role="alert">
+          <i className="fas fa-exclamation-circle"></i>
+          <span>{error}</span>
+        </div>
+      )}
+
+      {step === 'method' && (
+        <>
+          <div className="two-factor-methods">
+            <label className={`two-factor-method ${method === 'totp' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="two-factor-method"
+                value="totp"
+                checked={method === 'totp'}
+                onChange={() => setMethod('totp')}
+              />
+              <div>
+                <strong><i className="fas fa-mobile-alt"></i> Authenticator app</strong>
+                <span>Google Authenticator, Authy, 1Password and similar apps (recommended)</span>
+              </div>
+            </label>
+            <label className={`two-factor-method ${method === 'sms' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="two-factor-method"
+                value="sms"
+                checked={method === 'sms'}
+                onChange={() => setMethod('sms')}
+              />
+              <div>
+                <strong><i className="fas fa-sms"></i> Text message (SMS)</strong>
+                <span>Receive a code on your phone each time you sign in</span>
+              </div>
+            </label>
+          </div>
+
+          {method === 'sms' && (
+            <input
+              type="tel"
+              className="two-factor-phone-input"
+              placeholder="+1 555 123 4567"
+              value={phone}
+              onChange={(e) => setPhone(e.target.value)}
+              disabled={loading}
+            />
+          )}
+
+          <div className="two-factor-actions">
+            {onCancel && (
+              <button type="button" className="two-factor-secondary" onClick={() => onCancel()} disabled={loading}>
+                Cancel
+              </button>
+            )}
+            <button type="button" className="two-factor-submit" onClick={handleStart} disabled={loading}>
+              {loading ? <><i className="fas fa-spinner fa-spin"></i> Starting...</> : 'Continue'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === 'verify' && (
+        <form onSubmit={handleConfirm} noValidate className="two-factor-form">
+          {method === 'totp' ? (
+            <div className="two-factor-secret">
+              <p>Add this key to your authenticator app, then enter the 6-digit code it shows.</p>
+              <code>{secret.match(/.{1,4}/g)?.join(' ')}</code>
+              <a href={otpauthUrl} className="two-factor-otpauth-link">
+                <i className="fas fa-external-link-alt"></i> Open in authenticator app
+              </a>
+            </div>
+          ) : (
+            <p className="two-factor-info">{info}</p>
+          )}
+
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            className="two-factor-code-input"
+            placeholder="123456"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+            disabled={loading}
+            autoFocus
+          />
+
+          <div className="two-factor-actions">
+            <button
+              type="button"
+              className="two-factor-secondary"
+              onClick={() => {
+                setStep('method');
+                setCode('');
+                setError('');
+              }}
+              disabled={loading}
+            >
+              Back
+            </button>
+            <button type="submit" className="two-factor-submit" disabled={loading}>
+              {loading ? <><i className="fas fa-spinner fa-spin"></i> Verifying...</> : 'Enable'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === 'recovery' && (
+        <>
+          <p className="two-factor-info">
+            Two-factor authentication is on. Save these recovery codes somewhere safe - each one can be used
+            once to sign in if you lose access to your {method === 'sms' ? 'phone' : 'authenticator app'}.
+          </p>
+          <ul className="two-factor-recovery-codes">
+            {recoveryCodes.map(recoveryCode => (
+              <li key={recoveryCode}><code>{recoveryCode}</code></li>
+            ))}
+          </ul>
+          <div className="two-factor-actions">
+            <button type="button" className="two-factor-secondary" onClick={handleDownloadCodes}>
+              <i className="fas fa-download"></i> Download
+            </button>
+            <button type="button" className="two-factor-submit" onClick={() => onComplete(result)}>
+              I've saved my codes
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
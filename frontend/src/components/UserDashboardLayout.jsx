@@ -2,6 +2,7 @@ import React, { useState, useContext, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import BusinessHeader from './BusinessHeader';
+import NotificationBell from './NotificationBell';
 import api from '../services/api';
 import './UserDashboardLayout.css';
 
@@ -137,6 +138,7 @@ const UserDashboardLayout = ({ children }) => {
   // Customer menu items (only for customers)
   const customerItems = [
     { path: '/user-dashboard/requests', icon: 'fa-clipboard-list', label: 'My Requests' },
+    { path: '/user-dashboard/bookmarks', icon: 'fa-bookmark', label: 'Bookmarks' },
     { path: '/user-dashboard/account-settings', icon: 'fa-cog', label: 'Account Settings' },
   ];
 
@@ -152,8 +154,12 @@ const UserDashboardLayout = ({ children }) => {
     { path: '/user-dashboard/reviews', icon: 'fa-star', label: 'Reviews' },
     { path: '/user-dashboard/leads', icon: 'fa-bullhorn', label: 'My Leads' },
     { path: '/user-dashboard/work-orders', icon: 'fa-tasks', label: 'Work Orders' },
+    { path: '/user-dashboard/earnings', icon: 'fa-chart-line', label: 'Earnings' },
+    { path: '/user-dashboard/availability', icon: 'fa-calendar-alt', label: 'Availability' },
+    { path: '/user-dashboard/webhooks', icon: 'fa-plug', label: 'Webhooks' },
     { path: '/user-dashboard/messages', icon: 'fa-envelope', label: 'Support Tickets' },
     { path: '/user-dashboard/subscriptions', icon: 'fa-crown', label: 'Subscriptions' },
+    { path: '/user-dashboard/bookmarks', icon: 'fa-bookmark', label: 'Bookmarks' },
     { path: '/user-dashboard/account-settings', icon: 'fa-cog', label: 'Account Settings' },
   ];
 
@@ -382,6 +388,9 @@ const UserDashboardLayout = ({ children }) => {
 
       {/* Main Content Area */}
       <div className="modern-dashboard-main">
+        <div className="dashboard-topbar">
+          <NotificationBell />
+        </div>
         {/* Subscription Expired Warning Banner */}
         {subscriptionStatus && subscriptionStatus.status === 'EXPIRED' && location.pathname !== '/user-dashboard/subscriptions' && (
           <div style={{
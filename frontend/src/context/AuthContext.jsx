@@ -60,11 +60,19 @@ export const AuthProvider = ({ children }) => {
 
   const adminLogin = async (email, password) => {
     const response = await api.post('/auth/admin/login', { email, password });
-    const userData = response.data.user || response.data;
-    localStorage.setItem('token', response.data.token);
+    // No token yet when a second factor (or 2FA enrollment) is still required
+    if (response.data.token) {
+      completeLogin(response.data);
+    }
+    return response.data;
+  };
+
+  // Store the session returned by the final login step (password, 2FA verify or 2FA enrollment)
+  const completeLogin = (data) => {
+    const userData = data.user || data;
+    localStorage.setItem('token', data.token);
     localStorage.setItem('user', JSON.stringify(userData));
     setUser(userData);
-    return response.data;
   };
 
   const register = async (name, email, password) => {
@@ -88,13 +96,23 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
+    // Revoke the session server-side; local state is cleared regardless of the outcome
+    api.post('/auth/logout').catch(() => { });
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     setUser(null);
   };
 
+  const logoutAllDevices = async () => {
+    const response = await api.post('/auth/logout-all');
+    localStorage.removeItem('token');
+    localStorage.removeItem('user');
+    setUser(null);
+    return response.data;
+  };
+
   return (
-    <AuthContext.Provider value={{ user, loading, login, adminLogin, register, providerSignup, logout, checkAuth }}>
+    <AuthContext.Provider value={{ user, loading, login, adminLogin, register, providerSignup, logout, logoutAllDevices, checkAuth, completeLogin }}>
       {children}
     </AuthContext.Provider>
   );
@@ -1,10 +1,13 @@
 import React, { useState, useContext, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import TwoFactorSetup from '../components/TwoFactorSetup';
 import './AccountSettings.css';
 
 const AccountSettings = () => {
-  const { user, checkAuth } = useContext(AuthContext);
+  const { user, checkAuth, logoutAllDevices } = useContext(AuthContext);
+  const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ type: '', text: '' });
   const [formData, setFormData] = useState({
@@ -28,6 +31,14 @@ const AccountSettings = () => {
     confirm: false
   });
   const [passwordError, setPasswordError] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [twoFactorStatus, setTwoFactorStatus] = useState(null);
+  const [twoFactorModal, setTwoFactorModal] = useState(null); // setup, disable, recovery
+  const [twoFactorForm, setTwoFactorForm] = useState({ password: '', code: '' });
+  const [twoFactorError, setTwoFactorError] = useState('');
+  const [twoFactorLoading, setTwoFactorLoading] = useState(false);
+  const [newRecoveryCodes, setNewRecoveryCodes] = useState([]);
   const messageRef = useRef(null);
   const passwordErrorRef = useRef(null);
 
@@ -168,6 +179,11 @@ const AccountSettings = () => {
         newPassword: passwordData.newPassword
       });
 
+      // Other sessions are revoked on password change - keep this one on the fresh token
+      if (response.data.token) {
+        localStorage.setItem('token', response.data.token);
+      }
+
       // Only clear on success
       setMessage({ type: 'success', text: 'Password changed successfully!' });
       setShowPasswordModal(false);
@@ -206,6 +222,108 @@ const AccountSettings = () => {
     }
   };
 
+  useEffect(() => {
+    if (user) {
+      loadSessions();
+      loadTwoFactorStatus();
+    }
+  }, [user?.id]);
+
+  const loadTwoFactorStatus = async () => {
+    try {
+      const response = await api.get('/auth/2fa/status');
+      setTwoFactorStatus(response.data);
+    } catch (error) {
+      setTwoFactorStatus(null);
+    }
+  };
+
+  const closeTwoFactorModal = () => {
+    setTwoFactorModal(null);
+    setTwoFactorForm({ password: '', code: '' });
+    setTwoFactorError('');
+    setNewRecoveryCodes([]);
+  };
+
+  const handleSendTwoFactorCode = async () => {
+    setTwoFactorError('');
+    try {
+      await api.post('/auth/2fa/send-code');
+      setMessage({ type: 'success', text: 'A verification code has been sent to your phone.' });
+    } catch (error) {
+      setTwoFactorError(error.response?.data?.error || 'Failed to send code');
+    }
+  };
+
+  const handleTwoFactorAction = async (e) => {
+    e.preventDefault();
+    setTwoFactorError('');
+    setTwoFactorLoading(true);
+
+    try {
+      if (twoFactorModal === 'disable') {
+        await api.post('/auth/2fa/disable', twoFactorForm);
+        closeTwoFactorModal();
+        setMessage({ type: 'success', text: 'Two-factor authentication disabled.' });
+      } else {
+        const response = await api.post('/auth/2fa/recovery-codes', { code: twoFactorForm.code });
+        setNewRecoveryCodes(response.data.recoveryCodes || []);
+      }
+      loadTwoFactorStatus();
+    } catch (error) {
+      setTwoFactorError(error.response?.data?.error || 'Verification failed');
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const loadSessions = async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data.sessions || []);
+    } catch (error) {
+      setSessions([]);
+    }
+  };
+
+  const describeDevice = (userAgent) => {
+    if (!userAgent) return 'Unknown device';
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+      : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+          : /Safari\//.test(userAgent) ? 'Safari'
+            : 'Browser';
+    const os = /Windows/.test(userAgent) ? 'Windows'
+      : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Android/.test(userAgent) ? 'Android'
+          : /Mac OS X/.test(userAgent) ? 'macOS'
+            : /Linux/.test(userAgent) ? 'Linux'
+              : 'Unknown OS';
+    return `${browser} on ${os}`;
+  };
+
+  const handleRevokeSession = async (sessionId) => {
+    try {
+      await api.delete(`/auth/sessions/${sessionId}`);
+      setSessions(sessions.filter(session => session.id !== sessionId));
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to sign out device' });
+    }
+  };
+
+  const handleLogoutAllDevices = async () => {
+    if (!window.confirm('Log out of all devices, including this one?')) return;
+
+    setSessionsLoading(true);
+    try {
+      await logoutAllDevices();
+      navigate('/login');
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to log out of all devices' });
+      setSessionsLoading(false);
+    }
+  };
+
   if (!user) {
     return (
       <div className="account-settings-page">
@@ -357,6 +475,72 @@ const AccountSettings = () => {
                 Change Password
               </button>
             </div>
+            <div className="security-item">
+              <div>
+                <h4>Two-Factor Authentication</h4>
+                <p>
+                  {twoFactorStatus?.enabled
+                    ? `On - ${twoFactorStatus.method === 'sms' ? 'text message' : 'authenticator app'} · ${twoFactorStatus.recoveryCodesRemaining} recovery codes left`
+                    : 'Add a second step when signing in to protect your account'}
+                </p>
+              </div>
+              {twoFactorStatus?.enabled ? (
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <button type="button" className="action-btn" onClick={() => setTwoFactorModal('recovery')}>
+                    New Recovery Codes
+                  </button>
+                  {!twoFactorStatus.required && (
+                    <button type="button" className="action-btn" onClick={() => setTwoFactorModal('disable')}>
+                      Disable
+                    </button>
+                  )}
+                </div>
+              ) : (
+                <button type="button" className="action-btn" onClick={() => setTwoFactorModal('setup')}>
+                  Enable
+                </button>
+              )}
+            </div>
+            <div className="security-item">
+              <div>
+                <h4>Signed-in Devices</h4>
+                <p>
+                  {sessions.length === 0
+                    ? 'Manage where you are signed in'
+                    : `${sessions.length} active session${sessions.length === 1 ? '' : 's'}`}
+                </p>
+              </div>
+              <button
+                type="button"
+                className="action-btn"
+                onClick={handleLogoutAllDevices}
+                disabled={sessionsLoading}
+              >
+                {sessionsLoading ? 'Logging out...' : 'Log Out All Devices'}
+              </button>
+            </div>
+            {sessions.map(session => (
+              <div className="security-item session-item" key={session.id}>
+                <div>
+                  <h4>
+                    <i className="fas fa-desktop"></i> {describeDevice(session.userAgent)}
+                    {session.current && <span className="current-session-badge">This device</span>}
+                  </h4>
+                  <p>
+                    {session.ipAddress || 'Unknown IP'} · Last active {new Date(session.lastUsedAt || session.createdAt).toLocaleString()}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button
+                    type="button"
+                    className="action-btn"
+                    onClick={() => handleRevokeSession(session.id)}
+                  >
+                    Sign Out
+                  </button>
+                )}
+              </div>
+            ))}
           </div>
         </div>
 
@@ -495,6 +679,98 @@ const AccountSettings = () => {
           </div>
         </div>
       )}
+
+      {/* Two-Factor Authentication Modal */}
+      {twoFactorModal && (
+        <div className="modal-overlay" onClick={closeTwoFactorModal}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>
+                <i className="fas fa-shield-alt"></i>{' '}
+                {twoFactorModal === 'setup' ? 'Two-Factor Authentication'
+                  : twoFactorModal === 'disable' ? 'Disable Two-Factor Authentication'
+                    : 'New Recovery Codes'}
+              </h3>
+              <button type="button" className="modal-close" onClick={closeTwoFactorModal}>
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+
+            {twoFactorModal === 'setup' ? (
+              <TwoFactorSetup
+                defaultPhone={user.phone || ''}
+                onComplete={() => {
+                  closeTwoFactorModal();
+                  loadTwoFactorStatus();
+                  setMessage({ type: 'success', text: 'Two-factor authentication enabled!' });
+                }}
+                onCancel={closeTwoFactorModal}
+              />
+            ) : newRecoveryCodes.length > 0 ? (
+              <div className="password-form">
+                <p className="field-hint">Your old recovery codes no longer work. Save these somewhere safe:</p>
+                <ul className="two-factor-recovery-codes">
+                  {newRecoveryCodes.map(recoveryCode => (
+                    <li key={recoveryCode}><code>{recoveryCode}</code></li>
+                  ))}
+                </ul>
+                <div className="modal-actions">
+                  <button type="button" className="save-btn" onClick={closeTwoFactorModal}>
+                    Done
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <form onSubmit={handleTwoFactorAction} className="password-form" noValidate>
+                {twoFactorError && (
+                  <div className="password-error-message password-error-visible">
+                    <i className="fas fa-exclamation-circle"></i>
+                    <span>{twoFactorError}</span>
+                  </div>
+                )}
+                {twoFactorModal === 'disable' && (
+                  <div className="form-field">
+                    <label>Current Password *</label>
+                    <input
+                      type="password"
+                      value={twoFactorForm.password}
+                      onChange={(e) => setTwoFactorForm({ ...twoFactorForm, password: e.target.value })}
+                      placeholder="Enter current password"
+                    />
+                  </div>
+                )}
+                <div className="form-field">
+                  <label>
+                    {twoFactorStatus?.method === 'sms' ? 'SMS Code *' : 'Authenticator Code *'}
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    maxLength={6}
+                    value={twoFactorForm.code}
+                    onChange={(e) => setTwoFactorForm({ ...twoFactorForm, code: e.target.value.replace(/\D/g, '') })}
+                    placeholder="123456"
+                  />
+                  {twoFactorStatus?.method === 'sms' && (
+                    <button type="button" className="action-btn" style={{ marginTop: '8px' }} onClick={handleSendTwoFactorCode}>
+                      Send Code
+                    </button>
+                  )}
+                </div>
+                <div className="modal-actions">
+                  <button type="button" className="cancel-btn" onClick={closeTwoFactorModal}>
+                    Cancel
+                  </button>
+                  <button type="submit" className="save-btn" disabled={twoFactorLoading}>
+                    {twoFactorLoading ? 'Verifying...' : twoFactorModal === 'disable' ? 'Disable' : 'Generate Codes'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useContext, useRef } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import { uploadMedia, mediaUrl, MAX_IMAGE_BYTES } from '../services/media';
 import './Auth.css';
 
 const AddBusiness = () => {
@@ -37,7 +38,7 @@ const AddBusiness = () => {
   const [loading, setLoading] = useState(false);
   const [showAuthOptions, setShowAuthOptions] = useState(false);
   const [createdBusinessId, setCreatedBusinessId] = useState(null);
-  const [imagePreviews, setImagePreviews] = useState([]);
+  const [uploading, setUploading] = useState(false);
   const [videoUrls, setVideoUrls] = useState(['']);
   const [showPassword, setShowPassword] = useState(false);
   const errorRef = useRef(null);
@@ -192,30 +193,37 @@ const AddBusiness = () => {
     }
   };
 
-  const handleImageChange = (e) => {
-    const files = Array.from(e.target.files);
-    const maxSize = 2 * 1024 * 1024; // 2MB
+  // Photos are uploaded to /api/media right away; the business is created with their urls
+  const handleImageChange = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
 
-    files.forEach(file => {
-      if (file.size > maxSize) {
-        setError('Each image must be less than 2MB');
-        return;
-      }
+    if (formData.images.length + files.length > 10) {
+      setError('Maximum 10 images allowed');
+      return;
+    }
+    if (files.some(file => file.size > MAX_IMAGE_BYTES)) {
+      setError('Each image must be less than 10MB');
+      return;
+    }
 
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setImagePreviews(prev => [...prev, reader.result]);
-        setFormData(prev => ({
-          ...prev,
-          images: [...prev.images, reader.result]
-        }));
-      };
-      reader.readAsDataURL(file);
-    });
+    setUploading(true);
+    setError('');
+    try {
+      const media = await uploadMedia(files, 'business_image');
+      setFormData(prev => ({
+        ...prev,
+        images: [...prev.images, ...media.map(item => item.url)]
+      }));
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to upload image');
+    } finally {
+      setUploading(false);
+    }
   };
 
   const removeImage = (index) => {
-    setImagePreviews(prev => prev.filter((_, i) => i !== index));
     setFormData(prev => ({
       ...prev,
       images: prev.images.filter((_, i) => i !== index)
@@ -694,7 +702,42 @@ const AddBusiness = () => {
             />
           </div>
 
-          <button type="submit" className="btn-primary" disabled={loading} style={{ width: '100%', marginTop: '10px' }}>
+          <div className="form-group">
+            <label><i className="fas fa-images"></i> Photos</label>
+            {user ? (
+              <>
+                <input type="file" accept="image/*" multiple onChange={handleImageChange} disabled={uploading} />
+                {uploading && (
+                  <p style={{ color: '#7f8c8d', fontSize: '14px', marginTop: '8px' }}>
+                    <i className="fas fa-spinner fa-spin"></i> Uploading...
+                  </p>
+                )}
+                {formData.images.length > 0 && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginTop: '10px' }}>
+                    {formData.images.map((url, index) => (
+                      <div key={url} style={{ position: 'relative' }}>
+                        <img src={mediaUrl(url, 'thumb')} alt={`Business photo ${index + 1}`} style={{ width: '90px', height: '90px', objectFit: 'cover', borderRadius: '6px' }} />
+                        <button
+                          type="button"
+                          onClick={() => removeImage(index)}
+                          aria-label="Remove photo"
+                          style={{ position: 'absolute', top: '4px', right: '4px', background: 'rgba(0,0,0,0.6)', color: 'white', border: 'none', borderRadius: '50%', width: '22px', height: '22px', cursor: 'pointer' }}
+                        >
+                          <i className="fas fa-times"></i>
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            ) : (
+              <p style={{ color: '#7f8c8d', fontSize: '14px' }}>
+                <i className="fas fa-info-circle"></i> Sign in to add photos now, or add them from your dashboard after your listing is submitted.
+              </p>
+            )}
+          </div>
+
+          <button type="submit" className="btn-primary" disabled={loading || uploading} style={{ width: '100%', marginTop: '10px' }}>
             <i className={`fas ${loading ? 'fa-spinner fa-spin' : 'fa-paper-plane'}`}></i>
             {loading ? ' Submitting...' : ' Submit Business for Review'}
           </button>
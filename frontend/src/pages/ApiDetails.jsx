@@ -1,18 +1,103 @@
-import React, { useState, useContext } from 'react';
+import React, { useState, useContext, useEffect } from 'react';
 import { AuthContext } from '../context/AuthContext';
+import api from '../services/api';
 import './ApiDetails.css';
 
+const API_URL = import.meta.env.VITE_API_URL || '/api';
+const PUBLIC_API_BASE = `${API_URL.startsWith('http') ? API_URL : `${window.location.origin}${API_URL}`}/public/v1`;
+
+const ENDPOINTS = [
+  { method: 'GET', path: '/businesses', scope: 'businesses:read', description: 'List businesses (q, category, city, state, page, limit)' },
+  { method: 'GET', path: '/businesses/:id', scope: 'businesses:read', description: 'Get business details' },
+  { method: 'GET', path: '/categories', scope: 'businesses:read', description: 'List categories' },
+  { method: 'GET', path: '/businesses/:id/reviews', scope: 'reviews:read', description: 'List approved reviews for a business' },
+  { method: 'POST', path: '/service-requests', scope: 'service_requests:write', description: 'Submit a service request as your account' }
+];
+
 const ApiDetails = () => {
   const { user } = useContext(AuthContext);
-  const [apiKey] = useState('xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx');
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState({});
+  const [limits, setLimits] = useState({ defaultRateLimit: 60, maxRateLimit: 600 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [newKey, setNewKey] = useState(null);
   const [copied, setCopied] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState({ name: '', scopes: [], rateLimitPerMinute: '' });
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  const loadKeys = async () => {
+    try {
+      const response = await api.get('/api-keys');
+      setApiKeys(response.data.apiKeys || []);
+      setScopes(response.data.scopes || {});
+      setLimits({
+        defaultRateLimit: response.data.defaultRateLimit,
+        maxRateLimit: response.data.maxRateLimit
+      });
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleCopy = () => {
-    navigator.clipboard.writeText(apiKey);
+    navigator.clipboard.writeText(newKey.key);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
   };
 
+  const toggleScope = (scope) => {
+    const selected = formData.scopes.includes(scope)
+      ? formData.scopes.filter(s => s !== scope)
+      : [...formData.scopes, scope];
+    setFormData({ ...formData, scopes: selected });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api.post('/api-keys', formData);
+      setNewKey({ key: response.data.key, name: response.data.apiKey.name });
+      setFormData({ name: '', scopes: [], rateLimitPerMinute: '' });
+      setShowForm(false);
+      loadKeys();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to create API key');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRotate = async (apiKey) => {
+    if (!window.confirm(`Rotate "${apiKey.name}"? The current key stops working immediately.`)) return;
+    try {
+      const response = await api.post(`/api-keys/${apiKey.id}/rotate`);
+      setNewKey({ key: response.data.key, name: response.data.apiKey.name });
+      loadKeys();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to rotate API key');
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Applications using it will stop working.`)) return;
+    try {
+      await api.delete(`/api-keys/${apiKey.id}`);
+      loadKeys();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to revoke API key');
+    }
+  };
+
   const formatLastLogin = (date) => {
     if (!date) return 'Never';
     const loginDate = new Date(date);
@@ -25,6 +110,8 @@ const ApiDetails = () => {
     });
   };
 
+  const monthlyRequests = (apiKey) => (apiKey.usage || []).reduce((sum, day) => sum + day.requestCount, 0);
+
   return (
     <div className="api-details-container">
       <div className="api-header">
@@ -40,25 +127,141 @@ const ApiDetails = () => {
           API Details
         </h2>
 
-        <div className="api-info-box">
-          <div className="info-item">
-            <label>
-              <i className="fas fa-key"></i> API Key
-            </label>
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {newKey && (
+          <div className="new-key-box">
+            <p>
+              <i className="fas fa-exclamation-triangle"></i>
+              Copy your key for <strong>{newKey.name}</strong> now. For your security it won't be shown again.
+            </p>
             <div className="api-key-container">
               <input
                 type="text"
-                value={apiKey}
+                value={newKey.key}
                 readOnly
                 className="api-key-input"
+                onFocus={(e) => e.target.select()}
               />
               <button onClick={handleCopy} className="copy-btn">
                 <i className={`fas fa-${copied ? 'check' : 'copy'}`}></i>
                 {copied ? 'Copied!' : 'Copy'}
               </button>
+              <button onClick={() => setNewKey(null)} className="secondary-btn">
+                Done
+              </button>
             </div>
           </div>
+        )}
+
+        <div className="api-info-box">
+          <div className="api-keys-header">
+            <label>
+              <i className="fas fa-key"></i> API Keys
+            </label>
+            {!showForm && (
+              <button className="copy-btn" onClick={() => setShowForm(true)}>
+                <i className="fas fa-plus"></i> New Key
+              </button>
+            )}
+          </div>
 
+          {showForm && (
+            <form className="api-key-form" onSubmit={handleCreate}>
+              <div className="info-item">
+                <label>Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  className="info-input"
+                  placeholder="e.g. Partner website"
+                  maxLength={100}
+                  required
+                />
+              </div>
+              <div className="info-item">
+                <label>Scopes</label>
+                <div className="scope-options">
+                  {Object.entries(scopes).map(([scope, description]) => (
+                    <label key={scope} className="scope-option">
+                      <input
+                        type="checkbox"
+                        checked={formData.scopes.includes(scope)}
+                        onChange={() => toggleScope(scope)}
+                      />
+                      <code>{scope}</code> {description}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="info-item">
+                <label>Rate limit (requests per minute)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max={limits.maxRateLimit}
+                  value={formData.rateLimitPerMinute}
+                  onChange={(e) => setFormData({ ...formData, rateLimitPerMinute: e.target.value })}
+                  className="info-input"
+                  placeholder={String(limits.defaultRateLimit)}
+                />
+              </div>
+              <div className="api-key-form-actions">
+                <button type="button" className="secondary-btn" onClick={() => setShowForm(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="copy-btn" disabled={saving || formData.scopes.length === 0}>
+                  {saving ? 'Creating...' : 'Create Key'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {loading ? (
+            <div className="loading"><div className="spinner"></div></div>
+          ) : apiKeys.length === 0 ? (
+            <p className="api-keys-empty">You don't have any API keys yet.</p>
+          ) : (
+            <div className="api-keys-list">
+              {apiKeys.map(apiKey => (
+                <div key={apiKey.id} className={`api-key-row ${apiKey.revokedAt ? 'revoked' : ''}`}>
+                  <div className="api-key-main">
+                    <strong>{apiKey.name}</strong>
+                    <code>{apiKey.keyPrefix}…</code>
+                    <div className="api-key-scopes">
+                      {apiKey.scopes.map(scope => <span key={scope}>{scope}</span>)}
+                    </div>
+                  </div>
+                  <div className="api-key-stats">
+                    <span>{apiKey.rateLimitPerMinute}/min limit</span>
+                    <span>{monthlyRequests(apiKey)} requests (30 days)</span>
+                    <span>{apiKey.requestCount} total</span>
+                    <span>Last used: {apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'Never'}</span>
+                  </div>
+                  <div className="api-key-actions">
+                    {apiKey.revokedAt ? (
+                      <span className="api-key-status">
+                        {apiKey.revokedReason === 'rotated' ? 'Rotated' : 'Revoked'} {new Date(apiKey.revokedAt).toLocaleDateString()}
+                      </span>
+                    ) : (
+                      <>
+                        <button className="secondary-btn" onClick={() => handleRotate(apiKey)}>
+                          <i className="fas fa-sync-alt"></i> Rotate
+                        </button>
+                        <button className="danger-btn" onClick={() => handleRevoke(apiKey)}>
+                          <i className="fas fa-ban"></i> Revoke
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="api-info-box">
           <div className="info-item">
             <label>
               <i className="fas fa-user"></i> User ID
@@ -101,20 +304,26 @@ const ApiDetails = () => {
             <i className="fas fa-book"></i> API Documentation
           </h3>
           <p>
-            Use your API key to integrate with our services. Include the API key in your request headers:
+            Send your API key with every request, either as a bearer token or in an <code>X-API-Key</code> header:
           </p>
           <div className="code-block">
             <code>
-              Authorization: Bearer {apiKey}
+              curl -H "Authorization: Bearer spk_your_key" {PUBLIC_API_BASE}/businesses
             </code>
           </div>
+          <p>
+            Each key can only call the endpoints its scopes allow and is limited to its own number of requests
+            per minute; going over returns <code>429</code> with a <code>retryAfter</code> in seconds.
+          </p>
           <div className="api-endpoints">
-            <h4>Available Endpoints:</h4>
+            <h4>Available Endpoints ({PUBLIC_API_BASE}):</h4>
             <ul>
-              <li><strong>GET /api/businesses</strong> - List all businesses</li>
-              <li><strong>GET /api/businesses/:id</strong> - Get business details</li>
-              <li><strong>POST /api/reviews</strong> - Submit a review</li>
-              <li><strong>GET /api/categories</strong> - List all categories</li>
+              {ENDPOINTS.map(endpoint => (
+                <li key={`${endpoint.method} ${endpoint.path}`}>
+                  <strong>{endpoint.method} {endpoint.path}</strong> - {endpoint.description}
+                  <span className="endpoint-scope">{endpoint.scope}</span>
+                </li>
+              ))}
             </ul>
           </div>
         </div>
@@ -124,4 +333,3 @@ const ApiDetails = () => {
 };
 
 export default ApiDetails;
-
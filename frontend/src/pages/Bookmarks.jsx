@@ -1,22 +1,153 @@
 import React, { useState, useContext, useEffect } from 'react';
 import { AuthContext } from '../context/AuthContext';
 import { Link } from 'react-router-dom';
+import api from '../services/api';
+import { mediaUrl } from '../services/media';
 import './Bookmarks.css';
 
+// Bookmarks used to live in localStorage; move any left there to the server once
+const importLocalBookmarks = async () => {
+  const saved = JSON.parse(localStorage.getItem('bookmarks') || '[]');
+  if (!Array.isArray(saved) || saved.length === 0) {
+    localStorage.removeItem('bookmarks');
+    return;
+  }
+  await api.post('/bookmarks/import', { businessIds: saved.map(b => b.id) });
+  localStorage.removeItem('bookmarks');
+};
+
+const moveItem = (items, index, offset) => {
+  const next = [...items];
+  const [item] = next.splice(index, 1);
+  next.splice(index + offset, 0, item);
+  return next;
+};
+
 const Bookmarks = () => {
   const { user } = useContext(AuthContext);
-  const [bookmarks, setBookmarks] = useState([]);
+  const [lists, setLists] = useState([]);
+  const [activeListId, setActiveListId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [newListName, setNewListName] = useState('');
+  const [editingNoteId, setEditingNoteId] = useState(null);
+  const [noteDraft, setNoteDraft] = useState('');
 
   useEffect(() => {
-    // Fetch bookmarks from localStorage or API
-    const savedBookmarks = JSON.parse(localStorage.getItem('bookmarks') || '[]');
-    setBookmarks(savedBookmarks);
+    const load = async () => {
+      try {
+        await importLocalBookmarks();
+      } catch (error) {
+        console.error('Error importing saved bookmarks:', error);
+      }
+      await loadBookmarks();
+    };
+    load();
   }, []);
 
-  const handleRemoveBookmark = (businessId) => {
-    const updatedBookmarks = bookmarks.filter(b => b.id !== businessId);
-    setBookmarks(updatedBookmarks);
-    localStorage.setItem('bookmarks', JSON.stringify(updatedBookmarks));
+  const loadBookmarks = async () => {
+    try {
+      const response = await api.get('/bookmarks');
+      const loaded = response.data.lists || [];
+      setLists(loaded);
+      setActiveListId(current => (
+        loaded.some(list => list.id === current) ? current : loaded[0]?.id || null
+      ));
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load bookmarks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const activeList = lists.find(list => list.id === activeListId);
+  const bookmarks = activeList?.bookmarks || [];
+
+  const handleCreateList = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+    try {
+      const response = await api.post('/bookmarks/lists', { name: newListName.trim() });
+      setNewListName('');
+      await loadBookmarks();
+      setActiveListId(response.data.list.id);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to create list');
+    }
+  };
+
+  const handleRenameList = async () => {
+    const name = window.prompt('Rename list', activeList.name);
+    if (!name || !name.trim() || name.trim() === activeList.name) return;
+    try {
+      await api.put(`/bookmarks/lists/${activeList.id}`, { name: name.trim() });
+      loadBookmarks();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to rename list');
+    }
+  };
+
+  const handleDeleteList = async () => {
+    if (!window.confirm(`Delete "${activeList.name}" and everything saved in it?`)) return;
+    try {
+      await api.delete(`/bookmarks/lists/${activeList.id}`);
+      setActiveListId(null);
+      loadBookmarks();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to delete list');
+    }
+  };
+
+  const handleMoveList = async (offset) => {
+    const index = lists.findIndex(list => list.id === activeListId);
+    const reordered = moveItem(lists, index, offset);
+    setLists(reordered);
+    try {
+      await api.put('/bookmarks/lists/reorder', { listIds: reordered.map(list => list.id) });
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to reorder lists');
+      loadBookmarks();
+    }
+  };
+
+  const handleMoveBookmark = async (index, offset) => {
+    const reordered = moveItem(bookmarks, index, offset);
+    setLists(lists.map(list => (list.id === activeListId ? { ...list, bookmarks: reordered } : list)));
+    try {
+      await api.put(`/bookmarks/lists/${activeListId}/reorder`, { bookmarkIds: reordered.map(b => b.id) });
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to reorder bookmarks');
+      loadBookmarks();
+    }
+  };
+
+  const handleChangeList = async (bookmark, listId) => {
+    try {
+      await api.put(`/bookmarks/${bookmark.id}`, { listId: parseInt(listId) });
+      loadBookmarks();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to move bookmark');
+    }
+  };
+
+  const handleSaveNote = async (bookmark) => {
+    try {
+      await api.put(`/bookmarks/${bookmark.id}`, { note: noteDraft });
+      setEditingNoteId(null);
+      loadBookmarks();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to save note');
+    }
+  };
+
+  const handleRemoveBookmark = async (bookmarkId) => {
+    try {
+      await api.delete(`/bookmarks/${bookmarkId}`);
+      loadBookmarks();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to remove bookmark');
+    }
   };
 
   const formatLastLogin = (date) => {
@@ -31,6 +162,8 @@ const Bookmarks = () => {
     });
   };
 
+  const activeIndex = lists.findIndex(list => list.id === activeListId);
+
   return (
     <div className="bookmarks-container">
       <div className="bookmarks-header">
@@ -46,57 +179,165 @@ const Bookmarks = () => {
           My Bookmarks
         </h2>
 
-        {bookmarks.length === 0 ? (
+        {error && <div className="alert alert-error">{error}</div>}
+
+        <div className="bookmark-lists-bar">
+          <div className="bookmark-list-tabs">
+            {lists.map(list => (
+              <button
+                key={list.id}
+                className={`bookmark-list-tab ${list.id === activeListId ? 'active' : ''}`}
+                onClick={() => setActiveListId(list.id)}
+              >
+                {list.name} <span className="bookmark-list-count">{list.bookmarks?.length || 0}</span>
+              </button>
+            ))}
+          </div>
+          <form className="new-list-form" onSubmit={handleCreateList}>
+            <input
+              type="text"
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              placeholder="New list name"
+              maxLength={100}
+            />
+            <button type="submit" disabled={!newListName.trim()}>
+              <i className="fas fa-plus"></i> New List
+            </button>
+          </form>
+        </div>
+
+        {activeList && (
+          <div className="bookmark-list-toolbar">
+            <button onClick={() => handleMoveList(-1)} disabled={activeIndex <= 0} title="Move list left">
+              <i className="fas fa-arrow-left"></i>
+            </button>
+            <button onClick={() => handleMoveList(1)} disabled={activeIndex >= lists.length - 1} title="Move list right">
+              <i className="fas fa-arrow-right"></i>
+            </button>
+            <button onClick={handleRenameList}>
+              <i className="fas fa-pen"></i> Rename
+            </button>
+            {!activeList.isDefault && (
+              <button className="danger" onClick={handleDeleteList}>
+                <i className="fas fa-trash-alt"></i> Delete List
+              </button>
+            )}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="loading"><div className="spinner"></div></div>
+        ) : bookmarks.length === 0 ? (
           <div className="empty-state">
             <i className="fas fa-bookmark"></i>
             <h3>No Bookmarks</h3>
-            <p>You haven't bookmarked any businesses yet.</p>
+            <p>{lists.length > 0 ? 'Nothing saved in this list yet.' : "You haven't bookmarked any businesses yet."}</p>
             <Link to="/businesses" className="empty-state-btn">
               Browse Businesses
             </Link>
           </div>
         ) : (
           <div className="bookmarks-grid">
-            {bookmarks.map(bookmark => (
-              <div key={bookmark.id} className="bookmark-card">
-                <div className="bookmark-image">
-                  {bookmark.logo ? (
-                    <img src={bookmark.logo} alt={bookmark.name} />
-                  ) : (
-                    <div className="no-image">
-                      <i className="fas fa-building"></i>
+            {bookmarks.map((bookmark, index) => {
+              const business = bookmark.business || {};
+              return (
+                <div key={bookmark.id} className="bookmark-card">
+                  <div className="bookmark-image">
+                    {business.logo ? (
+                      <img src={mediaUrl(business.logo, 'medium')} alt={business.name} />
+                    ) : (
+                      <div className="no-image">
+                        <i className="fas fa-building"></i>
+                      </div>
+                    )}
+                  </div>
+                  <div className="bookmark-info">
+                    <h3>{business.name}</h3>
+                    <p className="bookmark-category">
+                      <i className="fas fa-tag"></i>
+                      {business.category?.name || 'Uncategorized'}
+                    </p>
+                    <p className="bookmark-address">
+                      <i className="fas fa-map-marker-alt"></i>
+                      {[business.address, business.city, business.state].filter(Boolean).join(', ') || 'No address'}
+                    </p>
+
+                    {editingNoteId === bookmark.id ? (
+                      <div className="bookmark-note-editor">
+                        <textarea
+                          value={noteDraft}
+                          onChange={(e) => setNoteDraft(e.target.value)}
+                          placeholder="Add a note (quotes, who to ask for, ...)"
+                          maxLength={2000}
+                          rows="3"
+                        />
+                        <div className="bookmark-note-actions">
+                          <button onClick={() => handleSaveNote(bookmark)}>Save</button>
+                          <button className="secondary" onClick={() => setEditingNoteId(null)}>Cancel</button>
+                        </div>
+                      </div>
+                    ) : (
+                      <button
+                        className="bookmark-note"
+                        onClick={() => {
+                          setEditingNoteId(bookmark.id);
+                          setNoteDraft(bookmark.note || '');
+                        }}
+                      >
+                        <i className="fas fa-sticky-note"></i>
+                        {bookmark.note || 'Add a note'}
+                      </button>
+                    )}
+
+                    {lists.length > 1 && (
+                      <select
+                        className="bookmark-list-select"
+                        value={bookmark.listId}
+                        onChange={(e) => handleChangeList(bookmark, e.target.value)}
+                      >
+                        {lists.map(list => (
+                          <option key={list.id} value={list.id}>{list.name}</option>
+                        ))}
+                      </select>
+                    )}
+
+                    <div className="bookmark-actions">
+                      <button
+                        className="order-btn"
+                        onClick={() => handleMoveBookmark(index, -1)}
+                        disabled={index === 0}
+                        title="Move up"
+                      >
+                        <i className="fas fa-arrow-up"></i>
+                      </button>
+                      <button
+                        className="order-btn"
+                        onClick={() => handleMoveBookmark(index, 1)}
+                        disabled={index === bookmarks.length - 1}
+                        title="Move down"
+                      >
+                        <i className="fas fa-arrow-down"></i>
+                      </button>
+                      <Link
+                        to={`/businesses/${business.id}`}
+                        className="view-btn"
+                      >
+                        <i className="fas fa-eye"></i>
+                        View
+                      </Link>
+                      <button
+                        onClick={() => handleRemoveBookmark(bookmark.id)}
+                        className="remove-btn"
+                      >
+                        <i className="fas fa-trash-alt"></i>
+                        Remove
+                      </button>
                     </div>
-                  )}
-                </div>
-                <div className="bookmark-info">
-                  <h3>{bookmark.name}</h3>
-                  <p className="bookmark-category">
-                    <i className="fas fa-tag"></i>
-                    {bookmark.category || 'Uncategorized'}
-                  </p>
-                  <p className="bookmark-address">
-                    <i className="fas fa-map-marker-alt"></i>
-                    {bookmark.address || 'No address'}
-                  </p>
-                  <div className="bookmark-actions">
-                    <Link 
-                      to={`/businesses/${bookmark.id}`} 
-                      className="view-btn"
-                    >
-                      <i className="fas fa-eye"></i>
-                      View
-                    </Link>
-                    <button 
-                      onClick={() => handleRemoveBookmark(bookmark.id)} 
-                      className="remove-btn"
-                    >
-                      <i className="fas fa-trash-alt"></i>
-                      Remove
-                    </button>
                   </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         )}
       </div>
@@ -105,4 +346,3 @@ const Bookmarks = () => {
 };
 
 export default Bookmarks;
-
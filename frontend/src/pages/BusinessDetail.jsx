@@ -3,6 +3,9 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import { mediaUrl, mediaSrcSet } from '../services/media';
+import HoneypotField from '../components/HoneypotField';
+import BookmarkButton from '../components/BookmarkButton';
 import './BusinessDetail.css';
 
 const BusinessDetail = () => {
@@ -23,18 +26,40 @@ const BusinessDetail = () => {
     message: ''
   });
   const [contactFormStatus, setContactFormStatus] = useState({ success: '', error: '' });
+  const [contactHoneypot, setContactHoneypot] = useState('');
+  const [contactFormStartedAt, setContactFormStartedAt] = useState(() => Date.now());
   const [contactFormLoading, setContactFormLoading] = useState(false);
+  const [isBookmarked, setIsBookmarked] = useState(false);
+  const [promotions, setPromotions] = useState([]);
+  const [claimedCodes, setClaimedCodes] = useState({});
 
   useEffect(() => {
     loadBusiness();
   }, [id]);
 
+  useEffect(() => {
+    if (!user || !business?.id) {
+      setIsBookmarked(false);
+      return;
+    }
+    api.get('/bookmarks/business-ids')
+      .then(response => setIsBookmarked((response.data.businessIds || []).includes(business.id)))
+      .catch(() => {});
+  }, [business?.id, user]);
+
   useEffect(() => {
     if (business) {
       loadMapCoordinates();
     }
   }, [business]);
 
+  useEffect(() => {
+    if (!business?.id) return;
+    api.get(`/businesses/${business.id}/promotions`)
+      .then(response => setPromotions(response.data.promotions || []))
+      .catch(() => setPromotions([]));
+  }, [business?.id]);
+
   const loadBusiness = async () => {
     try {
       const [businessRes, reviewsRes] = await Promise.all([
@@ -79,12 +104,17 @@ const BusinessDetail = () => {
     setContactFormLoading(true);
 
     try {
-      await api.post(`/businesses/${id}/contact`, contactForm);
+      await api.post(`/businesses/${id}/contact`, {
+        ...contactForm,
+        website: contactHoneypot,
+        formStartedAt: contactFormStartedAt
+      });
       setContactFormStatus({
         success: 'Your message has been sent to the administrator.',
         error: ''
       });
       setContactForm({ name: '', email: '', phone: '', message: '' });
+      setContactFormStartedAt(Date.now());
     } catch (error) {
       setContactFormStatus({
         success: '',
@@ -110,6 +140,20 @@ const BusinessDetail = () => {
     }
   };
 
+  const handleGetCode = async (promotion) => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    try {
+      const response = await api.post(`/businesses/${business.id}/promotions/${promotion.id}/redeem`);
+      setClaimedCodes({ ...claimedCodes, [promotion.id]: response.data.code });
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to get promotion code.');
+    }
+  };
+
   const formatHours = (hours) => {
     const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
     const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
@@ -367,6 +411,7 @@ const BusinessDetail = () => {
                       Featured
                     </span>
                   )}
+                  <BookmarkButton businessId={business.id} saved={isBookmarked} onChange={setIsBookmarked} />
                 </div>
 
                 {business.category && (
@@ -431,6 +476,42 @@ const BusinessDetail = () => {
               </div>
             </section>
 
+            {/* Deals */}
+            {promotions.length > 0 && (
+              <section className="info-section">
+                <div className="section-header">
+                  <i className="fas fa-tags"></i>
+                  <h2>Deals & Promotions</h2>
+                </div>
+                <div className="section-content business-deals">
+                  {promotions.map(promotion => (
+                    <div key={promotion.id} className="business-deal">
+                      <div className="business-deal-info">
+                        <span className="business-deal-discount">{promotion.discountLabel}</span>
+                        <h3>{promotion.title}</h3>
+                        {promotion.description && <p>{promotion.description}</p>}
+                        <span className="business-deal-meta">
+                          {promotion.endsAt
+                            ? `Valid until ${new Date(promotion.endsAt).toLocaleDateString()}`
+                            : 'Ongoing'}
+                          {promotion.remaining !== null && ` · ${promotion.remaining} left`}
+                        </span>
+                      </div>
+                      {promotion.hasCode && (
+                        claimedCodes[promotion.id] ? (
+                          <span className="business-deal-code">{claimedCodes[promotion.id]}</span>
+                        ) : (
+                          <button className="business-deal-btn" onClick={() => handleGetCode(promotion)}>
+                            <i className="fas fa-ticket-alt"></i> Get Code
+                          </button>
+                        )
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+
             {/* Media Gallery */}
             {mediaItems.length > 0 && (
               <section className="info-section">
@@ -444,7 +525,9 @@ const BusinessDetail = () => {
                     <div className="media-main-display" onClick={() => mediaItems.length > 0 && setShowMediaModal(true)}>
                       {mediaItems[activeMediaIndex]?.type === 'image' ? (
                         <img
-                          src={mediaItems[activeMediaIndex].url}
+                          src={mediaUrl(mediaItems[activeMediaIndex].url, 'medium')}
+                          srcSet={mediaSrcSet(mediaItems[activeMediaIndex].url)}
+                          sizes="(max-width: 768px) 100vw, 800px"
                           alt={`${business.name} - ${activeMediaIndex + 1}`}
                         />
                       ) : (
@@ -470,7 +553,7 @@ const BusinessDetail = () => {
                             onClick={() => setActiveMediaIndex(index)}
                           >
                             {item.type === 'image' ? (
-                              <img src={item.url} alt={`Thumbnail ${index + 1}`} />
+                              <img src={mediaUrl(item.url, 'thumb')} alt={`Thumbnail ${index + 1}`} loading="lazy" />
                             ) : (
                               <div className="video-thumbnail">
                                 <i className="fas fa-play-circle"></i>
@@ -535,6 +618,15 @@ const BusinessDetail = () => {
                             <h4 className="review-title">{review.title}</h4>
                           )}
                           <p className="review-text">{review.comment}</p>
+                          {Array.isArray(review.images) && review.images.length > 0 && (
+                            <div className="review-images">
+                              {review.images.map((image, index) => (
+                                <a key={image} href={image} target="_blank" rel="noopener noreferrer">
+                                  <img src={mediaUrl(image, 'thumb')} alt={`Review photo ${index + 1}`} loading="lazy" />
+                                </a>
+                              ))}
+                            </div>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -660,6 +752,7 @@ const BusinessDetail = () => {
                 )}
 
                 <form onSubmit={handleContactSubmit} className="contact-form">
+                  <HoneypotField value={contactHoneypot} onChange={setContactHoneypot} />
                   <div className="form-row">
                     <div className="form-group">
                       <label htmlFor="contact-name">Your Name *</label>
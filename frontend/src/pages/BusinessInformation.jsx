@@ -2,6 +2,7 @@ import React, { useState, useEffect, useContext, useRef } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import { uploadMedia, mediaUrl, MAX_IMAGE_BYTES } from '../services/media';
 import './BusinessInformation.css';
 
 const BusinessInformation = () => {
@@ -541,26 +542,23 @@ const BusinessInformation = () => {
       return;
     }
 
-    if (file.size > 2 * 1024 * 1024) {
-      setMessage({ type: 'error', text: 'Image size must be less than 2MB' });
+    if (file.size > MAX_IMAGE_BYTES) {
+      setMessage({ type: 'error', text: 'Image size must be less than 10MB' });
       return;
     }
 
     setUploadingLogo(true);
-    const reader = new FileReader();
-    reader.onloadend = async () => {
-      try {
-        // Update formData with the new logo
-        setFormData(prev => ({ ...prev, logo: reader.result }));
-        setMessage({ type: 'success', text: 'Logo uploaded successfully! It will be saved when you click "Save Changes".' });
-        setTimeout(() => setMessage({ type: '', text: '' }), 3000);
-      } catch (error) {
-        setMessage({ type: 'error', text: 'Failed to process logo' });
-      } finally {
-        setUploadingLogo(false);
-      }
-    };
-    reader.readAsDataURL(file);
+    try {
+      const [media] = await uploadMedia([file], 'business_logo');
+      // Update formData with the new logo
+      setFormData(prev => ({ ...prev, logo: media.url }));
+      setMessage({ type: 'success', text: 'Logo uploaded successfully! It will be saved when you click "Save Changes".' });
+      setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to upload logo' });
+    } finally {
+      setUploadingLogo(false);
+    }
   };
 
   const handleRemoveLogo = () => {
@@ -741,7 +739,7 @@ const BusinessInformation = () => {
             <div className="logo-upload-area">
               {formData.logo ? (
                 <div className="logo-preview">
-                  <img src={formData.logo} alt="Business Logo" />
+                  <img src={mediaUrl(formData.logo, 'small')} alt="Business Logo" />
                   <button 
                     type="button" 
                     className="remove-logo-btn"
@@ -1,8 +1,62 @@
 import React, { useState, useEffect, useContext } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Circle, Polygon, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
 import './BusinessLocation.css';
 
+// Fix for default marker icons in React-Leaflet
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon-2x.png',
+  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon.png',
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
+});
+
+const DEFAULT_MAP_CENTER = [39.83, -98.58]; // Continental US
+const AREA_COLORS = ['#2563eb', '#16a34a', '#d97706', '#9333ea', '#dc2626', '#0891b2'];
+
+const emptyLocation = () => ({
+  label: '',
+  address: '',
+  city: '',
+  state: '',
+  zipCode: '',
+  phone: '',
+  latitude: null,
+  longitude: null
+});
+
+const newServiceArea = (type, center) => ({
+  type,
+  name: '',
+  zipCodes: '',
+  latitude: type === 'radius' && center ? center.latitude : null,
+  longitude: type === 'radius' && center ? center.longitude : null,
+  radiusMiles: type === 'radius' ? 15 : '',
+  polygon: []
+});
+
+const hasCoords = (place) => place.latitude != null && place.longitude != null &&
+  !isNaN(parseFloat(place.latitude)) && !isNaN(parseFloat(place.longitude));
+
+const sameCoords = (a, b) => hasCoords(a) && hasCoords(b) &&
+  Math.abs(parseFloat(a.latitude) - parseFloat(b.latitude)) < 0.00001 &&
+  Math.abs(parseFloat(a.longitude) - parseFloat(b.longitude)) < 0.00001;
+
+// Adds a polygon vertex wherever the map is clicked while drawing
+const PolygonDrawer = ({ active, onAddPoint }) => {
+  useMapEvents({
+    click: (event) => {
+      if (active) {
+        onAddPoint([event.latlng.lat, event.latlng.lng]);
+      }
+    }
+  });
+  return null;
+};
+
 const BusinessLocation = () => {
   const { user } = useContext(AuthContext);
   const [business, setBusiness] = useState(null);
@@ -17,11 +71,38 @@ const BusinessLocation = () => {
     latitude: null,
     longitude: null
   });
+  const [locations, setLocations] = useState([]);
+  const [serviceAreas, setServiceAreas] = useState([]);
+  const [drawingIndex, setDrawingIndex] = useState(null);
+  const [savingAreas, setSavingAreas] = useState(false);
+  const [areasError, setAreasError] = useState('');
 
   useEffect(() => {
     fetchBusiness();
   }, []);
 
+  const fetchAreas = async (businessId) => {
+    try {
+      const response = await api.get(`/businesses/${businessId}/locations`);
+      setLocations((response.data.locations || []).map(location => ({
+        ...emptyLocation(),
+        ...location,
+        label: location.label || '',
+        address: location.address || '',
+        phone: location.phone || ''
+      })));
+      setServiceAreas((response.data.serviceAreas || []).map(area => ({
+        ...newServiceArea(area.type),
+        ...area,
+        name: area.name || '',
+        zipCodes: (area.zipCodes || []).join(', '),
+        polygon: area.polygon || []
+      })));
+    } catch (error) {
+      console.error('Error fetching locations:', error);
+    }
+  };
+
   const fetchBusiness = async () => {
     try {
       const response = await api.get('/businesses/my-businesses');
@@ -29,6 +110,7 @@ const BusinessLocation = () => {
       if (businesses.length > 0) {
         const biz = businesses[0];
         setBusiness(biz);
+        fetchAreas(biz.id);
         setFormData({
           address: biz.address || '',
           city: biz.city || '',
@@ -106,6 +188,90 @@ const BusinessLocation = () => {
     }
   };
 
+  const updateLocation = (index, changes) => {
+    setLocations(prev => prev.map((location, i) => (i === index ? { ...location, ...changes } : location)));
+  };
+
+  // Fill coordinates (and an empty city/state) from the zip code gazetteer
+  const handleLocationZipBlur = async (index) => {
+    const zipCode = (locations[index].zipCode || '').replace(/[\s\-]/g, '').substring(0, 5);
+    if (zipCode.length !== 5) return;
+    try {
+      const response = await api.get(`/businesses/geocode/${zipCode}`);
+      if (response.data.success) {
+        const place = response.data.location;
+        setLocations(prev => prev.map((location, i) => (i === index ? {
+          ...location,
+          latitude: response.data.coordinates.latitude,
+          longitude: response.data.coordinates.longitude,
+          city: location.city || (place ? place.city : ''),
+          state: location.state || (place ? place.state : '')
+        } : location)));
+      }
+    } catch (error) {
+      console.log('Could not geocode zip code:', error);
+    }
+  };
+
+  const updateArea = (index, changes) => {
+    setServiceAreas(prev => prev.map((area, i) => (i === index ? { ...area, ...changes } : area)));
+  };
+
+  const removeArea = (index) => {
+    setServiceAreas(prev => prev.filter((_, i) => i !== index));
+    setDrawingIndex(null);
+  };
+
+  const addArea = (type) => {
+    setServiceAreas(prev => [...prev, newServiceArea(type, hasCoords(formData) ? formData : null)]);
+    if (type === 'polygon') {
+      setDrawingIndex(serviceAreas.length);
+    }
+  };
+
+  // Places a radius can be centered on: the main address and branches with coordinates
+  const centerOptions = [
+    { key: 'main', label: 'Main address', place: formData },
+    ...locations.map((location, index) => ({
+      key: `location-${index}`,
+      label: location.label || `${location.city || 'Location'} ${location.zipCode}`.trim(),
+      place: location
+    }))
+  ].filter(option => hasCoords(option.place));
+
+  const handleSaveAreas = async () => {
+    if (!business) return;
+    setSavingAreas(true);
+    setAreasError('');
+    try {
+      const response = await api.put(`/businesses/${business.id}/locations`, {
+        locations,
+        serviceAreas: serviceAreas.map(area => ({
+          type: area.type,
+          name: area.name,
+          zipCodes: area.type === 'zip_codes' ? area.zipCodes : undefined,
+          latitude: area.type === 'radius' ? area.latitude : undefined,
+          longitude: area.type === 'radius' ? area.longitude : undefined,
+          radiusMiles: area.type === 'radius' ? area.radiusMiles : undefined,
+          polygon: area.type === 'polygon' ? area.polygon : undefined
+        }))
+      });
+      setDrawingIndex(null);
+      await fetchAreas(business.id);
+      if (response.data.success) {
+        alert('Locations and service areas saved!');
+      }
+    } catch (error) {
+      setAreasError(error.response?.data?.error || 'Failed to save locations and service areas');
+    } finally {
+      setSavingAreas(false);
+    }
+  };
+
+  const mapCenter = hasCoords(formData)
+    ? [parseFloat(formData.latitude), parseFloat(formData.longitude)]
+    : DEFAULT_MAP_CENTER;
+
   const getMapUrl = () => {
     const address = `${formData.address}, ${formData.city}, ${formData.state} ${formData.zipCode}`;
     // Use Google Maps search URL instead of embed API to avoid API key issues
@@ -230,6 +396,238 @@ const BusinessLocation = () => {
           )}
         </div>
       </div>
+
+      <div className="service-area-container">
+        <div className="service-area-editor">
+          <section className="extra-locations">
+            <h3 className="map-title">Other Locations</h3>
+            <p className="section-hint">
+              Branches or offices besides your main address. Customers searching near any of them will find you.
+            </p>
+            {locations.map((location, index) => (
+              <div key={index} className="extra-location-card">
+                <div className="card-header">
+                  <input
+                    type="text"
+                    className="card-title-input"
+                    value={location.label}
+                    onChange={(e) => updateLocation(index, { label: e.target.value })}
+                    placeholder="Branch name (optional)"
+                  />
+                  <button type="button" className="remove-btn" onClick={() => setLocations(prev => prev.filter((_, i) => i !== index))}>
+                    <i className="fas fa-trash"></i>
+                  </button>
+                </div>
+                <div className="form-field">
+                  <input
+                    type="text"
+                    value={location.address}
+                    onChange={(e) => updateLocation(index, { address: e.target.value })}
+                    placeholder="Street address"
+                  />
+                </div>
+                <div className="form-row three">
+                  <div className="form-field">
+                    <input
+                      type="text"
+                      value={location.zipCode}
+                      onChange={(e) => updateLocation(index, { zipCode: e.target.value, latitude: null, longitude: null })}
+                      onBlur={() => handleLocationZipBlur(index)}
+                      placeholder="Zip code *"
+                    />
+                  </div>
+                  <div className="form-field">
+                    <input
+                      type="text"
+                      value={location.city}
+                      onChange={(e) => updateLocation(index, { city: e.target.value })}
+                      placeholder="City *"
+                    />
+                  </div>
+                  <div className="form-field">
+                    <input
+                      type="text"
+                      value={location.state}
+                      onChange={(e) => updateLocation(index, { state: e.target.value })}
+                      placeholder="State *"
+                      maxLength="2"
+                    />
+                  </div>
+                </div>
+              </div>
+            ))}
+            <button type="button" className="add-btn" onClick={() => setLocations(prev => [...prev, emptyLocation()])}>
+              <i className="fas fa-plus"></i> Add Location
+            </button>
+          </section>
+
+          <section className="service-areas">
+            <h3 className="map-title">Service Area</h3>
+            <p className="section-hint">
+              Where you take jobs. Once you add a service area, search results and leads are matched to it instead of your addresses.
+            </p>
+            {serviceAreas.map((area, index) => (
+              <div key={index} className="service-area-card" style={{ borderLeftColor: AREA_COLORS[index % AREA_COLORS.length] }}>
+                <div className="card-header">
+                  <span className="area-type">
+                    {area.type === 'zip_codes' && <><i className="fas fa-list"></i> Zip codes</>}
+                    {area.type === 'radius' && <><i className="fas fa-circle-notch"></i> Radius</>}
+                    {area.type === 'polygon' && <><i className="fas fa-draw-polygon"></i> Drawn area</>}
+                  </span>
+                  <input
+                    type="text"
+                    className="card-title-input"
+                    value={area.name}
+                    onChange={(e) => updateArea(index, { name: e.target.value })}
+                    placeholder="Name (optional)"
+                  />
+                  <button type="button" className="remove-btn" onClick={() => removeArea(index)}>
+                    <i className="fas fa-trash"></i>
+                  </button>
+                </div>
+
+                {area.type === 'zip_codes' && (
+                  <div className="form-field">
+                    <textarea
+                      rows="3"
+                      value={area.zipCodes}
+                      onChange={(e) => updateArea(index, { zipCodes: e.target.value })}
+                      placeholder="Zip codes separated by commas or spaces, e.g. 10001, 10002, 10003"
+                    />
+                  </div>
+                )}
+
+                {area.type === 'radius' && (
+                  <div className="form-row">
+                    <div className="form-field">
+                      <label>Around</label>
+                      <select
+                        value={centerOptions.find(option => sameCoords(option.place, area))?.key || ''}
+                        onChange={(e) => {
+                          const option = centerOptions.find(o => o.key === e.target.value);
+                          if (option) {
+                            updateArea(index, { latitude: option.place.latitude, longitude: option.place.longitude });
+                          }
+                        }}
+                      >
+                        <option value="" disabled>{hasCoords(area) ? 'Saved point' : 'Choose a location'}</option>
+                        {centerOptions.map(option => (
+                          <option key={option.key} value={option.key}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-field">
+                      <label>Miles</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="250"
+                        value={area.radiusMiles}
+                        onChange={(e) => updateArea(index, { radiusMiles: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                )}
+
+                {area.type === 'polygon' && (
+                  <div className="polygon-controls">
+                    <span>{area.polygon.length} points</span>
+                    {drawingIndex === index ? (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => updateArea(index, { polygon: area.polygon.slice(0, -1) })}
+                          disabled={area.polygon.length === 0}
+                        >
+                          Undo point
+                        </button>
+                        <button type="button" onClick={() => setDrawingIndex(null)}>Done</button>
+                      </>
+                    ) : (
+                      <button type="button" onClick={() => setDrawingIndex(index)}>
+                        {area.polygon.length > 0 ? 'Edit on map' : 'Draw on map'}
+                      </button>
+                    )}
+                    {area.polygon.length > 0 && (
+                      <button type="button" onClick={() => updateArea(index, { polygon: [] })}>Clear</button>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+            <div className="add-area-buttons">
+              <button type="button" className="add-btn" onClick={() => addArea('zip_codes')}>
+                <i className="fas fa-plus"></i> Zip codes
+              </button>
+              <button type="button" className="add-btn" onClick={() => addArea('radius')}>
+                <i className="fas fa-plus"></i> Radius
+              </button>
+              <button type="button" className="add-btn" onClick={() => addArea('polygon')}>
+                <i className="fas fa-plus"></i> Draw an area
+              </button>
+            </div>
+          </section>
+
+          {areasError && <div className="areas-error">{areasError}</div>}
+          <button type="button" className="save-btn" onClick={handleSaveAreas} disabled={savingAreas}>
+            {savingAreas ? 'Saving...' : 'Save Locations & Service Area'}
+          </button>
+        </div>
+
+        <div className="map-section">
+          <h3 className="map-title">Coverage Map</h3>
+          {drawingIndex !== null && (
+            <p className="drawing-hint">
+              <i className="fas fa-mouse-pointer"></i> Click the map to add points to the outline, then press Done.
+            </p>
+          )}
+          <div className={`map-container coverage-map ${drawingIndex !== null ? 'drawing' : ''}`}>
+            <MapContainer center={mapCenter} zoom={hasCoords(formData) ? 10 : 4} style={{ height: '100%', width: '100%' }}>
+              <TileLayer
+                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              />
+              <PolygonDrawer
+                active={drawingIndex !== null}
+                onAddPoint={(point) => updateArea(drawingIndex, { polygon: [...serviceAreas[drawingIndex].polygon, point] })}
+              />
+              {hasCoords(formData) && (
+                <Marker position={[parseFloat(formData.latitude), parseFloat(formData.longitude)]}>
+                  <Popup>Main address</Popup>
+                </Marker>
+              )}
+              {locations.filter(hasCoords).map((location, index) => (
+                <Marker key={`location-${index}`} position={[parseFloat(location.latitude), parseFloat(location.longitude)]}>
+                  <Popup>{location.label || `${location.city}, ${location.state}`}</Popup>
+                </Marker>
+              ))}
+              {serviceAreas.map((area, index) => {
+                const color = AREA_COLORS[index % AREA_COLORS.length];
+                if (area.type === 'radius' && hasCoords(area) && parseFloat(area.radiusMiles) > 0) {
+                  return (
+                    <Circle
+                      key={`area-${index}`}
+                      center={[parseFloat(area.latitude), parseFloat(area.longitude)]}
+                      radius={parseFloat(area.radiusMiles) * 1609.34}
+                      pathOptions={{ color, fillOpacity: 0.1 }}
+                    />
+                  );
+                }
+                if (area.type === 'polygon' && area.polygon.length >= 2) {
+                  return (
+                    <Polygon
+                      key={`area-${index}`}
+                      positions={area.polygon}
+                      pathOptions={{ color, fillOpacity: 0.1, dashArray: drawingIndex === index ? '6' : null }}
+                    />
+                  );
+                }
+                return null;
+              })}
+            </MapContainer>
+          </div>
+        </div>
+      </div>
     </div>
   );
 };
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useContext } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import { uploadMedia, MAX_IMAGE_BYTES } from '../services/media';
 import './BusinessOwnerDashboard.css';
 
 const BusinessOwnerDashboard = () => {
@@ -210,42 +211,45 @@ const BusinessOwnerDashboard = () => {
     });
   };
 
-  const handleLogoUpload = (e) => {
+  // Files go to /api/media first; the business only stores the returned urls
+  const handleLogoUpload = async (e) => {
     const file = e.target.files[0];
-    if (file) {
-      if (file.size > 2 * 1024 * 1024) {
-        setError('Logo must be less than 2MB');
-        return;
-      }
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setFormData({ ...formData, logo: reader.result });
-      };
-      reader.readAsDataURL(file);
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > MAX_IMAGE_BYTES) {
+      setError('Logo must be less than 10MB');
+      return;
+    }
+    try {
+      const [media] = await uploadMedia([file], 'business_logo');
+      setFormData(prev => ({ ...prev, logo: media.url }));
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to upload logo');
     }
   };
 
-  const handleImageUpload = (e) => {
-    const files = Array.from(e.target.files);
+  const handleImageUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
     if (formData.images.length + files.length > 10) {
       setError('Maximum 10 images allowed');
       return;
     }
-    
-    files.forEach(file => {
-      if (file.size > 2 * 1024 * 1024) {
-        setError(`Image ${file.name} is too large (max 2MB)`);
-        return;
-      }
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setFormData(prev => ({
-          ...prev,
-          images: [...prev.images, reader.result]
-        }));
-      };
-      reader.readAsDataURL(file);
-    });
+    const tooLarge = files.find(file => file.size > MAX_IMAGE_BYTES);
+    if (tooLarge) {
+      setError(`Image ${tooLarge.name} is too large (max 10MB)`);
+      return;
+    }
+    try {
+      const media = await uploadMedia(files, 'business_image');
+      setFormData(prev => ({
+        ...prev,
+        images: [...prev.images, ...media.map(item => item.url)]
+      }));
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to upload images');
+    }
   };
 
   const removeImage = (index) => {
@@ -934,7 +938,7 @@ const BusinessOwnerDashboard = () => {
                       <label className="upload-placeholder">
                         <i className="fas fa-cloud-upload-alt"></i>
                         <span>Click to upload logo</span>
-                        <small>Max 2MB, JPG/PNG</small>
+                        <small>Max 10MB, JPG/PNG</small>
                         <input 
                           type="file" 
                           accept="image/*" 
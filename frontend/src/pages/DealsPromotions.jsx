@@ -1,61 +1,177 @@
-import React, { useState, useEffect, useContext } from 'react';
-import { AuthContext } from '../context/AuthContext';
+import React, { useState, useEffect } from 'react';
 import api from '../services/api';
 import './DealsPromotions.css';
 
+const DISCOUNT_TYPES = [
+  { value: 'percent', label: 'Percentage off' },
+  { value: 'fixed', label: 'Fixed amount off ($)' },
+  { value: 'free_addon', label: 'Free add-on' }
+];
+
+const MODERATION_LABELS = {
+  pending: 'Awaiting review',
+  approved: 'Approved',
+  rejected: 'Not approved'
+};
+
+const emptyForm = {
+  title: '',
+  description: '',
+  discountType: 'percent',
+  discountValue: '',
+  addOnDescription: '',
+  startsAt: '',
+  endsAt: '',
+  code: '',
+  maxRedemptions: '',
+  categoryIds: [],
+  isActive: true
+};
+
+// <input type="date"> value for a stored timestamp, in the owner's local time
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const discountLabel = (promo) => {
+  if (promo.discountType === 'percent') return `${parseFloat(promo.discountValue)}% OFF`;
+  if (promo.discountType === 'fixed') return `$${parseFloat(promo.discountValue)} OFF`;
+  return `FREE: ${promo.addOnDescription}`;
+};
+
 const DealsPromotions = () => {
-  const { user } = useContext(AuthContext);
+  const [businesses, setBusinesses] = useState([]);
   const [business, setBusiness] = useState(null);
+  const [categories, setCategories] = useState([]);
   const [promotions, setPromotions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    discount: '',
-    validUntil: ''
-  });
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [formData, setFormData] = useState(emptyForm);
 
   useEffect(() => {
     fetchBusiness();
+    api.get('/categories')
+      .then(response => setCategories(response.data.categories || []))
+      .catch(() => {});
   }, []);
 
+  useEffect(() => {
+    if (business) {
+      fetchPromotions(business.id);
+    }
+  }, [business]);
+
   const fetchBusiness = async () => {
     try {
       const response = await api.get('/businesses/my-businesses');
-      const businesses = response.data.businesses || [];
-      if (businesses.length > 0) {
-        setBusiness(businesses[0]);
-        setPromotions(businesses[0].promotions || []);
+      const list = response.data.businesses || [];
+      setBusinesses(list);
+      if (list.length > 0) {
+        setBusiness(list[0]);
+      } else {
+        setLoading(false);
       }
     } catch (error) {
       console.error('Error fetching business:', error);
+      setLoading(false);
+    }
+  };
+
+  const fetchPromotions = async (businessId) => {
+    try {
+      const response = await api.get(`/businesses/${businessId}/promotions?all=true`);
+      setPromotions(response.data.promotions || []);
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
     } finally {
       setLoading(false);
     }
   };
 
   const handleCreate = () => {
-    setFormData({ title: '', description: '', discount: '', validUntil: '' });
+    setFormData({ ...emptyForm, startsAt: toDateInput(new Date()) });
+    setEditingId(null);
+    setFormError('');
     setShowModal(true);
   };
 
+  const handleEdit = (promo) => {
+    setFormData({
+      title: promo.title,
+      description: promo.description || '',
+      discountType: promo.discountType,
+      discountValue: promo.discountValue ? parseFloat(promo.discountValue) : '',
+      addOnDescription: promo.addOnDescription || '',
+      startsAt: toDateInput(promo.startsAt),
+      endsAt: toDateInput(promo.endsAt),
+      code: promo.code || '',
+      maxRedemptions: promo.maxRedemptions || '',
+      categoryIds: promo.categoryIds || [],
+      isActive: promo.isActive
+    });
+    setEditingId(promo.id);
+    setFormError('');
+    setShowModal(true);
+  };
+
+  const toggleCategory = (categoryId) => {
+    const selected = formData.categoryIds.includes(categoryId)
+      ? formData.categoryIds.filter(id => id !== categoryId)
+      : [...formData.categoryIds, categoryId];
+    setFormData({ ...formData, categoryIds: selected });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    // In a real app, this would save to the backend
-    const newPromo = {
-      id: Date.now(),
+    setSaving(true);
+    setFormError('');
+
+    // Deals start at the beginning of the first day and run to the end of the last one
+    const payload = {
       ...formData,
-      createdAt: new Date().toISOString()
+      startsAt: formData.startsAt ? new Date(`${formData.startsAt}T00:00:00`).toISOString() : null,
+      endsAt: formData.endsAt ? new Date(`${formData.endsAt}T23:59:59`).toISOString() : null,
+      maxRedemptions: formData.maxRedemptions === '' ? null : formData.maxRedemptions
     };
-    setPromotions([...promotions, newPromo]);
-    setShowModal(false);
-    alert('Promotion created successfully!');
+
+    try {
+      if (editingId) {
+        await api.put(`/businesses/${business.id}/promotions/${editingId}`, payload);
+      } else {
+        await api.post(`/businesses/${business.id}/promotions`, payload);
+      }
+      setShowModal(false);
+      fetchPromotions(business.id);
+    } catch (error) {
+      setFormError(error.response?.data?.error || 'Failed to save promotion');
+    } finally {
+      setSaving(false);
+    }
   };
 
-  const handleDelete = (id) => {
-    if (window.confirm('Are you sure you want to delete this promotion?')) {
+  const handleToggleActive = async (promo) => {
+    try {
+      await api.put(`/businesses/${business.id}/promotions/${promo.id}`, { isActive: !promo.isActive });
+      fetchPromotions(business.id);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update promotion');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this promotion?')) return;
+    try {
+      await api.delete(`/businesses/${business.id}/promotions/${id}`);
       setPromotions(promotions.filter(p => p.id !== id));
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to delete promotion');
     }
   };
 
@@ -63,6 +179,18 @@ const DealsPromotions = () => {
     return <div className="deals-promotions-page"><div className="loading">Loading...</div></div>;
   }
 
+  if (!business) {
+    return (
+      <div className="deals-promotions-page">
+        <div className="empty-state">
+          <i className="fas fa-store"></i>
+          <h3>No Business Yet</h3>
+          <p>Add a business listing before creating promotions</p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="deals-promotions-page">
       <div className="page-header">
@@ -70,9 +198,22 @@ const DealsPromotions = () => {
           <h1 className="page-title">Deals & Promotions</h1>
           <p className="page-subtitle">Create and manage special offers for your customers</p>
         </div>
-        <button className="create-btn" onClick={handleCreate}>
-          <i className="fas fa-plus"></i> Create Promotion
-        </button>
+        <div className="page-header-actions">
+          {businesses.length > 1 && (
+            <select
+              className="business-select"
+              value={business.id}
+              onChange={(e) => setBusiness(businesses.find(b => b.id === parseInt(e.target.value)))}
+            >
+              {businesses.map(b => (
+                <option key={b.id} value={b.id}>{b.name}</option>
+              ))}
+            </select>
+          )}
+          <button className="create-btn" onClick={handleCreate}>
+            <i className="fas fa-plus"></i> Create Promotion
+          </button>
+        </div>
       </div>
 
       {promotions.length === 0 ? (
@@ -87,7 +228,7 @@ const DealsPromotions = () => {
       ) : (
         <div className="promotions-grid">
           {promotions.map(promo => (
-            <div key={promo.id} className="promotion-card">
+            <div key={promo.id} className={`promotion-card ${promo.isActive ? '' : 'paused'}`}>
               <div className="promo-header">
                 <h3>{promo.title}</h3>
                 <button
@@ -98,12 +239,42 @@ const DealsPromotions = () => {
                   <i className="fas fa-times"></i>
                 </button>
               </div>
-              <p className="promo-description">{promo.description}</p>
+              <div className="promo-badges">
+                <span className={`moderation-badge ${promo.moderationStatus}`}>
+                  {MODERATION_LABELS[promo.moderationStatus]}
+                </span>
+                {!promo.isActive && <span className="moderation-badge paused">Paused</span>}
+              </div>
+              {promo.moderationStatus === 'rejected' && promo.moderationNote && (
+                <p className="moderation-note">
+                  <i className="fas fa-exclamation-circle"></i> {promo.moderationNote}
+                </p>
+              )}
+              {promo.description && <p className="promo-description">{promo.description}</p>}
               <div className="promo-details">
-                <span className="discount">{promo.discount}</span>
-                {promo.validUntil && (
-                  <span className="valid-until">Valid until: {new Date(promo.validUntil).toLocaleDateString()}</span>
+                <span className="discount">{discountLabel(promo)}</span>
+                <span className="valid-until">
+                  {new Date(promo.startsAt).toLocaleDateString()}
+                  {' - '}
+                  {promo.endsAt ? new Date(promo.endsAt).toLocaleDateString() : 'No end date'}
+                </span>
+                {promo.code && (
+                  <span className="promo-code">
+                    <i className="fas fa-ticket-alt"></i> {promo.code}
+                  </span>
                 )}
+                <span className="promo-usage">
+                  <i className="fas fa-users"></i>
+                  {promo.redemptionCount} redeemed{promo.maxRedemptions ? ` of ${promo.maxRedemptions}` : ''}
+                </span>
+              </div>
+              <div className="promo-actions">
+                <button className="cancel-btn" onClick={() => handleEdit(promo)}>
+                  <i className="fas fa-edit"></i> Edit
+                </button>
+                <button className="cancel-btn" onClick={() => handleToggleActive(promo)}>
+                  <i className={`fas fa-${promo.isActive ? 'pause' : 'play'}`}></i> {promo.isActive ? 'Pause' : 'Resume'}
+                </button>
               </div>
             </div>
           ))}
@@ -114,12 +285,16 @@ const DealsPromotions = () => {
         <div className="modal-overlay" onClick={() => setShowModal(false)}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h3>Create New Promotion</h3>
+              <h3>{editingId ? 'Edit Promotion' : 'Create New Promotion'}</h3>
               <button className="modal-close" onClick={() => setShowModal(false)}>
                 <i className="fas fa-times"></i>
               </button>
             </div>
             <form onSubmit={handleSubmit} className="promo-form">
+              {formError && <div className="form-error">{formError}</div>}
+              <p className="form-hint">
+                New promotions, and changes to what a promotion offers, are reviewed by our team before customers see them.
+              </p>
               <div className="form-field">
                 <label>Title *</label>
                 <input
@@ -127,45 +302,125 @@ const DealsPromotions = () => {
                   value={formData.title}
                   onChange={(e) => setFormData({...formData, title: e.target.value})}
                   required
+                  maxLength={150}
                   placeholder="Summer Sale"
                 />
               </div>
               <div className="form-field">
-                <label>Description *</label>
+                <label>Description</label>
                 <textarea
                   value={formData.description}
                   onChange={(e) => setFormData({...formData, description: e.target.value})}
-                  required
                   rows="4"
                   placeholder="Describe your promotion"
                 />
               </div>
               <div className="form-row">
                 <div className="form-field">
-                  <label>Discount *</label>
+                  <label>Discount Type *</label>
+                  <select
+                    value={formData.discountType}
+                    onChange={(e) => setFormData({...formData, discountType: e.target.value})}
+                  >
+                    {DISCOUNT_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {formData.discountType === 'free_addon' ? (
+                  <div className="form-field">
+                    <label>Free Add-on *</label>
+                    <input
+                      type="text"
+                      value={formData.addOnDescription}
+                      onChange={(e) => setFormData({...formData, addOnDescription: e.target.value})}
+                      required
+                      maxLength={255}
+                      placeholder="Free gutter cleaning"
+                    />
+                  </div>
+                ) : (
+                  <div className="form-field">
+                    <label>{formData.discountType === 'percent' ? 'Percent Off *' : 'Amount Off ($) *'}</label>
+                    <input
+                      type="number"
+                      min="0.01"
+                      max={formData.discountType === 'percent' ? '100' : undefined}
+                      step="0.01"
+                      value={formData.discountValue}
+                      onChange={(e) => setFormData({...formData, discountValue: e.target.value})}
+                      required
+                      placeholder={formData.discountType === 'percent' ? '20' : '50'}
+                    />
+                  </div>
+                )}
+              </div>
+              <div className="form-row">
+                <div className="form-field">
+                  <label>Starts *</label>
                   <input
-                    type="text"
-                    value={formData.discount}
-                    onChange={(e) => setFormData({...formData, discount: e.target.value})}
+                    type="date"
+                    value={formData.startsAt}
+                    onChange={(e) => setFormData({...formData, startsAt: e.target.value})}
                     required
-                    placeholder="20% OFF"
                   />
                 </div>
                 <div className="form-field">
                   <label>Valid Until</label>
                   <input
                     type="date"
-                    value={formData.validUntil}
-                    onChange={(e) => setFormData({...formData, validUntil: e.target.value})}
+                    value={formData.endsAt}
+                    min={formData.startsAt || undefined}
+                    onChange={(e) => setFormData({...formData, endsAt: e.target.value})}
                   />
                 </div>
               </div>
+              <div className="form-row">
+                <div className="form-field">
+                  <label>Redemption Code</label>
+                  <input
+                    type="text"
+                    value={formData.code}
+                    onChange={(e) => setFormData({...formData, code: e.target.value.toUpperCase()})}
+                    maxLength={50}
+                    placeholder="SUMMER20"
+                  />
+                </div>
+                <div className="form-field">
+                  <label>Usage Cap</label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={formData.maxRedemptions}
+                    onChange={(e) => setFormData({...formData, maxRedemptions: e.target.value})}
+                    placeholder="Unlimited"
+                  />
+                </div>
+              </div>
+              {categories.length > 0 && (
+                <div className="form-field">
+                  <label>Show in categories (leave empty to show everywhere)</label>
+                  <div className="category-checkboxes">
+                    {categories.map(category => (
+                      <label key={category.id} className="category-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={formData.categoryIds.includes(category.id)}
+                          onChange={() => toggleCategory(category.id)}
+                        />
+                        {category.name}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
               <div className="modal-actions">
                 <button type="button" className="cancel-btn" onClick={() => setShowModal(false)}>
                   Cancel
                 </button>
-                <button type="submit" className="submit-btn">
-                  Create Promotion
+                <button type="submit" className="submit-btn" disabled={saving}>
+                  {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Create Promotion'}
                 </button>
               </div>
             </form>
@@ -177,4 +432,3 @@ const DealsPromotions = () => {
 };
 
 export default DealsPromotions;
-
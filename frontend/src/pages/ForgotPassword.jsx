@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import './Auth.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const trimmedEmail = email.trim();
+    if (!trimmedEmail) {
+      setError('Email address is required.');
+      return;
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmedEmail)) {
+      setError('Please enter a valid email address.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.post('/auth/forgot-password', { email: trimmedEmail });
+      setSuccess(response.data.message || 'If an account exists for this email, a password reset link has been sent.');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to send reset link. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-header">
+          <h2>Forgot Password</h2>
+          <p>Enter your email and we'll send you a link to reset your password</p>
+        </div>
+
+        <div className="alert-container">
+          {error && (
+            <div className="alert alert-error" role="alert">
+              <i className="fas fa-exclamation-circle"></i>
+              <span>{error}</span>
+            </div>
+          )}
+
+          {success && (
+            <div className="alert alert-success" role="alert">
+              <i className="fas fa-check-circle"></i>
+              <span>{success}</span>
+            </div>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} noValidate className="auth-form">
+          <div className="form-group">
+            <label htmlFor="email">
+              <i className="fas fa-envelope"></i> Email Address
+            </label>
+            <input
+              id="email"
+              type="email"
+              autoComplete="email"
+              placeholder="Enter your email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={error ? 'input-error' : ''}
+              disabled={loading}
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="btn-primary"
+            disabled={loading}
+            aria-busy={loading}
+          >
+            {loading ? (
+              <>
+                <i className="fas fa-spinner fa-spin"></i>
+                <span>Sending...</span>
+              </>
+            ) : (
+              <>
+                <i className="fas fa-paper-plane"></i>
+                <span>Send Reset Link</span>
+              </>
+            )}
+          </button>
+        </form>
+
+        <p className="auth-link">
+          Remembered your password? <Link to="/login">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
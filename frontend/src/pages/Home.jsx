@@ -60,8 +60,8 @@ const Home = () => {
 
     if (value.length > 1) {
       try {
-        const response = await api.get(`/businesses?limit=5&search=${value}`);
-        setBusinessSuggestions(response.data.businesses || []);
+        const response = await api.get('/search/suggestions', { params: { q: value } });
+        setBusinessSuggestions(response.data.suggestions || []);
         setShowBusinessSuggestions(true);
       } catch (error) {
       }
@@ -93,10 +93,18 @@ const Home = () => {
     }
   };
 
-  const selectBusinessSuggestion = (business) => {
-    setSearchQuery(business.name);
+  const selectBusinessSuggestion = (suggestion) => {
+    setSearchQuery(suggestion.name);
     setShowBusinessSuggestions(false);
-    navigate(`/businesses/${business.id}`);
+    if (suggestion.type === 'business') {
+      navigate(`/businesses/${suggestion.id}`);
+    } else if (suggestion.type === 'category') {
+      navigate(`/category/${suggestion.slug}`);
+    } else {
+      const params = new URLSearchParams({ q: suggestion.name });
+      if (location) params.append('city', location);
+      navigate(`/search?${params.toString()}`);
+    }
   };
 
   const selectLocationSuggestion = (location) => {
@@ -199,16 +207,17 @@ const Home = () => {
                 />
                 {showBusinessSuggestions && businessSuggestions.length > 0 && (
                   <div className="suggestions-dropdown">
-                    {businessSuggestions.map((business) => (
+                    {businessSuggestions.map((suggestion) => (
                       <div
-                        key={business.id}
+                        key={`${suggestion.type}-${suggestion.id || suggestion.name}`}
                         className="suggestion-item"
-                        onClick={() => selectBusinessSuggestion(business)}
+                        onClick={() => selectBusinessSuggestion(suggestion)}
                       >
-                        <i className="fas fa-building"></i>
+                        <i className={`fas fa-${suggestion.icon || 'briefcase'}`}></i>
                         <div className="suggestion-content">
-                          <strong>{business.name}</strong>
-                          <span>{business.city}, {business.state}</span>
+                          <strong>{suggestion.name}</strong>
+                          {suggestion.type === 'business' && <span>{suggestion.city}, {suggestion.state}</span>}
+                          {suggestion.type === 'category' && <span>Category</span>}
                         </div>
                       </div>
                     ))}
@@ -2,12 +2,14 @@ import React, { useState, useContext, useCallback, useRef, useEffect } from 'rea
 import { useNavigate, Link, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
+import TwoFactorSetup from '../components/TwoFactorSetup';
 import './Auth.css';
 
 const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login } = useContext(AuthContext);
+  const { login, completeLogin } = useContext(AuthContext);
 
   // Form state - NEVER reset, use refs to preserve across renders
   const formDataRef = useRef({ email: '', password: '' });
@@ -25,6 +27,10 @@ const Login = () => {
   const [resendLoading, setResendLoading] = useState(false);
   const [resendSuccess, setResendSuccess] = useState('');
 
+  // Second login step (2FA code or forced 2FA enrollment)
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const [twoFactorSetupToken, setTwoFactorSetupToken] = useState(null);
+
   // Sync refs with state
   useEffect(() => {
     formDataRef.current = formData;
@@ -95,6 +101,47 @@ const Login = () => {
     }
   }, []);
 
+  // Shared by password-only logins and logins finished through 2FA
+  const handleLoginComplete = useCallback(async () => {
+    // Clear all errors on success
+    setError('');
+    errorRef.current = '';
+    setFieldErrors({ email: '', password: '' });
+    setNeedsVerification(false);
+
+    // Check for pending business to link
+    const pendingBusinessId = localStorage.getItem('pendingBusinessId');
+    if (pendingBusinessId) {
+      try {
+        await api.post('/businesses/link-to-account', { businessIds: [pendingBusinessId] });
+        localStorage.removeItem('pendingBusinessId');
+        navigate('/user-dashboard/my-businesses');
+        return;
+      } catch (linkError) {
+        // Silently handle link error and continue with normal redirect
+      }
+    }
+
+    // Redirect to intended destination
+    const from = location.state?.from || '/';
+    navigate(from);
+  }, [navigate, location]);
+
+  const handleTwoFactorSuccess = useCallback(async (data) => {
+    completeLogin(data);
+    setTwoFactorChallenge(null);
+    setTwoFactorSetupToken(null);
+    await handleLoginComplete();
+  }, [completeLogin, handleLoginComplete]);
+
+  const handleTwoFactorCancel = useCallback((message) => {
+    setTwoFactorChallenge(null);
+    setTwoFactorSetupToken(null);
+    const errorMsg = message || '';
+    setError(errorMsg);
+    errorRef.current = errorMsg;
+  }, []);
+
   const handleSubmit = useCallback(async (e) => {
     // CRITICAL: Prevent any default behavior
     if (e) {
@@ -142,30 +189,23 @@ const Login = () => {
     try {
       const result = await login(currentEmail, currentPassword);
 
-      // Only navigate on successful login
-      if (result && result.token) {
-        // Clear all errors on success
+      // Password was correct but the account needs a second factor first
+      if (result?.requiresTwoFactor) {
         setError('');
         errorRef.current = '';
-        setFieldErrors({ email: '', password: '' });
-        setNeedsVerification(false);
-
-        // Check for pending business to link
-        const pendingBusinessId = localStorage.getItem('pendingBusinessId');
-        if (pendingBusinessId) {
-          try {
-            await api.post('/businesses/link-to-account', { businessIds: [pendingBusinessId] });
-            localStorage.removeItem('pendingBusinessId');
-            navigate('/user-dashboard/my-businesses');
-            return;
-          } catch (linkError) {
-            // Silently handle link error and continue with normal redirect
-          }
-        }
+        setTwoFactorChallenge(result);
+        return;
+      }
+      if (result?.requiresTwoFactorSetup) {
+        setError('');
+        errorRef.current = '';
+        setTwoFactorSetupToken(result.twoFactorToken);
+        return;
+      }
 
-        // Redirect to intended destination
-        const from = location.state?.from || '/';
-        navigate(from);
+      // Only navigate on successful login
+      if (result && result.token) {
+        await handleLoginComplete();
       }
     } catch (err) {
       // CRITICAL: Preserve form data - NEVER reset it
@@ -226,7 +266,7 @@ const Login = () => {
     } finally {
       setLoading(false);
     }
-  }, [login, navigate, location]);
+  }, [login, handleLoginComplete]);
 
   // Prevent any accidental navigation or refresh
   useEffect(() => {
@@ -241,6 +281,28 @@ const Login = () => {
     return () => window.removeEventListener('beforeunload', handleBeforeUnload);
   }, [loading]);
 
+  if (twoFactorChallenge || twoFactorSetupToken) {
+    return (
+      <div className="auth-page">
+        <div className="auth-container">
+          {twoFactorChallenge ? (
+            <TwoFactorChallenge
+              challenge={twoFactorChallenge}
+              onSuccess={handleTwoFactorSuccess}
+              onCancel={handleTwoFactorCancel}
+            />
+          ) : (
+            <TwoFactorSetup
+              twoFactorToken={twoFactorSetupToken}
+              onComplete={handleTwoFactorSuccess}
+              onCancel={handleTwoFactorCancel}
+            />
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-page">
       <div className="auth-container">
@@ -346,6 +408,10 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="forgot-password-link">
+            <Link to="/forgot-password">Forgot your password?</Link>
+          </div>
+
           <button
             type="submit"
             className="btn-primary"
@@ -260,6 +260,10 @@ const MyBusiness = () => {
                       <i className="fas fa-eye"></i>
                       <span>{business.views || 0}</span>
                     </div>
+                    <div className="stat-item" title={`Saved by ${business.savedCount || 0} ${business.savedCount === 1 ? 'user' : 'users'}`}>
+                      <i className="fas fa-bookmark"></i>
+                      <span>{business.savedCount || 0}</span>
+                    </div>
                   </div>
                   {business.rejectionReason && (
                     <div className="rejection-notice">
@@ -1,12 +1,17 @@
 import React, { useState, useEffect, useContext } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
 import ReviewForm from '../components/ReviewForm';
+import MessageThread from '../components/MessageThread';
+import AppointmentSlotPicker, { formatAppointmentTime } from '../components/AppointmentSlotPicker';
+import AppointmentModal from '../components/AppointmentModal';
+import MilestonePaymentModal from '../components/MilestonePaymentModal';
 import './MyRequests.css';
 
 const MyRequests = () => {
     const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
     const { user } = useContext(AuthContext);
     const [requests, setRequests] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -34,6 +39,13 @@ const MyRequests = () => {
     const [showConfirmAcceptModal, setShowConfirmAcceptModal] = useState(false);
     const [selectedProposalForAccept, setSelectedProposalForAccept] = useState(null);
     const [acceptingProposal, setAcceptingProposal] = useState(false);
+    const [appointmentStart, setAppointmentStart] = useState(null);
+    const [showAppointmentModal, setShowAppointmentModal] = useState(false);
+    const [activeThread, setActiveThread] = useState(null);
+    const [unreadByRequest, setUnreadByRequest] = useState({});
+    const [unreadByProvider, setUnreadByProvider] = useState({});
+    const [payingMilestone, setPayingMilestone] = useState(null);
+    const [approvingMilestoneId, setApprovingMilestoneId] = useState(null);
 
     useEffect(() => {
         loadRequests();
@@ -46,6 +58,58 @@ const MyRequests = () => {
         };
     }, [statusFilter, pagination.page]);
 
+    useEffect(() => {
+        loadUnreadCounts();
+
+        // Deep link from the new message email
+        const conversationId = searchParams.get('conversation');
+        if (conversationId) {
+            setActiveThread({ conversationId });
+            searchParams.delete('conversation');
+            setSearchParams(searchParams, { replace: true });
+        }
+    }, []);
+
+    // New messages arrive through the dashboard notification stream
+    useEffect(() => {
+        const handleMessage = () => loadUnreadCounts();
+        window.addEventListener('realtime:message', handleMessage);
+        return () => window.removeEventListener('realtime:message', handleMessage);
+    }, []);
+
+    const loadUnreadCounts = async () => {
+        try {
+            const response = await api.get('/messages/unread-count');
+            setUnreadByRequest(response.data.byServiceRequest || {});
+        } catch (error) {
+            console.error('Error loading unread messages:', error);
+        }
+    };
+
+    // Unread counts per provider for the request open in the detail modal
+    const loadRequestConversations = async (requestId) => {
+        try {
+            const response = await api.get(`/messages/conversations?serviceRequestId=${requestId}`);
+            const counts = {};
+            (response.data.data || []).forEach(conversation => {
+                if (conversation.otherParticipant) {
+                    counts[conversation.otherParticipant.id] = conversation.unreadCount;
+                }
+            });
+            setUnreadByProvider(counts);
+        } catch (error) {
+            console.error('Error loading conversations:', error);
+        }
+    };
+
+    const closeThread = () => {
+        setActiveThread(null);
+        loadUnreadCounts();
+        if (selectedRequest?.id) {
+            loadRequestConversations(selectedRequest.id);
+        }
+    };
+
     // Auto-refresh request details when modal is open and status is LEAD_ASSIGNED
     useEffect(() => {
         if (showModal && selectedRequest && selectedRequest.status === 'LEAD_ASSIGNED') {
@@ -166,6 +230,8 @@ const MyRequests = () => {
         setMessage({ type: '', text: '' }); // Clear any previous messages
         setReviewStatus(null);
         setShowReviewForm(false);
+        setUnreadByProvider({});
+        loadRequestConversations(requestId);
 
         try {
             const response = await api.get(`/service-requests/my/service-requests/${requestId}`);
@@ -292,6 +358,7 @@ const MyRequests = () => {
 
     const handleAcceptProposal = (proposal) => {
         setSelectedProposalForAccept(proposal);
+        setAppointmentStart(null);
         setShowConfirmAcceptModal(true);
     };
 
@@ -311,16 +378,19 @@ const MyRequests = () => {
 
             const response = await api.post(
                 `/service-requests/my/service-requests/${requestId}/proposals/${proposalId}/accept`,
-                {},
+                appointmentStart ? { appointmentStart } : {},
                 {
                     timeout: 60000
                 }
             );
 
             if (response.data.success) {
+                const appointment = response.data.data?.appointment;
                 setMessage({
                     type: 'success',
-                    text: 'Proposal accepted successfully! Work has started.'
+                    text: appointment
+                        ? `Proposal accepted! Your appointment is booked for ${formatAppointmentTime(appointment.start, appointment.timezone)}.`
+                        : 'Proposal accepted successfully! Work has started.'
                 });
 
                 // Small delay to ensure backend has processed the update
@@ -463,6 +533,51 @@ const MyRequests = () => {
         }
     };
 
+    const handleMilestonePaid = async (milestone) => {
+        setPayingMilestone(null);
+        setMessage({
+            type: 'success',
+            text: `Payment for "${milestone.title}" received. Approve it once the work for this milestone is done.`
+        });
+        await handleViewDetails(selectedRequest.id);
+        setTimeout(() => setMessage({ type: '', text: '' }), 5000);
+    };
+
+    const handleApproveMilestone = async (milestone) => {
+        if (!selectedRequest) return;
+
+        if (!window.confirm(`Approve "${milestone.title}"? This releases $${milestone.amount.toFixed(2)} to the provider.`)) {
+            return;
+        }
+
+        try {
+            setApprovingMilestoneId(milestone.id);
+            setMessage({ type: '', text: '' });
+            const response = await api.patch(
+                `/service-requests/my/service-requests/${selectedRequest.id}/approve`,
+                { milestoneId: milestone.id }
+            );
+
+            if (response.data.success) {
+                setMessage({
+                    type: 'success',
+                    text: response.data.message || 'Milestone approved'
+                });
+                await handleViewDetails(selectedRequest.id);
+                loadRequests();
+                setTimeout(() => setMessage({ type: '', text: '' }), 5000);
+            }
+        } catch (error) {
+            console.error('Error approving milestone:', error);
+            setMessage({
+                type: 'error',
+                text: error.response?.data?.error || 'Failed to approve milestone'
+            });
+        } finally {
+            setApprovingMilestoneId(null);
+        }
+    };
+
     const handleCancelRequest = () => {
         if (!selectedRequest) return;
         setCancelRejectionReason('');
@@ -548,6 +663,16 @@ const MyRequests = () => {
         return timeString ? `${formattedDate} - ${timeString}` : formattedDate;
     };
 
+    const activeWorkOrder = selectedRequest?.workOrders?.find(workOrder => workOrder.status === 'IN_PROGRESS') || null;
+
+    const handleAppointmentSaved = async () => {
+        setShowAppointmentModal(false);
+        setMessage({ type: 'success', text: 'Appointment updated. The provider has been notified.' });
+        if (selectedRequest) {
+            await handleViewDetails(selectedRequest.id);
+        }
+    };
+
     return (
         <div className="my-requests-page">
             <div className="page-header">
@@ -665,6 +790,11 @@ const MyRequests = () => {
                                             >
                                                 <i className="fas fa-eye"></i>
                                                 View Details
+                                                {unreadByRequest[request.id] > 0 && (
+                                                    <span className="unread-badge" title="Unread messages">
+                                                        {unreadByRequest[request.id]}
+                                                    </span>
+                                                )}
                                             </button>
                                         </td>
                                     </tr>
@@ -783,6 +913,43 @@ const MyRequests = () => {
                                         </div>
                                     </div>
 
+                                    {/* Booked appointment on the active work order */}
+                                    {activeWorkOrder && (
+                                        <div className="detail-section">
+                                            <h3>
+                                                <i className="fas fa-calendar-check"></i>
+                                                Appointment
+                                            </h3>
+                                            {activeWorkOrder.appointment && activeWorkOrder.appointment.status !== 'cancelled' ? (
+                                                <div className="appointment-summary">
+                                                    <i className="fas fa-clock"></i>
+                                                    <span>
+                                                        {formatAppointmentTime(activeWorkOrder.appointment.start, activeWorkOrder.appointment.timezone)}
+                                                        {activeWorkOrder.appointment.businessName && ` with ${activeWorkOrder.appointment.businessName}`}
+                                                        {activeWorkOrder.appointment.status === 'rescheduled' && ' (rescheduled)'}
+                                                    </span>
+                                                    <div className="appointment-summary-actions">
+                                                        <button type="button" onClick={() => setShowAppointmentModal(true)}>
+                                                            Reschedule / Cancel
+                                                        </button>
+                                                    </div>
+                                                </div>
+                                            ) : (
+                                                <div className={`appointment-summary ${activeWorkOrder.appointment ? 'cancelled' : ''}`}>
+                                                    <i className="fas fa-calendar-plus"></i>
+                                                    <span>
+                                                        {activeWorkOrder.appointment ? 'Your appointment was cancelled.' : 'No appointment booked yet.'}
+                                                    </span>
+                                                    <div className="appointment-summary-actions">
+                                                        <button type="button" onClick={() => setShowAppointmentModal(true)}>
+                                                            Book a Time
+                                                        </button>
+                                                    </div>
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
+
                                     {/* Attachments */}
                                     {selectedRequest.attachments && Array.isArray(selectedRequest.attachments) && selectedRequest.attachments.length > 0 && (
                                         <div className="detail-section">
@@ -879,7 +1046,77 @@ const MyRequests = () => {
                                                                 {proposal.createdAt && (
                                                                     <span><i className="fas fa-calendar"></i> {formatDate(proposal.createdAt)}</span>
                                                                 )}
+                                                                {proposal.provider?.id && (
+                                                                    <button
+                                                                        className="btn-message"
+                                                                        onClick={() => setActiveThread({
+                                                                            serviceRequestId: selectedRequest.id,
+                                                                            providerId: proposal.provider.id
+                                                                        })}
+                                                                    >
+                                                                        <i className="fas fa-comments"></i>
+                                                                        Message Provider
+                                                                        {unreadByProvider[proposal.provider.id] > 0 && (
+                                                                            <span className="unread-badge">{unreadByProvider[proposal.provider.id]}</span>
+                                                                        )}
+                                                                    </button>
+                                                                )}
                                                             </div>
+                                                            {Array.isArray(proposal.milestones) && proposal.milestones.length > 0 && (
+                                                                <div className="proposal-milestones">
+                                                                    <label className="proposal-details-label">
+                                                                        <i className="fas fa-list-ol"></i>
+                                                                        Payment Milestones:
+                                                                    </label>
+                                                                    {proposal.milestones.map((milestone, milestoneIndex) => {
+                                                                        const milestoneAmount = parseFloat(milestone.amount);
+                                                                        const isPaid = milestone.paymentStatus === 'succeeded';
+                                                                        const canPay = proposal.status === 'ACCEPTED' && !isPaid && selectedRequest.status !== 'APPROVED';
+                                                                        const canApprove = proposal.status === 'ACCEPTED' && isPaid && !milestone.approvedAt;
+                                                                        return (
+                                                                            <div key={milestone.id || milestoneIndex} className="milestone-item">
+                                                                                <div className="milestone-info">
+                                                                                    <strong>{milestone.title}</strong>
+                                                                                    <span className="milestone-due">
+                                                                                        {milestone.dueCondition === 'custom' && milestone.description
+                                                                                            ? milestone.description
+                                                                                            : milestone.dueConditionLabel || milestone.dueCondition}
+                                                                                    </span>
+                                                                                </div>
+                                                                                <div className="milestone-amount">${milestoneAmount.toFixed(2)}</div>
+                                                                                <div className="milestone-state">
+                                                                                    {milestone.approvedAt ? (
+                                                                                        <span className="milestone-badge approved">Approved</span>
+                                                                                    ) : isPaid ? (
+                                                                                        <span className="milestone-badge paid">Paid</span>
+                                                                                    ) : milestone.paymentStatus === 'failed' ? (
+                                                                                        <span className="milestone-badge failed">Payment failed</span>
+                                                                                    ) : proposal.status === 'ACCEPTED' ? (
+                                                                                        <span className="milestone-badge">Unpaid</span>
+                                                                                    ) : null}
+                                                                                    {canPay && (
+                                                                                        <button
+                                                                                            className="btn-milestone"
+                                                                                            onClick={() => setPayingMilestone({ ...milestone, amount: milestoneAmount })}
+                                                                                        >
+                                                                                            Pay
+                                                                                        </button>
+                                                                                    )}
+                                                                                    {canApprove && (
+                                                                                        <button
+                                                                                            className="btn-milestone approve"
+                                                                                            onClick={() => handleApproveMilestone({ ...milestone, amount: milestoneAmount })}
+                                                                                            disabled={approvingMilestoneId === milestone.id}
+                                                                                        >
+                                                                                            {approvingMilestoneId === milestone.id ? 'Approving...' : 'Approve'}
+                                                                                        </button>
+                                                                                    )}
+                                                                                </div>
+                                                                            </div>
+                                                                        );
+                                                                    })}
+                                                                </div>
+                                                            )}
                                                             {/* Show provider contact info after quote is sent (highlighted) */}
                                                             {(proposal.status === 'SENT' || !proposal.status) && proposal.provider && (
                                                                 <div className="provider-contact-info">
@@ -1617,6 +1854,23 @@ const MyRequests = () => {
                                     </div>
                                 )}
                             </div>
+
+                            <div style={{ marginBottom: '10px' }}>
+                                <p style={{ marginBottom: '10px', color: '#333', fontSize: '15px', fontWeight: '600' }}>
+                                    Pick an appointment time (optional)
+                                </p>
+                                <AppointmentSlotPicker
+                                    slotsUrl={`/service-requests/my/service-requests/${selectedRequest.id}/proposals/${selectedProposalForAccept.id}/slots`}
+                                    value={appointmentStart}
+                                    onChange={setAppointmentStart}
+                                />
+                                {appointmentStart && (
+                                    <p style={{ marginTop: '10px', color: '#1e40af', fontSize: '14px' }}>
+                                        <i className="fas fa-calendar-check" style={{ marginRight: '6px' }}></i>
+                                        {new Date(appointmentStart).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })} (your time)
+                                    </p>
+                                )}
+                            </div>
                         </div>
 
                         <div className="modal-actions">
@@ -1653,6 +1907,33 @@ const MyRequests = () => {
                     </div>
                 </div>
             )}
+
+            {showAppointmentModal && selectedRequest && activeWorkOrder && (
+                <AppointmentModal
+                    appointment={activeWorkOrder.appointment}
+                    slotsUrl={`/service-requests/my/service-requests/${selectedRequest.id}/appointment/slots`}
+                    appointmentUrl={`/service-requests/my/service-requests/${selectedRequest.id}/appointment`}
+                    onClose={() => setShowAppointmentModal(false)}
+                    onSaved={handleAppointmentSaved}
+                />
+            )}
+
+            {payingMilestone && selectedRequest && (
+                <MilestonePaymentModal
+                    milestone={payingMilestone}
+                    serviceRequest={selectedRequest}
+                    onClose={() => setPayingMilestone(null)}
+                    onSuccess={handleMilestonePaid}
+                />
+            )}
+
+            {activeThread && (
+                <MessageThread
+                    {...activeThread}
+                    onClose={closeThread}
+                    onRead={loadUnreadCounts}
+                />
+            )}
         </div>
     );
 };
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import { uploadMedia, mediaUrl, MAX_IMAGE_BYTES, MAX_VIDEO_BYTES } from '../services/media';
 import './PhotosVideos.css';
 
 const PhotosVideos = () => {
@@ -75,33 +76,56 @@ const PhotosVideos = () => {
   };
 
   const handleFiles = async (files) => {
-    if (photos.length + files.length > 10) {
+    const images = Array.from(files).filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) {
+      return;
+    }
+
+    if (photos.length + images.length > 10) {
       alert('Maximum 10 photos allowed');
       return;
     }
 
+    const tooLarge = images.find(file => file.size > MAX_IMAGE_BYTES);
+    if (tooLarge) {
+      alert(`File ${tooLarge.name} is too large (max 10MB)`);
+      return;
+    }
+
     setUploading(true);
-    const newPhotos = [];
+    try {
+      const media = await uploadMedia(images, 'business_image');
+      setPhotos([...photos, ...media.map(item => item.url)]);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to upload photos');
+    } finally {
+      setUploading(false);
+    }
+  };
 
-    for (let file of Array.from(files)) {
-      if (!file.type.startsWith('image/')) {
-        continue;
-      }
+  const handleVideoUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
 
-      if (file.size > 2 * 1024 * 1024) {
-        alert(`File ${file.name} is too large (max 2MB)`);
-        continue;
-      }
+    if (videos.length >= 5) {
+      alert('Maximum 5 videos allowed');
+      return;
+    }
 
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        newPhotos.push(reader.result);
-        if (newPhotos.length === Math.min(files.length, 10 - photos.length)) {
-          setPhotos([...photos, ...newPhotos]);
-          setUploading(false);
-        }
-      };
-      reader.readAsDataURL(file);
+    if (file.size > MAX_VIDEO_BYTES) {
+      alert(`File ${file.name} is too large (max 50MB)`);
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const [media] = await uploadMedia([file], 'business_video');
+      setVideos([...videos, media.url]);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to upload video');
+    } finally {
+      setUploading(false);
     }
   };
 
@@ -168,7 +192,7 @@ const PhotosVideos = () => {
         >
           <div className="upload-content">
             <i className="fas fa-cloud-upload-alt"></i>
-            <p className="upload-text">Drag & drop files here…</p>
+            <p className="upload-text">{uploading ? 'Uploading…' : 'Drag & drop files here…'}</p>
             <p className="upload-hint">or</p>
             <label className="browse-button">
               <input
@@ -182,7 +206,7 @@ const PhotosVideos = () => {
               Browse…
             </label>
             <p className="upload-info">
-              Add up to 10 photos. Use real images of your company.
+              Add up to 10 photos (JPEG, PNG, GIF or WebP, max 10MB each). Use real images of your company.
             </p>
           </div>
         </div>
@@ -195,7 +219,7 @@ const PhotosVideos = () => {
           <div className="photos-grid">
             {photos.map((photo, index) => (
               <div key={index} className="photo-item">
-                <img src={photo} alt={`Business ${index + 1}`} />
+                <img src={mediaUrl(photo, 'small')} alt={`Business ${index + 1}`} loading="lazy" />
                 <button
                   className="remove-photo-btn"
                   onClick={() => removePhoto(index)}
@@ -232,9 +256,21 @@ const PhotosVideos = () => {
           <p className="empty-text">No videos added yet.</p>
         )}
         {videos.length < 5 && (
-          <button className="add-video-btn" onClick={handleVideoAdd}>
-            <i className="fas fa-plus"></i> Add Video URL
-          </button>
+          <div className="video-actions">
+            <button className="add-video-btn" onClick={handleVideoAdd}>
+              <i className="fas fa-plus"></i> Add Video URL
+            </button>
+            <label className={`add-video-btn ${uploading ? 'disabled' : ''}`}>
+              <input
+                type="file"
+                accept="video/mp4,video/quicktime,video/webm"
+                onChange={handleVideoUpload}
+                style={{ display: 'none' }}
+                disabled={uploading}
+              />
+              <i className="fas fa-upload"></i> Upload Video
+            </label>
+          </div>
         )}
       </div>
 
@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import './ProviderAvailability.css';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TIMEZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Phoenix',
+  'America/Los_Angeles',
+  'America/Anchorage',
+  'Pacific/Honolulu'
+];
+
+const DURATIONS = [30, 45, 60, 90, 120, 180, 240];
+
+const formatDate = (value) => new Date(`${value}T00:00:00`).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric'
+});
+
+const ProviderAvailability = () => {
+  const [businesses, setBusinesses] = useState([]);
+  const [businessId, setBusinessId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [timezone, setTimezone] = useState('America/New_York');
+  const [duration, setDuration] = useState(60);
+  const [windows, setWindows] = useState([]);
+  const [blackouts, setBlackouts] = useState([]);
+  const [blackoutForm, setBlackoutForm] = useState({ startDate: '', endDate: '', reason: '' });
+  const [feedUrl, setFeedUrl] = useState('');
+
+  useEffect(() => {
+    fetchBusinesses();
+    fetchFeed();
+  }, []);
+
+  useEffect(() => {
+    if (businessId) {
+      fetchAvailability(businessId);
+    }
+  }, [businessId]);
+
+  const fetchBusinesses = async () => {
+    try {
+      const response = await api.get('/businesses/my-businesses');
+      const list = response.data.businesses || [];
+      setBusinesses(list);
+      if (list.length > 0) {
+        setBusinessId(list[0].id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      console.error('Error fetching businesses:', error);
+      setLoading(false);
+    }
+  };
+
+  const fetchAvailability = async (id) => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/provider/businesses/${id}/availability`);
+      const data = response.data.data;
+      setTimezone(data.timezone);
+      setDuration(data.appointmentDurationMinutes);
+      setWindows(data.windows.map(({ dayOfWeek, startTime, endTime }) => ({ dayOfWeek, startTime, endTime })));
+      setBlackouts(data.blackouts);
+    } catch (error) {
+      console.error('Error fetching availability:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchFeed = async () => {
+    try {
+      const response = await api.get('/provider/calendar-feed');
+      setFeedUrl(response.data.data.url);
+    } catch (error) {
+      // No provider profile yet - the feed section stays hidden
+      setFeedUrl('');
+    }
+  };
+
+  const addWindow = (dayOfWeek) => {
+    const sameDay = windows.filter(w => w.dayOfWeek === dayOfWeek);
+    const last = sameDay[sameDay.length - 1];
+    const startTime = last ? last.endTime : '09:00';
+    const endTime = last ? (last.endTime < '22:00' ? `${String(parseInt(last.endTime) + 2).padStart(2, '0')}:00` : '23:59') : '17:00';
+    setWindows([...windows, { dayOfWeek, startTime, endTime }]);
+  };
+
+  const updateWindow = (index, field, value) => {
+    setWindows(windows.map((w, i) => (i === index ? { ...w, [field]: value } : w)));
+  };
+
+  const removeWindow = (index) => {
+    setWindows(windows.filter((_, i) => i !== index));
+  };
+
+  const copyToWeekdays = (dayOfWeek) => {
+    const source = windows.filter(w => w.dayOfWeek === dayOfWeek);
+    const others = windows.filter(w => w.dayOfWeek === 0 || w.dayOfWeek === 6 || w.dayOfWeek === dayOfWeek);
+    const copies = [1, 2, 3, 4, 5]
+      .filter(day => day !== dayOfWeek)
+      .flatMap(day => source.map(w => ({ ...w, dayOfWeek: day })));
+    setWindows([...others, ...copies]);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await api.put(`/provider/businesses/${businessId}/availability`, {
+        timezone,
+        appointmentDurationMinutes: duration,
+        windows
+      });
+      alert('Availability saved!');
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to save availability');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddBlackout = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await api.post(`/provider/businesses/${businessId}/blackouts`, {
+        startDate: blackoutForm.startDate,
+        endDate: blackoutForm.endDate || blackoutForm.startDate,
+        reason: blackoutForm.reason
+      });
+      setBlackouts([...blackouts, response.data.data].sort((a, b) => a.startDate.localeCompare(b.startDate)));
+      setBlackoutForm({ startDate: '', endDate: '', reason: '' });
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to add blackout dates');
+    }
+  };
+
+  const handleDeleteBlackout = async (blackout) => {
+    try {
+      await api.delete(`/provider/businesses/${businessId}/blackouts/${blackout.id}`);
+      setBlackouts(blackouts.filter(b => b.id !== blackout.id));
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to remove blackout dates');
+    }
+  };
+
+  const handleResetFeed = async () => {
+    if (!window.confirm('Reset your calendar link? Calendars subscribed to the old link will stop updating.')) {
+      return;
+    }
+    try {
+      const response = await api.post('/provider/calendar-feed/reset');
+      setFeedUrl(response.data.data.url);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to reset calendar link');
+    }
+  };
+
+  const handleCopyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      alert('Calendar link copied');
+    } catch (error) {
+      window.prompt('Copy your calendar link:', feedUrl);
+    }
+  };
+
+  if (!loading && businesses.length === 0) {
+    return <div className="availability-page"><div className="empty">No business found</div></div>;
+  }
+
+  const timezoneOptions = TIMEZONES.includes(timezone) ? TIMEZONES : [timezone, ...TIMEZONES];
+
+  return (
+    <div className="availability-page">
+      <h1 className="page-title">Availability</h1>
+
+      {businesses.length > 1 && (
+        <div className="availability-business-select">
+          <label>Business</label>
+          <select value={businessId || ''} onChange={(e) => setBusinessId(parseInt(e.target.value))}>
+            {businesses.map(business => (
+              <option key={business.id} value={business.id}>{business.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : (
+        <div className="availability-container">
+          <div className="availability-section">
+            <h2 className="availability-section-title">Weekly Hours</h2>
+            <p className="availability-hint">
+              Customers can book any open slot inside these hours when they accept your proposal.
+            </p>
+
+            <div className="availability-settings">
+              <div className="availability-field">
+                <label>Time zone</label>
+                <select value={timezone} onChange={(e) => setTimezone(e.target.value)}>
+                  {timezoneOptions.map(zone => (
+                    <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="availability-field">
+                <label>Appointment length</label>
+                <select value={duration} onChange={(e) => setDuration(parseInt(e.target.value))}>
+                  {(DURATIONS.includes(duration) ? DURATIONS : [...DURATIONS, duration].sort((a, b) => a - b)).map(minutes => (
+                    <option key={minutes} value={minutes}>
+                      {minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes === 60 ? '' : 's'}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="availability-week">
+              {DAYS.map((dayName, dayOfWeek) => {
+                const dayWindows = windows
+                  .map((w, index) => ({ ...w, index }))
+                  .filter(w => w.dayOfWeek === dayOfWeek);
+
+                return (
+                  <div key={dayName} className="availability-day">
+                    <div className="availability-day-name">{dayName}</div>
+                    <div className="availability-day-windows">
+                      {dayWindows.length === 0 && <span className="availability-closed">Unavailable</span>}
+                      {dayWindows.map(w => (
+                        <div key={w.index} className="availability-window">
+                          <input type="time" value={w.startTime} onChange={(e) => updateWindow(w.index, 'startTime', e.target.value)} />
+                          <span>to</span>
+                          <input type="time" value={w.endTime} onChange={(e) => updateWindow(w.index, 'endTime', e.target.value)} />
+                          <button type="button" className="availability-icon-btn" onClick={() => removeWindow(w.index)} title="Remove">
+                            <i className="fas fa-times"></i>
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="availability-day-actions">
+                      <button type="button" className="availability-icon-btn" onClick={() => addWindow(dayOfWeek)} title="Add hours">
+                        <i className="fas fa-plus"></i>
+                      </button>
+                      {dayWindows.length > 0 && dayOfWeek >= 1 && dayOfWeek <= 5 && (
+                        <button type="button" className="availability-icon-btn" onClick={() => copyToWeekdays(dayOfWeek)} title="Copy to all weekdays">
+                          <i className="fas fa-copy"></i>
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <button type="button" className="save-btn" onClick={handleSave} disabled={saving}>
+              {saving ? 'Saving...' : 'Save Availability'}
+            </button>
+          </div>
+
+          <div className="availability-side">
+            <div className="availability-section">
+              <h2 className="availability-section-title">Blackout Dates</h2>
+              <form className="availability-blackout-form" onSubmit={handleAddBlackout}>
+                <div className="availability-field">
+                  <label>From</label>
+                  <input
+                    type="date"
+                    required
+                    value={blackoutForm.startDate}
+                    onChange={(e) => setBlackoutForm({ ...blackoutForm, startDate: e.target.value })}
+                  />
+                </div>
+                <div className="availability-field">
+                  <label>To</label>
+                  <input
+                    type="date"
+                    min={blackoutForm.startDate}
+                    value={blackoutForm.endDate}
+                    onChange={(e) => setBlackoutForm({ ...blackoutForm, endDate: e.target.value })}
+                  />
+                </div>
+                <div className="availability-field availability-field-wide">
+                  <label>Reason (optional)</label>
+                  <input
+                    type="text"
+                    maxLength={255}
+                    placeholder="Holiday, vacation..."
+                    value={blackoutForm.reason}
+                    onChange={(e) => setBlackoutForm({ ...blackoutForm, reason: e.target.value })}
+                  />
+                </div>
+                <button type="submit" className="save-btn">Add Blackout</button>
+              </form>
+
+              {blackouts.length === 0 ? (
+                <p className="availability-hint">No upcoming blackout dates.</p>
+              ) : (
+                <ul className="availability-blackouts">
+                  {blackouts.map(blackout => (
+                    <li key={blackout.id}>
+                      <div>
+                        <strong>
+                          {formatDate(blackout.startDate)}
+                          {blackout.endDate !== blackout.startDate && ` – ${formatDate(blackout.endDate)}`}
+                        </strong>
+                        {blackout.reason && <span>{blackout.reason}</span>}
+                      </div>
+                      <button type="button" className="availability-icon-btn" onClick={() => handleDeleteBlackout(blackout)} title="Remove">
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {feedUrl && (
+              <div className="availability-section">
+                <h2 className="availability-section-title">Calendar Sync</h2>
+                <p className="availability-hint">
+                  Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see your booked appointments.
+                  Keep it private - anyone with the link can see your schedule.
+                </p>
+                <div className="availability-feed">
+                  <input type="text" readOnly value={feedUrl} onFocus={(e) => e.target.select()} />
+                  <button type="button" className="availability-icon-btn" onClick={handleCopyFeed} title="Copy link">
+                    <i className="fas fa-copy"></i>
+                  </button>
+                </div>
+                <button type="button" className="availability-link-btn" onClick={handleResetFeed}>
+                  Reset link
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProviderAvailability;
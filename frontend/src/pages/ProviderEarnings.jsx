@@ -0,0 +1,270 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import './ProviderEarnings.css';
+
+const TOTAL_COLUMNS = [
+    { key: 'grossJobValue', label: 'Gross Job Value' },
+    { key: 'refunds', label: 'Refunds' },
+    { key: 'platformFees', label: 'Platform Fees' },
+    { key: 'earnings', label: 'Job Earnings' },
+    { key: 'leadSpend', label: 'Lead Spend' },
+    { key: 'subscriptionSpend', label: 'Subscriptions' },
+    { key: 'netIncome', label: 'Net Income' },
+    { key: 'netPayouts', label: 'Net Payouts' }
+];
+
+const formatMoney = (amount) => {
+    const value = parseFloat(amount || 0);
+    return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+};
+
+const ProviderEarnings = () => {
+    const currentYear = new Date().getUTCFullYear();
+    const [year, setYear] = useState(currentYear);
+    const [granularity, setGranularity] = useState('month');
+    const [summary, setSummary] = useState(null);
+    const [years, setYears] = useState([currentYear]);
+    const [loading, setLoading] = useState(true);
+    const [downloading, setDownloading] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        loadEarnings();
+    }, [year, granularity]);
+
+    const loadEarnings = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await api.get('/provider/earnings', { params: { year, granularity } });
+            if (response.data.success) {
+                setSummary(response.data);
+                setYears(response.data.years || [currentYear]);
+            }
+        } catch (err) {
+            console.error('Error loading earnings:', err);
+            setError(err.response?.data?.error || 'Failed to load earnings');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Statements are generated by the API, so fetch them with the auth header and save the blob
+    const download = async (url, params, filename) => {
+        const key = `${url}-${JSON.stringify(params)}`;
+        try {
+            setDownloading(key);
+            setError(null);
+            const response = await api.get(url, { params, responseType: 'blob' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(response.data);
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        } catch (err) {
+            console.error('Error downloading statement:', err);
+            setError('Failed to download statement');
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    const downloadStatement = (period, format) => download(
+        '/provider/earnings/statement',
+        { period, format },
+        `earnings-statement-${period}.${format}`
+    );
+
+    const downloadYearEnd = (format) => download(
+        '/provider/earnings/year-end',
+        { year, format },
+        `year-end-earnings-${year}.${format}`
+    );
+
+    const isDownloading = (url, params) => downloading === `${url}-${JSON.stringify(params)}`;
+
+    const totals = summary?.totals;
+
+    return (
+        <div className="provider-earnings">
+            <div className="earnings-header">
+                <div>
+                    <h1>
+                        <i className="fas fa-chart-line"></i>
+                        Earnings
+                    </h1>
+                    <p className="subtitle">
+                        What your jobs earned, what you spent on leads and subscriptions, and what was paid out.
+                        Periods follow UTC dates.
+                    </p>
+                </div>
+                <Link to="/user-dashboard/payouts" className="earnings-payouts-link">
+                    <i className="fas fa-money-bill-wave"></i>
+                    View Payouts
+                </Link>
+            </div>
+
+            <div className="earnings-toolbar">
+                <div className="earnings-filters">
+                    <label>
+                        Year
+                        <select value={year} onChange={(e) => setYear(parseInt(e.target.value))}>
+                            {years.map((option) => (
+                                <option key={option} value={option}>{option}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label>
+                        Group by
+                        <select value={granularity} onChange={(e) => setGranularity(e.target.value)}>
+                            <option value="month">Month</option>
+                            <option value="quarter">Quarter</option>
+                        </select>
+                    </label>
+                </div>
+                <div className="earnings-year-end">
+                    <span>Year-end summary {year}:</span>
+                    <button
+                        className="earnings-download-btn"
+                        onClick={() => downloadYearEnd('pdf')}
+                        disabled={isDownloading('/provider/earnings/year-end', { year, format: 'pdf' })}
+                    >
+                        <i className="fas fa-file-pdf"></i>
+                        PDF
+                    </button>
+                    <button
+                        className="earnings-download-btn"
+                        onClick={() => downloadYearEnd('csv')}
+                        disabled={isDownloading('/provider/earnings/year-end', { year, format: 'csv' })}
+                    >
+                        <i className="fas fa-file-csv"></i>
+                        CSV
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="error-message">
+                    <i className="fas fa-exclamation-circle"></i>
+                    <span>{error}</span>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="loading-container">
+                    <i className="fas fa-spinner fa-spin"></i>
+                    <p>Loading earnings...</p>
+                </div>
+            ) : totals && (
+                <>
+                    <div className="earnings-cards">
+                        <div className="earnings-card">
+                            <label>Gross Job Value</label>
+                            <span className="earnings-card-value">{formatMoney(totals.grossJobValue)}</span>
+                            {totals.refunds !== 0 && (
+                                <small>{formatMoney(totals.refunds)} refunded</small>
+                            )}
+                        </div>
+                        <div className="earnings-card">
+                            <label>Platform Fees</label>
+                            <span className="earnings-card-value negative">{formatMoney(totals.platformFees)}</span>
+                        </div>
+                        <div className="earnings-card">
+                            <label>Lead Spend</label>
+                            <span className="earnings-card-value negative">{formatMoney(totals.leadSpend)}</span>
+                        </div>
+                        <div className="earnings-card">
+                            <label>Subscription Spend</label>
+                            <span className="earnings-card-value negative">{formatMoney(totals.subscriptionSpend)}</span>
+                        </div>
+                        <div className="earnings-card highlight">
+                            <label>Net Income</label>
+                            <span className="earnings-card-value">{formatMoney(totals.netIncome)}</span>
+                            <small>Job earnings less lead and subscription spend</small>
+                        </div>
+                        <div className="earnings-card">
+                            <label>Net Payouts</label>
+                            <span className="earnings-card-value">{formatMoney(totals.netPayouts)}</span>
+                            <small>Sent to your bank account</small>
+                        </div>
+                    </div>
+
+                    <div className="earnings-table-wrapper">
+                        <table className="earnings-table">
+                            <thead>
+                                <tr>
+                                    <th>{granularity === 'quarter' ? 'Quarter' : 'Month'}</th>
+                                    {TOTAL_COLUMNS.map((column) => (
+                                        <th key={column.key} className="amount">{column.label}</th>
+                                    ))}
+                                    <th>Statement</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {summary.periods.map((period) => (
+                                    <tr key={period.key}>
+                                        <td>{period.label}</td>
+                                        {TOTAL_COLUMNS.map((column) => (
+                                            <td key={column.key} className={`amount ${period.totals[column.key] < 0 ? 'negative' : ''}`}>
+                                                {formatMoney(period.totals[column.key])}
+                                            </td>
+                                        ))}
+                                        <td className="earnings-statement-actions">
+                                            <button
+                                                className="earnings-link-btn"
+                                                onClick={() => downloadStatement(period.key, 'pdf')}
+                                                disabled={isDownloading('/provider/earnings/statement', { period: period.key, format: 'pdf' })}
+                                                title="Download PDF statement"
+                                            >
+                                                <i className="fas fa-file-pdf"></i>
+                                            </button>
+                                            <button
+                                                className="earnings-link-btn"
+                                                onClick={() => downloadStatement(period.key, 'csv')}
+                                                disabled={isDownloading('/provider/earnings/statement', { period: period.key, format: 'csv' })}
+                                                title="Download CSV statement"
+                                            >
+                                                <i className="fas fa-file-csv"></i>
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                            <tfoot>
+                                <tr>
+                                    <td>Total {summary.year}</td>
+                                    {TOTAL_COLUMNS.map((column) => (
+                                        <td key={column.key} className="amount">{formatMoney(totals[column.key])}</td>
+                                    ))}
+                                    <td className="earnings-statement-actions">
+                                        <button
+                                            className="earnings-link-btn"
+                                            onClick={() => downloadStatement(String(summary.year), 'pdf')}
+                                            disabled={isDownloading('/provider/earnings/statement', { period: String(summary.year), format: 'pdf' })}
+                                            title="Download PDF statement for the year"
+                                        >
+                                            <i className="fas fa-file-pdf"></i>
+                                        </button>
+                                        <button
+                                            className="earnings-link-btn"
+                                            onClick={() => downloadStatement(String(summary.year), 'csv')}
+                                            disabled={isDownloading('/provider/earnings/statement', { period: String(summary.year), format: 'csv' })}
+                                            title="Download CSV statement for the year"
+                                        >
+                                            <i className="fas fa-file-csv"></i>
+                                        </button>
+                                    </td>
+                                </tr>
+                            </tfoot>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ProviderEarnings;
@@ -1,13 +1,29 @@
 import React, { useState, useEffect, useContext } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
 import ProviderPaymentModal from '../components/ProviderPaymentModal';
+import MessageThread from '../components/MessageThread';
 import './ProviderLeads.css';
 
+const MILESTONE_DUE_CONDITIONS = [
+    { value: 'on_acceptance', label: 'On acceptance' },
+    { value: 'on_start', label: 'When work starts' },
+    { value: 'on_completion', label: 'On completion' },
+    { value: 'custom', label: 'Custom' }
+];
+
+const emptyMilestone = (dueCondition = 'on_completion') => ({
+    title: '',
+    amount: '',
+    dueCondition,
+    description: ''
+});
+
 const ProviderLeads = () => {
     const { user } = useContext(AuthContext);
     const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
     const [leads, setLeads] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -25,6 +41,7 @@ const ProviderLeads = () => {
         description: '',
         price: ''
     });
+    const [milestones, setMilestones] = useState([]);
     const [rejectReason, setRejectReason] = useState('');
     const [rejectionReason, setRejectionReason] = useState('');
     const [rejectionReasonOther, setRejectionReasonOther] = useState('');
@@ -46,12 +63,57 @@ const ProviderLeads = () => {
         planName: 'Basic',
         limitReached: false
     });
+    const [activeThread, setActiveThread] = useState(null);
+    const [unreadByRequest, setUnreadByRequest] = useState({});
 
     useEffect(() => {
         loadLeads();
         loadLeadUsage();
     }, [statusFilter, pagination.page]);
 
+    // Live updates pushed through the dashboard notification stream
+    useEffect(() => {
+        const handleNotification = (e) => {
+            if (e.detail?.type === 'lead_routed' || e.detail?.type === 'proposal_rejected') {
+                loadLeads();
+            }
+        };
+        const handleMessage = () => loadUnreadCounts();
+
+        window.addEventListener('realtime:notification', handleNotification);
+        window.addEventListener('realtime:message', handleMessage);
+        return () => {
+            window.removeEventListener('realtime:notification', handleNotification);
+            window.removeEventListener('realtime:message', handleMessage);
+        };
+    }, [statusFilter, pagination.page]);
+
+    useEffect(() => {
+        loadUnreadCounts();
+
+        // Deep link from the new message email
+        const conversationId = searchParams.get('conversation');
+        if (conversationId) {
+            setActiveThread({ conversationId });
+            searchParams.delete('conversation');
+            setSearchParams(searchParams, { replace: true });
+        }
+    }, []);
+
+    const loadUnreadCounts = async () => {
+        try {
+            const response = await api.get('/messages/unread-count');
+            setUnreadByRequest(response.data.byServiceRequest || {});
+        } catch (err) {
+            console.error('Error loading unread messages:', err);
+        }
+    };
+
+    const closeThread = () => {
+        setActiveThread(null);
+        loadUnreadCounts();
+    };
+
     const loadLeadUsage = async () => {
         try {
             const response = await api.get('/provider/lead-usage');
@@ -113,6 +175,7 @@ const ProviderLeads = () => {
 
         setSelectedLead(lead);
         setProposalData({ description: '', price: '' });
+        setMilestones([]);
         // Set lead cost from the lead object
         // leadCost is already in dollars from the backend (converted from cents)
         if (lead.leadCost) {
@@ -133,6 +196,21 @@ const ProviderLeads = () => {
         setShowRejectModal(true);
     };
 
+    const milestoneTotal = milestones.reduce((sum, m) => sum + (parseFloat(m.amount) || 0), 0);
+
+    const updateMilestone = (index, field, value) => {
+        setMilestones(milestones.map((m, i) => (i === index ? { ...m, [field]: value } : m)));
+    };
+
+    const handleSplitIntoMilestones = () => {
+        const price = parseFloat(proposalData.price) || 0;
+        const deposit = Math.round(price * 25) / 100;
+        setMilestones([
+            { ...emptyMilestone('on_acceptance'), title: 'Deposit', amount: price ? deposit.toFixed(2) : '' },
+            { ...emptyMilestone('on_completion'), title: 'Final payment', amount: price ? (price - deposit).toFixed(2) : '' }
+        ]);
+    };
+
     const handleConfirmAccept = async () => {
         // Validate
         if (!proposalData.description.trim()) {
@@ -143,6 +221,20 @@ const ProviderLeads = () => {
             alert('Please provide a valid price (greater than 0)');
             return;
         }
+        if (milestones.length > 0) {
+            if (milestones.some(m => !m.title.trim() || !m.amount || parseFloat(m.amount) <= 0)) {
+                alert('Each milestone needs a title and an amount greater than 0');
+                return;
+            }
+            if (milestones.some(m => m.dueCondition === 'custom' && !m.description.trim())) {
+                alert('Describe when custom milestones are due');
+                return;
+            }
+            if (Math.round(milestoneTotal * 100) !== Math.round(parseFloat(proposalData.price) * 100)) {
+                alert(`Milestone amounts ($${milestoneTotal.toFixed(2)}) must add up to the proposal price ($${parseFloat(proposalData.price).toFixed(2)})`);
+                return;
+            }
+        }
 
         // Store proposal data and show payment modal to collect payment method
         // Payment will be charged automatically when provider submits payment method
@@ -153,7 +245,10 @@ const ProviderLeads = () => {
             paymentMethodId: null,
             pendingProposal: {
                 description: proposalData.description,
-                price: parseFloat(proposalData.price)
+                price: parseFloat(proposalData.price),
+                milestones: milestones.length > 0
+                    ? milestones.map(m => ({ ...m, amount: parseFloat(m.amount) }))
+                    : undefined
             }
         });
         setShowAcceptModal(false);
@@ -205,6 +300,7 @@ const ProviderLeads = () => {
                 const response = await api.patch(`/provider/leads/${selectedLead.id}/accept`, {
                     description: data.pendingProposal.description,
                     price: data.pendingProposal.price,
+                    milestones: data.pendingProposal.milestones,
                     paymentMethodId: data.paymentMethodId
                 });
 
@@ -221,6 +317,7 @@ const ProviderLeads = () => {
                         });
                         setSelectedLead(null);
                         setProposalData({ description: '', price: '' });
+                        setMilestones([]);
                         setLeadCost(null);
                         await loadLeads();
                         await loadLeadUsage();
@@ -277,6 +374,7 @@ const ProviderLeads = () => {
             // Clear accept modal data
             setSelectedLead(null);
             setProposalData({ description: '', price: '' });
+            setMilestones([]);
             setLeadCost(null);
 
             // Reload leads and usage stats
@@ -555,6 +653,19 @@ const ProviderLeads = () => {
                                             Received: {formatDateTime(lead.createdAt)}
                                         </div>
 
+                                        {lead.serviceRequestId && lead.status !== 'REJECTED' && (
+                                            <button
+                                                className="btn-message lead-message-btn"
+                                                onClick={() => setActiveThread({ serviceRequestId: lead.serviceRequestId })}
+                                            >
+                                                <i className="fas fa-comments"></i>
+                                                Message Customer
+                                                {unreadByRequest[lead.serviceRequestId] > 0 && (
+                                                    <span className="unread-badge">{unreadByRequest[lead.serviceRequestId]}</span>
+                                                )}
+                                            </button>
+                                        )}
+
                                         {lead.status === 'PENDING' && (
                                             <div className="lead-actions">
                                                 <button
@@ -718,6 +829,95 @@ const ProviderLeads = () => {
                                 />
                             </div>
 
+                            <div className="form-group milestone-editor">
+                                {milestones.length === 0 ? (
+                                    <button
+                                        type="button"
+                                        className="milestone-link-btn"
+                                        onClick={handleSplitIntoMilestones}
+                                        disabled={submitting}
+                                    >
+                                        <i className="fas fa-list-ol"></i> Split payment into milestones
+                                    </button>
+                                ) : (
+                                    <>
+                                        <label>Payment Milestones</label>
+                                        <p className="milestone-hint">
+                                            The customer pays and approves each milestone separately. Amounts must add up to the price.
+                                        </p>
+                                        {milestones.map((milestone, index) => (
+                                            <div key={index} className="milestone-row">
+                                                <div className="milestone-row-fields">
+                                                    <input
+                                                        type="text"
+                                                        value={milestone.title}
+                                                        onChange={(e) => updateMilestone(index, 'title', e.target.value)}
+                                                        placeholder="Title (e.g. Deposit)"
+                                                        maxLength={255}
+                                                        disabled={submitting}
+                                                    />
+                                                    <input
+                                                        type="number"
+                                                        value={milestone.amount}
+                                                        onChange={(e) => updateMilestone(index, 'amount', e.target.value)}
+                                                        placeholder="0.00"
+                                                        min="0"
+                                                        step="0.01"
+                                                        disabled={submitting}
+                                                    />
+                                                    <select
+                                                        value={milestone.dueCondition}
+                                                        onChange={(e) => updateMilestone(index, 'dueCondition', e.target.value)}
+                                                        disabled={submitting}
+                                                    >
+                                                        {MILESTONE_DUE_CONDITIONS.map(condition => (
+                                                            <option key={condition.value} value={condition.value}>{condition.label}</option>
+                                                        ))}
+                                                    </select>
+                                                    <button
+                                                        type="button"
+                                                        className="milestone-remove-btn"
+                                                        onClick={() => setMilestones(milestones.filter((_, i) => i !== index))}
+                                                        disabled={submitting}
+                                                        title="Remove milestone"
+                                                    >
+                                                        <i className="fas fa-times"></i>
+                                                    </button>
+                                                </div>
+                                                {milestone.dueCondition === 'custom' && (
+                                                    <input
+                                                        type="text"
+                                                        value={milestone.description}
+                                                        onChange={(e) => updateMilestone(index, 'description', e.target.value)}
+                                                        placeholder="When is this milestone due?"
+                                                        disabled={submitting}
+                                                    />
+                                                )}
+                                            </div>
+                                        ))}
+                                        <div className="milestone-footer">
+                                            {milestones.length < 10 && (
+                                                <button
+                                                    type="button"
+                                                    className="milestone-link-btn"
+                                                    onClick={() => setMilestones([...milestones, emptyMilestone()])}
+                                                    disabled={submitting}
+                                                >
+                                                    <i className="fas fa-plus"></i> Add milestone
+                                                </button>
+                                            )}
+                                            <span className={
+                                                Math.round(milestoneTotal * 100) === Math.round((parseFloat(proposalData.price) || 0) * 100)
+                                                    ? 'milestone-total'
+                                                    : 'milestone-total mismatch'
+                                            }>
+                                                Total ${milestoneTotal.toFixed(2)} of ${(parseFloat(proposalData.price) || 0).toFixed(2)}
+                                            </span>
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+
                             {leadCost !== null && (
                                 <div className="lead-cost-display">
                                     <div className="cost-row">
@@ -888,6 +1088,14 @@ const ProviderLeads = () => {
                     onSuccess={handlePaymentSuccess}
                 />
             )}
+
+            {activeThread && (
+                <MessageThread
+                    {...activeThread}
+                    onClose={closeThread}
+                    onRead={loadUnreadCounts}
+                />
+            )}
         </div>
     );
 };
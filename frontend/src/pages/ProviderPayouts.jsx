@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useContext } from 'react';
+import { Link } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
 import './ProviderPayouts.css';
@@ -117,7 +118,8 @@ const ProviderPayouts = () => {
             'pending': 'status-pending',
             'processing': 'status-processing',
             'completed': 'status-completed',
-            'failed': 'status-failed'
+            'failed': 'status-failed',
+            'awaiting_approval': 'status-awaiting-approval'
         };
         return classes[normalizedStatus] || 'status-default';
     };
@@ -127,6 +129,9 @@ const ProviderPayouts = () => {
         if (!status || status === 'null' || status === 'undefined') {
             return 'Pending';
         }
+        if (status === 'awaiting_approval') {
+            return 'Awaiting approval';
+        }
         return status.charAt(0).toUpperCase() + status.slice(1).toLowerCase();
     };
 
@@ -149,6 +154,10 @@ const ProviderPayouts = () => {
                     My Payouts
                 </h1>
                 <p className="subtitle">Track your earnings and payouts</p>
+                <Link to="/user-dashboard/earnings" className="payouts-earnings-link">
+                    <i className="fas fa-chart-line"></i>
+                    Earnings &amp; Statements
+                </Link>
             </div>
 
             {error && (
@@ -198,7 +207,8 @@ const ProviderPayouts = () => {
                     <h3>No Payouts Yet</h3>
                     <p>Your payouts will appear here after customers approve completed work.</p>
                     <p className="hint">
-                        Once a customer approves your completed work, you'll receive 90% of the proposal amount (10% platform fee).
+                        Once a customer approves your completed work, you'll receive the proposal amount less the platform fee.
+                        Proposals split into milestones are paid out milestone by milestone as each one is approved.
                     </p>
                 </div>
             ) : (
@@ -206,24 +216,32 @@ const ProviderPayouts = () => {
                     {payouts.map((payout) => (
                         <div key={payout.id} className="payout-card">
                             <div className="payout-header">
-                                <h3>{payout.projectTitle || 'Project'}</h3>
+                                <h3>
+                                    {payout.projectTitle || 'Project'}
+                                    {payout.milestoneId && (
+                                        <span className="payout-milestone">
+                                            <i className="fas fa-flag"></i>
+                                            Milestone: {payout.milestoneTitle}
+                                        </span>
+                                    )}
+                                </h3>
                                 <span className={`status-badge ${getStatusBadgeClass(payout.payoutStatus)}`}>
                                     {formatStatusDisplay(payout.payoutStatus)}
                                 </span>
                             </div>
                             <div className="payout-details">
                                 <div className="detail-row">
-                                    <span>Total Amount:</span>
+                                    <span>{payout.milestoneId ? 'Milestone Amount:' : 'Total Amount:'}</span>
                                     <strong>${payout.totalAmount?.toFixed(2) || '0.00'}</strong>
                                 </div>
                                 <div className="detail-row">
-                                    <span>Platform Fee (10%):</span>
-                                    <span className="fee">-${payout.platformFee?.toFixed(2) || (payout.totalAmount ? (payout.totalAmount * 0.1).toFixed(2) : '0.00')}</span>
+                                    <span>Platform Fee{payout.feeRule ? ` (${payout.feeRule})` : ''}:</span>
+                                    <span className="fee">-${payout.platformFee?.toFixed(2) || '0.00'}</span>
                                 </div>
                                 <div className="detail-row highlight">
                                     <span>Your Payout:</span>
                                     <strong className="payout-amount">
-                                        ${payout.providerAmount?.toFixed(2) || (payout.totalAmount ? (payout.totalAmount * 0.9).toFixed(2) : '0.00')}
+                                        ${payout.providerAmount?.toFixed(2) || '0.00'}
                                     </strong>
                                 </div>
                                 {payout.paidAt && (
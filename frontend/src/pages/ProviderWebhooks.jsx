@@ -0,0 +1,438 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import './ProviderWebhooks.css';
+
+const EMPTY_FORM = { url: '', description: '', events: [] };
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+}) : '—');
+
+const SIGNATURE_EXAMPLE = `const crypto = require('crypto');
+
+// rawBody must be the exact request body, before JSON parsing
+function verifyWebhook(rawBody, header, secret) {
+  const parts = Object.fromEntries(header.split(',').map(p => p.split('=')));
+  const expected = crypto.createHmac('sha256', secret)
+    .update(\`\${parts.t}.\${rawBody}\`)
+    .digest('hex');
+  const fresh = Math.abs(Date.now() / 1000 - Number(parts.t)) < 300;
+  return fresh && expected.length === (parts.v1 || '').length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+}`;
+
+const ProviderWebhooks = () => {
+  const [endpoints, setEndpoints] = useState([]);
+  const [events, setEvents] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [secretVisible, setSecretVisible] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryPage, setDeliveryPage] = useState(1);
+  const [deliveryPages, setDeliveryPages] = useState(1);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [expandedDelivery, setExpandedDelivery] = useState(null);
+
+  const selected = endpoints.find(endpoint => endpoint.id === selectedId) || null;
+
+  useEffect(() => {
+    fetchEndpoints();
+  }, []);
+
+  useEffect(() => {
+    setSecretVisible(false);
+    setTestResult(null);
+    setExpandedDelivery(null);
+    if (selectedId) {
+      fetchDeliveries(selectedId, 1, statusFilter);
+    }
+  }, [selectedId]);
+
+  const fetchEndpoints = async () => {
+    try {
+      const response = await api.get('/webhook-endpoints');
+      const list = response.data.endpoints || [];
+      setEndpoints(list);
+      setEvents(response.data.events || {});
+      if (!selectedId && list.length > 0) {
+        setSelectedId(list[0].id);
+      }
+    } catch (error) {
+      console.error('Error fetching webhook endpoints:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDeliveries = async (endpointId, page, status) => {
+    try {
+      const response = await api.get(`/webhook-endpoints/${endpointId}/deliveries`, {
+        params: { page, status: status || undefined }
+      });
+      setDeliveries(response.data.deliveries || []);
+      setDeliveryPage(response.data.page);
+      setDeliveryPages(Math.max(response.data.pages, 1));
+    } catch (error) {
+      console.error('Error fetching deliveries:', error);
+    }
+  };
+
+  const replaceEndpoint = (endpoint) => {
+    setEndpoints(endpoints.map(e => (e.id === endpoint.id ? endpoint : e)));
+  };
+
+  const openCreate = () => {
+    setEditing(null);
+    setFormData(EMPTY_FORM);
+    setFormError('');
+    setShowForm(true);
+  };
+
+  const openEdit = (endpoint) => {
+    setEditing(endpoint);
+    setFormData({ url: endpoint.url, description: endpoint.description || '', events: endpoint.events || [] });
+    setFormError('');
+    setShowForm(true);
+  };
+
+  const toggleEvent = (event) => {
+    const selectedEvents = formData.events.includes(event)
+      ? formData.events.filter(e => e !== event)
+      : [...formData.events, event];
+    setFormData({ ...formData, events: selectedEvents });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFormError('');
+    try {
+      if (editing) {
+        const response = await api.put(`/webhook-endpoints/${editing.id}`, formData);
+        replaceEndpoint(response.data.endpoint);
+      } else {
+        const response = await api.post('/webhook-endpoints', formData);
+        setEndpoints([response.data.endpoint, ...endpoints]);
+        setSelectedId(response.data.endpoint.id);
+      }
+      setShowForm(false);
+    } catch (error) {
+      setFormError(error.response?.data?.error || 'Failed to save endpoint');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (endpoint) => {
+    try {
+      const response = await api.put(`/webhook-endpoints/${endpoint.id}`, { isActive: !endpoint.isActive });
+      replaceEndpoint(response.data.endpoint);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update endpoint');
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm(`Delete the endpoint ${endpoint.url}? Its delivery log is deleted too.`)) return;
+    try {
+      await api.delete(`/webhook-endpoints/${endpoint.id}`);
+      const remaining = endpoints.filter(e => e.id !== endpoint.id);
+      setEndpoints(remaining);
+      setSelectedId(remaining.length > 0 ? remaining[0].id : null);
+      setDeliveries([]);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to delete endpoint');
+    }
+  };
+
+  const handleRotateSecret = async (endpoint) => {
+    if (!window.confirm('Rotate the signing secret? Deliveries are signed with the new secret right away.')) return;
+    try {
+      const response = await api.post(`/webhook-endpoints/${endpoint.id}/rotate-secret`);
+      replaceEndpoint(response.data.endpoint);
+      setSecretVisible(true);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to rotate secret');
+    }
+  };
+
+  const handleCopySecret = async (secret) => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      alert('Signing secret copied');
+    } catch (error) {
+      window.prompt('Copy your signing secret:', secret);
+    }
+  };
+
+  const handleSendTest = async (endpoint) => {
+    setTesting(true);
+    setTestResult(null);
+    try {
+      const response = await api.post(`/webhook-endpoints/${endpoint.id}/test`);
+      setTestResult(response.data);
+      fetchDeliveries(endpoint.id, 1, statusFilter);
+    } catch (error) {
+      setTestResult({ delivered: false, error: error.response?.data?.error || 'Failed to send test event' });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      await api.post(`/webhook-endpoints/deliveries/${delivery.id}/redeliver`);
+      fetchDeliveries(selectedId, deliveryPage, statusFilter);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to redeliver');
+    }
+  };
+
+  const handleFilterChange = (status) => {
+    setStatusFilter(status);
+    fetchDeliveries(selectedId, 1, status);
+  };
+
+  if (loading) {
+    return <div className="webhooks-page"><div className="loading">Loading...</div></div>;
+  }
+
+  return (
+    <div className="webhooks-page">
+      <h1 className="page-title">Webhooks</h1>
+      <p className="webhooks-intro">
+        Send leads, accepted proposals, completed work orders and new reviews to your own CRM or tools.
+        We POST a signed JSON event to your URL and retry with backoff for about an hour if it fails.
+      </p>
+
+      <div className="webhooks-container">
+        <div className="webhooks-section">
+          <div className="webhooks-section-header">
+            <h2 className="webhooks-section-title">Endpoints</h2>
+            {!showForm && (
+              <button type="button" className="save-btn" onClick={openCreate}>
+                <i className="fas fa-plus"></i> Add Endpoint
+              </button>
+            )}
+          </div>
+
+          {showForm && (
+            <form className="webhooks-form" onSubmit={handleSubmit}>
+              <div className="webhooks-field">
+                <label>Endpoint URL</label>
+                <input
+                  type="url"
+                  required
+                  maxLength={500}
+                  placeholder="https://example.com/webhooks/leads"
+                  value={formData.url}
+                  onChange={(e) => setFormData({ ...formData, url: e.target.value })}
+                />
+              </div>
+              <div className="webhooks-field">
+                <label>Description (optional)</label>
+                <input
+                  type="text"
+                  maxLength={255}
+                  placeholder="e.g. CRM import"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                />
+              </div>
+              <div className="webhooks-field">
+                <label>Events</label>
+                <div className="webhooks-event-options">
+                  {Object.entries(events).map(([event, description]) => (
+                    <label key={event} className="webhooks-event-option">
+                      <input
+                        type="checkbox"
+                        checked={formData.events.includes(event)}
+                        onChange={() => toggleEvent(event)}
+                      />
+                      <code>{event}</code>
+                      <span>{description}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              {formError && <div className="webhooks-error">{formError}</div>}
+              <div className="webhooks-form-actions">
+                <button type="button" className="webhooks-secondary-btn" onClick={() => setShowForm(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="save-btn" disabled={saving || formData.events.length === 0}>
+                  {saving ? 'Saving...' : editing ? 'Save Endpoint' : 'Add Endpoint'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {endpoints.length === 0 ? (
+            <p className="webhooks-hint">You haven't added any webhook endpoints yet.</p>
+          ) : (
+            <ul className="webhooks-endpoint-list">
+              {endpoints.map(endpoint => (
+                <li
+                  key={endpoint.id}
+                  className={`${endpoint.id === selectedId ? 'active' : ''} ${endpoint.isActive ? '' : 'disabled'}`}
+                  onClick={() => setSelectedId(endpoint.id)}
+                >
+                  <div className="webhooks-endpoint-url">{endpoint.url}</div>
+                  {endpoint.description && <div className="webhooks-endpoint-description">{endpoint.description}</div>}
+                  <div className="webhooks-endpoint-events">
+                    {!endpoint.isActive && <span className="webhooks-badge disabled">Disabled</span>}
+                    {endpoint.events.map(event => <span key={event}>{event}</span>)}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {selected && (
+          <div className="webhooks-section">
+            <div className="webhooks-section-header">
+              <h2 className="webhooks-section-title">Endpoint Details</h2>
+              <div className="webhooks-detail-actions">
+                <button type="button" className="webhooks-secondary-btn" onClick={() => openEdit(selected)}>
+                  <i className="fas fa-edit"></i> Edit
+                </button>
+                <button type="button" className="webhooks-secondary-btn" onClick={() => handleToggleActive(selected)}>
+                  <i className={`fas fa-${selected.isActive ? 'pause' : 'play'}`}></i> {selected.isActive ? 'Disable' : 'Enable'}
+                </button>
+                <button type="button" className="webhooks-danger-btn" onClick={() => handleDelete(selected)}>
+                  <i className="fas fa-trash"></i>
+                </button>
+              </div>
+            </div>
+
+            <div className="webhooks-field">
+              <label>Signing secret</label>
+              <div className="webhooks-secret">
+                <input type="text" readOnly value={secretVisible ? selected.secret : '•'.repeat(32)} onFocus={(e) => e.target.select()} />
+                <button type="button" className="webhooks-icon-btn" onClick={() => setSecretVisible(!secretVisible)} title={secretVisible ? 'Hide' : 'Reveal'}>
+                  <i className={`fas fa-${secretVisible ? 'eye-slash' : 'eye'}`}></i>
+                </button>
+                <button type="button" className="webhooks-icon-btn" onClick={() => handleCopySecret(selected.secret)} title="Copy">
+                  <i className="fas fa-copy"></i>
+                </button>
+              </div>
+              <button type="button" className="webhooks-link-btn" onClick={() => handleRotateSecret(selected)}>
+                Rotate secret
+              </button>
+            </div>
+
+            <div className="webhooks-test">
+              <button type="button" className="save-btn" onClick={() => handleSendTest(selected)} disabled={testing}>
+                <i className="fas fa-paper-plane"></i> {testing ? 'Sending...' : 'Send Test Event'}
+              </button>
+              {testResult && (
+                <span className={`webhooks-test-result ${testResult.delivered ? 'succeeded' : 'failed'}`}>
+                  {testResult.delivered
+                    ? `Delivered (HTTP ${testResult.responseStatus})`
+                    : testResult.error || 'Delivery failed'}
+                </span>
+              )}
+            </div>
+
+            <div className="webhooks-section-header">
+              <h3 className="webhooks-subtitle">Recent Deliveries</h3>
+              <select value={statusFilter} onChange={(e) => handleFilterChange(e.target.value)}>
+                <option value="">All</option>
+                <option value="succeeded">Succeeded</option>
+                <option value="pending">Retrying</option>
+                <option value="failed">Failed</option>
+              </select>
+            </div>
+
+            {deliveries.length === 0 ? (
+              <p className="webhooks-hint">No deliveries yet.</p>
+            ) : (
+              <ul className="webhooks-deliveries">
+                {deliveries.map(delivery => (
+                  <li key={delivery.id}>
+                    <div className="webhooks-delivery-row" onClick={() => setExpandedDelivery(expandedDelivery === delivery.id ? null : delivery.id)}>
+                      <span className={`webhooks-badge ${delivery.status}`}>
+                        {delivery.status === 'pending' ? 'retrying' : delivery.status}
+                      </span>
+                      <code>{delivery.event}</code>
+                      <span className="webhooks-delivery-meta">
+                        {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : ''}
+                        {delivery.attempts > 1 ? ` · ${delivery.attempts} attempts` : ''}
+                      </span>
+                      <span className="webhooks-delivery-time">{formatDateTime(delivery.createdAt)}</span>
+                    </div>
+                    {expandedDelivery === delivery.id && (
+                      <div className="webhooks-delivery-detail">
+                        <div className="webhooks-delivery-facts">
+                          <span>Last attempt: {formatDateTime(delivery.lastAttemptAt)}</span>
+                          {delivery.durationMs !== null && <span>Took {delivery.durationMs}ms</span>}
+                          {delivery.deliveredAt && <span>Delivered: {formatDateTime(delivery.deliveredAt)}</span>}
+                        </div>
+                        {delivery.errorMessage && <div className="webhooks-error">{delivery.errorMessage}</div>}
+                        <label>Payload</label>
+                        <pre>{JSON.stringify(delivery.payload, null, 2)}</pre>
+                        {delivery.responseBody && (
+                          <>
+                            <label>Response</label>
+                            <pre>{delivery.responseBody}</pre>
+                          </>
+                        )}
+                        {!delivery.isTest && delivery.status !== 'pending' && (
+                          <button type="button" className="webhooks-secondary-btn" onClick={() => handleRedeliver(delivery)}>
+                            <i className="fas fa-redo"></i> Redeliver
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {deliveryPages > 1 && (
+              <div className="webhooks-pagination">
+                <button
+                  type="button"
+                  className="webhooks-secondary-btn"
+                  disabled={deliveryPage <= 1}
+                  onClick={() => fetchDeliveries(selectedId, deliveryPage - 1, statusFilter)}
+                >
+                  Previous
+                </button>
+                <span>Page {deliveryPage} of {deliveryPages}</span>
+                <button
+                  type="button"
+                  className="webhooks-secondary-btn"
+                  disabled={deliveryPage >= deliveryPages}
+                  onClick={() => fetchDeliveries(selectedId, deliveryPage + 1, statusFilter)}
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="webhooks-section webhooks-docs">
+        <h2 className="webhooks-section-title">Verifying Signatures</h2>
+        <p className="webhooks-hint">
+          Every request has an <code>X-Webhook-Signature</code> header of the form <code>t=timestamp,v1=signature</code>.
+          The signature is an HMAC-SHA256 of <code>timestamp.body</code> using your signing secret. Respond with any
+          2xx status within 10 seconds; anything else is retried. Use the event <code>id</code> to ignore duplicates.
+        </p>
+        <pre>{SIGNATURE_EXAMPLE}</pre>
+      </div>
+    </div>
+  );
+};
+
+export default ProviderWebhooks;
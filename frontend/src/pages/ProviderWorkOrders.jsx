@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import MessageThread from '../components/MessageThread';
+import AppointmentModal from '../components/AppointmentModal';
+import { formatAppointmentTime } from '../components/AppointmentSlotPicker';
 import './ProviderWorkOrders.css';
 
 const ProviderWorkOrders = () => {
@@ -20,11 +23,29 @@ const ProviderWorkOrders = () => {
     const [selectedWorkOrder, setSelectedWorkOrder] = useState(null);
     const [submitting, setSubmitting] = useState(false);
     const [message, setMessage] = useState({ type: '', text: '' });
+    const [activeThread, setActiveThread] = useState(null);
+    const [unreadByRequest, setUnreadByRequest] = useState({});
+    const [appointmentWorkOrder, setAppointmentWorkOrder] = useState(null);
 
     useEffect(() => {
         loadWorkOrders();
+        loadUnreadCounts();
     }, [statusFilter, pagination.page]);
 
+    const loadUnreadCounts = async () => {
+        try {
+            const response = await api.get('/messages/unread-count');
+            setUnreadByRequest(response.data.byServiceRequest || {});
+        } catch (err) {
+            console.error('Error loading unread messages:', err);
+        }
+    };
+
+    const closeThread = () => {
+        setActiveThread(null);
+        loadUnreadCounts();
+    };
+
     const loadWorkOrders = async () => {
         try {
             setLoading(true);
@@ -82,6 +103,16 @@ const ProviderWorkOrders = () => {
         }
     };
 
+    const handleAppointmentSaved = async () => {
+        const workOrderId = appointmentWorkOrder.id;
+        setAppointmentWorkOrder(null);
+        setMessage({ type: 'success', text: 'Appointment updated. The customer has been notified.' });
+        await loadWorkOrders();
+        if (showDetailModal && selectedWorkOrder?.id === workOrderId) {
+            await handleViewDetails(workOrderId);
+        }
+    };
+
     const handleComplete = (workOrder) => {
         setSelectedWorkOrder(workOrder);
         setShowCompleteModal(true);
@@ -280,6 +311,17 @@ const ProviderWorkOrders = () => {
                                                         </span>
                                                     </div>
                                                 )}
+                                                {workOrder.appointment && (
+                                                    <div className="info-item">
+                                                        <i className="fas fa-calendar-check" style={{textAlign: 'left', marginLeft: 0}}></i>
+                                                        <span style={{textAlign: 'left', display: 'block', width: '100%'}}>
+                                                            <strong>Appointment:</strong>{' '}
+                                                            {workOrder.appointment.status === 'cancelled'
+                                                                ? 'Cancelled'
+                                                                : formatAppointmentTime(workOrder.appointment.start, workOrder.appointment.timezone)}
+                                                        </span>
+                                                    </div>
+                                                )}
                                                 <div className="info-item">
                                                     <i className="fas fa-calendar" style={{textAlign: 'left', marginLeft: 0}}></i>
                                                     <span style={{textAlign: 'left', display: 'block', width: '100%'}}>
@@ -313,6 +355,18 @@ const ProviderWorkOrders = () => {
                                                 <i className="fas fa-eye"></i>
                                                 View Details
                                             </button>
+                                            {workOrder.serviceRequest?.id && (
+                                                <button
+                                                    className="btn-message"
+                                                    onClick={() => setActiveThread({ serviceRequestId: workOrder.serviceRequest.id })}
+                                                >
+                                                    <i className="fas fa-comments"></i>
+                                                    Message Customer
+                                                    {unreadByRequest[workOrder.serviceRequest.id] > 0 && (
+                                                        <span className="unread-badge">{unreadByRequest[workOrder.serviceRequest.id]}</span>
+                                                    )}
+                                                </button>
+                                            )}
                                             {(workOrder.status === 'IN_PROGRESS' || workOrder.status === 'in_progress') && (
                                                 <button
                                                     className="btn-complete"
@@ -468,6 +522,29 @@ const ProviderWorkOrders = () => {
                                 </div>
                             </div>
 
+                            {(selectedWorkOrder.appointment || selectedWorkOrder.status === 'IN_PROGRESS') && (
+                                <div className="detail-section">
+                                    <h3>Appointment</h3>
+                                    <div className={`appointment-summary ${selectedWorkOrder.appointment?.status === 'cancelled' ? 'cancelled' : ''}`}>
+                                        <i className="fas fa-calendar-check"></i>
+                                        <span>
+                                            {!selectedWorkOrder.appointment
+                                                ? 'No appointment booked yet.'
+                                                : selectedWorkOrder.appointment.status === 'cancelled'
+                                                    ? 'The appointment was cancelled.'
+                                                    : `${formatAppointmentTime(selectedWorkOrder.appointment.start, selectedWorkOrder.appointment.timezone)}${selectedWorkOrder.appointment.status === 'rescheduled' ? ' (rescheduled)' : ''}`}
+                                        </span>
+                                        {selectedWorkOrder.status === 'IN_PROGRESS' && (
+                                            <div className="appointment-summary-actions">
+                                                <button type="button" onClick={() => setAppointmentWorkOrder(selectedWorkOrder)}>
+                                                    {selectedWorkOrder.appointment && selectedWorkOrder.appointment.status !== 'cancelled' ? 'Reschedule / Cancel' : 'Book a Time'}
+                                                </button>
+                                            </div>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+
                             {selectedWorkOrder.serviceRequest?.projectDescription && (
                                 <div className="detail-section">
                                     <h3>Project Description</h3>
@@ -573,6 +650,24 @@ const ProviderWorkOrders = () => {
                     </div>
                 </div>
             )}
+
+            {appointmentWorkOrder && (
+                <AppointmentModal
+                    appointment={appointmentWorkOrder.appointment}
+                    slotsUrl={`/provider/work-orders/${appointmentWorkOrder.id}/slots`}
+                    appointmentUrl={`/provider/work-orders/${appointmentWorkOrder.id}/appointment`}
+                    onClose={() => setAppointmentWorkOrder(null)}
+                    onSaved={handleAppointmentSaved}
+                />
+            )}
+
+            {activeThread && (
+                <MessageThread
+                    {...activeThread}
+                    onClose={closeThread}
+                    onRead={loadUnreadCounts}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams, useNavigate, Link } from 'react-router-dom';
+import api from '../services/api';
+import './Auth.css';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState('checking'); // checking, ready, invalid, success
+  const [email, setEmail] = useState('');
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loginPath, setLoginPath] = useState('/login');
+
+  useEffect(() => {
+    if (!token) {
+      setStatus('invalid');
+      setError('No reset token provided. Please use the link from your email.');
+      return;
+    }
+
+    const validateToken = async () => {
+      try {
+        const response = await api.get(`/auth/reset-password/${encodeURIComponent(token)}`);
+        setEmail(response.data.email || '');
+        setStatus('ready');
+      } catch (err) {
+        setStatus('invalid');
+        setError(err.response?.data?.error || 'This password reset link is invalid or has expired.');
+      }
+    };
+
+    validateToken();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters.');
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.post('/auth/reset-password', {
+        token,
+        password: formData.password
+      });
+
+      // Every existing session was revoked by the reset - drop the local one too
+      localStorage.removeItem('token');
+      localStorage.removeItem('user');
+
+      setLoginPath(response.data.role === 'admin' ? '/admin/login' : '/login');
+      setMessage(response.data.message || 'Your password has been reset. Please log in with your new password.');
+      setStatus('success');
+    } catch (err) {
+      const errorData = err.response?.data;
+      if (errorData?.code === 'INVALID_RESET_TOKEN') {
+        setStatus('invalid');
+      }
+      setError(errorData?.error || 'Failed to reset password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (status === 'checking') {
+    return (
+      <div className="auth-page">
+        <div className="auth-container" style={{ maxWidth: '500px', textAlign: 'center' }}>
+          <div className="verification-icon">
+            <i className="fas fa-spinner fa-spin" style={{ fontSize: '60px', color: '#667eea' }}></i>
+          </div>
+          <h2>Checking Reset Link</h2>
+          <p style={{ color: '#666' }}>Please wait while we verify your reset link...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'invalid') {
+    return (
+      <div className="auth-page">
+        <div className="auth-container" style={{ maxWidth: '500px', textAlign: 'center' }}>
+          <div className="verification-icon error">
+            <i className="fas fa-exclamation-circle" style={{ fontSize: '80px', color: '#ef4444' }}></i>
+          </div>
+          <h2 style={{ color: '#ef4444' }}>Link Invalid or Expired</h2>
+          <p style={{ color: '#666', marginBottom: '30px' }}>{error}</p>
+          <Link to="/forgot-password" className="btn-primary" style={{
+            display: 'inline-block',
+            padding: '14px 30px',
+            textDecoration: 'none',
+            borderRadius: '8px',
+            fontWeight: '600'
+          }}>
+            <i className="fas fa-redo"></i> Request a New Link
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'success') {
+    return (
+      <div className="auth-page">
+        <div className="auth-container" style={{ maxWidth: '500px', textAlign: 'center' }}>
+          <div className="verification-icon success">
+            <i className="fas fa-check-circle" style={{ fontSize: '80px', color: '#10b981' }}></i>
+          </div>
+          <h2 style={{ color: '#10b981' }}>Password Reset!</h2>
+          <p style={{ color: '#666', marginBottom: '30px' }}>{message}</p>
+          <button
+            type="button"
+            className="btn-primary"
+            onClick={() => navigate(loginPath)}
+          >
+            <i className="fas fa-sign-in-alt"></i> Continue to Login
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-header">
+          <h2>Choose a New Password</h2>
+          <p>{email ? `Resetting the password for ${email}` : 'Enter your new password below'}</p>
+        </div>
+
+        <div className="alert-container">
+          {error && (
+            <div className="alert alert-error" role="alert">
+              <i className="fas fa-exclamation-circle"></i>
+              <span>{error}</span>
+            </div>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} noValidate className="auth-form">
+          <div className="form-group">
+            <label htmlFor="password">
+              <i className="fas fa-lock"></i> New Password
+            </label>
+            <div className="password-input-wrapper">
+              <input
+                id="password"
+                name="password"
+                type={showPassword ? 'text' : 'password'}
+                autoComplete="new-password"
+                placeholder="At least 6 characters"
+                value={formData.password}
+                onChange={handleChange}
+                disabled={loading}
+              />
+              <button
+                type="button"
+                className="password-toggle"
+                onClick={() => setShowPassword(!showPassword)}
+                disabled={loading}
+                aria-label={showPassword ? 'Hide password' : 'Show password'}
+                tabIndex={-1}
+              >
+                <i className={`fas ${showPassword ? 'fa-eye-slash' : 'fa-eye'}`}></i>
+              </button>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">
+              <i className="fas fa-lock"></i> Confirm New Password
+            </label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type={showPassword ? 'text' : 'password'}
+              autoComplete="new-password"
+              placeholder="Re-enter your new password"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              disabled={loading}
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="btn-primary"
+            disabled={loading}
+            aria-busy={loading}
+          >
+            {loading ? (
+              <>
+                <i className="fas fa-spinner fa-spin"></i>
+                <span>Resetting...</span>
+              </>
+            ) : (
+              <>
+                <i className="fas fa-key"></i>
+                <span>Reset Password</span>
+              </>
+            )}
+          </button>
+        </form>
+
+        <p className="auth-link">
+          <Link to="/login">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -58,7 +58,9 @@ const SEOLandingPage = () => {
   const locationName = locationType === 'city' ? location.city : location.zipCode;
   const locationFull = locationType === 'city'
     ? `${location.city}, ${location.state}`
-    : `${location.zipCode}`;
+    : location.city
+      ? `${location.city}, ${location.state} ${location.zipCode}`
+      : `${location.zipCode}`;
 
   // Generate structured data (JSON-LD)
   const structuredData = {
@@ -237,6 +239,21 @@ const SEOLandingPage = () => {
               </ul>
             </div>
 
+            {data.nearbyZipCodes?.length > 0 && (
+              <div className="sidebar-widget">
+                <h3>Nearby ZIP Codes</h3>
+                <ul className="location-links">
+                  {data.nearbyZipCodes.map((zip) => (
+                    <li key={zip.zipCode}>
+                      <Link to={`/seo/${serviceSlug}/zipcode/${zip.zipCode}`}>
+                        {zip.zipCode} &middot; {zip.city}, {zip.state}
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             <div className="sidebar-widget">
               <h3>Related Services</h3>
               <ul className="service-links">
@@ -1,35 +1,290 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useContext, useRef } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
+import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import BookmarkButton from '../components/BookmarkButton';
 import './Businesses.css';
+import './SearchResults.css';
+
+// Fix for default marker icons in React-Leaflet
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon-2x.png',
+  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon.png',
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
+});
+
+const RADIUS_OPTIONS = [5, 10, 20, 50, 100];
+const DEFAULT_MAP_CENTER = [39.83, -98.58]; // Continental US
+const MAP_RESULT_LIMIT = 100;
+const MAP_REQUERY_DELAY_MS = 400;
+
+const hasCoordinates = (business) =>
+  business.latitude != null && business.longitude != null &&
+  !isNaN(parseFloat(business.latitude)) && !isNaN(parseFloat(business.longitude));
+
+const formatDistance = (distance) => {
+  const miles = parseFloat(distance);
+  return miles < 10 ? `${miles.toFixed(1)} mi` : `${Math.round(miles)} mi`;
+};
+
+// Zooms to the first set of results; after that the user drives the map
+const FitToResults = ({ businesses, center, fittedRef }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (fittedRef.current) return;
+    const points = businesses.filter(hasCoordinates)
+      .map(business => [parseFloat(business.latitude), parseFloat(business.longitude)]);
+    if (points.length > 0) {
+      fittedRef.current = true;
+      map.fitBounds(points, { padding: [40, 40], maxZoom: 13 });
+    } else if (center) {
+      fittedRef.current = true;
+      map.setView([center.lat, center.lng], 11);
+    }
+  }, [businesses, center, map, fittedRef]);
+
+  return null;
+};
+
+// Reports the visible area once the user stops panning or zooming
+const ViewportWatcher = ({ onChange }) => {
+  const timeoutRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timeoutRef.current), []);
+
+  useMapEvents({
+    moveend: (event) => {
+      const bounds = event.target.getBounds();
+      clearTimeout(timeoutRef.current);
+      timeoutRef.current = setTimeout(() => {
+        onChange([
+          bounds.getSouth(),
+          bounds.getWest(),
+          bounds.getNorth(),
+          bounds.getEast()
+        ].map(value => value.toFixed(5)).join(','));
+      }, MAP_REQUERY_DELAY_MS);
+    }
+  });
+
+  return null;
+};
 
 const SearchResults = () => {
-  const [searchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
+  const { user } = useContext(AuthContext);
   const [businesses, setBusinesses] = useState([]);
+  const [correctedQuery, setCorrectedQuery] = useState(null);
+  const [center, setCenter] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [bookmarkedIds, setBookmarkedIds] = useState(new Set());
+  const [mapBounds, setMapBounds] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const fittedRef = useRef(false);
+  const searchRef = useRef(0);
 
+  const view = searchParams.get('view') === 'map' ? 'map' : 'list';
+  const hasCenter = Boolean(searchParams.get('zipCode') || (searchParams.get('lat') && searchParams.get('lng')));
+
+  // A new search starts the map over: zoom to its results, not the old viewport
   useEffect(() => {
-    performSearch();
+    fittedRef.current = false;
+    setMapBounds(null);
   }, [searchParams]);
 
+  useEffect(() => {
+    performSearch();
+  }, [searchParams, mapBounds]);
+
+  useEffect(() => {
+    if (!user) {
+      setBookmarkedIds(new Set());
+      return;
+    }
+    api.get('/bookmarks/business-ids')
+      .then(response => setBookmarkedIds(new Set(response.data.businessIds || [])))
+      .catch(() => {});
+  }, [user]);
+
+  const handleBookmarkChange = (businessId, saved) => {
+    setBookmarkedIds(prev => {
+      const next = new Set(prev);
+      if (saved) {
+        next.add(businessId);
+      } else {
+        next.delete(businessId);
+      }
+      return next;
+    });
+  };
+
   const performSearch = async () => {
+    // Panning fires searches quickly; only the latest one may update the results
+    const searchId = ++searchRef.current;
     setLoading(true);
     try {
       const params = new URLSearchParams(searchParams);
+      params.delete('view');
+      if (view === 'map') {
+        params.set('limit', MAP_RESULT_LIMIT);
+        if (mapBounds) {
+          // The viewport replaces the radius; distances are still measured from the center
+          params.set('bounds', mapBounds);
+          params.delete('radius');
+        }
+      }
       const response = await api.get(`/search?${params.toString()}`);
+      if (searchId !== searchRef.current) return;
       setBusinesses(response.data.businesses || []);
+      setCorrectedQuery(response.data.correctedQuery || null);
+      setCenter(response.data.center || null);
     } catch (error) {
     } finally {
-      setLoading(false);
+      if (searchId === searchRef.current) {
+        setLoading(false);
+      }
     }
   };
 
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') {
+        params.delete(key);
+      } else {
+        params.set(key, value);
+      }
+    });
+    setSearchParams(params);
+  };
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) return;
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        updateParams({
+          lat: position.coords.latitude.toFixed(5),
+          lng: position.coords.longitude.toFixed(5),
+          zipCode: null,
+          radius: searchParams.get('radius') || 20
+        });
+      },
+      () => setLocating(false),
+      { timeout: 10000 }
+    );
+  };
+
+  const renderRating = (business) => (
+    <div className="rating">
+      <span className="stars">{'★'.repeat(Math.floor(parseFloat(business.ratingAverage) || 0))}</span>
+      <span className="rating-value">{parseFloat(business.ratingAverage) || 0}</span>
+    </div>
+  );
+
   return (
     <div className="businesses-page">
       <div className="container">
         <h1>Search Results</h1>
-        {loading ? (
+        {!loading && correctedQuery && (
+          <p className="search-correction">
+            Showing results for <strong>{correctedQuery}</strong> instead of "{searchParams.get('q')}".
+          </p>
+        )}
+        <div className="search-toolbar">
+          <div className="search-location-controls">
+            <button type="button" className="search-locate-btn" onClick={handleUseMyLocation} disabled={locating}>
+              <i className="fas fa-location-arrow"></i> {locating ? 'Locating...' : 'Near me'}
+            </button>
+            {hasCenter && (
+              <label className="search-radius">
+                Within
+                <select
+                  value={searchParams.get('radius') || ''}
+                  onChange={(e) => updateParams({ radius: e.target.value })}
+                >
+                  <option value="">{searchParams.get('zipCode') ? '20 miles' : 'Any distance'}</option>
+                  {RADIUS_OPTIONS.map(miles => (
+                    <option key={miles} value={miles}>{miles} miles</option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+          <div className="search-view-toggle">
+            <button
+              type="button"
+              className={view === 'list' ? 'active' : ''}
+              onClick={() => updateParams({ view: null })}
+            >
+              <i className="fas fa-list"></i> List
+            </button>
+            <button
+              type="button"
+              className={view === 'map' ? 'active' : ''}
+              onClick={() => updateParams({ view: 'map' })}
+            >
+              <i className="fas fa-map"></i> Map
+            </button>
+          </div>
+        </div>
+        {view === 'map' ? (
+          <div className="search-map-layout">
+            <div className="search-map">
+              <MapContainer center={DEFAULT_MAP_CENTER} zoom={4} style={{ height: '100%', width: '100%' }}>
+                <TileLayer
+                  attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                />
+                <FitToResults businesses={businesses} center={center} fittedRef={fittedRef} />
+                <ViewportWatcher onChange={(bounds) => fittedRef.current && setMapBounds(bounds)} />
+                {businesses.filter(hasCoordinates).map(business => (
+                  <Marker
+                    key={business.id}
+                    position={[parseFloat(business.latitude), parseFloat(business.longitude)]}
+                  >
+                    <Popup>
+                      <strong>{business.name}</strong>
+                      <br />
+                      {business.city}, {business.state}
+                      {business.distance != null && <> &middot; {formatDistance(business.distance)}</>}
+                      <br />
+                      <a href={`/businesses/${business.id}`} onClick={(e) => { e.preventDefault(); navigate(`/businesses/${business.id}`); }}>
+                        View business
+                      </a>
+                    </Popup>
+                  </Marker>
+                ))}
+              </MapContainer>
+              {loading && <div className="search-map-loading"><div className="spinner"></div></div>}
+            </div>
+            <div className="search-map-list">
+              {!loading && businesses.length === 0 ? (
+                <p>No businesses in this area. Try zooming out.</p>
+              ) : (
+                businesses.map(business => (
+                  <div key={business.id} className="search-map-item" onClick={() => navigate(`/businesses/${business.id}`)}>
+                    <div className="search-map-item-header">
+                      <h4>{business.name}</h4>
+                      {business.distance != null && (
+                        <span className="search-distance">{formatDistance(business.distance)}</span>
+                      )}
+                    </div>
+                    {renderRating(business)}
+                    <p><i className="fas fa-map-marker-alt"></i> {business.city}, {business.state}</p>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        ) : loading ? (
           <div className="loading"><div className="spinner"></div></div>
         ) : businesses.length === 0 ? (
           <p>No businesses found matching your search.</p>
@@ -37,14 +292,33 @@ const SearchResults = () => {
           <div className="businesses-grid">
             {businesses.map((business) => (
               <div key={business.id} className="business-card" onClick={() => navigate(`/businesses/${business.id}`)}>
-                <h3>{business.name}</h3>
-                <div className="rating">
-                  <span className="stars">{'★'.repeat(Math.floor(parseFloat(business.ratingAverage) || 0))}</span>
-                  <span className="rating-value">{parseFloat(business.ratingAverage) || 0}</span>
+                <div className="business-card-title-row">
+                  <h3>{business.name}</h3>
+                  <BookmarkButton
+                    businessId={business.id}
+                    saved={bookmarkedIds.has(business.id)}
+                    onChange={(saved) => handleBookmarkChange(business.id, saved)}
+                    compact
+                  />
                 </div>
+                {renderRating(business)}
+                {business.promotions?.length > 0 && (
+                  <div className="business-card-deals">
+                    {business.promotions.slice(0, 2).map(promotion => (
+                      <span key={promotion.id} className="business-card-deal" title={promotion.title}>
+                        <i className="fas fa-tag"></i> {promotion.discountLabel}
+                      </span>
+                    ))}
+                  </div>
+                )}
                 <p className="description">{business.description?.substring(0, 150)}...</p>
                 <div className="business-info">
-                  <p><i className="fas fa-map-marker-alt"></i> {business.city}, {business.state}</p>
+                  <p>
+                    <i className="fas fa-map-marker-alt"></i> {business.city}, {business.state}
+                    {business.distance != null && (
+                      <span className="search-distance">{formatDistance(business.distance)}</span>
+                    )}
+                  </p>
                 </div>
               </div>
             ))}
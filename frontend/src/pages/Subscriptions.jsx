@@ -13,6 +13,9 @@ const Subscriptions = () => {
   const [message, setMessage] = useState({ type: '', text: '' });
   const [paymentModalOpen, setPaymentModalOpen] = useState(false);
   const [selectedPlan, setSelectedPlan] = useState(null);
+  const [payingInvoice, setPayingInvoice] = useState(null);
+  const [openInvoice, setOpenInvoice] = useState(null);
+  const [invoices, setInvoices] = useState([]);
   const [viewMode, setViewMode] = useState('monthly'); // 'monthly', 'yearly'
   const [error, setError] = useState(null);
 
@@ -86,12 +89,30 @@ const Subscriptions = () => {
     try {
       const response = await api.get('/subscriptions/my-subscription');
       setCurrentSubscription(response.data.subscription);
+      setOpenInvoice(response.data.openInvoice || null);
     } catch (error) {
       console.error('Error loading subscription:', error);
       setCurrentSubscription(null);
+      setOpenInvoice(null);
     }
+    loadInvoices();
   };
 
+  const loadInvoices = async () => {
+    try {
+      const response = await api.get('/subscriptions/invoices', { params: { limit: 12 } });
+      setInvoices(response.data.invoices || []);
+    } catch (error) {
+      console.error('Error loading invoices:', error);
+    }
+  };
+
+  const formatDate = (value) => new Date(value).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
   const handleSubscribe = async (planId) => {
     const plan = plans.find(p => p.id === planId);
     if (!plan) {
@@ -102,17 +123,101 @@ const Subscriptions = () => {
       return;
     }
 
+    if (currentSubscription?.status === 'PAST_DUE') {
+      setMessage({
+        type: 'error',
+        text: 'Please pay your outstanding invoice before changing plans'
+      });
+      return;
+    }
+
+    // Switching plans mid-period is prorated - show the price first
+    if (currentSubscription?.status === 'ACTIVE' && currentSubscription.subscriptionPlanId !== plan.id) {
+      try {
+        setSubscribing(true);
+        const preview = await api.get('/subscriptions/change-plan/preview', {
+          params: { subscriptionPlanId: plan.id }
+        });
+        const { quote, canChangeNow } = preview.data;
+
+        if (!canChangeNow) {
+          // No saved card on file - collect the prorated amount at checkout
+          setSelectedPlan(plan);
+          setPaymentModalOpen(true);
+          return;
+        }
+
+        const summary = quote.amountDue > 0
+          ? `Your saved card will be charged $${quote.amountDue.toFixed(2)} now for the rest of this billing period.`
+          : `Your unused time becomes a $${quote.creditBalance.toFixed(2)} credit on your next invoice.`;
+        if (!window.confirm(`Switch to ${plan.name}? ${summary}`)) {
+          return;
+        }
+
+        const response = await api.post('/subscriptions/change-plan', { subscriptionPlanId: plan.id });
+        setMessage({
+          type: 'success',
+          text: response.data.message
+        });
+        await loadCurrentSubscription();
+      } catch (error) {
+        if (error.response?.data?.requiresPayment) {
+          setSelectedPlan(plan);
+          setPaymentModalOpen(true);
+          return;
+        }
+        setMessage({
+          type: 'error',
+          text: error.response?.data?.error || 'Failed to change plan'
+        });
+      } finally {
+        setSubscribing(false);
+      }
+      return;
+    }
+
     // Open payment modal
     setSelectedPlan(plan);
     setPaymentModalOpen(true);
   };
 
+  const handleRetryPayment = async () => {
+    if (!openInvoice) return;
+
+    try {
+      setSubscribing(true);
+      const response = await api.post(`/subscriptions/invoices/${openInvoice.id}/retry`, {});
+      setMessage({
+        type: 'success',
+        text: response.data.message
+      });
+      await loadCurrentSubscription();
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Payment failed. Try a different card.'
+      });
+      await loadCurrentSubscription();
+    } finally {
+      setSubscribing(false);
+    }
+  };
+
+  const handlePayWithNewCard = () => {
+    if (!openInvoice || !currentSubscription?.plan) return;
+    setPayingInvoice(openInvoice);
+    setSelectedPlan(currentSubscription.plan);
+    setPaymentModalOpen(true);
+  };
+
   const handlePaymentSuccess = async (result) => {
+    const paidInvoice = !!payingInvoice;
     setPaymentModalOpen(false);
     setSelectedPlan(null);
+    setPayingInvoice(null);
     setMessage({
       type: 'success',
-      text: 'Subscription activated successfully!'
+      text: paidInvoice ? 'Payment received - your subscription is active' : 'Subscription activated successfully!'
     });
 
     // Reload subscription status first (this is critical)
@@ -141,22 +246,26 @@ const Subscriptions = () => {
   const handlePaymentModalClose = () => {
     setPaymentModalOpen(false);
     setSelectedPlan(null);
+    setPayingInvoice(null);
   };
 
   const handleCancel = async () => {
     if (!currentSubscription) return;
 
-    if (!window.confirm('Are you sure you want to cancel your subscription? You will lose access to premium features at the end of your billing period.')) {
+    const confirmText = currentSubscription.status === 'PAST_DUE'
+      ? 'Are you sure you want to cancel your subscription? Your outstanding invoice will be voided and premium features end now.'
+      : 'Are you sure you want to cancel your subscription? You keep premium features until the end of your billing period and will not be charged again.';
+    if (!window.confirm(confirmText)) {
       return;
     }
 
     try {
       setSubscribing(true);
-      await api.post('/subscriptions/cancel', {});
+      const response = await api.post('/subscriptions/cancel', {});
 
       setMessage({
         type: 'success',
-        text: 'Subscription cancelled successfully'
+        text: response.data.message || 'Subscription cancelled successfully'
       });
 
       await loadCurrentSubscription();
@@ -170,6 +279,25 @@ const Subscriptions = () => {
     }
   };
 
+  const handleResume = async () => {
+    try {
+      setSubscribing(true);
+      const response = await api.post('/subscriptions/resume', {});
+      setMessage({
+        type: 'success',
+        text: response.data.message
+      });
+      await loadCurrentSubscription();
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Failed to resume subscription'
+      });
+    } finally {
+      setSubscribing(false);
+    }
+  };
+
   // Separate plans by billing cycle with improved filtering
   const monthlyPlans = useMemo(() => {
     if (!plans || !Array.isArray(plans)) return [];
@@ -256,7 +384,9 @@ const Subscriptions = () => {
     if (!plan) return 'Subscribe';
 
     const isCurrentPlan = currentSubscription?.subscriptionPlanId === plan.id;
-    const isActive = currentSubscription?.status === 'ACTIVE' && isCurrentPlan;
+    // A past-due subscription is still current while its renewal is retried
+    const isLive = ['ACTIVE', 'PAST_DUE'].includes(currentSubscription?.status);
+    const isActive = isLive && isCurrentPlan;
 
     // If this is the current active plan, show "Current Plan"
     if (isActive) {
@@ -264,12 +394,12 @@ const Subscriptions = () => {
     }
 
     // If this is the current plan but not active, show "Reactivate"
-    if (isCurrentPlan && currentSubscription?.status !== 'ACTIVE') {
+    if (isCurrentPlan && !isLive) {
       return 'Reactivate';
     }
 
     // Compare tiers if there's an active subscription
-    if (currentSubscription?.status === 'ACTIVE' && currentSubscription?.plan) {
+    if (isLive && currentSubscription?.plan) {
       const currentTierLevel = getTierLevel(currentSubscription.plan.tier);
       const planTierLevel = getTierLevel(plan.tier);
 
@@ -536,6 +666,34 @@ const Subscriptions = () => {
                 </div>
               </div>
             )}
+            {currentSubscription.status === 'PAST_DUE' && (
+              <div className="alert alert-error past-due-banner">
+                <i className="fas fa-credit-card"></i>
+                <div className="past-due-details">
+                  <strong>We couldn't process your renewal payment</strong>
+                  <span>
+                    {openInvoice ? `$${parseFloat(openInvoice.amount).toFixed(2)} is due. ` : ''}
+                    {openInvoice?.lastError ? `${openInvoice.lastError} ` : ''}
+                    {currentSubscription.graceEndsAt
+                      ? `Your premium features stay on until ${formatDate(currentSubscription.graceEndsAt)}.`
+                      : ''}
+                    {currentSubscription.nextPaymentAttemptAt
+                      ? ` We'll try again on ${formatDate(currentSubscription.nextPaymentAttemptAt)}.`
+                      : ''}
+                  </span>
+                  {openInvoice && (
+                    <div className="past-due-actions">
+                      <button onClick={handleRetryPayment} disabled={subscribing} className="btn-retry-payment">
+                        <i className="fas fa-redo"></i> Retry payment
+                      </button>
+                      <button onClick={handlePayWithNewCard} disabled={subscribing} className="btn-new-card">
+                        <i className="fas fa-credit-card"></i> Pay with a different card
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
             <h3>
               <i className={`fas fa-${currentSubscription.status === 'EXPIRED' ? 'exclamation-triangle' : 'check-circle'}`}></i> Current Subscription
             </h3>
@@ -558,6 +716,10 @@ const Subscriptions = () => {
                           day: 'numeric'
                         })}
                       </>
+                    ) : currentSubscription.cancelAtPeriodEnd ? (
+                      <>
+                        <i className="fas fa-calendar-times"></i> Cancels on: {formatDate(currentSubscription.currentPeriodEnd)}
+                      </>
                     ) : (
                       <>
                         Renews: {new Date(currentSubscription.currentPeriodEnd).toLocaleDateString(undefined, {
@@ -569,6 +731,11 @@ const Subscriptions = () => {
                     )}
                   </p>
                 )}
+                {parseFloat(currentSubscription.creditBalance || 0) > 0 && (
+                  <p className="subscription-credit">
+                    <i className="fas fa-gift"></i> Account credit: <strong>${parseFloat(currentSubscription.creditBalance).toFixed(2)}</strong> (applied to your next invoice)
+                  </p>
+                )}
                 {currentSubscription.status && (
                   <p className="subscription-status">
                     Status: <span className={`status-badge status-${currentSubscription.status.toLowerCase()}`}>
@@ -598,17 +765,64 @@ const Subscriptions = () => {
                   </p>
                 )}
               </div>
-              <button
-                onClick={handleCancel}
-                disabled={subscribing || currentSubscription.status !== 'ACTIVE'}
-                className="btn-cancel-subscription"
-              >
-                <i className="fas fa-times"></i> Cancel Subscription
-              </button>
+              {currentSubscription.cancelAtPeriodEnd && currentSubscription.status === 'ACTIVE' ? (
+                <button
+                  onClick={handleResume}
+                  disabled={subscribing}
+                  className="btn-resume-subscription"
+                >
+                  <i className="fas fa-redo"></i> Resume Subscription
+                </button>
+              ) : (
+                <button
+                  onClick={handleCancel}
+                  disabled={subscribing || !['ACTIVE', 'PAST_DUE'].includes(currentSubscription.status)}
+                  className="btn-cancel-subscription"
+                >
+                  <i className="fas fa-times"></i> Cancel Subscription
+                </button>
+              )}
             </div>
           </div>
         )}
 
+        {invoices.length > 0 && (
+          <div className="billing-history">
+            <h3>
+              <i className="fas fa-file-invoice-dollar"></i> Billing History
+            </h3>
+            <table className="billing-history-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Plan</th>
+                  <th>Description</th>
+                  <th>Amount</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {invoices.map((invoice) => (
+                  <tr key={invoice.id}>
+                    <td>{new Date(invoice.createdAt).toLocaleDateString()}</td>
+                    <td>{invoice.plan?.name || '-'}</td>
+                    <td>
+                      {invoice.reason === 'renewal' ? 'Renewal' : invoice.reason === 'plan_change' ? 'Plan change' : 'New subscription'}
+                      {parseFloat(invoice.creditApplied || 0) > 0 && (
+                        <span className="invoice-credit"> (${parseFloat(invoice.creditApplied).toFixed(2)} credit applied)</span>
+                      )}
+                    </td>
+                    <td>${parseFloat(invoice.amount || 0).toFixed(2)}</td>
+                    <td>
+                      <span className={`invoice-status invoice-status-${invoice.status}`}>{invoice.status}</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Monthly Plans Section */}
         {monthlyPlans && monthlyPlans.length > 0 && viewMode === 'monthly' && (
           <div className="plans-section">
@@ -650,6 +864,7 @@ const Subscriptions = () => {
       {paymentModalOpen && selectedPlan && (
         <SubscriptionPaymentModal
           plan={selectedPlan}
+          invoice={payingInvoice}
           onSuccess={handlePaymentSuccess}
           onError={handlePaymentError}
           onClose={handlePaymentModalClose}
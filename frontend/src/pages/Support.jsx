@@ -1,9 +1,12 @@
 import React, { useState } from 'react';
 import api from '../services/api';
+import HoneypotField from '../components/HoneypotField';
 import './Auth.css';
 
 const Support = () => {
   const [formData, setFormData] = useState({ name: '', email: '', subject: '', message: '' });
+  const [website, setWebsite] = useState('');
+  const [formStartedAt, setFormStartedAt] = useState(() => Date.now());
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
@@ -15,9 +18,10 @@ const Support = () => {
     setLoading(true);
 
     try {
-      await api.post('/contact', formData);
+      await api.post('/contact', { ...formData, website, formStartedAt });
       setSuccess('Your message has been sent successfully! We will respond within 24 hours.');
       setFormData({ name: '', email: '', subject: '', message: '' });
+      setFormStartedAt(Date.now());
     } catch (error) {
       setError(error.response?.data?.error || 'Failed to send message');
     } finally {
@@ -32,6 +36,7 @@ const Support = () => {
         {error && <div className="alert alert-error">{error}</div>}
         {success && <div className="alert alert-success">{success}</div>}
         <form onSubmit={handleSubmit}>
+          <HoneypotField value={website} onChange={setWebsite} />
           <div className="form-group">
             <label>Your Name *</label>
             <input type="text" required value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} />
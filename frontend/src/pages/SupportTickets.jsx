@@ -12,11 +12,18 @@ const SupportTickets = () => {
     subject: '',
     message: ''
   });
+  const [formStartedAt, setFormStartedAt] = useState(null);
 
   useEffect(() => {
     fetchTickets();
   }, []);
 
+  useEffect(() => {
+    if (showNewTicketForm) {
+      setFormStartedAt(Date.now());
+    }
+  }, [showNewTicketForm]);
+
   const fetchTickets = async () => {
     try {
       const response = await api.get('/contact/my-tickets');
@@ -35,7 +42,8 @@ const SupportTickets = () => {
         name: user?.name || 'User',
         email: user?.email,
         subject: formData.subject,
-        message: formData.message
+        message: formData.message,
+        formStartedAt
       });
       setFormData({ subject: '', message: '' });
       setShowNewTicketForm(false);
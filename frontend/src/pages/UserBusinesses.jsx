@@ -2,6 +2,7 @@ import React, { useState, useEffect, useContext } from 'react';
 import { Link } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import { uploadMedia, mediaUrl, MAX_IMAGE_BYTES } from '../services/media';
 import './UserBusinesses.css';
 
 const UserBusinesses = () => {
@@ -129,41 +130,45 @@ const UserBusinesses = () => {
     }));
   };
 
-  const handleLogoUpload = (e) => {
+  // Files go to /api/media first; the business only stores the returned urls
+  const handleLogoUpload = async (e) => {
     const file = e.target.files[0];
-    if (file) {
-      if (file.size > 2 * 1024 * 1024) {
-        setMessage({ type: 'error', text: 'Logo must be less than 2MB' });
-        return;
-      }
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setFormData(prev => ({ ...prev, logo: reader.result }));
-      };
-      reader.readAsDataURL(file);
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > MAX_IMAGE_BYTES) {
+      setMessage({ type: 'error', text: 'Logo must be less than 10MB' });
+      return;
+    }
+    try {
+      const [media] = await uploadMedia([file], 'business_logo');
+      setFormData(prev => ({ ...prev, logo: media.url }));
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to upload logo' });
     }
   };
 
-  const handleImageUpload = (e) => {
-    const files = Array.from(e.target.files);
+  const handleImageUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
     if (formData.images.length + files.length > 10) {
       setMessage({ type: 'error', text: 'Maximum 10 images allowed' });
       return;
     }
-    files.forEach(file => {
-      if (file.size > 2 * 1024 * 1024) {
-        setMessage({ type: 'error', text: `Image ${file.name} is too large (max 2MB)` });
-        return;
-      }
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setFormData(prev => ({
-          ...prev,
-          images: [...prev.images, reader.result]
-        }));
-      };
-      reader.readAsDataURL(file);
-    });
+    const tooLarge = files.find(file => file.size > MAX_IMAGE_BYTES);
+    if (tooLarge) {
+      setMessage({ type: 'error', text: `Image ${tooLarge.name} is too large (max 10MB)` });
+      return;
+    }
+    try {
+      const media = await uploadMedia(files, 'business_image');
+      setFormData(prev => ({
+        ...prev,
+        images: [...prev.images, ...media.map(item => item.url)]
+      }));
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to upload images' });
+    }
   };
 
   const removeImage = (index) => {
@@ -726,7 +731,7 @@ const UserBusinesses = () => {
                         <label className="upload-placeholder">
                           <i className="fas fa-cloud-upload-alt"></i>
                           <span>Upload Logo</span>
-                          <small>Max 2MB</small>
+                          <small>Max 10MB</small>
                           <input type="file" accept="image/*" onChange={handleLogoUpload} style={{ display: 'none' }} />
                         </label>
                       )}
@@ -739,7 +744,7 @@ const UserBusinesses = () => {
                     <div className="images-grid">
                       {formData.images.map((img, index) => (
                         <div key={index} className="image-preview-item">
-                          <img src={img} alt={`Business ${index + 1}`} />
+                          <img src={mediaUrl(img, 'thumb')} alt={`Business ${index + 1}`} />
                           <button type="button" className="remove-btn" onClick={() => removeImage(index)}>
                             <i className="fas fa-times"></i>
                           </button>
@@ -1010,7 +1015,7 @@ const UserBusinesses = () => {
                         <label className="upload-placeholder">
                           <i className="fas fa-cloud-upload-alt"></i>
                           <span>Upload Logo</span>
-                          <small>Max 2MB</small>
+                          <small>Max 10MB</small>
                           <input type="file" accept="image/*" onChange={handleLogoUpload} style={{ display: 'none' }} />
                         </label>
                       )}
@@ -1023,7 +1028,7 @@ const UserBusinesses = () => {
                     <div className="images-grid">
                       {formData.images?.map((img, index) => (
                         <div key={index} className="image-preview-item">
-                          <img src={img} alt={`Business ${index + 1}`} />
+                          <img src={mediaUrl(img, 'thumb')} alt={`Business ${index + 1}`} />
                           <button type="button" className="remove-btn" onClick={() => removeImage(index)}>
                             <i className="fas fa-times"></i>
                           </button>
@@ -2,17 +2,22 @@ import React, { useState, useEffect, useContext } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import { uploadMedia, mediaUrl, MAX_IMAGE_BYTES } from '../services/media';
 import './Auth.css';
+import './WriteReview.css';
+
+const MAX_REVIEW_PHOTOS = 5;
 
 const WriteReview = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { user } = useContext(AuthContext);
   const [businesses, setBusinesses] = useState([]);
-  const [formData, setFormData] = useState({ businessId: '', rating: 0, title: '', comment: '' });
+  const [formData, setFormData] = useState({ businessId: '', rating: 0, title: '', comment: '', images: [] });
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
 
   useEffect(() => {
     if (!user) {
@@ -36,6 +41,32 @@ const WriteReview = () => {
     }
   };
 
+  const handlePhotoUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    if (formData.images.length + files.length > MAX_REVIEW_PHOTOS) {
+      setError(`You can add up to ${MAX_REVIEW_PHOTOS} photos`);
+      return;
+    }
+    if (files.some(file => file.size > MAX_IMAGE_BYTES)) {
+      setError('Photos must be less than 10MB');
+      return;
+    }
+
+    setError('');
+    setUploading(true);
+    try {
+      const media = await uploadMedia(files, 'review_image');
+      setFormData(prev => ({ ...prev, images: [...prev.images, ...media.map(item => item.url)] }));
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to upload photos');
+    } finally {
+      setUploading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -90,7 +121,30 @@ const WriteReview = () => {
             <label>Your Review *</label>
             <textarea required value={formData.comment} onChange={(e) => setFormData({ ...formData, comment: e.target.value })} />
           </div>
-          <button type="submit" className="btn-primary" disabled={loading} style={{ width: '100%' }}>
+          <div className="form-group">
+            <label>Photos (optional)</label>
+            <div className="review-photos">
+              {formData.images.map((image, index) => (
+                <div key={image} className="review-photo">
+                  <img src={mediaUrl(image, 'thumb')} alt={`Photo ${index + 1}`} />
+                  <button
+                    type="button"
+                    onClick={() => setFormData({ ...formData, images: formData.images.filter((_, i) => i !== index) })}
+                    title="Remove photo"
+                  >
+                    <i className="fas fa-times"></i>
+                  </button>
+                </div>
+              ))}
+              {formData.images.length < MAX_REVIEW_PHOTOS && (
+                <label className={`review-photo-add ${uploading ? 'disabled' : ''}`}>
+                  <input type="file" accept="image/*" multiple onChange={handlePhotoUpload} disabled={uploading} />
+                  <i className={`fas ${uploading ? 'fa-spinner fa-spin' : 'fa-camera'}`}></i>
+                </label>
+              )}
+            </div>
+          </div>
+          <button type="submit" className="btn-primary" disabled={loading || uploading} style={{ width: '100%' }}>
             {loading ? 'Submitting...' : 'Submit Review'}
           </button>
         </form>
@@ -9,17 +9,21 @@ const AdminContacts = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [selectedContact, setSelectedContact] = useState(null);
   const [sendingToProvider, setSendingToProvider] = useState(false);
+  const [activeTab, setActiveTab] = useState('inbox');
+  const [quarantinedCount, setQuarantinedCount] = useState(0);
 
   useEffect(() => {
     loadContacts();
-  }, [currentPage]);
+  }, [currentPage, activeTab]);
 
   const loadContacts = async () => {
     try {
       setLoading(true);
-      const response = await api.get(`/admin/contacts?page=${currentPage}&limit=20`);
+      const statusFilter = activeTab === 'quarantine' ? '&status=spam' : '';
+      const response = await api.get(`/admin/contacts?page=${currentPage}&limit=20${statusFilter}`);
       setContacts(response.data.contacts);
       setTotalPages(response.data.pages);
+      setQuarantinedCount(response.data.quarantined || 0);
     } catch (error) {
       alert('Failed to load contacts');
     } finally {
@@ -55,6 +59,24 @@ const AdminContacts = () => {
     }
   };
 
+  const handleNotSpam = async (id) => {
+    try {
+      await api.put(`/admin/contacts/${id}/not-spam`);
+      loadContacts();
+      if (selectedContact && selectedContact.id === id) {
+        setSelectedContact(null);
+      }
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to move message to inbox');
+    }
+  };
+
+  const switchTab = (tab) => {
+    setActiveTab(tab);
+    setCurrentPage(1);
+    setSelectedContact(null);
+  };
+
   const handleSendToProvider = async () => {
     if (!selectedContact?.business) {
       alert('This message is not associated with a business.');
@@ -89,6 +111,21 @@ const AdminContacts = () => {
         </div>
       </div>
 
+      <div className="tabs">
+        <button
+          className={`tab-btn ${activeTab === 'inbox' ? 'active' : ''}`}
+          onClick={() => switchTab('inbox')}
+        >
+          <i className="fas fa-inbox"></i> Inbox
+        </button>
+        <button
+          className={`tab-btn ${activeTab === 'quarantine' ? 'active' : ''}`}
+          onClick={() => switchTab('quarantine')}
+        >
+          <i className="fas fa-shield-alt"></i> Spam Quarantine ({quarantinedCount})
+        </button>
+      </div>
+
       <div className="table-wrapper">
         <table className="admin-table">
           <thead>
@@ -100,7 +137,7 @@ const AdminContacts = () => {
               <th>Business</th>
               <th>Subject</th>
               <th>Message</th>
-              <th>Status</th>
+              <th>{activeTab === 'quarantine' ? 'Spam Score' : 'Status'}</th>
               <th>Date</th>
               <th>Actions</th>
             </tr>
@@ -139,21 +176,38 @@ const AdminContacts = () => {
                     </button>
                   </td>
                   <td>
-                    <select 
-                      value={contact.status}
-                      onChange={(e) => updateStatus(contact.id, e.target.value)}
-                      className={`status-badge ${contact.status}`}
-                      style={{padding: '5px', borderRadius: '4px', border: '1px solid #ddd'}}
-                    >
-                      <option value="new">New</option>
-                      <option value="read">Read</option>
-                      <option value="replied">Replied</option>
-                      <option value="resolved">Resolved</option>
-                    </select>
+                    {contact.status === 'spam' ? (
+                      <div title={(contact.spamReasons || []).join('\n')}>
+                        <strong>{contact.spamScore}</strong>
+                        <br />
+                        <small style={{color: '#666'}}>{(contact.spamReasons || [])[0]}</small>
+                      </div>
+                    ) : (
+                      <select 
+                        value={contact.status}
+                        onChange={(e) => updateStatus(contact.id, e.target.value)}
+                        className={`status-badge ${contact.status}`}
+                        style={{padding: '5px', borderRadius: '4px', border: '1px solid #ddd'}}
+                      >
+                        <option value="new">New</option>
+                        <option value="read">Read</option>
+                        <option value="replied">Replied</option>
+                        <option value="resolved">Resolved</option>
+                      </select>
+                    )}
                   </td>
                   <td>{new Date(contact.createdAt).toLocaleDateString()}</td>
                   <td>
                     <div className="action-buttons">
+                      {contact.status === 'spam' && (
+                        <button
+                          className="btn-view"
+                          onClick={() => handleNotSpam(contact.id)}
+                          title="Not Spam"
+                        >
+                          <i className="fas fa-check"></i>
+                        </button>
+                      )}
                       <button 
                         className="btn-delete"
                         onClick={() => handleDelete(contact.id)}
@@ -167,7 +221,9 @@ const AdminContacts = () => {
               ))
             ) : (
               <tr>
-                <td colSpan="10" className="empty-state">No contact messages found</td>
+                <td colSpan="10" className="empty-state">
+                  {activeTab === 'quarantine' ? 'No quarantined messages' : 'No contact messages found'}
+                </td>
               </tr>
             )}
           </tbody>
@@ -296,6 +352,19 @@ const AdminContacts = () => {
                 </div>
               </div>
 
+              {selectedContact.status === 'spam' ? (
+              <div className="status-section">
+                <div className="status-header">
+                  <i className="fas fa-shield-alt"></i>
+                  <span>Quarantined as spam (score {selectedContact.spamScore})</span>
+                </div>
+                <ul style={{margin: '8px 0 0', paddingLeft: '20px', color: '#666'}}>
+                  {(selectedContact.spamReasons || []).map((reason, index) => (
+                    <li key={index}>{reason}</li>
+                  ))}
+                </ul>
+              </div>
+              ) : (
               <div className="status-section">
                 <div className="status-header">
                   <i className="fas fa-info-circle"></i>
@@ -315,10 +384,20 @@ const AdminContacts = () => {
                   <option value="resolved">Resolved</option>
                 </select>
               </div>
+              )}
             </div>
 
             <div className="modal-actions-contact">
-              {selectedContact.business && (
+              {selectedContact.status === 'spam' && (
+                <button
+                  className="btn-send-provider"
+                  onClick={() => handleNotSpam(selectedContact.id)}
+                >
+                  <i className="fas fa-check"></i>
+                  Not Spam
+                </button>
+              )}
+              {selectedContact.business && selectedContact.status !== 'spam' && (
                 <button 
                   className="btn-send-provider" 
                   onClick={handleSendToProvider}
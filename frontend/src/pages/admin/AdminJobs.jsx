@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import './AdminTable.css';
+import './AdminJobs.css';
+
+const STATUSES = [
+  { value: 'queued', label: 'Queued' },
+  { value: 'running', label: 'Running' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'all', label: 'All' }
+];
+
+const STATUS_BADGES = {
+  queued: 'pending',
+  running: 'active',
+  completed: 'active',
+  failed: 'rejected'
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '–');
+
+const AdminJobs = () => {
+  const [jobs, setJobs] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [types, setTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('failed');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalCount, setTotalCount] = useState(0);
+  const [selectedJob, setSelectedJob] = useState(null);
+
+  useEffect(() => {
+    loadJobs();
+  }, [currentPage, statusFilter, typeFilter]);
+
+  // Reset to page 1 when filters change
+  useEffect(() => {
+    setCurrentPage(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [statusFilter, typeFilter]);
+
+  const loadJobs = async () => {
+    try {
+      setLoading(true);
+      let queryString = `page=${currentPage}&limit=25&status=${statusFilter}`;
+      if (typeFilter) {
+        queryString += `&type=${encodeURIComponent(typeFilter)}`;
+      }
+      const response = await api.get(`/admin/jobs?${queryString}`);
+      setJobs(response.data.jobs || []);
+      setCounts(response.data.counts || {});
+      setTypes(response.data.types || []);
+      setTotalPages(response.data.pages || 1);
+      setTotalCount(response.data.total || 0);
+    } catch (error) {
+      alert('Failed to load jobs');
+      setJobs([]);
+      setTotalPages(1);
+      setTotalCount(0);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRetry = async (job) => {
+    try {
+      await api.post(`/admin/jobs/${job.id}/retry`);
+      setSelectedJob(null);
+      loadJobs();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to retry job');
+    }
+  };
+
+  return (
+    <div className="admin-table-container">
+      <div className="table-header">
+        <h2>Background Jobs</h2>
+        <div className="header-actions">
+          <div className="filter-buttons">
+            {STATUSES.map(status => (
+              <button
+                key={status.value}
+                className={`filter-btn ${statusFilter === status.value ? 'active' : ''}`}
+                onClick={() => setStatusFilter(status.value)}
+              >
+                {status.label}
+                {counts[status.value] !== undefined && <span className="jobs-count">{counts[status.value]}</span>}
+              </button>
+            ))}
+          </div>
+          <select className="jobs-type-filter" value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+            <option value="">All job types</option>
+            {types.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <button className="btn-primary-action" onClick={loadJobs} disabled={loading}>
+            <i className="fas fa-sync-alt"></i> Refresh
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading"><div className="spinner"></div></div>
+      ) : (
+        <div className="table-wrapper">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Type</th>
+                <th>Status</th>
+                <th>Attempts</th>
+                <th>{statusFilter === 'completed' ? 'Completed' : 'Run At'}</th>
+                <th>Last Error</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.length > 0 ? (
+                jobs.map((job) => (
+                  <tr key={job.id}>
+                    <td>{job.id}</td>
+                    <td>
+                      <strong>{job.type}</strong>
+                      {job.idempotencyKey && <small className="jobs-key">{job.idempotencyKey}</small>}
+                    </td>
+                    <td>
+                      <span className={`status-badge ${STATUS_BADGES[job.status] || 'pending'}`}>{job.status}</span>
+                    </td>
+                    <td>{job.attempts} / {job.maxAttempts}</td>
+                    <td>{formatDateTime(job.status === 'completed' ? job.completedAt : job.runAt)}</td>
+                    <td className="jobs-error">{job.lastError ? job.lastError.split('\n')[0] : '–'}</td>
+                    <td>
+                      <div className="action-buttons">
+                        <button className="btn-edit" onClick={() => setSelectedJob(job)} title="View Details">
+                          <i className="fas fa-eye"></i>
+                        </button>
+                        {job.status === 'failed' && (
+                          <button className="btn-approve" onClick={() => handleRetry(job)} title="Retry">
+                            <i className="fas fa-redo"></i>
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan="7" className="empty-state">No jobs found</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="pagination">
+          <button
+            disabled={currentPage === 1 || loading}
+            onClick={() => !loading && setCurrentPage(currentPage - 1)}
+          >
+            <i className="fas fa-chevron-left"></i> Previous
+          </button>
+          <span>
+            Page {currentPage} of {totalPages}
+            {totalCount > 0 && ` (${totalCount} total)`}
+          </span>
+          <button
+            disabled={currentPage === totalPages || loading}
+            onClick={() => !loading && setCurrentPage(currentPage + 1)}
+          >
+            Next <i className="fas fa-chevron-right"></i>
+          </button>
+        </div>
+      )}
+
+      {selectedJob && (
+        <div className="modal-overlay" onClick={() => setSelectedJob(null)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '700px' }}>
+            <h3>Job #{selectedJob.id} — {selectedJob.type}</h3>
+            <div style={{ padding: '0 24px 24px 24px', overflowY: 'auto', maxHeight: 'calc(100vh - 150px)' }}>
+              <div className="form-group">
+                <label>Status</label>
+                <div>
+                  <span className={`status-badge ${STATUS_BADGES[selectedJob.status] || 'pending'}`}>{selectedJob.status}</span>
+                  {' '}attempt {selectedJob.attempts} of {selectedJob.maxAttempts}
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Timing</label>
+                <div>
+                  Created {formatDateTime(selectedJob.createdAt)}
+                  <br />
+                  Run at {formatDateTime(selectedJob.runAt)}
+                  {selectedJob.completedAt && (
+                    <>
+                      <br />
+                      Completed {formatDateTime(selectedJob.completedAt)}
+                    </>
+                  )}
+                  {selectedJob.lockedBy && (
+                    <>
+                      <br />
+                      Locked by {selectedJob.lockedBy} since {formatDateTime(selectedJob.lockedAt)}
+                    </>
+                  )}
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Payload</label>
+                <pre className="jobs-pre">{JSON.stringify(selectedJob.payload, null, 2)}</pre>
+              </div>
+              {selectedJob.result && (
+                <div className="form-group">
+                  <label>Result</label>
+                  <pre className="jobs-pre">{JSON.stringify(selectedJob.result, null, 2)}</pre>
+                </div>
+              )}
+              {selectedJob.lastError && (
+                <div className="form-group">
+                  <label>Last Error</label>
+                  <pre className="jobs-pre jobs-pre-error">{selectedJob.lastError}</pre>
+                </div>
+              )}
+              <div className="modal-actions">
+                <button type="button" className="btn-cancel" onClick={() => setSelectedJob(null)}>
+                  Close
+                </button>
+                {selectedJob.status === 'failed' && (
+                  <button type="button" className="btn-submit" onClick={() => handleRetry(selectedJob)}>
+                    Retry Now
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminJobs;
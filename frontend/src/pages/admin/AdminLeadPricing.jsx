@@ -0,0 +1,518 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import './AdminTable.css';
+import './AdminLeadPricing.css';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptyForm = {
+  name: '',
+  categoryId: '',
+  subCategoryId: '',
+  zipCode: '',
+  state: '',
+  daysOfWeek: [],
+  startTime: '',
+  endTime: '',
+  price: '',
+  effectiveFrom: '',
+  effectiveTo: '',
+  priority: 0,
+  isActive: true,
+  notes: ''
+};
+
+const formatCents = (cents) => `$${(cents / 100).toFixed(2)}`;
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const describeWindow = (rule) => {
+  const parts = [];
+  if (rule.daysOfWeek && rule.daysOfWeek.length > 0) {
+    parts.push(rule.daysOfWeek.map(day => DAYS[day]).join(', '));
+  }
+  if (rule.startTime && rule.endTime) {
+    parts.push(`${rule.startTime}–${rule.endTime}`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'Any time';
+};
+
+const describeDates = (rule) => {
+  if (!rule.effectiveFrom && !rule.effectiveTo) return 'Always';
+  const from = rule.effectiveFrom ? new Date(rule.effectiveFrom).toLocaleDateString() : '…';
+  const to = rule.effectiveTo ? new Date(rule.effectiveTo).toLocaleDateString() : '…';
+  return `${from} – ${to}`;
+};
+
+const AdminLeadPricing = () => {
+  const [rules, setRules] = useState([]);
+  const [defaultLeadCost, setDefaultLeadCost] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [subcategories, setSubcategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [preview, setPreview] = useState({
+    provider: '',
+    categoryId: '',
+    subCategoryId: '',
+    zipCode: '',
+    state: '',
+    at: ''
+  });
+  const [previewResult, setPreviewResult] = useState(null);
+  const [previewError, setPreviewError] = useState('');
+  const [previewing, setPreviewing] = useState(false);
+
+  useEffect(() => {
+    loadRules();
+    loadCategories();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/admin/lead-price-rules');
+      setRules(response.data.rules || []);
+      setDefaultLeadCost(response.data.defaultLeadCost);
+    } catch (error) {
+      alert('Failed to load lead price rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadCategories = async () => {
+    try {
+      const [categoryResponse, subcategoryResponse] = await Promise.all([
+        api.get('/admin/categories'),
+        api.get('/admin/subcategories')
+      ]);
+      setCategories(categoryResponse.data.categories || []);
+      setSubcategories(subcategoryResponse.data.subcategories || []);
+    } catch (error) {
+      console.error('Failed to load categories:', error);
+    }
+  };
+
+  const subcategoriesFor = (categoryId) => subcategories.filter(sub => String(sub.categoryId) === String(categoryId));
+
+  const openCreate = () => {
+    setEditingRule(null);
+    setFormData(emptyForm);
+    setShowModal(true);
+  };
+
+  const handleEdit = (rule) => {
+    setEditingRule(rule);
+    setFormData({
+      name: rule.name,
+      categoryId: rule.categoryId || '',
+      subCategoryId: rule.subCategoryId || '',
+      zipCode: rule.zipCode || '',
+      state: rule.state || '',
+      daysOfWeek: rule.daysOfWeek || [],
+      startTime: rule.startTime || '',
+      endTime: rule.endTime || '',
+      price: (rule.priceCents / 100).toFixed(2),
+      effectiveFrom: toDateInput(rule.effectiveFrom),
+      effectiveTo: toDateInput(rule.effectiveTo),
+      priority: rule.priority,
+      isActive: rule.isActive,
+      notes: rule.notes || ''
+    });
+    setShowModal(true);
+  };
+
+  const toggleDay = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(d => d !== day)
+        : [...prev.daysOfWeek, day]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { price, ...rest } = formData;
+    const payload = { ...rest, priceCents: Math.round(parseFloat(price) * 100) };
+
+    try {
+      if (editingRule) {
+        await api.put(`/admin/lead-price-rules/${editingRule.id}`, payload);
+        alert('Lead price rule updated successfully!');
+      } else {
+        await api.post('/admin/lead-price-rules', payload);
+        alert('Lead price rule created successfully!');
+      }
+      setShowModal(false);
+      setEditingRule(null);
+      loadRules();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to save lead price rule');
+    }
+  };
+
+  const handleToggleActive = async (rule) => {
+    try {
+      await api.put(`/admin/lead-price-rules/${rule.id}`, { isActive: !rule.isActive });
+      loadRules();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update lead price rule');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this price rule?')) return;
+
+    try {
+      await api.delete(`/admin/lead-price-rules/${id}`);
+      alert('Lead price rule deleted successfully!');
+      loadRules();
+    } catch (error) {
+      alert('Failed to delete lead price rule');
+    }
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setPreviewing(true);
+    setPreviewError('');
+    try {
+      const response = await api.post('/admin/lead-price-rules/preview', preview);
+      setPreviewResult(response.data.preview);
+    } catch (error) {
+      setPreviewResult(null);
+      setPreviewError(error.response?.data?.error || 'Failed to preview price');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading"><div className="spinner"></div></div>;
+  }
+
+  return (
+    <div className="admin-table-container">
+      <div className="table-header">
+        <h2>Lead Pricing</h2>
+        <button className="btn-primary-action" onClick={openCreate}>
+          <i className="fas fa-plus"></i> Add Price Rule
+        </button>
+      </div>
+
+      <p className="lead-pricing-hint">
+        The highest-priority matching rule sets the price; ties go to the most specific rule (zip, then state,
+        subcategory, category, time window). Leads that match no rule cost
+        {defaultLeadCost !== null && <strong> {formatCents(defaultLeadCost)}</strong>}.
+      </p>
+
+      <form className="lead-price-preview" onSubmit={handlePreview}>
+        <h3><i className="fas fa-calculator"></i> Price Preview</h3>
+        <div className="lead-price-preview-fields">
+          <input
+            type="text"
+            placeholder="Provider email or user ID"
+            value={preview.provider}
+            onChange={(e) => setPreview({ ...preview, provider: e.target.value })}
+          />
+          <select
+            value={preview.categoryId}
+            onChange={(e) => setPreview({ ...preview, categoryId: e.target.value, subCategoryId: '' })}
+          >
+            <option value="">Any category</option>
+            {categories.map(category => (
+              <option key={category.id} value={category.id}>{category.name}</option>
+            ))}
+          </select>
+          <select
+            value={preview.subCategoryId}
+            onChange={(e) => setPreview({ ...preview, subCategoryId: e.target.value })}
+            disabled={!preview.categoryId}
+          >
+            <option value="">Any subcategory</option>
+            {subcategoriesFor(preview.categoryId).map(sub => (
+              <option key={sub.id} value={sub.id}>{sub.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Zip code"
+            maxLength={10}
+            value={preview.zipCode}
+            onChange={(e) => setPreview({ ...preview, zipCode: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="State"
+            value={preview.state}
+            onChange={(e) => setPreview({ ...preview, state: e.target.value })}
+          />
+          <input
+            type="datetime-local"
+            value={preview.at}
+            onChange={(e) => setPreview({ ...preview, at: e.target.value })}
+            title="Leave empty for now"
+          />
+          <button type="submit" className="btn-submit" disabled={previewing}>
+            {previewing ? 'Checking...' : 'Preview'}
+          </button>
+        </div>
+        {previewError && <div className="lead-price-preview-error">{previewError}</div>}
+        {previewResult && (
+          <div className="lead-price-preview-result">
+            <div>
+              <span>Base price</span>
+              <strong>{formatCents(previewResult.baseCost)}</strong>
+              <small>{previewResult.rule ? `Rule: ${previewResult.rule.name}` : 'Default price'}</small>
+            </div>
+            {previewResult.provider && (
+              <div>
+                <span>Subscription discount</span>
+                <strong>{previewResult.discountPercent}%</strong>
+                <small>{previewResult.planName || 'No active plan'}</small>
+              </div>
+            )}
+            <div>
+              <span>{previewResult.provider ? `${previewResult.provider.name || previewResult.provider.email} pays` : 'Provider pays'}</span>
+              <strong>{formatCents(previewResult.finalCost)}</strong>
+            </div>
+          </div>
+        )}
+      </form>
+
+      <div className="table-wrapper">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Category</th>
+              <th>Location</th>
+              <th>Time Window</th>
+              <th>Effective</th>
+              <th>Priority</th>
+              <th>Price</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.length > 0 ? (
+              rules.map((rule) => (
+                <tr key={rule.id}>
+                  <td><strong>{rule.name}</strong></td>
+                  <td>
+                    {rule.category?.name || 'Any'}
+                    {rule.subCategory && <small>{rule.subCategory.name}</small>}
+                  </td>
+                  <td>{[rule.zipCode, rule.state].filter(Boolean).join(', ') || 'Anywhere'}</td>
+                  <td>{describeWindow(rule)}</td>
+                  <td>{describeDates(rule)}</td>
+                  <td>{rule.priority}</td>
+                  <td><strong>{formatCents(rule.priceCents)}</strong></td>
+                  <td>
+                    <span className={`status-badge ${rule.isActive ? 'active' : 'inactive'}`}>
+                      {rule.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td>
+                    <div className="action-buttons">
+                      <button className="btn-edit" onClick={() => handleEdit(rule)} title="Edit Rule">
+                        <i className="fas fa-edit"></i>
+                      </button>
+                      <button
+                        className={rule.isActive ? 'btn-reject' : 'btn-approve'}
+                        onClick={() => handleToggleActive(rule)}
+                        title={rule.isActive ? 'Deactivate' : 'Activate'}
+                      >
+                        <i className={`fas ${rule.isActive ? 'fa-pause' : 'fa-play'}`}></i>
+                      </button>
+                      <button className="btn-delete" onClick={() => handleDelete(rule.id)} title="Delete Rule">
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="9" className="empty-state">No price rules yet - every lead uses the default price</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showModal && (
+        <div className="modal-overlay" onClick={() => setShowModal(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '700px' }}>
+            <h3>{editingRule ? 'Edit Price Rule' : 'Create Price Rule'}</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label>Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="e.g. Plumbing - weekend surge"
+                  required
+                />
+              </div>
+              <div className="lead-pricing-row">
+                <div className="form-group">
+                  <label>Price (USD) *</label>
+                  <input
+                    type="number"
+                    min="0.50"
+                    step="0.01"
+                    value={formData.price}
+                    onChange={(e) => setFormData({ ...formData, price: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Priority</label>
+                  <input
+                    type="number"
+                    value={formData.priority}
+                    onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="lead-pricing-row">
+                <div className="form-group">
+                  <label>Category</label>
+                  <select
+                    value={formData.categoryId}
+                    onChange={(e) => setFormData({ ...formData, categoryId: e.target.value, subCategoryId: '' })}
+                  >
+                    <option value="">Any category</option>
+                    {categories.map(category => (
+                      <option key={category.id} value={category.id}>{category.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Subcategory</label>
+                  <select
+                    value={formData.subCategoryId}
+                    onChange={(e) => setFormData({ ...formData, subCategoryId: e.target.value })}
+                    disabled={!formData.categoryId}
+                  >
+                    <option value="">Any subcategory</option>
+                    {subcategoriesFor(formData.categoryId).map(sub => (
+                      <option key={sub.id} value={sub.id}>{sub.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="lead-pricing-row">
+                <div className="form-group">
+                  <label>Zip Code</label>
+                  <input
+                    type="text"
+                    maxLength={10}
+                    value={formData.zipCode}
+                    onChange={(e) => setFormData({ ...formData, zipCode: e.target.value })}
+                    placeholder="Any"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>State</label>
+                  <input
+                    type="text"
+                    value={formData.state}
+                    onChange={(e) => setFormData({ ...formData, state: e.target.value })}
+                    placeholder="Any"
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Days</label>
+                <div className="lead-pricing-days">
+                  {DAYS.map((label, day) => (
+                    <button
+                      type="button"
+                      key={label}
+                      className={formData.daysOfWeek.includes(day) ? 'selected' : ''}
+                      onClick={() => toggleDay(day)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="lead-pricing-row">
+                <div className="form-group">
+                  <label>From (time)</label>
+                  <input
+                    type="time"
+                    value={formData.startTime}
+                    onChange={(e) => setFormData({ ...formData, startTime: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>To (time)</label>
+                  <input
+                    type="time"
+                    value={formData.endTime}
+                    onChange={(e) => setFormData({ ...formData, endTime: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="lead-pricing-row">
+                <div className="form-group">
+                  <label>Effective From</label>
+                  <input
+                    type="date"
+                    value={formData.effectiveFrom}
+                    onChange={(e) => setFormData({ ...formData, effectiveFrom: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Expires On</label>
+                  <input
+                    type="date"
+                    value={formData.effectiveTo}
+                    onChange={(e) => setFormData({ ...formData, effectiveTo: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Notes</label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  rows="2"
+                />
+              </div>
+              <div className="form-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={formData.isActive}
+                    onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                  />
+                  {' '}Active
+                </label>
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn-cancel" onClick={() => setShowModal(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-submit">
+                  {editingRule ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminLeadPricing;
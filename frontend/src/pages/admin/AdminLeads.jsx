@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import api from '../../services/api';
+import AdminRefundPanel, { getDisputeBadgeClass } from '../../components/AdminRefundPanel';
 import './AdminTable.css';
 
 const AdminLeads = () => {
@@ -165,6 +166,20 @@ const AdminLeads = () => {
                   </td>
                   <td>
                     {lead.leadCost ? `$${parseFloat(lead.leadCost).toFixed(2)}` : 'N/A'}
+                    {lead.paymentStatus && lead.paymentStatus !== 'succeeded' && (
+                      <>
+                        <br />
+                        <small>{lead.paymentStatus.replace(/_/g, ' ')}</small>
+                      </>
+                    )}
+                    {lead.disputeStatus && (
+                      <>
+                        <br />
+                        <span className={`status-badge ${getDisputeBadgeClass(lead.disputeStatus)}`}>
+                          dispute: {lead.disputeStatus}
+                        </span>
+                      </>
+                    )}
                   </td>
                   <td>{new Date(lead.createdAt).toLocaleDateString()}</td>
                   <td>
@@ -337,6 +352,12 @@ const AdminLeads = () => {
                   <div>{new Date(selectedLead.routedAt).toLocaleString()}</div>
                 </div>
               )}
+              {selectedLead.stripePaymentIntentId && (
+                <div className="form-group">
+                  <label>Lead Fee Refunds &amp; Chargebacks</label>
+                  <AdminRefundPanel type="lead" id={selectedLead.id} onRefunded={loadLeads} />
+                </div>
+              )}
               <div className="modal-actions">
                 <button className="btn-cancel" onClick={() => setSelectedLead(null)}>
                   Close
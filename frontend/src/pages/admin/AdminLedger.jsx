@@ -0,0 +1,616 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import './AdminTable.css';
+import './AdminLedger.css';
+
+const VIEWS = [
+  { value: 'accounts', label: 'Accounts' },
+  { value: 'journal', label: 'Journal' },
+  { value: 'providers', label: 'Provider Balances' },
+  { value: 'reconciliation', label: 'Reconciliation' },
+  { value: 'earnings', label: 'Annual Earnings' }
+];
+
+const TRANSACTION_TYPES = [
+  'proposal_payment', 'milestone_payment', 'lead_charge', 'subscription_payment',
+  'payout', 'refund', 'refund_reversal', 'transfer_reversal', 'dispute_loss'
+];
+
+const formatMoney = (value) => {
+  const amount = parseFloat(value || 0);
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+};
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '–');
+const formatType = (type) => type.replace(/_/g, ' ');
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const AdminLedger = () => {
+  const [view, setView] = useState('accounts');
+  const [loading, setLoading] = useState(false);
+  const [accounts, setAccounts] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selectedTransaction, setSelectedTransaction] = useState(null);
+  const [statementUser, setStatementUser] = useState(null);
+  const [statementMonth, setStatementMonth] = useState(new Date().toISOString().slice(0, 7));
+  const [statement, setStatement] = useState(null);
+  const [range, setRange] = useState({
+    from: toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)),
+    to: toDateInput(new Date())
+  });
+  const [report, setReport] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [earningsYear, setEarningsYear] = useState(new Date().getUTCFullYear() - 1);
+  const [annual, setAnnual] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [view, typeFilter]);
+
+  useEffect(() => {
+    if (view === 'accounts') loadAccounts();
+    if (view === 'journal') loadTransactions();
+    if (view === 'providers') loadProviders();
+    if (view === 'earnings') loadAnnualEarnings();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [view, typeFilter, currentPage]);
+
+  useEffect(() => {
+    if (statementUser) loadStatement();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [statementUser, statementMonth]);
+
+  const loadAccounts = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/admin/ledger/accounts');
+      setAccounts(response.data);
+    } catch (error) {
+      alert('Failed to load ledger accounts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadTransactions = async () => {
+    try {
+      setLoading(true);
+      let queryString = `page=${currentPage}&limit=25`;
+      if (typeFilter) {
+        queryString += `&type=${typeFilter}`;
+      }
+      const response = await api.get(`/admin/ledger/transactions?${queryString}`);
+      setTransactions(response.data.transactions || []);
+      setTotalPages(response.data.pages || 1);
+    } catch (error) {
+      alert('Failed to load ledger transactions');
+      setTransactions([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadProviders = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/admin/ledger/providers?page=${currentPage}&limit=20`);
+      setProviders(response.data.providers || []);
+      setTotalPages(response.data.pages || 1);
+    } catch (error) {
+      alert('Failed to load provider balances');
+      setProviders([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadStatement = async () => {
+    try {
+      setStatement(null);
+      const response = await api.get(`/admin/ledger/providers/${statementUser.userId}?month=${statementMonth}`);
+      setStatement(response.data);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to load statement');
+    }
+  };
+
+  const runReconciliation = async () => {
+    try {
+      setLoading(true);
+      setReport(null);
+      const response = await api.get(`/admin/ledger/reconciliation?from=${range.from}&to=${range.to}`);
+      setReport(response.data);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to run reconciliation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAnnualEarnings = async () => {
+    try {
+      setLoading(true);
+      setAnnual(null);
+      const response = await api.get(`/admin/earnings/annual?year=${earningsYear}`);
+      setAnnual(response.data);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to load annual earnings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportAnnualEarnings = async () => {
+    try {
+      setExporting(true);
+      const response = await api.get(`/admin/earnings/annual?year=${earningsYear}&format=csv`, { responseType: 'blob' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(response.data);
+      link.download = `provider-earnings-${earningsYear}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      alert('Failed to export annual earnings');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleSync = async () => {
+    if (!window.confirm('Post every payment, payout and refund the ledger is missing?')) {
+      return;
+    }
+    try {
+      setSyncing(true);
+      const response = await api.post('/admin/ledger/sync');
+      alert(`Posted ${response.data.posted} of ${response.data.missing} missing transaction(s)`);
+      if (view === 'accounts') loadAccounts();
+      if (view === 'journal') loadTransactions();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to sync ledger');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const renderAccounts = () => accounts && (
+    <div className="table-wrapper">
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Account</th>
+            <th>Debits</th>
+            <th>Credits</th>
+            <th>Balance</th>
+          </tr>
+        </thead>
+        <tbody>
+          {accounts.accounts.map((account) => (
+            <tr key={account.account}>
+              <td>
+                <strong>{account.name}</strong>
+                <small className="ledger-muted">{account.account}</small>
+              </td>
+              <td>{formatMoney(account.debits)}</td>
+              <td>{formatMoney(account.credits)}</td>
+              <td><strong>{formatMoney(account.balance)}</strong></td>
+            </tr>
+          ))}
+          <tr className="ledger-total-row">
+            <td>Total</td>
+            <td>{formatMoney(accounts.totalDebits)}</td>
+            <td>{formatMoney(accounts.totalCredits)}</td>
+            <td>
+              {accounts.totalDebits === accounts.totalCredits ? (
+                <span className="status-badge active">balanced</span>
+              ) : (
+                <span className="status-badge rejected">out of balance</span>
+              )}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderJournal = () => (
+    <div className="table-wrapper">
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>ID</th>
+            <th>Date</th>
+            <th>Type</th>
+            <th>Description</th>
+            <th>Provider</th>
+            <th>Amount</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {transactions.length > 0 ? (
+            transactions.map((transaction) => (
+              <tr key={transaction.id}>
+                <td>{transaction.id}</td>
+                <td>{formatDate(transaction.occurredAt)}</td>
+                <td>{formatType(transaction.type)}</td>
+                <td>{transaction.description}</td>
+                <td>{transaction.user ? transaction.user.name : '–'}</td>
+                <td>{formatMoney(transaction.amount)}</td>
+                <td>
+                  <div className="action-buttons">
+                    <button className="btn-view" onClick={() => setSelectedTransaction(transaction)} title="View Entries">
+                      <i className="fas fa-eye"></i>
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))
+          ) : (
+            <tr>
+              <td colSpan="7" className="empty-state">No ledger transactions</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderProviders = () => (
+    <div className="table-wrapper">
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Provider</th>
+            <th>Balance</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {providers.length > 0 ? (
+            providers.map((provider) => (
+              <tr key={provider.userId}>
+                <td>
+                  {provider.name || `User #${provider.userId}`}
+                  <small className="ledger-muted">{provider.email}</small>
+                </td>
+                <td>
+                  <strong className={provider.balance < 0 ? 'ledger-negative' : ''}>{formatMoney(provider.balance)}</strong>
+                  <small className="ledger-muted">{provider.balance < 0 ? 'owed by provider' : 'owed to provider'}</small>
+                </td>
+                <td>
+                  <div className="action-buttons">
+                    <button className="btn-view" onClick={() => setStatementUser(provider)} title="Monthly Statement">
+                      <i className="fas fa-file-invoice-dollar"></i>
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))
+          ) : (
+            <tr>
+              <td colSpan="3" className="empty-state">No outstanding provider balances</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderReconciliation = () => (
+    <div>
+      <div className="ledger-range">
+        <label>
+          From <input type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} />
+        </label>
+        <label>
+          To <input type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} />
+        </label>
+        <button className="btn-primary-action" onClick={runReconciliation} disabled={loading}>
+          <i className="fas fa-balance-scale"></i> Run Reconciliation
+        </button>
+      </div>
+      {report && (
+        <>
+          <p className="ledger-summary">
+            {report.summary.ledgerTransactions} ledger transactions against {report.summary.processorCharges} charges,{' '}
+            {report.summary.processorRefunds} refunds, {report.summary.processorTransfers} transfers and{' '}
+            {report.summary.processorDisputes} disputes at the processor:{' '}
+            <span className={`status-badge ${report.summary.errors > 0 ? 'rejected' : 'active'}`}>
+              {report.summary.errors} error(s)
+            </span>{' '}
+            <span className="status-badge pending">{report.summary.warnings} warning(s)</span>
+          </p>
+          <div className="table-wrapper">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Severity</th>
+                  <th>Issue</th>
+                  <th>Details</th>
+                  <th>Ledger</th>
+                  <th>Processor</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.issues.length > 0 ? (
+                  report.issues.map((issue, index) => (
+                    <tr key={index}>
+                      <td>
+                        <span className={`status-badge ${issue.severity === 'error' ? 'rejected' : 'pending'}`}>{issue.severity}</span>
+                      </td>
+                      <td>{formatType(issue.type)}</td>
+                      <td>{issue.message}</td>
+                      <td>{issue.ledgerAmount !== undefined ? formatMoney(issue.ledgerAmount) : '–'}</td>
+                      <td>{issue.processorAmount !== undefined ? formatMoney(issue.processorAmount) : '–'}</td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="5" className="empty-state">The ledger matches the processor for this period</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+
+  const renderAnnualEarnings = () => (
+    <div>
+      <div className="ledger-range">
+        <label>
+          Tax year{' '}
+          <input
+            type="number"
+            min="2000"
+            max="2100"
+            value={earningsYear}
+            onChange={(e) => setEarningsYear(parseInt(e.target.value) || '')}
+          />
+        </label>
+        <button className="btn-primary-action" onClick={loadAnnualEarnings} disabled={loading}>
+          <i className="fas fa-search"></i> Load
+        </button>
+        <button className="btn-primary-action" onClick={exportAnnualEarnings} disabled={exporting}>
+          <i className="fas fa-file-csv"></i> {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+      {loading ? (
+        <div className="loading"><div className="spinner"></div></div>
+      ) : annual && (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Provider</th>
+              <th>Gross Job Value</th>
+              <th>Refunds</th>
+              <th>Platform Fees</th>
+              <th>Lead Spend</th>
+              <th>Subscriptions</th>
+              <th>Net Income</th>
+              <th>Net Payouts</th>
+            </tr>
+          </thead>
+          <tbody>
+            {annual.providers.map((provider) => (
+              <tr key={provider.userId}>
+                <td>
+                  <div>{provider.name || `User #${provider.userId}`}</div>
+                  <small className="ledger-muted">{provider.email}</small>
+                </td>
+                <td>{formatMoney(provider.grossJobValue)}</td>
+                <td>{formatMoney(provider.refunds)}</td>
+                <td>{formatMoney(provider.platformFees)}</td>
+                <td>{formatMoney(provider.leadSpend)}</td>
+                <td>{formatMoney(provider.subscriptionSpend)}</td>
+                <td className={provider.netIncome < 0 ? 'ledger-negative' : ''}>{formatMoney(provider.netIncome)}</td>
+                <td>{formatMoney(provider.netPayouts)}</td>
+              </tr>
+            ))}
+            {annual.providers.length === 0 ? (
+              <tr>
+                <td colSpan="8" className="empty-state">No provider activity in {annual.year}</td>
+              </tr>
+            ) : (
+              <tr className="ledger-total-row">
+                <td>Total {annual.year}</td>
+                <td>{formatMoney(annual.totals.grossJobValue)}</td>
+                <td>{formatMoney(annual.totals.refunds)}</td>
+                <td>{formatMoney(annual.totals.platformFees)}</td>
+                <td>{formatMoney(annual.totals.leadSpend)}</td>
+                <td>{formatMoney(annual.totals.subscriptionSpend)}</td>
+                <td>{formatMoney(annual.totals.netIncome)}</td>
+                <td>{formatMoney(annual.totals.netPayouts)}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="admin-table-container">
+      <div className="table-header">
+        <h2>Ledger</h2>
+        <div className="header-actions">
+          <div className="filter-buttons">
+            {VIEWS.map((option) => (
+              <button
+                key={option.value}
+                className={`filter-btn ${view === option.value ? 'active' : ''}`}
+                onClick={() => setView(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {view === 'journal' && (
+            <select className="ledger-select" value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+              <option value="">All types</option>
+              {TRANSACTION_TYPES.map((type) => (
+                <option key={type} value={type}>{formatType(type)}</option>
+              ))}
+            </select>
+          )}
+          <button className="btn-primary-action" onClick={handleSync} disabled={syncing}>
+            <i className="fas fa-sync-alt"></i> {syncing ? 'Syncing...' : 'Sync Ledger'}
+          </button>
+        </div>
+      </div>
+
+      {loading && !['reconciliation', 'earnings'].includes(view) ? (
+        <div className="loading"><div className="spinner"></div></div>
+      ) : (
+        <>
+          {view === 'accounts' && renderAccounts()}
+          {view === 'journal' && renderJournal()}
+          {view === 'providers' && renderProviders()}
+          {view === 'reconciliation' && renderReconciliation()}
+          {view === 'earnings' && renderAnnualEarnings()}
+        </>
+      )}
+
+      {['journal', 'providers'].includes(view) && totalPages > 1 && (
+        <div className="pagination">
+          <button
+            disabled={currentPage === 1 || loading}
+            onClick={() => !loading && setCurrentPage(currentPage - 1)}
+          >
+            <i className="fas fa-chevron-left"></i> Previous
+          </button>
+          <span>Page {currentPage} of {totalPages}</span>
+          <button
+            disabled={currentPage === totalPages || loading}
+            onClick={() => !loading && setCurrentPage(currentPage + 1)}
+          >
+            Next <i className="fas fa-chevron-right"></i>
+          </button>
+        </div>
+      )}
+
+      {selectedTransaction && (
+        <div className="modal-overlay" onClick={() => setSelectedTransaction(null)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '700px' }}>
+            <h3>Ledger Transaction #{selectedTransaction.id}</h3>
+            <div style={{ padding: '0 24px 24px 24px', overflowY: 'auto', maxHeight: 'calc(100vh - 150px)' }}>
+              <div className="form-group">
+                <label>Event</label>
+                <div>
+                  {selectedTransaction.description}
+                  <small className="ledger-muted">
+                    {formatType(selectedTransaction.type)} on {selectedTransaction.referenceType} #{selectedTransaction.referenceId}
+                    {' '}- {new Date(selectedTransaction.occurredAt).toLocaleString()}
+                  </small>
+                  {selectedTransaction.stripeObjectId && (
+                    <small className="ledger-muted">Processor: {selectedTransaction.stripeObjectId}</small>
+                  )}
+                </div>
+              </div>
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>Account</th>
+                    <th>Debit</th>
+                    <th>Credit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedTransaction.entries.map((entry) => (
+                    <tr key={entry.id}>
+                      <td>
+                        {formatType(entry.account)}
+                        {entry.userId && <small className="ledger-muted">User #{entry.userId}</small>}
+                      </td>
+                      <td>{entry.direction === 'debit' ? formatMoney(entry.amount) : ''}</td>
+                      <td>{entry.direction === 'credit' ? formatMoney(entry.amount) : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="modal-actions">
+                <button type="button" className="btn-cancel" onClick={() => setSelectedTransaction(null)}>
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {statementUser && (
+        <div className="modal-overlay" onClick={() => setStatementUser(null)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '900px' }}>
+            <h3>Statement - {statementUser.name || `User #${statementUser.userId}`}</h3>
+            <div style={{ padding: '0 24px 24px 24px', overflowY: 'auto', maxHeight: 'calc(100vh - 150px)' }}>
+              <div className="form-group">
+                <label>Month</label>
+                <input type="month" value={statementMonth} onChange={(e) => setStatementMonth(e.target.value)} />
+              </div>
+              {!statement ? (
+                <div className="loading"><div className="spinner"></div></div>
+              ) : (
+                <>
+                  <p className="ledger-summary">
+                    Opening balance <strong>{formatMoney(statement.statement.openingBalance)}</strong>
+                    {' '}- closing balance <strong>{formatMoney(statement.statement.closingBalance)}</strong>
+                    {' '}- balance today <strong>{formatMoney(statement.balance.balance)}</strong>
+                  </p>
+                  <table className="admin-table">
+                    <thead>
+                      <tr>
+                        <th>Date</th>
+                        <th>Description</th>
+                        <th>Amount</th>
+                        <th>Platform Fee</th>
+                        <th>Owed Change</th>
+                        <th>Balance</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {statement.statement.lines.length > 0 ? (
+                        statement.statement.lines.map((line) => (
+                          <tr key={line.id}>
+                            <td>{formatDate(line.occurredAt)}</td>
+                            <td>
+                              {line.description}
+                              <small className="ledger-muted">{formatType(line.type)}</small>
+                            </td>
+                            <td>{formatMoney(line.amount)}</td>
+                            <td>{line.platformFee ? formatMoney(line.platformFee) : '–'}</td>
+                            <td className={line.payableChange < 0 ? 'ledger-negative' : ''}>{formatMoney(line.payableChange)}</td>
+                            <td>{formatMoney(line.balance)}</td>
+                          </tr>
+                        ))
+                      ) : (
+                        <tr>
+                          <td colSpan="6" className="empty-state">No activity this month</td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </>
+              )}
+              <div className="modal-actions">
+                <button type="button" className="btn-cancel" onClick={() => setStatementUser(null)}>
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminLedger;
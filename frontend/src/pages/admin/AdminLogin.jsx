@@ -2,14 +2,18 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../services/api';
+import TwoFactorChallenge from '../../components/TwoFactorChallenge';
+import TwoFactorSetup from '../../components/TwoFactorSetup';
 import './AdminLogin.css';
 
 const AdminLogin = () => {
   const navigate = useNavigate();
-  const { adminLogin, user, loading: authLoading } = useAuth();
+  const { adminLogin, completeLogin, user, loading: authLoading } = useAuth();
   const [formData, setFormData] = useState({ email: '', password: '' });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const [twoFactorSetupToken, setTwoFactorSetupToken] = useState(null);
 
   // Redirect if already logged in as admin
   useEffect(() => {
@@ -29,6 +33,18 @@ const AdminLogin = () => {
     try {
       // Use admin login endpoint
       const result = await adminLogin(formData.email, formData.password);
+
+      // Admin accounts always need a second factor - enrol first if it isn't set up yet
+      if (result.requiresTwoFactor) {
+        setTwoFactorChallenge(result);
+        setLoading(false);
+        return;
+      }
+      if (result.requiresTwoFactorSetup) {
+        setTwoFactorSetupToken(result.twoFactorToken);
+        setLoading(false);
+        return;
+      }
       
       // Check if user is admin
       if (result.user?.role !== 'admin') {
@@ -49,6 +65,23 @@ const AdminLogin = () => {
     }
   };
 
+  const handleTwoFactorSuccess = (data) => {
+    if (data.user?.role !== 'admin') {
+      setTwoFactorChallenge(null);
+      setTwoFactorSetupToken(null);
+      setError('Access denied. Admin credentials required.');
+      return;
+    }
+    completeLogin(data);
+    navigate('/admin');
+  };
+
+  const handleTwoFactorCancel = (message) => {
+    setTwoFactorChallenge(null);
+    setTwoFactorSetupToken(null);
+    setError(message || '');
+  };
+
   if (authLoading) {
     return (
       <div className="admin-login-page" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', minHeight: '100vh' }}>
@@ -75,54 +108,68 @@ const AdminLogin = () => {
           </div>
         )}
         
-        <form onSubmit={handleSubmit} className="admin-login-form">
-          <div className="admin-form-group">
-            <label htmlFor="admin-email">
-              <i className="fas fa-envelope"></i>
-              Admin Email
-            </label>
-            <input
-              type="email"
-              id="admin-email"
-              required
-              placeholder="admin@example.com"
-              value={formData.email}
-              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-              autoComplete="email"
-              autoFocus
-            />
-          </div>
+        {twoFactorChallenge ? (
+          <TwoFactorChallenge
+            challenge={twoFactorChallenge}
+            onSuccess={handleTwoFactorSuccess}
+            onCancel={handleTwoFactorCancel}
+          />
+        ) : twoFactorSetupToken ? (
+          <TwoFactorSetup
+            twoFactorToken={twoFactorSetupToken}
+            onComplete={handleTwoFactorSuccess}
+            onCancel={handleTwoFactorCancel}
+          />
+        ) : (
+          <form onSubmit={handleSubmit} className="admin-login-form">
+            <div className="admin-form-group">
+              <label htmlFor="admin-email">
+                <i className="fas fa-envelope"></i>
+                Admin Email
+              </label>
+              <input
+                type="email"
+                id="admin-email"
+                required
+                placeholder="admin@example.com"
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                autoComplete="email"
+                autoFocus
+              />
+            </div>
           
-          <div className="admin-form-group">
-            <label htmlFor="admin-password">
-              <i className="fas fa-lock"></i>
-              Password
-            </label>
-            <input
-              type="password"
-              id="admin-password"
-              required
-              placeholder="Enter your password"
-              value={formData.password}
-              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-              autoComplete="current-password"
-            />
-          </div>
+            <div className="admin-form-group">
+              <label htmlFor="admin-password">
+                <i className="fas fa-lock"></i>
+                Password
+              </label>
+              <input
+                type="password"
+                id="admin-password"
+                required
+                placeholder="Enter your password"
+                value={formData.password}
+                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                autoComplete="current-password"
+              />
+            </div>
           
-          <button type="submit" className="btn-admin-login" disabled={loading}>
-            {loading ? (
-              <>
-                <i className="fas fa-spinner fa-spin"></i>
-                Authenticating...
-              </>
-            ) : (
-              <>
-                <i className="fas fa-sign-in-alt"></i>
-                Access Admin Panel
-              </>
-            )}
-          </button>
-        </form>
+            <button type="submit" className="btn-admin-login" disabled={loading}>
+              {loading ? (
+                <>
+                  <i className="fas fa-spinner fa-spin"></i>
+                  Authenticating...
+                </>
+              ) : (
+                <>
+                  <i className="fas fa-sign-in-alt"></i>
+                  Access Admin Panel
+                </>
+              )}
+            </button>
+          </form>
+        )}
         
         <div className="admin-login-footer">
           <Link to="/" className="back-to-site">
@@ -0,0 +1,491 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import './AdminTable.css';
+import './AdminPlatformFees.css';
+
+const PLAN_TIERS = ['BASIC', 'PRO', 'PREMIUM'];
+
+const emptyForm = {
+  name: '',
+  feePercent: '',
+  fixedFee: '',
+  minFee: '',
+  maxFee: '',
+  categoryId: '',
+  planTier: '',
+  provider: '',
+  effectiveFrom: '',
+  effectiveTo: '',
+  priority: 0,
+  isActive: true,
+  notes: ''
+};
+
+const formatCents = (cents) => `$${(cents / 100).toFixed(2)}`;
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const centsToInput = (cents) => (cents === null || cents === undefined ? '' : (cents / 100).toFixed(2));
+const inputToCents = (value) => (value === '' ? null : Math.round(parseFloat(value) * 100));
+
+// e.g. "5% + $0.30 (min $1.00, max $50.00)" - also used for the rule snapshotted on proposals
+export const describeFeeRule = (rule) => {
+  if (!rule) return '';
+  const parts = [];
+  const percent = parseFloat(rule.feePercent) || 0;
+  if (percent > 0) parts.push(`${percent}%`);
+  if (rule.fixedFeeCents > 0) parts.push(formatCents(rule.fixedFeeCents));
+
+  const caps = [];
+  if (rule.minFeeCents !== null && rule.minFeeCents !== undefined) caps.push(`min ${formatCents(rule.minFeeCents)}`);
+  if (rule.maxFeeCents !== null && rule.maxFeeCents !== undefined) caps.push(`max ${formatCents(rule.maxFeeCents)}`);
+
+  return `${parts.length > 0 ? parts.join(' + ') : 'No fee'}${caps.length > 0 ? ` (${caps.join(', ')})` : ''}`;
+};
+
+const describeDates = (rule) => {
+  if (!rule.effectiveFrom && !rule.effectiveTo) return 'Always';
+  const from = rule.effectiveFrom ? new Date(rule.effectiveFrom).toLocaleDateString() : '…';
+  const to = rule.effectiveTo ? new Date(rule.effectiveTo).toLocaleDateString() : '…';
+  return `${from} – ${to}`;
+};
+
+const AdminPlatformFees = () => {
+  const [rules, setRules] = useState([]);
+  const [defaultFeeRule, setDefaultFeeRule] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [preview, setPreview] = useState({
+    amount: '',
+    provider: '',
+    categoryId: '',
+    planTier: '',
+    at: ''
+  });
+  const [previewResult, setPreviewResult] = useState(null);
+  const [previewError, setPreviewError] = useState('');
+  const [previewing, setPreviewing] = useState(false);
+
+  useEffect(() => {
+    loadRules();
+    loadCategories();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/admin/platform-fee-rules');
+      setRules(response.data.rules || []);
+      setDefaultFeeRule(response.data.defaultFeeRule);
+    } catch (error) {
+      alert('Failed to load platform fee rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadCategories = async () => {
+    try {
+      const response = await api.get('/admin/categories');
+      setCategories(response.data.categories || []);
+    } catch (error) {
+      console.error('Failed to load categories:', error);
+    }
+  };
+
+  const openCreate = () => {
+    setEditingRule(null);
+    setFormData(emptyForm);
+    setShowModal(true);
+  };
+
+  const handleEdit = (rule) => {
+    setEditingRule(rule);
+    setFormData({
+      name: rule.name,
+      feePercent: parseFloat(rule.feePercent) || 0,
+      fixedFee: centsToInput(rule.fixedFeeCents),
+      minFee: centsToInput(rule.minFeeCents),
+      maxFee: centsToInput(rule.maxFeeCents),
+      categoryId: rule.categoryId || '',
+      planTier: rule.planTier || '',
+      provider: rule.user?.email || (rule.userId ? String(rule.userId) : ''),
+      effectiveFrom: toDateInput(rule.effectiveFrom),
+      effectiveTo: toDateInput(rule.effectiveTo),
+      priority: rule.priority,
+      isActive: rule.isActive,
+      notes: rule.notes || ''
+    });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { fixedFee, minFee, maxFee, ...rest } = formData;
+    const payload = {
+      ...rest,
+      feePercent: parseFloat(rest.feePercent) || 0,
+      fixedFeeCents: inputToCents(fixedFee) || 0,
+      minFeeCents: inputToCents(minFee),
+      maxFeeCents: inputToCents(maxFee)
+    };
+
+    try {
+      if (editingRule) {
+        await api.put(`/admin/platform-fee-rules/${editingRule.id}`, payload);
+        alert('Platform fee rule updated successfully!');
+      } else {
+        await api.post('/admin/platform-fee-rules', payload);
+        alert('Platform fee rule created successfully!');
+      }
+      setShowModal(false);
+      setEditingRule(null);
+      loadRules();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to save platform fee rule');
+    }
+  };
+
+  const handleToggleActive = async (rule) => {
+    try {
+      await api.put(`/admin/platform-fee-rules/${rule.id}`, { isActive: !rule.isActive });
+      loadRules();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update platform fee rule');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this fee rule? Proposals already paid keep the fee they were charged.')) return;
+
+    try {
+      await api.delete(`/admin/platform-fee-rules/${id}`);
+      alert('Platform fee rule deleted successfully!');
+      loadRules();
+    } catch (error) {
+      alert('Failed to delete platform fee rule');
+    }
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setPreviewing(true);
+    setPreviewError('');
+    try {
+      const response = await api.post('/admin/platform-fee-rules/preview', preview);
+      setPreviewResult(response.data.preview);
+    } catch (error) {
+      setPreviewResult(null);
+      setPreviewError(error.response?.data?.error || 'Failed to preview fee');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading"><div className="spinner"></div></div>;
+  }
+
+  return (
+    <div className="admin-table-container">
+      <div className="table-header">
+        <h2>Platform Fees</h2>
+        <button className="btn-primary-action" onClick={openCreate}>
+          <i className="fas fa-plus"></i> Add Fee Rule
+        </button>
+      </div>
+
+      <p className="platform-fee-hint">
+        The highest-priority matching rule sets the fee on each proposal or milestone payment; ties go to the most
+        specific rule (provider, then category, then plan tier). The rule is saved on the proposal when it is paid,
+        so changes only affect new payments. Payments that match no rule use the default fee
+        {defaultFeeRule && <strong> {describeFeeRule(defaultFeeRule)}</strong>}.
+      </p>
+
+      <form className="platform-fee-preview" onSubmit={handlePreview}>
+        <h3><i className="fas fa-calculator"></i> Fee Preview</h3>
+        <div className="platform-fee-preview-fields">
+          <input
+            type="number"
+            min="0.01"
+            step="0.01"
+            placeholder="Payment amount (USD)"
+            value={preview.amount}
+            onChange={(e) => setPreview({ ...preview, amount: e.target.value })}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Provider email or user ID"
+            value={preview.provider}
+            onChange={(e) => setPreview({ ...preview, provider: e.target.value })}
+          />
+          <select
+            value={preview.categoryId}
+            onChange={(e) => setPreview({ ...preview, categoryId: e.target.value })}
+          >
+            <option value="">Any category</option>
+            {categories.map(category => (
+              <option key={category.id} value={category.id}>{category.name}</option>
+            ))}
+          </select>
+          <select
+            value={preview.planTier}
+            onChange={(e) => setPreview({ ...preview, planTier: e.target.value })}
+            title="Leave empty to use the provider's current plan"
+          >
+            <option value="">Provider's plan</option>
+            {PLAN_TIERS.map(tier => (
+              <option key={tier} value={tier}>{tier}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={preview.at}
+            onChange={(e) => setPreview({ ...preview, at: e.target.value })}
+            title="Leave empty for today"
+          />
+          <button type="submit" className="btn-submit" disabled={previewing}>
+            {previewing ? 'Checking...' : 'Preview'}
+          </button>
+        </div>
+        {previewError && <div className="platform-fee-preview-error">{previewError}</div>}
+        {previewResult && (
+          <div className="platform-fee-preview-result">
+            <div>
+              <span>Platform fee</span>
+              <strong>${previewResult.platformFee.toFixed(2)}</strong>
+              <small>{previewResult.rule.id ? `Rule: ${previewResult.rule.name}` : 'Default fee'} - {previewResult.description}</small>
+            </div>
+            <div>
+              <span>{previewResult.provider ? `${previewResult.provider.name || previewResult.provider.email} receives` : 'Provider receives'}</span>
+              <strong>${previewResult.providerAmount.toFixed(2)}</strong>
+            </div>
+          </div>
+        )}
+      </form>
+
+      <div className="table-wrapper">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Category</th>
+              <th>Plan Tier</th>
+              <th>Provider</th>
+              <th>Effective</th>
+              <th>Priority</th>
+              <th>Fee</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.length > 0 ? (
+              rules.map((rule) => (
+                <tr key={rule.id}>
+                  <td><strong>{rule.name}</strong></td>
+                  <td>{rule.category?.name || 'Any'}</td>
+                  <td>{rule.planTier || 'Any'}</td>
+                  <td>
+                    {rule.user ? rule.user.name || rule.user.email : 'Any'}
+                    {rule.user && <small>{rule.user.email}</small>}
+                  </td>
+                  <td>{describeDates(rule)}</td>
+                  <td>{rule.priority}</td>
+                  <td><strong>{describeFeeRule(rule)}</strong></td>
+                  <td>
+                    <span className={`status-badge ${rule.isActive ? 'active' : 'inactive'}`}>
+                      {rule.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td>
+                    <div className="action-buttons">
+                      <button className="btn-edit" onClick={() => handleEdit(rule)} title="Edit Rule">
+                        <i className="fas fa-edit"></i>
+                      </button>
+                      <button
+                        className={rule.isActive ? 'btn-reject' : 'btn-approve'}
+                        onClick={() => handleToggleActive(rule)}
+                        title={rule.isActive ? 'Deactivate' : 'Activate'}
+                      >
+                        <i className={`fas ${rule.isActive ? 'fa-pause' : 'fa-play'}`}></i>
+                      </button>
+                      <button className="btn-delete" onClick={() => handleDelete(rule.id)} title="Delete Rule">
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="9" className="empty-state">No fee rules yet - every payment uses the default fee</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showModal && (
+        <div className="modal-overlay" onClick={() => setShowModal(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '700px' }}>
+            <h3>{editingRule ? 'Edit Fee Rule' : 'Create Fee Rule'}</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label>Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="e.g. Premium subscribers - 5%"
+                  required
+                />
+              </div>
+              <div className="platform-fee-row">
+                <div className="form-group">
+                  <label>Percentage (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    value={formData.feePercent}
+                    onChange={(e) => setFormData({ ...formData, feePercent: e.target.value })}
+                    placeholder="0"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Fixed Fee (USD)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={formData.fixedFee}
+                    onChange={(e) => setFormData({ ...formData, fixedFee: e.target.value })}
+                    placeholder="0.00"
+                  />
+                </div>
+              </div>
+              <div className="platform-fee-row">
+                <div className="form-group">
+                  <label>Minimum Fee (USD)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={formData.minFee}
+                    onChange={(e) => setFormData({ ...formData, minFee: e.target.value })}
+                    placeholder="None"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Maximum Fee (USD)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={formData.maxFee}
+                    onChange={(e) => setFormData({ ...formData, maxFee: e.target.value })}
+                    placeholder="None"
+                  />
+                </div>
+              </div>
+              <div className="platform-fee-row">
+                <div className="form-group">
+                  <label>Category</label>
+                  <select
+                    value={formData.categoryId}
+                    onChange={(e) => setFormData({ ...formData, categoryId: e.target.value })}
+                  >
+                    <option value="">Any category</option>
+                    {categories.map(category => (
+                      <option key={category.id} value={category.id}>{category.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Subscription Plan Tier</label>
+                  <select
+                    value={formData.planTier}
+                    onChange={(e) => setFormData({ ...formData, planTier: e.target.value })}
+                  >
+                    <option value="">Any tier</option>
+                    {PLAN_TIERS.map(tier => (
+                      <option key={tier} value={tier}>{tier}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Provider Override</label>
+                <input
+                  type="text"
+                  value={formData.provider}
+                  onChange={(e) => setFormData({ ...formData, provider: e.target.value })}
+                  placeholder="Provider email or user ID (leave empty for all providers)"
+                />
+              </div>
+              <div className="platform-fee-row">
+                <div className="form-group">
+                  <label>Effective From</label>
+                  <input
+                    type="date"
+                    value={formData.effectiveFrom}
+                    onChange={(e) => setFormData({ ...formData, effectiveFrom: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Expires On</label>
+                  <input
+                    type="date"
+                    value={formData.effectiveTo}
+                    onChange={(e) => setFormData({ ...formData, effectiveTo: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Priority</label>
+                <input
+                  type="number"
+                  value={formData.priority}
+                  onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label>Notes</label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  rows="2"
+                />
+              </div>
+              <div className="form-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={formData.isActive}
+                    onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                  />
+                  {' '}Active
+                </label>
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn-cancel" onClick={() => setShowModal(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-submit">
+                  {editingRule ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminPlatformFees;
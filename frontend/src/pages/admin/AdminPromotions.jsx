@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import './AdminTable.css';
+
+const TABS = [
+  { value: 'pending', label: 'Pending Review', icon: 'fas fa-hourglass-half' },
+  { value: 'approved', label: 'Approved', icon: 'fas fa-check' },
+  { value: 'rejected', label: 'Rejected', icon: 'fas fa-ban' },
+  { value: '', label: 'All', icon: 'fas fa-list' }
+];
+
+const AdminPromotions = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [activeTab, setActiveTab] = useState('pending');
+  const [pendingCount, setPendingCount] = useState(0);
+
+  useEffect(() => {
+    loadPromotions();
+  }, [currentPage, activeTab]);
+
+  const loadPromotions = async () => {
+    try {
+      setLoading(true);
+      const statusFilter = activeTab ? `&status=${activeTab}` : '';
+      const response = await api.get(`/admin/promotions?page=${currentPage}&limit=20${statusFilter}`);
+      setPromotions(response.data.promotions);
+      setTotalPages(response.data.pages);
+      setPendingCount(response.data.pendingCount || 0);
+    } catch (error) {
+      alert('Failed to load promotions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const moderate = async (promotion, status) => {
+    let note = '';
+    if (status === 'rejected') {
+      note = window.prompt(`Why is "${promotion.title}" being rejected? The owner will see this.`);
+      if (!note || !note.trim()) return;
+    }
+
+    try {
+      await api.put(`/admin/promotions/${promotion.id}/moderate`, { status, note });
+      loadPromotions();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update promotion');
+    }
+  };
+
+  const switchTab = (tab) => {
+    setActiveTab(tab);
+    setCurrentPage(1);
+  };
+
+  if (loading) {
+    return <div className="loading"><div className="spinner"></div></div>;
+  }
+
+  return (
+    <div className="admin-table-container">
+      <div className="table-header">
+        <h2>Promotions</h2>
+        <div className="stats">
+          <span>Pending: {pendingCount}</span>
+        </div>
+      </div>
+
+      <div className="tabs">
+        {TABS.map(tab => (
+          <button
+            key={tab.value}
+            className={`tab-btn ${activeTab === tab.value ? 'active' : ''}`}
+            onClick={() => switchTab(tab.value)}
+          >
+            <i className={tab.icon}></i> {tab.label}
+            {tab.value === 'pending' && ` (${pendingCount})`}
+          </button>
+        ))}
+      </div>
+
+      <div className="table-wrapper">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Business</th>
+              <th>Title</th>
+              <th>Discount</th>
+              <th>Runs</th>
+              <th>Code / Cap</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {promotions.length > 0 ? (
+              promotions.map((promotion) => (
+                <tr key={promotion.id}>
+                  <td>{promotion.id}</td>
+                  <td>
+                    {promotion.business ? (
+                      <div>
+                        <strong>{promotion.business.name}</strong>
+                        <br />
+                        <small style={{color: '#666'}}>
+                          {promotion.business.city}, {promotion.business.state}
+                        </small>
+                      </div>
+                    ) : (
+                      <span style={{color: '#999'}}>-</span>
+                    )}
+                  </td>
+                  <td>
+                    <strong>{promotion.title}</strong>
+                    {promotion.description && (
+                      <>
+                        <br />
+                        <small style={{color: '#666'}}>{promotion.description.substring(0, 80)}</small>
+                      </>
+                    )}
+                  </td>
+                  <td>{promotion.discountLabel}</td>
+                  <td>
+                    {new Date(promotion.startsAt).toLocaleDateString()}
+                    {' - '}
+                    {promotion.endsAt ? new Date(promotion.endsAt).toLocaleDateString() : 'ongoing'}
+                  </td>
+                  <td>
+                    {promotion.code || '-'}
+                    <br />
+                    <small style={{color: '#666'}}>
+                      {promotion.redemptionCount}{promotion.maxRedemptions ? ` / ${promotion.maxRedemptions}` : ''} redeemed
+                    </small>
+                  </td>
+                  <td>
+                    <span className={`status-badge ${promotion.moderationStatus}`}>
+                      {promotion.moderationStatus}
+                    </span>
+                    {promotion.moderationNote && (
+                      <>
+                        <br />
+                        <small style={{color: '#666'}}>{promotion.moderationNote}</small>
+                      </>
+                    )}
+                  </td>
+                  <td>
+                    <div className="action-buttons">
+                      {promotion.moderationStatus !== 'approved' && (
+                        <button
+                          className="btn-view"
+                          onClick={() => moderate(promotion, 'approved')}
+                          title="Approve"
+                        >
+                          <i className="fas fa-check"></i>
+                        </button>
+                      )}
+                      {promotion.moderationStatus !== 'rejected' && (
+                        <button
+                          className="btn-delete"
+                          onClick={() => moderate(promotion, 'rejected')}
+                          title="Reject"
+                        >
+                          <i className="fas fa-ban"></i>
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="8" className="empty-state">
+                  {activeTab === 'pending' ? 'No promotions waiting for review' : 'No promotions found'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {totalPages > 1 && (
+        <div className="pagination">
+          <button
+            disabled={currentPage === 1}
+            onClick={() => setCurrentPage(currentPage - 1)}
+          >
+            Previous
+          </button>
+          <span>Page {currentPage} of {totalPages}</span>
+          <button
+            disabled={currentPage === totalPages}
+            onClick={() => setCurrentPage(currentPage + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminPromotions;
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import api from '../../services/api';
+import AdminRefundPanel, { getDisputeBadgeClass } from '../../components/AdminRefundPanel';
+import { describeFeeRule } from './AdminPlatformFees';
 import './AdminTable.css';
 
 const AdminProposals = () => {
@@ -9,17 +11,18 @@ const AdminProposals = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [totalCount, setTotalCount] = useState(0);
   const [statusFilter, setStatusFilter] = useState('all');
+  const [disputedOnly, setDisputedOnly] = useState(false);
   const [selectedProposal, setSelectedProposal] = useState(null);
 
   useEffect(() => {
     loadProposals();
-  }, [currentPage, statusFilter]);
+  }, [currentPage, statusFilter, disputedOnly]);
 
   // Reset to page 1 when filter changes
   useEffect(() => {
     setCurrentPage(1);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [statusFilter]);
+  }, [statusFilter, disputedOnly]);
 
   const loadProposals = async () => {
     try {
@@ -28,6 +31,9 @@ const AdminProposals = () => {
       if (statusFilter !== 'all') {
         queryString += `&status=${statusFilter}`;
       }
+      if (disputedOnly) {
+        queryString += '&dispute=any';
+      }
       const response = await api.get(`/admin/proposals?${queryString}`);
       setProposals(response.data.proposals || []);
       setTotalPages(response.data.pages || 1);
@@ -55,6 +61,8 @@ const AdminProposals = () => {
     const statusMap = {
       'pending': 'pending',
       'succeeded': 'active',
+      'partially_refunded': 'pending',
+      'refunded': 'inactive',
       'failed': 'rejected'
     };
     return statusMap[status] || 'pending';
@@ -65,6 +73,8 @@ const AdminProposals = () => {
       'pending': 'pending',
       'processing': 'pending',
       'completed': 'active',
+      'cancelled': 'inactive',
+      'reversed': 'rejected',
       'failed': 'rejected'
     };
     return statusMap[status] || 'pending';
@@ -107,6 +117,12 @@ const AdminProposals = () => {
             >
               Rejected
             </button>
+            <button
+              className={`filter-btn ${disputedOnly ? 'active' : ''}`}
+              onClick={() => setDisputedOnly(!disputedOnly)}
+            >
+              Disputed
+            </button>
           </div>
         </div>
       </div>
@@ -122,6 +138,7 @@ const AdminProposals = () => {
               <th>Status</th>
               <th>Payment Status</th>
               <th>Payout Status</th>
+              <th>Dispute</th>
               <th>Created Date</th>
               <th>Actions</th>
             </tr>
@@ -171,6 +188,15 @@ const AdminProposals = () => {
                       'N/A'
                     )}
                   </td>
+                  <td>
+                    {proposal.disputeStatus ? (
+                      <span className={`status-badge ${getDisputeBadgeClass(proposal.disputeStatus)}`}>
+                        {proposal.disputeStatus}
+                      </span>
+                    ) : (
+                      '-'
+                    )}
+                  </td>
                   <td>{new Date(proposal.createdAt).toLocaleDateString()}</td>
                   <td>
                     <div className="action-buttons">
@@ -187,7 +213,7 @@ const AdminProposals = () => {
               ))
             ) : (
               <tr>
-                <td colSpan="9" className="empty-state">No proposals found</td>
+                <td colSpan="10" className="empty-state">No proposals found</td>
               </tr>
             )}
           </tbody>
@@ -316,6 +342,18 @@ const AdminProposals = () => {
                       <strong>Platform Fee Amount:</strong> ${parseFloat(selectedProposal.platformFeeAmount).toFixed(2)}
                     </div>
                   )}
+                  {selectedProposal.platformFeeRule && (
+                    <div style={{ marginBottom: '8px' }}>
+                      <strong>Fee Rule Applied:</strong>{' '}
+                      {selectedProposal.platformFeeRule.id
+                        ? `${selectedProposal.platformFeeRule.name} (#${selectedProposal.platformFeeRule.id})`
+                        : selectedProposal.platformFeeRule.name}
+                      {' '}- {describeFeeRule(selectedProposal.platformFeeRule)}
+                      {selectedProposal.platformFeeRule.appliedAt && (
+                        <small> · applied {new Date(selectedProposal.platformFeeRule.appliedAt).toLocaleDateString()}</small>
+                      )}
+                    </div>
+                  )}
                   {selectedProposal.stripeTransferId && (
                     <div style={{ marginBottom: '8px' }}>
                       <strong>Stripe Transfer ID:</strong> {selectedProposal.stripeTransferId}
@@ -328,6 +366,10 @@ const AdminProposals = () => {
                   )}
                 </div>
               </div>
+              <div className="form-group">
+                <label>Refunds &amp; Chargebacks</label>
+                <AdminRefundPanel type="proposal" id={selectedProposal.id} onRefunded={loadProposals} />
+              </div>
               <div className="form-group">
                 <label>Created Date</label>
                 <div>{new Date(selectedProposal.createdAt).toLocaleString()}</div>
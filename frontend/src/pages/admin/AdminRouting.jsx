@@ -0,0 +1,490 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import './AdminTable.css';
+import './AdminRouting.css';
+
+const emptyForm = {
+  name: '',
+  type: 'score',
+  categoryId: '',
+  weights: {},
+  sharedCount: 4,
+  maxDistanceMiles: '',
+  capacityLimit: 10,
+  priorityProvidersFirst: true,
+  isActive: true
+};
+
+const ROLE_LABELS = {
+  primary: 'Primary',
+  alternative: 'Receives lead',
+  fallback: 'Fallback',
+  'not selected': 'Not selected',
+  excluded: 'Excluded'
+};
+
+const AdminRouting = () => {
+  const [strategies, setStrategies] = useState([]);
+  const [factors, setFactors] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingStrategy, setEditingStrategy] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [dryRun, setDryRun] = useState({ requestId: '', strategyId: '' });
+  const [dryRunResult, setDryRunResult] = useState(null);
+  const [dryRunError, setDryRunError] = useState('');
+  const [running, setRunning] = useState(false);
+  const [expandedBusinessId, setExpandedBusinessId] = useState(null);
+
+  useEffect(() => {
+    loadStrategies();
+    loadCategories();
+  }, []);
+
+  const loadStrategies = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/admin/routing-strategies');
+      setStrategies(response.data.strategies || []);
+      setFactors(response.data.factors || []);
+      setTypes(response.data.types || []);
+    } catch (error) {
+      alert('Failed to load routing strategies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadCategories = async () => {
+    try {
+      const response = await api.get('/admin/categories');
+      setCategories(response.data.categories || []);
+    } catch (error) {
+      console.error('Failed to load categories:', error);
+    }
+  };
+
+  const typeLabel = (type) => types.find(t => t.type === type)?.label || type;
+
+  const openCreate = () => {
+    setEditingStrategy(null);
+    setFormData(emptyForm);
+    setShowModal(true);
+  };
+
+  const handleEdit = (strategy) => {
+    setEditingStrategy(strategy);
+    setFormData({
+      name: strategy.name,
+      type: strategy.type,
+      categoryId: strategy.categoryId || '',
+      weights: strategy.weights || {},
+      sharedCount: strategy.sharedCount,
+      maxDistanceMiles: strategy.maxDistanceMiles || '',
+      capacityLimit: strategy.capacityLimit,
+      priorityProvidersFirst: strategy.priorityProvidersFirst,
+      isActive: strategy.isActive
+    });
+    setShowModal(true);
+  };
+
+  const setWeight = (name, value) => {
+    setFormData(prev => ({ ...prev, weights: { ...prev.weights, [name]: value } }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      if (editingStrategy) {
+        await api.put(`/admin/routing-strategies/${editingStrategy.id}`, formData);
+        alert('Routing strategy updated successfully!');
+      } else {
+        await api.post('/admin/routing-strategies', formData);
+        alert('Routing strategy created successfully!');
+      }
+      setShowModal(false);
+      setEditingStrategy(null);
+      loadStrategies();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to save routing strategy');
+    }
+  };
+
+  const handleToggleActive = async (strategy) => {
+    try {
+      await api.put(`/admin/routing-strategies/${strategy.id}`, { isActive: !strategy.isActive });
+      loadStrategies();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update routing strategy');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this routing strategy?')) return;
+
+    try {
+      await api.delete(`/admin/routing-strategies/${id}`);
+      alert('Routing strategy deleted successfully!');
+      loadStrategies();
+    } catch (error) {
+      alert('Failed to delete routing strategy');
+    }
+  };
+
+  const handleDryRun = async (e) => {
+    e.preventDefault();
+    setRunning(true);
+    setDryRunError('');
+    setExpandedBusinessId(null);
+    try {
+      const response = await api.post(`/admin/service-requests/${dryRun.requestId}/routing-dry-run`, {
+        strategyId: dryRun.strategyId || null
+      });
+      setDryRunResult(response.data.dryRun);
+    } catch (error) {
+      setDryRunResult(null);
+      setDryRunError(error.response?.data?.error || 'Dry run failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading"><div className="spinner"></div></div>;
+  }
+
+  return (
+    <div className="admin-table-container">
+      <div className="table-header">
+        <h2>Lead Routing</h2>
+        <button className="btn-primary-action" onClick={openCreate}>
+          <i className="fas fa-plus"></i> Add Strategy
+        </button>
+      </div>
+
+      <p className="routing-hint">
+        Each request uses the active strategy for its category, then the active strategy with no category,
+        then the built-in default (highest score wins, next three receive the lead too).
+      </p>
+
+      <div className="table-wrapper">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Type</th>
+              <th>Category</th>
+              <th>Radius</th>
+              <th>Featured/Pro First</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {strategies.length > 0 ? (
+              strategies.map((strategy) => (
+                <tr key={strategy.id}>
+                  <td><strong>{strategy.name}</strong></td>
+                  <td>
+                    {typeLabel(strategy.type)}
+                    {strategy.type === 'shared' && <small> (top {strategy.sharedCount})</small>}
+                  </td>
+                  <td>{strategy.category?.name || 'All categories'}</td>
+                  <td>{strategy.maxDistanceMiles ? `${strategy.maxDistanceMiles} mi` : 'Zip only'}</td>
+                  <td>{strategy.priorityProvidersFirst ? 'Yes' : 'No'}</td>
+                  <td>
+                    <span className={`status-badge ${strategy.isActive ? 'active' : 'inactive'}`}>
+                      {strategy.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td>
+                    <div className="action-buttons">
+                      <button className="btn-edit" onClick={() => handleEdit(strategy)} title="Edit Strategy">
+                        <i className="fas fa-edit"></i>
+                      </button>
+                      <button
+                        className={strategy.isActive ? 'btn-reject' : 'btn-approve'}
+                        onClick={() => handleToggleActive(strategy)}
+                        title={strategy.isActive ? 'Deactivate' : 'Activate'}
+                      >
+                        <i className={`fas ${strategy.isActive ? 'fa-pause' : 'fa-play'}`}></i>
+                      </button>
+                      <button className="btn-delete" onClick={() => handleDelete(strategy.id)} title="Delete Strategy">
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="7" className="empty-state">No strategies yet - every request uses the built-in default</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <form className="routing-dry-run" onSubmit={handleDryRun}>
+        <h3><i className="fas fa-vial"></i> Dry Run</h3>
+        <p className="routing-hint">Rank providers for an existing request without creating leads.</p>
+        <div className="routing-dry-run-fields">
+          <input
+            type="number"
+            min="1"
+            placeholder="Service request ID"
+            value={dryRun.requestId}
+            onChange={(e) => setDryRun({ ...dryRun, requestId: e.target.value })}
+            required
+          />
+          <select
+            value={dryRun.strategyId}
+            onChange={(e) => setDryRun({ ...dryRun, strategyId: e.target.value })}
+          >
+            <option value="">Strategy that would apply</option>
+            {strategies.map(strategy => (
+              <option key={strategy.id} value={strategy.id}>{strategy.name}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn-submit" disabled={running}>
+            {running ? 'Ranking...' : 'Run'}
+          </button>
+        </div>
+        {dryRunError && <div className="routing-dry-run-error">{dryRunError}</div>}
+      </form>
+
+      {dryRunResult && (
+        <div className="routing-dry-run-result">
+          <div className="routing-dry-run-summary">
+            <div>
+              <span>Request</span>
+              <strong>#{dryRunResult.serviceRequest.id} {dryRunResult.serviceRequest.projectTitle}</strong>
+              <small>
+                {[dryRunResult.serviceRequest.category, dryRunResult.serviceRequest.subCategory].filter(Boolean).join(' › ')}
+                {' · '}{dryRunResult.serviceRequest.zipCode}
+              </small>
+            </div>
+            <div>
+              <span>Strategy</span>
+              <strong>{dryRunResult.strategy.name}</strong>
+              <small>{dryRunResult.strategy.typeLabel}</small>
+            </div>
+          </div>
+
+          <div className="table-wrapper">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Rank</th>
+                  <th>Business</th>
+                  <th>Score</th>
+                  <th>Outcome</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {dryRunResult.candidates.length > 0 ? (
+                  dryRunResult.candidates.map((candidate) => (
+                    <React.Fragment key={candidate.businessId}>
+                      <tr className={`routing-role-${candidate.role.replace(' ', '-')}`}>
+                        <td>{candidate.rank || '–'}</td>
+                        <td>
+                          <strong>{candidate.businessName}</strong>
+                          {candidate.isPriorityProvider && <span className="routing-priority">Featured/Pro</span>}
+                          {!candidate.providerProfileId && !candidate.excluded && (
+                            <small>Provider profile will be created</small>
+                          )}
+                        </td>
+                        <td>{candidate.excluded ? '–' : candidate.score}</td>
+                        <td>
+                          <span className={`routing-role routing-role-badge-${candidate.role.replace(' ', '-')}`}>
+                            {ROLE_LABELS[candidate.role] || candidate.role}
+                          </span>
+                          {candidate.excluded && <small>{candidate.excluded}</small>}
+                        </td>
+                        <td>
+                          {candidate.factors.length > 0 && (
+                            <button
+                              type="button"
+                              className="btn-edit"
+                              onClick={() => setExpandedBusinessId(expandedBusinessId === candidate.businessId ? null : candidate.businessId)}
+                              title="Show score breakdown"
+                            >
+                              <i className={`fas ${expandedBusinessId === candidate.businessId ? 'fa-chevron-up' : 'fa-chevron-down'}`}></i>
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {expandedBusinessId === candidate.businessId && (
+                        <tr className="routing-breakdown-row">
+                          <td colSpan="5">
+                            <table className="routing-breakdown">
+                              <thead>
+                                <tr>
+                                  <th>Factor</th>
+                                  <th>Why</th>
+                                  <th>Value</th>
+                                  <th>Weight</th>
+                                  <th>Points</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {candidate.factors.map(factor => (
+                                  <tr key={factor.name} className={factor.weight === 0 ? 'routing-factor-off' : ''}>
+                                    <td>{factor.label}</td>
+                                    <td>{factor.detail}</td>
+                                    <td>{factor.value}</td>
+                                    <td>{factor.weight}</td>
+                                    <td><strong>{factor.points}</strong></td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="5" className="empty-state">No businesses match this request</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="modal-overlay" onClick={() => setShowModal(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: '700px' }}>
+            <h3>{editingStrategy ? 'Edit Routing Strategy' : 'Create Routing Strategy'}</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label>Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="e.g. Plumbing - shared with 3"
+                  required
+                />
+              </div>
+              <div className="routing-row">
+                <div className="form-group">
+                  <label>Type *</label>
+                  <select
+                    value={formData.type}
+                    onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                  >
+                    {types.map(type => (
+                      <option key={type.type} value={type.type}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Category</label>
+                  <select
+                    value={formData.categoryId}
+                    onChange={(e) => setFormData({ ...formData, categoryId: e.target.value })}
+                  >
+                    <option value="">All categories</option>
+                    {categories.map(category => (
+                      <option key={category.id} value={category.id}>{category.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="routing-row">
+                {formData.type === 'shared' && (
+                  <div className="form-group">
+                    <label>Providers Sharing Each Lead</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="10"
+                      value={formData.sharedCount}
+                      onChange={(e) => setFormData({ ...formData, sharedCount: e.target.value })}
+                    />
+                  </div>
+                )}
+                <div className="form-group">
+                  <label>Radius (miles)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.maxDistanceMiles}
+                    onChange={(e) => setFormData({ ...formData, maxDistanceMiles: e.target.value })}
+                    placeholder="Request zip only"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Capacity (open jobs)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.capacityLimit}
+                    onChange={(e) => setFormData({ ...formData, capacityLimit: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Factor Weights</label>
+                <div className="routing-weights">
+                  {factors.map(factor => (
+                    <div key={factor.name} className="routing-weight">
+                      <span>{factor.label}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={formData.weights[factor.name] ?? ''}
+                        onChange={(e) => setWeight(factor.name, e.target.value)}
+                        placeholder={String(factor.defaultWeight)}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <small className="routing-hint">Each factor scores 0–1 and is multiplied by its weight. Leave empty for the default.</small>
+              </div>
+              <div className="form-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={formData.priorityProvidersFirst}
+                    onChange={(e) => setFormData({ ...formData, priorityProvidersFirst: e.target.checked })}
+                  />
+                  {' '}Rank Featured/Pro providers first
+                </label>
+              </div>
+              <div className="form-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={formData.isActive}
+                    onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                  />
+                  {' '}Active (replaces the current strategy for this category)
+                </label>
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn-cancel" onClick={() => setShowModal(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-submit">
+                  {editingStrategy ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminRouting;
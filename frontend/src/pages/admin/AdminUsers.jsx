@@ -49,6 +49,17 @@ const AdminUsers = () => {
     }
   };
 
+  const handleRevokeSessions = async (user) => {
+    if (!window.confirm(`Sign "${user.name}" out of all devices? They will need to log in again.`)) return;
+
+    try {
+      const response = await api.post(`/admin/users/${user.id}/revoke-sessions`);
+      alert(response.data.message || 'Sessions revoked successfully!');
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to revoke sessions');
+    }
+  };
+
   if (loading) {
     return <div className="loading"><div className="spinner"></div></div>;
   }
@@ -97,6 +108,13 @@ const AdminUsers = () => {
                   <td>{new Date(user.createdAt).toLocaleDateString()}</td>
                   <td>
                     <div className="action-buttons">
+                      <button
+                        className="btn-reject"
+                        onClick={() => handleRevokeSessions(user)}
+                        title="Revoke Sessions (log out all devices)"
+                      >
+                        <i className="fas fa-sign-out-alt"></i>
+                      </button>
                       {user.role !== 'admin' && (
                         <>
                           <button
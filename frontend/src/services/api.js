@@ -7,6 +7,7 @@ const api = axios.create({
   headers: {
     'Content-Type': 'application/json'
   },
+  withCredentials: true, // Send the httpOnly refresh token cookie
   timeout: 30000 // 30 second timeout
 });
 
@@ -17,6 +18,31 @@ const RETRY_DELAY = 1000; // 1 second
 // Helper function to delay
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Single in-flight refresh shared by every request that hits a 401 at the same time
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_URL}/auth/refresh`, {}, { withCredentials: true, timeout: 30000 })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const clearSessionAndRedirect = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  const isAdminRoute = window.location.pathname.startsWith('/admin');
+  window.location.href = isAdminRoute ? '/admin/login' : '/login';
+};
+
 // Add token to requests
 api.interceptors.request.use((config) => {
   const token = localStorage.getItem('token');
@@ -44,6 +70,33 @@ api.interceptors.response.use(
     const isProfileUpdateRequest = originalRequest?.url?.includes('/auth/updateprofile');
     const isUserDashboard = window.location.pathname.startsWith('/user-dashboard');
     
+    const isSessionRequest = originalRequest?.url?.includes('/auth/refresh') || originalRequest?.url?.includes('/auth/logout');
+    const errorCode = error.response?.data?.code;
+
+    // Access tokens are short-lived - renew with the refresh cookie and replay the request once.
+    // A 401 from changepassword without a code means a wrong current password, not an expired session.
+    const canRefresh = error.response?.status === 401 &&
+      !originalRequest?._retry &&
+      !isLoginRequest &&
+      !isSessionRequest &&
+      localStorage.getItem('token') &&
+      (errorCode === 'TOKEN_EXPIRED' || !isPasswordChangeRequest);
+
+    if (canRefresh) {
+      originalRequest._retry = true;
+      try {
+        const newToken = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${newToken}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Session is gone (logged out elsewhere, revoked by admin, expired) - the user must log in again
+        if (refreshError.response?.status === 401 && !isLoginPage) {
+          clearSessionAndRedirect();
+          return Promise.reject(error);
+        }
+      }
+    }
+
     // Don't redirect for login attempts, password changes, or profile updates
     // These should handle their own errors without logging out
     if (error.response?.status === 401 && (isLoginPage || isLoginRequest || isPasswordChangeRequest || isProfileUpdateRequest)) {
@@ -54,11 +107,7 @@ api.interceptors.response.use(
     // Only redirect for other 401 errors (expired tokens, etc.)
     if (error.response?.status === 401 && !isUserDashboard) {
       // Only redirect if we're not in user dashboard (to prevent logout on password errors)
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      // Redirect to appropriate login based on current route
-      const isAdminRoute = window.location.pathname.startsWith('/admin');
-      window.location.href = isAdminRoute ? '/admin/login' : '/login';
+      clearSessionAndRedirect();
       return Promise.reject(error);
     }
     
@@ -97,5 +146,6 @@ api.interceptors.response.use(
   }
 );
 
+export { API_URL };
 export default api;
 
@@ -0,0 +1,35 @@
+import api from './api';
+
+// Sizes the backend generates for every uploaded image (longest edge in pixels)
+export const IMAGE_SIZES = { thumb: 200, small: 480, medium: 960, large: 1600 };
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+export const MAX_VIDEO_BYTES = 50 * 1024 * 1024;
+
+const SIZED_URL = /\/(thumb|small|medium|large)\.webp$/;
+
+/**
+ * Upload files to /api/media and return the stored media ({ id, url, thumbnailUrl, ... }).
+ * purpose is one of business_logo, business_image, business_video, review_image.
+ */
+export const uploadMedia = async (files, purpose) => {
+  const data = new FormData();
+  data.append('purpose', purpose);
+  Array.from(files).forEach(file => data.append('files', file));
+
+  const response = await api.post('/media', data, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 120000
+  });
+  return response.data.media;
+};
+
+// Url of another size of an uploaded image; other urls (external, legacy) are returned as-is
+export const mediaUrl = (url, size) => (
+  typeof url === 'string' && SIZED_URL.test(url) ? url.replace(SIZED_URL, `/${size}.webp`) : url
+);
+
+export const mediaSrcSet = (url) => (
+  typeof url === 'string' && SIZED_URL.test(url)
+    ? Object.entries(IMAGE_SIZES).map(([size, width]) => `${mediaUrl(url, size)} ${width}w`).join(', ')
+    : undefined
+);
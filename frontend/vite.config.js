@@ -19,6 +19,10 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:5000',
         changeOrigin: true
+      },
+      '/media': {
+        target: 'http://localhost:5000',
+        changeOrigin: true
       }
     }
   }